@@ -8,6 +8,10 @@ export default defineConfig({
   adapter: cloudflare({
     platformProxy: {
       enabled: true
+    },
+    // Adds the scheduled() handler for the maintenance cron trigger
+    workerEntryPoint: {
+      path: 'src/worker.ts'
     }
   }),
   integrations: [sfSymbols()],
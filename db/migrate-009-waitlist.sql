@@ -0,0 +1,32 @@
+-- Migration 009: Waitlist for registrations once max_total_participants is reached
+-- Entries are promoted in order (oldest first) when spots free up
+
+CREATE TABLE IF NOT EXISTS waitlist (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    -- Requested team: either a new team to create or an existing one to join
+    create_new_team INTEGER DEFAULT 0,
+    team_id INTEGER DEFAULT NULL,
+    team_name TEXT NOT NULL,
+    team_description TEXT DEFAULT '',
+    password_hash TEXT DEFAULT '',     -- PBKDF2 hash, only for new teams
+
+    -- Validated members as JSON (same shape as registration members)
+    members_json TEXT NOT NULL,
+    member_count INTEGER NOT NULL,
+    email TEXT NOT NULL,               -- Contact email (first member)
+
+    -- status values:
+    -- 'waiting': In the queue
+    -- 'promoted': Registered into teams/members
+    -- 'failed': Could not be promoted (team deleted, team full, name taken...)
+    -- 'cancelled': Removed by an admin
+    status TEXT DEFAULT 'waiting',
+    status_reason TEXT DEFAULT NULL,
+    promoted_team_id INTEGER DEFAULT NULL,
+    processed_at TEXT DEFAULT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_status ON waitlist(status);
+CREATE INDEX IF NOT EXISTS idx_waitlist_email ON waitlist(email);
@@ -0,0 +1,21 @@
+-- Migration 010: Change log for team self-service edits
+-- Team leaders can edit their own team with the team password; every change is recorded for admins
+
+CREATE TABLE IF NOT EXISTS team_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id INTEGER NOT NULL,
+    team_name TEXT NOT NULL,          -- Kept so the log stays readable after the team is deleted
+    member_id INTEGER DEFAULT NULL,
+
+    -- action values:
+    -- 'member_updated': Member fields edited
+    -- 'member_removed': Member removed from the team
+    -- 'description_updated': Team description changed
+    -- 'password_changed': Team password rotated
+    action TEXT NOT NULL,
+    details TEXT DEFAULT NULL,        -- JSON: {before, after} or removed member snapshot
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_changes_team ON team_changes(team_id);
+CREATE INDEX IF NOT EXISTS idx_team_changes_created ON team_changes(created_at);
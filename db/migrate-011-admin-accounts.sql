@@ -0,0 +1,31 @@
+-- Migration 011: Per-person admin accounts with roles and expiring sessions
+-- The ADMIN_TOKEN secret keeps working as a superadmin bootstrap credential
+
+CREATE TABLE IF NOT EXISTS admin_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    display_name TEXT DEFAULT '',
+    password_hash TEXT NOT NULL,       -- PBKDF2 "salt:hash"
+
+    -- role values:
+    -- 'superadmin': Everything, including settings, resets and accounts
+    -- 'checkin': Attendance desk
+    -- 'pizza': Pizza distribution
+    -- 'rooms': Room assignments
+    -- 'treasurer': Payments, exports and archives (read)
+    role TEXT NOT NULL DEFAULT 'checkin',
+    is_active INTEGER DEFAULT 1,
+    last_login_at TEXT DEFAULT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    token_hash TEXT PRIMARY KEY,       -- SHA-256 of the bearer token, never the token itself
+    admin_id INTEGER NOT NULL,
+    expires_at TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (admin_id) REFERENCES admin_users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin ON admin_sessions(admin_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires ON admin_sessions(expires_at);
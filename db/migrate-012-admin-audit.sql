@@ -0,0 +1,24 @@
+-- Migration 012: Audit log of admin actions
+-- Every mutating admin route records who did what, on which record, with before/after snapshots
+
+CREATE TABLE IF NOT EXISTS admin_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_id INTEGER DEFAULT NULL,     -- admin_users.id, NULL for the shared ADMIN_TOKEN
+    actor_username TEXT NOT NULL,      -- Kept so the log stays readable after the account is deleted
+    actor_role TEXT NOT NULL,
+
+    -- action values use "<domain>.<verb>", e.g. 'member.update', 'attendance.check_in',
+    -- 'pizza.give', 'room.set', 'team.delete', 'settings.update', 'archive.create'
+    action TEXT NOT NULL,
+    target_type TEXT DEFAULT NULL,     -- 'member', 'team', 'settings', 'archive', 'account', ...
+    target_id TEXT DEFAULT NULL,       -- Record ID, or comma-separated IDs for batch actions
+    target_label TEXT DEFAULT NULL,    -- Human readable name at the time of the action
+    before_json TEXT DEFAULT NULL,
+    after_json TEXT DEFAULT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit(created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_action ON admin_audit(action);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_actor ON admin_audit(actor_username);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit(target_type, target_id);
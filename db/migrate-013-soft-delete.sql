@@ -0,0 +1,9 @@
+-- Migration 013: Soft delete for teams and members
+-- Deleting from the admin moves rows to the trash; they can be restored while capacity allows.
+-- Members deleted together with their team share the team's deleted_at value.
+
+ALTER TABLE teams ADD COLUMN deleted_at TEXT DEFAULT NULL;
+ALTER TABLE members ADD COLUMN deleted_at TEXT DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_teams_deleted_at ON teams(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_members_deleted_at ON members(deleted_at);
@@ -0,0 +1,4 @@
+-- Migration 014: QR-code tickets
+-- Records when a member's ticket was scanned so a ticket can only be used once.
+
+ALTER TABLE members ADD COLUMN ticket_scanned_at TEXT DEFAULT NULL;
@@ -0,0 +1,21 @@
+-- Migration 015: Email outbox
+-- Every outgoing email is stored before delivery so failures can be inspected and resent.
+-- Templates live in the settings table under "email_template_<name>" (JSON {subject, body}).
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    template TEXT NOT NULL,            -- Template name, e.g. 'registration_confirmation'
+    recipient TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT DEFAULT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',  -- 'pending', 'sent', 'failed'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT DEFAULT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    last_attempt_at TEXT DEFAULT NULL,
+    sent_at TEXT DEFAULT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_created ON email_outbox(created_at);
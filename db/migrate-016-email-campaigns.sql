@@ -0,0 +1,17 @@
+-- Migration 016: Bulk messages to participants
+-- A campaign is one message sent to a filtered audience; each recipient gets an
+-- email_outbox row linked by campaign_id, which doubles as the delivery report.
+
+CREATE TABLE IF NOT EXISTS email_campaigns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    audience_json TEXT NOT NULL,       -- Audience filters, e.g. {"status":"unpaid","room":"all","leadersOnly":false}
+    recipient_count INTEGER NOT NULL DEFAULT 0,
+    created_by TEXT DEFAULT NULL,      -- Admin username
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+ALTER TABLE email_outbox ADD COLUMN campaign_id INTEGER DEFAULT NULL REFERENCES email_campaigns(id);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_campaign ON email_outbox(campaign_id);
@@ -0,0 +1,4 @@
+-- Migration 017: Member email verification
+-- Set when the member opens the link from their verification email; cleared when the address changes.
+
+ALTER TABLE members ADD COLUMN email_verified_at TEXT DEFAULT NULL;
@@ -0,0 +1,6 @@
+-- Migration 018: Refunds for SumUp payments
+-- refunded_amount accumulates partial refunds (in cents); once it reaches payment_amount
+-- the member's payment_status becomes 'refunded'. Each refund is also logged in
+-- payment_events with event_type 'refunded' and its reason in metadata.
+
+ALTER TABLE members ADD COLUMN refunded_amount INTEGER NOT NULL DEFAULT 0;
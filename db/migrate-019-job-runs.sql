@@ -0,0 +1,21 @@
+-- Migration 019: History of scheduled maintenance runs
+-- The Workers cron trigger (or a superadmin clicking "Lancer maintenant") runs
+-- GDPR expiration, stale checkout and old data purges; each run is one row.
+-- Checkouts returned to unpaid are logged as 'checkout_expired' payment_events.
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job TEXT NOT NULL,                 -- 'maintenance'
+    triggered_by TEXT NOT NULL,        -- 'cron' or 'manual'
+    status TEXT NOT NULL DEFAULT 'running',
+    -- status values:
+    -- 'running': Started, not finished yet (or the Worker was killed mid-run)
+    -- 'success': Every task completed
+    -- 'failed': At least one task threw
+    results_json TEXT DEFAULT NULL,    -- Per-task results, e.g. {"archives":{"ok":true,"expired":1}}
+    error TEXT DEFAULT NULL,           -- First task error message
+    started_at TEXT DEFAULT (datetime('now')),
+    finished_at TEXT DEFAULT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job, started_at);
@@ -0,0 +1,14 @@
+-- Migration 020: Log of GDPR data subject requests (access and erasure)
+-- The person's email is never stored here, only a SHA-256 of its lowercase form,
+-- so the log survives an erasure without keeping the erased address.
+
+CREATE TABLE IF NOT EXISTS gdpr_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_type TEXT NOT NULL,        -- 'access' or 'erasure'
+    email_hash TEXT NOT NULL,          -- SHA-256 of the lowercase email
+    summary_json TEXT NOT NULL,        -- Records found or anonymized, e.g. {"members":1,"archives":[2024]}
+    handled_by TEXT DEFAULT NULL,      -- Admin username
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_gdpr_requests_email ON gdpr_requests(email_hash);
@@ -0,0 +1,23 @@
+-- Migration 021: Hash chain of legitimate archive mutations
+-- Archives are immutable except for GDPR anonymization (expiration or erasure).
+-- Each mutation appends a link recording the data_hash before and after and why;
+-- link_hash covers the previous link, so editing or removing one breaks the chain.
+-- GET /api/admin/archives/:year/verify recomputes the data hash and walks the chain.
+
+CREATE TABLE IF NOT EXISTS archive_hash_chain (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_year INTEGER NOT NULL,
+    -- reason values:
+    -- 'created': Archive created (previous_hash is NULL)
+    -- 'imported': Archive imported from a JSON export (previous_hash is the replaced archive's, if any)
+    -- 'expiration': Anonymized at the end of the retention period
+    -- 'erasure': A person was anonymized after a GDPR erasure request
+    reason TEXT NOT NULL,
+    detail TEXT DEFAULT NULL,          -- JSON, never personal data
+    previous_hash TEXT DEFAULT NULL,   -- data_hash before the mutation
+    data_hash TEXT NOT NULL,           -- data_hash after the mutation
+    link_hash TEXT NOT NULL,           -- Hash of the previous link_hash and this row
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_archive_hash_chain_year ON archive_hash_chain(event_year, id);
@@ -0,0 +1,154 @@
+-- Migration 022: Several events in one deployment
+-- Teams, members, payment events, waitlist entries and settings now belong to an event.
+-- Existing data is attached to a first event created from the current event year.
+--
+-- Team names and member names were unique across the whole database; they are now
+-- unique per event, so every event can have its own "Organisation" team. SQLite cannot
+-- drop a UNIQUE constraint, so teams, members and settings are rebuilt.
+-- With legacy_alter_table on, renaming a table leaves the foreign keys of other tables
+-- pointing at the original name, so dropping the old copies never cascades into
+-- members or payment_events.
+--
+-- Back up the database before running it:
+--   bunx wrangler d1 export ndi-db --remote --output=./backup-before-022.sql
+
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT NOT NULL UNIQUE,         -- Public URL segment: /nuit-de-linfo/<slug>
+    name TEXT NOT NULL,
+    event_year INTEGER NOT NULL,       -- Archive year and ticket year
+    is_default INTEGER DEFAULT 0,      -- Served at the base URL (only one)
+    -- status values:
+    -- 'active': Registrations follow the event's settings
+    -- 'archived': Archived and its live data removed, kept for history
+    status TEXT DEFAULT 'active',
+    archived_at TEXT DEFAULT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+INSERT INTO events (slug, name, event_year, is_default)
+SELECT 'ndi-' || year, 'Nuit de l''Info ' || year, year, 1
+FROM (
+    SELECT COALESCE(
+        (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'event_year'),
+        CAST(strftime('%Y', 'now') AS INTEGER)
+    ) AS year
+)
+WHERE NOT EXISTS (SELECT 1 FROM events);
+
+PRAGMA defer_foreign_keys = true;
+PRAGMA legacy_alter_table = ON;
+
+-- Teams: name unique per event
+ALTER TABLE teams RENAME TO teams_before_events;
+
+CREATE TABLE teams (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL REFERENCES events(id),
+    name TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    password_hash TEXT DEFAULT '',
+    room TEXT DEFAULT NULL,
+    deleted_at TEXT DEFAULT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(event_id, name)
+);
+
+INSERT INTO teams (id, event_id, name, description, password_hash, room, deleted_at, created_at)
+SELECT id, (SELECT id FROM events WHERE is_default = 1), name, description, password_hash, room, deleted_at, created_at
+FROM teams_before_events;
+
+-- Members: first + last name unique per event
+ALTER TABLE members RENAME TO members_before_events;
+
+CREATE TABLE members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL REFERENCES events(id),
+    team_id INTEGER NOT NULL,
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    bac_level INTEGER DEFAULT 0,
+    is_leader INTEGER DEFAULT 0,
+    food_diet TEXT DEFAULT '',
+    checked_in INTEGER DEFAULT 0,
+    checked_in_at TEXT DEFAULT NULL,
+    pizza_received INTEGER DEFAULT 0,
+    pizza_received_at TEXT DEFAULT NULL,
+    payment_tier TEXT DEFAULT NULL,
+    payment_amount INTEGER DEFAULT NULL,
+    payment_confirmed_at TEXT DEFAULT NULL,
+    payment_status TEXT DEFAULT 'unpaid',
+    payment_method TEXT DEFAULT NULL,
+    checkout_id TEXT DEFAULT NULL,
+    transaction_id TEXT DEFAULT NULL,
+    registration_tier TEXT DEFAULT NULL,
+    refunded_amount INTEGER NOT NULL DEFAULT 0,
+    ticket_scanned_at TEXT DEFAULT NULL,
+    email_verified_at TEXT DEFAULT NULL,
+    deleted_at TEXT DEFAULT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+    UNIQUE(event_id, first_name, last_name)
+);
+
+INSERT INTO members (
+    id, event_id, team_id, first_name, last_name, email, bac_level, is_leader, food_diet,
+    checked_in, checked_in_at, pizza_received, pizza_received_at,
+    payment_tier, payment_amount, payment_confirmed_at, payment_status, payment_method,
+    checkout_id, transaction_id, registration_tier, refunded_amount,
+    ticket_scanned_at, email_verified_at, deleted_at, created_at
+)
+SELECT
+    id, (SELECT id FROM events WHERE is_default = 1), team_id, first_name, last_name, email, bac_level, is_leader, food_diet,
+    checked_in, checked_in_at, pizza_received, pizza_received_at,
+    payment_tier, payment_amount, payment_confirmed_at, payment_status, payment_method,
+    checkout_id, transaction_id, registration_tier, refunded_amount,
+    ticket_scanned_at, email_verified_at, deleted_at, created_at
+FROM members_before_events;
+
+DROP TABLE members_before_events;
+DROP TABLE teams_before_events;
+
+-- Settings: event_id 0 holds the defaults shared by every event
+ALTER TABLE settings RENAME TO settings_before_events;
+
+CREATE TABLE settings (
+    key TEXT NOT NULL,
+    event_id INTEGER NOT NULL DEFAULT 0,
+    value TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    updated_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (key, event_id)
+);
+
+INSERT INTO settings (key, event_id, value, description, updated_at)
+SELECT key, 0, value, description, updated_at FROM settings_before_events;
+
+DROP TABLE settings_before_events;
+
+PRAGMA legacy_alter_table = OFF;
+
+-- Payment events and waitlist entries follow their member or requested team
+ALTER TABLE payment_events ADD COLUMN event_id INTEGER DEFAULT NULL REFERENCES events(id);
+UPDATE payment_events SET event_id = (SELECT id FROM events WHERE is_default = 1);
+
+ALTER TABLE waitlist ADD COLUMN event_id INTEGER DEFAULT NULL REFERENCES events(id);
+UPDATE waitlist SET event_id = (SELECT id FROM events WHERE is_default = 1);
+
+-- Indexes were dropped with the old tables
+CREATE INDEX IF NOT EXISTS idx_teams_event_id ON teams(event_id);
+CREATE INDEX IF NOT EXISTS idx_teams_room ON teams(room);
+CREATE INDEX IF NOT EXISTS idx_teams_deleted_at ON teams(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_members_event_id ON members(event_id);
+CREATE INDEX IF NOT EXISTS idx_members_team_id ON members(team_id);
+CREATE INDEX IF NOT EXISTS idx_members_email ON members(email);
+CREATE INDEX IF NOT EXISTS idx_members_checked_in ON members(checked_in);
+CREATE INDEX IF NOT EXISTS idx_members_pizza_received ON members(pizza_received);
+CREATE INDEX IF NOT EXISTS idx_members_payment_tier ON members(payment_tier);
+CREATE INDEX IF NOT EXISTS idx_members_payment_status ON members(payment_status);
+CREATE INDEX IF NOT EXISTS idx_members_checkout_id ON members(checkout_id);
+CREATE INDEX IF NOT EXISTS idx_members_registration_tier ON members(registration_tier);
+CREATE INDEX IF NOT EXISTS idx_members_deleted_at ON members(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_payment_events_event_id ON payment_events(event_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_event_id ON waitlist(event_id);
@@ -0,0 +1,18 @@
+-- Migration 023: Schools and sites per event, and each member's school
+-- The official NDI export uses the member's school name; members without one
+-- fall back to the school_name setting.
+
+CREATE TABLE IF NOT EXISTS schools (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER REFERENCES events(id),
+    name TEXT NOT NULL,                   -- Exact name entered on the national NDI site
+    max_participants INTEGER DEFAULT NULL, -- NULL: only the event capacity applies
+    sort_order INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(event_id, name)
+);
+
+ALTER TABLE members ADD COLUMN school_id INTEGER DEFAULT NULL REFERENCES schools(id);
+
+CREATE INDEX IF NOT EXISTS idx_schools_event_id ON schools(event_id);
+CREATE INDEX IF NOT EXISTS idx_members_school_id ON members(school_id);
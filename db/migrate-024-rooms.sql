@@ -0,0 +1,22 @@
+-- Migration 024: Managed rooms with capacity, and team room preferences
+-- teams.room keeps holding the room name. Once an event lists rooms, assignments
+-- must name one of them and fit its capacity; events without rooms keep free text.
+
+CREATE TABLE IF NOT EXISTS rooms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER REFERENCES events(id),
+    name TEXT NOT NULL,                   -- Matches teams.room
+    capacity INTEGER NOT NULL,            -- Seats, counted in participants
+    floor TEXT DEFAULT NULL,
+    equipment TEXT DEFAULT '',            -- Comma-separated (projector, whiteboard...)
+    is_accessible INTEGER DEFAULT 0,      -- Wheelchair accessible
+    sort_order INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(event_id, name)
+);
+
+-- Preferences used by the automatic assignment
+ALTER TABLE teams ADD COLUMN room_preference TEXT DEFAULT NULL;
+ALTER TABLE teams ADD COLUMN needs_accessibility INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_rooms_event_id ON rooms(event_id);
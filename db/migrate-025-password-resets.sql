@@ -0,0 +1,14 @@
+-- Migration 025: Team password reset requests
+-- Each "forgot password" request is logged so the public endpoint can be rate
+-- limited per team and per client IP. Rows older than a day are purged by the
+-- maintenance job; the reset links themselves are stateless (see src/shared/team-reset.js).
+
+CREATE TABLE IF NOT EXISTS password_reset_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    ip TEXT NOT NULL DEFAULT '',         -- CF-Connecting-IP of the requester
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_requests_team ON password_reset_requests(team_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_password_reset_requests_ip ON password_reset_requests(ip, created_at);
@@ -0,0 +1,26 @@
+-- Migration 026: Team invitation links
+-- Team leaders create links that let someone join their team without the team
+-- password. A link carries "<inviteId>.<signature>" (see src/shared/team-invites.js);
+-- its expiry, use limit and revocation live here. Each member who joined
+-- through a link is recorded in team_invite_uses.
+
+CREATE TABLE IF NOT EXISTS team_invites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    label TEXT DEFAULT '',               -- Leader's note, e.g. "Groupe Discord"
+    max_uses INTEGER NOT NULL,
+    use_count INTEGER NOT NULL DEFAULT 0,
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT DEFAULT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS team_invite_uses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    invite_id INTEGER NOT NULL REFERENCES team_invites(id) ON DELETE CASCADE,
+    member_id INTEGER NOT NULL,
+    used_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_invites_team_id ON team_invites(team_id);
+CREATE INDEX IF NOT EXISTS idx_team_invite_uses_invite_id ON team_invite_uses(invite_id);
@@ -0,0 +1,20 @@
+-- Migration 027: Brute-force protection
+-- Failed password and token attempts, counted per client IP and target (a
+-- team, the admin token, an admin login). After a few failures the pair is
+-- locked out for a duration that doubles with each further failure (see
+-- src/shared/lockouts.js). A success clears the row; stale rows are purged by
+-- the maintenance job.
+
+CREATE TABLE IF NOT EXISTS auth_failures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scope TEXT NOT NULL,                 -- 'team' or 'admin'
+    target TEXT NOT NULL,                -- Team ID, 'token' or 'login:<username>'
+    ip TEXT NOT NULL DEFAULT '',         -- CF-Connecting-IP of the client
+    failures INTEGER NOT NULL DEFAULT 0,
+    locked_until TEXT DEFAULT NULL,
+    first_failure_at TEXT DEFAULT (datetime('now')),
+    last_failure_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(scope, target, ip)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_failures_locked ON auth_failures(locked_until);
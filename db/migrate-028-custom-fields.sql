@@ -0,0 +1,9 @@
+-- Migration 028: Answers to custom registration questions
+-- The questions of an event are the "custom_fields" setting (see
+-- src/shared/custom-fields.js). Answers are JSON objects keyed by question ID:
+-- member questions on members, team questions on teams, and the team answers
+-- of a new team queued on the waitlist until it is promoted.
+
+ALTER TABLE members ADD COLUMN custom_answers TEXT DEFAULT NULL;
+ALTER TABLE teams ADD COLUMN custom_answers TEXT DEFAULT NULL;
+ALTER TABLE waitlist ADD COLUMN custom_answers TEXT DEFAULT NULL;
@@ -0,0 +1,54 @@
+-- Migration 029: One archive per event
+-- Archives were unique per year, so a second event of the same year could never be
+-- archived. Archives and their hash chain now belong to the event they were taken
+-- from; archives imported without a known event keep event_id NULL and stay unique
+-- per year among themselves. SQLite cannot drop a UNIQUE constraint, so archives
+-- are rebuilt.
+--
+-- Back up the database before running it:
+--   bunx wrangler d1 export ndi-db --remote --output=./backup-before-029.sql
+
+ALTER TABLE archives RENAME TO archives_before_events;
+
+CREATE TABLE archives (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER DEFAULT NULL REFERENCES events(id),
+    event_year INTEGER NOT NULL,
+    archived_at TEXT NOT NULL DEFAULT (datetime('now')),
+    expiration_date TEXT NOT NULL,
+    is_expired INTEGER DEFAULT 0,
+    teams_json TEXT NOT NULL,
+    members_json TEXT NOT NULL,
+    payment_events_json TEXT,
+    stats_json TEXT NOT NULL,
+    total_teams INTEGER NOT NULL,
+    total_participants INTEGER NOT NULL,
+    total_revenue INTEGER DEFAULT 0,
+    data_hash TEXT NOT NULL
+);
+
+-- Existing archives belong to the first event of their year, if any
+INSERT INTO archives (
+    id, event_id, event_year, archived_at, expiration_date, is_expired,
+    teams_json, members_json, payment_events_json, stats_json,
+    total_teams, total_participants, total_revenue, data_hash
+)
+SELECT
+    a.id, (SELECT MIN(e.id) FROM events e WHERE e.event_year = a.event_year), a.event_year,
+    a.archived_at, a.expiration_date, a.is_expired,
+    a.teams_json, a.members_json, a.payment_events_json, a.stats_json,
+    a.total_teams, a.total_participants, a.total_revenue, a.data_hash
+FROM archives_before_events a;
+
+DROP TABLE archives_before_events;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_archives_event ON archives(event_year, IFNULL(event_id, 0));
+CREATE INDEX IF NOT EXISTS idx_archives_year ON archives(event_year);
+CREATE INDEX IF NOT EXISTS idx_archives_expired ON archives(is_expired);
+
+-- Chain links follow their archive
+ALTER TABLE archive_hash_chain ADD COLUMN event_id INTEGER DEFAULT NULL REFERENCES events(id);
+UPDATE archive_hash_chain
+SET event_id = (SELECT MIN(e.id) FROM events e WHERE e.event_year = archive_hash_chain.event_year);
+
+CREATE INDEX IF NOT EXISTS idx_archive_hash_chain_event ON archive_hash_chain(event_year, event_id, id);
@@ -0,0 +1,13 @@
+-- Migration 030: Signed archive hash chain
+-- Links chained before this migration hash their row without a key, so anyone
+-- with database access could rewrite an archive and recompute its chain. New
+-- links store link_hash as "hmac:" followed by an HMAC-SHA256 under
+-- ARCHIVE_CHAIN_SECRET (defaults to ADMIN_TOKEN), and data_digest, a SHA-256 of
+-- the archived data after the mutation. Older links still verify with their
+-- unkeyed hash, but an archive whose latest link is unsigned is reported as
+-- unverifiable.
+--
+-- reason values now also include:
+-- 'deleted': Archive deleted (data_hash is empty); the chain is kept
+
+ALTER TABLE archive_hash_chain ADD COLUMN data_digest TEXT DEFAULT NULL;
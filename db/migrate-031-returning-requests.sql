@@ -0,0 +1,14 @@
+-- Migration 031: Returning participant link requests
+-- Each request for a prefill link is logged so the public endpoint can be rate
+-- limited per address and per client IP. Only a SHA-256 of the normalized email
+-- is stored. Rows older than a day are purged by the maintenance job.
+
+CREATE TABLE IF NOT EXISTS returning_link_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email_hash TEXT NOT NULL,            -- SHA-256 of the lowercased email
+    ip TEXT NOT NULL DEFAULT '',         -- CF-Connecting-IP of the requester
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_returning_link_requests_email ON returning_link_requests(email_hash, created_at);
+CREATE INDEX IF NOT EXISTS idx_returning_link_requests_ip ON returning_link_requests(ip, created_at);
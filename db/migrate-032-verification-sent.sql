@@ -0,0 +1,6 @@
+-- Migration 032: Date of the last verification link delivered to a member
+-- Only members who received a link can be moved to the trash for never
+-- confirming their address. Existing members keep NULL: whether they received
+-- one is unknown, so they are never purged.
+
+ALTER TABLE members ADD COLUMN verification_sent_at TEXT DEFAULT NULL;
@@ -0,0 +1,17 @@
+-- Migration 033: Messages belong to an event
+-- Recipients are picked among the selected event's members, so the history of
+-- sent messages is listed per event too. Messages sent before this migration are
+-- attached to the event of their first recipient, or to the default event.
+
+ALTER TABLE email_campaigns ADD COLUMN event_id INTEGER DEFAULT NULL REFERENCES events(id);
+
+UPDATE email_campaigns
+SET event_id = COALESCE(
+    (SELECT m.event_id FROM email_outbox o
+     JOIN members m ON lower(m.email) = lower(o.recipient)
+     WHERE o.campaign_id = email_campaigns.id
+     ORDER BY o.id, m.id LIMIT 1),
+    (SELECT e.id FROM events e WHERE e.is_default = 1 LIMIT 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_campaigns_event ON email_campaigns(event_id, created_at);
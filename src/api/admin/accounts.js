@@ -0,0 +1,295 @@
+/**
+ * Admin accounts handlers - login, sessions and account management
+ */
+
+import { json, error } from '../../lib/router.js';
+import * as accountsDb from '../../database/db.admin-accounts.js';
+import { sanitizeString } from '../../lib/validation.js';
+import { verifyAdmin, getAdmin, getBearerToken } from '../../shared/auth.js';
+import { hashPassword, verifyPassword, generateToken, hashToken } from '../../shared/crypto.js';
+import { isValidRole, ROLES } from '../../shared/roles.js';
+import { recordAudit } from '../../shared/audit.js';
+import { guardAttempt, attemptError, ADMIN_SCOPE } from '../../shared/lockouts.js';
+
+const DEFAULT_SESSION_HOURS = 12;
+const MIN_ADMIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+
+/**
+ * Get session duration from env
+ * @param {object} env
+ * @returns {number} Hours
+ */
+function getSessionHours(env) {
+  return Number.parseInt(env.ADMIN_SESSION_HOURS, 10) || DEFAULT_SESSION_HOURS;
+}
+
+/**
+ * Format an account for API responses
+ */
+function formatAccount(account) {
+  return {
+    id: account.id,
+    username: account.username,
+    displayName: account.display_name,
+    role: account.role,
+    isActive: !!account.is_active,
+    lastLoginAt: account.last_login_at,
+    createdAt: account.created_at
+  };
+}
+
+/**
+ * POST /api/admin/login - Exchange username/password for a session token
+ */
+export async function loginAdmin(request, env) {
+  try {
+    const { username, password } = await request.json();
+    const login = sanitizeString(username || '', 32).toLowerCase();
+
+    if (!login || !password) {
+      return error('Username and password are required', 400);
+    }
+
+    const auth = await guardAttempt(env, request, ADMIN_SCOPE, `login:${login}`, async () => {
+      const account = await accountsDb.getAdminAccountForLogin(env.DB, login);
+      const valid = account && account.is_active && await verifyPassword(password, account.password_hash);
+      return valid ? { account } : { error: 'Invalid username or password', status: 401 };
+    });
+    if (auth.error) {
+      return attemptError(auth);
+    }
+    const { account } = auth;
+
+    await accountsDb.purgeExpiredSessions(env.DB);
+
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + getSessionHours(env) * 60 * 60 * 1000).toISOString();
+    await accountsDb.createAdminSession(env.DB, await hashToken(token), account.id, expiresAt);
+    await accountsDb.touchAdminLogin(env.DB, account.id);
+
+    return json({
+      success: true,
+      token,
+      expiresAt,
+      admin: { username: account.username, displayName: account.display_name, role: account.role }
+    });
+  } catch (error_) {
+    console.error('Error logging in admin:', error_);
+    return error('Failed to log in', 500);
+  }
+}
+
+/**
+ * POST /api/admin/logout - Revoke the current session token
+ */
+export async function logoutAdmin(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const token = getBearerToken(request);
+    if (token) {
+      await accountsDb.deleteAdminSession(env.DB, await hashToken(token));
+    }
+    return json({ success: true });
+  } catch (error_) {
+    console.error('Error logging out admin:', error_);
+    return error('Failed to log out', 500);
+  }
+}
+
+/**
+ * GET /api/admin/me - Current admin and role
+ */
+export async function getCurrentAdmin(request, env) {
+  const admin = await getAdmin(request, env);
+  if (!admin) {
+    return error('Unauthorized', 401);
+  }
+
+  return json({ admin });
+}
+
+/**
+ * GET /api/admin/accounts - List admin accounts
+ */
+export async function listAdminAccounts(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await accountsDb.adminAccountsTableExists(env.DB)) {
+      return error('Admin accounts table missing. Run migrate-011-admin-accounts.sql', 400);
+    }
+
+    const accounts = await accountsDb.getAdminAccounts(env.DB);
+    return json({ accounts: accounts.map(a => formatAccount(a)), roles: ROLES });
+  } catch (error_) {
+    console.error('Error listing admin accounts:', error_);
+    return error('Failed to list admin accounts', 500);
+  }
+}
+
+/**
+ * POST /api/admin/accounts - Create an admin account
+ */
+export async function createAdminAccount(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const body = await request.json();
+    const username = sanitizeString(body.username || '', 32).toLowerCase();
+    const displayName = sanitizeString(body.displayName || '', 128);
+    const password = body.password || '';
+
+    if (!USERNAME_PATTERN.test(username)) {
+      return error('Username must be 3-32 characters (letters, digits, . _ -)', 400);
+    }
+    if (password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+      return error(`Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`, 400);
+    }
+    if (!isValidRole(body.role)) {
+      return error(`Invalid role. Allowed: ${ROLES.join(', ')}`, 400);
+    }
+
+    const existing = await accountsDb.getAdminAccountForLogin(env.DB, username);
+    if (existing) {
+      return error('Username already exists', 400);
+    }
+
+    const id = await accountsDb.createAdminAccount(env.DB, {
+      username,
+      displayName,
+      passwordHash: await hashPassword(password),
+      role: body.role
+    });
+    const account = await accountsDb.getAdminAccountById(env.DB, id);
+    await recordAudit(request, env, {
+      action: 'account.create',
+      targetType: 'account',
+      targetId: id,
+      targetLabel: username,
+      after: { displayName, role: body.role }
+    });
+
+    return json({ success: true, account: formatAccount(account) }, 201);
+  } catch (error_) {
+    console.error('Error creating admin account:', error_);
+    return error('Failed to create admin account', 500);
+  }
+}
+
+/**
+ * PUT /api/admin/accounts/:id - Update role, name, password or active flag
+ * Any change other than the display name revokes the account's sessions.
+ */
+export async function updateAdminAccount(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const adminId = Number.parseInt(params.id, 10);
+    if (Number.isNaN(adminId)) {
+      return error('Invalid account ID', 400);
+    }
+
+    const account = await accountsDb.getAdminAccountById(env.DB, adminId);
+    if (!account) {
+      return error('Account not found', 404);
+    }
+
+    const body = await request.json();
+    const updates = {};
+
+    if (body.displayName !== undefined) {
+      updates.displayName = sanitizeString(body.displayName, 128);
+    }
+    if (body.role !== undefined) {
+      if (!isValidRole(body.role)) {
+        return error(`Invalid role. Allowed: ${ROLES.join(', ')}`, 400);
+      }
+      updates.role = body.role;
+    }
+    if (body.isActive !== undefined) {
+      updates.isActive = Boolean(body.isActive);
+    }
+    if (body.password !== undefined) {
+      if (body.password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+        return error(`Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`, 400);
+      }
+      updates.passwordHash = await hashPassword(body.password);
+    }
+
+    // Prevent locking yourself out from the accounts screen
+    const current = await getAdmin(request, env);
+    if (current.id === adminId && (updates.role !== undefined || updates.isActive === false)) {
+      return error('You cannot change your own role or deactivate yourself', 400);
+    }
+
+    await accountsDb.updateAdminAccount(env.DB, adminId, updates);
+    if (updates.role !== undefined || updates.isActive !== undefined || updates.passwordHash !== undefined) {
+      await accountsDb.deleteAdminSessionsFor(env.DB, adminId);
+    }
+
+    const updated = await accountsDb.getAdminAccountById(env.DB, adminId);
+    const { passwordHash, ...visibleUpdates } = updates;
+    await recordAudit(request, env, {
+      action: 'account.update',
+      targetType: 'account',
+      targetId: adminId,
+      targetLabel: account.username,
+      before: { displayName: account.display_name, role: account.role, isActive: !!account.is_active },
+      after: { ...visibleUpdates, ...(passwordHash && { passwordChanged: true }) }
+    });
+
+    return json({ success: true, account: formatAccount(updated) });
+  } catch (error_) {
+    console.error('Error updating admin account:', error_);
+    return error('Failed to update admin account', 500);
+  }
+}
+
+/**
+ * DELETE /api/admin/accounts/:id - Delete an admin account
+ */
+export async function deleteAdminAccount(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const adminId = Number.parseInt(params.id, 10);
+    if (Number.isNaN(adminId)) {
+      return error('Invalid account ID', 400);
+    }
+
+    const current = await getAdmin(request, env);
+    if (current.id === adminId) {
+      return error('You cannot delete your own account', 400);
+    }
+
+    const account = await accountsDb.getAdminAccountById(env.DB, adminId);
+    const deleted = await accountsDb.deleteAdminAccount(env.DB, adminId);
+    if (!deleted) {
+      return error('Account not found', 404);
+    }
+    await recordAudit(request, env, {
+      action: 'account.delete',
+      targetType: 'account',
+      targetId: adminId,
+      targetLabel: account.username,
+      before: { displayName: account.display_name, role: account.role }
+    });
+
+    return json({ success: true });
+  } catch (error_) {
+    console.error('Error deleting admin account:', error_);
+    return error('Failed to delete admin account', 500);
+  }
+}
@@ -1,14 +1,49 @@
 /**
  * Admin archive API handlers
  * Manages yearly event archiving with GDPR compliance
+ *
+ * Routes name an archive by its year and, for archives taken from an event,
+ * the ?event_id= of that event (not the event selected in the dashboard).
  */
 
 import { json, error } from '../../lib/router.js';
 import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
+import { getEventId } from '../../shared/events.js';
 import * as archivesDb from '../../database/db.archives.js';
+import * as eventsDb from '../../database/db.events.js';
 
 // Error messages
 const ERR_INVALID_YEAR = 'Invalid year';
+const ERR_INVALID_EVENT = 'Invalid event ID';
+
+/**
+ * Read the archive a request targets
+ * @returns {{year: number, eventId: number|null, error?: string}}
+ */
+function getArchiveKey(request, params) {
+  const year = Number.parseInt(params.year, 10);
+  const eventParam = new URL(request.url).searchParams.get('event_id');
+  const eventId = eventParam ? Number.parseInt(eventParam, 10) : null;
+
+  if (Number.isNaN(year)) return { year, eventId, error: ERR_INVALID_YEAR };
+  if (Number.isNaN(eventId)) return { year, eventId, error: ERR_INVALID_EVENT };
+  return { year, eventId };
+}
+
+/**
+ * Find the ID of an event of this deployment by slug
+ * @returns {Promise<number|null>} null if unknown or before migration 022
+ */
+async function findEventIdBySlug(env, slug) {
+  if (!slug) return null;
+  try {
+    return (await eventsDb.findEvent(env.DB, slug))?.id ?? null;
+  } catch {
+    // Events table not migrated yet
+    return null;
+  }
+}
 
 /**
  * GET /api/admin/archives - List all archives
@@ -23,6 +58,7 @@ export async function listArchives(request, env) {
     
     // Parse stats for each archive
     const archivesWithStats = archives.map(archive => ({
+      event_id: archive.event_id,
       event_year: archive.event_year,
       archived_at: archive.archived_at,
       expiration_date: archive.expiration_date,
@@ -40,6 +76,23 @@ export async function listArchives(request, env) {
   }
 }
 
+/**
+ * GET /api/admin/archives/compare - Year-over-year figures across all archives
+ */
+export async function compareArchives(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const years = await archivesDb.getArchivesComparison(env.DB);
+    return json({ years });
+  } catch (error_) {
+    console.error('Error comparing archives:', error_);
+    return error('Failed to compare archives', 500);
+  }
+}
+
 /**
  * GET /api/admin/archives/:year - Get archive by year
  */
@@ -49,15 +102,15 @@ export async function getArchive(request, env, ctx, params) {
   }
 
   try {
-    const year = Number.parseInt(params.year, 10);
-    if (Number.isNaN(year)) {
-      return error(ERR_INVALID_YEAR, 400);
+    const { year, eventId, error: keyError } = getArchiveKey(request, params);
+    if (keyError) {
+      return error(keyError, 400);
     }
 
     // Check and apply expiration if needed
-    await archivesDb.checkAndApplyExpiration(env.DB, year);
+    await archivesDb.checkAndApplyExpiration(env.DB, year, eventId, archivesDb.getChainSecret(env));
 
-    const archive = await archivesDb.getArchiveByYear(env.DB, year);
+    const archive = await archivesDb.getArchiveByYear(env.DB, year, eventId);
     if (!archive) {
       return error('Archive not found', 404);
     }
@@ -70,7 +123,7 @@ export async function getArchive(request, env, ctx, params) {
 }
 
 /**
- * POST /api/admin/archives - Create new archive
+ * POST /api/admin/archives - Create the archive of the selected event
  */
 export async function createArchive(request, env) {
   if (!await verifyAdmin(request, env)) {
@@ -78,6 +131,7 @@ export async function createArchive(request, env) {
   }
 
   try {
+    const eventId = await getEventId(request, env);
     const body = await request.json().catch(() => ({}));
     
   // Get year from body or detect it
@@ -88,27 +142,34 @@ export async function createArchive(request, env) {
       return error(ERR_INVALID_YEAR, 400);
     }
   } else {
-    year = await archivesDb.detectEventYear(env.DB);
+    year = await archivesDb.detectEventYear(env.DB, eventId);
   }
 
     // Check if archive already exists
-    const exists = await archivesDb.archiveExists(env.DB, year);
+    const exists = await archivesDb.archiveExists(env.DB, year, eventId);
     if (exists) {
       return error(`Archive for ${year} already exists`, 409);
     }
 
     // Check if there's data to archive
-    const counts = await archivesDb.getDataCounts(env.DB);
+    const counts = await archivesDb.getDataCounts(env.DB, eventId);
     if (counts.teams === 0 && counts.members === 0) {
       return error('No data to archive', 400);
     }
 
     // Create the archive
-    const archive = await archivesDb.createArchive(env.DB, year);
+    const archive = await archivesDb.createArchive(env.DB, year, eventId, archivesDb.getChainSecret(env));
+    await recordAudit(request, env, {
+      action: 'archive.create',
+      targetType: 'archive',
+      targetId: year,
+      after: { total_teams: archive.total_teams, total_participants: archive.total_participants }
+    });
 
     return json({
       success: true,
       archive: {
+        event_id: archive.event_id,
         event_year: archive.event_year,
         total_teams: archive.total_teams,
         total_participants: archive.total_participants,
@@ -131,18 +192,20 @@ export async function exportArchive(request, env, ctx, params) {
   }
 
   try {
-    const year = Number.parseInt(params.year, 10);
-    if (Number.isNaN(year)) {
-      return error(ERR_INVALID_YEAR, 400);
+    const { year, eventId, error: keyError } = getArchiveKey(request, params);
+    if (keyError) {
+      return error(keyError, 400);
     }
 
     // Check and apply expiration if needed
-    await archivesDb.checkAndApplyExpiration(env.DB, year);
+    await archivesDb.checkAndApplyExpiration(env.DB, year, eventId, archivesDb.getChainSecret(env));
 
-    const archive = await archivesDb.getArchiveByYear(env.DB, year);
+    const archive = await archivesDb.getArchiveByYear(env.DB, year, eventId);
     if (!archive) {
       return error('Archive not found', 404);
     }
+    // The slug lets an import find the same event again
+    const event = eventId === null ? null : await eventsDb.findEvent(env.DB, eventId);
 
     // Return structured JSON export
     return json({
@@ -150,6 +213,7 @@ export async function exportArchive(request, env, ctx, params) {
       export: {
         metadata: {
           event_year: archive.event_year,
+          event_slug: event?.slug ?? null,
           archived_at: archive.archived_at,
           expiration_date: archive.expiration_date,
           is_expired: archive.is_expired,
@@ -170,6 +234,99 @@ export async function exportArchive(request, env, ctx, params) {
   }
 }
 
+/**
+ * POST /api/admin/archives/import - Import an archive from its JSON export
+ * Body: { archive: <export file>, overwrite?: boolean, restore?: boolean }
+ * The archive belongs to the event named by metadata.event_slug if this
+ * deployment has it. restore also recreates the archived teams and members in
+ * the live tables of the selected event; it requires that no member is registered
+ */
+export async function importArchive(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const eventId = await getEventId(request, env);
+    const body = await request.json().catch(() => ({}));
+
+    const parsed = archivesDb.parseArchiveExport(body.archive);
+    if (!parsed.valid) {
+      return error(`Invalid archive export: ${parsed.errors.join('; ')}`, 400);
+    }
+    const archive = parsed.value;
+    const archiveEventId = await findEventIdBySlug(env, archive.eventSlug);
+
+    if (!body.overwrite && await archivesDb.archiveExists(env.DB, archive.year, archiveEventId)) {
+      return error(`Archive for ${archive.year} already exists`, 409);
+    }
+
+    if (body.restore) {
+      const counts = await archivesDb.getDataCounts(env.DB, eventId);
+      if (counts.members > 0) {
+        return error('Reset current data before restoring an archive', 409);
+      }
+    }
+
+    const { replaced, restored } = await archivesDb.importArchive(
+      env.DB,
+      archive,
+      archiveEventId,
+      archivesDb.getChainSecret(env),
+      { restore: !!body.restore, restoreEventId: eventId }
+    );
+
+    await recordAudit(request, env, {
+      action: 'archive.import',
+      targetType: 'archive',
+      targetId: archive.year,
+      after: { total_teams: archive.teams.length, total_participants: archive.members.length, replaced, restored }
+    });
+
+    return json({
+      success: true,
+      archive: {
+        event_id: archiveEventId,
+        event_year: archive.year,
+        total_teams: archive.teams.length,
+        total_participants: archive.members.length,
+        is_expired: archive.isExpired
+      },
+      replaced,
+      restored
+    }, 201);
+  } catch (error_) {
+    console.error('Error importing archive:', error_);
+    return error('Failed to import archive', 500);
+  }
+}
+
+/**
+ * GET /api/admin/archives/:year/verify - Recompute the archive hash and check its hash chain
+ */
+export async function verifyArchiveIntegrity(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const { year, eventId, error: keyError } = getArchiveKey(request, params);
+    if (keyError) {
+      return error(keyError, 400);
+    }
+
+    const result = await archivesDb.verifyArchive(env.DB, year, eventId, archivesDb.getChainSecret(env));
+    if (!result) {
+      return error('Archive not found', 404);
+    }
+
+    return json(result);
+  } catch (error_) {
+    console.error('Error verifying archive:', error_);
+    return error('Failed to verify archive', 500);
+  }
+}
+
 /**
  * POST /api/admin/archives/check-expiration - Trigger GDPR expiration check
  */
@@ -179,8 +336,17 @@ export async function checkExpiration(request, env) {
   }
 
   try {
-    const results = await archivesDb.checkAllExpirations(env.DB);
-    
+    const results = await archivesDb.checkAllExpirations(env.DB, archivesDb.getChainSecret(env));
+    const updated = results.filter(r => r.updated);
+    if (updated.length > 0) {
+      await recordAudit(request, env, {
+        action: 'archive.expire',
+        targetType: 'archive',
+        targetId: updated.map(r => r.year),
+        after: { expired: updated.length }
+      });
+    }
+
     return json({
       checked: results.length,
       expired: results.filter(r => r.expired).length,
@@ -202,7 +368,8 @@ export async function getEventYear(request, env) {
   }
 
   try {
-    const year = await archivesDb.detectEventYear(env.DB);
+    const eventId = await getEventId(request, env);
+    const year = await archivesDb.detectEventYear(env.DB, eventId);
     return json({ year });
   } catch (error_) {
     console.error('Error getting event year:', error_);
@@ -219,6 +386,7 @@ export async function resetData(request, env) {
   }
 
   try {
+    const eventId = await getEventId(request, env);
     const body = await request.json().catch(() => ({}));
     
     // Require confirmation
@@ -227,14 +395,14 @@ export async function resetData(request, env) {
     }
 
     // Get current year
-    const year = await archivesDb.detectEventYear(env.DB);
+    const year = await archivesDb.detectEventYear(env.DB, eventId);
     
-    // Check if archive exists for current year
-    const archiveExists = await archivesDb.archiveExists(env.DB, year);
+    // Check if the event has its archive
+    const archiveExists = await archivesDb.archiveExists(env.DB, year, eventId);
     
     // If no archive and not forcing, suggest creating one
     if (!archiveExists && !body.force) {
-      const counts = await archivesDb.getDataCounts(env.DB);
+      const counts = await archivesDb.getDataCounts(env.DB, eventId);
       return json({
         warning: 'no_archive',
         message: `No archive exists for ${year}. Create one before resetting?`,
@@ -245,14 +413,20 @@ export async function resetData(request, env) {
 
     // If createArchiveFirst is set, create archive before reset
     if (body.createArchiveFirst && !archiveExists) {
-      const counts = await archivesDb.getDataCounts(env.DB);
+      const counts = await archivesDb.getDataCounts(env.DB, eventId);
       if (counts.teams > 0 || counts.members > 0) {
-        await archivesDb.createArchive(env.DB, year);
+        await archivesDb.createArchive(env.DB, year, eventId, archivesDb.getChainSecret(env));
       }
     }
 
     // Perform reset
-    const result = await archivesDb.resetAllData(env.DB);
+    const result = await archivesDb.resetAllData(env.DB, eventId);
+    await recordAudit(request, env, {
+      action: 'data.reset',
+      targetType: 'event',
+      targetId: year,
+      after: { deleted: result, archiveCreated: !!(body.createArchiveFirst && !archiveExists) }
+    });
 
     return json({
       success: true,
@@ -274,9 +448,10 @@ export async function checkResetSafety(request, env) {
   }
 
   try {
-    const year = await archivesDb.detectEventYear(env.DB);
-    const archiveExists = await archivesDb.archiveExists(env.DB, year);
-    const counts = await archivesDb.getDataCounts(env.DB);
+    const eventId = await getEventId(request, env);
+    const year = await archivesDb.detectEventYear(env.DB, eventId);
+    const archiveExists = await archivesDb.archiveExists(env.DB, year, eventId);
+    const counts = await archivesDb.getDataCounts(env.DB, eventId);
 
     // Calculate if there's any data in the database
     const hasData = counts.teams > 0 || counts.members > 0 || counts.payments > 0;
@@ -322,19 +497,22 @@ export async function deleteArchive(request, env, ctx, params) {
   }
 
   try {
-    const year = Number.parseInt(params.year, 10);
-    if (Number.isNaN(year)) {
-      return error(ERR_INVALID_YEAR, 400);
+    const { year, eventId, error: keyError } = getArchiveKey(request, params);
+    if (keyError) {
+      return error(keyError, 400);
     }
 
     // Check if archive exists
-    const exists = await archivesDb.archiveExists(env.DB, year);
+    const exists = await archivesDb.archiveExists(env.DB, year, eventId);
     if (!exists) {
       return error(`Archive for ${year} not found`, 404);
     }
 
     // Delete the archive
-    const deleted = await archivesDb.deleteArchive(env.DB, year);
+    const deleted = await archivesDb.deleteArchive(env.DB, year, eventId, archivesDb.getChainSecret(env));
+    if (deleted) {
+      await recordAudit(request, env, { action: 'archive.delete', targetType: 'archive', targetId: year });
+    }
 
     return deleted
       ? json({ success: true, message: `Archive for ${year} has been deleted` })
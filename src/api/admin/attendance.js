@@ -5,6 +5,10 @@
 import { json, error } from '../../lib/router.js';
 import * as db from '../../lib/db.js';
 import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit, memberLabel } from '../../shared/audit.js';
+import { verifyTicketToken } from '../../shared/tickets.js';
+import { detectEventYear, addPastYears } from '../../database/db.archives.js';
+import { getEventId } from '../../shared/events.js';
 
 /**
  * GET /api/admin/attendance - Get all members with attendance status
@@ -15,9 +19,10 @@ export async function getAttendance(request, env) {
   }
 
   try {
-    const members = await db.getAllMembersWithPayment(env.DB);
-    const stats = await db.getAttendanceStats(env.DB);
-    const paymentStats = await db.getPaymentStats(env.DB);
+    const eventId = await getEventId(request, env);
+    const members = await addPastYears(env.DB, await db.getAllMembersWithPayment(env.DB, eventId));
+    const stats = await db.getAttendanceStats(env.DB, eventId);
+    const paymentStats = await db.getPaymentStats(env.DB, eventId);
 
     return json({
       members,
@@ -29,6 +34,7 @@ export async function getAttendance(request, env) {
         payment: {
           total_paid: paymentStats?.total_paid || 0,
           total_revenue: paymentStats?.total_revenue || 0,
+          total_refunded: paymentStats?.total_refunded || 0,
           asso_members: paymentStats?.asso_members || 0,
           asso_revenue: paymentStats?.asso_revenue || 0,
           non_members: paymentStats?.non_members || 0,
@@ -85,6 +91,14 @@ export async function checkInMember(request, env, ctx, params) {
     }
 
     const updated = await db.getMemberById(env.DB, memberId);
+    await recordAudit(request, env, {
+      action: 'attendance.check_in',
+      targetType: 'member',
+      targetId: memberId,
+      targetLabel: memberLabel(member),
+      before: { checked_in: member.checked_in, payment_tier: member.payment_tier, payment_amount: member.payment_amount },
+      after: { checked_in: updated.checked_in, payment_tier: updated.payment_tier, payment_amount: updated.payment_amount }
+    });
 
     return json({
       success: true,
@@ -103,6 +117,80 @@ export async function checkInMember(request, env, ctx, params) {
   }
 }
 
+/**
+ * POST /api/admin/attendance/scan - Check in a member from their ticket QR code
+ * Rejects forged tickets, tickets from another event year and tickets already used
+ */
+export async function scanTicket(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const { token } = await request.json();
+
+    const ticket = await verifyTicketToken(env, token);
+    if (!ticket) {
+      return error('Invalid ticket', 400);
+    }
+
+    const eventId = await getEventId(request, env);
+    const eventYear = await detectEventYear(env.DB, eventId);
+    if (ticket.year !== eventYear) {
+      return error(`Ticket is for ${ticket.year}, not ${eventYear}`, 400);
+    }
+
+    const member = await db.getMemberById(env.DB, ticket.memberId);
+    if (!member) {
+      return error('Member not found', 404);
+    }
+    if ((member.event_id ?? null) !== eventId) {
+      return error('Ticket is for another event', 400);
+    }
+    if (member.checked_in) {
+      return error('Member already checked in', 409);
+    }
+
+    // Guarded update so two scanners racing on the same ticket can't both succeed
+    if (!await db.checkInWithTicket(env.DB, member.id)) {
+      return error('Ticket already used', 409);
+    }
+
+    // Online payments are confirmed the same way as a manual check-in
+    if (member.payment_status === 'paid') {
+      const tier = member.registration_tier === 'tier1' ? 'online_tier1' : 'online_tier2';
+      await db.checkInWithPayment(env.DB, member.id, tier, member.payment_amount);
+    }
+
+    const updated = await db.getMemberById(env.DB, member.id);
+    const team = await db.getTeamById(env.DB, member.team_id);
+    await recordAudit(request, env, {
+      action: 'attendance.scan',
+      targetType: 'member',
+      targetId: member.id,
+      targetLabel: memberLabel(member),
+      before: { checked_in: member.checked_in },
+      after: { checked_in: updated.checked_in, payment_tier: updated.payment_tier }
+    });
+
+    return json({
+      success: true,
+      member: {
+        id: updated.id,
+        first_name: updated.first_name,
+        last_name: updated.last_name,
+        team_name: team?.name || '',
+        checked_in_at: updated.checked_in_at,
+        payment_status: updated.payment_status,
+        payment_tier: updated.payment_tier
+      }
+    });
+  } catch (error_) {
+    console.error('Error scanning ticket:', error_);
+    return error('Failed to scan ticket', 500);
+  }
+}
+
 /**
  * POST /api/admin/attendance/check-out/:id - Check out a member (revoke attendance)
  */
@@ -123,6 +211,14 @@ export async function checkOutMember(request, env, ctx, params) {
     if (!success) {
       return error('Failed to check out member', 500);
     }
+    await recordAudit(request, env, {
+      action: 'attendance.check_out',
+      targetType: 'member',
+      targetId: memberId,
+      targetLabel: memberLabel(member),
+      before: { checked_in: member.checked_in, checked_in_at: member.checked_in_at, payment_tier: member.payment_tier, payment_amount: member.payment_amount },
+      after: { checked_in: 0 }
+    });
 
     return json({
       success: true,
@@ -156,7 +252,14 @@ export async function checkInMembersBatch(request, env) {
       return error('memberIds array is required', 400);
     }
 
-    const count = await db.checkInMembers(env.DB, memberIds.map(id => Number.parseInt(id, 10)));
+    const parsedIds = memberIds.map(id => Number.parseInt(id, 10));
+    const count = await db.checkInMembers(env.DB, parsedIds);
+    await recordAudit(request, env, {
+      action: 'attendance.check_in_batch',
+      targetType: 'member',
+      targetId: parsedIds,
+      after: { checked_in: count }
+    });
 
     return json({ success: true, checked_in: count });
   } catch (error_) {
@@ -180,7 +283,14 @@ export async function checkOutMembersBatch(request, env) {
       return error('memberIds array is required', 400);
     }
 
-    const count = await db.checkOutMembers(env.DB, memberIds.map(id => Number.parseInt(id, 10)));
+    const parsedIds = memberIds.map(id => Number.parseInt(id, 10));
+    const count = await db.checkOutMembers(env.DB, parsedIds);
+    await recordAudit(request, env, {
+      action: 'attendance.check_out_batch',
+      targetType: 'member',
+      targetId: parsedIds,
+      after: { checked_out: count }
+    });
 
     return json({ success: true, checked_out: count });
   } catch (error_) {
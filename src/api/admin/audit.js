@@ -0,0 +1,47 @@
+/**
+ * Admin audit log handlers
+ */
+
+import { json, error } from '../../lib/router.js';
+import * as auditDb from '../../database/db.admin-audit.js';
+import { verifyAdmin } from '../../shared/auth.js';
+
+const MAX_AUDIT_LIMIT = 500;
+
+/**
+ * GET /api/admin/audit - List audit entries
+ * Query params: actor, action, target_type, target_id, from, to, limit, offset
+ */
+export async function getAuditLog(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await auditDb.adminAuditTableExists(env.DB)) {
+      return json({ entries: [], total: 0, actors: [], actions: [] });
+    }
+
+    const url = new URL(request.url);
+    const params = url.searchParams;
+    const limit = Math.min(Number.parseInt(params.get('limit'), 10) || 100, MAX_AUDIT_LIMIT);
+    const offset = Math.max(Number.parseInt(params.get('offset'), 10) || 0, 0);
+
+    const { entries, total } = await auditDb.getAuditEntries(env.DB, {
+      actor: params.get('actor'),
+      action: params.get('action'),
+      targetType: params.get('target_type'),
+      targetId: params.get('target_id'),
+      from: params.get('from'),
+      to: params.get('to'),
+      limit,
+      offset
+    });
+    const facets = await auditDb.getAuditFacets(env.DB);
+
+    return json({ entries, total, limit, offset, ...facets });
+  } catch (error_) {
+    console.error('Error fetching audit log:', error_);
+    return error('Failed to fetch audit log', 500);
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Admin email outbox handlers
+ */
+
+import { json, error } from '../../lib/router.js';
+import * as outboxDb from '../../database/db.email-outbox.js';
+import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
+import { deliverEmail, retryFailedEmails, hasMaskedSecret, MAX_ATTEMPTS } from '../../features/email/email.outbox.js';
+import { DEFAULT_TEMPLATES, getTemplate } from '../../features/email/email.templates.js';
+
+const MAX_OUTBOX_LIMIT = 500;
+const VALID_STATUSES = new Set(['pending', 'sent', 'failed']);
+
+/**
+ * GET /api/admin/emails - List outbox messages
+ * Query params: status, limit, offset
+ */
+export async function getEmails(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await outboxDb.emailOutboxTableExists(env.DB)) {
+      return json({ messages: [], total: 0, counts: { pending: 0, sent: 0, failed: 0 }, maxAttempts: MAX_ATTEMPTS });
+    }
+
+    const params = new URL(request.url).searchParams;
+    const status = params.get('status');
+    if (status && !VALID_STATUSES.has(status)) {
+      return error('Invalid status', 400);
+    }
+    const limit = Math.min(Number.parseInt(params.get('limit'), 10) || 100, MAX_OUTBOX_LIMIT);
+    const offset = Math.max(Number.parseInt(params.get('offset'), 10) || 0, 0);
+
+    const { messages, total } = await outboxDb.getOutbox(env.DB, { status, limit, offset });
+    const counts = await outboxDb.getOutboxCounts(env.DB);
+
+    return json({ messages, total, counts, limit, offset, maxAttempts: MAX_ATTEMPTS });
+  } catch (error_) {
+    console.error('Error fetching emails:', error_);
+    return error('Failed to fetch emails', 500);
+  }
+}
+
+/**
+ * GET /api/admin/emails/templates - List templates with their current content
+ */
+export async function getEmailTemplates(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const templates = [];
+    for (const [name, defaults] of Object.entries(DEFAULT_TEMPLATES)) {
+      const current = await getTemplate(env.DB, name);
+      templates.push({
+        name,
+        label: defaults.label,
+        placeholders: defaults.placeholders,
+        subject: current.subject,
+        body: current.body,
+        customized: current.subject !== defaults.subject || current.body !== defaults.body,
+        defaults: { subject: defaults.subject, body: defaults.body }
+      });
+    }
+
+    return json({ templates });
+  } catch (error_) {
+    console.error('Error fetching email templates:', error_);
+    return error('Failed to fetch email templates', 500);
+  }
+}
+
+/**
+ * POST /api/admin/emails/:id/resend - Send a message again, whatever its status
+ */
+export async function resendEmail(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const id = Number.parseInt(params.id, 10);
+    const message = await outboxDb.getEmailById(env.DB, id);
+    if (!message) {
+      return error('Email not found', 404);
+    }
+    if (hasMaskedSecret(message)) {
+      return error('This email held a password that was not stored; regenerate the password instead', 409);
+    }
+
+    const sent = await deliverEmail(env, message);
+    const updated = await outboxDb.getEmailById(env.DB, id);
+    await recordAudit(request, env, {
+      action: 'email.resend',
+      targetType: 'email',
+      targetId: id,
+      targetLabel: `${message.template} → ${message.recipient}`,
+      before: { status: message.status, attempts: message.attempts },
+      after: { status: updated.status, attempts: updated.attempts }
+    });
+
+    if (!sent) {
+      return error(`Delivery failed: ${updated.last_error}`, 502);
+    }
+    return json({ success: true, message: updated });
+  } catch (error_) {
+    console.error('Error resending email:', error_);
+    return error('Failed to resend email', 500);
+  }
+}
+
+/**
+ * POST /api/admin/emails/retry - Retry every failed message with attempts left
+ */
+export async function retryEmails(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await outboxDb.emailOutboxTableExists(env.DB)) {
+      return json({ success: true, retried: 0, sent: 0 });
+    }
+
+    const result = await retryFailedEmails(env);
+    await recordAudit(request, env, {
+      action: 'email.retry',
+      targetType: 'email',
+      after: result
+    });
+
+    return json({ success: true, ...result });
+  } catch (error_) {
+    console.error('Error retrying emails:', error_);
+    return error('Failed to retry emails', 500);
+  }
+}
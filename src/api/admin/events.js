@@ -0,0 +1,244 @@
+/**
+ * Admin event handlers - list, create, update and archive events
+ */
+
+import { json, error } from '../../lib/router.js';
+import * as eventsDb from '../../database/db.events.js';
+import * as archivesDb from '../../database/db.archives.js';
+import { sanitizeString } from '../../lib/validation.js';
+import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
+import { EVENT_SLUG_PATTERN } from '../../shared/events.js';
+
+const ERR_TABLE_MISSING = 'Events table missing. Run migrate-022-events.sql';
+
+/**
+ * Format an event for API responses
+ */
+function formatEvent(event) {
+  return {
+    id: event.id,
+    slug: event.slug,
+    name: event.name,
+    year: event.event_year,
+    isDefault: !!event.is_default,
+    status: event.status,
+    archivedAt: event.archived_at,
+    createdAt: event.created_at,
+    teamCount: event.team_count ?? 0,
+    memberCount: event.member_count ?? 0
+  };
+}
+
+/**
+ * Validate the editable fields of an event
+ * Missing fields are only an error when required (creation)
+ * @returns {{updates?: object, error?: string}}
+ */
+function validateEventFields(body, required) {
+  const updates = {};
+
+  if (body.slug !== undefined || required) {
+    const slug = sanitizeString(body.slug || '', 50).toLowerCase();
+    if (!EVENT_SLUG_PATTERN.test(slug)) {
+      return { error: 'Slug must be 2-50 characters (lowercase letters, digits, -) and start with a letter' };
+    }
+    updates.slug = slug;
+  }
+
+  if (body.name !== undefined || required) {
+    const name = sanitizeString(body.name || '', 128);
+    if (!name) {
+      return { error: 'Event name is required' };
+    }
+    updates.name = name;
+  }
+
+  if (body.year !== undefined || required) {
+    const eventYear = Number.parseInt(body.year, 10);
+    if (Number.isNaN(eventYear) || eventYear < 2000 || eventYear > 2100) {
+      return { error: 'Invalid year' };
+    }
+    updates.eventYear = eventYear;
+  }
+
+  return { updates };
+}
+
+/**
+ * GET /api/admin/events - List events
+ */
+export async function listEvents(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await eventsDb.eventsTableExists(env.DB)) {
+      return json({ events: [] });
+    }
+
+    const events = await eventsDb.getEvents(env.DB);
+    return json({ events: events.map(e => formatEvent(e)) });
+  } catch (error_) {
+    console.error('Error listing events:', error_);
+    return error('Failed to list events', 500);
+  }
+}
+
+/**
+ * POST /api/admin/events - Create an event
+ * Body: { slug, name, year }
+ */
+export async function createEventAdmin(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await eventsDb.eventsTableExists(env.DB)) {
+      return error(ERR_TABLE_MISSING, 400);
+    }
+
+    const body = await request.json();
+    const { updates, error: validationError } = validateEventFields(body, true);
+    if (validationError) {
+      return error(validationError, 400);
+    }
+
+    if (await eventsDb.findEvent(env.DB, updates.slug)) {
+      return error('Event slug already exists', 409);
+    }
+
+    const id = await eventsDb.createEvent(env.DB, updates);
+    if (body.isDefault) {
+      await eventsDb.updateEvent(env.DB, id, { isDefault: true });
+    }
+    const event = await eventsDb.findEvent(env.DB, id);
+    await recordAudit(request, env, {
+      action: 'event.create',
+      targetType: 'event',
+      targetId: id,
+      targetLabel: event.slug,
+      after: { name: event.name, year: event.event_year, isDefault: !!event.is_default }
+    });
+
+    return json({ success: true, event: formatEvent(event) }, 201);
+  } catch (error_) {
+    console.error('Error creating event:', error_);
+    return error('Failed to create event', 500);
+  }
+}
+
+/**
+ * PUT /api/admin/events/:id - Rename an event, change its year or make it the default
+ */
+export async function updateEventAdmin(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const eventId = Number.parseInt(params.id, 10);
+    if (Number.isNaN(eventId)) {
+      return error('Invalid event ID', 400);
+    }
+
+    const event = await eventsDb.findEvent(env.DB, eventId);
+    if (!event) {
+      return error('Event not found', 404);
+    }
+
+    const body = await request.json();
+    const { updates, error: validationError } = validateEventFields(body, false);
+    if (validationError) {
+      return error(validationError, 400);
+    }
+    if (body.isDefault) {
+      updates.isDefault = true;
+    }
+
+    if (updates.slug && updates.slug !== event.slug) {
+      const existing = await eventsDb.findEvent(env.DB, updates.slug);
+      if (existing) {
+        return error('Event slug already exists', 409);
+      }
+    }
+
+    if (!await eventsDb.updateEvent(env.DB, eventId, updates)) {
+      return error('No changes provided', 400);
+    }
+
+    const updated = await eventsDb.findEvent(env.DB, eventId);
+    await recordAudit(request, env, {
+      action: 'event.update',
+      targetType: 'event',
+      targetId: eventId,
+      targetLabel: updated.slug,
+      before: { slug: event.slug, name: event.name, year: event.event_year, isDefault: !!event.is_default },
+      after: { slug: updated.slug, name: updated.name, year: updated.event_year, isDefault: !!updated.is_default }
+    });
+
+    return json({ success: true, event: formatEvent(updated) });
+  } catch (error_) {
+    console.error('Error updating event:', error_);
+    return error('Failed to update event', 500);
+  }
+}
+
+/**
+ * POST /api/admin/events/:id/archive - Archive an event and remove its live data
+ * The event's archive is created unless it was already taken from the
+ * Archives tab, in which case the data it holds is already backed up.
+ */
+export async function archiveEventAdmin(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const eventId = Number.parseInt(params.id, 10);
+    if (Number.isNaN(eventId)) {
+      return error('Invalid event ID', 400);
+    }
+
+    const event = await eventsDb.findEvent(env.DB, eventId);
+    if (!event) {
+      return error('Event not found', 404);
+    }
+    if (event.status !== 'active') {
+      return error('Event is already archived', 400);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    if (body.confirmation !== 'ARCHIVER') {
+      return error('Confirmation required: type "ARCHIVER"', 400);
+    }
+
+    const year = event.event_year;
+    const counts = await archivesDb.getDataCounts(env.DB, eventId);
+    const hasData = counts.teams > 0 || counts.members > 0;
+    let archiveCreated = false;
+
+    if (hasData && !await archivesDb.archiveExists(env.DB, year, eventId)) {
+      await archivesDb.createArchive(env.DB, year, eventId, archivesDb.getChainSecret(env));
+      archiveCreated = true;
+    }
+
+    const deleted = await archivesDb.resetAllData(env.DB, eventId);
+    await eventsDb.markEventArchived(env.DB, eventId);
+    await recordAudit(request, env, {
+      action: 'event.archive',
+      targetType: 'event',
+      targetId: eventId,
+      targetLabel: event.slug,
+      before: { status: event.status },
+      after: { status: 'archived', year, archiveCreated, deleted }
+    });
+
+    return json({ success: true, archiveCreated, year, deleted });
+  } catch (error_) {
+    console.error('Error archiving event:', error_);
+    return error('Failed to archive event', 500);
+  }
+}
@@ -3,12 +3,49 @@
  */
 
 import { json, error } from '../../lib/router.js';
-import { generateCSV, createCSVResponse } from '../../lib/csv.js';
+import { generateCSV, createCSVResponse, escapeCSV } from '../../lib/csv.js';
 import * as db from '../../lib/db.js';
-import { getCapacitySettings } from '../../database/db.settings.js';
+import { getCapacitySettings, getCustomFields, getSetting } from '../../database/db.settings.js';
+import { addPastYears } from '../../database/db.archives.js';
+import * as schoolsDb from '../../database/db.schools.js';
+import * as answersDb from '../../database/db.custom-answers.js';
 import { verifyAdmin } from '../../shared/auth.js';
+import { getEventId } from '../../shared/events.js';
+import { getSchoolNames } from '../../shared/schools.js';
+import { formatAnswer, parseAnswers, TEAM_SCOPE } from '../../shared/custom-fields.js';
 
 const EXPORT_FAILED_MSG = 'Export failed';
+const DEFAULT_SCHOOL_NAME = "Université d'Evry";
+
+/**
+ * Get the school of members without one: school_name setting, then env, then default
+ */
+async function getDefaultSchoolName(env, eventId) {
+  try {
+    const dbSchoolName = await getSetting(env.DB, 'school_name', eventId);
+    if (dbSchoolName) return dbSchoolName;
+  } catch {
+    // Fall back to env value or default
+  }
+  return env.SCHOOL_NAME || DEFAULT_SCHOOL_NAME;
+}
+
+/**
+ * Get an event's custom questions with the answers given to them
+ * Answers stay empty until migration 028
+ * @returns {Promise<{fields: Array<object>, members: Map<number, object>, teams: Map<number, object>}>}
+ */
+async function getCustomAnswers(database, eventId) {
+  const fields = await getCustomFields(database, eventId);
+  if (fields.length === 0 || !await answersDb.customAnswersColumnExists(database)) {
+    return { fields, members: new Map(), teams: new Map() };
+  }
+  return {
+    fields,
+    members: await answersDb.getMemberAnswers(database, eventId),
+    teams: await answersDb.getTeamAnswers(database, eventId)
+  };
+}
 
 /**
  * GET /api/admin/members - Get all members
@@ -19,7 +56,7 @@ export async function listAllMembers(request, env) {
   }
 
   try {
-    const members = await db.getAllMembers(env.DB);
+    const members = await db.getAllMembers(env.DB, await getEventId(request, env));
     return json({ members });
   } catch (error_) {
     console.error('Error listing members:', error_);
@@ -36,8 +73,9 @@ export async function exportAllCSV(request, env) {
   }
 
   try {
-    const members = await db.getAllMembers(env.DB);
-    const csv = generateMembersCSV(members);
+    const eventId = await getEventId(request, env);
+    const members = await db.getAllMembers(env.DB, eventId);
+    const csv = generateMembersCSV(members, await getCustomAnswers(env.DB, eventId));
 
     return createCSVResponse(csv, 'participants.csv');
   } catch (error_) {
@@ -65,7 +103,7 @@ export async function exportTeamCSV(request, env, ctx, params) {
       team_name: team.name
     }));
 
-    const csv = generateMembersCSV(members);
+    const csv = generateMembersCSV(members, await getCustomAnswers(env.DB, team.event_id ?? null));
     const safeTeamName = team.name.replaceAll(/[^a-z0-9]/gi, '_');
 
     return createCSVResponse(csv, `participants_${safeTeamName}.csv`);
@@ -84,25 +122,12 @@ export async function exportOfficialCSV(request, env) {
   }
 
   try {
-    const members = await db.getAllMembers(env.DB);
-
-    // Get school name from settings with fallback
-    const DEFAULT_SCHOOL_NAME = "Université d'Evry";
-    let schoolName = DEFAULT_SCHOOL_NAME;
-    try {
-      const { getSetting } = await import('../../database/db.settings.js');
-      const dbSchoolName = await getSetting(env.DB, 'school_name');
-      if (dbSchoolName) {
-        schoolName = dbSchoolName;
-      } else if (env.SCHOOL_NAME) {
-        schoolName = env.SCHOOL_NAME;
-      }
-    } catch {
-      // Fall back to env value or default
-      if (env.SCHOOL_NAME) schoolName = env.SCHOOL_NAME;
-    }
+    const eventId = await getEventId(request, env);
+    const members = await db.getAllMembers(env.DB, eventId);
 
-    const csv = generateOfficialMembersCSV(members, schoolName);
+    const schoolName = await getDefaultSchoolName(env, eventId);
+    const schoolNames = await getSchoolNames(env.DB, eventId);
+    const csv = generateOfficialMembersCSV(members, schoolName, schoolNames);
 
     return createCSVResponse(csv, 'participants_officiel.csv');
   } catch (error_) {
@@ -130,22 +155,9 @@ export async function exportTeamOfficialCSV(request, env, ctx, params) {
       team_name: team.name
     }));
 
-    // Get school name from settings with fallback
-    const DEFAULT_SCHOOL_NAME = "Université d'Evry";
-    let schoolName = DEFAULT_SCHOOL_NAME;
-    try {
-      const { getSetting } = await import('../../database/db.settings.js');
-      const dbSchoolName = await getSetting(env.DB, 'school_name');
-      if (dbSchoolName) {
-        schoolName = dbSchoolName;
-      } else if (env.SCHOOL_NAME) {
-        schoolName = env.SCHOOL_NAME;
-      }
-    } catch {
-      if (env.SCHOOL_NAME) schoolName = env.SCHOOL_NAME;
-    }
-
-    const csv = generateOfficialMembersCSV(members, schoolName);
+    const schoolName = await getDefaultSchoolName(env, team.event_id ?? null);
+    const schoolNames = await getSchoolNames(env.DB, team.event_id ?? null);
+    const csv = generateOfficialMembersCSV(members, schoolName, schoolNames);
     const safeTeamName = team.name.replaceAll(/[^a-z0-9]/gi, '_');
 
     return createCSVResponse(csv, `participants_officiel_${safeTeamName}.csv`);
@@ -164,16 +176,25 @@ export async function adminStats(request, env) {
   }
 
   try {
-    const teamsExcludingOrg = await db.getTeamsExcludingOrg(env.DB);
-    const participantsExcludingOrg = await db.getParticipantsExcludingOrg(env.DB);
-    const foodStats = await db.getFoodStats(env.DB);
+    const eventId = await getEventId(request, env);
+    const teamsExcludingOrg = await db.getTeamsExcludingOrg(env.DB, eventId);
+    const participantsExcludingOrg = await db.getParticipantsExcludingOrg(env.DB, eventId);
+    const foodStats = await db.getFoodStats(env.DB, eventId);
 
     // Get capacity from D1 settings with env fallback
-    const capacity = await getCapacitySettings(env.DB, env);
+    const capacity = await getCapacitySettings(env.DB, env, eventId);
     const maxTotal = capacity.maxTotalParticipants;
 
     // Get all teams with members in 2 queries (avoids N+1)
-    const teamsWithMembers = await db.getAllTeamsWithMembers(env.DB);
+    const teamsWithMembers = await db.getAllTeamsWithMembers(env.DB, eventId);
+    await addPastYears(env.DB, teamsWithMembers.flatMap(team => team.members || []));
+
+    const custom = await getCustomAnswers(env.DB, eventId);
+    const teams = teamsWithMembers.map(team => ({
+      ...team,
+      custom_answers: custom.teams.get(team.id) || {},
+      members: team.members.map(m => ({ ...m, custom_answers: parseAnswers(m.custom_answers) }))
+    }));
 
     return json({
       stats: {
@@ -182,9 +203,11 @@ export async function adminStats(request, env) {
         max_participants: maxTotal,
         available_spots: Math.max(0, maxTotal - participantsExcludingOrg),
         food_preferences: foodStats,
-        bac_level_distribution: await getBacLevelStats(env.DB)
+        bac_level_distribution: await getBacLevelStats(env.DB, eventId),
+        schools: await getSchoolStats(env.DB, eventId)
       },
-      teams: teamsWithMembers
+      teams,
+      customFields: custom.fields
     });
   } catch (error_) {
     console.error('Error fetching admin stats:', error_);
@@ -195,8 +218,9 @@ export async function adminStats(request, env) {
 /**
  * Generate CSV from member data
  * Uses semicolon delimiter for European Excel compatibility
+ * Each custom question adds a column; team questions repeat the team's answer
  */
-function generateMembersCSV(members) {
+function generateMembersCSV(members, custom) {
   const headers = [
     'ID',
     'Prénom',
@@ -206,7 +230,9 @@ function generateMembersCSV(members) {
     'Niveau BAC',
     'Chef d\'équipe',
     'Pizza',
-    'Date d\'inscription'
+    'Date d\'inscription',
+    // Headers are not escaped, unlike the labels admins type
+    ...custom.fields.map(f => escapeCSV(f.label))
   ];
 
   const rows = members.map(m => [
@@ -218,7 +244,11 @@ function generateMembersCSV(members) {
     `BAC+${m.bac_level}`,
     m.is_leader ? 'Oui' : 'Non',
     m.food_diet || 'Aucune',
-    m.created_at
+    m.created_at,
+    ...custom.fields.map(f => {
+      const answers = f.scope === TEAM_SCOPE ? custom.teams.get(m.team_id) : custom.members.get(m.id);
+      return formatAnswer(f, answers?.[f.id]);
+    })
   ]);
 
   return generateCSV(headers, rows);
@@ -227,8 +257,9 @@ function generateMembersCSV(members) {
 /**
  * Generate official NDI format CSV
  * Format: prenom;nom;mail;niveauBac;equipe;estLeader (0\1);ecole
+ * Each member is exported with their own school, or schoolName without one
  */
-function generateOfficialMembersCSV(members, schoolName) {
+function generateOfficialMembersCSV(members, schoolName, schoolNames = new Map()) {
   const headers = [
     'prenom',
     'nom',
@@ -246,21 +277,37 @@ function generateOfficialMembersCSV(members, schoolName) {
     Number.parseInt(m.bac_level, 10) || 0,
     m.team_name,
     m.is_leader ? 1 : 0,
-    schoolName
+    schoolNames.get(m.school_id) || schoolName
   ]);
 
   return generateCSV(headers, rows);
 }
 
+/**
+ * Get participants, capacity and check-ins per school
+ */
+async function getSchoolStats(database, eventId) {
+  if (!await schoolsDb.schoolsTableExists(database)) return [];
+  const schools = await schoolsDb.getSchools(database, eventId);
+  return schools.map(s => ({
+    id: s.id,
+    name: s.name,
+    participants: s.member_count,
+    max_participants: s.max_participants,
+    checked_in: s.checked_in_count
+  }));
+}
+
 /**
  * Get BAC level distribution
  */
-async function getBacLevelStats(database) {
+async function getBacLevelStats(database, eventId) {
   const result = await database.prepare(`
     SELECT bac_level, COUNT(*) as count
     FROM members
+    WHERE deleted_at IS NULL AND event_id IS ?
     GROUP BY bac_level
     ORDER BY bac_level
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
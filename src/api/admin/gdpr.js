@@ -0,0 +1,135 @@
+/**
+ * Admin GDPR data subject request handlers
+ * Answer "send me my data" (access) and "delete me" (erasure) for one person
+ */
+
+import { json, error } from '../../lib/router.js';
+import { isValidEmail } from '../../lib/validation.js';
+import { verifyAdmin, getAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
+import { hashToken } from '../../shared/crypto.js';
+import * as gdprDb from '../../database/db.gdpr.js';
+import { getChainSecret } from '../../database/db.archives.js';
+
+/**
+ * Read and validate the email of a request body
+ * @returns {Promise<string|null>} Normalized email, null if invalid
+ */
+async function readSubjectEmail(request) {
+  const { email } = await request.json().catch(() => ({}));
+  const normalized = gdprDb.normalizeEmail(email);
+  return normalized && isValidEmail(normalized) ? normalized : null;
+}
+
+/**
+ * Log a handled request in gdpr_requests (migration 020) and the audit log
+ * The email itself is never logged, only its hash
+ * @returns {Promise<number|null>} Request ID, null if the table is missing
+ */
+async function logRequest(request, env, type, email, summary) {
+  const emailHash = await hashToken(email);
+  let id = null;
+
+  if (await gdprDb.gdprRequestsTableExists(env.DB)) {
+    const admin = await getAdmin(request, env);
+    id = await gdprDb.logGdprRequest(env.DB, {
+      type,
+      emailHash,
+      summary,
+      handledBy: admin?.username || null
+    });
+  }
+
+  await recordAudit(request, env, {
+    action: `gdpr.${type}`,
+    targetType: 'gdpr_request',
+    targetId: id,
+    after: summary
+  });
+
+  return id;
+}
+
+/**
+ * POST /api/admin/gdpr/access - Every trace of a person, as a downloadable JSON
+ * Body: { email }
+ */
+export async function exportSubjectData(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const email = await readSubjectEmail(request);
+    if (!email) {
+      return error('A valid email is required', 400);
+    }
+
+    const data = await gdprDb.findSubjectData(env.DB, email);
+    const summary = {
+      members: data.members.length,
+      payment_events: data.payment_events.length,
+      emails: data.emails.length,
+      team_changes: data.team_changes.length,
+      audit_entries: data.audit_entries.length,
+      waitlist: data.waitlist.length,
+      archives: data.archives.map(a => a.event_year)
+    };
+    await logRequest(request, env, 'access', email, summary);
+
+    return json({
+      filename: `gdpr-${email.replace(/[^a-z0-9]+/g, '-')}.json`,
+      export: {
+        email,
+        generated_at: new Date().toISOString(),
+        ...data
+      }
+    });
+  } catch (error_) {
+    console.error('Error exporting subject data:', error_);
+    return error('Failed to export personal data', 500);
+  }
+}
+
+/**
+ * POST /api/admin/gdpr/erase - Anonymize every trace of a person
+ * Body: { email }
+ */
+export async function eraseSubjectData(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const email = await readSubjectEmail(request);
+    if (!email) {
+      return error('A valid email is required', 400);
+    }
+
+    const summary = await gdprDb.eraseSubjectData(env.DB, email, getChainSecret(env));
+    const id = await logRequest(request, env, 'erasure', email, summary);
+
+    return json({ success: true, id, ...summary });
+  } catch (error_) {
+    console.error('Error erasing subject data:', error_);
+    return error('Failed to erase personal data', 500);
+  }
+}
+
+/**
+ * GET /api/admin/gdpr/requests - Handled requests, newest first
+ */
+export async function getGdprRequests(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const available = await gdprDb.gdprRequestsTableExists(env.DB);
+    const requests = available ? await gdprDb.getGdprRequests(env.DB) : [];
+    return json({ available, requests });
+  } catch (error_) {
+    console.error('Error getting GDPR requests:', error_);
+    return error('Failed to get GDPR requests', 500);
+  }
+}
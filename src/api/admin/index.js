@@ -5,10 +5,21 @@
  * The original monolithic admin.js has been split into:
  * - exports.js: CSV exports and statistics
  * - members.js: Member CRUD operations
- * - teams.js: Team CRUD operations
+ * - teams.js: Team CRUD operations and password regeneration
  * - attendance.js: Check-in/check-out operations
  * - pizza.js: Pizza distribution
- * - rooms.js: Room assignments
+ * - rooms.js: Rooms with capacity, room assignments, automatic assignment and printable rosters
+ * - waitlist.js: Waitlist listing and promotion
+ * - audit.js: Audit log of admin actions
+ * - trash.js: Restore soft-deleted teams and members
+ * - emails.js: Email outbox and templates
+ * - messages.js: Bulk messages to participants
+ * - payments.js: Refunds of online payments
+ * - maintenance.js: Scheduled maintenance history and manual runs
+ * - gdpr.js: GDPR access and erasure requests
+ * - events.js: Events of the deployment
+ * - schools.js: Schools and partner sites of an event
+ * - lockouts.js: Clients locked out after failed password or token attempts
  */
 
 // Auth re-export for backward compatibility
@@ -29,14 +40,18 @@ export {
   addMemberManually,
   updateMemberAdmin,
   deleteMemberAdmin,
-  deleteMembersBatch
+  deleteMembersBatch,
+  resendVerificationAdmin
 } from './members.js';
 
 // Team CRUD
 export {
   updateTeamAdmin,
   deleteTeamAdmin,
-  createTeamAdmin
+  createTeamAdmin,
+  regenerateTeamPasswordAdmin,
+  regenerateDefaultPasswordsAdmin,
+  getTeamChangesAdmin
 } from './teams.js';
 
 // Attendance
@@ -45,7 +60,8 @@ export {
   checkInMember,
   checkOutMember,
   checkInMembersBatch,
-  checkOutMembersBatch
+  checkOutMembersBatch,
+  scanTicket
 } from './attendance.js';
 
 // Pizza distribution
@@ -61,5 +77,84 @@ export {
 export {
   getRooms,
   setRoom,
-  setRoomsBatch
+  setRoomsBatch,
+  setRoomPreference,
+  autoAssignRooms,
+  createRoomAdmin,
+  updateRoomAdmin,
+  deleteRoomAdmin,
+  getRoomRosterPage,
+  getDoorSignsPage
 } from './rooms.js';
+
+// Waitlist
+export {
+  getWaitlist,
+  promoteWaitlistAdmin,
+  cancelWaitlistEntry
+} from './waitlist.js';
+
+// Audit log
+export { getAuditLog } from './audit.js';
+
+// Trash
+export {
+  getTrash,
+  restoreTeamAdmin,
+  restoreMemberAdmin
+} from './trash.js';
+
+// Email outbox
+export {
+  getEmails,
+  getEmailTemplates,
+  resendEmail,
+  retryEmails
+} from './emails.js';
+
+// Bulk messages
+export {
+  getMessages,
+  previewMessage,
+  createMessage,
+  sendMessageBatch,
+  getMessageReport
+} from './messages.js';
+
+// Payments
+export { refundPayment } from './payments.js';
+
+// Scheduled maintenance
+export {
+  getMaintenanceRuns,
+  runMaintenanceNow
+} from './maintenance.js';
+
+// GDPR requests
+export {
+  exportSubjectData,
+  eraseSubjectData,
+  getGdprRequests
+} from './gdpr.js';
+
+// Events
+export {
+  listEvents,
+  createEventAdmin,
+  updateEventAdmin,
+  archiveEventAdmin
+} from './events.js';
+
+// Schools
+export {
+  listSchools,
+  createSchoolAdmin,
+  updateSchoolAdmin,
+  deleteSchoolAdmin
+} from './schools.js';
+
+// Brute-force lockouts
+export {
+  listLockouts,
+  unlockLockout
+} from './lockouts.js';
@@ -0,0 +1,77 @@
+/**
+ * Admin lockout handlers - clients locked out after failed password or token attempts
+ */
+
+import { json, error } from '../../lib/router.js';
+import * as lockoutsDb from '../../database/db.auth-lockouts.js';
+import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
+
+/**
+ * Format a lockout for API responses
+ */
+function formatLockout(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    target: row.target,
+    teamName: row.team_name ?? null,
+    ip: row.ip,
+    failures: row.failures,
+    lockedUntil: row.locked_until,
+    firstFailureAt: row.first_failure_at,
+    lastFailureAt: row.last_failure_at
+  };
+}
+
+/**
+ * GET /api/admin/lockouts - Current lockouts
+ */
+export async function listLockouts(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await lockoutsDb.authFailuresTableExists(env.DB)) {
+      return json({ lockouts: [], available: false });
+    }
+
+    const lockouts = await lockoutsDb.getActiveLockouts(env.DB);
+    return json({ lockouts: lockouts.map(l => formatLockout(l)), available: true });
+  } catch (error_) {
+    console.error('Error fetching lockouts:', error_);
+    return error('Failed to fetch lockouts', 500);
+  }
+}
+
+/**
+ * DELETE /api/admin/lockouts/:id - Unlock a client and reset its failure count
+ */
+export async function unlockLockout(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const id = Number.parseInt(params.id, 10);
+    const lockout = await lockoutsDb.getAuthFailureById(env.DB, id);
+    if (!lockout) {
+      return error('Lockout not found', 404);
+    }
+
+    await lockoutsDb.deleteAuthFailure(env.DB, id);
+    await recordAudit(request, env, {
+      action: 'lockout.unlock',
+      targetType: 'lockout',
+      targetId: id,
+      targetLabel: `${lockout.scope} ${lockout.target} (${lockout.ip || 'IP inconnue'})`,
+      before: { failures: lockout.failures, lockedUntil: lockout.locked_until }
+    });
+
+    return json({ success: true });
+  } catch (error_) {
+    console.error('Error unlocking client:', error_);
+    return error('Failed to unlock', 500);
+  }
+}
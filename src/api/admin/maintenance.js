@@ -0,0 +1,66 @@
+/**
+ * Admin scheduled maintenance handlers
+ */
+
+import { json, error } from '../../lib/router.js';
+import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
+import * as jobsDb from '../../database/db.job-runs.js';
+import { getBaseUrl } from '../../shared/urls.js';
+import {
+  runMaintenance,
+  MAINTENANCE_JOB,
+  STALE_CHECKOUT_HOURS,
+  EMAIL_RETENTION_DAYS
+} from '../../features/maintenance/maintenance.jobs.js';
+
+/**
+ * GET /api/admin/maintenance - Recent maintenance runs, newest first
+ */
+export async function getMaintenanceRuns(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const available = await jobsDb.jobRunsTableExists(env.DB);
+    const runs = available ? await jobsDb.getJobRuns(env.DB, MAINTENANCE_JOB) : [];
+
+    return json({
+      available,
+      runs,
+      settings: {
+        staleCheckoutHours: STALE_CHECKOUT_HOURS,
+        emailRetentionDays: EMAIL_RETENTION_DAYS
+      }
+    });
+  } catch (error_) {
+    console.error('Error getting maintenance runs:', error_);
+    return error('Failed to get maintenance runs', 500);
+  }
+}
+
+/**
+ * POST /api/admin/maintenance/run - Run the scheduled maintenance now
+ */
+export async function runMaintenanceNow(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const run = await runMaintenance(env, 'manual', { baseUrl: getBaseUrl(request) });
+
+    await recordAudit(request, env, {
+      action: 'maintenance.run',
+      targetType: 'job_run',
+      targetId: run.id,
+      after: { status: run.status, results: run.results }
+    });
+
+    return json(run);
+  } catch (error_) {
+    console.error('Error running maintenance:', error_);
+    return error('Failed to run maintenance', 500);
+  }
+}
@@ -5,6 +5,12 @@
 import { json, error } from '../../lib/router.js';
 import * as db from '../../lib/db.js';
 import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit, diffRecords, memberLabel } from '../../shared/audit.js';
+import { promoteWaitlistSafely } from './waitlist.js';
+import { getEventId } from '../../shared/events.js';
+import { sendVerificationEmail, handleEmailChange } from '../../features/email/email.verification.js';
+import { getBaseUrl } from '../../shared/urls.js';
+import { checkMemberSchools } from '../../shared/schools.js';
 
 /**
  * POST /api/admin/members - Add member manually (no password required)
@@ -17,6 +23,7 @@ export async function addMemberManually(request, env) {
   try {
     const data = await request.json();
     const { teamId, firstName, lastName, email, bacLevel = 0, isLeader = false, foodDiet = '' } = data;
+    const schoolId = Number.parseInt(data.schoolId, 10) || null;
 
     if (!teamId || !firstName || !lastName || !email) {
       return error('Missing required fields: teamId, firstName, lastName, email', 400);
@@ -28,8 +35,21 @@ export async function addMemberManually(request, env) {
       return error('Team not found', 404);
     }
 
+    // Admins may leave the school empty or exceed its capacity
+    const schools = await checkMemberSchools(env.DB, [{ schoolId }], team.event_id ?? null, { required: false, enforceCapacity: false });
+    if (schools.error) {
+      return error(schools.error, 400);
+    }
+
     const member = await db.addMemberAdmin(env.DB, teamId, {
-      firstName, lastName, email, bacLevel, isLeader, foodDiet
+      firstName, lastName, email, bacLevel, isLeader, foodDiet, schoolId: schools.members[0].schoolId
+    });
+    await recordAudit(request, env, {
+      action: 'member.create',
+      targetType: 'member',
+      targetId: member.id,
+      targetLabel: `${firstName} ${lastName}`,
+      after: { teamId, firstName, lastName, email, bacLevel, isLeader, foodDiet, schoolId: schools.members[0].schoolId }
     });
 
     return json({ success: true, member });
@@ -62,16 +82,99 @@ export async function updateMemberAdmin(request, env, ctx, params) {
       return error('Member not found', 404);
     }
 
+    if (updates.schoolId !== undefined) {
+      const eventId = updates.teamId === undefined ? member.event_id : await db.getTeamEventId(env.DB, updates.teamId);
+      const schoolId = Number.parseInt(updates.schoolId, 10) || null;
+      const schools = await checkMemberSchools(env.DB, [{ schoolId }], eventId ?? null, { required: false, enforceCapacity: false });
+      if (schools.error) {
+        return error(schools.error, 400);
+      }
+      updates.schoolId = schools.members[0].schoolId;
+    }
+
+    // Trashed members give their name up (db.updateMember), live ones keep it
+    const renamed = updates.firstName !== undefined || updates.lastName !== undefined || updates.teamId !== undefined;
+    if (renamed) {
+      const eventId = updates.teamId === undefined ? member.event_id : await db.getTeamEventId(env.DB, updates.teamId);
+      const firstName = updates.firstName ?? member.first_name;
+      const lastName = updates.lastName ?? member.last_name;
+      const unchanged = firstName === member.first_name && lastName === member.last_name && (eventId ?? null) === (member.event_id ?? null);
+      if (!unchanged && await db.memberExists(env.DB, firstName, lastName, eventId ?? null)) {
+        return error('Member with this name already exists', 409);
+      }
+    }
+
     await db.updateMember(env.DB, memberId, updates);
+    if (updates.email !== undefined && updates.email !== member.email) {
+      const team = await db.getTeamById(env.DB, member.team_id);
+      await handleEmailChange(env, { id: memberId, firstName: member.first_name, email: updates.email }, team?.name || '', getBaseUrl(request));
+    }
     const updated = await db.getMemberById(env.DB, memberId);
+    await recordAudit(request, env, {
+      action: 'member.update',
+      targetType: 'member',
+      targetId: memberId,
+      targetLabel: memberLabel(updated),
+      ...diffRecords(member, updated)
+    });
 
     return json({ success: true, member: updated });
   } catch (error_) {
     console.error('Error updating member:', error_);
+    if (error_.message?.includes('UNIQUE constraint')) {
+      return error('Member with this name already exists', 409);
+    }
     return error('Failed to update member', 500);
   }
 }
 
+/**
+ * POST /api/admin/members/:id/resend-verification - Send a new verification link
+ */
+export async function resendVerificationAdmin(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const memberId = Number.parseInt(params.id, 10);
+    if (Number.isNaN(memberId)) {
+      return error('Invalid member ID', 400);
+    }
+
+    const member = await db.getMemberById(env.DB, memberId);
+    if (!member) {
+      return error('Member not found', 404);
+    }
+    if (member.email_verified_at) {
+      return error('Email already verified', 400);
+    }
+
+    const team = await db.getTeamById(env.DB, member.team_id);
+    const result = await sendVerificationEmail(env, {
+      id: member.id,
+      firstName: member.first_name,
+      email: member.email
+    }, team?.name || '', getBaseUrl(request));
+
+    await recordAudit(request, env, {
+      action: 'member.resend_verification',
+      targetType: 'member',
+      targetId: memberId,
+      targetLabel: memberLabel(member),
+      after: { email: member.email, sent: result.sent }
+    });
+
+    if (!result.sent) {
+      return error('Failed to send verification email', 502);
+    }
+    return json({ success: true });
+  } catch (error_) {
+    console.error('Error resending verification email:', error_);
+    return error('Failed to resend verification email', 500);
+  }
+}
+
 /**
  * DELETE /api/admin/members/:id - Delete single member
  */
@@ -85,13 +188,24 @@ export async function deleteMemberAdmin(request, env, ctx, params) {
     if (Number.isNaN(memberId)) {
       return error('Invalid member ID', 400);
     }
+    const member = await db.getMemberById(env.DB, memberId);
     const deleted = await db.deleteMember(env.DB, memberId);
 
     if (!deleted) {
       return error('Member not found', 404);
     }
+    await recordAudit(request, env, {
+      action: 'member.delete',
+      targetType: 'member',
+      targetId: memberId,
+      targetLabel: memberLabel(member),
+      before: member
+    });
 
-    return json({ success: true, message: 'Member deleted' });
+    // Freed spot may let the next waitlist entry in
+    const promoted = await promoteWaitlistSafely(env, member.event_id ?? null, getBaseUrl(request));
+
+    return json({ success: true, message: 'Member deleted', waitlist: promoted });
   } catch (error_) {
     console.error('Error deleting member:', error_);
     return error('Failed to delete member', 500);
@@ -120,8 +234,17 @@ export async function deleteMembersBatch(request, env) {
     }
 
     const deleted = await db.deleteMembers(env.DB, parsedIds);
+    if (deleted > 0) {
+      await recordAudit(request, env, {
+        action: 'member.delete_batch',
+        targetType: 'member',
+        targetId: parsedIds,
+        after: { deleted }
+      });
+    }
+    const promoted = deleted > 0 ? await promoteWaitlistSafely(env, await getEventId(request, env), getBaseUrl(request)) : [];
 
-    return json({ success: true, deleted });
+    return json({ success: true, deleted, waitlist: promoted });
   } catch (error_) {
     console.error('Error deleting members:', error_);
     return error('Failed to delete members', 500);
@@ -0,0 +1,207 @@
+/**
+ * Admin bulk message handlers
+ */
+
+import { json, error } from '../../lib/router.js';
+import * as db from '../../lib/db.js';
+import * as campaignsDb from '../../database/db.email-campaigns.js';
+import { verifyAdmin, getAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
+import { getEventId } from '../../shared/events.js';
+import {
+  validateAudience,
+  selectRecipients,
+  renderMessage,
+  sendCampaignBatch,
+  BATCH_SIZE,
+  MERGE_FIELDS
+} from '../../features/email/email.campaigns.js';
+
+const MAX_PREVIEW_RECIPIENTS = 500;
+
+/**
+ * Validate a composed message and resolve its recipients
+ * @returns {Promise<{error?: string, eventId?: number|null, subject?: string, body?: string, audience?: object, recipients?: Array}>}
+ */
+async function resolveMessage(request, env) {
+  const { subject, body, audience } = await request.json();
+
+  if (typeof subject !== 'string' || !subject.trim() || subject.length > 200) {
+    return { error: 'Subject is required (max 200 characters)' };
+  }
+  if (typeof body !== 'string' || !body.trim() || body.length > 10_000) {
+    return { error: 'Message is required (max 10000 characters)' };
+  }
+
+  const validation = validateAudience(audience);
+  if (!validation.valid) {
+    return { error: validation.error };
+  }
+
+  const eventId = await getEventId(request, env);
+  const members = await db.getAllMembersWithPayment(env.DB, eventId);
+  return {
+    eventId,
+    subject: subject.trim(),
+    body,
+    audience: validation.value,
+    recipients: selectRecipients(members, validation.value)
+  };
+}
+
+/**
+ * GET /api/admin/messages - List sent messages and compose options
+ */
+export async function getMessages(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const eventId = await getEventId(request, env);
+    const rooms = await db.getDistinctRooms(env.DB, eventId);
+    const campaigns = await campaignsDb.emailCampaignsTableExists(env.DB)
+      ? await campaignsDb.getCampaigns(env.DB, eventId)
+      : [];
+
+    return json({
+      campaigns: campaigns.map(c => ({ ...c, audience: JSON.parse(c.audience_json) })),
+      rooms,
+      mergeFields: MERGE_FIELDS,
+      batchSize: BATCH_SIZE
+    });
+  } catch (error_) {
+    console.error('Error fetching messages:', error_);
+    return error('Failed to fetch messages', 500);
+  }
+}
+
+/**
+ * POST /api/admin/messages/preview - Resolve recipients and render the first message
+ */
+export async function previewMessage(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const message = await resolveMessage(request, env);
+    if (message.error) {
+      return error(message.error, 400);
+    }
+
+    const { recipients } = message;
+    return json({
+      total: recipients.length,
+      recipients: recipients.slice(0, MAX_PREVIEW_RECIPIENTS).map(m => ({
+        id: m.id,
+        name: `${m.first_name} ${m.last_name}`,
+        email: m.email,
+        team_name: m.team_name,
+        team_room: m.team_room
+      })),
+      preview: recipients.length > 0 ? renderMessage(message, recipients[0]) : null
+    });
+  } catch (error_) {
+    console.error('Error previewing message:', error_);
+    return error('Failed to preview message', 500);
+  }
+}
+
+/**
+ * POST /api/admin/messages - Queue a message for its audience and send the first batch
+ */
+export async function createMessage(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await campaignsDb.emailCampaignsTableExists(env.DB)) {
+      return error('Bulk messages require migration 016', 503);
+    }
+
+    const message = await resolveMessage(request, env);
+    if (message.error) {
+      return error(message.error, 400);
+    }
+    if (message.recipients.length === 0) {
+      return error('No recipients match this audience', 400);
+    }
+
+    const admin = await getAdmin(request, env);
+    const campaignId = await campaignsDb.createCampaign(env.DB, {
+      subject: message.subject,
+      body: message.body,
+      audience: message.audience,
+      createdBy: admin?.username || null,
+      eventId: message.eventId
+    }, message.recipients.map(m => {
+      const rendered = renderMessage(message, m);
+      return { recipient: m.email, subject: rendered.subject, bodyText: rendered.text, bodyHtml: rendered.html };
+    }));
+
+    await recordAudit(request, env, {
+      action: 'email.broadcast',
+      targetType: 'campaign',
+      targetId: campaignId,
+      targetLabel: message.subject,
+      after: { audience: message.audience, recipients: message.recipients.length }
+    });
+
+    const batch = await sendCampaignBatch(env, campaignId);
+    return json({ success: true, id: campaignId, total: message.recipients.length, ...batch }, 201);
+  } catch (error_) {
+    console.error('Error creating message:', error_);
+    return error('Failed to send message', 500);
+  }
+}
+
+/**
+ * POST /api/admin/messages/:id/send - Send the next batch of a message
+ */
+export async function sendMessageBatch(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const id = Number.parseInt(params.id, 10);
+    const campaign = await campaignsDb.getCampaignById(env.DB, id);
+    if (!campaign) {
+      return error('Message not found', 404);
+    }
+
+    const batch = await sendCampaignBatch(env, id);
+    return json({ success: true, id, ...batch });
+  } catch (error_) {
+    console.error('Error sending message batch:', error_);
+    return error('Failed to send message', 500);
+  }
+}
+
+/**
+ * GET /api/admin/messages/:id - Message with its per-recipient delivery report
+ */
+export async function getMessageReport(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const id = Number.parseInt(params.id, 10);
+    const campaign = await campaignsDb.getCampaignById(env.DB, id);
+    if (!campaign) {
+      return error('Message not found', 404);
+    }
+
+    const recipients = await campaignsDb.getCampaignRecipients(env.DB, id);
+    return json({
+      campaign: { ...campaign, audience: JSON.parse(campaign.audience_json) },
+      recipients
+    });
+  } catch (error_) {
+    console.error('Error fetching message report:', error_);
+    return error('Failed to fetch message report', 500);
+  }
+}
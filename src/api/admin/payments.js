@@ -0,0 +1,87 @@
+/**
+ * Admin payment handlers
+ */
+
+import { json, error } from '../../lib/router.js';
+import * as db from '../../lib/db.js';
+import * as paymentsDb from '../../database/db.payments.js';
+import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit, memberLabel } from '../../shared/audit.js';
+import { getRefundClient } from '../../features/payment/payment.refunds.js';
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * POST /api/admin/payments/:memberId/refund - Refund all or part of an online payment
+ * Body: { amount?: number (cents, defaults to the remaining amount), reason: string }
+ */
+export async function refundPayment(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const memberId = Number.parseInt(params.memberId, 10);
+    const member = await db.getMemberById(env.DB, memberId);
+    if (!member) {
+      return error('Member not found', 404);
+    }
+
+    if (member.payment_status !== 'paid' || !member.transaction_id) {
+      return error('Only paid online payments can be refunded', 400);
+    }
+
+    const refunded = member.refunded_amount || 0;
+    const remaining = (member.payment_amount || 0) - refunded;
+    const body = await request.json().catch(() => ({}));
+    const amount = body.amount === undefined || body.amount === null ? remaining : body.amount;
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+
+    if (!Number.isInteger(amount) || amount < 1 || amount > remaining) {
+      return error(`Amount must be between 1 and ${remaining} cents`, 400);
+    }
+    if (!reason || reason.length > MAX_REASON_LENGTH) {
+      return error(`Reason is required (max ${MAX_REASON_LENGTH} characters)`, 400);
+    }
+
+    // Reserve the amount first so a concurrent refund can't refund it again
+    const partial = amount < remaining;
+    const reservation = { refundedAmount: refunded, amount, full: !partial };
+    if (!await paymentsDb.reserveRefund(env.DB, memberId, reservation)) {
+      return error('Payment changed in the meantime, reload and try again', 409);
+    }
+
+    try {
+      await getRefundClient(env).refund(member.transaction_id, amount);
+    } catch (refundError) {
+      console.error('SumUp refund failed:', refundError);
+      await paymentsDb.releaseRefund(env.DB, memberId, reservation);
+      return error(`Refund failed: ${refundError.message}`, 502);
+    }
+
+    await paymentsDb.logPaymentEvent(env.DB, {
+      member_id: memberId,
+      checkout_id: member.checkout_id,
+      event_type: 'refunded',
+      amount,
+      tier: member.payment_tier || member.registration_tier || 'unknown',
+      metadata: { transaction_id: member.transaction_id, reason, partial }
+    });
+
+    const updated = await db.getMemberById(env.DB, memberId);
+
+    await recordAudit(request, env, {
+      action: 'payment.refund',
+      targetType: 'member',
+      targetId: memberId,
+      targetLabel: memberLabel(member),
+      before: { payment_status: member.payment_status, refunded_amount: refunded },
+      after: { payment_status: updated.payment_status, refunded_amount: updated.refunded_amount, amount, reason }
+    });
+
+    return json({ success: true, refunded: amount, partial, member: updated });
+  } catch (error_) {
+    console.error('Error refunding payment:', error_);
+    return error('Failed to refund payment', 500);
+  }
+}
@@ -5,6 +5,8 @@
 import { json, error } from '../../lib/router.js';
 import * as db from '../../lib/db.js';
 import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit, memberLabel } from '../../shared/audit.js';
+import { getEventId } from '../../shared/events.js';
 
 /**
  * GET /api/admin/pizza - Get all members with pizza distribution status
@@ -15,8 +17,9 @@ export async function getPizza(request, env) {
   }
 
   try {
-    const members = await db.getAllMembersWithPizzaStatus(env.DB);
-    const stats = await db.getPizzaStats(env.DB);
+    const eventId = await getEventId(request, env);
+    const members = await db.getAllMembersWithPizzaStatus(env.DB, eventId);
+    const stats = await db.getPizzaStats(env.DB, eventId);
 
     return json({
       members,
@@ -56,6 +59,14 @@ export async function givePizzaMember(request, env, ctx, params) {
     }
 
     const updated = await db.getMemberById(env.DB, memberId);
+    await recordAudit(request, env, {
+      action: 'pizza.give',
+      targetType: 'member',
+      targetId: memberId,
+      targetLabel: memberLabel(member),
+      before: { pizza_received: member.pizza_received },
+      after: { pizza_received: updated.pizza_received }
+    });
 
     return json({
       success: true,
@@ -91,6 +102,14 @@ export async function revokePizzaMember(request, env, ctx, params) {
     if (!success) {
       return error('Failed to revoke pizza', 500);
     }
+    await recordAudit(request, env, {
+      action: 'pizza.revoke',
+      targetType: 'member',
+      targetId: memberId,
+      targetLabel: memberLabel(member),
+      before: { pizza_received: member.pizza_received, pizza_received_at: member.pizza_received_at },
+      after: { pizza_received: 0 }
+    });
 
     return json({
       success: true,
@@ -121,7 +140,14 @@ export async function givePizzaMembersBatch(request, env) {
       return error('memberIds array is required', 400);
     }
 
-    const count = await db.givePizzaBatch(env.DB, memberIds.map(id => Number.parseInt(id, 10)));
+    const parsedIds = memberIds.map(id => Number.parseInt(id, 10));
+    const count = await db.givePizzaBatch(env.DB, parsedIds);
+    await recordAudit(request, env, {
+      action: 'pizza.give_batch',
+      targetType: 'member',
+      targetId: parsedIds,
+      after: { given: count }
+    });
 
     return json({ success: true, given: count });
   } catch (error_) {
@@ -145,7 +171,14 @@ export async function revokePizzaMembersBatch(request, env) {
       return error('memberIds array is required', 400);
     }
 
-    const count = await db.revokePizzaBatch(env.DB, memberIds.map(id => Number.parseInt(id, 10)));
+    const parsedIds = memberIds.map(id => Number.parseInt(id, 10));
+    const count = await db.revokePizzaBatch(env.DB, parsedIds);
+    await recordAudit(request, env, {
+      action: 'pizza.revoke_batch',
+      targetType: 'member',
+      targetId: parsedIds,
+      after: { revoked: count }
+    });
 
     return json({ success: true, revoked: count });
   } catch (error_) {
@@ -1,10 +1,116 @@
 /**
- * Admin room assignment handlers
+ * Admin room assignment handlers - rooms of the selected event and team assignments
  */
 
 import { json, error } from '../../lib/router.js';
 import * as db from '../../lib/db.js';
+import * as roomsDb from '../../database/db.rooms.js';
+import * as settingsDb from '../../database/db.settings.js';
+import { sanitizeString } from '../../lib/validation.js';
 import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
+import { getEvent, getEventId } from '../../shared/events.js';
+import { checkRoomAssignments, loadRoomPlanningData, parseEquipment, planRoomAssignments } from '../../shared/rooms.js';
+import { renderRoomRoster, renderDoorSigns } from '../../features/admin/admin.print.js';
+
+const ERR_TABLE_MISSING = 'Rooms table missing. Run migrate-024-rooms.sql';
+const MAX_ROOM_CAPACITY = 1000;
+
+/**
+ * Format a room for API responses
+ */
+function formatRoom(room) {
+  return {
+    id: room.id,
+    name: room.name,
+    capacity: room.capacity,
+    floor: room.floor,
+    equipment: parseEquipment(room.equipment),
+    isAccessible: !!room.is_accessible,
+    sortOrder: room.sort_order,
+    teamCount: room.team_count ?? 0,
+    memberCount: room.member_count ?? 0
+  };
+}
+
+/**
+ * Validate the editable fields of a room
+ * Missing fields are only an error when required (creation)
+ * @returns {{updates?: object, error?: string}}
+ */
+function validateRoomFields(body, required) {
+  const updates = {};
+
+  if (body.name !== undefined || required) {
+    const name = sanitizeString(body.name || '', 50);
+    if (!name) {
+      return { error: 'Room name is required' };
+    }
+    updates.name = name;
+  }
+
+  if (body.capacity !== undefined || required) {
+    const capacity = Number.parseInt(body.capacity, 10);
+    if (Number.isNaN(capacity) || capacity < 1 || capacity > MAX_ROOM_CAPACITY) {
+      return { error: `Capacity must be between 1 and ${MAX_ROOM_CAPACITY}` };
+    }
+    updates.capacity = capacity;
+  }
+
+  if (body.floor !== undefined) {
+    updates.floor = sanitizeString(body.floor || '', 32) || null;
+  }
+
+  if (body.equipment !== undefined) {
+    const items = Array.isArray(body.equipment) ? body.equipment : parseEquipment(String(body.equipment || ''));
+    updates.equipment = items.map(e => sanitizeString(String(e), 64)).filter(Boolean).join(', ');
+  }
+
+  if (body.isAccessible !== undefined) {
+    updates.isAccessible = !!body.isAccessible;
+  }
+
+  if (body.sortOrder !== undefined) {
+    updates.sortOrder = Number.parseInt(body.sortOrder, 10) || 0;
+  }
+
+  return { updates };
+}
+
+/**
+ * Load a room of the request's event from route params
+ * @returns {Promise<{room?: object, error?: string, status?: number}>}
+ */
+async function findEventRoom(request, env, params) {
+  const roomId = Number.parseInt(params.id, 10);
+  if (Number.isNaN(roomId)) {
+    return { error: 'Invalid room ID', status: 400 };
+  }
+
+  const room = await roomsDb.getRoomById(env.DB, roomId);
+  if (!room || (room.event_id ?? null) !== await getEventId(request, env)) {
+    return { error: 'Room not found', status: 404 };
+  }
+  return { room };
+}
+
+/**
+ * Printable HTML response
+ */
+function htmlResponse(html) {
+  return new Response(html, {
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+/**
+ * Map pizza IDs to their names for an event
+ * @returns {Promise<Map<string, string>>}
+ */
+async function getPizzaNames(env, eventId) {
+  const pizzas = await settingsDb.getSettingJson(env.DB, 'pizzas', eventId);
+  return new Map((Array.isArray(pizzas) ? pizzas : []).map(p => [p.id, p.name]));
+}
 
 /**
  * GET /api/admin/rooms - Get all teams with room assignments
@@ -15,13 +121,20 @@ export async function getRooms(request, env) {
   }
 
   try {
-    const teams = await db.getTeamsWithRooms(env.DB);
-    const stats = await db.getRoomStats(env.DB);
-    const rooms = await db.getDistinctRooms(env.DB);
-    const pizzaByRoom = await db.getPizzaStatsByRoom(env.DB);
+    const eventId = await getEventId(request, env);
+    const teams = await db.getTeamsWithRooms(env.DB, eventId);
+    const stats = await db.getRoomStats(env.DB, eventId);
+    const rooms = await db.getDistinctRooms(env.DB, eventId);
+    const pizzaByRoom = await db.getPizzaStatsByRoom(env.DB, eventId);
+    const planning = await loadRoomPlanningData(env.DB, eventId);
+    const preferences = new Map(planning.teams.map(t => [t.id, t]));
 
     return json({
-      teams,
+      teams: teams.map(t => ({
+        ...t,
+        room_preference: preferences.get(t.id)?.room_preference ?? null,
+        needs_accessibility: preferences.get(t.id)?.needs_accessibility ?? 0
+      })),
       stats: {
         total_teams: stats?.total_teams || 0,
         assigned_teams: stats?.assigned_teams || 0,
@@ -29,6 +142,7 @@ export async function getRooms(request, env) {
         by_room: stats?.by_room || []
       },
       rooms,
+      managed_rooms: planning.rooms.map(r => formatRoom(r)),
       pizza_by_room: pizzaByRoom
     });
   } catch (error_) {
@@ -63,16 +177,30 @@ export async function setRoom(request, env, ctx, params) {
       return error('Room must be a string (max 50 characters) or empty to clear', 400);
     }
 
-    const success = await db.setTeamRoom(env.DB, teamId, room || null);
+    const checked = await checkRoomAssignments(env.DB, team.event_id ?? null, [{ teamId, room: room || null }]);
+    if (checked.error) {
+      return error(checked.error, 400);
+    }
+    const assigned = checked.assignments[0].room;
+
+    const success = await db.setTeamRoom(env.DB, teamId, assigned);
     if (!success) {
       return error('Failed to update room', 500);
     }
+    await recordAudit(request, env, {
+      action: 'room.set',
+      targetType: 'team',
+      targetId: teamId,
+      targetLabel: team.name,
+      before: { room: team.room },
+      after: { room: assigned }
+    });
 
     return json({
       success: true,
       team: {
         id: teamId,
-        room: room || null
+        room: assigned
       }
     });
   } catch (error_) {
@@ -112,7 +240,18 @@ export async function setRoomsBatch(request, env) {
       parsedAssignments.push({ teamId, room: assignment.room || null });
     }
 
-    const count = await db.setTeamRoomsBatch(env.DB, parsedAssignments);
+    const checked = await checkRoomAssignments(env.DB, await getEventId(request, env), parsedAssignments);
+    if (checked.error) {
+      return error(checked.error, 400);
+    }
+
+    const count = await db.setTeamRoomsBatch(env.DB, checked.assignments);
+    await recordAudit(request, env, {
+      action: 'room.set_batch',
+      targetType: 'team',
+      targetId: checked.assignments.map(a => a.teamId),
+      after: { assignments: checked.assignments, updated: count }
+    });
 
     return json({ success: true, updated: count });
   } catch (error_) {
@@ -120,3 +259,302 @@ export async function setRoomsBatch(request, env) {
     return error('Failed to set rooms', 500);
   }
 }
+
+/**
+ * PUT /api/admin/rooms/:teamId/preference - Set a team's preferred room and accessibility need
+ * Body: { roomPreference?, needsAccessibility? }
+ */
+export async function setRoomPreference(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await roomsDb.roomsTableExists(env.DB)) {
+      return error(ERR_TABLE_MISSING, 400);
+    }
+
+    const teamId = Number.parseInt(params.teamId, 10);
+    if (Number.isNaN(teamId)) {
+      return error('Invalid team ID', 400);
+    }
+
+    const team = await db.getTeamById(env.DB, teamId);
+    if (!team) {
+      return error('Team not found', 404);
+    }
+
+    const body = await request.json();
+    const preferences = {};
+    if (body.roomPreference !== undefined) {
+      if (body.roomPreference) {
+        const room = await roomsDb.getRoomByName(env.DB, String(body.roomPreference), team.event_id ?? null);
+        if (!room) {
+          return error(`Room not found: ${body.roomPreference}`, 400);
+        }
+        preferences.roomPreference = room.name;
+      } else {
+        preferences.roomPreference = null;
+      }
+    }
+    if (body.needsAccessibility !== undefined) {
+      preferences.needsAccessibility = !!body.needsAccessibility;
+    }
+
+    if (!await roomsDb.setTeamRoomPreference(env.DB, teamId, preferences)) {
+      return error('No changes provided', 400);
+    }
+    await recordAudit(request, env, {
+      action: 'room.preference',
+      targetType: 'team',
+      targetId: teamId,
+      targetLabel: team.name,
+      after: preferences
+    });
+
+    return json({ success: true });
+  } catch (error_) {
+    console.error('Error setting room preference:', error_);
+    return error('Failed to set room preference', 500);
+  }
+}
+
+/**
+ * POST /api/admin/rooms/auto-assign - Pack teams into the event's rooms
+ * Body: { keepExisting = true, apply = false } - without apply, only returns the plan
+ */
+export async function autoAssignRooms(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const eventId = await getEventId(request, env);
+    const { rooms, teams } = await loadRoomPlanningData(env.DB, eventId);
+    if (rooms.length === 0) {
+      return error('No rooms configured for this event', 400);
+    }
+
+    const plan = planRoomAssignments(teams, rooms, { keepExisting: body.keepExisting !== false });
+    if (!body.apply) {
+      return json({ applied: false, ...plan });
+    }
+
+    const changes = plan.assignments.map(a => ({ teamId: a.teamId, room: a.room }));
+    const updated = changes.length > 0 ? await db.setTeamRoomsBatch(env.DB, changes) : 0;
+    await recordAudit(request, env, {
+      action: 'room.auto_assign',
+      targetType: 'team',
+      targetId: changes.map(a => a.teamId),
+      after: { assignments: changes, unassigned: plan.unassigned.map(u => u.teamId), updated }
+    });
+
+    return json({ applied: true, updated, ...plan });
+  } catch (error_) {
+    console.error('Error assigning rooms:', error_);
+    return error('Failed to assign rooms', 500);
+  }
+}
+
+/**
+ * POST /api/admin/rooms/catalog - Add a room to the selected event
+ * Body: { name, capacity, floor?, equipment?, isAccessible?, sortOrder? }
+ */
+export async function createRoomAdmin(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await roomsDb.roomsTableExists(env.DB)) {
+      return error(ERR_TABLE_MISSING, 400);
+    }
+
+    const body = await request.json();
+    const { updates, error: validationError } = validateRoomFields(body, true);
+    if (validationError) {
+      return error(validationError, 400);
+    }
+
+    const eventId = await getEventId(request, env);
+    if (await roomsDb.getRoomByName(env.DB, updates.name, eventId)) {
+      return error('Room already exists', 409);
+    }
+
+    const id = await roomsDb.createRoom(env.DB, { ...updates, eventId });
+    await recordAudit(request, env, {
+      action: 'room.create',
+      targetType: 'room',
+      targetId: id,
+      targetLabel: updates.name,
+      after: { capacity: updates.capacity, isAccessible: updates.isAccessible ?? false }
+    });
+
+    const catalog = await roomsDb.getRoomCatalog(env.DB, eventId);
+    return json({ success: true, room: formatRoom(catalog.find(r => r.id === id)) }, 201);
+  } catch (error_) {
+    console.error('Error creating room:', error_);
+    return error('Failed to create room', 500);
+  }
+}
+
+/**
+ * PUT /api/admin/rooms/catalog/:id - Rename a room or change its capacity and details
+ * Renaming moves the teams assigned to it; capacity cannot drop below its participants
+ */
+export async function updateRoomAdmin(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const { room, error: findError, status } = await findEventRoom(request, env, params);
+    if (findError) {
+      return error(findError, status);
+    }
+
+    const body = await request.json();
+    const { updates, error: validationError } = validateRoomFields(body, false);
+    if (validationError) {
+      return error(validationError, 400);
+    }
+
+    const eventId = room.event_id ?? null;
+    if (updates.name && updates.name.toLowerCase() !== room.name.toLowerCase()
+      && await roomsDb.getRoomByName(env.DB, updates.name, eventId)) {
+      return error('Room already exists', 409);
+    }
+
+    const current = (await roomsDb.getRoomCatalog(env.DB, eventId)).find(r => r.id === room.id);
+    if (updates.capacity !== undefined && updates.capacity < current.member_count) {
+      return error(`Capacity below the ${current.member_count} participants already assigned`, 400);
+    }
+
+    if (!await roomsDb.updateRoom(env.DB, room, updates)) {
+      return error('No changes provided', 400);
+    }
+
+    const updated = (await roomsDb.getRoomCatalog(env.DB, eventId)).find(r => r.id === room.id);
+    await recordAudit(request, env, {
+      action: 'room.update',
+      targetType: 'room',
+      targetId: room.id,
+      targetLabel: updated.name,
+      before: { name: room.name, capacity: room.capacity },
+      after: { name: updated.name, capacity: updated.capacity }
+    });
+
+    return json({ success: true, room: formatRoom(updated) });
+  } catch (error_) {
+    console.error('Error updating room:', error_);
+    return error('Failed to update room', 500);
+  }
+}
+
+/**
+ * DELETE /api/admin/rooms/catalog/:id - Remove a room no team is assigned to
+ */
+export async function deleteRoomAdmin(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const { room, error: findError, status } = await findEventRoom(request, env, params);
+    if (findError) {
+      return error(findError, status);
+    }
+
+    const current = (await roomsDb.getRoomCatalog(env.DB, room.event_id ?? null)).find(r => r.id === room.id);
+    if (current.team_count > 0) {
+      return error(`Room still has ${current.team_count} team(s)`, 409);
+    }
+
+    await roomsDb.deleteRoom(env.DB, room);
+    await recordAudit(request, env, {
+      action: 'room.delete',
+      targetType: 'room',
+      targetId: room.id,
+      targetLabel: room.name,
+      before: { capacity: room.capacity }
+    });
+
+    return json({ success: true });
+  } catch (error_) {
+    console.error('Error deleting room:', error_);
+    return error('Failed to delete room', 500);
+  }
+}
+
+/**
+ * GET /api/admin/rooms/:room/roster - Printable list of a room's teams, members, pizzas and check-ins
+ */
+export async function getRoomRosterPage(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    let room;
+    try {
+      room = decodeURIComponent(params.room);
+    } catch {
+      return error('Invalid room', 400);
+    }
+
+    const event = await getEvent(request, env);
+    const eventId = event?.id ?? null;
+    const details = await roomsDb.roomsTableExists(env.DB)
+      ? await roomsDb.getRoomByName(env.DB, room, eventId)
+      : null;
+    const roomName = details?.name ?? room;
+
+    const members = await db.getRoomRoster(env.DB, roomName, eventId);
+    if (members.length === 0 && !details) {
+      return error('Room not found', 404);
+    }
+
+    return htmlResponse(renderRoomRoster({
+      room: roomName,
+      details,
+      members,
+      pizzaNames: await getPizzaNames(env, eventId),
+      eventName: event?.name
+    }));
+  } catch (error_) {
+    console.error('Error rendering room roster:', error_);
+    return error('Failed to render room roster', 500);
+  }
+}
+
+/**
+ * GET /api/admin/rooms/signs - Printable door signs, one page per room
+ * Covers the event's managed rooms and every room a team is assigned to
+ */
+export async function getDoorSignsPage(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const event = await getEvent(request, env);
+    const eventId = event?.id ?? null;
+    const teams = await db.getTeamsWithRooms(env.DB, eventId);
+    const managed = await roomsDb.roomsTableExists(env.DB)
+      ? await roomsDb.getRoomCatalog(env.DB, eventId)
+      : [];
+
+    const rooms = new Map(managed.map(r => [r.name, { room: r.name, floor: r.floor, teams: [] }]));
+    for (const team of teams) {
+      if (!team.room) continue;
+      if (!rooms.has(team.room)) rooms.set(team.room, { room: team.room, floor: null, teams: [] });
+      rooms.get(team.room).teams.push(team);
+    }
+
+    return htmlResponse(renderDoorSigns({ rooms: [...rooms.values()], eventName: event?.name }));
+  } catch (error_) {
+    console.error('Error rendering door signs:', error_);
+    return error('Failed to render door signs', 500);
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Admin school handlers - schools and partner sites of the selected event
+ */
+
+import { json, error } from '../../lib/router.js';
+import * as schoolsDb from '../../database/db.schools.js';
+import { sanitizeString } from '../../lib/validation.js';
+import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
+import { getEventId } from '../../shared/events.js';
+
+const ERR_TABLE_MISSING = 'Schools table missing. Run migrate-023-schools.sql';
+const MAX_SCHOOL_CAPACITY = 10_000;
+
+/**
+ * Format a school for API responses
+ */
+function formatSchool(school) {
+  return {
+    id: school.id,
+    name: school.name,
+    maxParticipants: school.max_participants,
+    sortOrder: school.sort_order,
+    memberCount: school.member_count ?? 0,
+    checkedInCount: school.checked_in_count ?? 0
+  };
+}
+
+/**
+ * Validate the editable fields of a school
+ * Missing fields are only an error when required (creation)
+ * @returns {{updates?: object, error?: string}}
+ */
+function validateSchoolFields(body, required) {
+  const updates = {};
+
+  if (body.name !== undefined || required) {
+    const name = sanitizeString(body.name || '', 128);
+    if (!name) {
+      return { error: 'School name is required' };
+    }
+    updates.name = name;
+  }
+
+  if (body.maxParticipants !== undefined) {
+    if (body.maxParticipants === null || body.maxParticipants === '') {
+      updates.maxParticipants = null;
+    } else {
+      const max = Number.parseInt(body.maxParticipants, 10);
+      if (Number.isNaN(max) || max < 1 || max > MAX_SCHOOL_CAPACITY) {
+        return { error: `Capacity must be between 1 and ${MAX_SCHOOL_CAPACITY}, or empty` };
+      }
+      updates.maxParticipants = max;
+    }
+  }
+
+  if (body.sortOrder !== undefined) {
+    updates.sortOrder = Number.parseInt(body.sortOrder, 10) || 0;
+  }
+
+  return { updates };
+}
+
+/**
+ * Load a school of the request's event from route params
+ * @returns {Promise<{school?: object, error?: string, status?: number}>}
+ */
+async function findEventSchool(request, env, params) {
+  const schoolId = Number.parseInt(params.id, 10);
+  if (Number.isNaN(schoolId)) {
+    return { error: 'Invalid school ID', status: 400 };
+  }
+
+  const school = await schoolsDb.getSchoolById(env.DB, schoolId);
+  if (!school || (school.event_id ?? null) !== await getEventId(request, env)) {
+    return { error: 'School not found', status: 404 };
+  }
+  return { school };
+}
+
+/**
+ * GET /api/admin/schools - List schools with participants and capacity
+ */
+export async function listSchools(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await schoolsDb.schoolsTableExists(env.DB)) {
+      return json({ schools: [] });
+    }
+
+    const schools = await schoolsDb.getSchools(env.DB, await getEventId(request, env));
+    return json({ schools: schools.map(s => formatSchool(s)) });
+  } catch (error_) {
+    console.error('Error listing schools:', error_);
+    return error('Failed to list schools', 500);
+  }
+}
+
+/**
+ * POST /api/admin/schools - Add a school to the selected event
+ * Body: { name, maxParticipants?, sortOrder? }
+ */
+export async function createSchoolAdmin(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await schoolsDb.schoolsTableExists(env.DB)) {
+      return error(ERR_TABLE_MISSING, 400);
+    }
+
+    const body = await request.json();
+    const { updates, error: validationError } = validateSchoolFields(body, true);
+    if (validationError) {
+      return error(validationError, 400);
+    }
+
+    const eventId = await getEventId(request, env);
+    if (await schoolsDb.getSchoolByName(env.DB, updates.name, eventId)) {
+      return error('School already exists', 409);
+    }
+
+    const id = await schoolsDb.createSchool(env.DB, { ...updates, eventId });
+    await recordAudit(request, env, {
+      action: 'school.create',
+      targetType: 'school',
+      targetId: id,
+      targetLabel: updates.name,
+      after: { maxParticipants: updates.maxParticipants ?? null }
+    });
+
+    const school = await schoolsDb.getSchoolById(env.DB, id);
+    return json({ success: true, school: formatSchool(school) }, 201);
+  } catch (error_) {
+    console.error('Error creating school:', error_);
+    return error('Failed to create school', 500);
+  }
+}
+
+/**
+ * PUT /api/admin/schools/:id - Rename a school or change its capacity
+ */
+export async function updateSchoolAdmin(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const { school, error: findError, status } = await findEventSchool(request, env, params);
+    if (findError) {
+      return error(findError, status);
+    }
+
+    const body = await request.json();
+    const { updates, error: validationError } = validateSchoolFields(body, false);
+    if (validationError) {
+      return error(validationError, 400);
+    }
+
+    if (updates.name && updates.name.toLowerCase() !== school.name.toLowerCase()) {
+      const existing = await schoolsDb.getSchoolByName(env.DB, updates.name, school.event_id ?? null);
+      if (existing) {
+        return error('School already exists', 409);
+      }
+    }
+
+    if (!await schoolsDb.updateSchool(env.DB, school.id, updates)) {
+      return error('No changes provided', 400);
+    }
+
+    const updated = await schoolsDb.getSchoolById(env.DB, school.id);
+    await recordAudit(request, env, {
+      action: 'school.update',
+      targetType: 'school',
+      targetId: school.id,
+      targetLabel: updated.name,
+      before: { name: school.name, maxParticipants: school.max_participants },
+      after: { name: updated.name, maxParticipants: updated.max_participants }
+    });
+
+    return json({ success: true, school: formatSchool(updated) });
+  } catch (error_) {
+    console.error('Error updating school:', error_);
+    return error('Failed to update school', 500);
+  }
+}
+
+/**
+ * DELETE /api/admin/schools/:id - Remove a school nobody is registered with
+ */
+export async function deleteSchoolAdmin(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const { school, error: findError, status } = await findEventSchool(request, env, params);
+    if (findError) {
+      return error(findError, status);
+    }
+
+    const memberCount = await schoolsDb.countSchoolMembers(env.DB, school.id);
+    if (memberCount > 0) {
+      return error(`School still has ${memberCount} participant(s)`, 409);
+    }
+
+    await schoolsDb.deleteSchool(env.DB, school.id);
+    await recordAudit(request, env, {
+      action: 'school.delete',
+      targetType: 'school',
+      targetId: school.id,
+      targetLabel: school.name,
+      before: { maxParticipants: school.max_participants }
+    });
+
+    return json({ success: true });
+  } catch (error_) {
+    console.error('Error deleting school:', error_);
+    return error('Failed to delete school', 500);
+  }
+}
@@ -4,8 +4,14 @@
 
 import { json, error } from '../../lib/router.js';
 import * as db from '../../lib/db.js';
+import * as teamChangesDb from '../../database/db.team-changes.js';
 import { verifyAdmin } from '../../shared/auth.js';
 import { hashPassword } from '../../shared/crypto.js';
+import { recordAudit } from '../../shared/audit.js';
+import { getEvent, getEventId } from '../../shared/events.js';
+import { getBaseUrl, getRegistrationPageUrl } from '../../shared/urls.js';
+import { generateTeamPassword, emailTeamPassword, hasDefaultPassword } from '../../shared/team-credentials.js';
+import { promoteWaitlistSafely } from './waitlist.js';
 
 /**
  * PUT /api/admin/teams/:id - Update team (name, description, password)
@@ -24,6 +30,14 @@ export async function updateTeamAdmin(request, env, ctx, params) {
       return error('Team not found', 404);
     }
 
+    // Trashed teams give their name up (db.updateTeam), live ones keep it
+    if (updates.name !== undefined && updates.name !== team.name) {
+      const existing = await db.getTeamByName(env.DB, updates.name, team.event_id ?? null);
+      if (existing && existing.id !== teamId) {
+        return error('A team with this name already exists', 409);
+      }
+    }
+
     // Handle password change
     const dbUpdates = {};
     if (updates.name !== undefined) dbUpdates.name = updates.name;
@@ -35,9 +49,31 @@ export async function updateTeamAdmin(request, env, ctx, params) {
     await db.updateTeam(env.DB, teamId, dbUpdates);
     const updated = await db.getTeamById(env.DB, teamId);
 
+    // Never store password hashes in the log, only the fact it changed
+    const before = {};
+    const after = {};
+    for (const key of ['name', 'description']) {
+      if (updated[key] !== team[key]) {
+        before[key] = team[key];
+        after[key] = updated[key];
+      }
+    }
+    if (dbUpdates.passwordHash) after.passwordChanged = true;
+    await recordAudit(request, env, {
+      action: 'team.update',
+      targetType: 'team',
+      targetId: teamId,
+      targetLabel: updated.name,
+      before,
+      after
+    });
+
     return json({ success: true, team: { id: updated.id, name: updated.name, description: updated.description } });
   } catch (error_) {
     console.error('Error updating team:', error_);
+    if (error_.message?.includes('UNIQUE constraint')) {
+      return error('A team with this name already exists', 409);
+    }
     return error('Failed to update team', 500);
   }
 }
@@ -65,10 +101,24 @@ export async function deleteTeamAdmin(request, env, ctx, params) {
 
     const memberCount = team.members?.length || 0;
     await db.deleteTeam(env.DB, teamId);
+    await recordAudit(request, env, {
+      action: 'team.delete',
+      targetType: 'team',
+      targetId: teamId,
+      targetLabel: team.name,
+      before: {
+        name: team.name,
+        description: team.description,
+        room: team.room,
+        members: (team.members || []).map(m => ({ id: m.id, firstName: m.first_name, lastName: m.last_name, email: m.email }))
+      }
+    });
+    const promoted = memberCount > 0 ? await promoteWaitlistSafely(env, team.event_id ?? null, getBaseUrl(request)) : [];
 
     return json({
       success: true,
-      message: `Team "${team.name}" and ${memberCount} member(s) deleted`
+      message: `Team "${team.name}" and ${memberCount} member(s) deleted`,
+      waitlist: promoted
     });
   } catch (error_) {
     console.error('Error deleting team:', error_);
@@ -91,13 +141,21 @@ export async function createTeamAdmin(request, env) {
       return error('Team name is required (min 2 characters)', 400);
     }
 
-    const existing = await db.getTeamByName(env.DB, name.trim());
+    const eventId = await getEventId(request, env);
+    const existing = await db.getTeamByName(env.DB, name.trim(), eventId);
     if (existing) {
       return error('Team name already exists', 400);
     }
 
     const passwordHash = password ? await hashPassword(password) : '';
-    const team = await db.createTeam(env.DB, name.trim(), description, passwordHash);
+    const team = await db.createTeam(env.DB, name.trim(), description, passwordHash, eventId);
+    await recordAudit(request, env, {
+      action: 'team.create',
+      targetType: 'team',
+      targetId: team.id,
+      targetLabel: name.trim(),
+      after: { name: name.trim(), description, hasPassword: !!password }
+    });
 
     return json({ success: true, team });
   } catch (error_) {
@@ -105,3 +163,111 @@ export async function createTeamAdmin(request, env) {
     return error('Failed to create team', 500);
   }
 }
+
+/**
+ * POST /api/admin/teams/:id/password - Replace a team's password with a random one
+ * Body: { emailLeaders? }. The new password is only returned in this response.
+ */
+export async function regenerateTeamPasswordAdmin(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const teamId = Number.parseInt(params.id, 10);
+    const { emailLeaders = false } = await request.json().catch(() => ({}));
+
+    const team = await db.getTeamById(env.DB, teamId);
+    if (!team) {
+      return error('Team not found', 404);
+    }
+
+    const password = generateTeamPassword();
+    await db.updateTeam(env.DB, teamId, { passwordHash: await hashPassword(password) });
+
+    const emailed = emailLeaders
+      ? await emailTeamPassword(env, team, password, getRegistrationPageUrl(request, await getEvent(request, env)))
+      : 0;
+
+    await recordAudit(request, env, {
+      action: 'team.password_regenerate',
+      targetType: 'team',
+      targetId: teamId,
+      targetLabel: team.name,
+      after: { passwordChanged: true, leadersEmailed: emailed }
+    });
+
+    return json({ success: true, password, emailed });
+  } catch (error_) {
+    console.error('Error regenerating team password:', error_);
+    return error('Failed to regenerate the password', 500);
+  }
+}
+
+/**
+ * POST /api/admin/teams/passwords/default - Give a random password to every team
+ * whose password is still its name, as the CSV import used to set
+ * Body: { emailLeaders? }. The new passwords are only returned in this response.
+ */
+export async function regenerateDefaultPasswordsAdmin(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const { emailLeaders = false } = await request.json().catch(() => ({}));
+    const event = await getEvent(request, env);
+    const teams = await db.getAllTeamsWithMembers(env.DB, event?.id ?? null);
+    const pageUrl = getRegistrationPageUrl(request, event);
+
+    const credentials = [];
+    for (const team of teams) {
+      if (!await hasDefaultPassword(team)) continue;
+
+      const password = generateTeamPassword();
+      await db.updateTeam(env.DB, team.id, { passwordHash: await hashPassword(password) });
+      const emailed = emailLeaders ? await emailTeamPassword(env, team, password, pageUrl) : 0;
+      credentials.push({ teamName: team.name, password, emailed });
+    }
+
+    // Passwords are never logged, only which teams got a new one
+    await recordAudit(request, env, {
+      action: 'team.password_regenerate_default',
+      targetType: 'team',
+      after: {
+        teams: credentials.map(c => c.teamName),
+        leadersEmailed: credentials.reduce((sum, c) => sum + c.emailed, 0)
+      }
+    });
+
+    return json({ success: true, credentials });
+  } catch (error_) {
+    console.error('Error regenerating default team passwords:', error_);
+    return error('Failed to regenerate the passwords', 500);
+  }
+}
+
+/**
+ * GET /api/admin/team-changes - Change log of team self-service edits
+ * Optional query param: team_id
+ */
+export async function getTeamChangesAdmin(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    if (!await teamChangesDb.teamChangesTableExists(env.DB)) {
+      return json({ changes: [] });
+    }
+
+    const url = new URL(request.url);
+    const teamId = Number.parseInt(url.searchParams.get('team_id'), 10) || null;
+    const changes = await teamChangesDb.getTeamChanges(env.DB, { teamId });
+
+    return json({ changes });
+  } catch (error_) {
+    console.error('Error fetching team changes:', error_);
+    return error('Failed to fetch team changes', 500);
+  }
+}
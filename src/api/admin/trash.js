@@ -0,0 +1,173 @@
+/**
+ * Admin trash handlers - list and restore soft-deleted teams and members
+ */
+
+import { json, error } from '../../lib/router.js';
+import * as db from '../../lib/db.js';
+import * as settingsDb from '../../database/db.settings.js';
+import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit, memberLabel } from '../../shared/audit.js';
+import { getEventId } from '../../shared/events.js';
+
+/**
+ * Check that restoring participants keeps the event within capacity
+ * @returns {Promise<string|null>} Error message, or null if there is room
+ */
+async function checkRestoreCapacity(env, count, maxTotal, eventId) {
+  const available = maxTotal - await db.getTotalParticipants(env.DB, eventId);
+  if (count > available) {
+    return `Restoring would exceed maximum capacity. Only ${Math.max(0, available)} spots available.`;
+  }
+  return null;
+}
+
+/**
+ * Find live members holding the names of trashed ones
+ * @returns {Promise<string[]>} Names already taken
+ */
+async function findTakenMemberNames(env, members, eventId) {
+  const taken = [];
+  for (const m of members) {
+    const lastName = db.untrashedName(m.last_name, m.id);
+    if (await db.memberExists(env.DB, m.first_name, lastName, eventId)) {
+      taken.push(`${m.first_name} ${lastName}`);
+    }
+  }
+  return taken;
+}
+
+/**
+ * GET /api/admin/trash - Trashed teams and members
+ */
+export async function getTrash(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const eventId = await getEventId(request, env);
+    const teams = await db.getDeletedTeams(env.DB, eventId);
+    const members = await db.getDeletedMembers(env.DB, eventId);
+
+    // Show the names trashed rows had before giving them up
+    return json({
+      teams: teams.map(t => ({ ...t, name: db.untrashedName(t.name, t.id) })),
+      members: members.map(m => ({
+        ...m,
+        last_name: db.untrashedName(m.last_name, m.id),
+        team_deleted: !!m.team_deleted
+      }))
+    });
+  } catch (error_) {
+    console.error('Error fetching trash:', error_);
+    return error('Failed to fetch trash', 500);
+  }
+}
+
+/**
+ * POST /api/admin/trash/teams/:id/restore - Restore a team with the members deleted along with it
+ */
+export async function restoreTeamAdmin(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const teamId = Number.parseInt(params.id, 10);
+    if (Number.isNaN(teamId)) {
+      return error('Invalid team ID', 400);
+    }
+
+    const team = await db.getDeletedTeamById(env.DB, teamId);
+    if (!team) {
+      return error('Team not found in trash', 404);
+    }
+
+    const eventId = team.event_id ?? null;
+    const name = db.untrashedName(team.name, team.id);
+    if (await db.getTeamByName(env.DB, name, eventId)) {
+      return error(`A team named "${name}" already exists. Rename it before restoring this one.`, 409);
+    }
+    const takenNames = await findTakenMemberNames(env, team.members, eventId);
+    if (takenNames.length > 0) {
+      return error(`Already registered under the same name: ${takenNames.join(', ')}`, 409);
+    }
+
+    const capacity = await settingsDb.getCapacitySettings(env.DB, env, eventId);
+    const capacityError = await checkRestoreCapacity(env, team.members.length, capacity.maxTotalParticipants, eventId);
+    if (capacityError) {
+      return error(capacityError, 400);
+    }
+
+    const restored = await db.restoreTeam(env.DB, teamId, team.deleted_at);
+    await recordAudit(request, env, {
+      action: 'team.restore',
+      targetType: 'team',
+      targetId: teamId,
+      targetLabel: name,
+      after: { members: restored }
+    });
+
+    return json({ success: true, team: { id: team.id, name }, restoredMembers: restored });
+  } catch (error_) {
+    console.error('Error restoring team:', error_);
+    return error('Failed to restore team', 500);
+  }
+}
+
+/**
+ * POST /api/admin/trash/members/:id/restore - Restore a member into its (live) team
+ */
+export async function restoreMemberAdmin(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const memberId = Number.parseInt(params.id, 10);
+    if (Number.isNaN(memberId)) {
+      return error('Invalid member ID', 400);
+    }
+
+    const member = await db.getDeletedMemberById(env.DB, memberId);
+    if (!member) {
+      return error('Member not found in trash', 404);
+    }
+
+    const team = await db.getTeamById(env.DB, member.team_id);
+    if (!team) {
+      return error('The team of this member is deleted. Restore the team first.', 400);
+    }
+
+    const eventId = team.event_id ?? null;
+    const takenNames = await findTakenMemberNames(env, [member], eventId);
+    if (takenNames.length > 0) {
+      return error(`Already registered under the same name: ${takenNames[0]}`, 409);
+    }
+
+    const capacity = await settingsDb.getCapacitySettings(env.DB, env, eventId);
+    const capacityError = await checkRestoreCapacity(env, 1, capacity.maxTotalParticipants, eventId);
+    if (capacityError) {
+      return error(capacityError, 400);
+    }
+
+    // Team size limit (except for Organisation)
+    if (team.name !== 'Organisation' && team.members.length >= capacity.maxTeamSize) {
+      return error(`Team is full (${capacity.maxTeamSize} members max)`, 400);
+    }
+
+    await db.restoreMember(env.DB, memberId);
+    await recordAudit(request, env, {
+      action: 'member.restore',
+      targetType: 'member',
+      targetId: memberId,
+      targetLabel: memberLabel({ ...member, last_name: db.untrashedName(member.last_name, member.id) }),
+      after: { teamId: team.id, teamName: team.name }
+    });
+
+    return json({ success: true, member: { id: member.id, team_id: team.id } });
+  } catch (error_) {
+    console.error('Error restoring member:', error_);
+    return error('Failed to restore member', 500);
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * Admin waitlist handlers - queue listing and ordered promotion
+ */
+
+import { json, error } from '../../lib/router.js';
+import * as db from '../../lib/db.js';
+import * as waitlistDb from '../../database/db.waitlist.js';
+import * as settingsDb from '../../database/db.settings.js';
+import * as answersDb from '../../database/db.custom-answers.js';
+import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
+import { getEventId } from '../../shared/events.js';
+import { checkMemberSchools } from '../../shared/schools.js';
+import { parseAnswers } from '../../shared/custom-fields.js';
+import { getBaseUrl } from '../../shared/urls.js';
+import { sendVerificationEmail } from '../../features/email/email.verification.js';
+
+/**
+ * Register a single waitlist entry into teams/members
+ * @returns {Promise<{teamId?: number, teamName?: string, added?: Array<object>, error?: string}>}
+ */
+async function promoteEntry(database, entry, members, maxTeamSize) {
+  let teamId = entry.team_id;
+  let teamName = entry.team_name;
+  const eventId = entry.event_id ?? null;
+
+  if (entry.create_new_team) {
+    const existing = await db.getTeamByName(database, entry.team_name, eventId);
+    if (existing) {
+      return { error: 'Team name already exists' };
+    }
+  } else {
+    const team = await db.getTeamById(database, teamId);
+    if (!team) {
+      return { error: 'Team no longer exists' };
+    }
+    if (team.name !== 'Organisation' && team.members.length + members.length > maxTeamSize) {
+      return { error: 'Team is full' };
+    }
+    teamName = team.name;
+  }
+
+  for (const member of members) {
+    if (await db.memberExists(database, member.firstName, member.lastName, eventId)) {
+      return { error: `${member.firstName} ${member.lastName} is already registered` };
+    }
+  }
+
+  // Entries queued before the event listed schools have none
+  const schools = await checkMemberSchools(database, members, eventId, { required: false });
+  if (schools.error) {
+    return { error: schools.error };
+  }
+
+  if (entry.create_new_team) {
+    const team = await db.createTeam(database, entry.team_name, entry.team_description, entry.password_hash, eventId);
+    teamId = team.id;
+  }
+
+  const added = [];
+  for (const member of schools.members) {
+    added.push(await db.addMember(database, teamId, member));
+  }
+
+  // Answers to the custom questions given when joining the waitlist
+  if (await answersDb.customAnswersColumnExists(database)) {
+    await answersDb.setMembersAnswers(database, added);
+    if (entry.create_new_team) {
+      await answersDb.setTeamAnswers(database, teamId, parseAnswers(entry.custom_answers));
+    }
+  }
+
+  return { teamId, teamName, added };
+}
+
+/**
+ * Promote waiting entries in order while spots are available
+ * Promotion is strictly first-come first-served: it stops at the first
+ * entry that does not fit instead of skipping ahead to smaller ones.
+ * Promoted members get their email verification link like any registration.
+ * @param {object} env
+ * @param {number|null} eventId - Event whose spots were freed
+ * @param {string} baseUrl - Public site URL, for the verification links
+ * @returns {Promise<Array<{id: number, status: string, reason?: string}>>}
+ */
+export async function promoteWaitlist(env, eventId, baseUrl) {
+  if (!await waitlistDb.waitlistTableExists(env.DB)) {
+    return [];
+  }
+
+  const capacity = await settingsDb.getCapacitySettings(env.DB, env, eventId);
+  let available = capacity.maxTotalParticipants - await db.getTotalParticipants(env.DB, eventId);
+  const results = [];
+
+  for (const entry of await waitlistDb.getWaitingEntries(env.DB, eventId)) {
+    if (entry.member_count > available) break;
+
+    const members = JSON.parse(entry.members_json);
+    const outcome = await promoteEntry(env.DB, entry, members, capacity.maxTeamSize);
+
+    if (outcome.error) {
+      await waitlistDb.setWaitlistStatus(env.DB, entry.id, 'failed', { reason: outcome.error });
+      results.push({ id: entry.id, status: 'failed', reason: outcome.error });
+      continue;
+    }
+
+    await waitlistDb.setWaitlistStatus(env.DB, entry.id, 'promoted', { teamId: outcome.teamId });
+    for (const member of outcome.added) {
+      await sendVerificationEmail(env, member, outcome.teamName, baseUrl);
+    }
+    available -= entry.member_count;
+    results.push({ id: entry.id, status: 'promoted', teamId: outcome.teamId });
+  }
+
+  return results;
+}
+
+/**
+ * Promote after a deletion without failing the deletion itself
+ * @param {object} env
+ * @param {number|null} eventId
+ * @param {string} baseUrl - Public site URL
+ * @returns {Promise<Array>}
+ */
+export async function promoteWaitlistSafely(env, eventId, baseUrl) {
+  try {
+    return await promoteWaitlist(env, eventId, baseUrl);
+  } catch (error_) {
+    console.error('Waitlist promotion error:', error_);
+    return [];
+  }
+}
+
+/**
+ * Format an entry for the admin dashboard (never exposes password_hash)
+ */
+function formatEntry(entry) {
+  return {
+    id: entry.id,
+    team_id: entry.team_id,
+    team_name: entry.team_name,
+    create_new_team: !!entry.create_new_team,
+    members: JSON.parse(entry.members_json),
+    member_count: entry.member_count,
+    email: entry.email,
+    status: entry.status,
+    status_reason: entry.status_reason,
+    promoted_team_id: entry.promoted_team_id,
+    processed_at: entry.processed_at,
+    created_at: entry.created_at
+  };
+}
+
+/**
+ * GET /api/admin/waitlist - Get waiting entries and promotion history
+ */
+export async function getWaitlist(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const eventId = await getEventId(request, env);
+    const waiting = await waitlistDb.getWaitingEntries(env.DB, eventId);
+    const history = await waitlistDb.getWaitlistHistory(env.DB, 100, eventId);
+    const counts = await waitlistDb.getWaitlistCounts(env.DB, eventId);
+    const capacity = await settingsDb.getCapacitySettings(env.DB, env, eventId);
+    const total = await db.getTotalParticipants(env.DB, eventId);
+
+    return json({
+      waiting: waiting.map((entry, i) => ({ ...formatEntry(entry), position: i + 1 })),
+      history: history.map(entry => formatEntry(entry)),
+      stats: {
+        waiting_entries: counts.entries,
+        waiting_participants: counts.participants,
+        available_spots: Math.max(0, capacity.maxTotalParticipants - total)
+      }
+    });
+  } catch (error_) {
+    console.error('Error fetching waitlist:', error_);
+    return error('Failed to fetch waitlist', 500);
+  }
+}
+
+/**
+ * POST /api/admin/waitlist/promote - Promote waiting entries into free spots
+ */
+export async function promoteWaitlistAdmin(request, env) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const results = await promoteWaitlist(env, await getEventId(request, env), getBaseUrl(request));
+    if (results.length > 0) {
+      await recordAudit(request, env, {
+        action: 'waitlist.promote',
+        targetType: 'waitlist',
+        targetId: results.map(r => r.id),
+        after: { results }
+      });
+    }
+    return json({
+      success: true,
+      promoted: results.filter(r => r.status === 'promoted').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      details: results
+    });
+  } catch (error_) {
+    console.error('Error promoting waitlist:', error_);
+    return error('Failed to promote waitlist', 500);
+  }
+}
+
+/**
+ * DELETE /api/admin/waitlist/:id - Cancel a waiting entry
+ */
+export async function cancelWaitlistEntry(request, env, ctx, params) {
+  if (!await verifyAdmin(request, env)) {
+    return error('Unauthorized', 401);
+  }
+
+  try {
+    const entryId = Number.parseInt(params.id, 10);
+    if (Number.isNaN(entryId)) {
+      return error('Invalid waitlist entry ID', 400);
+    }
+
+    const entry = await waitlistDb.getWaitlistEntry(env.DB, entryId);
+    if (!entry) {
+      return error('Waitlist entry not found', 404);
+    }
+    if (entry.status !== 'waiting') {
+      return error(`Entry is already ${entry.status}`, 400);
+    }
+
+    await waitlistDb.setWaitlistStatus(env.DB, entryId, 'cancelled', { reason: 'Cancelled by admin' });
+    await recordAudit(request, env, {
+      action: 'waitlist.cancel',
+      targetType: 'waitlist',
+      targetId: entryId,
+      targetLabel: entry.team_name,
+      before: { status: entry.status },
+      after: { status: 'cancelled' }
+    });
+    return json({ success: true });
+  } catch (error_) {
+    console.error('Error cancelling waitlist entry:', error_);
+    return error('Failed to cancel waitlist entry', 500);
+  }
+}
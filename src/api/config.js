@@ -4,6 +4,8 @@
 
 import { json, error } from '../lib/router.js';
 import * as settingsDb from '../database/db.settings.js';
+import * as schoolsDb from '../database/db.schools.js';
+import { getEvent } from '../shared/events.js';
 
 // Default configuration embedded in worker
 const DEFAULT_CONFIG = {
@@ -81,15 +83,17 @@ async function isD1Available(env) {
 /**
  * Load settings from D1 database
  */
-async function loadD1Settings(config, env) {
+async function loadD1Settings(config, env, eventId) {
   try {
-    const d1Pizzas = await settingsDb.getSettingJson(env.DB, 'pizzas');
+    const d1Pizzas = await settingsDb.getSettingJson(env.DB, 'pizzas', eventId);
     if (d1Pizzas) config.pizzas = d1Pizzas;
 
-    const d1BacLevels = await settingsDb.getSettingJson(env.DB, 'bac_levels');
+    const d1BacLevels = await settingsDb.getSettingJson(env.DB, 'bac_levels', eventId);
     if (d1BacLevels) config.bacLevels = d1BacLevels;
 
-    const capacity = await settingsDb.getCapacitySettings(env.DB, env);
+    config.customFields = await settingsDb.getCustomFields(env.DB, eventId);
+
+    const capacity = await settingsDb.getCapacitySettings(env.DB, env, eventId);
     config.maxTeamSize = capacity.maxTeamSize;
     config.maxTotalParticipants = capacity.maxTotalParticipants;
     config.minTeamSize = capacity.minTeamSize;
@@ -100,6 +104,23 @@ async function loadD1Settings(config, env) {
   }
 }
 
+/**
+ * Load the schools participants can pick, with their remaining spots
+ * available_spots is null for schools without their own capacity
+ */
+async function loadSchools(config, env, eventId) {
+  try {
+    if (!await schoolsDb.schoolsTableExists(env.DB)) return;
+    const schools = await schoolsDb.getSchools(env.DB, eventId);
+    config.schools = schools.map(s => {
+      const available = s.max_participants === null ? null : Math.max(0, s.max_participants - s.member_count);
+      return { id: s.id, name: s.name, available_spots: available, is_full: available === 0 };
+    });
+  } catch (error_) {
+    console.error('D1 schools read error:', error_);
+  }
+}
+
 /**
  * Load settings from KV namespace
  */
@@ -133,11 +154,16 @@ function applyDefaultCapacity(config, env) {
  */
 export async function getConfig(request, env) {
   try {
-    const config = { ...DEFAULT_CONFIG };
+    const config = { ...DEFAULT_CONFIG, schools: [], customFields: [] };
+    const event = await getEvent(request, env);
+    if (event) {
+      config.event = { slug: event.slug, name: event.name, year: event.event_year, status: event.status };
+    }
 
     const d1Available = await isD1Available(env);
     if (d1Available) {
-      await loadD1Settings(config, env);
+      await loadD1Settings(config, env, event?.id ?? null);
+      await loadSchools(config, env, event?.id ?? null);
     } else if (env.CONFIG) {
       await loadKVSettings(config, env);
     }
@@ -4,14 +4,27 @@
 
 import { json, error } from '../lib/router.js';
 import * as db from '../lib/db.js';
+import * as settingsDb from '../database/db.settings.js';
 import { validateRegistration, sanitizeString } from '../lib/validation.js';
 import { hashPassword, verifyPassword, needsHashUpgrade } from '../shared/crypto.js';
+import { createTicketToken } from '../shared/tickets.js';
+import { detectEventYear } from '../database/db.archives.js';
+import { sendTemplateEmail } from '../features/email/email.outbox.js';
+import { escapeHtml } from '../features/email/email.templates.js';
+import { sendVerificationEmail } from '../features/email/email.verification.js';
+import { getBaseUrl } from '../shared/urls.js';
+import { getEvent, isEventOpen } from '../shared/events.js';
+import { checkMemberSchools } from '../shared/schools.js';
+import { resolveInvite } from '../shared/team-invites.js';
+import { guardAttempt, attemptError, TEAM_SCOPE } from '../shared/lockouts.js';
+import * as invitesDb from '../database/db.team-invites.js';
+import * as answersDb from '../database/db.custom-answers.js';
 
 /**
  * Check total capacity before registration
  */
-async function checkCapacity(database, memberCount, maxTotal) {
-  const currentTotal = await db.getTotalParticipants(database);
+async function checkCapacity(database, memberCount, maxTotal, eventId) {
+  const currentTotal = await db.getTotalParticipants(database, eventId);
   const available = maxTotal - currentTotal;
   if (memberCount > available) {
     return { ok: false, available };
@@ -22,42 +35,46 @@ async function checkCapacity(database, memberCount, maxTotal) {
 /**
  * Create a new team
  */
-async function createNewTeam(database, data, passwordHash) {
+async function createNewTeam(database, data, passwordHash, eventId) {
   const name = sanitizeString(data.teamName, 128);
   const description = sanitizeString(data.teamDescription || '', 256);
 
-  const existing = await db.getTeamByName(database, name);
+  const existing = await db.getTeamByName(database, name, eventId);
   if (existing) {
     return { error: 'Team name already exists' };
   }
 
-  const team = await db.createTeam(database, name, description, passwordHash);
+  const team = await db.createTeam(database, name, description, passwordHash, eventId);
   return { teamId: team.id, teamName: name, isNewTeam: true };
 }
 
 /**
- * Join an existing team with password verification
+ * Join an existing team with password verification, or with an invitation link
+ * The link's team replaces the selected one, and its uses are taken last
  */
-async function joinExistingTeam(database, data, password, memberCount, maxTeamSize) {
-  const teamId = Number.parseInt(data.teamId, 10);
+async function joinExistingTeam(database, data, { password, invite }, memberCount, maxTeamSize, eventId) {
+  const teamId = invite ? invite.team_id : Number.parseInt(data.teamId, 10);
   const team = await db.getTeamById(database, teamId);
 
-  if (!team) {
+  // Teams of other events are not listed on this event's page
+  if (!team || (team.event_id ?? null) !== eventId) {
     return { error: 'Selected team not found', status: 404 };
   }
 
-  const passwordValid = await verifyPassword(password, team.password_hash);
-  if (!passwordValid) {
-    return { error: 'Incorrect password', status: 403 };
-  }
+  if (!invite) {
+    const passwordValid = await verifyPassword(password, team.password_hash);
+    if (!passwordValid) {
+      return { error: 'Incorrect password', status: 403 };
+    }
 
-  // Upgrade legacy hash to new format on successful verification
-  if (needsHashUpgrade(team.password_hash)) {
-    try {
-      const newHash = await hashPassword(password);
-      await db.updateTeam(database, teamId, { passwordHash: newHash });
-    } catch (error_) {
-      console.error('Failed to upgrade password hash:', error_);
+    // Upgrade legacy hash to new format on successful verification
+    if (needsHashUpgrade(team.password_hash)) {
+      try {
+        const newHash = await hashPassword(password);
+        await db.updateTeam(database, teamId, { passwordHash: newHash });
+      } catch (error_) {
+        console.error('Failed to upgrade password hash:', error_);
+      }
     }
   }
 
@@ -70,25 +87,34 @@ async function joinExistingTeam(database, data, password, memberCount, maxTeamSi
     }
   }
 
-  return { teamId, teamName: team.name, isNewTeam: false };
+  if (invite && !await invitesDb.claimInviteUses(database, invite.id, memberCount)) {
+    return { error: 'This invitation link has no uses left', status: 410 };
+  }
+
+  return { teamId, teamName: team.name, isNewTeam: false, inviteId: invite?.id ?? null };
 }
 
 /**
  * Insert members into the database using batch operations
  */
-async function insertMembers(database, teamId, members) {
+async function insertMembers(database, teamId, members, eventId) {
+  // Trashed members with the same names would break the UNIQUE constraint
+  await db.releaseDeletedMemberNames(database, members, eventId);
+
   const insertStatements = members.map(member =>
     database.prepare(`
-      INSERT INTO members (team_id, first_name, last_name, email, bac_level, is_leader, food_diet)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO members (event_id, team_id, first_name, last_name, email, bac_level, is_leader, food_diet, school_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
+      eventId,
       teamId,
       member.firstName,
       member.lastName,
       member.email,
       member.bacLevel || 0,
       member.isLeader ? 1 : 0,
-      member.foodDiet || ''
+      member.foodDiet || '',
+      member.schoolId || null
     )
   );
 
@@ -99,54 +125,100 @@ async function insertMembers(database, teamId, members) {
   }));
 }
 
+/**
+ * Save the answers to the custom questions
+ * The registration itself already succeeded, so failures are only logged
+ */
+async function saveCustomAnswers(database, members, team) {
+  try {
+    if (!await answersDb.customAnswersColumnExists(database)) return;
+    await answersDb.setMembersAnswers(database, members);
+    if (team) {
+      await answersDb.setTeamAnswers(database, team.teamId, team.answers);
+    }
+  } catch (error_) {
+    console.error('Failed to save custom answers:', error_);
+  }
+}
+
 /**
  * POST /api/register - Register team members
  */
 export async function register(request, env) {
   try {
+    const event = await getEvent(request, env);
+    if (!isEventOpen(event)) {
+      return error('Registrations are closed for this event', 403);
+    }
+    const eventId = event?.id ?? null;
+
     const data = await request.json();
-    const maxTeamSize = Number.parseInt(env.MAX_TEAM_SIZE, 10) || 15;
-    const maxTotal = Number.parseInt(env.MAX_TOTAL_PARTICIPANTS, 10) || 200;
-    const minTeamSize = Number.parseInt(env.MIN_TEAM_SIZE, 10) || 2;
+    const { maxTeamSize, maxTotalParticipants: maxTotal, minTeamSize } = await settingsDb.getCapacitySettings(env.DB, env, eventId);
+    const customFields = await settingsDb.getCustomFields(env.DB, eventId);
 
     // Validate input
-    const validation = validateRegistration(data, { maxTeamSize, minTeamSize });
+    const validation = validateRegistration(data, { maxTeamSize, minTeamSize, customFields });
     if (!validation.valid) {
       return error(validation.errors.join('; '), 400);
     }
 
     // Check total capacity
-    const capacity = await checkCapacity(env.DB, validation.members.length, maxTotal);
+    const capacity = await checkCapacity(env.DB, validation.members.length, maxTotal, eventId);
     if (!capacity.ok) {
-      return error(`Registration would exceed maximum capacity. Only ${capacity.available} spots available.`, 400);
+      // Let the client offer POST /api/waitlist instead
+      return json({
+        error: `Registration would exceed maximum capacity. Only ${capacity.available} spots available.`,
+        waitlist: true
+      }, 400);
+    }
+
+    // Check each member's school and its capacity
+    const schools = await checkMemberSchools(env.DB, validation.members, eventId);
+    if (schools.error) {
+      return error(schools.error, 400);
     }
 
-    // Validate password
+    // Validate password (an invitation link replaces it when joining)
     const password = sanitizeString(data.teamPassword || '', 64);
-    if (!password) {
+    const inviteToken = data.createNewTeam ? '' : String(data.inviteToken || '');
+    if (!password && !inviteToken) {
       return error('Team password is required', 400);
     }
 
+    let invite = null;
+    if (inviteToken) {
+      const resolved = await resolveInvite(env, inviteToken);
+      if (resolved.error) {
+        return error(resolved.error, resolved.status);
+      }
+      invite = resolved.invite;
+    }
+
     // Handle team creation or joining
     let teamResult;
     if (data.createNewTeam) {
       const passwordHash = await hashPassword(password);
-      teamResult = await createNewTeam(env.DB, data, passwordHash);
+      teamResult = await createNewTeam(env.DB, data, passwordHash, eventId);
     } else {
-      teamResult = await joinExistingTeam(env.DB, data, password, validation.members.length, maxTeamSize);
+      const join = () => joinExistingTeam(env.DB, data, { password, invite }, validation.members.length, maxTeamSize, eventId);
+      // Wrong team passwords count towards a lockout, invitation links are not guesses
+      teamResult = invite ? await join() : await guardAttempt(env, request, TEAM_SCOPE, Number.parseInt(data.teamId, 10), join);
     }
 
     if (teamResult.error) {
-      return error(teamResult.error, teamResult.status || 400);
+      return attemptError(teamResult);
     }
 
-    const { teamId, teamName, isNewTeam } = teamResult;
+    const { teamId, teamName, isNewTeam, inviteId } = teamResult;
 
     // Insert members
     let addedMembers;
     try {
-      addedMembers = await insertMembers(env.DB, teamId, validation.members);
+      addedMembers = await insertMembers(env.DB, teamId, schools.members, eventId);
     } catch (error_) {
+      if (inviteId) {
+        await invitesDb.releaseInviteUses(env.DB, inviteId, schools.members.length);
+      }
       const errMsg = error_.message?.toLowerCase() || '';
       const isConstraintError = errMsg.includes('unique constraint') ||
           errMsg.includes('duplicate') ||
@@ -158,9 +230,27 @@ export async function register(request, env) {
       throw error_;
     }
 
+    if (inviteId) {
+      try {
+        await invitesDb.recordInviteUses(env.DB, inviteId, addedMembers.map(m => m.id));
+      } catch (error_) {
+        console.error('Failed to record invitation link uses:', error_);
+      }
+    }
+
+    if (customFields.length > 0) {
+      await saveCustomAnswers(env.DB, addedMembers, isNewTeam ? { teamId, answers: validation.teamAnswers } : null);
+    }
+
     // Send confirmation email (non-blocking)
     try {
-      await sendConfirmationEmail(env, { teamName, isNewTeam, members: validation.members });
+      await sendConfirmationEmail(env, {
+        teamName,
+        isNewTeam,
+        members: addedMembers,
+        baseUrl: getBaseUrl(request),
+        eventId
+      });
     } catch (error_) {
       console.error('Failed to send confirmation email:', error_);
     }
@@ -179,17 +269,35 @@ export async function register(request, env) {
 }
 
 /**
- * Send confirmation email via MailChannels API (free for Workers)
+ * Build check-in tickets for newly registered members, as a template placeholder
+ * @returns {Promise<{text: string, html: string}>}
  */
-async function sendConfirmationEmail(env, { teamName, isNewTeam, members }) {
-  // Skip email in test environment
-  const adminEmail = env.ADMIN_EMAIL || 'asso@info-evry.fr';
-  if (adminEmail === 'test@example.com') {
-    return;
-  }
+async function buildTickets(env, members, baseUrl, eventId) {
+  const eventYear = await detectEventYear(env.DB, eventId);
+  const tickets = await Promise.all(members.map(async m => {
+    const token = await createTicketToken(env, m.id, eventYear);
+    return {
+      name: `${m.firstName} ${m.lastName}`,
+      token,
+      url: `${baseUrl}/api/tickets/${token}/qr`
+    };
+  }));
+
+  return {
+    text: tickets.map(t => `- ${t.name}: ${t.url}`).join('\n'),
+    html: tickets.map(t =>
+      `<strong>${escapeHtml(t.name)}</strong><br><img src="${escapeHtml(t.url)}" alt="Billet de ${escapeHtml(t.name)}" width="200" height="200"><br><code>${escapeHtml(t.token)}</code>`
+    ).join('<br><br>')
+  };
+}
 
-  // Use MailChannels Send API (free for Cloudflare Workers)
-  const replyTo = env.REPLY_TO_EMAIL || 'contact@info-evry.fr';
+/**
+ * Send the organisers' notification, the participant confirmation and
+ * a verification link to every new member
+ * Delivery failures are kept in the email outbox
+ */
+async function sendConfirmationEmail(env, { teamName, isNewTeam, members, baseUrl, eventId }) {
+  const adminEmail = env.ADMIN_EMAIL || 'asso@info-evry.fr';
 
   const memberList = members.map(m =>
     `- ${m.firstName} ${m.lastName} (${m.email})${m.isLeader ? ' [Chef d\'équipe]' : ''}`
@@ -200,77 +308,33 @@ async function sendConfirmationEmail(env, { teamName, isNewTeam, members }) {
     .map(m => `- ${m.firstName} ${m.lastName}: ${m.foodDiet}`)
     .join('\n') || 'Aucune sélection';
 
-  const subject = isNewTeam
-    ? `[NDI] Nouvelle équipe créée: ${teamName}`
-    : `[NDI] Nouveaux membres: ${teamName}`;
-
-  const body = `
-Bonjour,
-
-${isNewTeam ? `L'équipe "${teamName}" a été créée` : `De nouveaux membres ont rejoint l'équipe "${teamName}"`} pour la Nuit de l'Info.
-
-Membres inscrits:
-${memberList}
-
-Préférences pizza:
-${pizzaList}
-
-Cordialement,
-L'équipe d'organisation
-`.trim();
+  await sendTemplateEmail(env, {
+    template: 'registration_admin',
+    to: adminEmail,
+    vars: {
+      action: isNewTeam ? 'Nouvelle équipe créée' : 'Nouveaux membres',
+      teamName,
+      memberList,
+      pizzaList
+    }
+  });
 
-  // Get first member email for participant confirmation
+  // Confirmation goes to the first member, who receives the whole team's tickets
   const firstMemberEmail = members[0]?.email;
-
-  // Send to admin
-  try {
-    await fetch('https://api.mailchannels.net/tx/v1/send', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        personalizations: [{ to: [{ email: adminEmail }] }],
-        from: { email: replyTo, name: 'Nuit de l\'Info' },
-        reply_to: { email: replyTo },
-        subject,
-        content: [{ type: 'text/plain', value: body }]
-      })
+  if (firstMemberEmail) {
+    await sendTemplateEmail(env, {
+      template: 'registration_confirmation',
+      to: firstMemberEmail,
+      vars: {
+        teamName,
+        memberCount: members.length,
+        memberList,
+        tickets: await buildTickets(env, members, baseUrl, eventId)
+      }
     });
-  } catch (error_) {
-    console.error('Error sending admin notification email:', error_);
-    // Optionally, handle the error, e.g. add fallback or response status
   }
 
-  // Send confirmation to first member
-  if (firstMemberEmail) {
-    const participantBody = `
-Bonjour,
-
-Votre inscription à la Nuit de l'Info a été confirmée!
-
-Équipe: ${teamName}
-Membres inscrits: ${members.length}
-
-${memberList}
-
-À bientôt!
-L'équipe d'organisation
-`.trim();
-
-    try {
-      await fetch('https://api.mailchannels.net/tx/v1/send', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          personalizations: [{ to: [{ email: firstMemberEmail }] }],
-          from: { email: replyTo, name: 'Nuit de l\'Info' },
-          reply_to: { email: replyTo },
-          subject: '[NDI] Confirmation d\'inscription',
-          content: [{ type: 'text/plain', value: participantBody }]
-        })
-      });
-    } catch (error_) {
-      console.error('Error sending participant confirmation email:', error_);
-      // Optionally, handle the error as needed
-    }
+  for (const member of members) {
+    await sendVerificationEmail(env, member, teamName, baseUrl);
   }
 }
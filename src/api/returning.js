@@ -0,0 +1,101 @@
+/**
+ * Returning participant recognition
+ *
+ * A participant found in a non-expired archive can ask for a link, sent to
+ * that address, which prefills the registration form with their last
+ * archived name, study level and pizza choice. Requests are rate limited per
+ * address and per client IP (migration 031) so the endpoint can't be used to
+ * flood a mailbox.
+ */
+
+import { json, error } from '../lib/router.js';
+import { isValidEmail } from '../lib/validation.js';
+import { findArchivedParticipant } from '../database/db.archives.js';
+import * as requestsDb from '../database/db.returning-requests.js';
+import { hashToken } from '../shared/crypto.js';
+import { sendTemplateEmail } from '../features/email/email.outbox.js';
+import { escapeHtml } from '../features/email/email.templates.js';
+import { createReturningToken, verifyReturningToken } from '../shared/returning.js';
+import { getRegistrationPageUrl } from '../shared/urls.js';
+import { getEvent } from '../shared/events.js';
+
+// At most this many requests per window, per address and per IP
+export const RETURNING_WINDOW_MINUTES = 60;
+export const RETURNING_LIMIT_PER_EMAIL = 3;
+export const RETURNING_LIMIT_PER_IP = 10;
+
+/**
+ * POST /api/returning - Email a prefill link to a past participant
+ * Body: { email }
+ * The response is the same whether or not the email is known
+ */
+export async function requestReturningLink(request, env) {
+  try {
+    const { email } = await request.json().catch(() => ({}));
+    const normalized = String(email || '').trim().toLowerCase();
+    if (!normalized || !isValidEmail(normalized)) {
+      return error('A valid email is required', 400);
+    }
+
+    // Unknown addresses count too, so the limit reveals nothing
+    if (await requestsDb.returningRequestsTableExists(env.DB)) {
+      const requester = { emailHash: await hashToken(normalized), ip: request.headers.get('CF-Connecting-IP') || '' };
+      const recent = await requestsDb.countRecentReturningRequests(env.DB, requester, RETURNING_WINDOW_MINUTES);
+      if (recent.email >= RETURNING_LIMIT_PER_EMAIL || recent.ip >= RETURNING_LIMIT_PER_IP) {
+        const response = error('Too many requests. Try again later.', 429);
+        response.headers.set('Retry-After', String(RETURNING_WINDOW_MINUTES * 60));
+        return response;
+      }
+      await requestsDb.logReturningRequest(env.DB, requester);
+    }
+
+    const participant = await findArchivedParticipant(env.DB, normalized);
+    if (participant) {
+      const token = await createReturningToken(env, normalized);
+      const link = `${getRegistrationPageUrl(request, await getEvent(request, env))}?returning=${token}#inscription`;
+
+      await sendTemplateEmail(env, {
+        template: 'returning_participant',
+        to: normalized,
+        vars: {
+          firstName: participant.member.first_name,
+          years: participant.years.join(', '),
+          link: { text: link, html: `<a href="${escapeHtml(link)}">${escapeHtml(link)}</a>` }
+        }
+      });
+    }
+
+    return json({ success: true });
+  } catch (error_) {
+    console.error('Error sending returning participant link:', error_);
+    return error('Failed to send the link', 500);
+  }
+}
+
+/**
+ * GET /api/returning/:token - Registration details of a past participant
+ */
+export async function getReturningProfile(request, env, ctx, params) {
+  try {
+    const email = await verifyReturningToken(env, params.token);
+    const participant = email ? await findArchivedParticipant(env.DB, email) : null;
+    if (!participant) {
+      return error('Invalid or expired link', 404);
+    }
+
+    const { member, years } = participant;
+    return json({
+      profile: {
+        email,
+        firstName: member.first_name,
+        lastName: member.last_name,
+        bacLevel: member.bac_level || 0,
+        foodDiet: member.food_diet || '',
+        years
+      }
+    });
+  } catch (error_) {
+    console.error('Error reading returning participant link:', error_);
+    return error('Failed to read the link', 500);
+  }
+}
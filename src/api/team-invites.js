@@ -0,0 +1,198 @@
+/**
+ * Team invitation links
+ *
+ * Leaders, authenticated with the team password, create links that let
+ * someone join the team without knowing the password. Each link expires and
+ * has a maximum number of uses; leaders can list who joined through it and
+ * revoke it.
+ */
+
+import { json, error } from '../lib/router.js';
+import * as db from '../lib/db.js';
+import * as invitesDb from '../database/db.team-invites.js';
+import { sanitizeString } from '../lib/validation.js';
+import { createInviteToken, getInviteStatus, resolveInvite } from '../shared/team-invites.js';
+import { getEvent } from '../shared/events.js';
+import { getRegistrationPageUrl } from '../shared/urls.js';
+import { authenticateTeam, recordChange } from './team-view.js';
+import { attemptError } from '../shared/lockouts.js';
+
+export const MAX_INVITE_USES = 50;
+export const MAX_INVITE_HOURS = 30 * 24;
+const DEFAULT_INVITE_USES = 5;
+const DEFAULT_INVITE_HOURS = 72;
+
+/**
+ * Format an invite for the team view
+ * @param {object} invite - team_invites row, with uses when listed
+ * @param {string} pageUrl - Registration page URL
+ * @param {string} token
+ */
+function formatInvite(invite, pageUrl, token) {
+  const status = getInviteStatus(invite);
+  return {
+    id: invite.id,
+    label: invite.label || '',
+    maxUses: invite.max_uses,
+    useCount: invite.use_count,
+    expiresAt: invite.expires_at,
+    revokedAt: invite.revoked_at,
+    createdAt: invite.created_at,
+    status,
+    link: status === 'active' ? `${pageUrl}?invite=${token}#inscription` : null,
+    uses: (invite.uses || []).map(u => ({
+      memberId: u.member_id,
+      name: u.first_name ? `${u.first_name} ${u.last_name}` : null,
+      usedAt: u.used_at
+    }))
+  };
+}
+
+/**
+ * Authenticate the team and check that invitation links are available
+ * @returns {Promise<{team?: object, error?: string, status?: number}>}
+ */
+async function authenticateForInvites(request, env, params, password) {
+  const auth = await authenticateTeam(request, env, Number.parseInt(params.id, 10), password);
+  if (auth.error) return auth;
+
+  if (!await invitesDb.teamInvitesTableExists(env.DB)) {
+    return { error: 'Invitation links are not available', status: 503 };
+  }
+  return auth;
+}
+
+/**
+ * Parse an integer within bounds
+ * @returns {number|null} null if invalid
+ */
+function parseBounded(value, fallback, max) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 1 && parsed <= max ? parsed : null;
+}
+
+/**
+ * POST /api/teams/:id/invites - Create an invitation link
+ * Body: { password, label?, maxUses?, expiresInHours? }
+ */
+export async function createTeamInvite(request, env, ctx, params) {
+  try {
+    const { password, label, maxUses, expiresInHours } = await request.json();
+
+    const auth = await authenticateForInvites(request, env, params, password);
+    if (auth.error) {
+      return attemptError(auth);
+    }
+
+    const uses = parseBounded(maxUses, DEFAULT_INVITE_USES, MAX_INVITE_USES);
+    if (uses === null) {
+      return error(`Max uses must be between 1 and ${MAX_INVITE_USES}`, 400);
+    }
+    const hours = parseBounded(expiresInHours, DEFAULT_INVITE_HOURS, MAX_INVITE_HOURS);
+    if (hours === null) {
+      return error(`Expiry must be between 1 and ${MAX_INVITE_HOURS} hours`, 400);
+    }
+
+    const { team } = auth;
+    const invite = await invitesDb.createInvite(env.DB, {
+      teamId: team.id,
+      label: sanitizeString(label || '', 64),
+      maxUses: uses,
+      expiresInHours: hours
+    });
+    await recordChange(env, team, { action: 'invite_created', details: { inviteId: invite.id, maxUses: uses, expiresAt: invite.expires_at } });
+
+    const pageUrl = getRegistrationPageUrl(request, await getEvent(request, env));
+    return json({ success: true, invite: formatInvite(invite, pageUrl, await createInviteToken(env, invite.id)) }, 201);
+  } catch (error_) {
+    console.error('Error creating team invite:', error_);
+    return error('Failed to create invitation link', 500);
+  }
+}
+
+/**
+ * POST /api/teams/:id/invites/list - List the team's invitation links and their uses
+ * Body: { password }
+ */
+export async function listTeamInvites(request, env, ctx, params) {
+  try {
+    const { password } = await request.json();
+
+    const auth = await authenticateForInvites(request, env, params, password);
+    if (auth.error) {
+      return attemptError(auth);
+    }
+
+    const invites = await invitesDb.getTeamInvites(env.DB, auth.team.id);
+    const pageUrl = getRegistrationPageUrl(request, await getEvent(request, env));
+    return json({
+      invites: await Promise.all(invites.map(async invite =>
+        formatInvite(invite, pageUrl, await createInviteToken(env, invite.id))
+      ))
+    });
+  } catch (error_) {
+    console.error('Error listing team invites:', error_);
+    return error('Failed to load invitation links', 500);
+  }
+}
+
+/**
+ * DELETE /api/teams/:id/invites/:inviteId - Revoke an invitation link
+ * Body: { password }
+ */
+export async function revokeTeamInvite(request, env, ctx, params) {
+  try {
+    const { password } = await request.json();
+
+    const auth = await authenticateForInvites(request, env, params, password);
+    if (auth.error) {
+      return attemptError(auth);
+    }
+
+    const { team } = auth;
+    const invite = await invitesDb.getInviteById(env.DB, Number.parseInt(params.inviteId, 10));
+    if (!invite || invite.team_id !== team.id) {
+      return error('Invitation link not found', 404);
+    }
+
+    if (await invitesDb.revokeInvite(env.DB, invite.id)) {
+      await recordChange(env, team, { action: 'invite_revoked', details: { inviteId: invite.id, useCount: invite.use_count } });
+    }
+
+    return json({ success: true, message: 'Invitation link revoked' });
+  } catch (error_) {
+    console.error('Error revoking team invite:', error_);
+    return error('Failed to revoke invitation link', 500);
+  }
+}
+
+/**
+ * GET /api/invites/:token - Team behind an invitation link, for the join form
+ */
+export async function getInvite(request, env, ctx, params) {
+  try {
+    const resolved = await resolveInvite(env, params.token);
+    if (resolved.error) {
+      return error(resolved.error, resolved.status);
+    }
+
+    const { invite } = resolved;
+    const team = await db.getTeamById(env.DB, invite.team_id);
+    if (!team) {
+      return error('Invalid invitation link', 404);
+    }
+
+    return json({
+      invite: {
+        teamId: team.id,
+        teamName: team.name,
+        expiresAt: invite.expires_at,
+        usesLeft: invite.max_uses - invite.use_count
+      }
+    });
+  } catch (error_) {
+    console.error('Error reading team invite:', error_);
+    return error('Failed to read invitation link', 500);
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Team password reset
+ *
+ * A team that lost its password can have a reset link emailed to its leaders.
+ * Opening the link lets whoever reads a leader's mailbox choose a new
+ * password. Requests are rate limited per team and per client IP so the
+ * endpoint can't be used to flood leaders with emails.
+ */
+
+import { json, error } from '../lib/router.js';
+import * as db from '../lib/db.js';
+import * as resetsDb from '../database/db.password-resets.js';
+import { sanitizeString } from '../lib/validation.js';
+import { hashPassword } from '../shared/crypto.js';
+import { createTeamResetToken, getTeamResetTokenTeamId, verifyTeamResetToken } from '../shared/team-reset.js';
+import { sendTemplateEmail } from '../features/email/email.outbox.js';
+import { escapeHtml } from '../features/email/email.templates.js';
+import { getEvent } from '../shared/events.js';
+import { getRegistrationPageUrl } from '../shared/urls.js';
+import { recordChange } from './team-view.js';
+
+const MIN_PASSWORD_LENGTH = 4;
+
+// At most this many requests per window, per team and per IP
+export const RESET_WINDOW_MINUTES = 60;
+export const RESET_LIMIT_PER_TEAM = 3;
+export const RESET_LIMIT_PER_IP = 10;
+
+/**
+ * POST /api/teams/:id/password-reset - Email a reset link to the team leaders
+ * The response is the same whether or not the team has a leader with an email
+ */
+export async function requestTeamPasswordReset(request, env, ctx, params) {
+  try {
+    const teamId = Number.parseInt(params.id, 10);
+    const team = await db.getTeamById(env.DB, teamId);
+    if (!team) {
+      return error('Team not found', 404);
+    }
+
+    if (!await resetsDb.passwordResetsTableExists(env.DB)) {
+      return error('Password reset is not available', 503);
+    }
+
+    const ip = request.headers.get('CF-Connecting-IP') || '';
+    const recent = await resetsDb.countRecentResetRequests(env.DB, { teamId, ip }, RESET_WINDOW_MINUTES);
+    if (recent.team >= RESET_LIMIT_PER_TEAM || recent.ip >= RESET_LIMIT_PER_IP) {
+      const response = error('Too many reset requests. Try again later.', 429);
+      response.headers.set('Retry-After', String(RESET_WINDOW_MINUTES * 60));
+      return response;
+    }
+    await resetsDb.logResetRequest(env.DB, { teamId, ip });
+
+    const leaders = team.members.filter(m => m.is_leader && m.email);
+    if (leaders.length > 0) {
+      const link = `${getRegistrationPageUrl(request, await getEvent(request, env))}?reset=${await createTeamResetToken(env, team)}`;
+      for (const leader of leaders) {
+        await sendTemplateEmail(env, {
+          template: 'team_password_reset',
+          to: leader.email,
+          vars: {
+            firstName: leader.first_name,
+            teamName: team.name,
+            link: { text: link, html: `<a href="${escapeHtml(link)}">${escapeHtml(link)}</a>` }
+          }
+        });
+      }
+    }
+
+    return json({ success: true });
+  } catch (error_) {
+    console.error('Error requesting team password reset:', error_);
+    return error('Failed to send the reset link', 500);
+  }
+}
+
+/**
+ * POST /api/teams/reset-password - Set a new team password from a reset link
+ * Body: { token, password }
+ */
+export async function resetTeamPassword(request, env) {
+  try {
+    const { token, password } = await request.json().catch(() => ({}));
+
+    const teamId = getTeamResetTokenTeamId(token);
+    const team = teamId ? await db.getTeamById(env.DB, teamId) : null;
+    if (!team || !await verifyTeamResetToken(env, token, team)) {
+      return error('Invalid or expired link', 400);
+    }
+
+    const sanitized = sanitizeString(password || '', 64);
+    if (sanitized.length < MIN_PASSWORD_LENGTH) {
+      return error(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+
+    await db.updateTeam(env.DB, team.id, { passwordHash: await hashPassword(sanitized) });
+    await recordChange(env, team, { action: 'password_reset' });
+
+    return json({ success: true, teamId: team.id, teamName: team.name });
+  } catch (error_) {
+    console.error('Error resetting team password:', error_);
+    return error('Failed to reset the password', 500);
+  }
+}
@@ -1,26 +1,37 @@
 /**
  * Public team view API - allows users to view team members with password
+ * The same password also unlocks self-service edits for team leaders
  */
 
 import { json, error } from '../lib/router.js';
 import * as db from '../lib/db.js';
+import * as teamChangesDb from '../database/db.team-changes.js';
+import { validateMember, sanitizeString } from '../lib/validation.js';
 import { hashPassword, verifyPassword, needsHashUpgrade } from '../shared/crypto.js';
+import { promoteWaitlistSafely } from './admin/waitlist.js';
+import { createTicketToken } from '../shared/tickets.js';
+import { detectEventYear } from '../database/db.archives.js';
+import { handleEmailChange } from '../features/email/email.verification.js';
+import { getBaseUrl } from '../shared/urls.js';
+import { checkMemberSchools } from '../shared/schools.js';
+import { guardAttempt, attemptError, TEAM_SCOPE } from '../shared/lockouts.js';
+
+const MIN_PASSWORD_LENGTH = 4;
 
 /**
- * POST /api/teams/:id/view - View team members with password
+ * Load a team and verify its password
+ * Wrong passwords count towards a lockout of the client on this team.
+ * @returns {Promise<{team?: object, error?: string, status?: number, retryAfter?: number}>}
  */
-export async function viewTeamMembers(request, env, ctx, params) {
-  try {
-    const teamId = Number.parseInt(params.id, 10);
-    const { password } = await request.json();
-
-    if (!password) {
-      return error('Password is required', 400);
-    }
+export async function authenticateTeam(request, env, teamId, password) {
+  if (!password) {
+    return { error: 'Password is required', status: 400 };
+  }
 
+  return guardAttempt(env, request, TEAM_SCOPE, teamId, async () => {
     const team = await db.getTeamById(env.DB, teamId);
     if (!team) {
-      return error('Team not found', 404);
+      return { error: 'Team not found', status: 404 };
     }
 
     // Verify password using the new verifyPassword function
@@ -28,7 +39,7 @@ export async function viewTeamMembers(request, env, ctx, params) {
     const isValid = await verifyPassword(password, team.password_hash);
 
     if (!isValid) {
-      return error('Mot de passe incorrect', 403);
+      return { error: 'Mot de passe incorrect', status: 403 };
     }
 
     // Upgrade legacy hash to new format on successful login
@@ -42,22 +53,85 @@ export async function viewTeamMembers(request, env, ctx, params) {
       }
     }
 
-    // Return team info with members (exclude sensitive data)
+    return { team };
+  });
+}
+
+/**
+ * Format a member for the public API (exclude sensitive data)
+ */
+function formatMember(m) {
+  return {
+    id: m.id,
+    firstName: m.first_name,
+    lastName: m.last_name,
+    email: m.email,
+    bacLevel: m.bac_level,
+    isLeader: !!m.is_leader,
+    foodDiet: m.food_diet,
+    schoolId: m.school_id ?? null
+  };
+}
+
+/**
+ * Attach check-in tickets to formatted members
+ * The team view still loads if tickets can't be signed
+ */
+async function withTickets(env, members, eventId) {
+  try {
+    const eventYear = await detectEventYear(env.DB, eventId);
+    return await Promise.all(members.map(async m => ({
+      ...m,
+      ticket: await createTicketToken(env, m.id, eventYear)
+    })));
+  } catch (error_) {
+    console.error('Failed to create tickets:', error_);
+    return members;
+  }
+}
+
+/**
+ * Record a change without failing the edit if the log is unavailable
+ */
+export async function recordChange(env, team, change) {
+  try {
+    await teamChangesDb.logTeamChange(env.DB, { teamId: team.id, teamName: team.name, ...change });
+  } catch (error_) {
+    console.error('Failed to log team change:', error_);
+  }
+}
+
+/**
+ * Find a member of the authenticated team
+ */
+function findTeamMember(team, params) {
+  const memberId = Number.parseInt(params.memberId, 10);
+  return team.members.find(m => m.id === memberId) || null;
+}
+
+/**
+ * POST /api/teams/:id/view - View team members with password
+ */
+export async function viewTeamMembers(request, env, ctx, params) {
+  try {
+    const teamId = Number.parseInt(params.id, 10);
+    const { password } = await request.json();
+
+    const auth = await authenticateTeam(request, env, teamId, password);
+    if (auth.error) {
+      return attemptError(auth);
+    }
+
+    const { team } = auth;
+    const members = await withTickets(env, team.members.map(m => formatMember(m)), team.event_id ?? null);
+
     return json({
       team: {
         id: team.id,
         name: team.name,
         description: team.description,
         created_at: team.created_at,
-        members: team.members.map(m => ({
-          id: m.id,
-          firstName: m.first_name,
-          lastName: m.last_name,
-          email: m.email,
-          bacLevel: m.bac_level,
-          isLeader: !!m.is_leader,
-          foodDiet: m.food_diet
-        }))
+        members
       }
     });
   } catch (error_) {
@@ -65,3 +139,182 @@ export async function viewTeamMembers(request, env, ctx, params) {
     return error('Failed to load team', 500);
   }
 }
+
+/**
+ * PUT /api/teams/:id/members/:memberId - Edit a member of the team
+ */
+export async function updateTeamMember(request, env, ctx, params) {
+  try {
+    const teamId = Number.parseInt(params.id, 10);
+    const { password, ...updates } = await request.json();
+
+    const auth = await authenticateTeam(request, env, teamId, password);
+    if (auth.error) {
+      return attemptError(auth);
+    }
+
+    const { team } = auth;
+    const member = findTeamMember(team, params);
+    if (!member) {
+      return error('Member not found', 404);
+    }
+
+    const current = formatMember(member);
+    const validation = validateMember({ ...current, ...updates });
+    if (!validation.valid) {
+      return error(validation.errors.join('; '), 400);
+    }
+
+    // Compare against normalized stored values so untouched fields are not logged
+    const baseline = validateMember(current).value || current;
+    const before = {};
+    const after = {};
+    for (const [key, value] of Object.entries(validation.value)) {
+      if (value !== baseline[key]) {
+        before[key] = baseline[key];
+        after[key] = value;
+      }
+    }
+
+    if (after.schoolId !== undefined) {
+      const schools = await checkMemberSchools(env.DB, [validation.value], team.event_id ?? null);
+      if (schools.error) {
+        return error(schools.error, 400);
+      }
+      if (schools.members[0].schoolId === before.schoolId) {
+        delete before.schoolId;
+        delete after.schoolId;
+      }
+    }
+
+    if (Object.keys(after).length === 0) {
+      return json({ success: true, member: current });
+    }
+
+    const nameChanged = after.firstName !== undefined || after.lastName !== undefined;
+    if (nameChanged && await db.memberExists(env.DB, validation.value.firstName, validation.value.lastName, team.event_id ?? null)) {
+      return error('A member with this name is already registered', 400);
+    }
+
+    const otherLeaders = team.members.filter(m => m.is_leader && m.id !== member.id);
+    if (current.isLeader && !validation.value.isLeader && otherLeaders.length === 0) {
+      return error('Team must keep at least one leader', 400);
+    }
+
+    await db.updateMember(env.DB, member.id, after);
+    await recordChange(env, team, { memberId: member.id, action: 'member_updated', details: { before, after } });
+    if (after.email !== undefined) {
+      await handleEmailChange(env, { id: member.id, firstName: validation.value.firstName, email: after.email }, team.name, getBaseUrl(request));
+    }
+
+    const updated = await db.getMemberById(env.DB, member.id);
+    return json({ success: true, member: formatMember(updated) });
+  } catch (error_) {
+    console.error('Error updating team member:', error_);
+    if (error_.message?.includes('UNIQUE constraint')) {
+      return error('A member with this name is already registered', 409);
+    }
+    return error('Failed to update member', 500);
+  }
+}
+
+/**
+ * DELETE /api/teams/:id/members/:memberId - Remove a member from the team
+ */
+export async function removeTeamMember(request, env, ctx, params) {
+  try {
+    const teamId = Number.parseInt(params.id, 10);
+    const { password } = await request.json();
+
+    const auth = await authenticateTeam(request, env, teamId, password);
+    if (auth.error) {
+      return attemptError(auth);
+    }
+
+    const { team } = auth;
+    const member = findTeamMember(team, params);
+    if (!member) {
+      return error('Member not found', 404);
+    }
+
+    if (team.members.length === 1) {
+      return error('Cannot remove the last member of a team', 400);
+    }
+
+    const otherLeaders = team.members.filter(m => m.is_leader && m.id !== member.id);
+    if (member.is_leader && otherLeaders.length === 0) {
+      return error('Assign another leader before removing this member', 400);
+    }
+
+    await db.deleteMember(env.DB, member.id);
+    await recordChange(env, team, { memberId: member.id, action: 'member_removed', details: { member: formatMember(member) } });
+
+    // Freed spot may let the next waitlist entry in
+    await promoteWaitlistSafely(env, team.event_id ?? null, getBaseUrl(request));
+
+    return json({ success: true, message: 'Member removed' });
+  } catch (error_) {
+    console.error('Error removing team member:', error_);
+    return error('Failed to remove member', 500);
+  }
+}
+
+/**
+ * PUT /api/teams/:id/description - Change the team description
+ */
+export async function updateTeamDescription(request, env, ctx, params) {
+  try {
+    const teamId = Number.parseInt(params.id, 10);
+    const { password, description } = await request.json();
+
+    const auth = await authenticateTeam(request, env, teamId, password);
+    if (auth.error) {
+      return attemptError(auth);
+    }
+
+    const { team } = auth;
+    const newDescription = sanitizeString(description || '', 256);
+
+    if (newDescription !== (team.description || '')) {
+      await db.updateTeam(env.DB, team.id, { description: newDescription });
+      await recordChange(env, team, {
+        action: 'description_updated',
+        details: { before: team.description || '', after: newDescription }
+      });
+    }
+
+    return json({ success: true, description: newDescription });
+  } catch (error_) {
+    console.error('Error updating team description:', error_);
+    return error('Failed to update description', 500);
+  }
+}
+
+/**
+ * PUT /api/teams/:id/password - Rotate the team password
+ */
+export async function rotateTeamPassword(request, env, ctx, params) {
+  try {
+    const teamId = Number.parseInt(params.id, 10);
+    const { password, newPassword } = await request.json();
+
+    const auth = await authenticateTeam(request, env, teamId, password);
+    if (auth.error) {
+      return attemptError(auth);
+    }
+
+    const sanitized = sanitizeString(newPassword || '', 64);
+    if (sanitized.length < MIN_PASSWORD_LENGTH) {
+      return error(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+
+    const { team } = auth;
+    await db.updateTeam(env.DB, team.id, { passwordHash: await hashPassword(sanitized) });
+    await recordChange(env, team, { action: 'password_changed' });
+
+    return json({ success: true, message: 'Password updated' });
+  } catch (error_) {
+    console.error('Error rotating team password:', error_);
+    return error('Failed to update password', 500);
+  }
+}
@@ -5,14 +5,17 @@
 import { json, error } from '../lib/router.js';
 import * as db from '../lib/db.js';
 import * as settingsDb from '../database/db.settings.js';
+import * as waitlistDb from '../database/db.waitlist.js';
+import { getEventId } from '../shared/events.js';
 
 /**
  * GET /api/teams - List all teams with member counts
  */
 export async function listTeams(request, env) {
   try {
-    const teams = await db.getTeams(env.DB);
-    const capacity = await settingsDb.getCapacitySettings(env.DB, env);
+    const eventId = await getEventId(request, env);
+    const teams = await db.getTeams(env.DB, eventId);
+    const capacity = await settingsDb.getCapacitySettings(env.DB, env, eventId);
     const maxTeamSize = capacity.maxTeamSize;
 
     // Add available slots info
@@ -54,11 +57,15 @@ export async function getTeam(request, env, ctx, params) {
  */
 export async function getStats(request, env) {
   try {
-    const teamsExcludingOrg = await db.getTeamsExcludingOrg(env.DB);
-    const participantsExcludingOrg = await db.getParticipantsExcludingOrg(env.DB);
-    const foodStats = await db.getFoodStats(env.DB);
-    const capacity = await settingsDb.getCapacitySettings(env.DB, env);
+    const eventId = await getEventId(request, env);
+    const teamsExcludingOrg = await db.getTeamsExcludingOrg(env.DB, eventId);
+    const participantsExcludingOrg = await db.getParticipantsExcludingOrg(env.DB, eventId);
+    const foodStats = await db.getFoodStats(env.DB, eventId);
+    const capacity = await settingsDb.getCapacitySettings(env.DB, env, eventId);
     const maxTotal = capacity.maxTotalParticipants;
+    const waitlist = await waitlistDb.waitlistTableExists(env.DB)
+      ? await waitlistDb.getWaitlistCounts(env.DB, eventId)
+      : { participants: 0 };
 
     return json({
       stats: {
@@ -66,7 +73,8 @@ export async function getStats(request, env) {
         total_participants: participantsExcludingOrg,
         max_participants: maxTotal,
         available_spots: Math.max(0, maxTotal - participantsExcludingOrg),
-        food_preferences: foodStats
+        food_preferences: foodStats,
+        waitlist_count: waitlist.participants
       }
     });
   } catch (error_) {
@@ -0,0 +1,31 @@
+/**
+ * Public ticket API - serves check-in QR codes linked from confirmation emails
+ */
+
+import { error } from '../lib/router.js';
+import { verifyTicketToken } from '../shared/tickets.js';
+import { encodeQR, qrToPng } from '../shared/qrcode.js';
+
+/**
+ * GET /api/tickets/:token/qr - QR code image for a ticket
+ * Only genuine tickets are rendered, so this can't be used as a generic QR service
+ */
+export async function getTicketQR(request, env, ctx, params) {
+  try {
+    const ticket = await verifyTicketToken(env, params.token);
+    if (!ticket) {
+      return error('Invalid ticket', 404);
+    }
+
+    const png = await qrToPng(encodeQR(params.token));
+    return new Response(png, {
+      headers: {
+        'Content-Type': 'image/png',
+        'Cache-Control': 'public, max-age=86400'
+      }
+    });
+  } catch (error_) {
+    console.error('Error rendering ticket:', error_);
+    return error('Failed to render ticket', 500);
+  }
+}
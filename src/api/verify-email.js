@@ -0,0 +1,48 @@
+/**
+ * Public email verification API - opened from the link in the verification email
+ */
+
+import * as db from '../lib/db.js';
+import { parseVerificationToken, verifyVerificationToken } from '../shared/email-verification.js';
+import { getBaseUrl } from '../shared/urls.js';
+import { escapeHtml } from '../features/email/email.templates.js';
+
+/**
+ * Minimal HTML page, since the link is opened in a browser
+ */
+function page(request, title, message, status = 200) {
+  const html = `<!doctype html>
+<html lang="fr">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)} - Nuit de l'Info</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem; text-align: center;">
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+<p><a href="${escapeHtml(getBaseUrl(request))}/">Retour au site</a></p>
+</body>
+</html>`;
+
+  return new Response(html, {
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+/**
+ * GET /api/verify-email/:token - Confirm a member's email address
+ */
+export async function verifyEmail(request, env, ctx, params) {
+  try {
+    const memberId = parseVerificationToken(params.token);
+    const member = memberId === null ? null : await db.getMemberById(env.DB, memberId);
+
+    if (!member || !await verifyVerificationToken(env, params.token, member)) {
+      return page(request, 'Lien invalide', 'Ce lien de vérification est invalide ou ne correspond plus à votre adresse actuelle. Demandez-en un nouveau aux organisateurs.', 404);
+    }
+
+    await db.markEmailVerified(env.DB, member.id);
+    return page(request, 'Adresse confirmée', `Merci ${member.first_name}, votre adresse ${member.email} est confirmée.`);
+  } catch (error_) {
+    console.error('Error verifying email:', error_);
+    return page(request, 'Erreur', 'La vérification a échoué. Veuillez réessayer plus tard.', 500);
+  }
+}
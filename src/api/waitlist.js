@@ -0,0 +1,141 @@
+/**
+ * Public waitlist API handler
+ * Accepts registrations once the event has reached max_total_participants
+ */
+
+import { json, error } from '../lib/router.js';
+import * as db from '../lib/db.js';
+import * as waitlistDb from '../database/db.waitlist.js';
+import * as settingsDb from '../database/db.settings.js';
+import { validateRegistration, sanitizeString } from '../lib/validation.js';
+import { hashPassword, verifyPassword } from '../shared/crypto.js';
+import { getEvent, isEventOpen } from '../shared/events.js';
+import { checkMemberSchools } from '../shared/schools.js';
+import { resolveInvite } from '../shared/team-invites.js';
+import { guardAttempt, attemptError, TEAM_SCOPE } from '../shared/lockouts.js';
+import * as invitesDb from '../database/db.team-invites.js';
+import * as answersDb from '../database/db.custom-answers.js';
+
+/**
+ * Resolve the requested team for a waitlist entry
+ * New teams get their password hashed now, joined teams are verified now.
+ * An invitation link replaces the password; its uses are taken when the entry is added.
+ */
+async function resolveTeam(database, data, { password, invite }, memberCount, eventId) {
+  if (data.createNewTeam) {
+    const teamName = sanitizeString(data.teamName, 128);
+    const existing = await db.getTeamByName(database, teamName, eventId);
+    if (existing) {
+      return { error: 'Team name already exists' };
+    }
+    return {
+      createNewTeam: true,
+      teamName,
+      teamDescription: sanitizeString(data.teamDescription || '', 256),
+      passwordHash: await hashPassword(password)
+    };
+  }
+
+  const teamId = invite ? invite.team_id : Number.parseInt(data.teamId, 10);
+  const team = await db.getTeamById(database, teamId);
+  if (!team || (team.event_id ?? null) !== eventId) {
+    return { error: 'Selected team not found', status: 404 };
+  }
+
+  if (invite) {
+    if (!await invitesDb.claimInviteUses(database, invite.id, memberCount)) {
+      return { error: 'This invitation link has no uses left', status: 410 };
+    }
+  } else if (!await verifyPassword(password, team.password_hash)) {
+    return { error: 'Incorrect password', status: 403 };
+  }
+
+  return { createNewTeam: false, teamId, teamName: team.name };
+}
+
+/**
+ * POST /api/waitlist - Join the waitlist when registrations are full
+ */
+export async function joinWaitlist(request, env) {
+  try {
+    const event = await getEvent(request, env);
+    if (!isEventOpen(event)) {
+      return error('Registrations are closed for this event', 403);
+    }
+    const eventId = event?.id ?? null;
+
+    const data = await request.json();
+    const capacity = await settingsDb.getCapacitySettings(env.DB, env, eventId);
+    const customFields = await settingsDb.getCustomFields(env.DB, eventId);
+
+    const validation = validateRegistration(data, { ...capacity, customFields });
+    if (!validation.valid) {
+      return error(validation.errors.join('; '), 400);
+    }
+
+    // Only accept waitlist entries when the event is actually full
+    const currentTotal = await db.getTotalParticipants(env.DB, eventId);
+    const available = capacity.maxTotalParticipants - currentTotal;
+    if (validation.members.length <= available) {
+      return error(`Spots are still available (${available}), please register directly`, 409);
+    }
+
+    const password = sanitizeString(data.teamPassword || '', 64);
+    const inviteToken = data.createNewTeam ? '' : String(data.inviteToken || '');
+    if (!password && !inviteToken) {
+      return error('Team password is required', 400);
+    }
+
+    let invite = null;
+    if (inviteToken) {
+      const resolved = await resolveInvite(env, inviteToken);
+      if (resolved.error) {
+        return error(resolved.error, resolved.status);
+      }
+      invite = resolved.invite;
+    }
+
+    for (const member of validation.members) {
+      if (await db.memberExists(env.DB, member.firstName, member.lastName, eventId)) {
+        return error('One or more members are already registered', 400);
+      }
+      if (await waitlistDb.isEmailWaiting(env.DB, member.email, eventId)) {
+        return error(`${member.email} is already on the waitlist`, 400);
+      }
+    }
+
+    // School capacity is checked again at promotion
+    const schools = await checkMemberSchools(env.DB, validation.members, eventId, { enforceCapacity: false });
+    if (schools.error) {
+      return error(schools.error, 400);
+    }
+
+    const resolve = () => resolveTeam(env.DB, data, { password, invite }, validation.members.length, eventId);
+    const team = data.createNewTeam || invite
+      ? await resolve()
+      : await guardAttempt(env, request, TEAM_SCOPE, Number.parseInt(data.teamId, 10), resolve);
+    if (team.error) {
+      return attemptError(team);
+    }
+
+    // Member answers travel with the members, a new team's answers are kept on the entry
+    const entryId = await waitlistDb.addWaitlistEntry(env.DB, {
+      ...team,
+      members: schools.members,
+      eventId
+    });
+    if (team.createNewTeam && await answersDb.customAnswersColumnExists(env.DB)) {
+      await answersDb.setWaitlistAnswers(env.DB, entryId, validation.teamAnswers);
+    }
+    const position = await waitlistDb.getWaitlistPosition(env.DB, entryId, eventId);
+
+    return json({
+      success: true,
+      message: `Added to the waitlist in position ${position}`,
+      waitlist: { id: entryId, position, teamName: team.teamName }
+    }, 201);
+  } catch (error_) {
+    console.error('Waitlist error:', error_);
+    return error('An error occurred while joining the waitlist. Please try again.', 500);
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Accounts module - Admin accounts and roles (superadmin only)
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastSuccess, toastError } from './toast.js';
+import {
+  accountsData,
+  setAccountsData
+} from './state.js';
+import { ROLES, ROLE_LABELS } from '../../shared/roles.js';
+
+/**
+ * Load admin accounts
+ * @param {Function} api - API function
+ */
+export async function loadAccounts(api) {
+  try {
+    const data = await api('/admin/accounts', { method: 'GET' });
+    setAccountsData(data.accounts || []);
+    renderAccounts();
+  } catch (error) {
+    console.error('Error loading accounts:', error);
+    toastError('Erreur lors du chargement des comptes');
+  }
+}
+
+/**
+ * Render role options for a select
+ * @param {string} selected - Selected role
+ * @returns {string}
+ */
+function renderRoleOptions(selected) {
+  return ROLES.map(role =>
+    `<option value="${role}" ${role === selected ? 'selected' : ''}>${ROLE_LABELS[role]}</option>`
+  ).join('');
+}
+
+/**
+ * Render accounts table
+ */
+export function renderAccounts() {
+  const tbody = $('accounts-tbody');
+  if (!tbody) return;
+
+  if (accountsData.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Aucun compte</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = accountsData.map(account => `
+    <tr class="member-row ${account.isActive ? '' : 'text-muted'}">
+      <td>
+        <strong>${escapeHtml(account.username)}</strong>
+        ${account.displayName ? `<br><span class="text-muted">${escapeHtml(account.displayName)}</span>` : ''}
+      </td>
+      <td>
+        <select class="form-select-sm" onchange="handleAccountRoleChange(${account.id}, this.value)" aria-label="Rôle">
+          ${renderRoleOptions(account.role)}
+        </select>
+      </td>
+      <td>${account.isActive ? '<span class="badge badge-success">Actif</span>' : '<span class="badge badge-muted">Désactivé</span>'}</td>
+      <td>${account.lastLoginAt ? new Date(account.lastLoginAt).toLocaleString('fr-FR') : '-'}</td>
+      <td class="actions-col">
+        <div class="action-buttons">
+          <button type="button" class="btn btn-secondary btn-sm" onclick="handleAccountToggle(${account.id}, ${!account.isActive})">${account.isActive ? 'Désactiver' : 'Activer'}</button>
+          <button type="button" class="btn btn-secondary btn-sm" onclick="handleAccountPassword(${account.id})">Mot de passe</button>
+          <button type="button" class="icon-btn danger" onclick="handleAccountDelete(${account.id})" title="Supprimer" aria-label="Supprimer"><span class="sf-symbol">@sfs:trash@</span></button>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Update an account
+ * @param {number} accountId - Account ID
+ * @param {Object} updates - Fields to update
+ * @param {Function} api - API function
+ * @param {string} message - Success message
+ */
+async function updateAccount(accountId, updates, api, message) {
+  try {
+    await api(`/admin/accounts/${accountId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+    toastSuccess(message);
+  } catch (error) {
+    console.error('Error updating account:', error);
+    toastError(error.message || 'Erreur lors de la mise à jour');
+  }
+  await loadAccounts(api);
+}
+
+/**
+ * Change the role of an account
+ * @param {number} accountId - Account ID
+ * @param {string} role - New role
+ * @param {Function} api - API function
+ */
+export async function handleAccountRoleChange(accountId, role, api) {
+  await updateAccount(accountId, { role }, api, 'Rôle modifié');
+}
+
+/**
+ * Activate or deactivate an account
+ * @param {number} accountId - Account ID
+ * @param {boolean} isActive - New state
+ * @param {Function} api - API function
+ */
+export async function handleAccountToggle(accountId, isActive, api) {
+  await updateAccount(accountId, { isActive }, api, isActive ? 'Compte activé' : 'Compte désactivé');
+}
+
+/**
+ * Reset the password of an account
+ * @param {number} accountId - Account ID
+ * @param {Function} api - API function
+ */
+export async function handleAccountPassword(accountId, api) {
+  const password = prompt('Nouveau mot de passe (8 caractères minimum) :');
+  if (!password) return;
+  await updateAccount(accountId, { password }, api, 'Mot de passe modifié');
+}
+
+/**
+ * Delete an account
+ * @param {number} accountId - Account ID
+ * @param {Function} api - API function
+ */
+export async function handleAccountDelete(accountId, api) {
+  const account = accountsData.find(a => a.id === accountId);
+  if (!confirm(`Supprimer le compte ${account?.username || ''} ?`)) return;
+
+  try {
+    await api(`/admin/accounts/${accountId}`, { method: 'DELETE' });
+    toastSuccess('Compte supprimé');
+    await loadAccounts(api);
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    toastError(error.message || 'Erreur lors de la suppression');
+  }
+}
+
+/**
+ * Create an account from the form
+ * @param {Event} e - Submit event
+ * @param {Function} api - API function
+ */
+async function handleAccountCreate(e, api) {
+  e.preventDefault();
+  const form = e.target;
+
+  try {
+    await api('/admin/accounts', {
+      method: 'POST',
+      body: JSON.stringify({
+        username: form.username.value.trim(),
+        displayName: form.displayName.value.trim(),
+        password: form.password.value,
+        role: form.role.value
+      })
+    });
+    toastSuccess('Compte créé');
+    form.reset();
+    await loadAccounts(api);
+  } catch (error) {
+    console.error('Error creating account:', error);
+    toastError(error.message || 'Erreur lors de la création');
+  }
+}
+
+/**
+ * Initialize accounts module
+ * @param {Function} api - API function
+ */
+export function initAccounts(api) {
+  const roleSelect = $('account-role');
+  if (roleSelect) {
+    roleSelect.innerHTML = renderRoleOptions('checkin');
+  }
+
+  const form = $('account-form');
+  if (form) {
+    form.addEventListener('submit', (e) => handleAccountCreate(e, api));
+  }
+}
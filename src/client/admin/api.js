@@ -31,6 +31,30 @@ export function clearToken() {
   localStorage.removeItem('ndi_admin_token');
 }
 
+// Selected event slug from localStorage (empty means the default event)
+let adminEvent = localStorage.getItem('ndi_admin_event') || '';
+
+/**
+ * Select the event the dashboard works on
+ * @param {string} slug - Event slug, empty for the default event
+ */
+export function setEvent(slug) {
+  adminEvent = slug;
+  if (slug) {
+    localStorage.setItem('ndi_admin_event', slug);
+  } else {
+    localStorage.removeItem('ndi_admin_event');
+  }
+}
+
+/**
+ * Get the selected event slug
+ * @returns {string}
+ */
+export function getEvent() {
+  return adminEvent;
+}
+
 /**
  * Make API request
  * @param {string} endpoint - API endpoint
@@ -43,6 +67,7 @@ export async function api(endpoint, options = {}, apiBase = '') {
     headers: {
       'Authorization': `Bearer ${adminToken}`,
       'Content-Type': 'application/json',
+      ...(adminEvent ? { 'X-Event': adminEvent } : {}),
       ...options.headers
     },
     ...options
@@ -52,13 +77,18 @@ export async function api(endpoint, options = {}, apiBase = '') {
     throw new Error('Unauthorized');
   }
 
-  // Handle CSV downloads
-  if (response.headers.get('Content-Type')?.includes('text/csv')) {
+  // Handle CSV downloads and printable pages
+  const contentType = response.headers.get('Content-Type') || '';
+  if (contentType.includes('text/csv') || contentType.includes('text/html')) {
     return response;
   }
 
   if (!response.ok) {
     const data = await response.json();
+    // Stored event was renamed or removed: fall back to the default event
+    if (response.status === 404 && data.error === 'Event not found' && adminEvent) {
+      setEvent('');
+    }
     throw new Error(data.error || 'Request failed');
   }
 
@@ -10,9 +10,30 @@ import {
   setArchivesData,
   selectedArchive,
   setSelectedArchive,
-  teamsData
+  teamsData,
+  pizzasConfig,
+  eventsData
 } from './state.js';
 
+/**
+ * Query string naming the event of an archive in archive routes
+ * @param {number|null} eventId - Event the archive was taken from
+ * @returns {string}
+ */
+function archiveQuery(eventId) {
+  return eventId ? `?event_id=${eventId}` : '';
+}
+
+/**
+ * Title of an archive, with its event when known
+ * @param {Object} archive
+ * @returns {string}
+ */
+function archiveTitle(archive) {
+  const event = eventsData.find(e => e.id === archive.event_id);
+  return event ? `Édition ${archive.event_year} · ${event.name}` : `Édition ${archive.event_year}`;
+}
+
 /**
  * Load archives list
  * @param {Function} api - API function
@@ -23,6 +44,7 @@ export async function loadArchives(api) {
     setArchivesData(response.archives || []);
     renderArchivesList();
     updateArchivesBadge();
+    await loadArchivesComparison(api);
   } catch (error) {
     console.error('Failed to load archives:', error);
     const container = $('archives-container');
@@ -63,7 +85,7 @@ export function renderArchivesList() {
   container.innerHTML = archivesData.map(archive => `
     <div class="archive-card ${archive.is_expired ? 'expired' : ''}" data-year="${archive.event_year}">
       <div class="archive-card-info">
-        <h3 class="archive-card-year">Édition ${archive.event_year}</h3>
+        <h3 class="archive-card-year">${escapeHtml(archiveTitle(archive))}</h3>
         <div class="archive-card-stats">
           <span><span class="sf-symbol">@sfs:person.2@</span> ${archive.total_teams} équipes</span>
           <span><span class="sf-symbol">@sfs:graduationcap@</span> ${archive.total_participants} participants</span>
@@ -72,10 +94,10 @@ export function renderArchivesList() {
         <p class="archive-card-date">Archivé le ${new Date(archive.archived_at).toLocaleDateString('fr-FR')}</p>
       </div>
       <div class="archive-card-actions">
-        <button type="button" class="btn btn-secondary btn-sm" onclick="viewArchive(${archive.event_year})">
+        <button type="button" class="btn btn-secondary btn-sm" onclick="viewArchive(${archive.event_year}, ${archive.event_id ?? 'null'})">
           <span class="sf-symbol">@sfs:eye@</span> Consulter
         </button>
-        <button type="button" class="btn btn-danger btn-sm" onclick="deleteArchive(${archive.event_year})" title="Supprimer cette archive (dev uniquement)">
+        <button type="button" class="btn btn-danger btn-sm superadmin-only" onclick="deleteArchive(${archive.event_year}, ${archive.event_id ?? 'null'})" title="Supprimer cette archive (dev uniquement)">
           <span class="sf-symbol">@sfs:trash@</span> Supprimer
         </button>
       </div>
@@ -83,14 +105,167 @@ export function renderArchivesList() {
   `).join('');
 }
 
+/**
+ * Load year-over-year figures
+ * @param {Function} api - API function
+ */
+export async function loadArchivesComparison(api) {
+  try {
+    const data = await api('/admin/archives/compare', { method: 'GET' });
+    renderArchivesComparison(data.years || []);
+  } catch (error) {
+    console.error('Error loading archives comparison:', error);
+  }
+}
+
+const CURVE_COLORS = ['var(--color-primary)', 'var(--color-success)', 'var(--color-warning)', 'var(--color-error)', 'var(--color-text-muted)'];
+
+/**
+ * Format a 0-1 rate as a percentage
+ * @param {number|null} rate
+ * @returns {string}
+ */
+function formatRate(rate) {
+  return rate === null || rate === undefined ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Horizontal bars, one per year
+ * @param {string} title
+ * @param {Array} years
+ * @param {Function} value - Numeric value of a year (null if unknown)
+ * @param {Function} format - Display of a value
+ * @returns {string} HTML
+ */
+function renderCompareBars(title, years, value, format) {
+  const max = Math.max(...years.map(y => value(y) || 0), 0);
+  return `
+    <div class="compare-chart">
+      <h3>${title}</h3>
+      ${years.map(y => {
+        const v = value(y);
+        const width = max > 0 && v ? Math.round((v / max) * 100) : 0;
+        return `
+          <div class="compare-row">
+            <span class="compare-label">${y.event_year}</span>
+            <div class="compare-bar"><div class="compare-bar-fill" style="width: ${width}%"></div></div>
+            <span class="compare-value">${v === null ? '-' : format(v)}</span>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Share of each category per year, as a table
+ * @param {string} title
+ * @param {Array} years
+ * @param {string} key - Distribution field of a year
+ * @param {Function} label - Display of a category
+ * @returns {string} HTML
+ */
+function renderCompareMix(title, years, key, label) {
+  const categories = [...new Set(years.flatMap(y => Object.keys(y[key])))].sort();
+  if (categories.length === 0) return '';
+
+  return `
+    <div class="compare-chart">
+      <h3>${title}</h3>
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr><th></th>${years.map(y => `<th>${y.event_year}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${categories.map(category => `
+              <tr>
+                <td>${escapeHtml(label(category))}</td>
+                ${years.map(y => {
+                  const total = Object.values(y[key]).reduce((sum, n) => sum + n, 0);
+                  return `<td>${total > 0 ? formatRate((y[key][category] || 0) / total) : '-'}</td>`;
+                }).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Cumulative registrations by calendar day, one line per year
+ * @param {Array} years
+ * @returns {string} HTML (SVG)
+ */
+function renderRegistrationCurves(years) {
+  const days = [...new Set(years.flatMap(y => y.registrations.map(r => r.day)))].sort();
+  const max = Math.max(...years.flatMap(y => y.registrations.map(r => r.total)), 0);
+  if (days.length < 2 || max === 0) return '';
+
+  const width = 600;
+  const height = 200;
+  const x = day => (days.indexOf(day) / (days.length - 1)) * width;
+  const y = total => height - (total / max) * height;
+
+  const lines = years.map((year, i) => {
+    if (year.registrations.length === 0) return '';
+    const points = year.registrations.map(r => `${x(r.day).toFixed(1)},${y(r.total).toFixed(1)}`).join(' ');
+    return `<polyline points="${points}" fill="none" stroke="${CURVE_COLORS[i % CURVE_COLORS.length]}" stroke-width="2"><title>${year.event_year}</title></polyline>`;
+  }).join('');
+
+  return `
+    <div class="compare-chart">
+      <h3>Inscriptions cumulées</h3>
+      <svg class="compare-curves" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Inscriptions cumulées par édition">${lines}</svg>
+      <div class="compare-axis"><span>${days[0]}</span><span>${days.at(-1)}</span></div>
+      <div class="compare-legend">
+        ${years.map((year, i) => `<span><span class="compare-swatch" style="background: ${CURVE_COLORS[i % CURVE_COLORS.length]}"></span>${year.event_year}</span>`).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render year-over-year charts
+ * @param {Array} years - Figures per archived year, oldest first
+ */
+export function renderArchivesComparison(years) {
+  const container = $('archives-compare');
+  if (!container) return;
+
+  if (years.length === 0) {
+    container.innerHTML = '<p class="text-muted">Aucune archive à comparer</p>';
+    return;
+  }
+
+  const pizzaNames = Object.fromEntries((pizzasConfig || []).map(p => [p.id, p.name]));
+  const returningRate = y => (y.returning && y.returning.total > 0 ? y.returning.count / y.returning.total : null);
+
+  container.innerHTML = `
+    <div class="compare-grid">
+      ${renderCompareBars('Participants', years, y => y.total_participants, v => v)}
+      ${renderCompareBars('Équipes', years, y => y.total_teams, v => v)}
+      ${renderCompareBars('Revenus', years, y => y.total_revenue, v => `${(v / 100).toFixed(2)}€`)}
+      ${renderCompareBars('Taux de présence', years, y => y.check_in_rate, formatRate)}
+      ${renderCompareBars('Participants revenus', years, returningRate, formatRate)}
+    </div>
+    ${renderCompareMix('Niveaux d\'études', years, 'participants_by_bac_level', level => `BAC+${level}`)}
+    ${renderCompareMix('Choix de pizza', years, 'food_preferences', id => pizzaNames[id] || id)}
+    ${renderRegistrationCurves(years)}
+  `;
+}
+
 /**
  * View archive details
  * @param {number} year - Event year
+ * @param {number|null} eventId - Event the archive was taken from
  * @param {Function} api - API function
  */
-export async function viewArchive(year, api) {
+export async function viewArchive(year, eventId, api) {
   try {
-    const response = await api(`/admin/archives/${year}`, { method: 'GET' });
+    const response = await api(`/admin/archives/${year}${archiveQuery(eventId)}`, { method: 'GET' });
     setSelectedArchive(response.archive);
     renderArchiveDetail();
 
@@ -101,6 +276,57 @@ export async function viewArchive(year, api) {
     }
   } catch {
     toastError('Erreur lors du chargement de l\'archive');
+    return;
+  }
+
+  await loadArchiveIntegrity(year, eventId, api);
+}
+
+const INTEGRITY_BADGES = {
+  valid: { className: 'badge-success', label: 'Intègre' },
+  tampered: { className: 'badge-warning', label: 'Altérée' },
+  unverifiable: { className: 'badge-muted', label: 'Non vérifiable' }
+};
+
+const CHAIN_REASON_LABELS = {
+  created: 'Création',
+  imported: 'Import',
+  expiration: 'Anonymisation (expiration)',
+  erasure: 'Effacement RGPD',
+  deleted: 'Suppression'
+};
+
+/**
+ * Verify the archive hash and show the result next to the detail title
+ * @param {number} year - Event year
+ * @param {number|null} eventId - Event the archive was taken from
+ * @param {Function} api - API function
+ */
+export async function loadArchiveIntegrity(year, eventId, api) {
+  const badge = $('archive-integrity');
+  if (!badge) return;
+  badge.classList.add('hidden');
+
+  try {
+    const result = await api(`/admin/archives/${year}/verify${archiveQuery(eventId)}`, { method: 'GET' });
+    const display = INTEGRITY_BADGES[result.status] || INTEGRITY_BADGES.tampered;
+
+    const history = result.chain.map(link =>
+      `${new Date(link.created_at).toLocaleString('fr-FR')} : ${CHAIN_REASON_LABELS[link.reason] || link.reason}${link.valid ? '' : ' (invalide)'}`
+    );
+    if (result.status === 'unverifiable') {
+      history.unshift(result.chain_complete
+        ? 'Dernière modification non signée'
+        : 'Créée ou anonymisée avant le suivi des modifications');
+    } else if (!result.data_valid) {
+      history.unshift('Les données ne correspondent plus à leur empreinte');
+    }
+
+    badge.className = `badge ${display.className}`;
+    badge.textContent = display.label;
+    badge.title = history.length > 0 ? history.join('\n') : 'Aucune modification enregistrée';
+  } catch (error) {
+    console.error('Error verifying archive:', error);
   }
 }
 
@@ -112,7 +338,7 @@ export function renderArchiveDetail() {
 
   const title = $('archive-detail-title');
   if (title) {
-    title.textContent = `Édition ${selectedArchive.event_year}`;
+    title.textContent = archiveTitle(selectedArchive);
   }
 
   const teams = JSON.parse(selectedArchive.teams_json || '[]');
@@ -191,7 +417,9 @@ export function closeArchiveDetail() {
 export async function exportArchiveJson(apiBase, adminToken) {
   if (!selectedArchive) return;
   try {
-    const response = await fetch(`${apiBase}/api/admin/archives/${selectedArchive.event_year}/export?format=json`, {
+    const params = new URLSearchParams({ format: 'json' });
+    if (selectedArchive.event_id) params.set('event_id', selectedArchive.event_id);
+    const response = await fetch(`${apiBase}/api/admin/archives/${selectedArchive.event_year}/export?${params}`, {
       headers: { 'Authorization': `Bearer ${adminToken}` }
     });
     const data = await response.json();
@@ -242,19 +470,65 @@ export async function createArchive(api, loadResetSafetyCheck) {
   }
 }
 
+/**
+ * Import an archive from a JSON export file
+ * @param {File} file - File picked by the user
+ * @param {Function} api - API function
+ * @param {Function} loadData - Reload callback, after a restore
+ */
+export async function importArchiveFile(file, api, loadData) {
+  let archive;
+  try {
+    archive = JSON.parse(await file.text());
+  } catch {
+    toastError('Fichier JSON invalide');
+    return;
+  }
+
+  const metadata = (archive.export ?? archive)?.metadata;
+  const year = metadata?.event_year;
+  const eventId = eventsData.find(e => e.slug === metadata?.event_slug)?.id ?? null;
+  const overwrite = archivesData.some(a => a.event_year === year && (a.event_id ?? null) === eventId);
+  if (overwrite && !confirm(`Une archive ${year} existe déjà. La remplacer par ce fichier ?`)) {
+    return;
+  }
+  const restore = confirm('Recréer aussi les équipes et participants de cette archive dans les données actuelles (répétition d\'une édition passée) ?\n\nAucun participant ne doit être inscrit.');
+
+  try {
+    const result = await api('/admin/archives/import', {
+      method: 'POST',
+      body: JSON.stringify({ archive, overwrite, restore })
+    });
+    toastSuccess(result.restored
+      ? `Archive ${result.archive.event_year} importée, ${result.restored.members} participant(s) restauré(s)`
+      : `Archive ${result.archive.event_year} importée`);
+    await loadArchives(api);
+    if (result.restored) await loadData();
+  } catch (error) {
+    if (error.message.includes('data_hash')) {
+      toastError('Empreinte invalide : le fichier a été modifié');
+    } else if (error.message.includes('Reset current data')) {
+      toastError('Réinitialisez les données avant de restaurer une archive');
+    } else {
+      toastError(error.message || 'Erreur lors de l\'import');
+    }
+  }
+}
+
 /**
  * Delete archive
  * @param {number} year - Event year
+ * @param {number|null} eventId - Event the archive was taken from
  * @param {Function} api - API function
  * @param {Function} loadResetSafetyCheck - Callback to reload safety check
  */
-export async function deleteArchive(year, api, loadResetSafetyCheck) {
+export async function deleteArchive(year, eventId, api, loadResetSafetyCheck) {
   if (!confirm(`Supprimer définitivement l'archive ${year} ?\n\nCette action est irréversible.`)) {
     return;
   }
 
   try {
-    await api(`/admin/archives/${year}`, { method: 'DELETE' });
+    await api(`/admin/archives/${year}${archiveQuery(eventId)}`, { method: 'DELETE' });
     toastSuccess(`Archive ${year} supprimée`);
     await loadArchives(api);
     await loadResetSafetyCheck();
@@ -298,6 +572,120 @@ export async function checkExpiration(api) {
   }
 }
 
+const MAINTENANCE_TASK_LABELS = {
+  archives: 'Archives expirées',
+  checkouts: 'Paiements abandonnés',
+  sessions: 'Sessions expirées',
+  emails: 'Anciens e-mails',
+  unverified: 'Inscriptions non confirmées',
+  resets: 'Demandes de réinitialisation',
+  returning: 'Demandes de lien « déjà venu »',
+  lockouts: 'Tentatives de connexion échouées'
+};
+
+/**
+ * Summarize one maintenance task result
+ * @param {string} name - Task name
+ * @param {Object} result - Task result
+ * @returns {string} Plain text summary
+ */
+function describeMaintenanceTask(name, result) {
+  if (!result.ok) return `Erreur : ${result.error}`;
+  if (result.skipped) return 'Non disponible';
+
+  switch (name) {
+    case 'archives': {
+      return result.expired.length > 0
+        ? `${result.expired.join(', ')} anonymisée(s)`
+        : `${result.checked} vérifiée(s)`;
+    }
+    case 'checkouts': {
+      return `${result.reset} remis à « non payé »`;
+    }
+    case 'unverified': {
+      return `${result.purged} mis à la corbeille`;
+    }
+    default: {
+      return `${result.purged} supprimé(s)`;
+    }
+  }
+}
+
+/**
+ * Render the last maintenance run
+ * @param {Object} response - Response of GET /admin/maintenance
+ */
+export function renderMaintenanceStatus(response) {
+  const container = $('maintenance-status');
+  if (!container) return;
+
+  if (!response.available) {
+    container.innerHTML = '<p class="text-muted">Historique indisponible : appliquez la migration 019.</p>';
+    return;
+  }
+
+  const [last] = response.runs;
+  if (!last) {
+    container.innerHTML = '<p class="text-muted">Aucune exécution pour le moment.</p>';
+    return;
+  }
+
+  const statusBadges = {
+    success: '<span class="badge badge-success">Réussie</span>',
+    failed: '<span class="badge badge-warning">En échec</span>',
+    running: '<span class="badge badge-info">En cours</span>'
+  };
+  const trigger = last.triggered_by === 'cron' ? 'automatique' : 'manuelle';
+  const tasks = Object.entries(last.results || {}).map(([name, result]) => `
+    <li><strong>${MAINTENANCE_TASK_LABELS[name] || escapeHtml(name)}</strong> : ${escapeHtml(describeMaintenanceTask(name, result))}</li>
+  `).join('');
+
+  container.innerHTML = `
+    <p>
+      ${statusBadges[last.status] || escapeHtml(last.status)}
+      Dernière exécution ${trigger} le ${new Date(`${last.started_at}Z`).toLocaleString('fr-FR')}
+    </p>
+    ${tasks ? `<ul class="maintenance-tasks">${tasks}</ul>` : ''}
+  `;
+}
+
+/**
+ * Load maintenance run history
+ * @param {Function} api - API function
+ */
+export async function loadMaintenanceStatus(api) {
+  try {
+    const response = await api('/admin/maintenance', { method: 'GET' });
+    renderMaintenanceStatus(response);
+  } catch (error) {
+    console.error('Failed to load maintenance status:', error);
+    const container = $('maintenance-status');
+    if (container) container.innerHTML = '<p>Erreur lors du chargement</p>';
+  }
+}
+
+/**
+ * Run the scheduled maintenance immediately
+ * @param {Function} api - API function
+ */
+export async function runMaintenanceNow(api) {
+  try {
+    const run = await api('/admin/maintenance/run', { method: 'POST' });
+    if (run.status === 'success') {
+      toastSuccess('Maintenance terminée');
+    } else {
+      toastError('Maintenance terminée avec des erreurs');
+    }
+    await loadMaintenanceStatus(api);
+    if (run.results?.archives?.expired?.length > 0) {
+      await loadArchives(api);
+    }
+  } catch (error) {
+    console.error('Failed to run maintenance:', error);
+    toastError('Erreur lors de la maintenance');
+  }
+}
+
 /**
  * Load reset safety check
  * @param {Function} api - API function
@@ -417,6 +805,18 @@ export function initArchives(api, apiBase, adminToken, loadData) {
     refreshBtn.addEventListener('click', () => loadArchives(api));
   }
 
+  // Import button, through a hidden file input
+  const importBtn = $('import-archive-btn');
+  const importFile = $('import-archive-file');
+  if (importBtn && importFile) {
+    importBtn.addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', async () => {
+      const [file] = importFile.files;
+      importFile.value = '';
+      if (file) await importArchiveFile(file, api, loadData);
+    });
+  }
+
   // Close detail button
   const closeBtn = $('close-archive-detail-btn');
   if (closeBtn) {
@@ -441,6 +841,12 @@ export function initArchives(api, apiBase, adminToken, loadData) {
     expirationBtn.addEventListener('click', () => checkExpiration(api));
   }
 
+  // Run maintenance button
+  const maintenanceBtn = $('run-maintenance-btn');
+  if (maintenanceBtn) {
+    maintenanceBtn.addEventListener('click', () => runMaintenanceNow(api));
+  }
+
   // Reset button
   const resetBtn = $('reset-data-btn');
   if (resetBtn) {
@@ -449,6 +855,7 @@ export function initArchives(api, apiBase, adminToken, loadData) {
 
   // Load initial data
   loadArchives(api);
+  loadMaintenanceStatus(api);
   loadResetSafetyCheck(api);
   loadEventInfo(api);
 }
@@ -3,7 +3,7 @@
  */
 /* eslint-env browser */
 
-import { $, escapeHtml, formatTeamWithRoom, formatCurrency } from './utils.js';
+import { $, escapeHtml, formatTeamWithRoom, formatCurrency, renderVeteranBadge } from './utils.js';
 import { toastSuccess, toastError } from './toast.js';
 import { openModal, closeModal } from './modals.js';
 import {
@@ -81,6 +81,7 @@ export function renderAttendanceStats(stats) {
     <div class="stat-card stat-card-highlight">
       <div class="stat-value">${formatCurrency(payment.total_revenue || 0)}</div>
       <div class="stat-label">Recettes</div>
+      ${payment.total_refunded ? `<div class="stat-sublabel">${formatCurrency(payment.total_refunded)} remboursés</div>` : ''}
     </div>
   `;
 
@@ -209,6 +210,14 @@ export function renderAttendance() {
       if (amount) {
         paymentBadge += ` <span class="text-muted text-sm">${amount}</span>`;
       }
+      if (m.refunded_amount > 0) {
+        paymentBadge += ` <span class="text-muted text-sm">(${formatCurrency(m.refunded_amount)} remboursé)</span>`;
+      }
+    } else if (m.payment_status === 'refunded') {
+      paymentBadge = `<span class="badge badge-muted"><span class="sf-symbol">@sfs:arrow.uturn.backward@</span> Remboursé</span>`;
+      if (m.refunded_amount) {
+        paymentBadge += ` <span class="text-muted text-sm">${formatCurrency(m.refunded_amount)}</span>`;
+      }
     } else if (m.payment_status === 'delayed') {
       paymentBadge = '<span class="badge badge-warning"><span class="sf-symbol">@sfs:calendar@</span> À payer</span>';
     } else if (m.payment_status === 'pending') {
@@ -229,7 +238,7 @@ export function renderAttendance() {
 
     return `
       <tr class="member-row ${isCheckedIn ? 'checked-in' : ''}" data-member-id="${m.id}">
-        <td><strong>${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}</strong></td>
+        <td><strong>${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}</strong>${renderVeteranBadge(m)}</td>
         <td><a href="mailto:${escapeHtml(m.email)}">${escapeHtml(m.email)}</a></td>
         <td class="team-col" title="${escapeHtml(teamInfo.full)}">${escapeHtml(teamInfo.truncated)}</td>
         <td class="status-col">
@@ -244,6 +253,9 @@ export function renderAttendance() {
             ${isCheckedIn
               ? `<button type="button" class="icon-btn danger" onclick="handleCheckOut(${m.id})" title="Annuler la présence" aria-label="Annuler la présence">􀁡</button>`
               : `<button type="button" class="icon-btn success" onclick="handleCheckIn(${m.id})" title="Valider la présence" aria-label="Valider la présence">􀁣</button>`}
+            ${m.payment_status === 'paid' && m.transaction_id
+              ? `<button type="button" class="icon-btn treasurer-only" onclick="handleRefund(${m.id})" title="Rembourser" aria-label="Rembourser"><span class="sf-symbol">@sfs:arrow.uturn.backward@</span></button>`
+              : ''}
           </div>
         </td>
       </tr>
@@ -387,6 +399,42 @@ export async function handleCheckOut(memberId, api, loadData) {
   }
 }
 
+/**
+ * Handle refund button click - full or partial refund of an online payment
+ * @param {number} memberId - Member ID
+ * @param {Function} api - API function
+ * @param {Function} loadData - Reload callback
+ */
+export async function handleRefund(memberId, api, loadData) {
+  const member = attendanceData.find(m => m.id === memberId);
+  if (!member) return;
+
+  const remaining = (member.payment_amount || 0) - (member.refunded_amount || 0);
+  const input = prompt(`Montant à rembourser à ${member.first_name} ${member.last_name} (€) :`, (remaining / 100).toFixed(2));
+  if (input === null) return;
+
+  const amount = Math.round(Number.parseFloat(input.replace(',', '.')) * 100);
+  if (!Number.isInteger(amount) || amount < 1 || amount > remaining) {
+    toastError(`Montant invalide (maximum ${formatCurrency(remaining)})`);
+    return;
+  }
+
+  const reason = prompt('Motif du remboursement :');
+  if (!reason?.trim()) return;
+
+  try {
+    await api(`/admin/payments/${memberId}/refund`, {
+      method: 'POST',
+      body: JSON.stringify({ amount, reason: reason.trim() })
+    });
+    await loadData();
+    toastSuccess(`${formatCurrency(amount)} remboursé(s) à ${member.first_name} ${member.last_name}`);
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    toastError(error.message || 'Erreur lors du remboursement');
+  }
+}
+
 /**
  * Initialize attendance module
  * @param {Function} api - API function
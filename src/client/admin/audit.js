@@ -0,0 +1,261 @@
+/**
+ * Audit module - Log of admin actions (superadmin only)
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastError } from './toast.js';
+import {
+  auditData,
+  setAuditData
+} from './state.js';
+import { ROLE_LABELS } from '../../shared/roles.js';
+
+const PAGE_SIZE = 100;
+
+// Actions taken by scheduled jobs rather than an admin
+const SYSTEM_ROLE_LABEL = 'Système';
+
+const DOMAIN_LABELS = {
+  member: 'Participants',
+  team: 'Équipes',
+  attendance: 'Présences',
+  pizza: 'Pizzas',
+  room: 'Salles',
+  waitlist: "Liste d'attente",
+  settings: 'Paramètres',
+  import: 'Import',
+  archive: 'Archives',
+  data: 'Réinitialisation',
+  account: 'Comptes',
+  email: 'E-mails',
+  payment: 'Paiements',
+  maintenance: 'Maintenance',
+  gdpr: 'RGPD',
+  event: 'Événements',
+  school: 'Établissements'
+};
+
+const ACTION_LABELS = {
+  'member.create': 'Participant ajouté',
+  'member.update': 'Participant modifié',
+  'member.delete': 'Participant supprimé',
+  'member.delete_batch': 'Participants supprimés',
+  'member.restore': 'Participant restauré',
+  'member.resend_verification': 'Lien de vérification renvoyé',
+  'member.purge_unverified': 'Inscriptions non confirmées mises à la corbeille',
+  'team.create': 'Équipe créée',
+  'team.update': 'Équipe modifiée',
+  'team.delete': 'Équipe supprimée',
+  'team.password_regenerate': "Mot de passe d'équipe régénéré",
+  'team.password_regenerate_default': 'Mots de passe par défaut régénérés',
+  'team.restore': 'Équipe restaurée',
+  'attendance.check_in': 'Arrivée',
+  'attendance.check_out': 'Arrivée annulée',
+  'attendance.check_in_batch': 'Arrivées groupées',
+  'attendance.check_out_batch': 'Arrivées annulées',
+  'attendance.scan': 'Billet scanné',
+  'pizza.give': 'Pizza donnée',
+  'pizza.revoke': 'Pizza annulée',
+  'pizza.give_batch': 'Pizzas données',
+  'pizza.revoke_batch': 'Pizzas annulées',
+  'room.set': 'Salle assignée',
+  'room.set_batch': 'Salles assignées',
+  'room.auto_assign': 'Répartition automatique des salles',
+  'room.preference': 'Préférence de salle modifiée',
+  'room.create': 'Salle créée',
+  'room.update': 'Salle modifiée',
+  'room.delete': 'Salle supprimée',
+  'waitlist.promote': "Promotion liste d'attente",
+  'waitlist.cancel': "Demande d'attente annulée",
+  'settings.update': 'Paramètres modifiés',
+  'import.csv': 'Import CSV',
+  'lockout.unlock': 'Blocage levé',
+  'archive.create': 'Archive créée',
+  'archive.import': 'Archive importée',
+  'archive.expire': 'Archives expirées',
+  'archive.delete': 'Archive supprimée',
+  'data.reset': 'Données réinitialisées',
+  'account.create': 'Compte créé',
+  'account.update': 'Compte modifié',
+  'account.delete': 'Compte supprimé',
+  'email.resend': 'E-mail renvoyé',
+  'email.retry': 'E-mails relancés',
+  'email.broadcast': 'Message groupé envoyé',
+  'payment.refund': 'Remboursement',
+  'maintenance.run': 'Maintenance lancée',
+  'gdpr.access': 'Données personnelles exportées',
+  'gdpr.erasure': 'Données personnelles effacées',
+  'event.create': 'Événement créé',
+  'event.update': 'Événement modifié',
+  'event.archive': 'Événement archivé',
+  'school.create': 'Établissement ajouté',
+  'school.update': 'Établissement modifié',
+  'school.delete': 'Établissement supprimé'
+};
+
+/**
+ * Read the filter form into query params
+ * @returns {URLSearchParams}
+ */
+function getAuditQuery() {
+  const query = new URLSearchParams();
+  const filters = {
+    actor: $('audit-filter-actor')?.value,
+    action: $('audit-filter-action')?.value,
+    from: $('audit-filter-from')?.value,
+    to: $('audit-filter-to')?.value
+  };
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) query.set(key, value);
+  }
+  return query;
+}
+
+/**
+ * Load audit entries
+ * @param {Function} api - API function
+ * @param {boolean} append - Load the next page instead of replacing
+ */
+export async function loadAudit(api, append = false) {
+  try {
+    const query = getAuditQuery();
+    query.set('limit', PAGE_SIZE);
+    query.set('offset', append ? auditData.entries.length : 0);
+
+    const data = await api(`/admin/audit?${query}`, { method: 'GET' });
+    setAuditData({
+      entries: append ? [...auditData.entries, ...data.entries] : data.entries,
+      total: data.total || 0,
+      actors: data.actors || [],
+      actions: data.actions || []
+    });
+    renderAuditFilters();
+    renderAudit();
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+    toastError("Erreur lors du chargement du journal d'audit");
+  }
+}
+
+/**
+ * Fill a select with options, keeping the current selection
+ * @param {HTMLSelectElement} select
+ * @param {Array<{value: string, label: string}>} options
+ * @param {string} emptyLabel
+ */
+function fillSelect(select, options, emptyLabel) {
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML = `<option value="">${emptyLabel}</option>` + options.map(o =>
+    `<option value="${escapeHtml(o.value)}" ${o.value === current ? 'selected' : ''}>${escapeHtml(o.label)}</option>`
+  ).join('');
+}
+
+/**
+ * Render actor and action filter options from the log contents
+ */
+function renderAuditFilters() {
+  fillSelect(
+    $('audit-filter-actor'),
+    auditData.actors.map(actor => ({ value: actor, label: actor })),
+    'Tous les comptes'
+  );
+
+  const domains = [...new Set(auditData.actions.map(action => action.split('.')[0]))];
+  fillSelect(
+    $('audit-filter-action'),
+    domains.map(domain => ({ value: domain, label: DOMAIN_LABELS[domain] || domain })),
+    'Toutes les actions'
+  );
+}
+
+/**
+ * Format a before/after value
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '<em>vide</em>';
+  if (typeof value === 'object') return escapeHtml(JSON.stringify(value));
+  return escapeHtml(String(value));
+}
+
+/**
+ * Format the before/after details of an entry
+ * @param {Object} entry - Audit entry
+ * @returns {string}
+ */
+function formatAuditDetails(entry) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  if (keys.length === 0) return '-';
+
+  return keys.map(key => {
+    if (!(key in before)) return `${escapeHtml(key)}: ${formatValue(after[key])}`;
+    if (!(key in after)) return `${escapeHtml(key)}: ${formatValue(before[key])} → <em>supprimé</em>`;
+    return `${escapeHtml(key)}: ${formatValue(before[key])} → ${formatValue(after[key])}`;
+  }).join('<br>');
+}
+
+/**
+ * Render audit table
+ */
+export function renderAudit() {
+  const tbody = $('audit-tbody');
+  if (!tbody) return;
+
+  const count = $('audit-count');
+  if (count) {
+    count.textContent = `${auditData.entries.length} / ${auditData.total}`;
+  }
+
+  const moreBtn = $('audit-more-btn');
+  if (moreBtn) {
+    moreBtn.classList.toggle('hidden', auditData.entries.length >= auditData.total);
+  }
+
+  if (auditData.entries.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Aucune action enregistrée</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = auditData.entries.map(entry => `
+    <tr>
+      <td>${new Date(entry.created_at).toLocaleString('fr-FR')}</td>
+      <td>
+        <strong>${escapeHtml(entry.actor_username)}</strong>
+        <br><span class="badge badge-muted">${entry.actor_role === 'system' ? SYSTEM_ROLE_LABEL : ROLE_LABELS[entry.actor_role] || escapeHtml(entry.actor_role)}</span>
+      </td>
+      <td>${ACTION_LABELS[entry.action] || escapeHtml(entry.action)}</td>
+      <td>${escapeHtml(entry.target_label || '')}${entry.target_id ? ` <span class="text-muted">#${escapeHtml(entry.target_id)}</span>` : ''}</td>
+      <td class="audit-details">${formatAuditDetails(entry)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Initialize audit module
+ * @param {Function} api - API function
+ */
+export function initAudit(api) {
+  const form = $('audit-filters');
+  if (form) {
+    form.addEventListener('change', () => loadAudit(api));
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      loadAudit(api);
+    });
+  }
+
+  const refreshBtn = $('refresh-audit-btn');
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', () => loadAudit(api));
+  }
+
+  const moreBtn = $('audit-more-btn');
+  if (moreBtn) {
+    moreBtn.addEventListener('click', () => loadAudit(api, true));
+  }
+}
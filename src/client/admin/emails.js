@@ -0,0 +1,255 @@
+/**
+ * Emails module - Outbox, resending and templates (superadmin only)
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastSuccess, toastError } from './toast.js';
+import {
+  emailsData,
+  setEmailsData
+} from './state.js';
+
+const PAGE_SIZE = 100;
+const TEMPLATE_SETTING_PREFIX = 'email_template_';
+
+const STATUS_LABELS = {
+  pending: '<span class="badge badge-info">En attente</span>',
+  sent: '<span class="badge badge-success">Envoyé</span>',
+  failed: '<span class="badge badge-warning">Échec</span>'
+};
+
+/**
+ * Load outbox messages
+ * @param {Function} api - API function
+ * @param {boolean} append - Load the next page instead of replacing
+ */
+export async function loadEmails(api, append = false) {
+  try {
+    const query = new URLSearchParams();
+    const status = $('emails-filter-status')?.value;
+    if (status) query.set('status', status);
+    query.set('limit', PAGE_SIZE);
+    query.set('offset', append ? emailsData.messages.length : 0);
+
+    const data = await api(`/admin/emails?${query}`, { method: 'GET' });
+    setEmailsData({
+      ...emailsData,
+      messages: append ? [...emailsData.messages, ...data.messages] : data.messages,
+      total: data.total || 0,
+      counts: data.counts || { pending: 0, sent: 0, failed: 0 }
+    });
+    renderEmails();
+    updateEmailsBadge(emailsData.counts.failed);
+  } catch (error) {
+    console.error('Error loading emails:', error);
+    toastError('Erreur lors du chargement des e-mails');
+  }
+}
+
+/**
+ * Load email templates
+ * @param {Function} api - API function
+ */
+export async function loadEmailTemplates(api) {
+  try {
+    const data = await api('/admin/emails/templates', { method: 'GET' });
+    setEmailsData({ ...emailsData, templates: data.templates || [] });
+    renderEmailTemplates();
+  } catch (error) {
+    console.error('Error loading email templates:', error);
+    toastError('Erreur lors du chargement des modèles');
+  }
+}
+
+/**
+ * Update the failed emails badge
+ * @param {number} count - Number of failed messages
+ */
+export function updateEmailsBadge(count) {
+  const badge = $('emails-badge');
+  if (!badge) return;
+  badge.textContent = count || 0;
+  badge.classList.toggle('hidden', !count);
+}
+
+/**
+ * Render outbox table
+ */
+export function renderEmails() {
+  const tbody = $('emails-tbody');
+  if (!tbody) return;
+
+  const { messages, total, counts } = emailsData;
+
+  const count = $('emails-count');
+  if (count) {
+    count.textContent = `${messages.length} / ${total}`;
+  }
+
+  const summary = $('emails-summary');
+  if (summary) {
+    summary.textContent = `${counts.sent} envoyé(s), ${counts.failed} échec(s), ${counts.pending} en attente`;
+  }
+
+  const moreBtn = $('emails-more-btn');
+  if (moreBtn) {
+    moreBtn.classList.toggle('hidden', messages.length >= total);
+  }
+
+  if (messages.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">Aucun e-mail</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = messages.map(message => `
+    <tr>
+      <td>${new Date(message.created_at).toLocaleString('fr-FR')}</td>
+      <td>${escapeHtml(message.recipient)}</td>
+      <td>${escapeHtml(message.subject)}<br><span class="text-muted">${escapeHtml(message.template)}</span></td>
+      <td>${STATUS_LABELS[message.status] || escapeHtml(message.status)}</td>
+      <td>${message.attempts}</td>
+      <td class="audit-details">${message.last_error ? escapeHtml(message.last_error) : '-'}</td>
+      <td>
+        <button type="button" class="btn btn-secondary btn-sm" onclick="handleResendEmail(${message.id})">Renvoyer</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render the template editors
+ */
+export function renderEmailTemplates() {
+  const container = $('email-templates');
+  if (!container) return;
+
+  if (emailsData.templates.length === 0) {
+    container.innerHTML = '<p class="text-muted">Aucun modèle</p>';
+    return;
+  }
+
+  container.innerHTML = emailsData.templates.map(template => `
+    <form class="email-template settings-card" data-template="${escapeHtml(template.name)}" onsubmit="event.preventDefault(); handleSaveEmailTemplate('${escapeHtml(template.name)}')">
+      <h3>${escapeHtml(template.label)} ${template.customized ? '<span class="badge badge-info">Personnalisé</span>' : ''}</h3>
+      <p class="form-hint">Variables : ${template.placeholders.map(p => `<code>{{${escapeHtml(p)}}}</code>`).join(' ')}</p>
+      <div class="form-group">
+        <label>Sujet</label>
+        <input type="text" data-field="subject" value="${escapeHtml(template.subject)}" maxlength="200" required>
+      </div>
+      <div class="form-group">
+        <label>Message</label>
+        <textarea data-field="body" rows="12" required>${escapeHtml(template.body)}</textarea>
+      </div>
+      <div class="email-template-actions">
+        <button type="button" class="btn btn-secondary btn-sm" onclick="handleResetEmailTemplate('${escapeHtml(template.name)}')" ${template.customized ? '' : 'disabled'}>Rétablir le modèle par défaut</button>
+        <button type="submit" class="btn btn-primary btn-sm">Enregistrer</button>
+      </div>
+    </form>
+  `).join('');
+}
+
+/**
+ * Resend a message
+ * @param {number} id - Message ID
+ * @param {Function} api - API function
+ */
+export async function handleResendEmail(id, api) {
+  try {
+    await api(`/admin/emails/${id}/resend`, { method: 'POST' });
+    toastSuccess('E-mail renvoyé');
+  } catch (error) {
+    console.error('Error resending email:', error);
+    toastError(error.message || 'Erreur lors du renvoi');
+  }
+  await loadEmails(api);
+}
+
+/**
+ * Retry every failed message
+ * @param {Function} api - API function
+ */
+export async function handleRetryEmails(api) {
+  try {
+    const result = await api('/admin/emails/retry', { method: 'POST' });
+    toastSuccess(`${result.sent} / ${result.retried} e-mail(s) renvoyé(s)`);
+  } catch (error) {
+    console.error('Error retrying emails:', error);
+    toastError('Erreur lors de la relance');
+  }
+  await loadEmails(api);
+}
+
+/**
+ * Save a template to settings
+ * @param {string} name - Template name
+ * @param {Function} api - API function
+ */
+export async function handleSaveEmailTemplate(name, api) {
+  const form = document.querySelector(`.email-template[data-template="${name}"]`);
+  if (!form) return;
+
+  const value = {
+    subject: form.querySelector('[data-field="subject"]').value,
+    body: form.querySelector('[data-field="body"]').value
+  };
+
+  try {
+    await api('/admin/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ [`${TEMPLATE_SETTING_PREFIX}${name}`]: value })
+    });
+    toastSuccess('Modèle enregistré');
+    await loadEmailTemplates(api);
+  } catch (error) {
+    console.error('Error saving email template:', error);
+    toastError(error.message || 'Erreur lors de l\'enregistrement');
+  }
+}
+
+/**
+ * Restore the built-in version of a template
+ * @param {string} name - Template name
+ * @param {Function} api - API function
+ */
+export async function handleResetEmailTemplate(name, api) {
+  if (!confirm('Rétablir le modèle par défaut ? Vos modifications seront perdues.')) return;
+
+  try {
+    await api('/admin/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ [`${TEMPLATE_SETTING_PREFIX}${name}`]: null })
+    });
+    toastSuccess('Modèle par défaut rétabli');
+    await loadEmailTemplates(api);
+  } catch (error) {
+    console.error('Error resetting email template:', error);
+    toastError('Erreur lors de la réinitialisation');
+  }
+}
+
+/**
+ * Initialize emails module
+ * @param {Function} api - API function
+ */
+export function initEmails(api) {
+  const filter = $('emails-filter-status');
+  if (filter) {
+    filter.addEventListener('change', () => loadEmails(api));
+  }
+
+  const refreshBtn = $('refresh-emails-btn');
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', () => loadEmails(api));
+  }
+
+  const retryBtn = $('retry-emails-btn');
+  if (retryBtn) {
+    retryBtn.addEventListener('click', () => handleRetryEmails(api));
+  }
+
+  const moreBtn = $('emails-more-btn');
+  if (moreBtn) {
+    moreBtn.addEventListener('click', () => loadEmails(api, true));
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Events module - Event switcher and event management
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastSuccess, toastError } from './toast.js';
+import { getEvent, setEvent } from './api.js';
+import {
+  eventsData,
+  setEventsData
+} from './state.js';
+
+/**
+ * Load events
+ * @param {Function} api - API function
+ */
+export async function loadEvents(api) {
+  try {
+    const data = await api('/admin/events', { method: 'GET' });
+    setEventsData(data.events || []);
+    renderEventSwitcher();
+    renderEvents();
+  } catch (error) {
+    console.error('Error loading events:', error);
+    toastError('Erreur lors du chargement des événements');
+  }
+}
+
+/**
+ * Render the event switcher of the sidebar
+ * Hidden while the deployment has a single event
+ */
+export function renderEventSwitcher() {
+  const select = $('event-select');
+  const switcher = $('event-switcher');
+  if (!select || !switcher) return;
+
+  switcher.classList.toggle('hidden', eventsData.length < 2);
+
+  const selected = getEvent();
+  const current = eventsData.find(e => e.slug === selected) || eventsData.find(e => e.isDefault);
+  select.innerHTML = eventsData.map(event => `
+    <option value="${escapeHtml(event.slug)}" ${event === current ? 'selected' : ''}>
+      ${escapeHtml(event.name)}${event.status === 'archived' ? ' (archivé)' : ''}
+    </option>
+  `).join('');
+}
+
+/**
+ * Render events table
+ */
+export function renderEvents() {
+  const tbody = $('events-tbody');
+  if (!tbody) return;
+
+  if (eventsData.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Aucun événement (migration 022 non appliquée)</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = eventsData.map(event => `
+    <tr class="member-row ${event.status === 'archived' ? 'text-muted' : ''}">
+      <td>
+        <strong>${escapeHtml(event.name)}</strong>
+        <br><span class="text-muted">/${escapeHtml(event.slug)}</span>
+      </td>
+      <td>${event.year}</td>
+      <td>${event.teamCount} équipe(s), ${event.memberCount} participant(s)</td>
+      <td>
+        ${event.status === 'archived' ? '<span class="badge badge-muted">Archivé</span>' : '<span class="badge badge-success">Actif</span>'}
+        ${event.isDefault ? '<span class="badge">Par défaut</span>' : ''}
+      </td>
+      <td class="actions-col">
+        <div class="action-buttons">
+          ${event.isDefault ? '' : `<button type="button" class="btn btn-secondary btn-sm" onclick="handleEventDefault(${event.id})">Par défaut</button>`}
+          ${event.status === 'archived' ? '' : `<button type="button" class="btn btn-danger btn-sm" onclick="handleEventArchive(${event.id})">Archiver</button>`}
+        </div>
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Make an event the one served at the base URL
+ * @param {number} eventId - Event ID
+ * @param {Function} api - API function
+ */
+export async function handleEventDefault(eventId, api) {
+  try {
+    await api(`/admin/events/${eventId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ isDefault: true })
+    });
+    toastSuccess('Événement par défaut modifié');
+    await loadEvents(api);
+  } catch (error) {
+    console.error('Error updating event:', error);
+    toastError(error.message || 'Erreur lors de la mise à jour');
+  }
+}
+
+/**
+ * Archive an event and remove its live data
+ * @param {number} eventId - Event ID
+ * @param {Function} api - API function
+ * @param {Function} loadData - Reload function
+ */
+export async function handleEventArchive(eventId, api, loadData) {
+  const event = eventsData.find(e => e.id === eventId);
+  const confirmation = prompt(
+    `Archiver ${event?.name || 'cet événement'} ? Ses équipes et participants seront archivés puis supprimés.\nTapez ARCHIVER pour confirmer :`
+  );
+  if (confirmation !== 'ARCHIVER') return;
+
+  try {
+    const result = await api(`/admin/events/${eventId}/archive`, {
+      method: 'POST',
+      body: JSON.stringify({ confirmation })
+    });
+    toastSuccess(result.archiveCreated ? `Événement archivé (archive ${result.year} créée)` : 'Événement archivé');
+    await loadEvents(api);
+    await loadData();
+  } catch (error) {
+    console.error('Error archiving event:', error);
+    toastError(error.message || "Erreur lors de l'archivage");
+  }
+}
+
+/**
+ * Create an event from the form
+ * @param {Event} e - Submit event
+ * @param {Function} api - API function
+ */
+async function handleEventCreate(e, api) {
+  e.preventDefault();
+  const form = e.target;
+
+  try {
+    await api('/admin/events', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: form.name.value.trim(),
+        slug: form.slug.value.trim(),
+        year: form.year.value,
+        isDefault: form.isDefault.checked
+      })
+    });
+    toastSuccess('Événement créé');
+    form.reset();
+    await loadEvents(api);
+  } catch (error) {
+    console.error('Error creating event:', error);
+    toastError(error.message || 'Erreur lors de la création');
+  }
+}
+
+/**
+ * Initialize events module
+ * @param {Function} api - API function
+ * @param {Function} loadData - Reload function
+ */
+export function initEvents(api, loadData) {
+  const select = $('event-select');
+  if (select) {
+    select.addEventListener('change', async () => {
+      const event = eventsData.find(ev => ev.slug === select.value);
+      setEvent(event?.isDefault ? '' : select.value);
+      await loadData();
+    });
+  }
+
+  const form = $('event-form');
+  if (form) {
+    form.addEventListener('submit', (e) => handleEventCreate(e, api));
+  }
+}
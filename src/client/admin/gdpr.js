@@ -0,0 +1,163 @@
+/**
+ * GDPR module - Access and erasure requests for one person (superadmin only)
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastSuccess, toastError } from './toast.js';
+import {
+  gdprRequestsData,
+  setGdprRequestsData
+} from './state.js';
+
+const REQUEST_TYPE_LABELS = {
+  access: 'Accès',
+  erasure: 'Effacement'
+};
+
+/**
+ * Describe what a request found or anonymized
+ * @param {Object} summary - Request summary
+ * @returns {string}
+ */
+function describeSummary(summary) {
+  const parts = [
+    `${summary.members} inscription(s)`,
+    `${summary.payment_events} paiement(s)`,
+    `${summary.emails} e-mail(s)`
+  ];
+  const logEntries = (summary.team_changes ?? 0) + (summary.audit_entries ?? 0);
+  if (logEntries > 0) {
+    parts.push(`${logEntries} entrée(s) de journal`);
+  }
+  if (summary.waitlist > 0) {
+    parts.push(`${summary.waitlist} liste(s) d'attente`);
+  }
+  if (summary.archives.length > 0) {
+    parts.push(`archives ${summary.archives.join(', ')}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Load the requests log
+ * @param {Function} api - API function
+ */
+export async function loadGdprRequests(api) {
+  try {
+    const data = await api('/admin/gdpr/requests', { method: 'GET' });
+    setGdprRequestsData({ available: data.available, requests: data.requests || [] });
+    renderGdprRequests();
+  } catch (error) {
+    console.error('Error loading GDPR requests:', error);
+  }
+}
+
+/**
+ * Render the requests log
+ */
+export function renderGdprRequests() {
+  const tbody = $('gdpr-requests-tbody');
+  if (!tbody) return;
+
+  if (!gdprRequestsData.available) {
+    tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">Historique indisponible : appliquez la migration 020.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = gdprRequestsData.requests.length === 0
+    ? '<tr><td colspan="4" class="text-center text-muted">Aucune demande traitée</td></tr>'
+    : gdprRequestsData.requests.map(entry => `
+      <tr>
+        <td>${new Date(`${entry.created_at}Z`).toLocaleString('fr-FR')}</td>
+        <td><span class="badge ${entry.request_type === 'erasure' ? 'badge-warning' : 'badge-info'}">${REQUEST_TYPE_LABELS[entry.request_type] || escapeHtml(entry.request_type)}</span></td>
+        <td>${escapeHtml(describeSummary(entry.summary))}</td>
+        <td>${escapeHtml(entry.handled_by || '-')}</td>
+      </tr>
+    `).join('');
+}
+
+/**
+ * Read the email field
+ * @returns {string|null}
+ */
+function getSubjectEmail() {
+  const email = $('gdpr-email')?.value.trim();
+  if (!email) {
+    toastError('Saisissez l\'adresse e-mail de la personne');
+    return null;
+  }
+  return email;
+}
+
+/**
+ * Download every trace of a person as JSON
+ * @param {Function} api - API function
+ */
+export async function handleGdprAccess(api) {
+  const email = getSubjectEmail();
+  if (!email) return;
+
+  try {
+    const data = await api('/admin/gdpr/access', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+
+    const blob = new Blob([JSON.stringify(data.export, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = data.filename;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    toastSuccess('Données personnelles téléchargées');
+    await loadGdprRequests(api);
+  } catch (error) {
+    console.error('Error exporting personal data:', error);
+    toastError(error.message || 'Erreur lors de l\'export');
+  }
+}
+
+/**
+ * Anonymize every trace of a person
+ * @param {Function} api - API function
+ */
+export async function handleGdprErase(api) {
+  const email = getSubjectEmail();
+  if (!email) return;
+
+  if (!confirm(`Anonymiser définitivement toutes les données de ${email} (inscriptions, paiements, e-mails, journaux, liste d'attente et archives) ?\n\nCette action est irréversible.`)) {
+    return;
+  }
+
+  try {
+    const result = await api('/admin/gdpr/erase', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+    toastSuccess(`Données effacées : ${describeSummary(result)}`);
+    $('gdpr-email').value = '';
+    await loadGdprRequests(api);
+  } catch (error) {
+    console.error('Error erasing personal data:', error);
+    toastError(error.message || 'Erreur lors de l\'effacement');
+  }
+}
+
+/**
+ * Initialize GDPR module
+ * @param {Function} api - API function
+ */
+export function initGdpr(api) {
+  const accessBtn = $('gdpr-access-btn');
+  if (accessBtn) {
+    accessBtn.addEventListener('click', () => handleGdprAccess(api));
+  }
+
+  const eraseBtn = $('gdpr-erase-btn');
+  if (eraseBtn) {
+    eraseBtn.addEventListener('click', () => handleGdprErase(api));
+  }
+}
@@ -10,6 +10,11 @@ import { csvData, setCsvData, setParsedRows } from './state.js';
 // Element ID constants
 const EL_IMPORT_BTN = 'import-btn';
 const EL_IMPORT_STATUS = 'import-status';
+const EL_IMPORT_CREDENTIALS = 'import-credentials';
+const EL_DEFAULT_PASSWORDS_BTN = 'default-passwords-btn';
+
+// Passwords of the teams created by the last import, until the page is left
+let importedCredentials = [];
 
 /**
  * Handle file selection
@@ -164,7 +169,7 @@ export async function handleImport(api, loadData) {
   try {
     const result = await api('/admin/import', {
       method: 'POST',
-      body: JSON.stringify({ csv: csvData })
+      body: JSON.stringify({ csv: csvData, emailLeaders: $('import-email-leaders')?.checked || false })
     });
 
     if (result.success) {
@@ -176,6 +181,7 @@ export async function handleImport(api, loadData) {
         status.className = 'import-status success';
       }
 
+      renderCredentials(result.credentials || []);
       loadData();
     } else {
       throw new Error(result.error || 'Erreur lors de l\'import');
@@ -197,6 +203,95 @@ export async function handleImport(api, loadData) {
   }
 }
 
+/**
+ * Show the passwords of the created teams; the server does not keep them
+ * @param {Array<{teamName: string, password: string, emailed: number}>} credentials
+ */
+function renderCredentials(credentials) {
+  importedCredentials = credentials;
+  const container = $(EL_IMPORT_CREDENTIALS);
+  if (!container) return;
+
+  if (credentials.length === 0) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = `
+    <p class="warning-text">Notez ces mots de passe maintenant : ils ne seront plus affichés.</p>
+    <table class="import-preview-table">
+      <thead>
+        <tr>
+          <th>Équipe</th>
+          <th>Mot de passe</th>
+          <th>Envoyé aux chefs</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${credentials.map(c => `
+          <tr>
+            <td>${escapeHtml(c.teamName)}</td>
+            <td><code>${escapeHtml(c.password)}</code></td>
+            <td>${c.emailed > 0 ? c.emailed : '-'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <div class="import-actions">
+      <button type="button" id="import-credentials-download" class="btn btn-secondary btn-sm">Télécharger (CSV)</button>
+    </div>
+  `;
+  container.classList.remove('hidden');
+  $('import-credentials-download')?.addEventListener('click', downloadCredentials);
+}
+
+/**
+ * Download the passwords of the created teams as CSV
+ */
+function downloadCredentials() {
+  const quote = value => `"${String(value).replaceAll('"', '""')}"`;
+  const csv = ['teamName,password', ...importedCredentials.map(c => `${quote(c.teamName)},${quote(c.password)}`)].join('\n');
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'mots-de-passe-equipes.csv';
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Give a random password to the teams still using their name, from former imports
+ * @param {Function} api - API function
+ */
+export async function regenerateDefaultPasswords(api) {
+  if (!confirm('Remplacer le mot de passe de toutes les équipes dont le mot de passe est encore leur nom ?')) return;
+
+  const button = $(EL_DEFAULT_PASSWORDS_BTN);
+  if (button) button.disabled = true;
+
+  try {
+    const result = await api('/admin/teams/passwords/default', {
+      method: 'POST',
+      body: JSON.stringify({ emailLeaders: $('import-email-leaders')?.checked || false })
+    });
+
+    const credentials = result.credentials || [];
+    renderCredentials(credentials);
+    if (credentials.length === 0) {
+      toastSuccess('Aucune équipe n\'a encore son nom comme mot de passe');
+    } else {
+      toastSuccess(`${credentials.length} mot(s) de passe régénéré(s)`);
+    }
+  } catch (error) {
+    console.error('Error regenerating default passwords:', error);
+    toastError(error.message || 'Erreur lors de la régénération');
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
 /**
  * Reset import state
  */
@@ -238,4 +333,6 @@ export function initImport(api, loadData) {
   if (importBtn) {
     importBtn.addEventListener('click', () => handleImport(api, loadData));
   }
+
+  $(EL_DEFAULT_PASSWORDS_BTN)?.addEventListener('click', () => regenerateDefaultPasswords(api));
 }
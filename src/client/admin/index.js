@@ -12,12 +12,25 @@ export * from './api.js';
 export * from './modals.js';
 export * from './tabs.js';
 export * from './state.js';
+export * from './permissions.js';
 
 // Domain modules
 export * from './registrations.js';
+export * from './team-changes.js';
+export * from './trash.js';
 export * from './attendance.js';
+export * from './scanner.js';
 export * from './pizza.js';
 export * from './rooms.js';
+export * from './waitlist.js';
 export * from './archives.js';
+export * from './gdpr.js';
 export * from './settings.js';
 export * from './import.js';
+export * from './audit.js';
+export * from './emails.js';
+export * from './messages.js';
+export * from './accounts.js';
+export * from './lockouts.js';
+export * from './events.js';
+export * from './schools.js';
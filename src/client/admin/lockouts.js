@@ -0,0 +1,83 @@
+/**
+ * Lockouts module - Clients locked out after failed password or token attempts (superadmin only)
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastSuccess, toastError } from './toast.js';
+import {
+  lockoutsData,
+  setLockoutsData
+} from './state.js';
+
+/**
+ * Describe what a lockout protects
+ * @param {Object} lockout - Lockout entry
+ * @returns {string} HTML
+ */
+function describeTarget(lockout) {
+  if (lockout.scope === 'team') {
+    return `Équipe ${escapeHtml(lockout.teamName || `n°${lockout.target}`)}`;
+  }
+  if (lockout.target.startsWith('login:')) {
+    return `Connexion de <strong>${escapeHtml(lockout.target.slice(6))}</strong>`;
+  }
+  return 'Jeton administrateur';
+}
+
+/**
+ * Load current lockouts
+ * @param {Function} api - API function
+ */
+export async function loadLockouts(api) {
+  try {
+    const data = await api('/admin/lockouts', { method: 'GET' });
+    setLockoutsData({ available: data.available, lockouts: data.lockouts || [] });
+    renderLockouts();
+  } catch (error) {
+    console.error('Error loading lockouts:', error);
+  }
+}
+
+/**
+ * Render lockouts table
+ */
+export function renderLockouts() {
+  const tbody = $('lockouts-tbody');
+  if (!tbody) return;
+
+  if (!lockoutsData.available) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Protection indisponible : appliquez la migration 027.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = lockoutsData.lockouts.length === 0
+    ? '<tr><td colspan="5" class="text-center text-muted">Aucun blocage en cours</td></tr>'
+    : lockoutsData.lockouts.map(lockout => `
+      <tr>
+        <td>${describeTarget(lockout)}</td>
+        <td>${escapeHtml(lockout.ip || '-')}</td>
+        <td>${lockout.failures}</td>
+        <td>${new Date(`${lockout.lockedUntil}Z`).toLocaleString('fr-FR')}</td>
+        <td class="actions-col">
+          <button type="button" class="btn btn-secondary btn-sm" onclick="handleUnlockLockout(${lockout.id})">Débloquer</button>
+        </td>
+      </tr>
+    `).join('');
+}
+
+/**
+ * Lift a lockout
+ * @param {number} lockoutId - Lockout ID
+ * @param {Function} api - API function
+ */
+export async function handleUnlockLockout(lockoutId, api) {
+  try {
+    await api(`/admin/lockouts/${lockoutId}`, { method: 'DELETE' });
+    toastSuccess('Blocage levé');
+  } catch (error) {
+    console.error('Error unlocking:', error);
+    toastError(error.message || 'Erreur lors du déblocage');
+  }
+  await loadLockouts(api);
+}
@@ -13,15 +13,20 @@
 // Core utilities
 import { $ } from './utils.js';
 import { toastError } from './toast.js';
-import { createApiClient, setToken } from './api.js';
+import { createApiClient, setToken, clearToken } from './api.js';
 import { closeModal, toggleDisclosure } from './modals.js';
 import { initTabs } from './tabs.js';
 
 // State management
 import {
   selectedMembers,
-  setPizzasConfig
+  setPizzasConfig,
+  setCustomFieldsConfig,
+  setCurrentAdmin,
+  clearState
 } from './state.js';
+import { applyPermissions } from './permissions.js';
+import { hasRole, TAB_ROLES } from '../../shared/roles.js';
 
 // Domain modules
 import {
@@ -37,6 +42,7 @@ import {
   confirmDeleteMember,
   deleteSelectedMembers,
   handleTeamSubmit,
+  regenerateTeamPassword,
   handleMemberSubmit,
   exportTeam,
   exportTeamOfficial,
@@ -47,7 +53,8 @@ import {
   sortAllParticipants,
   openAddTeamModal,
   openAddMemberModal,
-  selectAllParticipants
+  selectAllParticipants,
+  resendVerification
 } from './registrations.js';
 
 import {
@@ -55,8 +62,10 @@ import {
   handleCheckIn,
   handleCheckOut,
   confirmCheckIn,
+  handleRefund,
   initAttendance
 } from './attendance.js';
+import { initScanner } from './scanner.js';
 
 import {
   loadPizzaData,
@@ -69,15 +78,36 @@ import {
   loadRoomsData,
   handleRoomChange,
   handleClearRoom,
+  handleRoomPreference,
+  handleRoomCatalogEdit,
+  handleRoomCatalogDelete,
+  handlePrintRoster,
   initRooms
 } from './rooms.js';
 
+import {
+  loadTeamChanges
+} from './team-changes.js';
+
+import {
+  loadTrash,
+  handleRestoreTeam,
+  handleRestoreMember
+} from './trash.js';
+
+import {
+  loadWaitlistData,
+  handleCancelWaitlist,
+  initWaitlist
+} from './waitlist.js';
+
 import {
   loadArchives,
   viewArchive,
   deleteArchive,
   initArchives
 } from './archives.js';
+import { loadGdprRequests, initGdpr } from './gdpr.js';
 
 import {
   loadSettings,
@@ -88,6 +118,55 @@ import {
   initImport
 } from './import.js';
 
+import {
+  loadAudit,
+  initAudit
+} from './audit.js';
+
+import {
+  loadEmails,
+  loadEmailTemplates,
+  handleResendEmail,
+  handleSaveEmailTemplate,
+  handleResetEmailTemplate,
+  initEmails
+} from './emails.js';
+
+import {
+  loadMessages,
+  handleResumeMessage,
+  handleShowMessageReport,
+  initMessages
+} from './messages.js';
+
+import {
+  loadAccounts,
+  handleAccountRoleChange,
+  handleAccountToggle,
+  handleAccountPassword,
+  handleAccountDelete,
+  initAccounts
+} from './accounts.js';
+
+import {
+  loadLockouts,
+  handleUnlockLockout
+} from './lockouts.js';
+
+import {
+  loadEvents,
+  handleEventDefault,
+  handleEventArchive,
+  initEvents
+} from './events.js';
+
+import {
+  loadSchools,
+  handleSchoolEdit,
+  handleSchoolDelete,
+  initSchools
+} from './schools.js';
+
 // ============================================================
 // INITIALIZATION
 // ============================================================
@@ -108,12 +187,22 @@ function getBaseUrl() {
  */
 async function loadData() {
   try {
+    // Role decides which tabs are shown and which data we are allowed to load
+    const { admin } = await api('/admin/me', { method: 'GET' });
+    setCurrentAdmin(admin);
+    applyPermissions(admin);
+    await loadEvents(api);
+
     const data = await api('/admin/stats', { method: 'GET' });
 
     // Render stats
     const statsGrid = $('stats-grid');
     const foodStats = $('food-stats');
-    renderStats(data.stats, statsGrid, foodStats);
+    const schoolStats = $('school-stats');
+    renderStats(data.stats, statsGrid, foodStats, schoolStats);
+
+    // Custom questions add answers to the teams and participants tables
+    setCustomFieldsConfig(data.customFields || []);
 
     // Render teams
     const teamsContainer = $('teams-container');
@@ -126,16 +215,36 @@ async function loadData() {
       setPizzasConfig(data.pizzas);
     }
 
-    // Load other data in parallel
-    await Promise.all([
-      loadAttendanceData(api),
-      loadPizzaData(api),
-      loadRoomsData(api),
-      loadArchives(api),
-      loadSettings(api)
-    ]);
+    // Load other data in parallel (only what the role can access)
+    const loaders = [
+      [TAB_ROLES.attendance, loadAttendanceData],
+      [TAB_ROLES.pizza, loadPizzaData],
+      [TAB_ROLES.rooms, loadRoomsData],
+      [TAB_ROLES.waitlist, loadWaitlistData],
+      [[], loadTeamChanges],
+      [[], loadTrash],
+      [TAB_ROLES.archives, loadArchives],
+      [[], loadGdprRequests],
+      [TAB_ROLES.settings, loadSettings],
+      [TAB_ROLES.settings, loadSchools],
+      [TAB_ROLES.audit, loadAudit],
+      [TAB_ROLES.emails, loadEmails],
+      [TAB_ROLES.emails, loadEmailTemplates],
+      [TAB_ROLES.emails, loadMessages],
+      [TAB_ROLES.accounts, loadAccounts],
+      [TAB_ROLES.accounts, loadLockouts]
+    ];
+    await Promise.all(
+      loaders
+        .filter(([roles]) => hasRole(admin.role, roles))
+        .map(([, load]) => load(api))
+    );
 
   } catch (error) {
+    // The stored event no longer exists and was cleared: reload the default one
+    if (error.message === 'Event not found') {
+      return loadData();
+    }
     console.error('Error loading data:', error);
     if (error.message === 'Unauthorized') {
       showAuth();
@@ -156,6 +265,9 @@ const elements = {
   get authSection() { return $('auth-section'); },
   get adminContent() { return $('admin-content'); },
   get tokenInput() { return $('admin-token'); },
+  get usernameInput() { return $('admin-username'); },
+  get passwordInput() { return $('admin-password'); },
+  get logoutBtn() { return $('logout-btn'); },
   get authBtn() { return $('auth-btn'); },
   get authError() { return $('auth-error'); },
   get exportOfficialBtn() { return $('export-official-btn'); },
@@ -190,14 +302,38 @@ function hideAuthError() {
   elements.authError?.classList.add('hidden');
 }
 
+/**
+ * Exchange username/password for a session token
+ * @returns {Promise<string|null>} Session token
+ */
+async function loginWithPassword(username, password) {
+  try {
+    const result = await api('/admin/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password })
+    });
+    return result.token;
+  } catch (error) {
+    showAuthError(error.message === 'Unauthorized' ? 'Identifiant ou mot de passe incorrect' : error.message);
+    return null;
+  }
+}
+
 async function handleAuth() {
-  const token = elements.tokenInput?.value?.trim();
-  if (!token) {
-    showAuthError('Veuillez entrer un token');
+  const username = elements.usernameInput?.value?.trim();
+  const password = elements.passwordInput?.value || '';
+  let token = elements.tokenInput?.value?.trim();
+
+  hideAuthError();
+
+  if (username) {
+    token = await loginWithPassword(username, password);
+    if (!token) return;
+  } else if (!token) {
+    showAuthError('Veuillez entrer vos identifiants');
     return;
   }
 
-  hideAuthError();
   adminToken = token;
   setToken(token);
   localStorage.setItem('ndi_admin_token', token);
@@ -212,6 +348,18 @@ async function handleAuth() {
   }
 }
 
+async function handleLogout() {
+  try {
+    await api('/admin/logout', { method: 'POST' });
+  } catch {
+    // Session may already be expired, log out locally anyway
+  }
+  clearToken();
+  clearState();
+  adminToken = '';
+  location.reload();
+}
+
 function handleRefresh() {
   loadData();
 }
@@ -236,6 +384,7 @@ window.toggleDisclosure = toggleDisclosure;
 // Teams
 window.toggleTeam = toggleTeam;
 window.editTeam = editTeam;
+window.regenerateTeamPassword = () => regenerateTeamPassword(api);
 window.confirmDeleteTeam = (teamId, teamName) => confirmDeleteTeam(teamId, teamName, api, loadData);
 window.exportTeam = (teamId, teamName) => exportTeam(teamId, teamName, api);
 window.exportTeamOfficial = (teamId, teamName) => exportTeamOfficial(teamId, teamName, api);
@@ -252,6 +401,7 @@ window.sortTeamMembers = sortTeamMembers;
 // Members
 window.editMember = editMember;
 window.confirmDeleteMember = (memberId, memberName) => confirmDeleteMember(memberId, memberName, api, loadData);
+window.resendVerification = (memberId) => resendVerification(memberId, api);
 
 // All Participants
 window.sortAllParticipants = sortAllParticipants;
@@ -259,6 +409,7 @@ window.sortAllParticipants = sortAllParticipants;
 // Attendance
 window.handleCheckIn = (memberId) => handleCheckIn(memberId, api, loadData);
 window.handleCheckOut = (memberId) => handleCheckOut(memberId, api, loadData);
+window.handleRefund = (memberId) => handleRefund(memberId, api, loadData);
 window.confirmCheckIn = () => confirmCheckIn(api, loadData);
 
 // Pizza
@@ -268,10 +419,45 @@ window.handleRevokePizza = (memberId) => handleRevokePizza(memberId, api, loadDa
 // Rooms
 window.handleRoomChange = (teamId, room) => handleRoomChange(teamId, room, api, loadData);
 window.handleClearRoom = (teamId) => handleClearRoom(teamId, api, loadData);
+window.handleRoomPreference = (teamId, preferences) => handleRoomPreference(teamId, preferences, api);
+window.handleRoomCatalogEdit = (roomId) => handleRoomCatalogEdit(roomId, api);
+window.handleRoomCatalogDelete = (roomId) => handleRoomCatalogDelete(roomId, api);
+window.handlePrintRoster = (encodedRoom) => handlePrintRoster(encodedRoom, api);
+
+// Waitlist
+window.handleCancelWaitlist = (entryId) => handleCancelWaitlist(entryId, api);
 
 // Archives
-window.viewArchive = (year) => viewArchive(year, api);
-window.deleteArchive = (year) => deleteArchive(year, api, loadData);
+window.viewArchive = (year, eventId) => viewArchive(year, eventId, api);
+window.deleteArchive = (year, eventId) => deleteArchive(year, eventId, api, loadData);
+
+// Trash
+window.handleRestoreTeam = (teamId) => handleRestoreTeam(teamId, api, loadData);
+window.handleRestoreMember = (memberId) => handleRestoreMember(memberId, api, loadData);
+
+// Emails handlers
+window.handleResendEmail = (id) => handleResendEmail(id, api);
+window.handleSaveEmailTemplate = (name) => handleSaveEmailTemplate(name, api);
+window.handleResetEmailTemplate = (name) => handleResetEmailTemplate(name, api);
+
+// Messages handlers
+window.handleResumeMessage = (id) => handleResumeMessage(id, api);
+window.handleShowMessageReport = (id) => handleShowMessageReport(id, api);
+
+// Accounts
+window.handleAccountRoleChange = (accountId, role) => handleAccountRoleChange(accountId, role, api);
+window.handleAccountToggle = (accountId, isActive) => handleAccountToggle(accountId, isActive, api);
+window.handleAccountPassword = (accountId) => handleAccountPassword(accountId, api);
+window.handleAccountDelete = (accountId) => handleAccountDelete(accountId, api);
+window.handleUnlockLockout = (lockoutId) => handleUnlockLockout(lockoutId, api);
+
+// Events
+window.handleEventDefault = (eventId) => handleEventDefault(eventId, api);
+window.handleEventArchive = (eventId) => handleEventArchive(eventId, api, loadData);
+
+// Schools
+window.handleSchoolEdit = (schoolId) => handleSchoolEdit(schoolId, api);
+window.handleSchoolDelete = (schoolId) => handleSchoolDelete(schoolId, api);
 
 // Data loading
 window.loadData = loadData;
@@ -297,6 +483,10 @@ async function init() {
   elements.tokenInput?.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') handleAuth();
   });
+  elements.passwordInput?.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') handleAuth();
+  });
+  elements.logoutBtn?.addEventListener('click', handleLogout);
 
   // Set up action buttons
   elements.exportOfficialBtn?.addEventListener('click', () => handleExportOfficial(api));
@@ -327,8 +517,17 @@ async function init() {
   initTabs();
   initTeamsSearch();
   initAttendance(api);
+  initScanner(api, loadData);
   initPizza(api);
-  initRooms(api);
+  initRooms(api, loadData);
+  initWaitlist(api, loadData);
+  initAudit(api);
+  initEmails(api);
+  initMessages(api);
+  initGdpr(api);
+  initAccounts(api);
+  initEvents(api, loadData);
+  initSchools(api);
 
   // Try to load data if we have a token
   if (adminToken) {
@@ -0,0 +1,350 @@
+/**
+ * Messages module - Bulk messages to participants (superadmin only)
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastSuccess, toastError } from './toast.js';
+import {
+  messagesData,
+  setMessagesData
+} from './state.js';
+
+// Pause between two batches, on top of the server's batch size
+const BATCH_DELAY_MS = 1000;
+
+const STATUS_LABELS = {
+  all: 'Tous les participants',
+  present: 'Présents',
+  absent: 'Pas encore arrivés',
+  paid: 'Payés',
+  unpaid: 'Non payés',
+  pending: 'Paiement en attente',
+  delayed: 'Paiement sur place'
+};
+
+const ROOM_LABELS = {
+  all: 'Toutes les salles',
+  assigned: 'Salle attribuée',
+  unassigned: 'Sans salle'
+};
+
+const DELIVERY_LABELS = {
+  pending: '<span class="badge badge-info">En attente</span>',
+  sent: '<span class="badge badge-success">Envoyé</span>',
+  failed: '<span class="badge badge-warning">Échec</span>'
+};
+
+/**
+ * Describe an audience in one line
+ * @param {object} audience - { status, room, leadersOnly }
+ * @returns {string}
+ */
+export function formatAudience({ status, room, leadersOnly }) {
+  const parts = [STATUS_LABELS[status] || status, ROOM_LABELS[room] || `Salle ${room}`];
+  if (leadersOnly) parts.push('chefs d\'équipe');
+  return parts.join(' · ');
+}
+
+/**
+ * Read the compose form
+ * @returns {{subject: string, body: string, audience: object}}
+ */
+function getComposedMessage() {
+  return {
+    subject: $('message-subject')?.value || '',
+    body: $('message-body')?.value || '',
+    audience: {
+      status: $('message-status')?.value || 'all',
+      room: $('message-room')?.value || 'all',
+      leadersOnly: $('message-leaders')?.checked || false
+    }
+  };
+}
+
+/**
+ * Load sent messages and compose options
+ * @param {Function} api - API function
+ */
+export async function loadMessages(api) {
+  try {
+    const data = await api('/admin/messages', { method: 'GET' });
+    setMessagesData({
+      ...messagesData,
+      campaigns: data.campaigns || [],
+      rooms: data.rooms || [],
+      mergeFields: data.mergeFields || []
+    });
+    renderRoomOptions();
+    renderMergeFields();
+    renderMessages();
+  } catch (error) {
+    console.error('Error loading messages:', error);
+    toastError('Erreur lors du chargement des messages');
+  }
+}
+
+/**
+ * Fill the room filter, keeping the current selection
+ */
+function renderRoomOptions() {
+  const select = $('message-room');
+  if (!select) return;
+
+  const current = select.value || 'all';
+  select.innerHTML = [
+    ...Object.entries(ROOM_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`),
+    ...messagesData.rooms.map(room => `<option value="${escapeHtml(room)}">Salle ${escapeHtml(room)}</option>`)
+  ].join('');
+  select.value = [...select.options].some(o => o.value === current) ? current : 'all';
+}
+
+/**
+ * Show the available merge fields
+ */
+function renderMergeFields() {
+  const hint = $('message-merge-fields');
+  if (!hint) return;
+  hint.innerHTML = `Variables : ${messagesData.mergeFields.map(f => `<code>{{${escapeHtml(f)}}}</code>`).join(' ')}`;
+}
+
+/**
+ * Render sent messages table
+ */
+export function renderMessages() {
+  const tbody = $('messages-tbody');
+  if (!tbody) return;
+
+  const { campaigns } = messagesData;
+
+  if (campaigns.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">Aucun message envoyé</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = campaigns.map(campaign => `
+    <tr>
+      <td>${new Date(campaign.created_at).toLocaleString('fr-FR')}</td>
+      <td>${escapeHtml(campaign.subject)}<br><span class="text-muted">${escapeHtml(campaign.created_by || '-')}</span></td>
+      <td>${escapeHtml(formatAudience(campaign.audience))}</td>
+      <td>${campaign.recipient_count}</td>
+      <td>${campaign.sent_count || 0} envoyé(s), ${campaign.failed_count || 0} échec(s)${campaign.pending_count ? `, ${campaign.pending_count} en attente` : ''}</td>
+      <td>
+        <button type="button" class="btn btn-secondary btn-sm" onclick="handleShowMessageReport(${campaign.id})">Rapport</button>
+        ${campaign.pending_count ? `<button type="button" class="btn btn-primary btn-sm" onclick="handleResumeMessage(${campaign.id})">Reprendre</button>` : ''}
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Preview the recipients and the first rendered message
+ * @param {Function} api - API function
+ */
+export async function handlePreviewMessage(api) {
+  const container = $('message-preview');
+  if (!container) return;
+
+  try {
+    const data = await api('/admin/messages/preview', {
+      method: 'POST',
+      body: JSON.stringify(getComposedMessage())
+    });
+
+    if (data.total === 0) {
+      container.innerHTML = '<p class="text-muted">Aucun destinataire ne correspond à ces filtres.</p>';
+      return;
+    }
+
+    const hidden = data.total - data.recipients.length;
+    container.innerHTML = `
+      <div class="settings-card">
+        <h3>${data.total} destinataire(s)</h3>
+        <p class="form-hint">Aperçu pour ${escapeHtml(data.recipients[0].name)}</p>
+        <p><strong>${escapeHtml(data.preview.subject)}</strong></p>
+        <div class="message-preview-body">${data.preview.html}</div>
+        <details>
+          <summary>Voir les destinataires</summary>
+          <ul class="message-recipients">
+            ${data.recipients.map(r => `<li>${escapeHtml(r.name)} &lt;${escapeHtml(r.email)}&gt; <span class="text-muted">${escapeHtml(r.team_name)}</span></li>`).join('')}
+            ${hidden > 0 ? `<li class="text-muted">… et ${hidden} autre(s)</li>` : ''}
+          </ul>
+        </details>
+      </div>
+    `;
+  } catch (error) {
+    console.error('Error previewing message:', error);
+    toastError(error.message || 'Erreur lors de l\'aperçu');
+  }
+}
+
+/**
+ * Show sending progress
+ * @param {string} text
+ */
+function setProgress(text) {
+  const progress = $('message-progress');
+  if (!progress) return;
+  progress.textContent = text;
+  progress.classList.toggle('hidden', !text);
+}
+
+/**
+ * Send the remaining batches of a message, pausing between them
+ * @param {number} id - Message ID
+ * @param {object} totals - { total, sent, failed, remaining }
+ * @param {Function} api - API function
+ */
+async function sendRemainingBatches(id, totals, api) {
+  let { sent, failed, remaining } = totals;
+
+  while (remaining > 0) {
+    setProgress(`Envoi en cours : ${sent + failed} / ${totals.total}…`);
+    await new Promise(resolve => setTimeout(resolve, BATCH_DELAY_MS));
+    const batch = await api(`/admin/messages/${id}/send`, { method: 'POST' });
+    sent += batch.sent;
+    failed += batch.failed;
+    // Stop if nothing moved (another tab may be sending the same message)
+    if (batch.sent + batch.failed === 0) break;
+    remaining = batch.remaining;
+  }
+
+  setProgress('');
+  if (failed > 0) {
+    toastError(`${sent} e-mail(s) envoyé(s), ${failed} échec(s)`);
+  } else {
+    toastSuccess(`${sent} e-mail(s) envoyé(s)`);
+  }
+}
+
+/**
+ * Send the composed message to its audience
+ * @param {Function} api - API function
+ */
+export async function handleSendMessage(api) {
+  const message = getComposedMessage();
+  if (!message.subject.trim() || !message.body.trim()) {
+    toastError('Sujet et message requis');
+    return;
+  }
+
+  const sendBtn = $('message-send-btn');
+  try {
+    const preview = await api('/admin/messages/preview', {
+      method: 'POST',
+      body: JSON.stringify(message)
+    });
+    if (preview.total === 0) {
+      toastError('Aucun destinataire ne correspond à ces filtres');
+      return;
+    }
+    if (!confirm(`Envoyer ce message à ${preview.total} destinataire(s) ?`)) return;
+
+    if (sendBtn) sendBtn.disabled = true;
+    const result = await api('/admin/messages', {
+      method: 'POST',
+      body: JSON.stringify(message)
+    });
+    await sendRemainingBatches(result.id, result, api);
+
+    $('message-subject').value = '';
+    $('message-body').value = '';
+    $('message-preview').innerHTML = '';
+  } catch (error) {
+    console.error('Error sending message:', error);
+    toastError(error.message || 'Erreur lors de l\'envoi');
+    setProgress('');
+  } finally {
+    if (sendBtn) sendBtn.disabled = false;
+  }
+  await loadMessages(api);
+}
+
+/**
+ * Resume a message whose sending was interrupted
+ * @param {number} id - Message ID
+ * @param {Function} api - API function
+ */
+export async function handleResumeMessage(id, api) {
+  const campaign = messagesData.campaigns.find(c => c.id === id);
+  if (!campaign) return;
+
+  try {
+    await sendRemainingBatches(id, {
+      total: campaign.recipient_count,
+      sent: campaign.sent_count || 0,
+      failed: campaign.failed_count || 0,
+      remaining: campaign.pending_count
+    }, api);
+  } catch (error) {
+    console.error('Error resuming message:', error);
+    toastError(error.message || 'Erreur lors de l\'envoi');
+    setProgress('');
+  }
+  await loadMessages(api);
+}
+
+/**
+ * Show the per-recipient delivery report of a message
+ * @param {number} id - Message ID
+ * @param {Function} api - API function
+ */
+export async function handleShowMessageReport(id, api) {
+  const container = $('message-report');
+  if (!container) return;
+
+  try {
+    const { campaign, recipients } = await api(`/admin/messages/${id}`, { method: 'GET' });
+    container.innerHTML = `
+      <h3>Rapport : ${escapeHtml(campaign.subject)}</h3>
+      <div class="table-container">
+        <table class="members-table">
+          <thead>
+            <tr>
+              <th>Destinataire</th>
+              <th>Statut</th>
+              <th>Tentatives</th>
+              <th>Envoyé le</th>
+              <th>Dernière erreur</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${recipients.map(r => `
+              <tr>
+                <td>${escapeHtml(r.recipient)}</td>
+                <td>${DELIVERY_LABELS[r.status] || escapeHtml(r.status)}</td>
+                <td>${r.attempts}</td>
+                <td>${r.sent_at ? new Date(r.sent_at).toLocaleString('fr-FR') : '-'}</td>
+                <td class="audit-details">${r.last_error ? escapeHtml(r.last_error) : '-'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  } catch (error) {
+    console.error('Error loading message report:', error);
+    toastError('Erreur lors du chargement du rapport');
+  }
+}
+
+/**
+ * Initialize messages module
+ * @param {Function} api - API function
+ */
+export function initMessages(api) {
+  const previewBtn = $('message-preview-btn');
+  if (previewBtn) {
+    previewBtn.addEventListener('click', () => handlePreviewMessage(api));
+  }
+
+  const sendBtn = $('message-send-btn');
+  if (sendBtn) {
+    sendBtn.addEventListener('click', () => handleSendMessage(api));
+  }
+
+  const refreshBtn = $('refresh-messages-btn');
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', () => loadMessages(api));
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Permissions module - Hide dashboard parts the current role cannot use
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { switchTab } from './tabs.js';
+import { hasRole, ROLE_LABELS } from '../../shared/roles.js';
+
+/**
+ * Read the roles declared on an element
+ * @param {HTMLElement} el - Element with a data-roles attribute
+ * @returns {string[]}
+ */
+function getDeclaredRoles(el) {
+  return el.dataset.roles.split(' ').filter(Boolean);
+}
+
+/**
+ * Show or hide every [data-roles] element for the given role
+ * and leave the active tab if it is no longer allowed
+ * @param {Object} admin - Current admin ({username, displayName, role})
+ */
+export function applyPermissions(admin) {
+  // Dynamically rendered controls use .superadmin-only / .treasurer-only (see AdminLayout)
+  document.body.dataset.adminRole = admin.role;
+
+  for (const el of document.querySelectorAll('[data-roles]')) {
+    el.classList.toggle('hidden', !hasRole(admin.role, getDeclaredRoles(el)));
+  }
+
+  const active = document.querySelector('.admin-sidebar-item.active');
+  if (active?.closest('.hidden')) {
+    const firstAllowed = [...document.querySelectorAll('.admin-sidebar-item[data-tab]')]
+      .find(btn => !btn.closest('.hidden'));
+    if (firstAllowed) {
+      switchTab(firstAllowed.dataset.tab);
+    }
+  }
+
+  const userInfo = $('admin-user-info');
+  if (userInfo) {
+    userInfo.innerHTML = `
+      <span class="admin-user-name">${escapeHtml(admin.displayName || admin.username)}</span>
+      <span class="badge badge-muted">${ROLE_LABELS[admin.role] || escapeHtml(admin.role)}</span>
+    `;
+  }
+}
@@ -3,14 +3,16 @@
  */
 /* eslint-env browser */
 
-import { $, escapeHtml, formatTeamWithRoom } from './utils.js';
+import { $, escapeHtml, formatTeamWithRoom, renderVeteranBadge } from './utils.js';
 import { toastSuccess, toastError } from './toast.js';
 import { openModal, closeModal } from './modals.js';
+import { fieldsForScope, formatAnswer, MEMBER_SCOPE, TEAM_SCOPE } from '../../shared/custom-fields.js';
 import {
   teamsData,
   setTeamsData,
   selectedMembers,
   pizzasConfig,
+  customFieldsConfig,
   allParticipantsData,
   setAllParticipantsData,
   allParticipantsSearchTerm,
@@ -18,25 +20,65 @@ import {
   allParticipantsSortKey,
   setAllParticipantsSortKey,
   allParticipantsSortDir,
-  setAllParticipantsSortDir
+  setAllParticipantsSortDir,
+  allParticipantsUnverifiedOnly,
+  setAllParticipantsUnverifiedOnly
 } from './state.js';
 
 // Element ID constants
 const EL_MEMBER_FORM_TEAM = 'member-form-team';
 const EL_MEMBER_FORM_FOOD = 'member-form-food';
+const EL_MEMBER_FORM_SCHOOL = 'member-form-school';
 const EL_CONFIRM_MODAL = 'confirm-modal';
 const MSG_EXPORT_ERROR = 'Erreur export: ';
 
 // Team sort state per team
 const teamSortState = {};
 
+/**
+ * Check if a member's email is unverified
+ * Undefined (migration 017 not applied) counts as unknown, not unverified
+ * @param {Object} member - Member row
+ * @returns {boolean}
+ */
+export function isEmailUnverified(member) {
+  return member.email_verified_at === null;
+}
+
+/**
+ * Render an email cell with its verification badge
+ * @param {Object} member - Member row
+ * @returns {string} HTML
+ */
+function renderEmailCell(member) {
+  const badge = isEmailUnverified(member)
+    ? ' <span class="badge badge-warning" title="Adresse e-mail non vérifiée">Non vérifié</span>'
+    : '';
+  return `<a href="mailto:${escapeHtml(member.email)}">${escapeHtml(member.email)}</a>${badge}`;
+}
+
+/**
+ * Render answers to custom questions, one "question : answer" per line
+ * @param {Array<Object>} fields - Questions of one scope
+ * @param {Object} answers - Answers keyed by question ID
+ * @returns {string} HTML, '-' without answers
+ */
+function renderCustomAnswers(fields, answers) {
+  const lines = fields
+    .map(field => ({ label: field.label, value: formatAnswer(field, answers?.[field.id]) }))
+    .filter(answer => answer.value)
+    .map(answer => `<strong>${escapeHtml(answer.label)}</strong> : ${escapeHtml(answer.value)}`);
+  return lines.length > 0 ? lines.join('<br>') : '-';
+}
+
 /**
  * Render registration statistics
  * @param {Object} stats - Stats object from API
  * @param {HTMLElement} statsGrid - Container element
  * @param {HTMLElement} foodStats - Food stats container
+ * @param {HTMLElement} schoolStats - School stats container
  */
-export function renderStats(stats, statsGrid, foodStats) {
+export function renderStats(stats, statsGrid, foodStats, schoolStats) {
   if (statsGrid) {
     statsGrid.innerHTML = `
       <div class="stat-card">
@@ -67,6 +109,20 @@ export function renderStats(stats, statsGrid, foodStats) {
         `)
         .join('');
   }
+
+  if (schoolStats) {
+    const schools = stats.schools || [];
+    $('school-stats-group')?.classList.toggle('hidden', schools.length === 0);
+    schoolStats.innerHTML = schools
+      .map(school => `
+        <div class="food-item">
+          <span class="count">${school.participants}${school.max_participants === null ? '' : ` / ${school.max_participants}`}</span>
+          ${escapeHtml(school.name)}
+          <span class="text-muted">(${school.checked_in} présent(s))</span>
+        </div>
+      `)
+      .join('');
+  }
 }
 
 /**
@@ -83,6 +139,8 @@ export function renderTeams(teams, container) {
     return;
   }
 
+  const teamFields = fieldsForScope(customFieldsConfig, TEAM_SCOPE);
+
   container.innerHTML = teams.map(team => `
     <div class="team-block" data-team-id="${team.id}">
       <div class="team-header" onclick="toggleTeam(${team.id})">
@@ -93,11 +151,12 @@ export function renderTeams(teams, container) {
       </div>
       <div class="team-body">
         ${team.description ? `<p><em>${escapeHtml(team.description)}</em></p>` : ''}
+        ${teamFields.length > 0 ? `<p class="team-custom-answers">${renderCustomAnswers(teamFields, team.custom_answers)}</p>` : ''}
         <div class="team-actions action-buttons">
-          <button type="button" class="icon-btn" onclick="editTeam(${team.id})" title="Modifier" aria-label="Modifier l'équipe">􀈊</button>
-          <button type="button" class="action-btn" onclick="exportTeam(${team.id}, '${escapeHtml(team.name)}')">Exporter CSV</button>
-          <button type="button" class="action-btn primary" onclick="exportTeamOfficial(${team.id}, '${escapeHtml(team.name)}')">Export Officiel</button>
-          ${team.name === 'Organisation' ? '' : `<button type="button" class="icon-btn danger" onclick="confirmDeleteTeam(${team.id}, '${escapeHtml(team.name)}')" title="Supprimer" aria-label="Supprimer l'équipe">􀈑</button>`}
+          <button type="button" class="icon-btn superadmin-only" onclick="editTeam(${team.id})" title="Modifier" aria-label="Modifier l'équipe">􀈊</button>
+          <button type="button" class="action-btn treasurer-only" onclick="exportTeam(${team.id}, '${escapeHtml(team.name)}')">Exporter CSV</button>
+          <button type="button" class="action-btn primary treasurer-only" onclick="exportTeamOfficial(${team.id}, '${escapeHtml(team.name)}')">Export Officiel</button>
+          ${team.name === 'Organisation' ? '' : `<button type="button" class="icon-btn danger superadmin-only" onclick="confirmDeleteTeam(${team.id}, '${escapeHtml(team.name)}')" title="Supprimer" aria-label="Supprimer l'équipe">􀈑</button>`}
         </div>
         ${renderMembersTable(team.members, team.id)}
       </div>
@@ -116,6 +175,7 @@ export function renderMembersTable(members, teamId) {
     return '<p>Aucun membre</p>';
   }
 
+  const memberFields = fieldsForScope(customFieldsConfig, MEMBER_SCOPE);
   const sortedMembers = [...members].sort((a, b) => {
     const nameA = `${a.first_name} ${a.last_name}`.toLowerCase();
     const nameB = `${b.first_name} ${b.last_name}`.toLowerCase();
@@ -137,6 +197,7 @@ export function renderMembersTable(members, teamId) {
           <th class="sortable-header" data-sort="bac" onclick="sortTeamMembers(${teamId}, 'bac', this)">Niveau <span class="sort-indicator sf-symbol">@sfs:arrow.up.arrow.down@</span></th>
           <th>Pizza</th>
           <th>Rôle</th>
+          ${memberFields.length > 0 ? '<th>Réponses</th>' : ''}
           <th class="actions-col">Actions</th>
         </tr>
       </thead>
@@ -146,15 +207,17 @@ export function renderMembersTable(members, teamId) {
             <td class="checkbox-col">
               <input type="checkbox" onchange="toggleMemberSelect(${m.id}, this.checked)" ${selectedMembers.has(m.id) ? 'checked' : ''}>
             </td>
-            <td>${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}</td>
-            <td><a href="mailto:${escapeHtml(m.email)}">${escapeHtml(m.email)}</a></td>
+            <td>${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}${renderVeteranBadge(m)}</td>
+            <td>${renderEmailCell(m)}</td>
             <td><span class="badge badge-bac">BAC+${m.bac_level}</span></td>
             <td>${escapeHtml(m.food_diet) || '-'}</td>
             <td>${m.is_leader ? '<span class="badge badge-leader">􀋀 Chef</span>' : ''}</td>
+            ${memberFields.length > 0 ? `<td>${renderCustomAnswers(memberFields, m.custom_answers)}</td>` : ''}
             <td class="actions-col">
               <div class="action-buttons">
-                <button type="button" class="icon-btn" onclick="editMember(${m.id}, ${teamId})" title="Modifier" aria-label="Modifier le membre">􀈊</button>
-                <button type="button" class="icon-btn danger" onclick="confirmDeleteMember(${m.id}, '${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}')" title="Supprimer" aria-label="Supprimer le membre">􀈑</button>
+                ${isEmailUnverified(m) ? `<button type="button" class="icon-btn superadmin-only" onclick="resendVerification(${m.id})" title="Renvoyer le lien de vérification" aria-label="Renvoyer le lien de vérification">@sfs:envelope@</button>` : ''}
+                <button type="button" class="icon-btn superadmin-only" onclick="editMember(${m.id}, ${teamId})" title="Modifier" aria-label="Modifier le membre">􀈊</button>
+                <button type="button" class="icon-btn danger superadmin-only" onclick="confirmDeleteMember(${m.id}, '${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}')" title="Supprimer" aria-label="Supprimer le membre">􀈑</button>
               </div>
             </td>
           </tr>
@@ -300,15 +363,15 @@ export function sortTeamMembers(teamId, sortKey, headerElement) {
       <td class="checkbox-col">
         <input type="checkbox" onchange="toggleMemberSelect(${m.id}, this.checked)" ${selectedMembers.has(m.id) ? 'checked' : ''}>
       </td>
-      <td>${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}</td>
+      <td>${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}${renderVeteranBadge(m)}</td>
       <td><a href="mailto:${escapeHtml(m.email)}">${escapeHtml(m.email)}</a></td>
       <td><span class="badge badge-bac">BAC+${m.bac_level}</span></td>
       <td>${escapeHtml(m.food_diet) || '-'}</td>
       <td>${m.is_leader ? '<span class="badge badge-leader">􀋀 Chef</span>' : ''}</td>
       <td class="actions-col">
         <div class="action-buttons">
-          <button type="button" class="icon-btn" onclick="editMember(${m.id}, ${teamId})" title="Modifier" aria-label="Modifier le membre">􀈊</button>
-          <button type="button" class="icon-btn danger" onclick="confirmDeleteMember(${m.id}, '${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}')" title="Supprimer" aria-label="Supprimer le membre">􀈑</button>
+          <button type="button" class="icon-btn superadmin-only" onclick="editMember(${m.id}, ${teamId})" title="Modifier" aria-label="Modifier le membre">􀈊</button>
+          <button type="button" class="icon-btn danger superadmin-only" onclick="confirmDeleteMember(${m.id}, '${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}')" title="Supprimer" aria-label="Supprimer le membre">􀈑</button>
         </div>
       </td>
     </tr>
@@ -328,6 +391,9 @@ export function editTeam(teamId) {
   $('team-form-name').value = team.name;
   $('team-form-desc').value = team.description || '';
   $('team-form-password').value = '';
+  $('team-form-email-leaders').checked = false;
+  $('team-form-generated').classList.add('hidden');
+  $('team-form-regenerate').classList.remove('hidden');
   openModal('team-modal');
 }
 
@@ -340,9 +406,36 @@ export function openAddTeamModal() {
   $('team-form-name').value = '';
   $('team-form-desc').value = '';
   $('team-form-password').value = '';
+  $('team-form-regenerate').classList.add('hidden');
   openModal('team-modal');
 }
 
+/**
+ * Replace the edited team's password with a random one and show it once
+ * @param {Function} api - API function
+ */
+export async function regenerateTeamPassword(api) {
+  const id = $('team-form-id').value;
+  if (!id) return;
+  if (!confirm('Remplacer le mot de passe de l\'équipe ? L\'ancien ne fonctionnera plus.')) return;
+
+  try {
+    const result = await api(`/admin/teams/${id}/password`, {
+      method: 'POST',
+      body: JSON.stringify({ emailLeaders: $('team-form-email-leaders').checked })
+    });
+
+    const generated = $('team-form-generated');
+    const sent = result.emailed > 0 ? `Envoyé à ${result.emailed} chef(s) d'équipe.` : 'Aucun e-mail envoyé.';
+    generated.innerHTML = `Nouveau mot de passe : <code>${escapeHtml(result.password)}</code><br><span class="text-muted">Il ne sera plus affiché. ${sent}</span>`;
+    generated.classList.remove('hidden');
+    toastSuccess('Mot de passe régénéré');
+  } catch (error) {
+    console.error('Error regenerating team password:', error);
+    toastError(error.message || 'Erreur lors de la régénération');
+  }
+}
+
 /**
  * Open edit member modal
  * @param {number} memberId - Member ID
@@ -361,6 +454,7 @@ export function editMember(memberId, teamId) {
   $('member-form-email').value = member.email;
   $('member-form-bac').value = member.bac_level;
   $(EL_MEMBER_FORM_FOOD).value = member.food_diet || '';
+  $(EL_MEMBER_FORM_SCHOOL).value = member.school_id || '';
   $('member-form-leader').checked = !!member.is_leader;
   openModal('member-modal');
 }
@@ -377,10 +471,26 @@ export function openAddMemberModal() {
   $('member-form-email').value = '';
   $('member-form-bac').value = '0';
   $(EL_MEMBER_FORM_FOOD).value = '';
+  $(EL_MEMBER_FORM_SCHOOL).value = '';
   $('member-form-leader').checked = false;
   openModal('member-modal');
 }
 
+/**
+ * Send a new verification link to a member
+ * @param {number} memberId - Member ID
+ * @param {Function} api - API function
+ */
+export async function resendVerification(memberId, api) {
+  try {
+    await api(`/admin/members/${memberId}/resend-verification`, { method: 'POST' });
+    toastSuccess('Lien de vérification renvoyé');
+  } catch (error) {
+    console.error('Error resending verification:', error);
+    toastError(error.message || 'Erreur lors de l\'envoi');
+  }
+}
+
 /**
  * Confirm delete team
  * @param {number} teamId - Team ID
@@ -389,7 +499,7 @@ export function openAddMemberModal() {
  */
 export function confirmDeleteTeam(teamId, teamName, onConfirm) {
   $('confirm-message').textContent =
-    `Êtes-vous sûr de vouloir supprimer l'équipe "${teamName}" et tous ses membres ?`;
+    `Supprimer l'équipe "${teamName}" et tous ses membres ? Elle restera restaurable depuis la corbeille.`;
   $('confirm-delete-btn').onclick = () => onConfirm(teamId);
   openModal(EL_CONFIRM_MODAL);
 }
@@ -457,18 +567,19 @@ export async function handleMemberSubmit(e, api, loadData) {
   const bacLevel = Number.parseInt($('member-form-bac').value);
   const foodDiet = $(EL_MEMBER_FORM_FOOD).value;
   const isLeader = $('member-form-leader').checked;
+  const schoolId = Number.parseInt($(EL_MEMBER_FORM_SCHOOL).value) || null;
 
   try {
     if (id) {
       await api(`/admin/members/${id}`, {
         method: 'PUT',
-        body: JSON.stringify({ teamId, firstName, lastName, email, bacLevel, foodDiet, isLeader })
+        body: JSON.stringify({ teamId, firstName, lastName, email, bacLevel, foodDiet, isLeader, schoolId })
       });
       toastSuccess('Membre mis à jour');
     } else {
       await api('/admin/members', {
         method: 'POST',
-        body: JSON.stringify({ teamId, firstName, lastName, email, bacLevel, foodDiet, isLeader })
+        body: JSON.stringify({ teamId, firstName, lastName, email, bacLevel, foodDiet, isLeader, schoolId })
       });
       toastSuccess('Membre ajouté');
     }
@@ -488,7 +599,7 @@ export async function handleMemberSubmit(e, api, loadData) {
 export async function deleteTeam(teamId, api, loadData) {
   try {
     await api(`/admin/teams/${teamId}`, { method: 'DELETE' });
-    toastSuccess('Équipe supprimée');
+    toastSuccess('Équipe placée dans la corbeille');
     closeModal(EL_CONFIRM_MODAL);
     loadData();
   } catch (error) {
@@ -506,7 +617,7 @@ export async function deleteTeam(teamId, api, loadData) {
 export async function deleteMember(memberId, api, loadData, updateDeleteButton) {
   try {
     await api(`/admin/members/${memberId}`, { method: 'DELETE' });
-    toastSuccess('Membre supprimé');
+    toastSuccess('Membre placé dans la corbeille');
     closeModal(EL_CONFIRM_MODAL);
     selectedMembers.delete(memberId);
     updateDeleteButton();
@@ -602,6 +713,10 @@ export function renderAllParticipants() {
 
   let filtered = [...allParticipantsData];
 
+  if (allParticipantsUnverifiedOnly) {
+    filtered = filtered.filter(m => isEmailUnverified(m));
+  }
+
   // Apply search filter
   if (allParticipantsSearchTerm) {
     const term = allParticipantsSearchTerm.toLowerCase();
@@ -654,8 +769,11 @@ export function renderAllParticipants() {
     return 0;
   });
 
+  const memberFields = fieldsForScope(customFieldsConfig, MEMBER_SCOPE);
+  $('all-participants-answers-header')?.classList.toggle('hidden', memberFields.length === 0);
+
   if (filtered.length === 0) {
-    tbody.innerHTML = `<tr><td colspan="6" class="text-center text-muted">Aucun participant trouvé</td></tr>`;
+    tbody.innerHTML = `<tr><td colspan="${memberFields.length > 0 ? 7 : 6}" class="text-center text-muted">Aucun participant trouvé</td></tr>`;
     return;
   }
 
@@ -663,12 +781,13 @@ export function renderAllParticipants() {
     const teamInfo = formatTeamWithRoom(m.team_name, m.team_room, 40);
     return `
     <tr class="member-row" data-member-id="${m.id}">
-      <td><strong>${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}</strong></td>
-      <td><a href="mailto:${escapeHtml(m.email)}">${escapeHtml(m.email)}</a></td>
+      <td><strong>${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}</strong>${renderVeteranBadge(m)}</td>
+      <td>${renderEmailCell(m)}</td>
       <td class="team-col" title="${escapeHtml(teamInfo.full)}">${escapeHtml(teamInfo.truncated)}</td>
       <td>${escapeHtml(m.food_diet) || '-'}</td>
       <td><span class="badge badge-bac">BAC+${m.bac_level || '?'}</span></td>
       <td>${m.is_leader ? '<span class="badge badge-leader">􀋀 Chef</span>' : '<span class="badge badge-muted">Membre</span>'}</td>
+      ${memberFields.length > 0 ? `<td>${renderCustomAnswers(memberFields, m.custom_answers)}</td>` : ''}
     </tr>
   `;}).join('');
 }
@@ -709,6 +828,14 @@ export function initAllParticipants() {
       renderAllParticipants();
     });
   }
+
+  const verifiedFilter = $('all-participants-verified');
+  if (verifiedFilter) {
+    verifiedFilter.addEventListener('change', e => {
+      setAllParticipantsUnverifiedOnly(e.target.value === 'unverified');
+      renderAllParticipants();
+    });
+  }
 }
 
 // ============================================================
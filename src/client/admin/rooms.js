@@ -19,6 +19,8 @@ let roomsSearchTerm = '';
 let roomsSortKey = 'name';
 let roomsSortDir = 'asc';
 let availableRooms = [];
+let managedRooms = [];
+let autoAssignPlan = null;
 let pizzaTypes = {};
 
 /**
@@ -30,6 +32,8 @@ export async function loadRoomsData(api) {
     const data = await api('/admin/rooms', { method: 'GET' });
     setRoomsData(data.teams || []);
     availableRooms = data.rooms || [];
+    managedRooms = data.managed_rooms || [];
+    renderRoomCatalog();
     renderRoomsStats(data.stats);
     renderPizzaByRoom(data.pizza_by_room || []);
     renderRooms();
@@ -67,6 +71,7 @@ export function renderPizzaByRoom(pizzaByRoom) {
         <span>${escapeHtml(room.room)}</span>
         <span class="badge badge-muted">${room.totals.total} inscrits</span>
         <span class="badge badge-success">${room.totals.present} présents</span>
+        <button type="button" class="btn btn-secondary btn-sm" onclick="handlePrintRoster('${encodeURIComponent(room.room).replaceAll("'", '%27')}')">Imprimer la liste</button>
       </h4>
       <div class="stats-grid">
         ${room.pizzas.map(p => `
@@ -86,6 +91,120 @@ export function renderPizzaByRoom(pizzaByRoom) {
   `).join('');
 }
 
+/**
+ * Render the managed rooms with their occupancy
+ */
+export function renderRoomCatalog() {
+  const tbody = $('room-catalog-tbody');
+  $('room-auto-group')?.classList.toggle('hidden', managedRooms.length === 0);
+  for (const col of document.querySelectorAll('.room-preference-col')) {
+    col.classList.toggle('hidden', managedRooms.length === 0);
+  }
+  if (!tbody) return;
+
+  if (managedRooms.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Aucune salle : les noms de salle sont libres</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = managedRooms.map(room => {
+    const isOver = room.memberCount > room.capacity;
+    const isFull = room.memberCount >= room.capacity;
+    return `
+      <tr class="member-row">
+        <td>
+          <strong>${escapeHtml(room.name)}</strong>
+          ${room.isAccessible ? ' <span class="badge badge-success" title="Accessible en fauteuil roulant">Accessible</span>' : ''}
+        </td>
+        <td>${room.floor ? escapeHtml(room.floor) : '<span class="text-muted">-</span>'}</td>
+        <td>
+          ${room.memberCount} / ${room.capacity}
+          <span class="text-muted">(${room.teamCount} équipe(s))</span>
+          ${isOver ? ' <span class="badge badge-danger">Dépassée</span>' : isFull ? ' <span class="badge badge-warning">Complète</span>' : ''}
+        </td>
+        <td>${room.equipment.map(e => `<span class="badge badge-muted">${escapeHtml(e)}</span>`).join(' ')}</td>
+        <td class="actions-col">
+          <div class="action-buttons">
+            <button type="button" class="btn btn-secondary btn-sm" onclick="handleRoomCatalogEdit(${room.id})">Modifier</button>
+            <button type="button" class="btn btn-danger btn-sm" onclick="handleRoomCatalogDelete(${room.id})" ${room.teamCount > 0 ? 'disabled title="Des équipes sont assignées"' : ''}>Supprimer</button>
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the room cell of a team: free text, or a list of managed rooms with their seats left
+ * @param {Object} team - Team row
+ * @returns {string} HTML
+ */
+function renderRoomCell(team) {
+  if (managedRooms.length === 0) {
+    const roomOptions = availableRooms
+      .filter(r => r !== team.room)
+      .map(r => `<option value="${escapeHtml(r)}">${escapeHtml(r)}</option>`)
+      .join('');
+
+    return `
+      <div class="room-input-wrapper">
+        <input type="text"
+               class="room-input"
+               value="${escapeHtml(team.room || '')}"
+               placeholder="Salle..."
+               list="room-datalist-${team.id}"
+               data-team-id="${team.id}"
+               onchange="handleRoomChange(${team.id}, this.value)"
+               style="width: 120px; padding: 4px 8px; font-size: var(--text-sm); border: 1px solid var(--border-default); border-radius: var(--radius);">
+        <datalist id="room-datalist-${team.id}">
+          ${roomOptions}
+        </datalist>
+      </div>
+    `;
+  }
+
+  const options = managedRooms.map(room => {
+    const isCurrent = room.name === team.room;
+    const seatsLeft = room.capacity - room.memberCount;
+    const fits = isCurrent || seatsLeft >= (team.member_count || 0);
+    return `<option value="${escapeHtml(room.name)}" ${isCurrent ? 'selected' : ''} ${fits ? '' : 'disabled'}>
+      ${escapeHtml(room.name)} (${Math.max(0, seatsLeft)} place(s))
+    </option>`;
+  }).join('');
+  const isUnknown = team.room && !managedRooms.some(r => r.name === team.room);
+
+  return `
+    <select class="room-input" onchange="handleRoomChange(${team.id}, this.value)" aria-label="Salle de l'équipe">
+      <option value="" ${team.room ? '' : 'selected'}>-- Aucune --</option>
+      ${isUnknown ? `<option value="${escapeHtml(team.room)}" selected disabled>${escapeHtml(team.room)} (hors liste)</option>` : ''}
+      ${options}
+    </select>
+  `;
+}
+
+/**
+ * Render the preference cell of a team (managed rooms only)
+ * @param {Object} team - Team row
+ * @returns {string} HTML
+ */
+function renderPreferenceCell(team) {
+  const options = managedRooms.map(room =>
+    `<option value="${escapeHtml(room.name)}" ${room.name === team.room_preference ? 'selected' : ''}>${escapeHtml(room.name)}</option>`
+  ).join('');
+
+  return `
+    <td>
+      <select class="room-input" onchange="handleRoomPreference(${team.id}, { roomPreference: this.value || null })" aria-label="Salle préférée">
+        <option value="">-- Aucune --</option>
+        ${options}
+      </select>
+      <label class="checkbox-label" title="A besoin d'une salle accessible">
+        <input type="checkbox" ${team.needs_accessibility ? 'checked' : ''} onchange="handleRoomPreference(${team.id}, { needsAccessibility: this.checked })"> Accessible
+      </label>
+    </td>
+  `;
+}
+
 /**
  * Render rooms statistics
  * @param {Object} stats - Stats from API
@@ -184,36 +303,19 @@ export function renderRooms() {
   });
 
   if (filtered.length === 0) {
-    tbody.innerHTML = `<tr><td colspan="4" class="text-center text-muted">Aucune équipe trouvée</td></tr>`;
+    tbody.innerHTML = `<tr><td colspan="${managedRooms.length > 0 ? 5 : 4}" class="text-center text-muted">Aucune équipe trouvée</td></tr>`;
     return;
   }
 
   tbody.innerHTML = filtered.map(t => {
     const hasRoom = t.room && t.room !== '';
-    const roomOptions = availableRooms
-      .filter(r => r !== t.room)
-      .map(r => `<option value="${escapeHtml(r)}">${escapeHtml(r)}</option>`)
-      .join('');
 
     return `
       <tr class="member-row ${hasRoom ? 'checked-in' : ''}" data-team-id="${t.id}">
         <td class="team-col" title="${escapeHtml(t.name)}">${escapeHtml(truncateText(t.name, 40))}</td>
         <td>${t.member_count || 0}</td>
-        <td>
-          <div class="room-input-wrapper">
-            <input type="text"
-                   class="room-input"
-                   value="${escapeHtml(t.room || '')}"
-                   placeholder="Salle..."
-                   list="room-datalist-${t.id}"
-                   data-team-id="${t.id}"
-                   onchange="handleRoomChange(${t.id}, this.value)"
-                   style="width: 120px; padding: 4px 8px; font-size: var(--text-sm); border: 1px solid var(--border-default); border-radius: var(--radius);">
-            <datalist id="room-datalist-${t.id}">
-              ${roomOptions}
-            </datalist>
-          </div>
-        </td>
+        <td>${renderRoomCell(t)}</td>
+        ${managedRooms.length > 0 ? renderPreferenceCell(t) : ''}
         <td class="actions-col">
           <div class="action-buttons">
             ${hasRoom
@@ -243,7 +345,8 @@ export async function handleRoomChange(teamId, room, api, loadData) {
     toastSuccess(room ? `Équipe assignée à ${room}` : 'Salle retirée');
   } catch (error) {
     console.error('Error setting room:', error);
-    toastError('Erreur lors de l\'assignation');
+    toastError(error.message || 'Erreur lors de l\'assignation');
+    renderRooms();
   }
 }
 
@@ -267,6 +370,215 @@ export async function handleClearRoom(teamId, api, loadData) {
   }
 }
 
+/**
+ * Save a team's preferred room or accessibility need
+ * @param {number} teamId - Team ID
+ * @param {{roomPreference?: string|null, needsAccessibility?: boolean}} preferences
+ * @param {Function} api - API function
+ */
+export async function handleRoomPreference(teamId, preferences, api) {
+  try {
+    await api(`/admin/rooms/${teamId}/preference`, {
+      method: 'PUT',
+      body: JSON.stringify(preferences)
+    });
+    const team = roomsData.find(t => t.id === teamId);
+    if (team && preferences.roomPreference !== undefined) team.room_preference = preferences.roomPreference;
+    if (team && preferences.needsAccessibility !== undefined) team.needs_accessibility = preferences.needsAccessibility ? 1 : 0;
+    toastSuccess('Préférence enregistrée');
+  } catch (error) {
+    console.error('Error setting room preference:', error);
+    toastError(error.message || 'Erreur lors de l\'enregistrement');
+  }
+}
+
+/**
+ * Rename a managed room or change its capacity
+ * @param {number} roomId - Room ID
+ * @param {Function} api - API function
+ */
+export async function handleRoomCatalogEdit(roomId, api) {
+  const room = managedRooms.find(r => r.id === roomId);
+  if (!room) return;
+
+  const name = prompt('Nom de la salle :', room.name);
+  if (name === null) return;
+  const capacity = prompt('Capacité (places) :', room.capacity);
+  if (capacity === null) return;
+  const equipment = prompt('Équipements (séparés par des virgules) :', room.equipment.join(', '));
+  if (equipment === null) return;
+
+  try {
+    await api(`/admin/rooms/catalog/${roomId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name: name.trim(), capacity, equipment })
+    });
+    toastSuccess('Salle mise à jour');
+    await loadRoomsData(api);
+  } catch (error) {
+    console.error('Error updating room:', error);
+    toastError(error.message || 'Erreur lors de la mise à jour');
+  }
+}
+
+/**
+ * Delete a managed room without teams
+ * @param {number} roomId - Room ID
+ * @param {Function} api - API function
+ */
+export async function handleRoomCatalogDelete(roomId, api) {
+  const room = managedRooms.find(r => r.id === roomId);
+  if (!confirm(`Supprimer la salle ${room?.name || ''} ?`)) return;
+
+  try {
+    await api(`/admin/rooms/catalog/${roomId}`, { method: 'DELETE' });
+    toastSuccess('Salle supprimée');
+    await loadRoomsData(api);
+  } catch (error) {
+    console.error('Error deleting room:', error);
+    toastError(error.message || 'Erreur lors de la suppression');
+  }
+}
+
+/**
+ * Add a managed room from the form
+ * @param {Event} e - Submit event
+ * @param {Function} api - API function
+ */
+async function handleRoomCatalogCreate(e, api) {
+  e.preventDefault();
+  const form = e.target;
+
+  try {
+    await api('/admin/rooms/catalog', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: form.name.value.trim(),
+        capacity: form.capacity.value,
+        floor: form.floor.value.trim(),
+        equipment: form.equipment.value,
+        isAccessible: form.isAccessible.checked,
+        sortOrder: managedRooms.length
+      })
+    });
+    toastSuccess('Salle ajoutée');
+    form.reset();
+    await loadRoomsData(api);
+  } catch (error) {
+    console.error('Error creating room:', error);
+    toastError(error.message || 'Erreur lors de la création');
+  }
+}
+
+/**
+ * Render the automatic assignment plan
+ */
+function renderAutoAssignPlan() {
+  const container = $('room-auto-preview');
+  const applyBtn = $('room-auto-apply-btn');
+  if (!container) return;
+
+  if (applyBtn) applyBtn.disabled = !autoAssignPlan || autoAssignPlan.assignments.length === 0;
+  if (!autoAssignPlan) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const { assignments, unassigned, rooms } = autoAssignPlan;
+  const moves = assignments.length === 0
+    ? '<p class="text-muted">Aucun changement : toutes les équipes sont déjà placées.</p>'
+    : `<ul>${assignments.map(a => `
+        <li>
+          <strong>${escapeHtml(a.teamName)}</strong> (${a.members})
+          ${a.from ? `${escapeHtml(a.from)} → ` : ''}${a.room ? escapeHtml(a.room) : '<em>aucune salle</em>'}
+          ${a.preferred ? '<span class="badge badge-success">Préférence</span>' : ''}
+        </li>
+      `).join('')}</ul>`;
+  const left = unassigned.length === 0 ? '' : `
+    <p><strong>Équipes sans place :</strong></p>
+    <ul>${unassigned.map(u => `
+      <li>${escapeHtml(u.teamName)} (${u.members}) : ${u.reason === 'no_accessible_room' ? 'aucune salle accessible assez grande' : 'aucune salle assez grande'}</li>
+    `).join('')}</ul>`;
+  const occupancy = rooms.map(r => `
+    <div class="stat-card stat-card-sm">
+      <span class="stat-value">${r.seated} / ${r.capacity}</span>
+      <span class="stat-label">${escapeHtml(r.name)}</span>
+    </div>
+  `).join('');
+
+  container.innerHTML = `${moves}${left}<div class="stats-grid">${occupancy}</div>`;
+}
+
+/**
+ * Preview or apply the automatic assignment
+ * @param {boolean} apply - Write the assignments
+ * @param {Function} api - API function
+ * @param {Function} loadData - Reload callback
+ */
+async function handleAutoAssign(apply, api, loadData) {
+  const keepExisting = $('room-auto-keep')?.checked ?? true;
+
+  try {
+    const result = await api('/admin/rooms/auto-assign', {
+      method: 'POST',
+      body: JSON.stringify({ keepExisting, apply })
+    });
+    if (apply) {
+      autoAssignPlan = null;
+      toastSuccess(`${result.updated} équipe(s) déplacée(s)`);
+      await loadData();
+    } else {
+      autoAssignPlan = result;
+    }
+    renderAutoAssignPlan();
+  } catch (error) {
+    console.error('Error assigning rooms:', error);
+    toastError(error.message || 'Erreur lors de la répartition');
+  }
+}
+
+/**
+ * Open a printable page of the API in a new tab
+ * The tab is opened before the request so popup blockers let it through
+ * @param {string} endpoint - API endpoint returning HTML
+ * @param {Function} api - API function
+ */
+async function openPrintPage(endpoint, api) {
+  const win = window.open('', '_blank');
+  try {
+    const response = await api(endpoint);
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    if (win) {
+      win.location.href = url;
+    } else {
+      window.open(url, '_blank');
+    }
+    setTimeout(() => URL.revokeObjectURL(url), 60_000);
+  } catch (error) {
+    win?.close();
+    console.error('Error opening printable page:', error);
+    toastError('Erreur lors de la génération : ' + error.message);
+  }
+}
+
+/**
+ * Print the roster of a room
+ * @param {string} encodedRoom - URL-encoded room name
+ * @param {Function} api - API function
+ */
+export function handlePrintRoster(encodedRoom, api) {
+  return openPrintPage(`/admin/rooms/${encodedRoom}/roster`, api);
+}
+
+/**
+ * Print the door signs of every room
+ * @param {Function} api - API function
+ */
+export function handlePrintDoorSigns(api) {
+  return openPrintPage('/admin/rooms/signs', api);
+}
+
 /**
  * Update rooms badge
  * @param {number} unassigned - Unassigned count
@@ -279,8 +591,9 @@ export function updateRoomsBadge(unassigned) {
 /**
  * Initialize rooms module
  * @param {Function} api - API function
+ * @param {Function} loadData - Reload callback
  */
-export function initRooms(api) {
+export function initRooms(api, loadData) {
   // Search
   const searchInput = $('rooms-search');
   if (searchInput) {
@@ -321,6 +634,18 @@ export function initRooms(api) {
     refreshBtn.addEventListener('click', () => loadRoomsData(api));
   }
 
+  // Printable door signs
+  $('print-door-signs-btn')?.addEventListener('click', () => handlePrintDoorSigns(api));
+
+  // Managed rooms and automatic assignment
+  $('room-catalog-form')?.addEventListener('submit', (e) => handleRoomCatalogCreate(e, api));
+  $('room-auto-preview-btn')?.addEventListener('click', () => handleAutoAssign(false, api, loadData));
+  $('room-auto-apply-btn')?.addEventListener('click', () => handleAutoAssign(true, api, loadData));
+  $('room-auto-keep')?.addEventListener('change', () => {
+    autoAssignPlan = null;
+    renderAutoAssignPlan();
+  });
+
   updateRoomsFilterPills();
 }
 
@@ -0,0 +1,224 @@
+/**
+ * Ticket scanner module - QR code check-in from the camera or manual entry
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastSuccess } from './toast.js';
+import { attendanceData } from './state.js';
+
+// Frames are sampled rather than decoded continuously to spare mobile batteries
+const SCAN_INTERVAL_MS = 250;
+// The same QR code stays in front of the camera for a while after a scan
+const SAME_TICKET_COOLDOWN_MS = 3000;
+
+const ERROR_MESSAGES = {
+  'Invalid ticket': 'Billet invalide',
+  'Member not found': 'Participant introuvable',
+  'Member already checked in': 'Déjà enregistré(e)',
+  'Ticket already used': 'Billet déjà utilisé'
+};
+
+let detector = null;
+let stream = null;
+let scanTimer = null;
+let scanning = false;
+let lastToken = null;
+let lastTokenAt = 0;
+
+/**
+ * Check whether camera scanning is available in this browser
+ * @returns {boolean}
+ */
+export function isScannerSupported() {
+  return 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+}
+
+/**
+ * Find the member a ticket refers to, for display only (the server does the verification)
+ * @param {string} token - Ticket token
+ * @returns {Object|null}
+ */
+function memberFromToken(token) {
+  const match = /^NDI-(\d+)-/.exec(token);
+  if (!match) return null;
+  const memberId = Number.parseInt(match[1], 10);
+  return attendanceData.find(m => m.id === memberId) || null;
+}
+
+/**
+ * Translate a scan error from the API
+ * @param {string} message - API error message
+ * @returns {string}
+ */
+function scanErrorMessage(message) {
+  if (message?.startsWith('Ticket is for')) return 'Billet d\'une autre édition';
+  return ERROR_MESSAGES[message] || message || 'Erreur lors du scan';
+}
+
+/**
+ * Render the outcome of the last scan
+ * @param {'success'|'warning'|'error'} status
+ * @param {string} title
+ * @param {Object|null} member
+ */
+function renderScanResult(status, title, member) {
+  const container = $('scanner-result');
+  if (!container) return;
+
+  let details = '';
+  if (member) {
+    const teamName = member.team_name ? ` - ${escapeHtml(member.team_name)}` : '';
+    details = `<div class="scanner-result-member">${escapeHtml(member.first_name)} ${escapeHtml(member.last_name)}${teamName}</div>`;
+  }
+
+  let actions = '';
+  if (status === 'success' && member && member.payment_status !== 'paid') {
+    actions = `<button type="button" class="btn btn-primary btn-sm" onclick="handleCheckIn(${member.id})">Encaisser</button>`;
+  }
+
+  container.className = `scanner-result scanner-result-${status}`;
+  container.innerHTML = `
+    <div class="scanner-result-title">${escapeHtml(title)}</div>
+    ${details}
+    ${actions}
+  `;
+}
+
+/**
+ * Submit a ticket to the API
+ * @param {string} token - Ticket token
+ * @param {Function} api - API function
+ * @param {Function} loadData - Reload callback
+ */
+export async function submitTicket(token, api, loadData) {
+  const value = token.trim();
+  if (!value) return;
+
+  try {
+    const data = await api('/admin/attendance/scan', {
+      method: 'POST',
+      body: JSON.stringify({ token: value })
+    });
+    const { member } = data;
+    const paid = member.payment_status === 'paid';
+    renderScanResult('success', paid ? 'Présence validée (payé en ligne)' : 'Présence validée - paiement à régler', member);
+    toastSuccess(`${member.first_name} ${member.last_name} enregistré(e)`);
+    await loadData();
+  } catch (error) {
+    const message = scanErrorMessage(error.message);
+    const isDuplicate = error.message === 'Member already checked in' || error.message === 'Ticket already used';
+    renderScanResult(isDuplicate ? 'warning' : 'error', message, memberFromToken(value));
+  }
+}
+
+/**
+ * Decode the current video frame
+ * @param {Function} api - API function
+ * @param {Function} loadData - Reload callback
+ */
+async function scanFrame(api, loadData) {
+  const video = $('scanner-video');
+  if (scanning || !video || video.readyState < 2) return;
+
+  scanning = true;
+  try {
+    const codes = await detector.detect(video);
+    const token = codes[0]?.rawValue;
+    const now = Date.now();
+    if (token && (token !== lastToken || now - lastTokenAt > SAME_TICKET_COOLDOWN_MS)) {
+      lastToken = token;
+      lastTokenAt = now;
+      await submitTicket(token, api, loadData);
+    }
+  } catch (error) {
+    console.error('Error scanning frame:', error);
+  } finally {
+    scanning = false;
+  }
+}
+
+/**
+ * Start the camera scanner
+ * @param {Function} api - API function
+ * @param {Function} loadData - Reload callback
+ */
+export async function startScanner(api, loadData) {
+  const video = $('scanner-video');
+  if (!video || stream) return;
+
+  try {
+    detector = detector || new window.BarcodeDetector({ formats: ['qr_code'] });
+    stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    video.srcObject = stream;
+    video.classList.remove('hidden');
+    await video.play();
+    scanTimer = setInterval(() => scanFrame(api, loadData), SCAN_INTERVAL_MS);
+    $('scanner-toggle-btn').textContent = 'Arrêter la caméra';
+  } catch (error) {
+    console.error('Error starting scanner:', error);
+    stopScanner();
+    renderScanResult('error', 'Caméra indisponible - utilisez la saisie manuelle', null);
+  }
+}
+
+/**
+ * Stop the camera scanner
+ */
+export function stopScanner() {
+  clearInterval(scanTimer);
+  scanTimer = null;
+
+  if (stream) {
+    for (const track of stream.getTracks()) track.stop();
+    stream = null;
+  }
+
+  const video = $('scanner-video');
+  if (video) {
+    video.srcObject = null;
+    video.classList.add('hidden');
+  }
+
+  const toggleBtn = $('scanner-toggle-btn');
+  if (toggleBtn) toggleBtn.textContent = 'Démarrer la caméra';
+}
+
+/**
+ * Initialize scanner module
+ * @param {Function} api - API function
+ * @param {Function} loadData - Reload callback
+ */
+export function initScanner(api, loadData) {
+  const toggleBtn = $('scanner-toggle-btn');
+  if (toggleBtn) {
+    if (isScannerSupported()) {
+      toggleBtn.addEventListener('click', () => {
+        if (stream) {
+          stopScanner();
+        } else {
+          startScanner(api, loadData);
+        }
+      });
+    } else {
+      toggleBtn.classList.add('hidden');
+      $('scanner-unsupported')?.classList.remove('hidden');
+    }
+  }
+
+  const manualForm = $('scanner-manual-form');
+  if (manualForm) {
+    manualForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const input = $('scanner-manual-input');
+      await submitTicket(input.value, api, loadData);
+      input.value = '';
+      input.focus();
+    });
+  }
+
+  // Release the camera when the page is hidden
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) stopScanner();
+  });
+}
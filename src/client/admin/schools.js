@@ -0,0 +1,157 @@
+/**
+ * Schools module - Schools and partner sites of the selected event
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastSuccess, toastError } from './toast.js';
+import {
+  schoolsData,
+  setSchoolsData
+} from './state.js';
+
+/**
+ * Load schools
+ * @param {Function} api - API function
+ */
+export async function loadSchools(api) {
+  try {
+    const data = await api('/admin/schools', { method: 'GET' });
+    setSchoolsData(data.schools || []);
+    renderSchools();
+    renderSchoolSelect();
+  } catch (error) {
+    console.error('Error loading schools:', error);
+    toastError('Erreur lors du chargement des établissements');
+  }
+}
+
+/**
+ * Render schools table
+ */
+export function renderSchools() {
+  const tbody = $('schools-tbody');
+  if (!tbody) return;
+
+  if (schoolsData.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Aucun établissement : le nom de l\'école par défaut est utilisé</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = schoolsData.map(school => {
+    const isFull = school.maxParticipants !== null && school.memberCount >= school.maxParticipants;
+    return `
+      <tr class="member-row">
+        <td><strong>${escapeHtml(school.name)}</strong></td>
+        <td>${school.memberCount}${isFull ? ' <span class="badge badge-warning">Complet</span>' : ''}</td>
+        <td>${school.checkedInCount}</td>
+        <td>${school.maxParticipants ?? '<span class="text-muted">Illimitée</span>'}</td>
+        <td class="actions-col">
+          <div class="action-buttons">
+            <button type="button" class="btn btn-secondary btn-sm" onclick="handleSchoolEdit(${school.id})">Modifier</button>
+            <button type="button" class="btn btn-danger btn-sm" onclick="handleSchoolDelete(${school.id})" ${school.memberCount > 0 ? 'disabled title="Des participants sont inscrits"' : ''}>Supprimer</button>
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Fill the school dropdown of the member modal
+ * Hidden while the event has no schools
+ */
+export function renderSchoolSelect() {
+  const select = $('member-form-school');
+  const group = $('member-form-school-group');
+  if (!select || !group) return;
+
+  group.classList.toggle('hidden', schoolsData.length === 0);
+  select.innerHTML = '<option value="">Aucun</option>' + schoolsData.map(school =>
+    `<option value="${school.id}">${escapeHtml(school.name)}</option>`
+  ).join('');
+}
+
+/**
+ * Rename a school or change its capacity
+ * @param {number} schoolId - School ID
+ * @param {Function} api - API function
+ */
+export async function handleSchoolEdit(schoolId, api) {
+  const school = schoolsData.find(s => s.id === schoolId);
+  if (!school) return;
+
+  const name = prompt('Nom de l\'établissement :', school.name);
+  if (name === null) return;
+  const capacity = prompt('Capacité (vide = illimitée) :', school.maxParticipants ?? '');
+  if (capacity === null) return;
+
+  try {
+    await api(`/admin/schools/${schoolId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name: name.trim(), maxParticipants: capacity.trim() || null })
+    });
+    toastSuccess('Établissement mis à jour');
+    await loadSchools(api);
+  } catch (error) {
+    console.error('Error updating school:', error);
+    toastError(error.message || 'Erreur lors de la mise à jour');
+  }
+}
+
+/**
+ * Delete a school without participants
+ * @param {number} schoolId - School ID
+ * @param {Function} api - API function
+ */
+export async function handleSchoolDelete(schoolId, api) {
+  const school = schoolsData.find(s => s.id === schoolId);
+  if (!confirm(`Supprimer ${school?.name || 'cet établissement'} ?`)) return;
+
+  try {
+    await api(`/admin/schools/${schoolId}`, { method: 'DELETE' });
+    toastSuccess('Établissement supprimé');
+    await loadSchools(api);
+  } catch (error) {
+    console.error('Error deleting school:', error);
+    toastError(error.message || 'Erreur lors de la suppression');
+  }
+}
+
+/**
+ * Create a school from the form
+ * @param {Event} e - Submit event
+ * @param {Function} api - API function
+ */
+async function handleSchoolCreate(e, api) {
+  e.preventDefault();
+  const form = e.target;
+
+  try {
+    await api('/admin/schools', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: form.name.value.trim(),
+        maxParticipants: form.maxParticipants.value || null,
+        sortOrder: schoolsData.length
+      })
+    });
+    toastSuccess('Établissement ajouté');
+    form.reset();
+    await loadSchools(api);
+  } catch (error) {
+    console.error('Error creating school:', error);
+    toastError(error.message || 'Erreur lors de la création');
+  }
+}
+
+/**
+ * Initialize schools module
+ * @param {Function} api - API function
+ */
+export function initSchools(api) {
+  const form = $('school-form');
+  if (form) {
+    form.addEventListener('submit', (e) => handleSchoolCreate(e, api));
+  }
+}
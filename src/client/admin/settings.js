@@ -6,6 +6,7 @@
 import { $, escapeHtml } from './utils.js';
 import { toastSuccess, toastError } from './toast.js';
 import { settingsState, pricingSettings } from './state.js';
+import { FIELD_TYPE_LABELS, FIELD_SCOPE_LABELS, MAX_FIELDS } from '../../shared/custom-fields.js';
 
 /**
  * Load settings from API
@@ -21,6 +22,7 @@ export async function loadSettings(api) {
     settingsState.schoolName = data.settings.school_name || "Université d'Evry";
     settingsState.pizzas = data.settings.pizzas || [];
     settingsState.bacLevels = data.settings.bac_levels || [];
+    settingsState.customFields = data.settings.custom_fields || [];
     settingsState.isDirty = false;
 
     // On-site pricing settings
@@ -38,6 +40,7 @@ export async function loadSettings(api) {
 
     // GDPR settings
     settingsState.gdprRetentionYears = Number.parseInt(data.settings.gdpr_retention_years, 10) || 3;
+    settingsState.unverifiedRetentionDays = Number.parseInt(data.settings.unverified_retention_days, 10) || null;
 
     renderSettings();
   } catch (error) {
@@ -94,8 +97,11 @@ export function renderSettings() {
   // GDPR settings
   const gdprRetentionInput = $('setting-gdpr-retention');
   if (gdprRetentionInput) gdprRetentionInput.value = settingsState.gdprRetentionYears || 3;
+  const unverifiedRetentionInput = $('setting-unverified-retention');
+  if (unverifiedRetentionInput) unverifiedRetentionInput.value = settingsState.unverifiedRetentionDays ?? '';
 
   renderPizzasList();
+  renderCustomFieldsList();
   updateSaveButton();
 }
 
@@ -134,6 +140,43 @@ export function renderPizzasList() {
   }
 }
 
+/**
+ * Render custom registration questions list
+ */
+export function renderCustomFieldsList() {
+  const container = $('custom-fields-list');
+  if (!container) return;
+
+  if (settingsState.customFields.length === 0) {
+    container.innerHTML = '<p class="text-muted">Aucune question personnalisée</p>';
+    return;
+  }
+
+  container.innerHTML = settingsState.customFields.map((field, index) => `
+    <div class="pizza-item" data-index="${index}">
+      <div class="pizza-item-info">
+        <span class="pizza-item-id">${escapeHtml(field.id)}</span>
+        <span class="pizza-item-name">${escapeHtml(field.label)}${field.required ? ' *' : ''}</span>
+        <span class="badge badge-muted">${FIELD_TYPE_LABELS[field.type] || escapeHtml(field.type)}</span>
+        <span class="badge badge-muted">${FIELD_SCOPE_LABELS[field.scope] || escapeHtml(field.scope)}</span>
+        ${field.options?.length ? `<span class="pizza-item-desc">${escapeHtml(field.options.join(', '))}</span>` : ''}
+      </div>
+      <div class="pizza-item-actions action-buttons">
+        <button type="button" class="icon-btn sm move-custom-field-btn" data-index="${index}" title="Monter" aria-label="Monter la question" ${index === 0 ? 'disabled' : ''}><span class="sf-symbol">@sfs:chevron.up@</span></button>
+        <button type="button" class="icon-btn sm danger delete-custom-field-btn" data-index="${index}" title="Supprimer" aria-label="Supprimer la question">􀈑</button>
+      </div>
+    </div>
+  `).join('');
+
+  for (const btn of container.querySelectorAll('.move-custom-field-btn')) {
+    btn.addEventListener('click', () => moveCustomFieldUp(Number.parseInt(btn.dataset.index, 10)));
+  }
+
+  for (const btn of container.querySelectorAll('.delete-custom-field-btn')) {
+    btn.addEventListener('click', () => deleteCustomField(Number.parseInt(btn.dataset.index, 10)));
+  }
+}
+
 /**
  * Mark settings as dirty
  */
@@ -227,6 +270,87 @@ export function deletePizza(index) {
   renderPizzasList();
 }
 
+/**
+ * Add custom registration question from form
+ */
+export function addCustomFieldFromForm() {
+  const idInput = $('new-custom-field-id');
+  const labelInput = $('new-custom-field-label');
+  const optionsInput = $('new-custom-field-options');
+  const requiredInput = $('new-custom-field-required');
+
+  if (!idInput || !labelInput) return;
+
+  const id = idInput.value.trim().toLowerCase().replaceAll(/\s+/g, '_');
+  const label = labelInput.value.trim();
+  const type = $('new-custom-field-type')?.value || 'text';
+  const scope = $('new-custom-field-scope')?.value || 'member';
+
+  if (!/^[a-z0-9_]{1,32}$/.test(id) || !label) {
+    toastError('ID (lettres, chiffres, _) et question requis');
+    return;
+  }
+
+  if (settingsState.customFields.some(f => f.id === id)) {
+    toastError('Une question avec cet ID existe déjà');
+    return;
+  }
+
+  if (settingsState.customFields.length >= MAX_FIELDS) {
+    toastError(`${MAX_FIELDS} questions au maximum`);
+    return;
+  }
+
+  const field = { id, label, type, required: requiredInput?.checked || false, scope };
+  if (type === 'select') {
+    field.options = (optionsInput?.value || '').split(',').map(o => o.trim()).filter(Boolean);
+    if (field.options.length === 0) {
+      toastError('Indiquez au moins un choix');
+      return;
+    }
+  }
+
+  settingsState.customFields.push(field);
+  markDirty();
+  renderCustomFieldsList();
+
+  idInput.value = '';
+  labelInput.value = '';
+  if (optionsInput) optionsInput.value = '';
+  if (requiredInput) requiredInput.checked = false;
+
+  toastSuccess('Question ajoutée (non sauvegardée)');
+}
+
+/**
+ * Move custom registration question up in the form
+ * @param {number} index - Question index
+ */
+export function moveCustomFieldUp(index) {
+  if (index <= 0 || index >= settingsState.customFields.length) return;
+
+  const [field] = settingsState.customFields.splice(index, 1);
+  settingsState.customFields.splice(index - 1, 0, field);
+  markDirty();
+  renderCustomFieldsList();
+}
+
+/**
+ * Delete custom registration question
+ * Answers already given stay stored but are no longer shown
+ * @param {number} index - Question index
+ */
+export function deleteCustomField(index) {
+  const field = settingsState.customFields[index];
+  if (!field) return;
+
+  if (!confirm(`Supprimer la question "${field.label}" ? Les réponses déjà données ne seront plus affichées ni exportées.`)) return;
+
+  settingsState.customFields.splice(index, 1);
+  markDirty();
+  renderCustomFieldsList();
+}
+
 /**
  * Save settings to API
  * @param {Function} api - API function
@@ -254,6 +378,7 @@ export async function saveSettings(api) {
 
     // GDPR settings
     const gdprRetentionYears = Number.parseInt($('setting-gdpr-retention')?.value, 10) || 3;
+    const unverifiedRetentionDays = Number.parseInt($('setting-unverified-retention')?.value, 10) || null;
 
     // Validation
     if (Number.isNaN(maxTeamSize) || maxTeamSize < 1 || maxTeamSize > 100) {
@@ -292,6 +417,10 @@ export async function saveSettings(api) {
       toastError('Jours avant deadline invalide (1-30)');
       return;
     }
+    if (unverifiedRetentionDays !== null && (unverifiedRetentionDays < 7 || unverifiedRetentionDays > 365)) {
+      toastError('Délai des inscriptions non confirmées invalide (7-365)');
+      return;
+    }
 
     const saveBtn = $('save-settings-btn');
     if (saveBtn) {
@@ -307,6 +436,7 @@ export async function saveSettings(api) {
         min_team_size: minTeamSize,
         school_name: schoolName,
         pizzas: settingsState.pizzas,
+        custom_fields: settingsState.customFields,
         price_asso_member: priceAssoMember,
         price_non_member: priceNonMember,
         price_late: priceLate,
@@ -316,7 +446,8 @@ export async function saveSettings(api) {
         price_tier2: priceTier2,
         tier1_cutoff_days: tier1CutoffDays,
         registration_deadline: registrationDeadline,
-        gdpr_retention_years: gdprRetentionYears
+        gdpr_retention_years: gdprRetentionYears,
+        unverified_retention_days: unverifiedRetentionDays
       })
     });
 
@@ -326,6 +457,7 @@ export async function saveSettings(api) {
     settingsState.maxTotalParticipants = maxTotalParticipants;
     settingsState.minTeamSize = minTeamSize;
     settingsState.schoolName = schoolName;
+    settingsState.unverifiedRetentionDays = unverifiedRetentionDays;
 
     pricingSettings.priceAssoMember = priceAssoMember;
     pricingSettings.priceNonMember = priceNonMember;
@@ -378,4 +510,12 @@ export function initSettings(api) {
       addPizzaFromForm();
     });
   }
+
+  const addCustomFieldForm = $('add-custom-field-form');
+  if (addCustomFieldForm) {
+    addCustomFieldForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      addCustomFieldFromForm();
+    });
+  }
 }
@@ -6,6 +6,7 @@
 export let teamsData = [];
 export let selectedMembers = new Set();
 export let pizzasConfig = [];
+export let customFieldsConfig = [];
 
 // Settings state
 export const settingsState = {
@@ -15,8 +16,10 @@ export const settingsState = {
   schoolName: "Université d'Evry",
   pizzas: [],
   bacLevels: [],
+  customFields: [],
   isDirty: false,
-  gdprRetentionYears: 3
+  gdprRetentionYears: 3,
+  unverifiedRetentionDays: null
 };
 
 // Pricing settings
@@ -45,6 +48,7 @@ export let allParticipantsData = [];
 export let allParticipantsSearchTerm = '';
 export let allParticipantsSortKey = 'name';
 export let allParticipantsSortDir = 'asc';
+export let allParticipantsUnverifiedOnly = false;
 
 // Attendance state
 export let attendanceData = [];
@@ -62,6 +66,40 @@ export let pizzaSearchTerm = '';
 export let roomsData = [];
 export let roomFilter = 'all';
 
+// Current admin (from /admin/me) and accounts
+export let currentAdmin = null;
+export let accountsData = [];
+
+// Clients locked out after failed attempts
+export let lockoutsData = { available: true, lockouts: [] };
+
+// Events of the deployment (switcher and management)
+export let eventsData = [];
+
+// Schools of the selected event
+export let schoolsData = [];
+
+// Team self-service change log
+export let teamChangesData = [];
+
+// Trash (soft-deleted teams and members)
+export let trashData = { teams: [], members: [] };
+
+// Admin audit log
+export let auditData = { entries: [], total: 0, actors: [], actions: [] };
+
+// Email outbox and templates
+export let emailsData = { messages: [], total: 0, counts: { pending: 0, sent: 0, failed: 0 }, templates: [] };
+
+// Bulk messages
+export let messagesData = { campaigns: [], rooms: [], mergeFields: [] };
+
+// GDPR access and erasure requests log
+export let gdprRequestsData = { available: true, requests: [] };
+
+// Waitlist state
+export let waitlistData = { waiting: [], history: [], stats: {} };
+
 /**
  * State setters (for modules that need to update state)
  */
@@ -101,6 +139,10 @@ export function setAllParticipantsSortDir(dir) {
   allParticipantsSortDir = dir;
 }
 
+export function setAllParticipantsUnverifiedOnly(value) {
+  allParticipantsUnverifiedOnly = value;
+}
+
 export function setAttendanceData(data) {
   attendanceData = data;
 }
@@ -129,10 +171,62 @@ export function setRoomFilter(filter) {
   roomFilter = filter;
 }
 
+export function setCurrentAdmin(admin) {
+  currentAdmin = admin;
+}
+
+export function setAccountsData(data) {
+  accountsData = data;
+}
+
+export function setLockoutsData(data) {
+  lockoutsData = data;
+}
+
+export function setEventsData(data) {
+  eventsData = data;
+}
+
+export function setSchoolsData(data) {
+  schoolsData = data;
+}
+
+export function setTeamChangesData(data) {
+  teamChangesData = data;
+}
+
+export function setTrashData(data) {
+  trashData = data;
+}
+
+export function setAuditData(data) {
+  auditData = data;
+}
+
+export function setEmailsData(data) {
+  emailsData = data;
+}
+
+export function setMessagesData(data) {
+  messagesData = data;
+}
+
+export function setGdprRequestsData(data) {
+  gdprRequestsData = data;
+}
+
+export function setWaitlistData(data) {
+  waitlistData = data;
+}
+
 export function setPizzasConfig(config) {
   pizzasConfig = config;
 }
 
+export function setCustomFieldsConfig(config) {
+  customFieldsConfig = config;
+}
+
 /**
  * Clear all state (for logout)
  */
@@ -141,6 +235,7 @@ export function clearState() {
   // eslint-disable-next-line sonarjs/no-empty-collection -- Set is populated by consuming code
   selectedMembers.clear();
   pizzasConfig = [];
+  customFieldsConfig = [];
   csvData = null;
   parsedRows = [];
   archivesData = [];
@@ -149,4 +244,16 @@ export function clearState() {
   attendanceData = [];
   pizzaData = [];
   roomsData = [];
+  waitlistData = { waiting: [], history: [], stats: {} };
+  teamChangesData = [];
+  auditData = { entries: [], total: 0, actors: [], actions: [] };
+  emailsData = { messages: [], total: 0, counts: { pending: 0, sent: 0, failed: 0 }, templates: [] };
+  messagesData = { campaigns: [], rooms: [], mergeFields: [] };
+  trashData = { teams: [], members: [] };
+  gdprRequestsData = { available: true, requests: [] };
+  currentAdmin = null;
+  accountsData = [];
+  lockoutsData = { available: true, lockouts: [] };
+  eventsData = [];
+  schoolsData = [];
 }
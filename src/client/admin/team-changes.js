@@ -0,0 +1,102 @@
+/**
+ * Team changes module - Log of edits made by team leaders
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastError } from './toast.js';
+import {
+  teamChangesData,
+  setTeamChangesData
+} from './state.js';
+
+const ACTION_LABELS = {
+  member_updated: 'Membre modifié',
+  member_removed: 'Membre retiré',
+  description_updated: 'Description modifiée',
+  password_changed: 'Mot de passe changé',
+  password_reset: 'Mot de passe réinitialisé par e-mail',
+  invite_created: 'Lien d\'invitation créé',
+  invite_revoked: 'Lien d\'invitation révoqué'
+};
+
+const FIELD_LABELS = {
+  firstName: 'Prénom',
+  lastName: 'Nom',
+  email: 'Email',
+  bacLevel: 'BAC',
+  isLeader: 'Chef',
+  foodDiet: 'Pizza'
+};
+
+/**
+ * Load team changes
+ * @param {Function} api - API function
+ */
+export async function loadTeamChanges(api) {
+  try {
+    const data = await api('/admin/team-changes', { method: 'GET' });
+    setTeamChangesData(data.changes || []);
+    renderTeamChanges();
+  } catch (error) {
+    console.error('Error loading team changes:', error);
+    toastError('Erreur lors du chargement des modifications');
+  }
+}
+
+/**
+ * Format the details of a change
+ * @param {Object} change - Change entry
+ * @returns {string}
+ */
+function formatChangeDetails(change) {
+  const details = change.details;
+  if (!details) return '-';
+
+  if (change.action === 'member_removed' && details.member) {
+    const m = details.member;
+    return `${escapeHtml(m.firstName)} ${escapeHtml(m.lastName)} (${escapeHtml(m.email)})`;
+  }
+
+  if (change.action === 'description_updated') {
+    return `${escapeHtml(details.before) || '<em>vide</em>'} → ${escapeHtml(details.after) || '<em>vide</em>'}`;
+  }
+
+  if (change.action === 'invite_created') {
+    return `Lien n°${details.inviteId}, ${details.maxUses} utilisation(s), expire le ${escapeHtml(details.expiresAt)}`;
+  }
+
+  if (change.action === 'invite_revoked') {
+    return `Lien n°${details.inviteId}, utilisé ${details.useCount} fois`;
+  }
+
+  if (details.after) {
+    return Object.keys(details.after).map(key =>
+      `${FIELD_LABELS[key] || escapeHtml(key)}: ${escapeHtml(String(details.before[key]))} → ${escapeHtml(String(details.after[key]))}`
+    ).join('<br>');
+  }
+
+  return '-';
+}
+
+/**
+ * Render team changes table
+ */
+export function renderTeamChanges() {
+  const tbody = $('team-changes-tbody');
+  if (!tbody) return;
+
+  if (teamChangesData.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">Aucune modification</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = teamChangesData.map(change => `
+    <tr>
+      <td>${new Date(change.created_at).toLocaleString('fr-FR')}</td>
+      <td>${escapeHtml(change.team_name)}</td>
+      <td><span class="badge badge-muted">${ACTION_LABELS[change.action] || escapeHtml(change.action)}</span></td>
+      <td>${formatChangeDetails(change)}</td>
+    </tr>
+  `).join('');
+}
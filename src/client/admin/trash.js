@@ -0,0 +1,102 @@
+/**
+ * Trash module - Restore soft-deleted teams and members
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastSuccess, toastError } from './toast.js';
+import {
+  trashData,
+  setTrashData
+} from './state.js';
+
+/**
+ * Load trashed teams and members
+ * @param {Function} api - API function
+ */
+export async function loadTrash(api) {
+  try {
+    const data = await api('/admin/trash', { method: 'GET' });
+    setTrashData({ teams: data.teams || [], members: data.members || [] });
+    renderTrash();
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    toastError('Erreur lors du chargement de la corbeille');
+  }
+}
+
+/**
+ * Render trash tables
+ */
+export function renderTrash() {
+  const count = $('trash-count');
+  if (count) {
+    const total = trashData.teams.length + trashData.members.length;
+    count.textContent = total;
+    count.classList.toggle('hidden', total === 0);
+  }
+
+  const teamsTbody = $('trash-teams-tbody');
+  if (teamsTbody) {
+    teamsTbody.innerHTML = trashData.teams.length === 0
+      ? '<tr><td colspan="4" class="text-center text-muted">Aucune équipe supprimée</td></tr>'
+      : trashData.teams.map(team => `
+        <tr>
+          <td><strong>${escapeHtml(team.name)}</strong></td>
+          <td>${team.member_count}</td>
+          <td>${new Date(team.deleted_at).toLocaleString('fr-FR')}</td>
+          <td class="actions-col">
+            <button type="button" class="btn btn-secondary btn-sm" onclick="handleRestoreTeam(${team.id})">Restaurer</button>
+          </td>
+        </tr>
+      `).join('');
+  }
+
+  const membersTbody = $('trash-members-tbody');
+  if (membersTbody) {
+    membersTbody.innerHTML = trashData.members.length === 0
+      ? '<tr><td colspan="4" class="text-center text-muted">Aucun participant supprimé</td></tr>'
+      : trashData.members.map(m => `
+        <tr>
+          <td><strong>${escapeHtml(m.first_name)} ${escapeHtml(m.last_name)}</strong><br><span class="text-muted">${escapeHtml(m.email)}</span></td>
+          <td>${escapeHtml(m.team_name)}${m.team_deleted ? ' <span class="badge badge-warning">supprimée</span>' : ''}</td>
+          <td>${new Date(m.deleted_at).toLocaleString('fr-FR')}</td>
+          <td class="actions-col">
+            <button type="button" class="btn btn-secondary btn-sm" onclick="handleRestoreMember(${m.id})" ${m.team_deleted ? 'disabled title="Restaurez d\'abord l\'équipe"' : ''}>Restaurer</button>
+          </td>
+        </tr>
+      `).join('');
+  }
+}
+
+/**
+ * Restore a trashed team
+ * @param {number} teamId - Team ID
+ * @param {Function} api - API function
+ * @param {Function} loadData - Callback to reload data
+ */
+export async function handleRestoreTeam(teamId, api, loadData) {
+  try {
+    const result = await api(`/admin/trash/teams/${teamId}/restore`, { method: 'POST' });
+    toastSuccess(`Équipe restaurée (${result.restoredMembers} membre(s))`);
+    loadData();
+  } catch (error) {
+    toastError('Erreur: ' + error.message);
+  }
+}
+
+/**
+ * Restore a trashed member
+ * @param {number} memberId - Member ID
+ * @param {Function} api - API function
+ * @param {Function} loadData - Callback to reload data
+ */
+export async function handleRestoreMember(memberId, api, loadData) {
+  try {
+    await api(`/admin/trash/members/${memberId}/restore`, { method: 'POST' });
+    toastSuccess('Participant restauré');
+    loadData();
+  } catch (error) {
+    toastError('Erreur: ' + error.message);
+  }
+}
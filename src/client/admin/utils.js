@@ -50,6 +50,17 @@ export function formatTeamWithRoom(teamName, teamRoom, maxLength = 40) {
   return { truncated, full: fullText };
 }
 
+/**
+ * Badge for participants found in earlier archives
+ * @param {{past_years?: number[]}} member - Member with past_years from the API
+ * @returns {string} HTML, empty for first-timers
+ */
+export function renderVeteranBadge(member) {
+  const years = member.past_years || [];
+  if (years.length === 0) return '';
+  return ` <span class="badge badge-info" title="Éditions précédentes : ${years.join(', ')}">Vétéran ×${years.length}</span>`;
+}
+
 /**
  * Format currency in EUR
  * @param {number} cents - Amount in cents
@@ -0,0 +1,194 @@
+/**
+ * Waitlist module - Queue of registrations received at capacity
+ */
+/* eslint-env browser */
+
+import { $, escapeHtml } from './utils.js';
+import { toastSuccess, toastError, toastInfo } from './toast.js';
+import {
+  waitlistData,
+  setWaitlistData
+} from './state.js';
+
+const STATUS_LABELS = {
+  promoted: { label: 'Inscrit', badge: 'badge-success' },
+  failed: { label: 'Échec', badge: 'badge-muted' },
+  cancelled: { label: 'Annulé', badge: 'badge-muted' }
+};
+
+/**
+ * Load waitlist data
+ * @param {Function} api - API function
+ */
+export async function loadWaitlistData(api) {
+  try {
+    const data = await api('/admin/waitlist', { method: 'GET' });
+    setWaitlistData(data);
+    renderWaitlistStats(data.stats);
+    renderWaitlist();
+    renderWaitlistHistory();
+    updateWaitlistBadge(data.stats?.waiting_entries || 0);
+  } catch (error) {
+    console.error('Error loading waitlist:', error);
+    toastError('Erreur lors du chargement de la liste d\'attente');
+  }
+}
+
+/**
+ * Render waitlist statistics
+ * @param {Object} stats - Stats from API
+ */
+export function renderWaitlistStats(stats) {
+  const grid = $('waitlist-stats-grid');
+  if (!grid) return;
+
+  grid.innerHTML = `
+    <div class="stat-card">
+      <span class="stat-value">${stats?.waiting_entries || 0}</span>
+      <span class="stat-label">Demandes en attente</span>
+    </div>
+    <div class="stat-card">
+      <span class="stat-value">${stats?.waiting_participants || 0}</span>
+      <span class="stat-label">Participants en attente</span>
+    </div>
+    <div class="stat-card">
+      <span class="stat-value">${stats?.available_spots || 0}</span>
+      <span class="stat-label">Places libres</span>
+    </div>
+  `;
+}
+
+/**
+ * Format members of an entry
+ * @param {Array} members - Entry members
+ * @returns {string}
+ */
+function formatEntryMembers(members) {
+  return members.map(m => `${escapeHtml(m.firstName)} ${escapeHtml(m.lastName)}`).join(', ');
+}
+
+/**
+ * Render waiting entries table
+ */
+export function renderWaitlist() {
+  const tbody = $('waitlist-tbody');
+  if (!tbody) return;
+
+  const waiting = waitlistData.waiting || [];
+  if (waiting.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">Liste d\'attente vide</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = waiting.map(entry => `
+    <tr class="member-row" data-entry-id="${entry.id}">
+      <td><strong>${entry.position}</strong></td>
+      <td>${formatEntryMembers(entry.members)}</td>
+      <td><a href="mailto:${escapeHtml(entry.email)}">${escapeHtml(entry.email)}</a></td>
+      <td>
+        ${escapeHtml(entry.team_name)}
+        ${entry.create_new_team ? '<span class="badge badge-muted">Nouvelle</span>' : ''}
+      </td>
+      <td>${new Date(entry.created_at).toLocaleString('fr-FR')}</td>
+      <td class="actions-col">
+        <div class="action-buttons">
+          <button type="button" class="icon-btn danger" onclick="handleCancelWaitlist(${entry.id})" title="Retirer de la liste" aria-label="Retirer de la liste"><span class="sf-symbol">@sfs:xmark@</span></button>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render promotion history table
+ */
+export function renderWaitlistHistory() {
+  const tbody = $('waitlist-history-tbody');
+  if (!tbody) return;
+
+  const history = waitlistData.history || [];
+  if (history.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Aucun historique</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = history.map(entry => {
+    const status = STATUS_LABELS[entry.status] || { label: entry.status, badge: 'badge-muted' };
+    return `
+      <tr class="member-row ${entry.status === 'promoted' ? 'checked-in' : ''}">
+        <td>${formatEntryMembers(entry.members)}</td>
+        <td>${escapeHtml(entry.team_name)}</td>
+        <td><span class="badge ${status.badge}">${status.label}</span></td>
+        <td>${escapeHtml(entry.status_reason) || '-'}</td>
+        <td>${entry.processed_at ? new Date(entry.processed_at).toLocaleString('fr-FR') : '-'}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Cancel a waiting entry
+ * @param {number} entryId - Entry ID
+ * @param {Function} api - API function
+ */
+export async function handleCancelWaitlist(entryId, api) {
+  if (!confirm('Retirer cette demande de la liste d\'attente ?')) return;
+
+  try {
+    await api(`/admin/waitlist/${entryId}`, { method: 'DELETE' });
+    toastSuccess('Demande retirée');
+    await loadWaitlistData(api);
+  } catch (error) {
+    console.error('Error cancelling waitlist entry:', error);
+    toastError('Erreur lors du retrait');
+  }
+}
+
+/**
+ * Promote waiting entries into free spots
+ * @param {Function} api - API function
+ * @param {Function} loadData - Reload callback
+ */
+export async function handlePromoteWaitlist(api, loadData) {
+  try {
+    const result = await api('/admin/waitlist/promote', { method: 'POST' });
+    if (result.promoted === 0 && result.failed === 0) {
+      toastInfo('Aucune place disponible pour la prochaine demande');
+    } else {
+      toastSuccess(`${result.promoted} demande(s) inscrite(s), ${result.failed} en échec`);
+    }
+    await loadData();
+  } catch (error) {
+    console.error('Error promoting waitlist:', error);
+    toastError('Erreur lors de la promotion');
+  }
+}
+
+/**
+ * Update waitlist badge
+ * @param {number} waiting - Waiting entries count
+ */
+export function updateWaitlistBadge(waiting) {
+  const badge = $('waitlist-badge');
+  if (badge) {
+    badge.textContent = waiting || 0;
+    badge.classList.toggle('hidden', !waiting);
+  }
+}
+
+/**
+ * Initialize waitlist module
+ * @param {Function} api - API function
+ * @param {Function} loadData - Reload callback
+ */
+export function initWaitlist(api, loadData) {
+  const refreshBtn = $('refresh-waitlist-btn');
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', () => loadWaitlistData(api));
+  }
+
+  const promoteBtn = $('promote-waitlist-btn');
+  if (promoteBtn) {
+    promoteBtn.addEventListener('click', () => handlePromoteWaitlist(api, loadData));
+  }
+}
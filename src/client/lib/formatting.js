@@ -155,6 +155,13 @@ export function getPaymentStatusDisplay(member) {
       icon: '💳'
     };
   }
+  if (member.payment_status === 'refunded') {
+    return {
+      label: 'Remboursé',
+      badgeClass: 'badge-muted',
+      icon: '↩️'
+    };
+  }
   if (member.payment_status === 'delayed') {
     return {
       label: 'À payer',
@@ -3,6 +3,9 @@
  * Pure functions that can be tested without DOM
  */
 
+// Shared with the server, which selects the recipients of messages with them
+export { filterMembersByStatus, filterTeamsByRoom } from '../../shared/member-filters.js';
+
 /**
  * Create a sort comparator function
  * @param {string} key - Key to sort by
@@ -186,76 +189,6 @@ export function filterMembers(members, searchTerm) {
   });
 }
 
-/**
- * Filter members by status
- * @param {object[]} members - Array of member objects
- * @param {'all'|'present'|'absent'|'paid'|'unpaid'} filter - Filter type
- * @returns {object[]} Filtered array
- */
-export function filterMembersByStatus(members, filter) {
-  if (!Array.isArray(members)) return [];
-  if (filter === 'all') return members;
-
-  switch (filter) {
-    case 'present': {
-      return members.filter(m => m.checked_in === 1);
-    }
-
-    case 'absent': {
-      return members.filter(m => m.checked_in === 0 || m.checked_in === null);
-    }
-
-    case 'paid': {
-      return members.filter(m =>
-        m.payment_status === 'paid' || m.payment_tier
-      );
-    }
-
-    case 'unpaid': {
-      return members.filter(m =>
-        !m.payment_status || m.payment_status === 'unpaid' || m.payment_status === 'delayed'
-      );
-    }
-
-    case 'pending': {
-      return members.filter(m => m.payment_status === 'pending');
-    }
-
-    case 'delayed': {
-      return members.filter(m => m.payment_status === 'delayed');
-    }
-
-    default: {
-      return members;
-    }
-  }
-}
-
-/**
- * Filter teams by room assignment status
- * @param {object[]} teams - Array of team objects
- * @param {'all'|'assigned'|'unassigned'} filter - Filter type
- * @returns {object[]} Filtered array
- */
-export function filterTeamsByRoom(teams, filter) {
-  if (!Array.isArray(teams)) return [];
-  if (filter === 'all') return teams;
-
-  switch (filter) {
-    case 'assigned': {
-      return teams.filter(t => t.room && t.room !== '');
-    }
-
-    case 'unassigned': {
-      return teams.filter(t => !t.room || t.room === '');
-    }
-
-    default: {
-      return teams;
-    }
-  }
-}
-
 /**
  * Toggle sort direction
  * @param {'asc'|'desc'} current - Current direction
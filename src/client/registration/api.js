@@ -5,13 +5,16 @@
 /* eslint-env browser */
 
 let apiBase = '';
+let eventSlug = '';
 
 /**
  * Initialize API with base URL
  * @param {string} baseUrl - Base URL from Astro
+ * @param {string} [event] - Event slug from the page URL, empty for the default event
  */
-export function initApi(baseUrl) {
+export function initApi(baseUrl, event = '') {
   apiBase = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
+  eventSlug = event;
 }
 
 /**
@@ -22,7 +25,10 @@ export function initApi(baseUrl) {
  */
 async function api(endpoint, options = {}) {
   const response = await fetch(`${apiBase}/api${endpoint}`, {
-    headers: { 'Content-Type': 'application/json' },
+    headers: {
+      'Content-Type': 'application/json',
+      ...(eventSlug ? { 'X-Event': eventSlug } : {})
+    },
     ...options
   });
   const data = await response.json();
@@ -82,6 +88,103 @@ export async function submitRegistration(data) {
   });
 }
 
+/**
+ * Ask for a prefill link, emailed if the address is in the archives
+ * @param {string} email - Email address
+ * @returns {Promise<object>}
+ */
+export async function requestReturningLink(email) {
+  return api('/returning', {
+    method: 'POST',
+    body: JSON.stringify({ email })
+  });
+}
+
+/**
+ * Load a past participant's details from an emailed link
+ * @param {string} token - Token from the link
+ * @returns {Promise<object>}
+ */
+export async function loadReturningProfile(token) {
+  const { profile } = await api(`/returning/${encodeURIComponent(token)}`);
+  return profile;
+}
+
+/**
+ * Ask for a password reset link, emailed to the team leaders
+ * @param {number} teamId - Team ID
+ * @returns {Promise<object>}
+ */
+export async function requestTeamPasswordReset(teamId) {
+  return api(`/teams/${teamId}/password-reset`, { method: 'POST' });
+}
+
+/**
+ * Set a new team password from an emailed reset link
+ * @param {string} token - Token from the link
+ * @param {string} password - New password
+ * @returns {Promise<object>}
+ */
+export async function resetTeamPassword(token, password) {
+  return api('/teams/reset-password', {
+    method: 'POST',
+    body: JSON.stringify({ token, password })
+  });
+}
+
+/**
+ * Create an invitation link for a team
+ * @param {number} teamId - Team ID
+ * @param {string} password - Team password
+ * @param {{label?: string, maxUses: number, expiresInHours: number}} options
+ * @returns {Promise<object>} The invite, with its link
+ */
+export async function createTeamInvite(teamId, password, options) {
+  const { invite } = await api(`/teams/${teamId}/invites`, {
+    method: 'POST',
+    body: JSON.stringify({ password, ...options })
+  });
+  return invite;
+}
+
+/**
+ * List a team's invitation links and who used them
+ * @param {number} teamId - Team ID
+ * @param {string} password - Team password
+ * @returns {Promise<Array>}
+ */
+export async function listTeamInvites(teamId, password) {
+  const { invites } = await api(`/teams/${teamId}/invites/list`, {
+    method: 'POST',
+    body: JSON.stringify({ password })
+  });
+  return invites;
+}
+
+/**
+ * Revoke an invitation link
+ * @param {number} teamId - Team ID
+ * @param {number} inviteId - Invite ID
+ * @param {string} password - Team password
+ * @returns {Promise<object>}
+ */
+export async function revokeTeamInvite(teamId, inviteId, password) {
+  return api(`/teams/${teamId}/invites/${inviteId}`, {
+    method: 'DELETE',
+    body: JSON.stringify({ password })
+  });
+}
+
+/**
+ * Load the team behind an invitation link
+ * @param {string} token - Token from the link
+ * @returns {Promise<object>}
+ */
+export async function loadInvite(token) {
+  const { invite } = await api(`/invites/${encodeURIComponent(token)}`);
+  return invite;
+}
+
 /**
  * View team members (with password)
  * @param {number} teamId - Team ID
@@ -94,3 +197,72 @@ export async function viewTeamMembers(teamId, password) {
     body: JSON.stringify({ password })
   });
 }
+
+/**
+ * Join the waitlist (when registrations are full)
+ * @param {object} data - Registration data
+ * @returns {Promise<object>}
+ */
+export async function submitWaitlist(data) {
+  return api('/waitlist', {
+    method: 'POST',
+    body: JSON.stringify(data)
+  });
+}
+
+/**
+ * Edit a team member (with team password)
+ * @param {number} teamId - Team ID
+ * @param {number} memberId - Member ID
+ * @param {string} password - Team password
+ * @param {object} updates - Member fields to change
+ * @returns {Promise<object>}
+ */
+export async function updateTeamMember(teamId, memberId, password, updates) {
+  return api(`/teams/${teamId}/members/${memberId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ ...updates, password })
+  });
+}
+
+/**
+ * Remove a member from a team (with team password)
+ * @param {number} teamId - Team ID
+ * @param {number} memberId - Member ID
+ * @param {string} password - Team password
+ * @returns {Promise<object>}
+ */
+export async function removeTeamMember(teamId, memberId, password) {
+  return api(`/teams/${teamId}/members/${memberId}`, {
+    method: 'DELETE',
+    body: JSON.stringify({ password })
+  });
+}
+
+/**
+ * Change the team description (with team password)
+ * @param {number} teamId - Team ID
+ * @param {string} password - Team password
+ * @param {string} description - New description
+ * @returns {Promise<object>}
+ */
+export async function updateTeamDescription(teamId, password, description) {
+  return api(`/teams/${teamId}/description`, {
+    method: 'PUT',
+    body: JSON.stringify({ password, description })
+  });
+}
+
+/**
+ * Change the team password
+ * @param {number} teamId - Team ID
+ * @param {string} password - Current team password
+ * @param {string} newPassword - New team password
+ * @returns {Promise<object>}
+ */
+export async function rotateTeamPassword(teamId, password, newPassword) {
+  return api(`/teams/${teamId}/password`, {
+    method: 'PUT',
+    body: JSON.stringify({ password, newPassword })
+  });
+}
@@ -34,9 +34,20 @@ export const elements = {
 
   // Member form elements
   get memberBacLevel() { return document.getElementById('member-bac-level'); },
+  get memberSchoolGroup() { return document.getElementById('member-school-group'); },
+  get memberSchool() { return document.getElementById('member-school'); },
+  get memberCustomFields() { return document.getElementById('member-custom-fields'); },
+  get teamCustomFields() { return document.getElementById('team-custom-fields'); },
   get pizzaOptions() { return document.getElementById('pizza-options'); },
   get leaderToggle() { return document.getElementById('leader-toggle-container'); },
   get memberIsLeader() { return document.getElementById('member-is-leader'); },
+  get memberFirstName() { return document.getElementById('member-first-name'); },
+  get memberLastName() { return document.getElementById('member-last-name'); },
+  get memberEmail() { return document.getElementById('member-email'); },
+
+  // Returning participant elements
+  get returningText() { return document.getElementById('returning-text'); },
+  get returningBtn() { return document.getElementById('returning-btn'); },
 
   // Payment elements
   get paymentSection() { return document.getElementById('payment-section'); },
@@ -58,5 +69,34 @@ export const elements = {
   get teamViewClose() { return document.getElementById('team-view-close'); },
   get teamDetailName() { return document.getElementById('team-detail-name'); },
   get teamDetailDesc() { return document.getElementById('team-detail-desc'); },
-  get teamMembersList() { return document.getElementById('team-members-list'); }
+  get teamMembersList() { return document.getElementById('team-members-list'); },
+
+  // Team edit mode elements
+  get teamEditToggle() { return document.getElementById('team-edit-toggle'); },
+  get teamEditError() { return document.getElementById('team-edit-error'); },
+  get teamEditPanel() { return document.getElementById('team-edit-panel'); },
+  get teamEditDescription() { return document.getElementById('team-edit-description'); },
+  get teamEditDescriptionSave() { return document.getElementById('team-edit-description-save'); },
+  get teamEditNewPassword() { return document.getElementById('team-edit-new-password'); },
+  get teamEditPasswordSave() { return document.getElementById('team-edit-password-save'); },
+
+  // Password reset elements
+  get joinForgotBtn() { return document.getElementById('join-forgot-btn'); },
+  get teamViewForgot() { return document.getElementById('team-view-forgot'); },
+  get passwordResetModal() { return document.getElementById('password-reset-modal'); },
+  get passwordResetNew() { return document.getElementById('password-reset-new'); },
+  get passwordResetConfirm() { return document.getElementById('password-reset-confirm'); },
+  get passwordResetError() { return document.getElementById('password-reset-error'); },
+  get passwordResetSubmit() { return document.getElementById('password-reset-submit'); },
+  get passwordResetCancel() { return document.getElementById('password-reset-cancel'); },
+
+  // Invitation link elements
+  get inviteBanner() { return document.getElementById('invite-banner'); },
+  get teamSelectGroup() { return document.getElementById('team-select-group'); },
+  get joinPasswordGroup() { return document.getElementById('join-password-group'); },
+  get teamInviteLabel() { return document.getElementById('team-invite-label'); },
+  get teamInviteUses() { return document.getElementById('team-invite-uses'); },
+  get teamInviteExpiry() { return document.getElementById('team-invite-expiry'); },
+  get teamInviteCreate() { return document.getElementById('team-invite-create'); },
+  get teamInvitesList() { return document.getElementById('team-invites-list'); }
 };
@@ -8,7 +8,36 @@ import { isValidEmail } from '../lib/validation.js';
 import { escapeHtml } from '../admin/utils.js';
 import { state } from './state.js';
 import { elements } from './elements.js';
-import { submitRegistration } from './api.js';
+import { submitRegistration, submitWaitlist } from './api.js';
+import { customFieldName } from './render.js';
+import { checkAnswers, fieldsForScope, MEMBER_SCOPE, TEAM_SCOPE } from '../../shared/custom-fields.js';
+
+/**
+ * Read the answers to the custom questions of a scope
+ * @param {FormData} formData
+ * @param {string} scope - MEMBER_SCOPE or TEAM_SCOPE
+ * @returns {object} Answers keyed by question ID
+ */
+function collectCustomAnswers(formData, scope) {
+  const answers = {};
+  for (const field of fieldsForScope(state.config?.customFields, scope)) {
+    const value = formData.get(customFieldName(scope, field));
+    answers[field.id] = field.type === 'checkbox' ? value === 'on' : value;
+  }
+  return answers;
+}
+
+/**
+ * Describe the unanswered or invalid custom questions
+ * @param {object} answers
+ * @param {string} scope
+ * @returns {string[]}
+ */
+function validateCustomAnswers(answers, scope) {
+  return checkAnswers(state.config?.customFields, answers, scope).problems.map(({ field, reason }) =>
+    (reason === 'required' ? `Réponse requise : ${field.label}` : `Réponse invalide : ${field.label}`)
+  );
+}
 
 /**
  * Collect form data
@@ -26,9 +55,11 @@ export function collectFormData() {
     data.teamName = formData.get('teamName');
     data.teamDescription = formData.get('teamDescription');
     data.teamPassword = formData.get('teamPassword');
+    data.teamAnswers = collectCustomAnswers(formData, TEAM_SCOPE);
   } else {
     data.teamId = Number.parseInt(formData.get('teamId'), 10);
     data.teamPassword = formData.get('joinPassword');
+    if (state.inviteToken) data.inviteToken = state.inviteToken;
   }
 
   // Collect single member data
@@ -37,8 +68,10 @@ export function collectFormData() {
     lastName: formData.get('lastName'),
     email: formData.get('email'),
     bacLevel: Number.parseInt(formData.get('bacLevel'), 10),
+    schoolId: Number.parseInt(formData.get('schoolId'), 10) || null,
     isLeader: state.isNewTeam ? true : formData.get('isLeader') === 'on',
-    foodDiet: formData.get('foodDiet') || 'none'
+    foodDiet: formData.get('foodDiet') || 'none',
+    customAnswers: collectCustomAnswers(formData, MEMBER_SCOPE)
   });
 
   return data;
@@ -61,7 +94,8 @@ export function validateForm() {
     } else if (data.teamPassword.length < 4) {
       errors.push("Le mot de passe doit faire au moins 4 caractères");
     }
-  } else {
+    errors.push(...validateCustomAnswers(data.teamAnswers, TEAM_SCOPE));
+  } else if (!data.inviteToken) {
     if (!data.teamId) {
       errors.push("Veuillez sélectionner une équipe");
     }
@@ -76,6 +110,8 @@ export function validateForm() {
   if (!member.lastName?.trim()) errors.push("Nom requis");
   if (!member.email?.trim()) errors.push("Email requis");
   else if (!isValidEmail(member.email)) errors.push("Email invalide");
+  if (state.config?.schools?.length && !member.schoolId) errors.push("Établissement requis");
+  errors.push(...validateCustomAnswers(member.customAnswers, MEMBER_SCOPE));
 
   return errors;
 }
@@ -87,11 +123,6 @@ export function validateForm() {
 export async function handleSubmit(e) {
   e.preventDefault();
 
-  if (state.isAtCapacity) {
-    showErrors(['Les inscriptions sont closes']);
-    return;
-  }
-
   const errors = validateForm();
   if (errors.length > 0) {
     showErrors(errors);
@@ -103,9 +134,14 @@ export async function handleSubmit(e) {
 
   try {
     const data = collectFormData();
-    const result = await submitRegistration(data);
 
-    elements.successMessage.textContent = result.message;
+    if (state.isAtCapacity) {
+      const result = await submitWaitlist(data);
+      elements.successMessage.textContent = `Vous êtes inscrit·e sur la liste d'attente en position ${result.waitlist.position}. Vous serez inscrit·e automatiquement dès qu'une place se libère.`;
+    } else {
+      const result = await submitRegistration(data);
+      elements.successMessage.textContent = result.message;
+    }
     elements.successModal.classList.remove('hidden');
 
   } catch (error) {
@@ -140,5 +176,6 @@ export function hideErrors() {
 export function setLoading(loading) {
   elements.submitBtn.disabled = loading;
   elements.form.classList.toggle('loading', loading);
-  elements.submitBtn.textContent = loading ? 'Inscription en cours...' : "S'inscrire";
+  const idleLabel = state.isAtCapacity ? "Rejoindre la liste d'attente" : "S'inscrire";
+  elements.submitBtn.textContent = loading ? 'Inscription en cours...' : idleLabel;
 }
@@ -21,3 +21,12 @@ export * from './form.js';
 
 // Modal handling
 export * from './modals.js';
+
+// Returning participant links
+export * from './returning.js';
+
+// Team password reset links
+export * from './password-reset.js';
+
+// Team invitation links
+export * from './invites.js';
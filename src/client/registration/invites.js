@@ -0,0 +1,200 @@
+/**
+ * Team invitation links
+ * Leaders create and revoke links from the team view; opening a link fills
+ * the join form with its team, without the password.
+ */
+/* eslint-env browser */
+
+import { escapeHtml } from '../admin/utils.js';
+import { state, setTeamMode, setInviteToken } from './state.js';
+import { elements } from './elements.js';
+import { createTeamInvite, listTeamInvites, revokeTeamInvite, loadInvite } from './api.js';
+import { showErrors } from './form.js';
+import { updateLeaderToggle } from './render.js';
+
+const TOKEN_PARAM = 'invite';
+
+const STATUS_LABELS = {
+  active: 'Actif',
+  revoked: 'Révoqué',
+  expired: 'Expiré',
+  used: 'Épuisé'
+};
+
+// Team unlocked in the team view, with the password the leader typed
+let unlocked = null;
+
+/**
+ * Format a SQLite UTC datetime in French time
+ * @param {string} value - "YYYY-MM-DD HH:MM:SS"
+ * @returns {string}
+ */
+function formatDate(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Render one invitation link
+ * @param {object} invite
+ * @returns {string}
+ */
+function renderInvite(invite) {
+  const uses = invite.uses.map(u => escapeHtml(u.name || 'Membre retiré')).join(', ');
+  const link = invite.link ? `
+      <div class="team-invite-link">
+        <input type="text" readonly value="${escapeHtml(invite.link)}" aria-label="Lien d'invitation">
+        <button type="button" class="btn btn-secondary btn-sm" data-invite-action="copy" data-link="${escapeHtml(invite.link)}">Copier</button>
+        <button type="button" class="btn btn-danger btn-sm" data-invite-action="revoke" data-invite-id="${invite.id}">Révoquer</button>
+      </div>` : '';
+
+  return `
+    <div class="team-invite ${invite.status === 'active' ? '' : 'inactive'}">
+      <strong>${escapeHtml(invite.label || `Lien n°${invite.id}`)}</strong>
+      · ${STATUS_LABELS[invite.status]} · ${invite.useCount}/${invite.maxUses} utilisation(s) · expire le ${formatDate(invite.expiresAt)}
+      ${link}
+      ${uses ? `<p class="team-invite-uses">Ont rejoint : ${uses}</p>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render the invitation links of the unlocked team
+ * @param {Array} invites
+ */
+function renderInvites(invites) {
+  elements.teamInvitesList.innerHTML = invites.length > 0
+    ? invites.map(invite => renderInvite(invite)).join('')
+    : '<p class="team-view-desc">Aucun lien pour le moment.</p>';
+}
+
+/**
+ * Load the invitation links of a team unlocked in the team view
+ * @param {number} teamId - Team ID
+ * @param {string} password - Team password
+ */
+export async function loadTeamInvites(teamId, password) {
+  unlocked = { teamId, password };
+  try {
+    renderInvites(await listTeamInvites(teamId, password));
+  } catch (error) {
+    elements.teamInvitesList.innerHTML = `<p class="error-text">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Create a link with the options of the form
+ */
+async function handleInviteCreate() {
+  if (!unlocked) return;
+
+  elements.teamInviteCreate.disabled = true;
+  try {
+    const invite = await createTeamInvite(unlocked.teamId, unlocked.password, {
+      label: elements.teamInviteLabel.value.trim(),
+      maxUses: Number.parseInt(elements.teamInviteUses.value, 10),
+      expiresInHours: Number.parseInt(elements.teamInviteExpiry.value, 10)
+    });
+    elements.teamInviteLabel.value = '';
+    await loadTeamInvites(unlocked.teamId, unlocked.password);
+    await navigator.clipboard?.writeText(invite.link).catch(() => {});
+  } catch (error) {
+    alert(error.message);
+  } finally {
+    elements.teamInviteCreate.disabled = false;
+  }
+}
+
+/**
+ * Handle copy and revoke buttons
+ * @param {MouseEvent} e - Click event
+ */
+async function handleInviteAction(e) {
+  const button = e.target.closest('[data-invite-action]');
+  if (!button || !unlocked) return;
+
+  if (button.dataset.inviteAction === 'copy') {
+    await navigator.clipboard?.writeText(button.dataset.link).catch(() => {});
+    button.textContent = 'Copié';
+    return;
+  }
+
+  if (!confirm('Révoquer ce lien ? Il ne permettra plus de rejoindre l\'équipe.')) return;
+  try {
+    await revokeTeamInvite(unlocked.teamId, Number.parseInt(button.dataset.inviteId, 10), unlocked.password);
+    await loadTeamInvites(unlocked.teamId, unlocked.password);
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+/**
+ * Forget the unlocked team when the team view closes
+ */
+export function clearTeamInvites() {
+  unlocked = null;
+  elements.teamInvitesList.innerHTML = '';
+}
+
+/**
+ * Switch the form to "join" mode for the team of an invitation link
+ * @param {string} token - Invite token
+ * @param {object} invite - { teamId, teamName, usesLeft }
+ */
+function useInvite(token, invite) {
+  setInviteToken(token);
+  setTeamMode(false);
+
+  const joinRadio = document.querySelector('input[name="team-mode"][value="join"]');
+  if (joinRadio) joinRadio.checked = true;
+  elements.newTeamFields.classList.add('hidden');
+  elements.joinTeamFields.classList.remove('hidden');
+  elements.teamSelectGroup.classList.add('hidden');
+  elements.joinPasswordGroup.classList.add('hidden');
+
+  elements.inviteBanner.textContent = `Vous rejoignez l'équipe ${invite.teamName} grâce à un lien d'invitation : le mot de passe n'est pas nécessaire.`;
+  elements.inviteBanner.classList.remove('hidden');
+  updateLeaderToggle();
+}
+
+/**
+ * Apply an invitation link (?invite=<token>) to the join form
+ * The token is removed from the address bar and kept in the page state
+ */
+export async function applyInviteLink() {
+  const url = new URL(globalThis.location.href);
+  const token = url.searchParams.get(TOKEN_PARAM);
+  if (!token) return;
+
+  url.searchParams.delete(TOKEN_PARAM);
+  history.replaceState(null, '', url);
+
+  try {
+    useInvite(token, await loadInvite(token));
+    elements.inscriptionSection.scrollIntoView({ behavior: 'smooth' });
+  } catch (error) {
+    showErrors([`Lien d'invitation inutilisable : ${error.message}. Demandez un nouveau lien ou le mot de passe au chef d'équipe.`]);
+  }
+}
+
+/**
+ * Stop using the invitation link when the visitor picks another team mode
+ */
+function handleTeamModeChange() {
+  if (!state.inviteToken) return;
+
+  setInviteToken(null);
+  elements.inviteBanner.classList.add('hidden');
+  elements.teamSelectGroup.classList.remove('hidden');
+  elements.joinPasswordGroup.classList.remove('hidden');
+}
+
+/**
+ * Setup invitation link event listeners
+ */
+export function setupInviteListeners() {
+  elements.teamInviteCreate?.addEventListener('click', handleInviteCreate);
+  elements.teamInvitesList?.addEventListener('click', handleInviteAction);
+  for (const radio of document.querySelectorAll('input[name="team-mode"]')) {
+    radio.addEventListener('change', handleTeamModeChange);
+  }
+}
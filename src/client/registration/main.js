@@ -15,6 +15,9 @@ import { elements } from './elements.js';
 import { renderStats, renderTeams, renderTeamSelect, renderPricing, initMemberForm, updateLeaderToggle } from './render.js';
 import { handleSubmit, showErrors } from './form.js';
 import { openTeamViewModal, setupModalListeners } from './modals.js';
+import { handleReturningRequest, applyReturningLink } from './returning.js';
+import { applyPasswordResetLink, setupPasswordResetListeners } from './password-reset.js';
+import { applyInviteLink, setupInviteListeners } from './invites.js';
 
 /**
  * Get baseUrl from DOM data attribute
@@ -25,6 +28,15 @@ function getBaseUrl() {
   return el?.dataset.baseUrl || '';
 }
 
+/**
+ * Get the event slug from DOM data attribute
+ * @returns {string}
+ */
+function getEventSlug() {
+  const el = document.getElementById('registration-config');
+  return el?.dataset.event || '';
+}
+
 /**
  * Setup event listeners
  */
@@ -50,8 +62,13 @@ function setupEventListeners() {
   // Form submission
   elements.form?.addEventListener('submit', handleSubmit);
 
+  // Returning participant link
+  elements.returningBtn?.addEventListener('click', handleReturningRequest);
+
   // Setup modal listeners
   setupModalListeners();
+  setupPasswordResetListeners();
+  setupInviteListeners();
 }
 
 /**
@@ -60,7 +77,7 @@ function setupEventListeners() {
 async function init() {
   // Get base URL and initialize API
   const baseUrl = getBaseUrl();
-  initApi(baseUrl);
+  initApi(baseUrl, getEventSlug());
 
   try {
     // Load data in parallel
@@ -83,18 +100,27 @@ async function init() {
     renderTeamSelect(teams);
     renderPricing(pricing);
 
-    // Initialize member form if not at capacity
-    if (!state.isAtCapacity) {
-      initMemberForm();
-      updateLeaderToggle();
-    }
+    // Initialize member form (also used for the waitlist when at capacity)
+    initMemberForm();
+    updateLeaderToggle();
 
     // Setup event listeners
     setupEventListeners();
 
+    // Prefill from a returning participant link, once the form is built
+    await applyReturningLink();
+
+    // Choose a new team password from a reset link
+    applyPasswordResetLink();
+
+    // Join a team from an invitation link
+    await applyInviteLink();
+
   } catch (error) {
     console.error('Initialization error:', error);
-    showErrors(['Erreur de chargement. Veuillez rafraîchir la page.']);
+    showErrors([error.message === 'Event not found'
+      ? 'Cet événement n\'existe pas.'
+      : 'Erreur de chargement. Veuillez rafraîchir la page.']);
   }
 }
 
@@ -1,13 +1,41 @@
 /**
  * Registration page modal handling
- * Team view modal functionality
+ * Team view modal functionality, with an edit mode for team leaders
  */
 /* eslint-env browser */
 
 import { escapeHtml } from '../admin/utils.js';
+import { encodeQR, qrToSvg } from '../../shared/qrcode.js';
 import { state, setSelectedTeam } from './state.js';
 import { elements } from './elements.js';
-import { viewTeamMembers } from './api.js';
+import {
+  viewTeamMembers,
+  updateTeamMember,
+  removeTeamMember,
+  updateTeamDescription,
+  rotateTeamPassword
+} from './api.js';
+import { loadTeamInvites, clearTeamInvites } from './invites.js';
+
+const MIN_PASSWORD_LENGTH = 4;
+
+const bacLabels = {
+  0: 'Non bachelier',
+  1: 'BAC+1',
+  2: 'BAC+2',
+  3: 'BAC+3 (Licence)',
+  4: 'BAC+4',
+  5: 'BAC+5 (Master)',
+  6: 'BAC+6',
+  7: 'BAC+7',
+  8: 'BAC+8 (Doctorat)'
+};
+
+// Unlocked team, kept while the modal is open so edits can reuse the password
+let currentTeam = null;
+let teamPassword = '';
+let editMode = false;
+let editingMemberId = null;
 
 /**
  * Open team view modal
@@ -32,9 +60,14 @@ export function openTeamViewModal(teamId) {
  */
 export function closeTeamViewModal() {
   setSelectedTeam(null);
+  currentTeam = null;
+  teamPassword = '';
+  editMode = false;
+  editingMemberId = null;
   elements.teamViewModal.classList.add('hidden');
   elements.teamViewPassword.value = '';
   elements.teamViewError.classList.add('hidden');
+  clearTeamInvites();
 }
 
 /**
@@ -53,6 +86,7 @@ export async function handleTeamViewSubmit() {
 
   try {
     const result = await viewTeamMembers(state.selectedTeamId, password);
+    teamPassword = password;
     showTeamMembers(result.team);
   } catch (error) {
     elements.teamViewError.textContent = error.message;
@@ -68,22 +102,33 @@ export async function handleTeamViewSubmit() {
  * @param {object} team - Team object with members
  */
 function showTeamMembers(team) {
+  currentTeam = team;
+  editMode = false;
+  editingMemberId = null;
+
   elements.teamDetailName.textContent = team.name;
   elements.teamDetailDesc.textContent = team.description || '';
+  elements.teamEditError.classList.add('hidden');
+  renderTeamMembers();
+  renderEditPanel();
 
-  const bacLabels = {
-    0: 'Non bachelier',
-    1: 'BAC+1',
-    2: 'BAC+2',
-    3: 'BAC+3 (Licence)',
-    4: 'BAC+4',
-    5: 'BAC+5 (Master)',
-    6: 'BAC+6',
-    7: 'BAC+7',
-    8: 'BAC+8 (Doctorat)'
-  };
+  elements.teamViewAuth.classList.add('hidden');
+  elements.teamViewContent.classList.remove('hidden');
+}
+
+/**
+ * Render a member in read-only mode
+ * @param {object} member - Member object
+ * @returns {string}
+ */
+function renderMemberItem(member) {
+  const actions = editMode ? `
+      <div class="member-actions">
+        <button type="button" class="btn btn-secondary btn-sm" data-action="edit" data-member-id="${member.id}">Modifier</button>
+        <button type="button" class="btn btn-danger btn-sm" data-action="remove" data-member-id="${member.id}">Retirer</button>
+      </div>` : '';
 
-  elements.teamMembersList.innerHTML = team.members.map(member => `
+  return `
     <div class="member-item ${member.isLeader ? 'leader' : ''}">
       <div class="member-info">
         <span class="member-name">${escapeHtml(member.firstName)} ${escapeHtml(member.lastName)}</span>
@@ -93,12 +138,230 @@ function showTeamMembers(team) {
         <span class="member-email">${escapeHtml(member.email)}</span>
         <span class="member-bac">${bacLabels[member.bacLevel] || 'N/A'}</span>
         ${member.foodDiet ? `<span class="member-food">${escapeHtml(member.foodDiet)}</span>` : ''}
+      </div>${actions}${editMode ? '' : renderTicket(member)}
+    </div>
+  `;
+}
+
+/**
+ * Render a member's check-in ticket as a QR code
+ * @param {object} member - Member object
+ * @returns {string}
+ */
+function renderTicket(member) {
+  if (!member.ticket) return '';
+
+  return `
+      <details class="member-ticket">
+        <summary>Billet d'entrée</summary>
+        <div class="member-ticket-qr">${qrToSvg(encodeQR(member.ticket))}</div>
+        <code class="member-ticket-code">${escapeHtml(member.ticket)}</code>
+      </details>`;
+}
+
+/**
+ * Render the inline form for editing a member
+ * @param {object} member - Member object
+ * @returns {string}
+ */
+function renderMemberForm(member) {
+  const bacLevels = state.config?.bacLevels || Object.entries(bacLabels).map(([value, label]) => ({ value: Number(value), label }));
+  const pizzas = state.config?.pizzas || [];
+  const schools = state.config?.schools || [];
+
+  const bacOptions = bacLevels.map(level =>
+    `<option value="${level.value}" ${level.value === member.bacLevel ? 'selected' : ''}>${escapeHtml(level.label)}</option>`
+  ).join('');
+  const pizzaOptions = pizzas.map(pizza =>
+    `<option value="${escapeHtml(pizza.id)}" ${pizza.id === member.foodDiet ? 'selected' : ''}>${escapeHtml(pizza.name)}</option>`
+  ).join('');
+  const schoolOptions = schools.map(school => {
+    const isCurrent = school.id === member.schoolId;
+    return `<option value="${school.id}" ${isCurrent ? 'selected' : ''} ${school.is_full && !isCurrent ? 'disabled' : ''}>${escapeHtml(school.name)}</option>`;
+  }).join('');
+
+  return `
+    <div class="member-item editing" data-member-form="${member.id}">
+      <div class="member-edit-grid">
+        <input type="text" data-field="firstName" value="${escapeHtml(member.firstName)}" placeholder="Prénom" aria-label="Prénom">
+        <input type="text" data-field="lastName" value="${escapeHtml(member.lastName)}" placeholder="Nom" aria-label="Nom">
+        <input type="email" data-field="email" value="${escapeHtml(member.email)}" placeholder="Email" aria-label="Email">
+        <select data-field="bacLevel" aria-label="Niveau d'études">${bacOptions}</select>
+        <select data-field="foodDiet" aria-label="Choix de pizza">${pizzaOptions}</select>
+        ${schools.length > 0 ? `<select data-field="schoolId" aria-label="Établissement"><option value="">-- Établissement --</option>${schoolOptions}</select>` : ''}
+        <label class="member-edit-leader">
+          <input type="checkbox" data-field="isLeader" ${member.isLeader ? 'checked' : ''}> Chef d'équipe
+        </label>
+      </div>
+      <div class="member-actions">
+        <button type="button" class="btn btn-secondary btn-sm" data-action="cancel">Annuler</button>
+        <button type="button" class="btn btn-primary btn-sm" data-action="save" data-member-id="${member.id}">Enregistrer</button>
       </div>
     </div>
-  `).join('');
+  `;
+}
 
-  elements.teamViewAuth.classList.add('hidden');
-  elements.teamViewContent.classList.remove('hidden');
+/**
+ * Render the team members list (read-only or edit mode)
+ */
+function renderTeamMembers() {
+  elements.teamMembersList.innerHTML = currentTeam.members.map(member =>
+    member.id === editingMemberId ? renderMemberForm(member) : renderMemberItem(member)
+  ).join('');
+}
+
+/**
+ * Render the team-level edit panel (description, password)
+ */
+function renderEditPanel() {
+  elements.teamEditPanel.classList.toggle('hidden', !editMode);
+  elements.teamEditToggle.textContent = editMode ? 'Terminer' : 'Modifier';
+  if (editMode) {
+    elements.teamEditDescription.value = currentTeam.description || '';
+    elements.teamEditNewPassword.value = '';
+  }
+}
+
+/**
+ * Show an error (or clear it) in the edit area
+ * @param {string} [message] - Error message
+ */
+function showEditError(message) {
+  elements.teamEditError.textContent = message || '';
+  elements.teamEditError.classList.toggle('hidden', !message);
+}
+
+/**
+ * Toggle edit mode
+ */
+function toggleEditMode() {
+  editMode = !editMode;
+  editingMemberId = null;
+  showEditError();
+  renderTeamMembers();
+  renderEditPanel();
+  if (editMode) loadTeamInvites(currentTeam.id, teamPassword);
+}
+
+/**
+ * Save the member currently being edited
+ * @param {number} memberId - Member ID
+ */
+async function saveMember(memberId) {
+  const form = elements.teamMembersList.querySelector(`[data-member-form="${memberId}"]`);
+  if (!form) return;
+
+  const field = name => form.querySelector(`[data-field="${name}"]`);
+  const updates = {
+    firstName: field('firstName').value.trim(),
+    lastName: field('lastName').value.trim(),
+    email: field('email').value.trim(),
+    bacLevel: Number.parseInt(field('bacLevel').value, 10),
+    isLeader: field('isLeader').checked
+  };
+  if (field('foodDiet').value) {
+    updates.foodDiet = field('foodDiet').value;
+  }
+  if (field('schoolId')?.value) {
+    updates.schoolId = Number.parseInt(field('schoolId').value, 10);
+  }
+
+  try {
+    const result = await updateTeamMember(currentTeam.id, memberId, teamPassword, updates);
+    currentTeam.members = currentTeam.members.map(m => m.id === memberId ? { ...result.member, ticket: m.ticket } : m);
+    editingMemberId = null;
+    showEditError();
+    renderTeamMembers();
+  } catch (error) {
+    showEditError(error.message);
+  }
+}
+
+/**
+ * Remove a member after confirmation
+ * @param {number} memberId - Member ID
+ */
+async function removeMember(memberId) {
+  const member = currentTeam.members.find(m => m.id === memberId);
+  if (!member) return;
+  if (!confirm(`Retirer ${member.firstName} ${member.lastName} de l'équipe ?`)) return;
+
+  try {
+    await removeTeamMember(currentTeam.id, memberId, teamPassword);
+    currentTeam.members = currentTeam.members.filter(m => m.id !== memberId);
+    showEditError();
+    renderTeamMembers();
+  } catch (error) {
+    showEditError(error.message);
+  }
+}
+
+/**
+ * Handle clicks on member action buttons
+ * @param {MouseEvent} e - Click event
+ */
+function handleMemberAction(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+
+  const memberId = Number.parseInt(button.dataset.memberId, 10);
+  switch (button.dataset.action) {
+    case 'edit': {
+      editingMemberId = memberId;
+      renderTeamMembers();
+      break;
+    }
+    case 'cancel': {
+      editingMemberId = null;
+      renderTeamMembers();
+      break;
+    }
+    case 'save': {
+      saveMember(memberId);
+      break;
+    }
+    case 'remove': {
+      removeMember(memberId);
+      break;
+    }
+  }
+}
+
+/**
+ * Save the team description
+ */
+async function handleDescriptionSave() {
+  try {
+    const result = await updateTeamDescription(currentTeam.id, teamPassword, elements.teamEditDescription.value);
+    currentTeam.description = result.description;
+    elements.teamDetailDesc.textContent = result.description;
+    showEditError();
+  } catch (error) {
+    showEditError(error.message);
+  }
+}
+
+/**
+ * Change the team password
+ */
+async function handlePasswordSave() {
+  const newPassword = elements.teamEditNewPassword.value.trim();
+  if (newPassword.length < MIN_PASSWORD_LENGTH) {
+    showEditError(`Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères`);
+    return;
+  }
+  if (!confirm('Changer le mot de passe ? Pensez à le communiquer aux membres de l\'équipe.')) return;
+
+  try {
+    await rotateTeamPassword(currentTeam.id, teamPassword, newPassword);
+    teamPassword = newPassword;
+    loadTeamInvites(currentTeam.id, teamPassword);
+    elements.teamEditNewPassword.value = '';
+    showEditError();
+    alert('Mot de passe modifié');
+  } catch (error) {
+    showEditError(error.message);
+  }
 }
 
 /**
@@ -110,6 +373,12 @@ export function setupModalListeners() {
   elements.teamViewCancel?.addEventListener('click', closeTeamViewModal);
   elements.teamViewClose?.addEventListener('click', closeTeamViewModal);
 
+  // Team edit mode
+  elements.teamEditToggle?.addEventListener('click', toggleEditMode);
+  elements.teamMembersList?.addEventListener('click', handleMemberAction);
+  elements.teamEditDescriptionSave?.addEventListener('click', handleDescriptionSave);
+  elements.teamEditPasswordSave?.addEventListener('click', handlePasswordSave);
+
   // Allow Enter key to submit password
   elements.teamViewPassword?.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
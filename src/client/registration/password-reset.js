@@ -0,0 +1,138 @@
+/**
+ * Team password reset
+ * Emails a reset link to the team leaders and applies it when opened
+ */
+/* eslint-env browser */
+
+import { state } from './state.js';
+import { elements } from './elements.js';
+import { requestTeamPasswordReset, resetTeamPassword } from './api.js';
+import { showErrors, hideErrors } from './form.js';
+
+const TOKEN_PARAM = 'reset';
+const MIN_PASSWORD_LENGTH = 4;
+
+const SENT_MESSAGE = 'Si l\'équipe a un chef avec une adresse e-mail, un lien de réinitialisation vient de lui être envoyé. Il est valable 1 heure.';
+
+// Token of the opened reset link, kept while the modal is open
+let resetToken = '';
+
+/**
+ * Ask for a reset link from the join form, for the selected team
+ */
+export async function handleJoinForgot() {
+  const teamId = Number.parseInt(elements.teamSelect.value, 10);
+  if (!teamId) {
+    showErrors(['Sélectionnez d\'abord votre équipe']);
+    return;
+  }
+
+  hideErrors();
+  elements.joinForgotBtn.disabled = true;
+  try {
+    await requestTeamPasswordReset(teamId);
+    alert(SENT_MESSAGE);
+  } catch (error) {
+    showErrors([error.message]);
+  } finally {
+    elements.joinForgotBtn.disabled = false;
+  }
+}
+
+/**
+ * Ask for a reset link from the team view modal
+ */
+export async function handleTeamViewForgot() {
+  elements.teamViewForgot.disabled = true;
+  try {
+    await requestTeamPasswordReset(state.selectedTeamId);
+    elements.teamViewError.classList.add('hidden');
+    alert(SENT_MESSAGE);
+  } catch (error) {
+    elements.teamViewError.textContent = error.message;
+    elements.teamViewError.classList.remove('hidden');
+  } finally {
+    elements.teamViewForgot.disabled = false;
+  }
+}
+
+/**
+ * Show an error in the reset modal, or hide it
+ * @param {string} [message]
+ */
+function showResetError(message) {
+  elements.passwordResetError.textContent = message || '';
+  elements.passwordResetError.classList.toggle('hidden', !message);
+}
+
+/**
+ * Close the reset modal
+ */
+function closePasswordResetModal() {
+  resetToken = '';
+  elements.passwordResetNew.value = '';
+  elements.passwordResetConfirm.value = '';
+  showResetError();
+  elements.passwordResetModal.classList.add('hidden');
+}
+
+/**
+ * Save the new password
+ */
+async function handlePasswordResetSubmit() {
+  const password = elements.passwordResetNew.value.trim();
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    showResetError(`Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères`);
+    return;
+  }
+  if (password !== elements.passwordResetConfirm.value.trim()) {
+    showResetError('Les deux mots de passe ne correspondent pas');
+    return;
+  }
+
+  elements.passwordResetSubmit.disabled = true;
+  try {
+    const result = await resetTeamPassword(resetToken, password);
+    closePasswordResetModal();
+    alert(`Mot de passe de l'équipe ${result.teamName} modifié. Pensez à le communiquer aux membres de l'équipe.`);
+  } catch {
+    showResetError('Ce lien est invalide, a expiré ou a déjà été utilisé. Vous pouvez en demander un nouveau.');
+  } finally {
+    elements.passwordResetSubmit.disabled = false;
+  }
+}
+
+/**
+ * Open the reset modal from an emailed link (?reset=<token>)
+ * The token is removed from the address bar right away
+ */
+export function applyPasswordResetLink() {
+  const url = new URL(globalThis.location.href);
+  const token = url.searchParams.get(TOKEN_PARAM);
+  if (!token) return;
+
+  url.searchParams.delete(TOKEN_PARAM);
+  history.replaceState(null, '', url);
+
+  resetToken = token;
+  showResetError();
+  elements.passwordResetModal.classList.remove('hidden');
+  elements.passwordResetNew.focus();
+}
+
+/**
+ * Setup password reset event listeners
+ */
+export function setupPasswordResetListeners() {
+  elements.joinForgotBtn?.addEventListener('click', handleJoinForgot);
+  elements.teamViewForgot?.addEventListener('click', handleTeamViewForgot);
+  elements.passwordResetSubmit?.addEventListener('click', handlePasswordResetSubmit);
+  elements.passwordResetCancel?.addEventListener('click', closePasswordResetModal);
+
+  elements.passwordResetConfirm?.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handlePasswordResetSubmit();
+    }
+  });
+}
@@ -7,6 +7,7 @@
 import { escapeHtml } from '../admin/utils.js';
 import { state, setAtCapacity } from './state.js';
 import { elements } from './elements.js';
+import { fieldsForScope, MAX_ANSWER_LENGTH, MEMBER_SCOPE, TEAM_SCOPE } from '../../shared/custom-fields.js';
 
 /**
  * Render stats in hero KPIs
@@ -29,10 +30,11 @@ export function renderStats(stats) {
 
   // Handle capacity warning
   if (isAtCapacity) {
+    const waiting = stats.waitlist_count || 0;
     elements.capacityWarning.classList.remove('hidden');
     elements.capacityWarning.classList.add('capacity-full');
-    elements.capacityWarningText.innerHTML = '<strong>Inscriptions closes</strong> — Le nombre maximum de participants a été atteint.';
-    disableForm();
+    elements.capacityWarningText.innerHTML = `<strong>Inscriptions complètes</strong> — Le nombre maximum de participants a été atteint. Vous pouvez rejoindre la liste d'attente${waiting > 0 ? ` (${waiting} personne${waiting > 1 ? 's' : ''} en attente)` : ''}.`;
+    enableWaitlistMode();
   } else if (isNearCapacity) {
     elements.capacityWarning.classList.remove('hidden');
     elements.capacityWarning.classList.remove('capacity-full');
@@ -43,13 +45,14 @@ export function renderStats(stats) {
 }
 
 /**
- * Disable form when at capacity
+ * Switch the form to waitlist mode when at capacity
  */
-function disableForm() {
-  // Hide the entire inscription section when closed
-  elements.inscriptionSection.classList.add('hidden');
-  // Also hide the hero register button
-  elements.heroRegisterBtn.classList.add('hidden');
+function enableWaitlistMode() {
+  // Keep the form: submissions go to the waitlist instead
+  elements.submitBtn.textContent = "Rejoindre la liste d'attente";
+  elements.heroRegisterBtn.textContent = "Liste d'attente";
+  // No payment until a spot is actually granted
+  elements.paymentSection.classList.add('hidden');
 }
 
 /**
@@ -134,17 +137,97 @@ export function renderTeamSelect(teams) {
   `;
 }
 
+/**
+ * Name of the form input answering a custom question
+ * @param {string} scope - MEMBER_SCOPE or TEAM_SCOPE
+ * @param {object} field
+ * @returns {string}
+ */
+export function customFieldName(scope, field) {
+  return `custom_${scope}_${field.id}`;
+}
+
+/**
+ * Render the inputs of custom questions
+ * Required answers are checked on submit, as team questions are hidden when joining a team
+ * @param {Array<object>} fields
+ * @param {string} scope
+ * @returns {string} HTML
+ */
+function renderCustomFields(fields, scope) {
+  return fields.map(field => {
+    const name = customFieldName(scope, field);
+    const id = name.replaceAll('_', '-');
+    const label = `${escapeHtml(field.label)}${field.required ? ' *' : ''}`;
+
+    if (field.type === 'checkbox') {
+      return `
+        <div class="form-group full-width">
+          <label>
+            <span class="toggle-group">
+              <span class="toggle">
+                <input type="checkbox" id="${id}" name="${name}">
+                <span class="toggle-slider"></span>
+              </span>
+              ${label}
+            </span>
+          </label>
+        </div>
+      `;
+    }
+
+    let input;
+    if (field.type === 'select') {
+      input = `
+        <select id="${id}" name="${name}">
+          <option value="">-- Choisir --</option>
+          ${field.options.map(option => `<option value="${escapeHtml(option).replaceAll('"', '&quot;')}">${escapeHtml(option)}</option>`).join('')}
+        </select>
+      `;
+    } else if (field.type === 'number') {
+      input = `<input type="number" id="${id}" name="${name}" step="any">`;
+    } else {
+      input = `<input type="text" id="${id}" name="${name}" maxlength="${MAX_ANSWER_LENGTH}">`;
+    }
+
+    return `
+      <div class="form-group">
+        <label for="${id}">${label}</label>
+        ${input}
+      </div>
+    `;
+  }).join('');
+}
+
 /**
  * Initialize member form with options from config
  */
 export function initMemberForm() {
-  const { pizzas, bacLevels } = state.config;
+  const { pizzas, bacLevels, schools, customFields } = state.config;
 
   // Populate BAC level dropdown
   elements.memberBacLevel.innerHTML = bacLevels.map(level =>
     `<option value="${level.value}">${escapeHtml(level.label)}</option>`
   ).join('');
 
+  // Populate school dropdown, only shown when the event lists schools
+  if (schools?.length) {
+    elements.memberSchool.innerHTML = `
+      <option value="">-- Choisir un établissement --</option>
+      ${schools.map(school => `
+        <option value="${school.id}" ${school.is_full ? 'disabled' : ''}>
+          ${escapeHtml(school.name)}${school.is_full ? ' (complet)' : ''}
+        </option>
+      `).join('')}
+    `;
+    elements.memberSchool.required = true;
+    elements.memberSchoolGroup.classList.remove('hidden');
+  }
+
+  // Custom questions: per participant here, per team with the new team fields
+  elements.memberCustomFields.innerHTML = renderCustomFields(fieldsForScope(customFields, MEMBER_SCOPE), MEMBER_SCOPE);
+  elements.teamCustomFields.innerHTML = renderCustomFields(fieldsForScope(customFields, TEAM_SCOPE), TEAM_SCOPE);
+
   // Populate pizza options
   elements.pizzaOptions.innerHTML = pizzas.map((pizza, i) => `
     <label class="pizza-option ${i === 0 ? 'selected' : ''}">
@@ -170,7 +253,7 @@ export function initMemberForm() {
  * @param {object|null} pricing - Pricing object
  */
 export function renderPricing(pricing) {
-  if (!pricing) {
+  if (!pricing || state.isAtCapacity) {
     elements.paymentSection.classList.add('hidden');
     return;
   }
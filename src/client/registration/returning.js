@@ -0,0 +1,78 @@
+/**
+ * Returning participant recognition
+ * Emails a prefill link to past participants and applies it when opened
+ */
+/* eslint-env browser */
+
+import { isValidEmail } from '../lib/validation.js';
+import { elements } from './elements.js';
+import { requestReturningLink, loadReturningProfile } from './api.js';
+import { showErrors, hideErrors } from './form.js';
+
+const TOKEN_PARAM = 'returning';
+
+/**
+ * Send a prefill link to the email typed in the form
+ */
+export async function handleReturningRequest() {
+  const email = elements.memberEmail.value.trim();
+  if (!email || !isValidEmail(email)) {
+    showErrors(['Saisissez d\'abord votre adresse e-mail']);
+    return;
+  }
+
+  hideErrors();
+  elements.returningBtn.disabled = true;
+  try {
+    await requestReturningLink(email);
+    elements.returningText.textContent = `Si ${email} a participé à une édition précédente, un lien vient de lui être envoyé. Ouvrez-le pour pré-remplir le formulaire.`;
+  } catch (error) {
+    showErrors([error.message]);
+  } finally {
+    elements.returningBtn.disabled = false;
+  }
+}
+
+/**
+ * Select a pizza option if it is still offered
+ * @param {string} foodDiet - Pizza id
+ */
+function selectPizza(foodDiet) {
+  const input = [...elements.pizzaOptions.querySelectorAll('input[name="foodDiet"]')]
+    .find(option => option.value === foodDiet);
+  if (!input) return;
+
+  input.checked = true;
+  input.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Prefill the member form from an emailed link (?returning=<token>)
+ * The token is removed from the address bar once used
+ */
+export async function applyReturningLink() {
+  const url = new URL(globalThis.location.href);
+  const token = url.searchParams.get(TOKEN_PARAM);
+  if (!token) return;
+
+  url.searchParams.delete(TOKEN_PARAM);
+  history.replaceState(null, '', url);
+
+  try {
+    const profile = await loadReturningProfile(token);
+
+    elements.memberFirstName.value = profile.firstName;
+    elements.memberLastName.value = profile.lastName;
+    elements.memberEmail.value = profile.email;
+    if ([...elements.memberBacLevel.options].some(option => option.value === String(profile.bacLevel))) {
+      elements.memberBacLevel.value = String(profile.bacLevel);
+    }
+    selectPizza(profile.foodDiet);
+
+    elements.returningText.textContent = `Bon retour ! Vos informations de ${profile.years.at(-1)} ont été reprises : vérifiez-les, votre niveau d'études a peut-être changé.`;
+    elements.returningBtn.classList.add('hidden');
+    elements.inscriptionSection.scrollIntoView({ behavior: 'smooth' });
+  } catch {
+    showErrors(['Ce lien est invalide ou a expiré. Vous pouvez en demander un nouveau.']);
+  }
+}
@@ -14,7 +14,8 @@
  *   isNewTeam: boolean,
  *   selectedTeamId: number|null,
  *   isAtCapacity: boolean,
- *   paymentEnabled: boolean
+ *   paymentEnabled: boolean,
+ *   inviteToken: string|null
  * }}
  */
 export const state = {
@@ -25,7 +26,8 @@ export const state = {
   isNewTeam: true,
   selectedTeamId: null,
   isAtCapacity: false,
-  paymentEnabled: false
+  paymentEnabled: false,
+  inviteToken: null
 };
 
 /**
@@ -69,6 +71,14 @@ export function setTeamMode(isNew) {
   state.isNewTeam = isNew;
 }
 
+/**
+ * Set the invitation link used to join a team
+ * @param {string|null} token - Invite token
+ */
+export function setInviteToken(token) {
+  state.inviteToken = token;
+}
+
 /**
  * Set selected team for viewing
  * @param {number|null} teamId - Team ID
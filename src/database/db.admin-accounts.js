@@ -0,0 +1,198 @@
+/**
+ * Admin accounts and sessions database operations
+ */
+
+const ACCOUNT_COLUMNS = 'id, username, display_name, role, is_active, last_login_at, created_at';
+
+/**
+ * List admin accounts (without password hashes)
+ * @param {D1Database} db
+ * @returns {Promise<Array>}
+ */
+export async function getAdminAccounts(db) {
+  const result = await db.prepare(
+    `SELECT ${ACCOUNT_COLUMNS} FROM admin_users ORDER BY username`
+  ).all();
+  return result.results;
+}
+
+/**
+ * Get an admin account by ID (without password hash)
+ * @param {D1Database} db
+ * @param {number} adminId
+ * @returns {Promise<object|null>}
+ */
+export async function getAdminAccountById(db, adminId) {
+  return db.prepare(`SELECT ${ACCOUNT_COLUMNS} FROM admin_users WHERE id = ?`).bind(adminId).first();
+}
+
+/**
+ * Get an admin account by username, including the password hash (for login)
+ * @param {D1Database} db
+ * @param {string} username
+ * @returns {Promise<object|null>}
+ */
+export async function getAdminAccountForLogin(db, username) {
+  return db.prepare('SELECT * FROM admin_users WHERE username = ?').bind(username).first();
+}
+
+/**
+ * Create an admin account
+ * @param {D1Database} db
+ * @param {object} account
+ * @returns {Promise<number>} Account ID
+ */
+export async function createAdminAccount(db, { username, displayName = '', passwordHash, role }) {
+  const result = await db.prepare(`
+    INSERT INTO admin_users (username, display_name, password_hash, role)
+    VALUES (?, ?, ?, ?)
+  `).bind(username, displayName, passwordHash, role).run();
+  return result.meta.last_row_id;
+}
+
+/**
+ * Update an admin account
+ * @param {D1Database} db
+ * @param {number} adminId
+ * @param {object} updates
+ * @returns {Promise<boolean>}
+ */
+export async function updateAdminAccount(db, adminId, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.displayName !== undefined) {
+    fields.push('display_name = ?');
+    values.push(updates.displayName);
+  }
+  if (updates.passwordHash !== undefined) {
+    fields.push('password_hash = ?');
+    values.push(updates.passwordHash);
+  }
+  if (updates.role !== undefined) {
+    fields.push('role = ?');
+    values.push(updates.role);
+  }
+  if (updates.isActive !== undefined) {
+    fields.push('is_active = ?');
+    values.push(updates.isActive ? 1 : 0);
+  }
+
+  if (fields.length === 0) return false;
+
+  values.push(adminId);
+  await db.prepare(
+    `UPDATE admin_users SET ${fields.join(', ')} WHERE id = ?`
+  ).bind(...values).run();
+
+  return true;
+}
+
+/**
+ * Delete an admin account and its sessions
+ * @param {D1Database} db
+ * @param {number} adminId
+ * @returns {Promise<boolean>}
+ */
+export async function deleteAdminAccount(db, adminId) {
+  await db.prepare('DELETE FROM admin_sessions WHERE admin_id = ?').bind(adminId).run();
+  const result = await db.prepare('DELETE FROM admin_users WHERE id = ?').bind(adminId).run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * Record a successful login
+ * @param {D1Database} db
+ * @param {number} adminId
+ */
+export async function touchAdminLogin(db, adminId) {
+  await db.prepare(
+    'UPDATE admin_users SET last_login_at = ? WHERE id = ?'
+  ).bind(new Date().toISOString(), adminId).run();
+}
+
+/**
+ * Create a session
+ * @param {D1Database} db
+ * @param {string} tokenHash - SHA-256 of the session token
+ * @param {number} adminId
+ * @param {string} expiresAt - ISO date
+ */
+export async function createAdminSession(db, tokenHash, adminId, expiresAt) {
+  await db.prepare(`
+    INSERT INTO admin_sessions (token_hash, admin_id, expires_at)
+    VALUES (?, ?, ?)
+  `).bind(tokenHash, adminId, expiresAt).run();
+}
+
+/**
+ * Get the active account behind a session, if the session is still valid
+ * @param {D1Database} db
+ * @param {string} tokenHash
+ * @returns {Promise<object|null>}
+ */
+export async function getSessionAccount(db, tokenHash) {
+  return db.prepare(`
+    SELECT u.id, u.username, u.display_name, u.role, s.expires_at
+    FROM admin_sessions s
+    JOIN admin_users u ON u.id = s.admin_id
+    WHERE s.token_hash = ? AND s.expires_at > ? AND u.is_active = 1
+  `).bind(tokenHash, new Date().toISOString()).first();
+}
+
+/**
+ * Check if a session was issued for a token, even if it expired or its account is inactive
+ * @param {D1Database} db
+ * @param {string} tokenHash
+ * @returns {Promise<boolean>}
+ */
+export async function sessionExists(db, tokenHash) {
+  const result = await db.prepare(
+    'SELECT 1 FROM admin_sessions WHERE token_hash = ?'
+  ).bind(tokenHash).first();
+  return !!result;
+}
+
+/**
+ * Delete a session (logout)
+ * @param {D1Database} db
+ * @param {string} tokenHash
+ */
+export async function deleteAdminSession(db, tokenHash) {
+  await db.prepare('DELETE FROM admin_sessions WHERE token_hash = ?').bind(tokenHash).run();
+}
+
+/**
+ * Delete all sessions of an account (role change, deactivation, password reset)
+ * @param {D1Database} db
+ * @param {number} adminId
+ */
+export async function deleteAdminSessionsFor(db, adminId) {
+  await db.prepare('DELETE FROM admin_sessions WHERE admin_id = ?').bind(adminId).run();
+}
+
+/**
+ * Purge expired sessions
+ * @param {D1Database} db
+ * @returns {Promise<number>} Number of deleted sessions
+ */
+export async function purgeExpiredSessions(db) {
+  const result = await db.prepare(
+    'DELETE FROM admin_sessions WHERE expires_at <= ?'
+  ).bind(new Date().toISOString()).run();
+  return result.meta.changes;
+}
+
+/**
+ * Check if admin accounts tables exist
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function adminAccountsTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM admin_users LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
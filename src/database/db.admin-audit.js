@@ -0,0 +1,150 @@
+/**
+ * Admin audit log database operations
+ */
+
+/**
+ * Record an admin action
+ * @param {D1Database} db
+ * @param {object} entry
+ * @returns {Promise<number>} Entry ID
+ */
+export async function logAudit(db, entry) {
+  const {
+    actorId = null,
+    actorUsername,
+    actorRole,
+    action,
+    targetType = null,
+    targetId = null,
+    targetLabel = null,
+    before = null,
+    after = null
+  } = entry;
+
+  const result = await db.prepare(`
+    INSERT INTO admin_audit (actor_id, actor_username, actor_role, action, target_type, target_id, target_label, before_json, after_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    actorId,
+    actorUsername,
+    actorRole,
+    action,
+    targetType,
+    targetId === null ? null : String(targetId),
+    targetLabel,
+    before === null ? null : JSON.stringify(before),
+    after === null ? null : JSON.stringify(after)
+  ).run();
+
+  return result.meta.last_row_id;
+}
+
+/**
+ * Build the WHERE clause for audit filters
+ * @param {object} filters
+ * @returns {{where: string, values: Array}}
+ */
+function buildAuditFilters({ actor, action, targetType, targetId, from, to }) {
+  const conditions = [];
+  const values = [];
+
+  if (actor) {
+    conditions.push('actor_username = ?');
+    values.push(actor);
+  }
+  if (action) {
+    // "member" matches every member.* action
+    conditions.push(action.includes('.') ? 'action = ?' : "action LIKE ? || '.%'");
+    values.push(action);
+  }
+  if (targetType) {
+    conditions.push('target_type = ?');
+    values.push(targetType);
+  }
+  if (targetId) {
+    conditions.push('target_id = ?');
+    values.push(String(targetId));
+  }
+  if (from) {
+    conditions.push('created_at >= ?');
+    values.push(from);
+  }
+  if (to) {
+    // Date-only upper bound includes the whole day
+    conditions.push('created_at <= ?');
+    values.push(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to} 23:59:59` : to);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values
+  };
+}
+
+/**
+ * Get audit entries, most recent first
+ * @param {D1Database} db
+ * @param {object} options - Filters (actor, action, targetType, targetId, from, to) and paging
+ * @returns {Promise<{entries: Array, total: number}>}
+ */
+export async function getAuditEntries(db, { limit = 100, offset = 0, ...filters } = {}) {
+  const { where, values } = buildAuditFilters(filters);
+
+  const count = await db.prepare(
+    `SELECT COUNT(*) as total FROM admin_audit ${where}`
+  ).bind(...values).first();
+
+  const result = await db.prepare(
+    `SELECT * FROM admin_audit ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`
+  ).bind(...values, limit, offset).all();
+
+  return {
+    entries: result.results.map(row => ({
+      id: row.id,
+      actor_id: row.actor_id,
+      actor_username: row.actor_username,
+      actor_role: row.actor_role,
+      action: row.action,
+      target_type: row.target_type,
+      target_id: row.target_id,
+      target_label: row.target_label,
+      before: row.before_json ? JSON.parse(row.before_json) : null,
+      after: row.after_json ? JSON.parse(row.after_json) : null,
+      created_at: row.created_at
+    })),
+    total: count?.total || 0
+  };
+}
+
+/**
+ * Get the distinct actors and actions present in the log (for filter dropdowns)
+ * @param {D1Database} db
+ * @returns {Promise<{actors: string[], actions: string[]}>}
+ */
+export async function getAuditFacets(db) {
+  const actors = await db.prepare(
+    'SELECT DISTINCT actor_username FROM admin_audit ORDER BY actor_username'
+  ).all();
+  const actions = await db.prepare(
+    'SELECT DISTINCT action FROM admin_audit ORDER BY action'
+  ).all();
+
+  return {
+    actors: actors.results.map(r => r.actor_username),
+    actions: actions.results.map(r => r.action)
+  };
+}
+
+/**
+ * Check if admin_audit table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function adminAuditTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM admin_audit LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
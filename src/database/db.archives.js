@@ -1,17 +1,27 @@
 /**
  * Archives database operations
  * Handles yearly event archiving with GDPR-compliant data retention
+ *
+ * An archive is identified by its year and the event it was taken from
+ * (migration 029); archives imported without a known event have no event.
  */
 
 import { getSetting } from './db.settings.js';
+import { hmacHex, sha256Hex, timingSafeEqual } from '../shared/crypto.js';
 
 /**
  * Detect the current event year
- * Uses admin setting if available, otherwise infers from registration dates
+ * Uses the event's year, then the admin setting, otherwise infers from registration dates
  * @param {D1Database} db
+ * @param {number|null} [eventId]
  * @returns {Promise<number>}
  */
-export async function detectEventYear(db) {
+export async function detectEventYear(db, eventId = null) {
+  if (eventId !== null) {
+    const event = await db.prepare('SELECT event_year FROM events WHERE id = ?').bind(eventId).first();
+    if (event) return event.event_year;
+  }
+
   // First, check if admin has set the event year
   const settingYear = await getSetting(db, 'event_year');
   if (settingYear) {
@@ -58,15 +68,16 @@ export async function detectEventYear(db) {
 }
 
 /**
- * Check if an archive exists for a given year
+ * Check if an archive exists for a given year and event
  * @param {D1Database} db
  * @param {number} year
+ * @param {number|null} [eventId]
  * @returns {Promise<boolean>}
  */
-export async function archiveExists(db, year) {
+export async function archiveExists(db, year, eventId = null) {
   const result = await db.prepare(
-    'SELECT id FROM archives WHERE event_year = ?'
-  ).bind(year).first();
+    'SELECT id FROM archives WHERE event_year = ? AND event_id IS ?'
+  ).bind(year, eventId).first();
   return !!result;
 }
 
@@ -79,6 +90,7 @@ export async function getArchives(db) {
   const result = await db.prepare(`
     SELECT 
       id,
+      event_id,
       event_year,
       archived_at,
       expiration_date,
@@ -88,21 +100,169 @@ export async function getArchives(db) {
       total_revenue,
       stats_json
     FROM archives
-    ORDER BY event_year DESC
+    ORDER BY event_year DESC, id DESC
   `).all();
   return result.results;
 }
 
 /**
- * Get a specific archive by year with full data
+ * Count the members already seen in an earlier archive, matched by email
+ * Only archives that still hold emails (not expired) can be matched, so this is
+ * computed at archiving and stored in stats_json before anonymization
+ * @param {D1Database} db
+ * @param {number} year
+ * @param {Array} members - Members of that year, with their emails
+ * @returns {Promise<{count: number, total: number}>}
+ */
+export async function computeReturning(db, year, members) {
+  const result = await db.prepare(
+    'SELECT members_json FROM archives WHERE event_year < ? AND is_expired = 0'
+  ).bind(year).all();
+
+  const earlierEmails = new Set();
+  for (const archive of result.results) {
+    for (const member of JSON.parse(archive.members_json)) {
+      if (member.email) earlierEmails.add(member.email.trim().toLowerCase());
+    }
+  }
+
+  const count = members.filter(m => m.email && earlierEmails.has(m.email.trim().toLowerCase())).length;
+  return { count, total: members.length };
+}
+
+/**
+ * Participants of the archives that still hold emails, keyed by normalized email
+ * @param {D1Database} db
+ * @returns {Promise<Map<string, {years: number[], member: object}>>} member is the latest entry
+ */
+async function getArchivedParticipants(db) {
+  let archives;
+  try {
+    const result = await db.prepare(
+      'SELECT event_year, members_json FROM archives WHERE is_expired = 0 ORDER BY event_year DESC'
+    ).all();
+    archives = result.results;
+  } catch {
+    // Table might not exist
+    return new Map();
+  }
+
+  const participants = new Map();
+  for (const archive of archives) {
+    for (const member of JSON.parse(archive.members_json)) {
+      if (!member.email) continue;
+      const email = member.email.trim().toLowerCase();
+      const entry = participants.get(email);
+      if (!entry) {
+        participants.set(email, { years: [archive.event_year], member });
+      } else if (!entry.years.includes(archive.event_year)) {
+        entry.years.unshift(archive.event_year);
+      }
+    }
+  }
+  return participants;
+}
+
+/**
+ * Find a past participant by email in the non-expired archives
+ * @param {D1Database} db
+ * @param {string} email
+ * @returns {Promise<{years: number[], member: object}|null>} Years ascending, latest archived entry
+ */
+export async function findArchivedParticipant(db, email) {
+  const participants = await getArchivedParticipants(db);
+  return participants.get(String(email || '').trim().toLowerCase()) || null;
+}
+
+/**
+ * Set past_years (archived editions attended, ascending) on each member, matched by email
+ * @param {D1Database} db
+ * @param {Array} members - Mutated in place
+ * @returns {Promise<Array>}
+ */
+export async function addPastYears(db, members) {
+  const participants = await getArchivedParticipants(db);
+  for (const member of members) {
+    const entry = member.email ? participants.get(member.email.trim().toLowerCase()) : null;
+    member.past_years = entry ? entry.years : [];
+  }
+  return members;
+}
+
+/**
+ * Cumulative registrations by calendar day (MM-DD), so years can be overlaid
+ * @param {object} timeline - stats.registration_timeline
+ * @returns {Array<{day: string, total: number}>}
+ */
+function cumulativeRegistrations(timeline) {
+  const byDay = {};
+  for (const [date, count] of Object.entries(timeline || {})) {
+    const day = date.slice(5, 10);
+    byDay[day] = (byDay[day] || 0) + count;
+  }
+
+  let total = 0;
+  return Object.keys(byDay).sort().map(day => {
+    total += byDay[day];
+    return { day, total };
+  });
+}
+
+/**
+ * Year-over-year figures of every archive, oldest first
+ * Built from stats_json, which survives anonymization; returning counts missing
+ * from older archives are computed while their emails are still available
+ * @param {D1Database} db
+ * @returns {Promise<Array>}
+ */
+export async function getArchivesComparison(db) {
+  const result = await db.prepare(`
+    SELECT id, event_id, event_year, is_expired, total_teams, total_participants, total_revenue, stats_json
+    FROM archives
+    ORDER BY event_year, id
+  `).all();
+
+  const years = [];
+  for (const archive of result.results) {
+    const stats = JSON.parse(archive.stats_json || '{}');
+
+    let returning = stats.returning || null;
+    if (!returning && !archive.is_expired) {
+      const row = await db.prepare('SELECT members_json FROM archives WHERE id = ?').bind(archive.id).first();
+      returning = await computeReturning(db, archive.event_year, JSON.parse(row.members_json));
+    }
+
+    const checkedIn = stats.attendance?.checked_in || 0;
+    years.push({
+      event_id: archive.event_id,
+      event_year: archive.event_year,
+      is_expired: archive.is_expired,
+      total_teams: archive.total_teams,
+      total_participants: archive.total_participants,
+      total_revenue: archive.total_revenue,
+      participants_by_bac_level: stats.participants_by_bac_level || {},
+      food_preferences: stats.food_preferences || {},
+      checked_in: checkedIn,
+      check_in_rate: archive.total_participants > 0 ? checkedIn / archive.total_participants : null,
+      registrations: cumulativeRegistrations(stats.registration_timeline),
+      returning
+    });
+  }
+
+  return years;
+}
+
+/**
+ * Get a specific archive by year and event with full data
  * @param {D1Database} db
  * @param {number} year
+ * @param {number|null} [eventId]
  * @returns {Promise<object|null>}
  */
-export async function getArchiveByYear(db, year) {
+export async function getArchiveByYear(db, year, eventId = null) {
   const archive = await db.prepare(
-    'SELECT * FROM archives WHERE event_year = ?'
-  ).bind(year).first();
+    'SELECT * FROM archives WHERE event_year = ? AND event_id IS ?'
+  ).bind(year, eventId).first();
 
   if (!archive) return null;
 
@@ -117,12 +277,15 @@ export async function getArchiveByYear(db, year) {
 }
 
 /**
- * Create a new archive for the specified year
+ * Create a new archive for the specified year from an event's live data
+ * The archive belongs to that event
  * @param {D1Database} db
  * @param {number} year
+ * @param {number|null} [eventId]
+ * @param {string|null} [secret] - getChainSecret(), signs the creation in the hash chain
  * @returns {Promise<object>}
  */
-export async function createArchive(db, year) {
+export async function createArchive(db, year, eventId = null, secret = null) {
   // Get retention period from settings
   const retentionYears = Number.parseInt(await getSetting(db, 'gdpr_retention_years') || '3', 10);
   
@@ -131,12 +294,13 @@ export async function createArchive(db, year) {
   expirationDate.setFullYear(expirationDate.getFullYear() + retentionYears);
 
   // Fetch all data to archive
-  const teams = await fetchTeamsForArchive(db);
-  const members = await fetchMembersForArchive(db);
-  const paymentEvents = await fetchPaymentEventsForArchive(db);
+  const teams = await fetchTeamsForArchive(db, eventId);
+  const members = await fetchMembersForArchive(db, eventId);
+  const paymentEvents = await fetchPaymentEventsForArchive(db, eventId);
 
   // Calculate statistics
   const stats = calculateStats(teams, members, paymentEvents);
+  stats.returning = await computeReturning(db, year, members);
 
   // Calculate total revenue
   const totalRevenue = members.reduce((sum, m) => sum + (m.payment_amount || 0), 0);
@@ -153,6 +317,7 @@ export async function createArchive(db, year) {
   // Insert archive
   const result = await db.prepare(`
     INSERT INTO archives (
+      event_id,
       event_year,
       expiration_date,
       teams_json,
@@ -163,8 +328,9 @@ export async function createArchive(db, year) {
       total_participants,
       total_revenue,
       data_hash
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).bind(
+    eventId,
     year,
     expirationDate.toISOString(),
     teamsJson,
@@ -177,8 +343,20 @@ export async function createArchive(db, year) {
     dataHash
   ).run();
 
+  const link = await prepareHashChainLink(db, {
+    year,
+    eventId,
+    reason: 'created',
+    previousHash: null,
+    dataHash,
+    data: { teams, members, paymentEvents },
+    secret
+  });
+  if (link) await link.run();
+
   return {
     id: result.meta.last_row_id,
+    event_id: eventId,
     event_year: year,
     expiration_date: expirationDate.toISOString(),
     teams_json: teamsJson,
@@ -192,12 +370,199 @@ export async function createArchive(db, year) {
   };
 }
 
+/**
+ * Parse and check an archive JSON export, as downloaded from the export endpoint
+ * The envelope ({ filename, export }) is optional
+ * @param {object} file
+ * @returns {{valid: boolean, errors?: string[], value?: object}}
+ */
+export function parseArchiveExport(file) {
+  const data = file?.export ?? file;
+  const metadata = data?.metadata;
+  if (!metadata || typeof metadata !== 'object') {
+    return { valid: false, errors: ['metadata is required'] };
+  }
+
+  const errors = [];
+  const year = metadata.event_year;
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    errors.push('metadata.event_year must be a year between 2000 and 2100');
+  }
+  if (typeof metadata.expiration_date !== 'string' || Number.isNaN(Date.parse(metadata.expiration_date))) {
+    errors.push('metadata.expiration_date must be a date');
+  }
+  if (typeof metadata.data_hash !== 'string' || !metadata.data_hash) {
+    errors.push('metadata.data_hash is required');
+  }
+  for (const key of ['teams', 'participants', 'payment_events']) {
+    if (!Array.isArray(data[key])) errors.push(`${key} must be an array`);
+  }
+  if (data.statistics != null && typeof data.statistics !== 'object') {
+    errors.push('statistics must be an object');
+  }
+  if (metadata.event_slug != null && typeof metadata.event_slug !== 'string') {
+    errors.push('metadata.event_slug must be a string');
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const teams = data.teams;
+  const members = data.participants;
+  const paymentEvents = data.payment_events;
+  if (generateDataHash({ teams, members, paymentEvents }) !== metadata.data_hash) {
+    return { valid: false, errors: ['data_hash does not match the archived data'] };
+  }
+
+  return {
+    valid: true,
+    value: {
+      year,
+      eventSlug: metadata.event_slug || null,
+      archivedAt: metadata.archived_at || null,
+      expirationDate: metadata.expiration_date,
+      isExpired: metadata.is_expired ? 1 : 0,
+      teams,
+      members,
+      paymentEvents,
+      stats: data.statistics ?? calculateStats(teams, members, paymentEvents),
+      totalRevenue: metadata.total_revenue ?? members.reduce((sum, m) => sum + (m.payment_amount || 0), 0),
+      dataHash: metadata.data_hash
+    }
+  };
+}
+
+/**
+ * Store an archive parsed by parseArchiveExport, replacing any archive of the same year and event
+ * With restore, the archived teams and members are recreated in the same
+ * batch (see prepareRestoreStatements), so a failing restore leaves no
+ * imported archive behind.
+ * @param {D1Database} db
+ * @param {object} archive - parseArchiveExport value
+ * @param {number|null} [eventId] - Event the archive was taken from, null if unknown
+ * @param {string|null} [secret] - getChainSecret()
+ * @param {{restore?: boolean, restoreEventId?: number|null}} [options] - Event whose live tables receive the restored data
+ * @returns {Promise<{replaced: boolean, restored: {teams: number, members: number}|null}>}
+ */
+export async function importArchive(db, archive, eventId = null, secret = null, { restore = false, restoreEventId = null } = {}) {
+  const existing = await db.prepare(
+    'SELECT id, data_hash FROM archives WHERE event_year = ? AND event_id IS ?'
+  ).bind(archive.year, eventId).first();
+
+  const statements = [];
+  if (existing) {
+    statements.push(db.prepare('DELETE FROM archives WHERE id = ?').bind(existing.id));
+  }
+  statements.push(db.prepare(`
+    INSERT INTO archives (
+      event_id,
+      event_year,
+      archived_at,
+      expiration_date,
+      is_expired,
+      teams_json,
+      members_json,
+      payment_events_json,
+      stats_json,
+      total_teams,
+      total_participants,
+      total_revenue,
+      data_hash
+    ) VALUES (?, ?, COALESCE(?, datetime('now')), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    eventId,
+    archive.year,
+    archive.archivedAt,
+    archive.expirationDate,
+    archive.isExpired,
+    JSON.stringify(archive.teams),
+    JSON.stringify(archive.members),
+    JSON.stringify(archive.paymentEvents),
+    JSON.stringify(archive.stats),
+    archive.teams.length,
+    archive.members.length,
+    archive.totalRevenue,
+    archive.dataHash
+  ));
+
+  const link = await prepareHashChainLink(db, {
+    year: archive.year,
+    eventId,
+    reason: 'imported',
+    detail: { replaced: !!existing },
+    previousHash: existing?.data_hash ?? null,
+    dataHash: archive.dataHash,
+    data: { teams: archive.teams, members: archive.members, paymentEvents: archive.paymentEvents },
+    secret
+  });
+  if (link) statements.push(link);
+
+  let restored = null;
+  if (restore) {
+    const restoring = prepareRestoreStatements(db, archive, restoreEventId);
+    statements.push(...restoring.statements);
+    restored = { teams: restoring.teams, members: restoring.members };
+  }
+
+  await db.batch(statements);
+  return { replaced: !!existing, restored };
+}
+
+/**
+ * Prepare the statements recreating an archive's teams and members in an event's live tables, e.g. to rehearse a past event
+ * Teams are matched by name; members come back unpaid and not checked in, and
+ * anonymized ones get their archived id as last name to keep names unique.
+ * Trashed members holding a restored name are renamed, as on registration.
+ * @param {D1Database} db
+ * @param {{teams: Array, members: Array}} archive
+ * @param {number|null} eventId
+ * @returns {{statements: D1PreparedStatement[], teams: number, members: number}}
+ */
+function prepareRestoreStatements(db, { teams, members }, eventId) {
+  const teamNames = new Map(teams.map(team => [team.id, team.name]));
+
+  // A trashed team with the same name comes back from the trash
+  const statements = teams.flatMap(team => [
+    db.prepare('UPDATE teams SET deleted_at = NULL WHERE name = ? AND event_id IS ?').bind(team.name, eventId),
+    db.prepare(`
+      INSERT INTO teams (event_id, name, description)
+      SELECT ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM teams WHERE name = ? AND event_id IS ?)
+    `).bind(eventId, team.name, team.description || '', team.name, eventId)
+  ]);
+
+  const restored = members.filter(member => teamNames.has(member.team_id));
+  for (const member of restored) {
+    const lastName = member.last_name || String(member.id);
+    statements.push(db.prepare(`
+      UPDATE members SET last_name = last_name || '#' || id
+      WHERE first_name = ? AND last_name = ? AND deleted_at IS NOT NULL AND event_id IS ?
+    `).bind(member.first_name, lastName, eventId));
+    statements.push(db.prepare(`
+      INSERT INTO members (event_id, team_id, first_name, last_name, email, bac_level, is_leader, food_diet)
+      VALUES (?, (SELECT id FROM teams WHERE name = ? AND event_id IS ?), ?, ?, ?, ?, ?, ?)
+    `).bind(
+      eventId,
+      teamNames.get(member.team_id),
+      eventId,
+      member.first_name,
+      lastName,
+      member.email || '',
+      member.bac_level || 0,
+      member.is_leader ? 1 : 0,
+      member.food_diet || ''
+    ));
+  }
+
+  return { statements, teams: teams.length, members: restored.length };
+}
+
 /**
  * Fetch teams for archiving (excludes password_hash)
  * @param {D1Database} db
+ * @param {number|null} eventId
  * @returns {Promise<Array>}
  */
-async function fetchTeamsForArchive(db) {
+async function fetchTeamsForArchive(db, eventId) {
   // Check if room_id column exists
   let hasRoomId = true;
   try {
@@ -213,14 +578,15 @@ async function fetchTeamsForArchive(db) {
   const result = await db.prepare(`
     SELECT ${selectCols}
     FROM teams
+    WHERE deleted_at IS NULL AND event_id IS ?
     ORDER BY name
-  `).all();
+  `).bind(eventId).all();
 
   // Add member count to each team
   const teams = result.results;
   for (const team of teams) {
     const countResult = await db.prepare(
-      'SELECT COUNT(*) as count FROM members WHERE team_id = ?'
+      'SELECT COUNT(*) as count FROM members WHERE team_id = ? AND deleted_at IS NULL'
     ).bind(team.id).first();
     team.member_count = countResult?.count || 0;
     // Ensure room_id field exists
@@ -235,9 +601,10 @@ async function fetchTeamsForArchive(db) {
 /**
  * Fetch members for archiving
  * @param {D1Database} db
+ * @param {number|null} eventId
  * @returns {Promise<Array>}
  */
-async function fetchMembersForArchive(db) {
+async function fetchMembersForArchive(db, eventId) {
   const result = await db.prepare(`
     SELECT 
       id,
@@ -260,17 +627,19 @@ async function fetchMembersForArchive(db) {
       payment_confirmed_at,
       payment_tier
     FROM members
+    WHERE deleted_at IS NULL AND event_id IS ?
     ORDER BY team_id, last_name, first_name
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
 
 /**
  * Fetch payment events for archiving
  * @param {D1Database} db
+ * @param {number|null} eventId
  * @returns {Promise<Array>}
  */
-async function fetchPaymentEventsForArchive(db) {
+async function fetchPaymentEventsForArchive(db, eventId) {
   try {
     const result = await db.prepare(`
       SELECT 
@@ -283,8 +652,9 @@ async function fetchPaymentEventsForArchive(db) {
         metadata,
         created_at
       FROM payment_events
+      WHERE event_id IS ?
       ORDER BY created_at
-    `).all();
+    `).bind(eventId).all();
     return result.results;
   } catch {
     // Table might not exist
@@ -374,6 +744,250 @@ export function generateDataHash(data) {
   return Math.abs(hash).toString(16).padStart(8, '0');
 }
 
+/**
+ * Parse the archived data of an archive row
+ * @param {object} archive - Row of the archives table
+ * @returns {{teams: Array, members: Array, paymentEvents: Array}}
+ */
+function parseArchiveData(archive) {
+  return {
+    teams: JSON.parse(archive.teams_json),
+    members: JSON.parse(archive.members_json),
+    paymentEvents: archive.payment_events_json ? JSON.parse(archive.payment_events_json) : []
+  };
+}
+
+/**
+ * Recompute the integrity hash of an archive row from its stored JSON
+ * @param {object} archive - Row of the archives table
+ * @returns {string}
+ */
+export function computeArchiveHash(archive) {
+  return generateDataHash(parseArchiveData(archive));
+}
+
+// Signed links store "hmac:<hex>"; older links hold an unkeyed generateDataHash
+const SIGNED_LINK_PREFIX = 'hmac:';
+
+/**
+ * Get the key signing the archive hash chain (ARCHIVE_CHAIN_SECRET, falling back to ADMIN_TOKEN)
+ * @param {object} env
+ * @returns {string|null}
+ */
+export function getChainSecret(env) {
+  return env.ARCHIVE_CHAIN_SECRET || env.ADMIN_TOKEN || null;
+}
+
+/**
+ * Unkeyed hash of a link chained before migration 030
+ * Anyone with database access can recompute it, so it only detects accidents
+ * @param {string|null} previousLinkHash
+ * @param {object} link - Chain row
+ * @returns {string}
+ */
+function computeLegacyLinkHash(previousLinkHash, link) {
+  return generateDataHash({
+    previous: previousLinkHash,
+    event_year: link.event_year,
+    reason: link.reason,
+    detail: link.detail,
+    previous_hash: link.previous_hash,
+    data_hash: link.data_hash,
+    created_at: link.created_at
+  });
+}
+
+/**
+ * HMAC-SHA256 of a chain link, covering the previous link so no entry can be
+ * edited or removed without breaking every later one
+ * @param {string} secret
+ * @param {string|null} previousLinkHash
+ * @param {object} link - Chain row (without id and link_hash)
+ * @returns {Promise<string>}
+ */
+async function signLink(secret, previousLinkHash, link) {
+  const message = JSON.stringify({
+    previous: previousLinkHash,
+    event_year: link.event_year,
+    event_id: link.event_id ?? null,
+    reason: link.reason,
+    detail: link.detail,
+    previous_hash: link.previous_hash,
+    data_hash: link.data_hash,
+    data_digest: link.data_digest,
+    created_at: link.created_at
+  });
+  return SIGNED_LINK_PREFIX + await hmacHex(secret, message);
+}
+
+/**
+ * Check if the archive hash chain is available (migrations 021 and 030)
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function hashChainTableExists(db) {
+  try {
+    await db.prepare('SELECT data_digest FROM archive_hash_chain LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Prepare the statement appending a legitimate mutation to an archive's hash chain
+ * Run it (or batch it with the mutation) after the archive update
+ * @param {D1Database} db
+ * @param {object} change
+ * @param {number} change.year
+ * @param {number|null} [change.eventId]
+ * @param {string} change.reason - 'created', 'imported', 'expiration', 'erasure' or 'deleted'
+ * @param {object} [change.detail]
+ * @param {string|null} change.previousHash - data_hash before the mutation
+ * @param {string} change.dataHash - data_hash after the mutation, empty once deleted
+ * @param {object|null} [change.data] - Archived data after the mutation, digested with SHA-256
+ * @param {string|null} change.secret - getChainSecret()
+ * @returns {Promise<D1PreparedStatement|null>} null if the chain is not migrated
+ */
+export async function prepareHashChainLink(db, { year, eventId = null, reason, detail = null, previousHash, dataHash, data = null, secret }) {
+  if (!await hashChainTableExists(db)) return null;
+  if (!secret) {
+    throw new Error('ARCHIVE_CHAIN_SECRET is not configured');
+  }
+
+  const last = await db.prepare(
+    'SELECT link_hash FROM archive_hash_chain WHERE event_year = ? AND event_id IS ? ORDER BY id DESC LIMIT 1'
+  ).bind(year, eventId).first();
+
+  const link = {
+    event_year: year,
+    event_id: eventId,
+    reason,
+    detail: detail ? JSON.stringify(detail) : null,
+    previous_hash: previousHash,
+    data_hash: dataHash,
+    data_digest: data ? await sha256Hex(JSON.stringify(data)) : null,
+    created_at: new Date().toISOString()
+  };
+
+  return db.prepare(`
+    INSERT INTO archive_hash_chain (event_year, event_id, reason, detail, previous_hash, data_hash, data_digest, link_hash, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    link.event_year,
+    link.event_id,
+    link.reason,
+    link.detail,
+    link.previous_hash,
+    link.data_hash,
+    link.data_digest,
+    await signLink(secret, last?.link_hash ?? null, link),
+    link.created_at
+  );
+}
+
+/**
+ * Recompute an archive's hash and check it against the stored hash and chain
+ * status is 'valid' only when the chain starts with the archive's creation or
+ * import and its latest link is signed and matches the data. It is
+ * 'unverifiable' when the history is incomplete: archives created before the
+ * chain (no link, or a first link that isn't 'created' or 'imported') and
+ * chains never signed since migration 030. Anything else is 'tampered'.
+ * @param {D1Database} db
+ * @param {number} year
+ * @param {number|null} [eventId]
+ * @param {string|null} [secret] - getChainSecret()
+ * @returns {Promise<object|null>} null if the archive does not exist
+ */
+export async function verifyArchive(db, year, eventId = null, secret = null) {
+  const archive = await db.prepare(
+    'SELECT * FROM archives WHERE event_year = ? AND event_id IS ?'
+  ).bind(year, eventId).first();
+
+  if (!archive) return null;
+
+  const data = parseArchiveData(archive);
+  const computedHash = generateDataHash(data);
+  const dataValid = computedHash === archive.data_hash;
+
+  const chainAvailable = await hashChainTableExists(db);
+  let chain = [];
+  if (chainAvailable) {
+    const result = await db.prepare(
+      'SELECT * FROM archive_hash_chain WHERE event_year = ? AND event_id IS ? ORDER BY id'
+    ).bind(year, eventId).all();
+    chain = result.results;
+  }
+  if (chain.some(link => link.link_hash.startsWith(SIGNED_LINK_PREFIX)) && !secret) {
+    throw new Error('ARCHIVE_CHAIN_SECRET is not configured');
+  }
+
+  let chainValid = true;
+  let previousLinkHash = null;
+  let signedBefore = false;
+  const links = [];
+  for (const [i, link] of chain.entries()) {
+    // A link starts from the previous data hash; after a deletion, from nothing
+    const followsPrevious = i === 0 || link.previous_hash === (chain[i - 1].data_hash || null);
+    const signed = link.link_hash.startsWith(SIGNED_LINK_PREFIX);
+    const expectedHash = signed
+      ? await signLink(secret, previousLinkHash, link)
+      : computeLegacyLinkHash(previousLinkHash, link);
+    // An unsigned link after a signed one can only be a forgery
+    const valid = followsPrevious && (signed || !signedBefore) && timingSafeEqual(link.link_hash, expectedHash);
+    if (!valid) chainValid = false;
+    previousLinkHash = link.link_hash;
+    signedBefore = signedBefore || signed;
+
+    links.push({
+      reason: link.reason,
+      detail: link.detail ? JSON.parse(link.detail) : null,
+      previous_hash: link.previous_hash,
+      data_hash: link.data_hash,
+      created_at: link.created_at,
+      signed,
+      valid
+    });
+  }
+
+  // Links of the current archive, after any earlier deletion
+  const current = chain.slice(chain.findLastIndex(link => link.reason === 'deleted') + 1);
+  const last = current.at(-1);
+  if (chain.length > 0 && last?.data_hash !== archive.data_hash) {
+    chainValid = false;
+  }
+  if (last?.data_digest && last.data_digest !== await sha256Hex(JSON.stringify(data))) {
+    chainValid = false;
+  }
+  const complete = current.length > 0 && ['created', 'imported'].includes(current[0].reason);
+  const signed = !!last && last.link_hash.startsWith(SIGNED_LINK_PREFIX);
+
+  let status = 'tampered';
+  if (!chainAvailable) {
+    // Before the chain migrations only the data hash can be checked
+    if (dataValid) status = 'valid';
+    else if (archive.is_expired) status = 'unverifiable';
+  } else if (chain.length === 0) {
+    // Expired archives anonymized before the chain no longer match their hash
+    if (dataValid || archive.is_expired) status = 'unverifiable';
+  } else if (dataValid && chainValid) {
+    status = complete && signed ? 'valid' : 'unverifiable';
+  }
+
+  return {
+    event_id: archive.event_id,
+    event_year: archive.event_year,
+    status,
+    stored_hash: archive.data_hash,
+    computed_hash: computedHash,
+    data_valid: dataValid,
+    chain_valid: chainValid,
+    chain_complete: complete,
+    chain_signed: signed,
+    chain: links
+  };
+}
+
 /**
  * Anonymize member data for GDPR compliance
  * @param {Array} members
@@ -409,12 +1023,14 @@ export function anonymizePaymentEvents(events) {
  * Check if an archive has expired and apply anonymization if needed
  * @param {D1Database} db
  * @param {number} year
+ * @param {number|null} [eventId]
+ * @param {string|null} [secret] - getChainSecret()
  * @returns {Promise<{expired: boolean, updated: boolean}>}
  */
-export async function checkAndApplyExpiration(db, year) {
+export async function checkAndApplyExpiration(db, year, eventId = null, secret = null) {
   const archive = await db.prepare(
-    'SELECT * FROM archives WHERE event_year = ?'
-  ).bind(year).first();
+    'SELECT * FROM archives WHERE event_year = ? AND event_id IS ?'
+  ).bind(year, eventId).first();
 
   if (!archive) {
     return { expired: false, updated: false };
@@ -433,8 +1049,14 @@ export async function checkAndApplyExpiration(db, year) {
     return { expired: false, updated: false };
   }
 
-  // Apply anonymization
+  // Keep the returning count, which needs emails, before they are removed
   const members = JSON.parse(archive.members_json);
+  const stats = JSON.parse(archive.stats_json || '{}');
+  if (!stats.returning) {
+    stats.returning = await computeReturning(db, year, members);
+  }
+
+  // Apply anonymization
   const anonymizedMembers = anonymizeMembers(members);
 
   const paymentEvents = archive.payment_events_json 
@@ -442,19 +1064,44 @@ export async function checkAndApplyExpiration(db, year) {
     : [];
   const anonymizedEvents = anonymizePaymentEvents(paymentEvents);
 
-  // Update archive with anonymized data
-  await db.prepare(`
-    UPDATE archives 
-    SET 
-      members_json = ?,
-      payment_events_json = ?,
-      is_expired = 1
-    WHERE event_year = ?
-  `).bind(
-    JSON.stringify(anonymizedMembers),
-    JSON.stringify(anonymizedEvents),
-    year
-  ).run();
+  // Rehash the anonymized data and chain the change
+  const data = {
+    teams: JSON.parse(archive.teams_json),
+    members: anonymizedMembers,
+    paymentEvents: anonymizedEvents
+  };
+  const dataHash = generateDataHash(data);
+
+  const statements = [
+    db.prepare(`
+      UPDATE archives 
+      SET 
+        members_json = ?,
+        payment_events_json = ?,
+        stats_json = ?,
+        data_hash = ?,
+        is_expired = 1
+      WHERE id = ?
+    `).bind(
+      JSON.stringify(anonymizedMembers),
+      JSON.stringify(anonymizedEvents),
+      JSON.stringify(stats),
+      dataHash,
+      archive.id
+    )
+  ];
+  const link = await prepareHashChainLink(db, {
+    year,
+    eventId,
+    reason: 'expiration',
+    detail: { expiration_date: archive.expiration_date },
+    previousHash: archive.data_hash,
+    dataHash,
+    data,
+    secret
+  });
+  if (link) statements.push(link);
+  await db.batch(statements);
 
   return { expired: true, updated: true };
 }
@@ -462,16 +1109,17 @@ export async function checkAndApplyExpiration(db, year) {
 /**
  * Check all archives for expiration
  * @param {D1Database} db
- * @returns {Promise<Array<{year: number, expired: boolean, updated: boolean}>>}
+ * @param {string|null} [secret] - getChainSecret()
+ * @returns {Promise<Array<{year: number, eventId: number|null, expired: boolean, updated: boolean}>>}
  */
-export async function checkAllExpirations(db) {
+export async function checkAllExpirations(db, secret = null) {
   const archives = await getArchives(db);
   const results = [];
 
   for (const archive of archives) {
     if (!archive.is_expired) {
-      const result = await checkAndApplyExpiration(db, archive.event_year);
-      results.push({ year: archive.event_year, ...result });
+      const result = await checkAndApplyExpiration(db, archive.event_year, archive.event_id, secret);
+      results.push({ year: archive.event_year, eventId: archive.event_id, ...result });
     }
   }
 
@@ -479,16 +1127,22 @@ export async function checkAllExpirations(db) {
 }
 
 /**
- * Reset all event data (teams, members, payments)
- * Does NOT affect archives
+ * Reset an event's data (teams, members, payments, waitlist)
+ * Does NOT affect archives, settings or other events
  * @param {D1Database} db
+ * @param {number|null} [eventId]
  * @returns {Promise<{teams: number, members: number, payments: number}>}
  */
-export async function resetAllData(db) {
+export async function resetAllData(db, eventId = null) {
   // Delete in order to respect foreign keys
-  const paymentsResult = await db.prepare('DELETE FROM payment_events').run();
-  const membersResult = await db.prepare('DELETE FROM members').run();
-  const teamsResult = await db.prepare('DELETE FROM teams').run();
+  const paymentsResult = await db.prepare('DELETE FROM payment_events WHERE event_id IS ?').bind(eventId).run();
+  const membersResult = await db.prepare('DELETE FROM members WHERE event_id IS ?').bind(eventId).run();
+  const teamsResult = await db.prepare('DELETE FROM teams WHERE event_id IS ?').bind(eventId).run();
+  try {
+    await db.prepare('DELETE FROM waitlist WHERE event_id IS ?').bind(eventId).run();
+  } catch {
+    // Table might not exist
+  }
 
   return {
     teams: teamsResult.meta.changes,
@@ -498,17 +1152,22 @@ export async function resetAllData(db) {
 }
 
 /**
- * Get data counts for reset confirmation
+ * Get an event's data counts for reset confirmation
  * @param {D1Database} db
+ * @param {number|null} [eventId]
  * @returns {Promise<{teams: number, members: number, payments: number}>}
  */
-export async function getDataCounts(db) {
-  const teamsCount = await db.prepare('SELECT COUNT(*) as count FROM teams').first();
-  const membersCount = await db.prepare('SELECT COUNT(*) as count FROM members').first();
+export async function getDataCounts(db, eventId = null) {
+  const teamsCount = await db.prepare(
+    'SELECT COUNT(*) as count FROM teams WHERE deleted_at IS NULL AND event_id IS ?'
+  ).bind(eventId).first();
+  const membersCount = await db.prepare(
+    'SELECT COUNT(*) as count FROM members WHERE deleted_at IS NULL AND event_id IS ?'
+  ).bind(eventId).first();
 
   let paymentsCount = { count: 0 };
   try {
-    paymentsCount = await db.prepare('SELECT COUNT(*) as count FROM payment_events').first();
+    paymentsCount = await db.prepare('SELECT COUNT(*) as count FROM payment_events WHERE event_id IS ?').bind(eventId).first();
   } catch {
     // Table might not exist
   }
@@ -521,15 +1180,31 @@ export async function getDataCounts(db) {
 }
 
 /**
- * Delete an archive by year
+ * Delete an archive by year and event
  * WARNING: This is destructive and should only be used in development
+ * The hash chain is kept and records the deletion
  * @param {D1Database} db
  * @param {number} year
+ * @param {number|null} [eventId]
+ * @param {string|null} [secret] - getChainSecret()
  * @returns {Promise<boolean>}
  */
-export async function deleteArchive(db, year) {
-  const result = await db.prepare(
-    'DELETE FROM archives WHERE event_year = ?'
-  ).bind(year).run();
-  return result.meta.changes > 0;
+export async function deleteArchive(db, year, eventId = null, secret = null) {
+  const archive = await db.prepare(
+    'SELECT id, data_hash FROM archives WHERE event_year = ? AND event_id IS ?'
+  ).bind(year, eventId).first();
+  if (!archive) return false;
+
+  const statements = [db.prepare('DELETE FROM archives WHERE id = ?').bind(archive.id)];
+  const link = await prepareHashChainLink(db, {
+    year,
+    eventId,
+    reason: 'deleted',
+    previousHash: archive.data_hash,
+    dataHash: '',
+    secret
+  });
+  if (link) statements.push(link);
+  await db.batch(statements);
+  return true;
 }
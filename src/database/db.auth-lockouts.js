@@ -0,0 +1,126 @@
+/**
+ * Failed authentication attempts
+ * One row per scope, target and client IP; see src/shared/lockouts.js.
+ */
+
+/**
+ * Get the failures of a client on a target
+ * @param {D1Database} db
+ * @param {{scope: string, target: string, ip: string}} key
+ * @returns {Promise<{id: number, failures: number, retry_after: number}|null>} retry_after is 0 when not locked
+ */
+export async function getAuthFailure(db, { scope, target, ip }) {
+  return db.prepare(`
+    SELECT
+      id, failures,
+      CASE WHEN locked_until > datetime('now')
+        THEN CAST(ROUND((julianday(locked_until) - julianday('now')) * 86400) AS INTEGER)
+        ELSE 0
+      END as retry_after
+    FROM auth_failures
+    WHERE scope = ? AND target = ? AND ip = ?
+  `).bind(scope, target, ip).first();
+}
+
+/**
+ * Count one more failure
+ * Failures older than the window no longer count: the counter starts over.
+ * @param {D1Database} db
+ * @param {{scope: string, target: string, ip: string}} key
+ * @param {number} windowHours
+ * @returns {Promise<{id: number, failures: number}>}
+ */
+export async function recordAuthFailure(db, { scope, target, ip }, windowHours) {
+  return db.prepare(`
+    INSERT INTO auth_failures (scope, target, ip, failures)
+    VALUES (?, ?, ?, 1)
+    ON CONFLICT(scope, target, ip) DO UPDATE SET
+      failures = CASE WHEN last_failure_at < datetime('now', ?) THEN 1 ELSE failures + 1 END,
+      first_failure_at = CASE WHEN last_failure_at < datetime('now', ?) THEN datetime('now') ELSE first_failure_at END,
+      last_failure_at = datetime('now')
+    RETURNING id, failures
+  `).bind(scope, target, ip, `-${windowHours} hours`, `-${windowHours} hours`).first();
+}
+
+/**
+ * Lock a row for a number of seconds
+ * @param {D1Database} db
+ * @param {number} id
+ * @param {number} seconds
+ * @returns {Promise<void>}
+ */
+export async function lockAuthFailure(db, id, seconds) {
+  await db.prepare(
+    'UPDATE auth_failures SET locked_until = datetime(\'now\', ?) WHERE id = ?'
+  ).bind(`+${seconds} seconds`, id).run();
+}
+
+/**
+ * Forget the failures of a row (success or manual unlock)
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteAuthFailure(db, id) {
+  const result = await db.prepare('DELETE FROM auth_failures WHERE id = ?').bind(id).run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * List current lockouts, with the team name for team targets
+ * @param {D1Database} db
+ * @returns {Promise<Array>}
+ */
+export async function getActiveLockouts(db) {
+  const result = await db.prepare(`
+    SELECT
+      f.id, f.scope, f.target, f.ip, f.failures, f.locked_until, f.first_failure_at, f.last_failure_at,
+      t.name as team_name
+    FROM auth_failures f
+    LEFT JOIN teams t ON f.scope = 'team' AND t.id = CAST(f.target AS INTEGER)
+    WHERE f.locked_until > datetime('now')
+    ORDER BY f.locked_until DESC
+  `).all();
+  return result.results;
+}
+
+/**
+ * Get a row by ID
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+export async function getAuthFailureById(db, id) {
+  return db.prepare(
+    'SELECT id, scope, target, ip, failures, locked_until FROM auth_failures WHERE id = ?'
+  ).bind(id).first();
+}
+
+/**
+ * Delete rows whose last failure is older than a number of hours and that are no longer locked
+ * @param {D1Database} db
+ * @param {number} hours
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function purgeAuthFailures(db, hours) {
+  const result = await db.prepare(`
+    DELETE FROM auth_failures
+    WHERE last_failure_at < datetime('now', ?)
+      AND (locked_until IS NULL OR locked_until <= datetime('now'))
+  `).bind(`-${hours} hours`).run();
+  return result.meta.changes;
+}
+
+/**
+ * Check if auth_failures table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function authFailuresTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM auth_failures LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
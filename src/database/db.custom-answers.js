@@ -0,0 +1,90 @@
+/**
+ * Custom question answers database operations
+ * Answers are JSON objects in the custom_answers column of members, teams and
+ * waitlist (migration 028).
+ */
+
+import { parseAnswers } from '../shared/custom-fields.js';
+
+/**
+ * Check if the custom_answers columns exist
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function customAnswersColumnExists(db) {
+  try {
+    await db.prepare('SELECT custom_answers FROM members LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Save the answers of newly registered members
+ * @param {D1Database} db
+ * @param {Array<{id: number, customAnswers?: object}>} members
+ * @returns {Promise<void>}
+ */
+export async function setMembersAnswers(db, members) {
+  const answered = members.filter(m => m.customAnswers && Object.keys(m.customAnswers).length > 0);
+  if (answered.length === 0) return;
+
+  await db.batch(answered.map(m => db.prepare(
+    'UPDATE members SET custom_answers = ? WHERE id = ?'
+  ).bind(JSON.stringify(m.customAnswers), m.id)));
+}
+
+/**
+ * Save the answers of a team
+ * @param {D1Database} db
+ * @param {number} teamId
+ * @param {object|null} answers
+ * @returns {Promise<void>}
+ */
+export async function setTeamAnswers(db, teamId, answers) {
+  if (!answers || Object.keys(answers).length === 0) return;
+  await db.prepare(
+    'UPDATE teams SET custom_answers = ? WHERE id = ?'
+  ).bind(JSON.stringify(answers), teamId).run();
+}
+
+/**
+ * Keep the team answers of a waitlist entry until its promotion
+ * @param {D1Database} db
+ * @param {number} entryId
+ * @param {object|null} answers
+ * @returns {Promise<void>}
+ */
+export async function setWaitlistAnswers(db, entryId, answers) {
+  if (!answers || Object.keys(answers).length === 0) return;
+  await db.prepare(
+    'UPDATE waitlist SET custom_answers = ? WHERE id = ?'
+  ).bind(JSON.stringify(answers), entryId).run();
+}
+
+/**
+ * Map an event's member IDs to their answers
+ * @param {D1Database} db
+ * @param {number|null} [eventId]
+ * @returns {Promise<Map<number, object>>}
+ */
+export async function getMemberAnswers(db, eventId = null) {
+  const result = await db.prepare(
+    'SELECT id, custom_answers FROM members WHERE custom_answers IS NOT NULL AND deleted_at IS NULL AND event_id IS ?'
+  ).bind(eventId).all();
+  return new Map(result.results.map(row => [row.id, parseAnswers(row.custom_answers)]));
+}
+
+/**
+ * Map an event's team IDs to their answers
+ * @param {D1Database} db
+ * @param {number|null} [eventId]
+ * @returns {Promise<Map<number, object>>}
+ */
+export async function getTeamAnswers(db, eventId = null) {
+  const result = await db.prepare(
+    'SELECT id, custom_answers FROM teams WHERE custom_answers IS NOT NULL AND deleted_at IS NULL AND event_id IS ?'
+  ).bind(eventId).all();
+  return new Map(result.results.map(row => [row.id, parseAnswers(row.custom_answers)]));
+}
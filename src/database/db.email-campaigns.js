@@ -0,0 +1,126 @@
+/**
+ * Bulk message (email campaign) database operations
+ * Campaigns belong to the event whose members they were sent to (migration 033).
+ */
+
+/**
+ * Store a campaign and queue one outbox message per recipient
+ * @param {D1Database} db
+ * @param {object} campaign - { subject, body, audience, createdBy, eventId }
+ * @param {Array<{recipient: string, subject: string, bodyText: string, bodyHtml: string}>} messages
+ * @returns {Promise<number>} Campaign ID
+ */
+export async function createCampaign(db, campaign, messages) {
+  const { subject, body, audience, createdBy = null, eventId = null } = campaign;
+
+  const result = await db.prepare(`
+    INSERT INTO email_campaigns (event_id, subject, body, audience_json, recipient_count, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(eventId, subject, body, JSON.stringify(audience), messages.length, createdBy).run();
+  const campaignId = result.meta.last_row_id;
+
+  if (messages.length > 0) {
+    await db.batch(messages.map(m => db.prepare(`
+      INSERT INTO email_outbox (template, recipient, subject, body_text, body_html, campaign_id)
+      VALUES ('message', ?, ?, ?, ?, ?)
+    `).bind(m.recipient, m.subject, m.bodyText, m.bodyHtml, campaignId)));
+  }
+
+  return campaignId;
+}
+
+/**
+ * Get a campaign with its delivery counts
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+export async function getCampaignById(db, id) {
+  return db.prepare(`
+    SELECT
+      c.*,
+      SUM(CASE WHEN o.status = 'sent' THEN 1 ELSE 0 END) as sent_count,
+      SUM(CASE WHEN o.status = 'failed' THEN 1 ELSE 0 END) as failed_count,
+      SUM(CASE WHEN o.status = 'pending' THEN 1 ELSE 0 END) as pending_count
+    FROM email_campaigns c
+    LEFT JOIN email_outbox o ON o.campaign_id = c.id
+    WHERE c.id = ?
+    GROUP BY c.id
+  `).bind(id).first();
+}
+
+/**
+ * Get an event's campaigns with their delivery counts, most recent first
+ * @param {D1Database} db
+ * @param {number|null} [eventId]
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+export async function getCampaigns(db, eventId = null, limit = 50) {
+  const result = await db.prepare(`
+    SELECT
+      c.id,
+      c.subject,
+      c.audience_json,
+      c.recipient_count,
+      c.created_by,
+      c.created_at,
+      SUM(CASE WHEN o.status = 'sent' THEN 1 ELSE 0 END) as sent_count,
+      SUM(CASE WHEN o.status = 'failed' THEN 1 ELSE 0 END) as failed_count,
+      SUM(CASE WHEN o.status = 'pending' THEN 1 ELSE 0 END) as pending_count
+    FROM email_campaigns c
+    LEFT JOIN email_outbox o ON o.campaign_id = c.id
+    WHERE c.event_id IS ?
+    GROUP BY c.id
+    ORDER BY c.created_at DESC, c.id DESC
+    LIMIT ?
+  `).bind(eventId, limit).all();
+  return result.results;
+}
+
+/**
+ * Per-recipient delivery report of a campaign
+ * @param {D1Database} db
+ * @param {number} campaignId
+ * @returns {Promise<Array>}
+ */
+export async function getCampaignRecipients(db, campaignId) {
+  const result = await db.prepare(`
+    SELECT id, recipient, status, attempts, last_error, last_attempt_at, sent_at
+    FROM email_outbox
+    WHERE campaign_id = ?
+    ORDER BY id
+  `).bind(campaignId).all();
+  return result.results;
+}
+
+/**
+ * Get the next messages of a campaign waiting to be sent
+ * @param {D1Database} db
+ * @param {number} campaignId
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+export async function getPendingCampaignEmails(db, campaignId, limit) {
+  const result = await db.prepare(`
+    SELECT * FROM email_outbox
+    WHERE campaign_id = ? AND status = 'pending'
+    ORDER BY id
+    LIMIT ?
+  `).bind(campaignId, limit).all();
+  return result.results;
+}
+
+/**
+ * Check if email_campaigns table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function emailCampaignsTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM email_campaigns LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Email outbox database operations
+ */
+
+/**
+ * Store an outgoing email
+ * @param {D1Database} db
+ * @param {object} message - { template, recipient, subject, bodyText, bodyHtml }
+ * @returns {Promise<number>} Message ID
+ */
+export async function enqueueEmail(db, message) {
+  const { template, recipient, subject, bodyText, bodyHtml = null } = message;
+
+  const result = await db.prepare(`
+    INSERT INTO email_outbox (template, recipient, subject, body_text, body_html)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(template, recipient, subject, bodyText, bodyHtml).run();
+
+  return result.meta.last_row_id;
+}
+
+/**
+ * Get a message by ID
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+export async function getEmailById(db, id) {
+  return db.prepare('SELECT * FROM email_outbox WHERE id = ?').bind(id).first();
+}
+
+/**
+ * Mark a message as delivered
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export async function markEmailSent(db, id) {
+  await db.prepare(`
+    UPDATE email_outbox
+    SET status = 'sent',
+        attempts = attempts + 1,
+        last_error = NULL,
+        last_attempt_at = datetime('now'),
+        sent_at = datetime('now')
+    WHERE id = ?
+  `).bind(id).run();
+}
+
+/**
+ * Record a failed delivery attempt
+ * @param {D1Database} db
+ * @param {number} id
+ * @param {string} errorMessage
+ * @returns {Promise<void>}
+ */
+export async function markEmailFailed(db, id, errorMessage) {
+  await db.prepare(`
+    UPDATE email_outbox
+    SET status = 'failed',
+        attempts = attempts + 1,
+        last_error = ?,
+        last_attempt_at = datetime('now')
+    WHERE id = ?
+  `).bind(String(errorMessage).slice(0, 500), id).run();
+}
+
+/**
+ * Get outbox messages, most recent first
+ * @param {D1Database} db
+ * @param {object} options - { status, limit, offset }
+ * @returns {Promise<{messages: Array, total: number}>}
+ */
+export async function getOutbox(db, { status = null, limit = 100, offset = 0 } = {}) {
+  const where = status ? 'WHERE status = ?' : '';
+  const values = status ? [status] : [];
+
+  const count = await db.prepare(
+    `SELECT COUNT(*) as total FROM email_outbox ${where}`
+  ).bind(...values).first();
+
+  const result = await db.prepare(`
+    SELECT id, template, recipient, subject, status, attempts, last_error, created_at, last_attempt_at, sent_at
+    FROM email_outbox ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).bind(...values, limit, offset).all();
+
+  return { messages: result.results, total: count?.total || 0 };
+}
+
+/**
+ * Count messages by status
+ * @param {D1Database} db
+ * @returns {Promise<{pending: number, sent: number, failed: number}>}
+ */
+export async function getOutboxCounts(db) {
+  const result = await db.prepare(
+    'SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status'
+  ).all();
+
+  const counts = { pending: 0, sent: 0, failed: 0 };
+  for (const row of result.results) {
+    counts[row.status] = row.count;
+  }
+  return counts;
+}
+
+/**
+ * Get failed messages that have not exhausted their attempts, oldest first
+ * @param {D1Database} db
+ * @param {number} maxAttempts
+ * @param {number} limit
+ * @param {string[]} [excludedTemplates] - Templates never retried
+ * @returns {Promise<Array>}
+ */
+export async function getRetryableEmails(db, maxAttempts, limit = 50, excludedTemplates = []) {
+  const excluded = excludedTemplates.length > 0
+    ? `AND template NOT IN (${excludedTemplates.map(() => '?').join(', ')})`
+    : '';
+  const result = await db.prepare(`
+    SELECT * FROM email_outbox
+    WHERE status = 'failed' AND attempts < ? ${excluded}
+    ORDER BY created_at, id
+    LIMIT ?
+  `).bind(maxAttempts, ...excludedTemplates, limit).all();
+  return result.results;
+}
+
+/**
+ * Delete delivered or abandoned messages older than a number of days
+ * Pending messages are kept so nothing queued is lost
+ * @param {D1Database} db
+ * @param {number} days
+ * @returns {Promise<number>} Number of deleted messages
+ */
+export async function purgeOldEmails(db, days) {
+  const result = await db.prepare(`
+    DELETE FROM email_outbox
+    WHERE status != 'pending' AND created_at < datetime('now', ?)
+  `).bind(`-${days} days`).run();
+  return result.meta.changes;
+}
+
+/**
+ * Check if email_outbox table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function emailOutboxTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM email_outbox LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
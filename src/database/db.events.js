@@ -0,0 +1,134 @@
+/**
+ * Events database operations
+ *
+ * Teams, members, payment events, waitlist entries and settings carry an
+ * event_id. Queries take the event ID as their last argument and match it
+ * with "event_id IS ?", so a null ID (no event resolved) matches only the
+ * rows that were never attached to an event. The event_id columns come with
+ * migration 022, which every scoped query requires.
+ */
+
+const EVENT_COLUMNS = 'id, slug, name, event_year, is_default, status, archived_at, created_at';
+
+/**
+ * List events with their live team and member counts, newest first
+ * @param {D1Database} db
+ * @returns {Promise<Array>}
+ */
+export async function getEvents(db) {
+  const result = await db.prepare(`
+    SELECT
+      e.id, e.slug, e.name, e.event_year, e.is_default, e.status, e.archived_at, e.created_at,
+      (SELECT COUNT(*) FROM teams t WHERE t.event_id = e.id AND t.deleted_at IS NULL) as team_count,
+      (SELECT COUNT(*) FROM members m WHERE m.event_id = e.id AND m.deleted_at IS NULL) as member_count
+    FROM events e
+    ORDER BY e.event_year DESC, e.id DESC
+  `).all();
+  return result.results;
+}
+
+/**
+ * Get an event by ID or slug
+ * Slugs always start with a letter, so an all-digit reference is an ID
+ * @param {D1Database} db
+ * @param {string|number} ref
+ * @returns {Promise<object|null>}
+ */
+export async function findEvent(db, ref) {
+  const value = String(ref).trim();
+  return /^\d+$/.test(value)
+    ? db.prepare(`SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`).bind(Number.parseInt(value, 10)).first()
+    : db.prepare(`SELECT ${EVENT_COLUMNS} FROM events WHERE slug = ?`).bind(value.toLowerCase()).first();
+}
+
+/**
+ * Get the event served at the base URL
+ * Falls back to the most recent active event, then to the most recent one
+ * @param {D1Database} db
+ * @returns {Promise<object|null>}
+ */
+export async function getDefaultEvent(db) {
+  return db.prepare(`
+    SELECT ${EVENT_COLUMNS} FROM events
+    ORDER BY is_default DESC, status = 'active' DESC, event_year DESC, id DESC
+    LIMIT 1
+  `).first();
+}
+
+/**
+ * Create an event
+ * @param {D1Database} db
+ * @param {{slug: string, name: string, eventYear: number}} event
+ * @returns {Promise<number>} Event ID
+ */
+export async function createEvent(db, { slug, name, eventYear }) {
+  const result = await db.prepare(`
+    INSERT INTO events (slug, name, event_year) VALUES (?, ?, ?)
+  `).bind(slug, name, eventYear).run();
+  return result.meta.last_row_id;
+}
+
+/**
+ * Update an event
+ * Making an event the default removes the flag from the others
+ * @param {D1Database} db
+ * @param {number} eventId
+ * @param {{slug?: string, name?: string, eventYear?: number, isDefault?: boolean}} updates
+ * @returns {Promise<boolean>}
+ */
+export async function updateEvent(db, eventId, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.slug !== undefined) {
+    fields.push('slug = ?');
+    values.push(updates.slug);
+  }
+  if (updates.name !== undefined) {
+    fields.push('name = ?');
+    values.push(updates.name);
+  }
+  if (updates.eventYear !== undefined) {
+    fields.push('event_year = ?');
+    values.push(updates.eventYear);
+  }
+
+  const statements = [];
+  if (fields.length > 0) {
+    statements.push(db.prepare(`UPDATE events SET ${fields.join(', ')} WHERE id = ?`).bind(...values, eventId));
+  }
+  if (updates.isDefault) {
+    statements.push(db.prepare('UPDATE events SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END').bind(eventId));
+  }
+
+  if (statements.length === 0) return false;
+  await db.batch(statements);
+  return true;
+}
+
+/**
+ * Mark an event as archived
+ * @param {D1Database} db
+ * @param {number} eventId
+ * @returns {Promise<boolean>}
+ */
+export async function markEventArchived(db, eventId) {
+  const result = await db.prepare(`
+    UPDATE events SET status = 'archived', archived_at = datetime('now') WHERE id = ? AND status = 'active'
+  `).bind(eventId).run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * Check if events table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function eventsTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM events LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,462 @@
+/**
+ * GDPR data subject requests database operations
+ *
+ * A person is identified by email (case-insensitive). Their traces are the
+ * member rows, the payment events of those members, the emails sent to them,
+ * the snapshots of their rows in the team change log and the admin audit log,
+ * their waitlist entries and their entries in every archive.
+ */
+
+import { anonymizeMembers, anonymizePaymentEvents, generateDataHash, prepareHashChainLink } from './db.archives.js';
+import { paymentEventsTableExists } from './db.payments.js';
+import { emailOutboxTableExists } from './db.email-outbox.js';
+import { teamChangesTableExists } from './db.team-changes.js';
+import { adminAuditTableExists } from './db.admin-audit.js';
+import { waitlistTableExists } from './db.waitlist.js';
+import { customAnswersColumnExists } from './db.custom-answers.js';
+
+// Values replacing personal fields in log snapshots, snake_case for rows and
+// camelCase for API shapes
+const ANONYMIZED_FIELDS = {
+  first_name: 'Participant',
+  firstName: 'Participant',
+  last_name: '',
+  lastName: '',
+  email: null,
+  checkout_id: null,
+  transaction_id: null,
+  custom_answers: null,
+  customAnswers: null
+};
+
+/**
+ * Normalize an email for matching
+ * @param {string} email
+ * @returns {string}
+ */
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Check whether an object of a snapshot describes a person
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPerson(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+    && ('email' in value || 'first_name' in value || 'firstName' in value);
+}
+
+/**
+ * Anonymize the people of a JSON snapshot
+ * @param {any} value - Parsed snapshot
+ * @param {(person: object) => boolean} matches - People to anonymize
+ * @returns {any} Copy of the snapshot
+ */
+function scrubSnapshot(value, matches) {
+  if (Array.isArray(value)) {
+    return value.map(item => scrubSnapshot(item, matches));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = scrubSnapshot(item, matches);
+  }
+  if (isPerson(value) && matches(value)) {
+    for (const key of Object.keys(copy)) {
+      if (key in ANONYMIZED_FIELDS) copy[key] = ANONYMIZED_FIELDS[key];
+    }
+  }
+  return copy;
+}
+
+/**
+ * Parse a JSON snapshot column
+ * @param {string|null} json
+ * @returns {any}
+ */
+function parseSnapshot(json) {
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a snapshot holds a person with this email
+ * @param {any} snapshot
+ * @param {string} email - Normalized email
+ * @returns {boolean}
+ */
+function snapshotMentions(snapshot, email) {
+  if (Array.isArray(snapshot)) {
+    return snapshot.some(item => snapshotMentions(item, email));
+  }
+  if (!snapshot || typeof snapshot !== 'object') {
+    return false;
+  }
+  if (typeof snapshot.email === 'string' && normalizeEmail(snapshot.email) === email) {
+    return true;
+  }
+  return Object.values(snapshot).some(item => snapshotMentions(item, email));
+}
+
+/**
+ * Find the team change log entries about a person
+ * Entries about their member rows are all included, whatever email the
+ * snapshot holds; others only when a snapshot holds the email.
+ * @param {D1Database} db
+ * @param {string} email - Normalized email
+ * @param {number[]} memberIds
+ * @returns {Promise<Array>} Entries with parsed details
+ */
+async function findTeamChanges(db, email, memberIds) {
+  if (!await teamChangesTableExists(db)) return [];
+
+  const placeholders = memberIds.map(() => '?').join(',');
+  const result = await db.prepare(`
+    SELECT * FROM team_changes
+    WHERE instr(lower(details), ?) > 0 ${memberIds.length > 0 ? `OR member_id IN (${placeholders})` : ''}
+    ORDER BY id
+  `).bind(email, ...memberIds).all();
+
+  return result.results
+    .map(entry => ({ ...entry, details: parseSnapshot(entry.details), linked: memberIds.includes(entry.member_id) }))
+    .filter(entry => entry.linked || snapshotMentions(entry.details, email));
+}
+
+/**
+ * Find the admin audit entries about a person
+ * Same rule as findTeamChanges, with member targets as the link
+ * @param {D1Database} db
+ * @param {string} email - Normalized email
+ * @param {number[]} memberIds
+ * @returns {Promise<Array>} Entries with parsed snapshots
+ */
+async function findAuditEntries(db, email, memberIds) {
+  if (!await adminAuditTableExists(db)) return [];
+
+  const placeholders = memberIds.map(() => '?').join(',');
+  const result = await db.prepare(`
+    SELECT * FROM admin_audit
+    WHERE instr(lower(before_json), ?) > 0 OR instr(lower(after_json), ?) > 0
+      ${memberIds.length > 0 ? `OR (target_type = 'member' AND target_id IN (${placeholders}))` : ''}
+    ORDER BY id
+  `).bind(email, email, ...memberIds.map(String)).all();
+
+  return result.results
+    .map(entry => ({
+      ...entry,
+      before: parseSnapshot(entry.before_json),
+      after: parseSnapshot(entry.after_json),
+      linked: entry.target_type === 'member' && memberIds.includes(Number(entry.target_id))
+    }))
+    .filter(entry => entry.linked || snapshotMentions(entry.before, email) || snapshotMentions(entry.after, email));
+}
+
+/**
+ * Find the waitlist entries listing a person
+ * @param {D1Database} db
+ * @param {string} email - Normalized email
+ * @returns {Promise<Array>} Entries with parsed members
+ */
+async function findWaitlistEntries(db, email) {
+  if (!await waitlistTableExists(db)) return [];
+
+  const result = await db.prepare(`
+    SELECT * FROM waitlist WHERE lower(email) = ? OR instr(lower(members_json), ?) > 0 ORDER BY id
+  `).bind(email, email).all();
+
+  return result.results
+    .map(entry => ({ ...entry, members: parseSnapshot(entry.members_json) || [] }))
+    .filter(entry => normalizeEmail(entry.email) === email || snapshotMentions(entry.members, email));
+}
+
+/**
+ * Find a person's entries in each archive
+ * @param {D1Database} db
+ * @param {string} email - Normalized email
+ * @returns {Promise<Array<{archive: object, members: Array, paymentEvents: Array, matchedIds: Set<number>}>>}
+ */
+async function findInArchives(db, email) {
+  let archives;
+  try {
+    const result = await db.prepare(`
+      SELECT id, event_id, event_year, teams_json, members_json, payment_events_json, data_hash
+      FROM archives
+      ORDER BY event_year, id
+    `).all();
+    archives = result.results;
+  } catch {
+    // Table might not exist
+    return [];
+  }
+
+  const matches = [];
+  for (const archive of archives) {
+    const members = JSON.parse(archive.members_json);
+    const matchedIds = new Set(
+      members.filter(m => m.email && normalizeEmail(m.email) === email).map(m => m.id)
+    );
+    if (matchedIds.size === 0) continue;
+
+    const paymentEvents = archive.payment_events_json ? JSON.parse(archive.payment_events_json) : [];
+    matches.push({ archive, members, paymentEvents, matchedIds });
+  }
+  return matches;
+}
+
+/**
+ * Collect every trace of a person
+ * @param {D1Database} db
+ * @param {string} email
+ * @returns {Promise<{members: Array, payment_events: Array, emails: Array, team_changes: Array, audit_entries: Array, waitlist: Array, archives: Array}>}
+ */
+export async function findSubjectData(db, email) {
+  const normalized = normalizeEmail(email);
+
+  const membersResult = await db.prepare(`
+    SELECT m.*, t.name as team_name
+    FROM members m
+    LEFT JOIN teams t ON m.team_id = t.id
+    WHERE lower(m.email) = ?
+    ORDER BY m.id
+  `).bind(normalized).all();
+  const members = membersResult.results;
+  const memberIds = members.map(m => m.id);
+
+  let paymentEvents = [];
+  if (memberIds.length > 0 && await paymentEventsTableExists(db)) {
+    const placeholders = memberIds.map(() => '?').join(',');
+    const result = await db.prepare(`
+      SELECT * FROM payment_events WHERE member_id IN (${placeholders}) ORDER BY id
+    `).bind(...memberIds).all();
+    paymentEvents = result.results;
+  }
+
+  let emails = [];
+  if (await emailOutboxTableExists(db)) {
+    const result = await db.prepare(`
+      SELECT id, template, subject, body_text, status, created_at, sent_at
+      FROM email_outbox
+      WHERE lower(recipient) = ?
+      ORDER BY id
+    `).bind(normalized).all();
+    emails = result.results;
+  }
+
+  const teamChanges = (await findTeamChanges(db, normalized, memberIds)).map(({ linked, ...entry }) => entry);
+  const auditEntries = (await findAuditEntries(db, normalized, memberIds)).map(
+    ({ linked, before_json, after_json, ...entry }) => entry
+  );
+  const waitlist = (await findWaitlistEntries(db, normalized)).map(({ members_json, password_hash, members: listed, ...entry }) => ({
+    ...entry,
+    members: listed.filter(m => normalizeEmail(m.email) === normalized)
+  }));
+
+  const archives = (await findInArchives(db, normalized)).map(({ archive, members: archived, paymentEvents: events, matchedIds }) => ({
+    event_id: archive.event_id,
+    event_year: archive.event_year,
+    participants: archived.filter(m => matchedIds.has(m.id)),
+    payment_events: events.filter(e => matchedIds.has(e.member_id))
+  }));
+
+  return {
+    members,
+    payment_events: paymentEvents,
+    emails,
+    team_changes: teamChanges,
+    audit_entries: auditEntries,
+    waitlist,
+    archives
+  };
+}
+
+/**
+ * Anonymize every trace of a person, with anonymizeMembers semantics
+ * Live members are also soft-deleted; their last name becomes their id so
+ * the (first_name, last_name) uniqueness still holds. Log snapshots keep
+ * their shape with the person's fields anonymized. The person is dropped
+ * from waitlist entries so a promotion can't register them again, and a
+ * waiting entry left empty is cancelled. Answers to custom questions are
+ * cleared, including the team answers of their waitlist entries. Archive
+ * hashes are recomputed and each change is appended to the archive's hash
+ * chain.
+ * @param {D1Database} db
+ * @param {string} email
+ * @param {string|null} [secret] - getChainSecret(), signs the archive changes
+ * @returns {Promise<{members: number, payment_events: number, emails: number, team_changes: number, audit_entries: number, waitlist: number, archives: number[]}>}
+ */
+export async function eraseSubjectData(db, email, secret = null) {
+  const normalized = normalizeEmail(email);
+  const found = await findSubjectData(db, normalized);
+  const memberIds = found.members.map(m => m.id);
+  const statements = [];
+
+  // Free-text answers to custom questions may identify the person (migration 028)
+  const clearAnswers = await customAnswersColumnExists(db) ? ', custom_answers = NULL' : '';
+
+  for (const member of found.members) {
+    const [anonymized] = anonymizeMembers([member]);
+    statements.push(db.prepare(`
+      UPDATE members
+      SET first_name = ?, last_name = ?, email = '', checkout_id = NULL, transaction_id = NULL,
+          deleted_at = COALESCE(deleted_at, datetime('now'))${clearAnswers}
+      WHERE id = ?
+    `).bind(anonymized.first_name, String(member.id), member.id));
+  }
+
+  for (const event of found.payment_events) {
+    const [anonymized] = anonymizePaymentEvents([event]);
+    statements.push(db.prepare(`
+      UPDATE payment_events SET checkout_id = ?, metadata = ? WHERE id = ?
+    `).bind(anonymized.checkout_id, anonymized.metadata, event.id));
+  }
+
+  if (found.emails.length > 0) {
+    statements.push(db.prepare('DELETE FROM email_outbox WHERE lower(recipient) = ?').bind(normalized));
+  }
+
+  // Entries about the person's member rows may hold an older email
+  const matchesPerson = linked => person =>
+    linked || (typeof person.email === 'string' && normalizeEmail(person.email) === normalized);
+
+  const teamChanges = await findTeamChanges(db, normalized, memberIds);
+  for (const entry of teamChanges) {
+    const details = scrubSnapshot(entry.details, matchesPerson(entry.linked));
+    statements.push(db.prepare('UPDATE team_changes SET details = ? WHERE id = ?').bind(
+      details === null ? null : JSON.stringify(details),
+      entry.id
+    ));
+  }
+
+  const auditEntries = await findAuditEntries(db, normalized, memberIds);
+  for (const entry of auditEntries) {
+    const before = scrubSnapshot(entry.before, matchesPerson(entry.linked));
+    const after = scrubSnapshot(entry.after, matchesPerson(entry.linked));
+    statements.push(db.prepare(`
+      UPDATE admin_audit SET target_label = ?, before_json = ?, after_json = ? WHERE id = ?
+    `).bind(
+      entry.linked ? ANONYMIZED_FIELDS.first_name : entry.target_label,
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after),
+      entry.id
+    ));
+  }
+
+  const waitlistEntries = await findWaitlistEntries(db, normalized);
+  for (const entry of waitlistEntries) {
+    const members = entry.members.filter(m => normalizeEmail(m.email) !== normalized);
+    const cancelled = entry.status === 'waiting' && members.length === 0;
+    statements.push(db.prepare(`
+      UPDATE waitlist
+      SET members_json = ?, member_count = ?, email = ?,
+          status = ?, status_reason = ?, processed_at = ?${clearAnswers}
+      WHERE id = ?
+    `).bind(
+      JSON.stringify(members),
+      members.length,
+      members[0]?.email || '',
+      cancelled ? 'cancelled' : entry.status,
+      cancelled ? 'Personal data erased' : entry.status_reason,
+      cancelled ? new Date().toISOString() : entry.processed_at,
+      entry.id
+    ));
+  }
+
+  const archiveMatches = await findInArchives(db, normalized);
+  for (const { archive, members, paymentEvents, matchedIds } of archiveMatches) {
+    const teams = JSON.parse(archive.teams_json);
+    const anonymizedMembers = members.map(m => matchedIds.has(m.id) ? anonymizeMembers([m])[0] : m);
+    const anonymizedEvents = paymentEvents.map(e => matchedIds.has(e.member_id) ? anonymizePaymentEvents([e])[0] : e);
+    const data = { teams, members: anonymizedMembers, paymentEvents: anonymizedEvents };
+    const dataHash = generateDataHash(data);
+
+    statements.push(db.prepare(`
+      UPDATE archives SET members_json = ?, payment_events_json = ?, data_hash = ? WHERE id = ?
+    `).bind(
+      JSON.stringify(anonymizedMembers),
+      JSON.stringify(anonymizedEvents),
+      dataHash,
+      archive.id
+    ));
+
+    const link = await prepareHashChainLink(db, {
+      year: archive.event_year,
+      eventId: archive.event_id,
+      reason: 'erasure',
+      detail: { participants: matchedIds.size },
+      previousHash: archive.data_hash,
+      dataHash,
+      data,
+      secret
+    });
+    if (link) statements.push(link);
+  }
+
+  if (statements.length > 0) {
+    await db.batch(statements);
+  }
+
+  return {
+    members: found.members.length,
+    payment_events: found.payment_events.length,
+    emails: found.emails.length,
+    team_changes: teamChanges.length,
+    audit_entries: auditEntries.length,
+    waitlist: waitlistEntries.length,
+    archives: archiveMatches.map(m => m.archive.event_year)
+  };
+}
+
+/**
+ * Log a handled request
+ * @param {D1Database} db
+ * @param {{type: string, emailHash: string, summary: object, handledBy: string|null}} entry
+ * @returns {Promise<number>} Request ID
+ */
+export async function logGdprRequest(db, { type, emailHash, summary, handledBy = null }) {
+  const result = await db.prepare(`
+    INSERT INTO gdpr_requests (request_type, email_hash, summary_json, handled_by)
+    VALUES (?, ?, ?, ?)
+  `).bind(type, emailHash, JSON.stringify(summary), handledBy).run();
+
+  return result.meta.last_row_id;
+}
+
+/**
+ * Get handled requests, newest first
+ * @param {D1Database} db
+ * @param {number} limit
+ * @returns {Promise<Array>} Requests with parsed summary
+ */
+export async function getGdprRequests(db, limit = 50) {
+  const result = await db.prepare(`
+    SELECT * FROM gdpr_requests ORDER BY id DESC LIMIT ?
+  `).bind(limit).all();
+
+  return result.results.map(entry => ({
+    ...entry,
+    summary: JSON.parse(entry.summary_json)
+  }));
+}
+
+/**
+ * Check if gdpr_requests table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function gdprRequestsTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM gdpr_requests LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Scheduled job history database operations
+ */
+
+/**
+ * Record the start of a job run
+ * @param {D1Database} db
+ * @param {string} job - Job name
+ * @param {string} triggeredBy - 'cron' or 'manual'
+ * @returns {Promise<number>} Run ID
+ */
+export async function startJobRun(db, job, triggeredBy) {
+  const result = await db.prepare(`
+    INSERT INTO job_runs (job, triggered_by) VALUES (?, ?)
+  `).bind(job, triggeredBy).run();
+
+  return result.meta.last_row_id;
+}
+
+/**
+ * Record the outcome of a job run
+ * @param {D1Database} db
+ * @param {number} id
+ * @param {{status: string, results: object, error?: string|null}} outcome
+ * @returns {Promise<void>}
+ */
+export async function finishJobRun(db, id, { status, results, error = null }) {
+  await db.prepare(`
+    UPDATE job_runs
+    SET status = ?, results_json = ?, error = ?, finished_at = datetime('now')
+    WHERE id = ?
+  `).bind(status, JSON.stringify(results), error, id).run();
+}
+
+/**
+ * Get the most recent runs of a job, newest first
+ * @param {D1Database} db
+ * @param {string} job
+ * @param {number} limit
+ * @returns {Promise<Array>} Runs with parsed results
+ */
+export async function getJobRuns(db, job, limit = 10) {
+  const result = await db.prepare(`
+    SELECT * FROM job_runs WHERE job = ? ORDER BY id DESC LIMIT ?
+  `).bind(job, limit).all();
+
+  return result.results.map(run => ({
+    ...run,
+    results: run.results_json ? JSON.parse(run.results_json) : null
+  }));
+}
+
+/**
+ * Check if job_runs table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function jobRunsTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM job_runs LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -59,7 +59,7 @@ export async function memberExists(db, firstName, lastName) {
  * @returns {Promise<object|null>}
  */
 export async function getMemberById(db, memberId) {
-  return db.prepare('SELECT * FROM members WHERE id = ?').bind(memberId).first();
+  return db.prepare('SELECT * FROM members WHERE id = ? AND deleted_at IS NULL').bind(memberId).first();
 }
 
 /**
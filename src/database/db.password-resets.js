@@ -0,0 +1,61 @@
+/**
+ * Team password reset requests
+ * Logged to rate limit the public "forgot password" endpoint.
+ */
+
+/**
+ * Count recent reset requests for a team and from an IP
+ * @param {D1Database} db
+ * @param {{teamId: number, ip: string}} requester
+ * @param {number} minutes - Window length
+ * @returns {Promise<{team: number, ip: number}>}
+ */
+export async function countRecentResetRequests(db, { teamId, ip }, minutes) {
+  const row = await db.prepare(`
+    SELECT
+      COALESCE(SUM(team_id = ?), 0) as team,
+      COALESCE(SUM(ip = ?), 0) as ip
+    FROM password_reset_requests
+    WHERE created_at > datetime('now', ?)
+  `).bind(teamId, ip, `-${minutes} minutes`).first();
+  return { team: row?.team || 0, ip: row?.ip || 0 };
+}
+
+/**
+ * Log a reset request
+ * @param {D1Database} db
+ * @param {{teamId: number, ip: string}} requester
+ * @returns {Promise<void>}
+ */
+export async function logResetRequest(db, { teamId, ip }) {
+  await db.prepare(
+    'INSERT INTO password_reset_requests (team_id, ip) VALUES (?, ?)'
+  ).bind(teamId, ip).run();
+}
+
+/**
+ * Delete reset requests older than a number of hours
+ * @param {D1Database} db
+ * @param {number} hours
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function purgeResetRequests(db, hours) {
+  const result = await db.prepare(
+    'DELETE FROM password_reset_requests WHERE created_at < datetime(\'now\', ?)'
+  ).bind(`-${hours} hours`).run();
+  return result.meta.changes;
+}
+
+/**
+ * Check if password_reset_requests table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function passwordResetsTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM password_reset_requests LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
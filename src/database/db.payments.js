@@ -46,6 +46,10 @@ export async function updateMemberPayment(db, memberId, paymentData) {
     fields.push('payment_tier = ?');
     values.push(paymentData.payment_tier);
   }
+  if (paymentData.refunded_amount !== undefined) {
+    fields.push('refunded_amount = ?');
+    values.push(paymentData.refunded_amount);
+  }
 
   if (fields.length === 0) return false;
 
@@ -57,6 +61,39 @@ export async function updateMemberPayment(db, memberId, paymentData) {
   return true;
 }
 
+/**
+ * Reserve a refund on a paid member before calling the payment provider
+ * Only succeeds if nothing was refunded since refundedAmount was read, so two
+ * concurrent refunds can't both pass the remaining amount check.
+ * @param {D1Database} db
+ * @param {number} memberId
+ * @param {{refundedAmount: number, amount: number, full: boolean}} refund
+ * @returns {Promise<boolean>} false if the member changed in between
+ */
+export async function reserveRefund(db, memberId, { refundedAmount, amount, full }) {
+  const result = await db.prepare(`
+    UPDATE members
+    SET refunded_amount = refunded_amount + ?, payment_status = ?
+    WHERE id = ? AND refunded_amount = ? AND payment_status = 'paid'
+  `).bind(amount, full ? 'refunded' : 'paid', memberId, refundedAmount).run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * Release a reservation made by reserveRefund after the provider refused the refund
+ * @param {D1Database} db
+ * @param {number} memberId
+ * @param {{refundedAmount: number, amount: number}} refund - Same values as the reservation
+ * @returns {Promise<void>}
+ */
+export async function releaseRefund(db, memberId, { refundedAmount, amount }) {
+  await db.prepare(`
+    UPDATE members
+    SET refunded_amount = ?, payment_status = 'paid'
+    WHERE id = ? AND refunded_amount = ?
+  `).bind(refundedAmount, memberId, refundedAmount + amount).run();
+}
+
 /**
  * Get member by checkout ID
  * @param {D1Database} db
@@ -78,15 +115,42 @@ export async function getPendingPayments(db) {
   const result = await db.prepare(`
     SELECT m.*, t.name as team_name
     FROM members m
-    JOIN teams t ON m.team_id = t.id
-    WHERE m.payment_status = 'pending'
+    JOIN teams t ON m.team_id = t.id AND t.deleted_at IS NULL
+    WHERE m.payment_status = 'pending' AND m.deleted_at IS NULL
     ORDER BY m.created_at DESC
   `).all();
   return result.results;
 }
 
+/**
+ * Return stale online checkouts to unpaid so the member can pay again
+ * A checkout is stale when it was created more than maxAgeHours ago and never
+ * completed; checkout_id is kept so a late SumUp callback still finds the member.
+ * @param {D1Database} db
+ * @param {number} maxAgeHours
+ * @returns {Promise<Array<{id: number, checkout_id: string, registration_tier: string}>>} Reset members
+ */
+export async function expireStaleCheckouts(db, maxAgeHours) {
+  const result = await db.prepare(`
+    UPDATE members
+    SET payment_status = 'unpaid'
+    WHERE payment_status = 'pending'
+      AND deleted_at IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM payment_events e
+        WHERE e.member_id = members.id
+          AND e.event_type = 'checkout_created'
+          AND e.created_at > datetime('now', ?)
+      )
+    RETURNING id, checkout_id, registration_tier
+  `).bind(`-${maxAgeHours} hours`).all();
+  return result.results;
+}
+
 /**
  * Get payment statistics
+ * Amounts are net of refunds; the refunded bucket holds every refunded cent,
+ * partial refunds of still-paid members included
  * @param {D1Database} db
  * @returns {Promise<object>}
  */
@@ -95,8 +159,10 @@ export async function getPaymentStats(db) {
     SELECT
       payment_status,
       COUNT(*) as count,
-      SUM(CASE WHEN payment_amount IS NOT NULL THEN payment_amount ELSE 0 END) as total_amount
+      SUM(COALESCE(payment_amount, 0) - refunded_amount) as total_amount,
+      SUM(refunded_amount) as refunded_amount
     FROM members
+    WHERE deleted_at IS NULL
     GROUP BY payment_status
   `).all();
 
@@ -108,7 +174,9 @@ export async function getPaymentStats(db) {
     refunded: { count: 0, amount: 0 }
   };
 
+  let refundedAmount = 0;
   for (const row of result.results) {
+    refundedAmount += row.refunded_amount || 0;
     if (row.payment_status && stats[row.payment_status]) {
       stats[row.payment_status] = {
         count: row.count,
@@ -116,6 +184,7 @@ export async function getPaymentStats(db) {
       };
     }
   }
+  stats.refunded.amount = refundedAmount;
 
   return stats;
 }
@@ -129,10 +198,12 @@ export async function getPaymentStats(db) {
 export async function logPaymentEvent(db, event) {
   const { member_id, checkout_id, event_type, amount, tier, metadata } = event;
 
+  // The event follows the member's
   const result = await db.prepare(`
-    INSERT INTO payment_events (member_id, checkout_id, event_type, amount, tier, metadata)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO payment_events (event_id, member_id, checkout_id, event_type, amount, tier, metadata)
+    VALUES ((SELECT event_id FROM members WHERE id = ?), ?, ?, ?, ?, ?, ?)
   `).bind(
+    member_id,
     member_id,
     checkout_id || null,
     event_type,
@@ -203,7 +274,8 @@ export async function getMembersWithPaymentInfo(db) {
       t.name as team_name,
       t.room_id
     FROM members m
-    JOIN teams t ON m.team_id = t.id
+    JOIN teams t ON m.team_id = t.id AND t.deleted_at IS NULL
+    WHERE m.deleted_at IS NULL
     ORDER BY t.name, m.last_name, m.first_name
   `).all();
   return result.results;
@@ -0,0 +1,61 @@
+/**
+ * Returning participant link requests
+ * Logged to rate limit the public "receive the link" endpoint.
+ */
+
+/**
+ * Count recent link requests for an address and from an IP
+ * @param {D1Database} db
+ * @param {{emailHash: string, ip: string}} requester
+ * @param {number} minutes - Window length
+ * @returns {Promise<{email: number, ip: number}>}
+ */
+export async function countRecentReturningRequests(db, { emailHash, ip }, minutes) {
+  const row = await db.prepare(`
+    SELECT
+      COALESCE(SUM(email_hash = ?), 0) as email,
+      COALESCE(SUM(ip = ?), 0) as ip
+    FROM returning_link_requests
+    WHERE created_at > datetime('now', ?)
+  `).bind(emailHash, ip, `-${minutes} minutes`).first();
+  return { email: row?.email || 0, ip: row?.ip || 0 };
+}
+
+/**
+ * Log a link request
+ * @param {D1Database} db
+ * @param {{emailHash: string, ip: string}} requester
+ * @returns {Promise<void>}
+ */
+export async function logReturningRequest(db, { emailHash, ip }) {
+  await db.prepare(
+    'INSERT INTO returning_link_requests (email_hash, ip) VALUES (?, ?)'
+  ).bind(emailHash, ip).run();
+}
+
+/**
+ * Delete link requests older than a number of hours
+ * @param {D1Database} db
+ * @param {number} hours
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function purgeReturningRequests(db, hours) {
+  const result = await db.prepare(
+    'DELETE FROM returning_link_requests WHERE created_at < datetime(\'now\', ?)'
+  ).bind(`-${hours} hours`).run();
+  return result.meta.changes;
+}
+
+/**
+ * Check if returning_link_requests table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function returningRequestsTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM returning_link_requests LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Rooms database operations
+ * Rooms belong to an event; teams point to theirs by name with teams.room.
+ */
+
+/**
+ * List an event's rooms with the teams and participants assigned to them
+ * @param {D1Database} db
+ * @param {number|null} [eventId]
+ * @returns {Promise<Array>}
+ */
+export async function getRoomCatalog(db, eventId = null) {
+  const result = await db.prepare(`
+    SELECT
+      r.id, r.name, r.capacity, r.floor, r.equipment, r.is_accessible, r.sort_order,
+      COUNT(DISTINCT t.id) as team_count,
+      COUNT(m.id) as member_count
+    FROM rooms r
+    LEFT JOIN teams t ON t.room = r.name AND t.event_id IS r.event_id AND t.deleted_at IS NULL
+    LEFT JOIN members m ON m.team_id = t.id AND m.deleted_at IS NULL
+    WHERE r.event_id IS ?
+    GROUP BY r.id
+    ORDER BY r.sort_order, r.name
+  `).bind(eventId).all();
+  return result.results;
+}
+
+/**
+ * Get a room by ID
+ * @param {D1Database} db
+ * @param {number} roomId
+ * @returns {Promise<object|null>}
+ */
+export async function getRoomById(db, roomId) {
+  return db.prepare(
+    'SELECT id, event_id, name, capacity, floor, equipment, is_accessible, sort_order FROM rooms WHERE id = ?'
+  ).bind(roomId).first();
+}
+
+/**
+ * Get a room by name within an event
+ * @param {D1Database} db
+ * @param {string} name
+ * @param {number|null} [eventId]
+ * @returns {Promise<object|null>}
+ */
+export async function getRoomByName(db, name, eventId = null) {
+  return db.prepare(
+    'SELECT id, event_id, name, capacity, floor FROM rooms WHERE name = ? COLLATE NOCASE AND event_id IS ?'
+  ).bind(name, eventId).first();
+}
+
+/**
+ * Create a room
+ * @param {D1Database} db
+ * @param {{name: string, capacity: number, floor?: string|null, equipment?: string, isAccessible?: boolean, sortOrder?: number, eventId?: number|null}} room
+ * @returns {Promise<number>} Room ID
+ */
+export async function createRoom(db, { name, capacity, floor = null, equipment = '', isAccessible = false, sortOrder = 0, eventId = null }) {
+  const result = await db.prepare(`
+    INSERT INTO rooms (event_id, name, capacity, floor, equipment, is_accessible, sort_order)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(eventId, name, capacity, floor, equipment, isAccessible ? 1 : 0, sortOrder).run();
+  return result.meta.last_row_id;
+}
+
+/**
+ * Update a room
+ * A new name is carried over to the teams assigned to the room
+ * @param {D1Database} db
+ * @param {object} room - Current room row
+ * @param {{name?: string, capacity?: number, floor?: string|null, equipment?: string, isAccessible?: boolean, sortOrder?: number}} updates
+ * @returns {Promise<boolean>}
+ */
+export async function updateRoom(db, room, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.name !== undefined) {
+    fields.push('name = ?');
+    values.push(updates.name);
+  }
+  if (updates.capacity !== undefined) {
+    fields.push('capacity = ?');
+    values.push(updates.capacity);
+  }
+  if (updates.floor !== undefined) {
+    fields.push('floor = ?');
+    values.push(updates.floor);
+  }
+  if (updates.equipment !== undefined) {
+    fields.push('equipment = ?');
+    values.push(updates.equipment);
+  }
+  if (updates.isAccessible !== undefined) {
+    fields.push('is_accessible = ?');
+    values.push(updates.isAccessible ? 1 : 0);
+  }
+  if (updates.sortOrder !== undefined) {
+    fields.push('sort_order = ?');
+    values.push(updates.sortOrder);
+  }
+
+  if (fields.length === 0) return false;
+
+  values.push(room.id);
+  const statements = [db.prepare(`UPDATE rooms SET ${fields.join(', ')} WHERE id = ?`).bind(...values)];
+  if (updates.name !== undefined && updates.name !== room.name) {
+    statements.push(
+      db.prepare('UPDATE teams SET room = ? WHERE room = ? AND event_id IS ?').bind(updates.name, room.name, room.event_id ?? null),
+      db.prepare('UPDATE teams SET room_preference = ? WHERE room_preference = ? AND event_id IS ?').bind(updates.name, room.name, room.event_id ?? null)
+    );
+  }
+  await db.batch(statements);
+  return true;
+}
+
+/**
+ * Delete a room
+ * Teams that preferred it lose their preference
+ * @param {D1Database} db
+ * @param {object} room - Room row
+ * @returns {Promise<boolean>}
+ */
+export async function deleteRoom(db, room) {
+  const results = await db.batch([
+    db.prepare('UPDATE teams SET room_preference = NULL WHERE room_preference = ? AND event_id IS ?').bind(room.name, room.event_id ?? null),
+    db.prepare('DELETE FROM rooms WHERE id = ?').bind(room.id)
+  ]);
+  return results[1].meta.changes > 0;
+}
+
+/**
+ * Get the room preferences of an event's teams
+ * @param {D1Database} db
+ * @param {number|null} [eventId]
+ * @returns {Promise<Array<{id: number, room_preference: string|null, needs_accessibility: number}>>}
+ */
+export async function getTeamRoomPreferences(db, eventId = null) {
+  const result = await db.prepare(
+    'SELECT id, room_preference, needs_accessibility FROM teams WHERE deleted_at IS NULL AND event_id IS ?'
+  ).bind(eventId).all();
+  return result.results;
+}
+
+/**
+ * Set the room preference of a team
+ * @param {D1Database} db
+ * @param {number} teamId
+ * @param {{roomPreference?: string|null, needsAccessibility?: boolean}} preferences
+ * @returns {Promise<boolean>}
+ */
+export async function setTeamRoomPreference(db, teamId, { roomPreference, needsAccessibility }) {
+  const fields = [];
+  const values = [];
+
+  if (roomPreference !== undefined) {
+    fields.push('room_preference = ?');
+    values.push(roomPreference);
+  }
+  if (needsAccessibility !== undefined) {
+    fields.push('needs_accessibility = ?');
+    values.push(needsAccessibility ? 1 : 0);
+  }
+
+  if (fields.length === 0) return false;
+
+  values.push(teamId);
+  const result = await db.prepare(
+    `UPDATE teams SET ${fields.join(', ')} WHERE id = ? AND deleted_at IS NULL`
+  ).bind(...values).run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * Check if rooms table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function roomsTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM rooms LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
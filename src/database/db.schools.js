@@ -0,0 +1,136 @@
+/**
+ * Schools database operations
+ * Schools (or partner sites) belong to an event; members point to theirs with school_id.
+ */
+
+/**
+ * List an event's schools with their live member counts
+ * @param {D1Database} db
+ * @param {number|null} [eventId]
+ * @returns {Promise<Array>}
+ */
+export async function getSchools(db, eventId = null) {
+  const result = await db.prepare(`
+    SELECT
+      s.id, s.name, s.max_participants, s.sort_order,
+      COUNT(m.id) as member_count,
+      COALESCE(SUM(m.checked_in), 0) as checked_in_count
+    FROM schools s
+    LEFT JOIN members m ON m.school_id = s.id AND m.deleted_at IS NULL
+    WHERE s.event_id IS ?
+    GROUP BY s.id
+    ORDER BY s.sort_order, s.name
+  `).bind(eventId).all();
+  return result.results;
+}
+
+/**
+ * Get a school by ID
+ * @param {D1Database} db
+ * @param {number} schoolId
+ * @returns {Promise<object|null>}
+ */
+export async function getSchoolById(db, schoolId) {
+  return db.prepare(
+    'SELECT id, event_id, name, max_participants, sort_order, created_at FROM schools WHERE id = ?'
+  ).bind(schoolId).first();
+}
+
+/**
+ * Get a school by name within an event
+ * @param {D1Database} db
+ * @param {string} name
+ * @param {number|null} [eventId]
+ * @returns {Promise<object|null>}
+ */
+export async function getSchoolByName(db, name, eventId = null) {
+  return db.prepare(
+    'SELECT id, event_id, name, max_participants FROM schools WHERE name = ? COLLATE NOCASE AND event_id IS ?'
+  ).bind(name, eventId).first();
+}
+
+/**
+ * Create a school
+ * @param {D1Database} db
+ * @param {{name: string, maxParticipants?: number|null, sortOrder?: number, eventId?: number|null}} school
+ * @returns {Promise<number>} School ID
+ */
+export async function createSchool(db, { name, maxParticipants = null, sortOrder = 0, eventId = null }) {
+  const result = await db.prepare(`
+    INSERT INTO schools (event_id, name, max_participants, sort_order) VALUES (?, ?, ?, ?)
+  `).bind(eventId, name, maxParticipants, sortOrder).run();
+  return result.meta.last_row_id;
+}
+
+/**
+ * Update a school
+ * @param {D1Database} db
+ * @param {number} schoolId
+ * @param {{name?: string, maxParticipants?: number|null, sortOrder?: number}} updates
+ * @returns {Promise<boolean>}
+ */
+export async function updateSchool(db, schoolId, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.name !== undefined) {
+    fields.push('name = ?');
+    values.push(updates.name);
+  }
+  if (updates.maxParticipants !== undefined) {
+    fields.push('max_participants = ?');
+    values.push(updates.maxParticipants);
+  }
+  if (updates.sortOrder !== undefined) {
+    fields.push('sort_order = ?');
+    values.push(updates.sortOrder);
+  }
+
+  if (fields.length === 0) return false;
+
+  values.push(schoolId);
+  await db.prepare(`UPDATE schools SET ${fields.join(', ')} WHERE id = ?`).bind(...values).run();
+  return true;
+}
+
+/**
+ * Delete a school
+ * Members still pointing to it (trashed ones) lose their school
+ * @param {D1Database} db
+ * @param {number} schoolId
+ * @returns {Promise<boolean>}
+ */
+export async function deleteSchool(db, schoolId) {
+  const results = await db.batch([
+    db.prepare('UPDATE members SET school_id = NULL WHERE school_id = ?').bind(schoolId),
+    db.prepare('DELETE FROM schools WHERE id = ?').bind(schoolId)
+  ]);
+  return results[1].meta.changes > 0;
+}
+
+/**
+ * Count the live members of a school
+ * @param {D1Database} db
+ * @param {number} schoolId
+ * @returns {Promise<number>}
+ */
+export async function countSchoolMembers(db, schoolId) {
+  const result = await db.prepare(
+    'SELECT COUNT(*) as count FROM members WHERE school_id = ? AND deleted_at IS NULL'
+  ).bind(schoolId).first();
+  return result?.count || 0;
+}
+
+/**
+ * Check if schools table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function schoolsTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM schools LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
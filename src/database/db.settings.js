@@ -1,17 +1,21 @@
 /**
  * Settings database operations
+ *
+ * Rows with event_id 0 are the defaults shared by every event; a row for an
+ * event overrides the default with the same key.
  */
 
 /**
  * Get a single setting value
  * @param {D1Database} db
  * @param {string} key
+ * @param {number|null} [eventId] - Event override to prefer over the default
  * @returns {Promise<string|null>}
  */
-export async function getSetting(db, key) {
+export async function getSetting(db, key, eventId = null) {
   const result = await db.prepare(
-    'SELECT value FROM settings WHERE key = ?'
-  ).bind(key).first();
+    'SELECT value FROM settings WHERE key = ? AND event_id IN (0, ?) ORDER BY event_id DESC LIMIT 1'
+  ).bind(key, eventId).first();
   return result?.value || null;
 }
 
@@ -19,10 +23,11 @@ export async function getSetting(db, key) {
  * Get a setting and parse as JSON
  * @param {D1Database} db
  * @param {string} key
+ * @param {number|null} [eventId]
  * @returns {Promise<any|null>}
  */
-export async function getSettingJson(db, key) {
-  const value = await getSetting(db, key);
+export async function getSettingJson(db, key, eventId = null) {
+  const value = await getSetting(db, key, eventId);
   if (!value) return null;
   try {
     return JSON.parse(value);
@@ -32,14 +37,18 @@ export async function getSettingJson(db, key) {
 }
 
 /**
- * Get all settings
+ * Get all settings, event overrides replacing the defaults
  * @param {D1Database} db
- * @returns {Promise<Array<{key: string, value: string, description: string, updated_at: string}>>}
+ * @param {number|null} [eventId]
+ * @returns {Promise<Array<{key: string, event_id: number, value: string, description: string, updated_at: string}>>}
  */
-export async function getAllSettings(db) {
-  const result = await db.prepare(
-    'SELECT key, value, description, updated_at FROM settings ORDER BY key'
-  ).all();
+export async function getAllSettings(db, eventId = null) {
+  const result = await db.prepare(`
+    SELECT key, event_id, value, description, updated_at FROM settings s
+    WHERE event_id IN (0, ?)
+      AND NOT (event_id = 0 AND EXISTS (SELECT 1 FROM settings o WHERE o.key = s.key AND o.event_id = ?))
+    ORDER BY key
+  `).bind(eventId, eventId).all();
   return result.results;
 }
 
@@ -49,17 +58,18 @@ export async function getAllSettings(db) {
  * @param {string} key
  * @param {string} value
  * @param {string} description
+ * @param {number|null} [eventId] - Event to override, null for the default
  * @returns {Promise<boolean>}
  */
-export async function setSetting(db, key, value, description = '') {
+export async function setSetting(db, key, value, description = '', eventId = null) {
   await db.prepare(`
-    INSERT INTO settings (key, value, description, updated_at)
-    VALUES (?, ?, ?, datetime('now'))
-    ON CONFLICT(key) DO UPDATE SET
+    INSERT INTO settings (key, event_id, value, description, updated_at)
+    VALUES (?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(key, event_id) DO UPDATE SET
       value = excluded.value,
       description = CASE WHEN excluded.description != '' THEN excluded.description ELSE settings.description END,
       updated_at = datetime('now')
-  `).bind(key, value, description).run();
+  `).bind(key, eventId ?? 0, value, description).run();
   return true;
 }
 
@@ -69,22 +79,24 @@ export async function setSetting(db, key, value, description = '') {
  * @param {string} key
  * @param {any} value
  * @param {string} description
+ * @param {number|null} [eventId]
  * @returns {Promise<boolean>}
  */
-export async function setSettingJson(db, key, value, description = '') {
-  return setSetting(db, key, JSON.stringify(value), description);
+export async function setSettingJson(db, key, value, description = '', eventId = null) {
+  return setSetting(db, key, JSON.stringify(value), description, eventId);
 }
 
 /**
  * Delete a setting
  * @param {D1Database} db
  * @param {string} key
+ * @param {number|null} [eventId] - Event override to remove, null for the default
  * @returns {Promise<boolean>}
  */
-export async function deleteSetting(db, key) {
+export async function deleteSetting(db, key, eventId = null) {
   const result = await db.prepare(
-    'DELETE FROM settings WHERE key = ?'
-  ).bind(key).run();
+    'DELETE FROM settings WHERE key = ? AND event_id = ?'
+  ).bind(key, eventId ?? 0).run();
   return result.meta.changes > 0;
 }
 
@@ -92,21 +104,22 @@ export async function deleteSetting(db, key) {
  * Get capacity settings with environment fallback
  * @param {D1Database} db
  * @param {object} env
+ * @param {number|null} [eventId]
  * @returns {Promise<{maxTeamSize: number, maxTotalParticipants: number, minTeamSize: number}>}
  */
-export async function getCapacitySettings(db, env) {
+export async function getCapacitySettings(db, env, eventId = null) {
   let maxTeamSize = Number.parseInt(env.MAX_TEAM_SIZE, 10) || 15;
   let maxTotalParticipants = Number.parseInt(env.MAX_TOTAL_PARTICIPANTS, 10) || 200;
   let minTeamSize = Number.parseInt(env.MIN_TEAM_SIZE, 10) || 1;
 
   try {
-    const dbMaxTeam = await getSetting(db, 'max_team_size');
+    const dbMaxTeam = await getSetting(db, 'max_team_size', eventId);
     if (dbMaxTeam) maxTeamSize = Number.parseInt(dbMaxTeam, 10);
 
-    const dbMaxTotal = await getSetting(db, 'max_total_participants');
+    const dbMaxTotal = await getSetting(db, 'max_total_participants', eventId);
     if (dbMaxTotal) maxTotalParticipants = Number.parseInt(dbMaxTotal, 10);
 
-    const dbMinTeam = await getSetting(db, 'min_team_size');
+    const dbMinTeam = await getSetting(db, 'min_team_size', eventId);
     if (dbMinTeam) minTeamSize = Number.parseInt(dbMinTeam, 10);
   } catch (error) {
     console.error('Error reading capacity settings from DB:', error);
@@ -116,6 +129,22 @@ export async function getCapacitySettings(db, env) {
   return { maxTeamSize, maxTotalParticipants, minTeamSize };
 }
 
+/**
+ * Get an event's custom registration questions
+ * @param {D1Database} db
+ * @param {number|null} [eventId]
+ * @returns {Promise<Array<object>>} Empty without questions or settings table
+ */
+export async function getCustomFields(db, eventId = null) {
+  try {
+    const fields = await getSettingJson(db, 'custom_fields', eventId);
+    return Array.isArray(fields) ? fields : [];
+  } catch (error) {
+    console.error('Error reading custom fields from DB:', error);
+    return [];
+  }
+}
+
 /**
  * Check if settings table exists
  * @param {D1Database} db
@@ -0,0 +1,61 @@
+/**
+ * Team change log database operations
+ * Records edits made by team leaders through the self-service portal
+ */
+
+/**
+ * Record a team change
+ * @param {D1Database} db
+ * @param {object} change
+ * @returns {Promise<number>} Change ID
+ */
+export async function logTeamChange(db, change) {
+  const { teamId, teamName, memberId = null, action, details = null } = change;
+
+  const result = await db.prepare(`
+    INSERT INTO team_changes (team_id, team_name, member_id, action, details)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(
+    teamId,
+    teamName,
+    memberId,
+    action,
+    details ? JSON.stringify(details) : null
+  ).run();
+
+  return result.meta.last_row_id;
+}
+
+/**
+ * Get recent team changes, most recent first
+ * @param {D1Database} db
+ * @param {object} options
+ * @param {number} [options.teamId] - Restrict to one team
+ * @param {number} [options.limit]
+ * @returns {Promise<Array>}
+ */
+export async function getTeamChanges(db, { teamId = null, limit = 200 } = {}) {
+  const query = teamId
+    ? db.prepare('SELECT * FROM team_changes WHERE team_id = ? ORDER BY created_at DESC, id DESC LIMIT ?').bind(teamId, limit)
+    : db.prepare('SELECT * FROM team_changes ORDER BY created_at DESC, id DESC LIMIT ?').bind(limit);
+
+  const result = await query.all();
+  return result.results.map(row => ({
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null
+  }));
+}
+
+/**
+ * Check if team_changes table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function teamChangesTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM team_changes LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
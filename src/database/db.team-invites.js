@@ -0,0 +1,131 @@
+/**
+ * Team invitation links database operations
+ */
+
+const INVITE_COLUMNS = 'id, team_id, label, max_uses, use_count, expires_at, revoked_at, created_at';
+
+/**
+ * Create an invitation link
+ * @param {D1Database} db
+ * @param {{teamId: number, label?: string, maxUses: number, expiresInHours: number}} invite
+ * @returns {Promise<object>} The new invite row
+ */
+export async function createInvite(db, { teamId, label = '', maxUses, expiresInHours }) {
+  const result = await db.prepare(`
+    INSERT INTO team_invites (team_id, label, max_uses, expires_at)
+    VALUES (?, ?, ?, datetime('now', ?))
+  `).bind(teamId, label, maxUses, `+${expiresInHours} hours`).run();
+  return getInviteById(db, result.meta.last_row_id);
+}
+
+/**
+ * Get an invitation link by ID
+ * @param {D1Database} db
+ * @param {number} inviteId
+ * @returns {Promise<object|null>}
+ */
+export async function getInviteById(db, inviteId) {
+  return db.prepare(`
+    SELECT ${INVITE_COLUMNS}, expires_at <= datetime('now') as is_expired
+    FROM team_invites WHERE id = ?
+  `).bind(inviteId).first();
+}
+
+/**
+ * List a team's invitation links with the members who used them, newest first
+ * @param {D1Database} db
+ * @param {number} teamId
+ * @returns {Promise<Array>} Invites with a uses array ({member_id, first_name, last_name, used_at})
+ */
+export async function getTeamInvites(db, teamId) {
+  const [invites, uses] = await Promise.all([
+    db.prepare(`
+      SELECT ${INVITE_COLUMNS}, expires_at <= datetime('now') as is_expired
+      FROM team_invites WHERE team_id = ?
+      ORDER BY created_at DESC, id DESC
+    `).bind(teamId).all(),
+    db.prepare(`
+      SELECT u.invite_id, u.member_id, u.used_at, m.first_name, m.last_name
+      FROM team_invite_uses u
+      JOIN team_invites i ON i.id = u.invite_id
+      LEFT JOIN members m ON m.id = u.member_id
+      WHERE i.team_id = ?
+      ORDER BY u.used_at, u.id
+    `).bind(teamId).all()
+  ]);
+
+  return invites.results.map(invite => ({
+    ...invite,
+    uses: uses.results.filter(u => u.invite_id === invite.id)
+  }));
+}
+
+/**
+ * Revoke an invitation link
+ * @param {D1Database} db
+ * @param {number} inviteId
+ * @returns {Promise<boolean>} false if already revoked
+ */
+export async function revokeInvite(db, inviteId) {
+  const result = await db.prepare(
+    'UPDATE team_invites SET revoked_at = datetime(\'now\') WHERE id = ? AND revoked_at IS NULL'
+  ).bind(inviteId).run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * Take uses of an invitation link, if it is still valid and has enough left
+ * Checking and counting in one statement keeps concurrent joins within the limit
+ * @param {D1Database} db
+ * @param {number} inviteId
+ * @param {number} count
+ * @returns {Promise<boolean>}
+ */
+export async function claimInviteUses(db, inviteId, count) {
+  const result = await db.prepare(`
+    UPDATE team_invites SET use_count = use_count + ?
+    WHERE id = ? AND revoked_at IS NULL AND expires_at > datetime('now') AND use_count + ? <= max_uses
+  `).bind(count, inviteId, count).run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * Give back uses taken by a registration that failed
+ * @param {D1Database} db
+ * @param {number} inviteId
+ * @param {number} count
+ * @returns {Promise<void>}
+ */
+export async function releaseInviteUses(db, inviteId, count) {
+  await db.prepare(
+    'UPDATE team_invites SET use_count = MAX(use_count - ?, 0) WHERE id = ?'
+  ).bind(count, inviteId).run();
+}
+
+/**
+ * Record the members who joined through an invitation link
+ * @param {D1Database} db
+ * @param {number} inviteId
+ * @param {number[]} memberIds
+ * @returns {Promise<void>}
+ */
+export async function recordInviteUses(db, inviteId, memberIds) {
+  if (memberIds.length === 0) return;
+  await db.batch(memberIds.map(memberId =>
+    db.prepare('INSERT INTO team_invite_uses (invite_id, member_id) VALUES (?, ?)').bind(inviteId, memberId)
+  ));
+}
+
+/**
+ * Check if team_invites table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function teamInvitesTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM team_invites LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Waitlist database operations
+ * Queues registrations received once the event is at capacity
+ */
+
+/**
+ * Add a registration to the waitlist
+ * @param {D1Database} db
+ * @param {object} entry
+ * @returns {Promise<number>} Entry ID
+ */
+export async function addWaitlistEntry(db, entry) {
+  const {
+    createNewTeam,
+    teamId = null,
+    teamName,
+    teamDescription = '',
+    passwordHash = '',
+    members,
+    eventId = null
+  } = entry;
+
+  const result = await db.prepare(`
+    INSERT INTO waitlist (
+      event_id, create_new_team, team_id, team_name, team_description, password_hash,
+      members_json, member_count, email
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    eventId,
+    createNewTeam ? 1 : 0,
+    teamId,
+    teamName,
+    teamDescription,
+    passwordHash,
+    JSON.stringify(members),
+    members.length,
+    members[0]?.email || ''
+  ).run();
+
+  return result.meta.last_row_id;
+}
+
+/**
+ * Get waiting entries in promotion order
+ * @param {D1Database} db
+ * @param {number|null} [eventId]
+ * @returns {Promise<Array>}
+ */
+export async function getWaitingEntries(db, eventId = null) {
+  const result = await db.prepare(`
+    SELECT * FROM waitlist
+    WHERE status = 'waiting' AND event_id IS ?
+    ORDER BY created_at, id
+  `).bind(eventId).all();
+  return result.results;
+}
+
+/**
+ * Get processed entries (promoted, failed, cancelled), most recent first
+ * @param {D1Database} db
+ * @param {number} limit
+ * @param {number|null} [eventId]
+ * @returns {Promise<Array>}
+ */
+export async function getWaitlistHistory(db, limit = 100, eventId = null) {
+  const result = await db.prepare(`
+    SELECT * FROM waitlist
+    WHERE status != 'waiting' AND event_id IS ?
+    ORDER BY processed_at DESC, id DESC
+    LIMIT ?
+  `).bind(eventId, limit).all();
+  return result.results;
+}
+
+/**
+ * Get a waitlist entry by ID
+ * @param {D1Database} db
+ * @param {number} entryId
+ * @returns {Promise<object|null>}
+ */
+export async function getWaitlistEntry(db, entryId) {
+  return db.prepare('SELECT * FROM waitlist WHERE id = ?').bind(entryId).first();
+}
+
+/**
+ * Check whether an email is already waiting
+ * @param {D1Database} db
+ * @param {string} email
+ * @param {number|null} [eventId]
+ * @returns {Promise<boolean>}
+ */
+export async function isEmailWaiting(db, email, eventId = null) {
+  const result = await db.prepare(
+    "SELECT id FROM waitlist WHERE email = ? AND status = 'waiting' AND event_id IS ?"
+  ).bind(email, eventId).first();
+  return !!result;
+}
+
+/**
+ * Get the 1-based position of a waiting entry
+ * @param {D1Database} db
+ * @param {number} entryId
+ * @param {number|null} [eventId]
+ * @returns {Promise<number|null>}
+ */
+export async function getWaitlistPosition(db, entryId, eventId = null) {
+  const entries = await getWaitingEntries(db, eventId);
+  const index = entries.findIndex(e => e.id === entryId);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Count waiting entries and the participants they represent
+ * @param {D1Database} db
+ * @param {number|null} [eventId]
+ * @returns {Promise<{entries: number, participants: number}>}
+ */
+export async function getWaitlistCounts(db, eventId = null) {
+  const result = await db.prepare(`
+    SELECT COUNT(*) as entries, COALESCE(SUM(member_count), 0) as participants
+    FROM waitlist
+    WHERE status = 'waiting' AND event_id IS ?
+  `).bind(eventId).first();
+  return {
+    entries: result?.entries || 0,
+    participants: result?.participants || 0
+  };
+}
+
+/**
+ * Mark an entry as processed
+ * @param {D1Database} db
+ * @param {number} entryId
+ * @param {'promoted'|'failed'|'cancelled'} status
+ * @param {object} details
+ * @returns {Promise<boolean>}
+ */
+export async function setWaitlistStatus(db, entryId, status, { reason = null, teamId = null } = {}) {
+  const result = await db.prepare(`
+    UPDATE waitlist
+    SET status = ?, status_reason = ?, promoted_team_id = ?, processed_at = ?
+    WHERE id = ? AND status = 'waiting'
+  `).bind(status, reason, teamId, new Date().toISOString(), entryId).run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * Check if waitlist table exists
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function waitlistTableExists(db) {
+  try {
+    await db.prepare('SELECT 1 FROM waitlist LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
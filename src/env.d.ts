@@ -6,8 +6,15 @@ interface Env {
   DB: D1Database;
   CONFIG: KVNamespace;
   ADMIN_TOKEN?: string;
+  ADMIN_SESSION_HOURS?: string;
+  TICKET_SECRET?: string;
+  ARCHIVE_CHAIN_SECRET?: string;
+  PUBLIC_URL?: string;
   ADMIN_EMAIL: string;
   REPLY_TO_EMAIL: string;
+  EMAIL_TRANSPORT?: string;
+  SUMUP_API_KEY?: string;
+  SUMUP_CLIENT?: string;
   MAX_TEAM_SIZE: string;
   MAX_TOTAL_PARTICIPANTS: string;
   MIN_TEAM_SIZE: string;
@@ -1,12 +1,20 @@
 /**
  * Admin Import Module
  * Handles CSV import of teams and members
+ *
+ * Each team created by an import gets a random password, returned once in the
+ * import result and optionally emailed to the team leaders.
  */
 
 import { json, error } from '../../lib/router.js';
 import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
 import { hashPassword } from '../../shared/crypto.js';
+import { getEvent } from '../../shared/events.js';
+import { getRegistrationPageUrl } from '../../shared/urls.js';
+import { generateTeamPassword, emailTeamPassword } from '../../shared/team-credentials.js';
 import * as db from '../../lib/db.js';
+import * as schoolsDb from '../../database/db.schools.js';
 
 /**
  * Parse CSV string into array of objects
@@ -78,20 +86,18 @@ function groupRowsByTeam(rows) {
 
 /**
  * Get or create a team
+ * New teams get a random password, kept in stats.credentials for the result
  */
-async function getOrCreateTeam(database, teamName, teamMap, stats) {
+async function getOrCreateTeam(database, teamName, teamMap, stats, eventId) {
   let team = teamMap.get(teamName.toLowerCase());
   if (team) return team;
 
   try {
-    const passwordHash = await hashPassword(teamName);
-    const result = await database.prepare(
-      'INSERT INTO teams (name, description, password_hash) VALUES (?, ?, ?)'
-    ).bind(teamName, '', passwordHash).run();
-
-    team = { id: result.meta.last_row_id, name: teamName };
+    const password = generateTeamPassword();
+    team = await db.createTeam(database, teamName, '', await hashPassword(password), eventId);
     teamMap.set(teamName.toLowerCase(), team);
     stats.teamsCreated++;
+    stats.credentials.push({ teamId: team.id, teamName, password, emailed: 0 });
     return team;
   } catch (error_) {
     stats.errors.push(`Failed to create team "${teamName}": ${error_.message}`);
@@ -99,10 +105,19 @@ async function getOrCreateTeam(database, teamName, teamMap, stats) {
   }
 }
 
+/**
+ * Map lowercased school names to IDs for the optional "school" column
+ */
+async function getSchoolMap(database, eventId) {
+  if (!await schoolsDb.schoolsTableExists(database)) return new Map();
+  const schools = await schoolsDb.getSchools(database, eventId);
+  return new Map(schools.map(s => [s.name.toLowerCase(), s.id]));
+}
+
 /**
  * Import a single member from CSV row
  */
-async function importMember(database, teamId, row, stats) {
+async function importMember(database, teamId, row, stats, eventId, schoolMap) {
   const firstName = row.firstname || '';
   const lastName = row.lastname || '';
   const email = (row.email || '').toLowerCase();
@@ -116,24 +131,45 @@ async function importMember(database, teamId, row, stats) {
     return;
   }
 
-  const existing = await database.prepare(
-    'SELECT id FROM members WHERE first_name = ? AND last_name = ?'
-  ).bind(firstName, lastName).first();
-
-  if (existing) {
+  if (await db.memberExists(database, firstName, lastName, eventId)) {
     stats.membersSkipped++;
     return;
   }
 
-  await database.prepare(
-    'INSERT INTO members (team_id, first_name, last_name, email, bac_level, is_leader, food_diet) VALUES (?, ?, ?, ?, ?, ?, ?)'
-  ).bind(teamId, firstName, lastName, email, bacLevel, isLeader, foodDiet).run();
+  // Unknown schools are reported, the member is imported without one
+  const schoolName = (row.school || '').trim();
+  const schoolId = schoolMap.get(schoolName.toLowerCase()) || null;
+  if (schoolName && !schoolId) {
+    stats.errors.push(`Unknown school "${schoolName}" for ${firstName} ${lastName}`);
+  }
+
+  await db.addMemberAdmin(database, teamId, { firstName, lastName, email, bacLevel, isLeader, foodDiet, schoolId });
 
   stats.membersImported++;
 }
 
+/**
+ * Email the new teams' passwords to their leaders
+ * @returns {Promise<number>} Number of leaders emailed
+ */
+async function emailCredentials(request, env, credentials, stats) {
+  const pageUrl = getRegistrationPageUrl(request, await getEvent(request, env));
+  let emailed = 0;
+  for (const credential of credentials) {
+    try {
+      const team = await db.getTeamById(env.DB, credential.teamId);
+      credential.emailed = await emailTeamPassword(env, team, credential.password, pageUrl);
+      emailed += credential.emailed;
+    } catch (error_) {
+      stats.errors.push(`Failed to email the password of "${credential.teamName}": ${error_.message}`);
+    }
+  }
+  return emailed;
+}
+
 /**
  * POST /api/admin/import - Import members from CSV
+ * Body: { csv, emailLeaders? }
  */
 export async function importCSV(request, env) {
   if (!await verifyAdmin(request, env)) {
@@ -142,7 +178,7 @@ export async function importCSV(request, env) {
 
   try {
     const body = await request.json();
-    const { csv } = body;
+    const { csv, emailLeaders = false } = body;
 
     if (!csv || typeof csv !== 'string') {
       return error('CSV data is required', 400);
@@ -159,18 +195,21 @@ export async function importCSV(request, env) {
       return error(`Missing required columns: ${missingColumns.join(', ')}`, 400);
     }
 
-    const existingTeams = await db.getTeams(env.DB);
+    const event = await getEvent(request, env);
+    const eventId = event?.id ?? null;
+    const existingTeams = await db.getTeams(env.DB, eventId);
     const teamMap = new Map(existingTeams.map(t => [t.name.toLowerCase(), t]));
-    const stats = { teamsCreated: 0, membersImported: 0, membersSkipped: 0, errors: [] };
+    const schoolMap = await getSchoolMap(env.DB, eventId);
+    const stats = { teamsCreated: 0, membersImported: 0, membersSkipped: 0, credentials: [], errors: [] };
     const teamGroups = groupRowsByTeam(rows);
 
     for (const [teamName, members] of teamGroups) {
-      const team = await getOrCreateTeam(env.DB, teamName, teamMap, stats);
+      const team = await getOrCreateTeam(env.DB, teamName, teamMap, stats, eventId);
       if (!team) continue;
 
       for (const row of members) {
         try {
-          await importMember(env.DB, team.id, row, stats);
+          await importMember(env.DB, team.id, row, stats, eventId, schoolMap);
         } catch (error_) {
           stats.membersSkipped++;
           stats.errors.push(`Failed to import ${row.firstname} ${row.lastname}: ${error_.message}`);
@@ -178,6 +217,21 @@ export async function importCSV(request, env) {
       }
     }
 
+    const leadersEmailed = emailLeaders ? await emailCredentials(request, env, stats.credentials, stats) : 0;
+
+    // Passwords are never logged, only how many leaders received theirs
+    await recordAudit(request, env, {
+      action: 'import.csv',
+      targetType: 'import',
+      after: {
+        totalRows: rows.length,
+        teamsCreated: stats.teamsCreated,
+        membersImported: stats.membersImported,
+        membersSkipped: stats.membersSkipped,
+        leadersEmailed
+      }
+    });
+
     return json({
       success: true,
       stats: {
@@ -185,8 +239,11 @@ export async function importCSV(request, env) {
         membersImported: stats.membersImported,
         membersSkipped: stats.membersSkipped,
         totalRows: rows.length,
+        leadersEmailed,
         errors: stats.errors.slice(0, 10)
-      }
+      },
+      // Shown once: only the hashes are stored
+      credentials: stats.credentials.map(c => ({ teamName: c.teamName, password: c.password, emailed: c.emailed }))
     });
 
   } catch (error_) {
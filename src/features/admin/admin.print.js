@@ -0,0 +1,154 @@
+/**
+ * Printable admin pages - room rosters and door signs
+ * Self-contained HTML with print styles (A4), so "Print to PDF" gives clean pages.
+ */
+
+import { escapeHtml } from '../email/email.templates.js';
+
+const PRINT_STYLES = `
+  @page { size: A4; margin: 15mm; }
+  * { box-sizing: border-box; }
+  body { font-family: system-ui, -apple-system, sans-serif; color: #111; margin: 0; padding: 1.5rem; font-size: 11pt; }
+  h1 { margin: 0 0 0.25rem; font-size: 20pt; }
+  h2 { margin: 1.25rem 0 0.5rem; font-size: 13pt; border-bottom: 1px solid #999; padding-bottom: 0.2rem; }
+  .meta { color: #555; margin: 0 0 1rem; }
+  .summary { display: flex; gap: 1.5rem; margin: 0.5rem 0 1rem; }
+  .summary strong { font-size: 14pt; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 0.5rem; }
+  th, td { border: 1px solid #bbb; padding: 0.3rem 0.5rem; text-align: left; }
+  th { background: #eee; }
+  td.box { width: 2.2rem; text-align: center; }
+  .team { break-inside: avoid; }
+  .leader { font-weight: 600; }
+  .sign { height: calc(297mm - 30mm - 3rem); display: flex; flex-direction: column; justify-content: center; text-align: center; break-after: page; }
+  .sign:last-child { break-after: auto; }
+  .sign h1 { font-size: 72pt; margin-bottom: 1rem; }
+  .sign .meta { font-size: 16pt; }
+  .sign ul { list-style: none; padding: 0; margin: 1.5rem 0 0; font-size: 22pt; line-height: 1.5; }
+  .sign li span { color: #555; font-size: 14pt; }
+  .print-hint { background: #fff8e1; border: 1px solid #f0c36d; padding: 0.5rem 0.75rem; margin-bottom: 1rem; }
+  @media print {
+    body { padding: 0; }
+    .print-hint { display: none; }
+  }
+`;
+
+/**
+ * Wrap a body in a printable HTML document
+ * @param {string} title
+ * @param {string} body - Trusted HTML
+ * @returns {string}
+ */
+function printPage(title, body) {
+  return `<!doctype html>
+<html lang="fr">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title><style>${PRINT_STYLES}</style></head>
+<body>
+<p class="print-hint">Imprimez cette page (Ctrl+P) ou enregistrez-la en PDF.</p>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Format the generation date in French time
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatGeneratedAt(date) {
+  return date.toLocaleString('fr-FR', { timeZone: 'Europe/Paris', dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Render the roster of a room: its teams, members, pizzas and check-in status
+ * @param {object} options
+ * @param {string} options.room - Room name
+ * @param {object|null} [options.details] - Managed room (floor, capacity)
+ * @param {Array} options.members - Roster rows (team_id, team_name, first_name, last_name, is_leader, food_diet, checked_in, pizza_received)
+ * @param {Map<string, string>} options.pizzaNames - Pizza id to name
+ * @param {string} [options.eventName]
+ * @param {Date} [options.now]
+ * @returns {string} HTML document
+ */
+export function renderRoomRoster({ room, details = null, members, pizzaNames, eventName = "Nuit de l'Info", now = new Date() }) {
+  const pizzaName = id => (id ? pizzaNames.get(id) || id : '-');
+
+  const teams = new Map();
+  for (const member of members) {
+    if (!teams.has(member.team_id)) teams.set(member.team_id, { name: member.team_name, members: [] });
+    teams.get(member.team_id).members.push(member);
+  }
+
+  const pizzaTotals = new Map();
+  for (const member of members) {
+    const name = pizzaName(member.food_diet);
+    pizzaTotals.set(name, (pizzaTotals.get(name) || 0) + 1);
+  }
+  const present = members.filter(m => m.checked_in).length;
+
+  const place = [
+    details?.floor ? `Étage ${escapeHtml(details.floor)}` : '',
+    details ? `${details.capacity} places` : ''
+  ].filter(Boolean).join(' · ');
+
+  const teamBlocks = [...teams.values()].map(team => `
+    <section class="team">
+      <h2>${escapeHtml(team.name)} (${team.members.length})</h2>
+      <table>
+        <thead><tr><th>Nom</th><th>Prénom</th><th>Pizza</th><th>Présent</th><th>Pizza reçue</th></tr></thead>
+        <tbody>
+          ${team.members.map(m => `
+          <tr class="${m.is_leader ? 'leader' : ''}">
+            <td>${escapeHtml((m.last_name || '').toUpperCase())}</td>
+            <td>${escapeHtml(m.first_name)}${m.is_leader ? ' (chef)' : ''}</td>
+            <td>${escapeHtml(pizzaName(m.food_diet))}</td>
+            <td class="box">${m.checked_in ? '✓' : '☐'}</td>
+            <td class="box">${m.pizza_received ? '✓' : '☐'}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    </section>
+  `).join('');
+
+  const pizzaRows = [...pizzaTotals.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => `<tr><td>${escapeHtml(name)}</td><td>${count}</td></tr>`)
+    .join('');
+
+  return printPage(`Salle ${room} - Liste`, `
+    <h1>Salle ${escapeHtml(room)}</h1>
+    <p class="meta">${escapeHtml(eventName)}${place ? ` · ${place}` : ''} · Imprimé le ${escapeHtml(formatGeneratedAt(now))}</p>
+    <div class="summary">
+      <span><strong>${teams.size}</strong> équipe(s)</span>
+      <span><strong>${members.length}</strong> participant(s)</span>
+      <span><strong>${present}</strong> présent(s)</span>
+    </div>
+    ${members.length === 0 ? '<p>Aucune équipe dans cette salle.</p>' : `
+    <table>
+      <thead><tr><th>Pizza</th><th>Nombre</th></tr></thead>
+      <tbody>${pizzaRows}</tbody>
+    </table>
+    ${teamBlocks}`}
+  `);
+}
+
+/**
+ * Render one door sign per room, one room per page
+ * @param {object} options
+ * @param {Array<{room: string, floor?: string|null, teams: Array<{name: string, member_count: number}>}>} options.rooms
+ * @param {string} [options.eventName]
+ * @returns {string} HTML document
+ */
+export function renderDoorSigns({ rooms, eventName = "Nuit de l'Info" }) {
+  const signs = rooms.map(room => `
+    <section class="sign">
+      <h1>${escapeHtml(room.room)}</h1>
+      <p class="meta">${escapeHtml(eventName)}${room.floor ? ` · Étage ${escapeHtml(room.floor)}` : ''}</p>
+      <ul>
+        ${room.teams.map(t => `<li>${escapeHtml(t.name)} <span>(${t.member_count})</span></li>`).join('')}
+      </ul>
+    </section>
+  `).join('');
+
+  return printPage('Affiches des salles', rooms.length === 0 ? '<p>Aucune salle avec des équipes assignées.</p>' : signs);
+}
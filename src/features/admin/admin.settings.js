@@ -4,7 +4,19 @@
 
 import { json, error } from '../../lib/router.js';
 import { verifyAdmin } from '../../shared/auth.js';
+import { recordAudit } from '../../shared/audit.js';
+import { getEventId } from '../../shared/events.js';
 import * as settingsDb from '../../database/db.settings.js';
+import { DEFAULT_TEMPLATES, TEMPLATE_SETTING_PREFIX } from '../email/email.templates.js';
+import { validateFieldDefinitions } from '../../shared/custom-fields.js';
+
+const EMAIL_TEMPLATE_KEYS = Object.keys(DEFAULT_TEMPLATES).map(name => `${TEMPLATE_SETTING_PREFIX}${name}`);
+
+// Settings stored as JSON
+const JSON_KEYS = new Set(['pizzas', 'bac_levels', 'custom_fields', ...EMAIL_TEMPLATE_KEYS]);
+
+// Settings shared by every event; the others are saved for the selected event
+const GLOBAL_KEYS = new Set(['gdpr_retention_years', ...EMAIL_TEMPLATE_KEYS]);
 
 // Valid setting keys that can be modified
 const VALID_KEYS = new Set([
@@ -14,6 +26,8 @@ const VALID_KEYS = new Set([
   'pizzas',
   'bac_levels',
   'school_name',
+  // Custom registration questions
+  'custom_fields',
   'price_asso_member',
   'price_non_member',
   'price_late',
@@ -25,7 +39,10 @@ const VALID_KEYS = new Set([
   'payment_enabled',
   'registration_deadline',
   // GDPR settings
-  'gdpr_retention_years'
+  'gdpr_retention_years',
+  'unverified_retention_days',
+  // Email templates
+  ...EMAIL_TEMPLATE_KEYS
 ]);
 
 /**
@@ -43,12 +60,12 @@ export async function getSettings(request, env) {
       return error('Settings table not found. Please run the migration.', 500);
     }
 
-    const settings = await settingsDb.getAllSettings(env.DB);
+    const settings = await settingsDb.getAllSettings(env.DB, await getEventId(request, env));
 
-    // Parse JSON values for pizzas and bac_levels
+    // Parse JSON values (pizzas, bac_levels, custom_fields, email templates)
     const parsed = {};
     for (const setting of settings) {
-      if (setting.key === 'pizzas' || setting.key === 'bac_levels') {
+      if (JSON_KEYS.has(setting.key)) {
         try {
           parsed[setting.key] = JSON.parse(setting.value);
         } catch {
@@ -94,11 +111,35 @@ export async function updateSettings(request, env) {
       validatedUpdates[key] = validation.value === undefined ? value : validation.value;
     }
 
+    const eventId = await getEventId(request, env);
+    const scopeOf = key => (GLOBAL_KEYS.has(key) ? null : eventId);
+
+    // Snapshot current values for the audit log
+    const before = {};
+    for (const key of Object.keys(validatedUpdates)) {
+      before[key] = await settingsDb.getSetting(env.DB, key, scopeOf(key));
+    }
+
     // Apply updates with validated/converted values
     for (const [key, value] of Object.entries(validatedUpdates)) {
-      await (key === 'pizzas' || key === 'bac_levels' ? settingsDb.setSettingJson(env.DB, key, value) : settingsDb.setSetting(env.DB, key, String(value)));
+      if (value === null) {
+        // Clearing a template falls back to the built-in default
+        await settingsDb.deleteSetting(env.DB, key, scopeOf(key));
+      } else {
+        await (JSON_KEYS.has(key)
+          ? settingsDb.setSettingJson(env.DB, key, value, '', scopeOf(key))
+          : settingsDb.setSetting(env.DB, key, String(value), '', scopeOf(key)));
+      }
     }
 
+    await recordAudit(request, env, {
+      action: 'settings.update',
+      targetType: 'settings',
+      targetId: Object.keys(validatedUpdates),
+      before,
+      after: validatedUpdates
+    });
+
     return json({ success: true, updated: Object.keys(updates) });
   } catch (error_) {
     console.error('Error updating settings:', error_);
@@ -156,6 +197,25 @@ function validateBacLevels(value) {
   return { valid: true };
 }
 
+/**
+ * Validate an email template ({subject, body}, or null to restore the default)
+ */
+function validateEmailTemplate(value) {
+  if (value === null) {
+    return { valid: true };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, error: 'Must be an object with subject and body' };
+  }
+  if (typeof value.subject !== 'string' || !value.subject.trim() || value.subject.length > 200) {
+    return { valid: false, error: 'Subject must be a string up to 200 characters' };
+  }
+  if (typeof value.body !== 'string' || !value.body.trim() || value.body.length > 10_000) {
+    return { valid: false, error: 'Body must be a string up to 10000 characters' };
+  }
+  return { valid: true, value: { subject: value.subject.trim(), body: value.body } };
+}
+
 // Validator functions for each setting key
 const VALIDATORS = {
   max_team_size: (v) => validateNumber(v, 1, 100),
@@ -163,6 +223,7 @@ const VALIDATORS = {
   min_team_size: (v) => validateNumber(v, 1, 50),
   pizzas: validatePizzas,
   bac_levels: validateBacLevels,
+  custom_fields: validateFieldDefinitions,
   school_name: (v) => {
     if (typeof v !== 'string' || v.length > 256) {
       return { valid: false, error: 'Must be a string up to 256 characters' };
@@ -205,7 +266,10 @@ const VALIDATORS = {
     }
     return { valid: true };
   },
-  gdpr_retention_years: (v) => validateNumber(v, 1, 10)
+  gdpr_retention_years: (v) => validateNumber(v, 1, 10),
+  // Null turns the purge of unconfirmed registrations off
+  unverified_retention_days: (v) => (v === null ? { valid: true } : validateNumber(v, 7, 365)),
+  ...Object.fromEntries(EMAIL_TEMPLATE_KEYS.map(key => [key, validateEmailTemplate]))
 };
 
 /**
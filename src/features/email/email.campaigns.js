@@ -0,0 +1,113 @@
+/**
+ * Bulk messages to participants
+ *
+ * The audience uses the same filters as the dashboard lists (payment/attendance
+ * status, room), plus a team leaders only switch. Each recipient's message is
+ * rendered with their merge fields and queued in the outbox; the queue is then
+ * drained in small batches so a large audience never goes out in a single burst.
+ */
+
+import * as campaignsDb from '../../database/db.email-campaigns.js';
+import { filterMembersByStatus, filterTeamsByRoom } from '../../shared/member-filters.js';
+import { renderText, renderHtml } from './email.templates.js';
+import { deliverEmail } from './email.outbox.js';
+
+// Messages sent per batch request; the dashboard pauses between batches
+export const BATCH_SIZE = 20;
+
+export const AUDIENCE_STATUSES = ['all', 'present', 'absent', 'paid', 'unpaid', 'pending', 'delayed'];
+
+export const MERGE_FIELDS = ['firstName', 'lastName', 'email', 'teamName', 'room'];
+
+/**
+ * Validate audience filters
+ * @param {object} audience - { status, room, leadersOnly }
+ * @returns {{valid: boolean, error?: string, value?: object}}
+ */
+export function validateAudience(audience = {}) {
+  if (typeof audience !== 'object' || audience === null || Array.isArray(audience)) {
+    return { valid: false, error: 'Audience must be an object' };
+  }
+
+  const status = audience.status || 'all';
+  if (!AUDIENCE_STATUSES.includes(status)) {
+    return { valid: false, error: 'Invalid audience status' };
+  }
+
+  const room = audience.room || 'all';
+  if (typeof room !== 'string' || room.length > 50) {
+    return { valid: false, error: 'Invalid audience room' };
+  }
+
+  return { valid: true, value: { status, room, leadersOnly: audience.leadersOnly === true } };
+}
+
+/**
+ * Select the members matching an audience, one per email address
+ * The Organisation team is never part of the audience.
+ * @param {Array} members - Members with payment, attendance and team_room fields
+ * @param {object} audience - Validated audience
+ * @returns {Array}
+ */
+export function selectRecipients(members, { status, room, leadersOnly }) {
+  let selected = filterMembersByStatus(members, status)
+    .filter(m => m.team_name !== 'Organisation');
+
+  if (room === 'assigned' || room === 'unassigned') {
+    selected = filterTeamsByRoom(selected.map(m => ({ ...m, room: m.team_room })), room);
+  } else if (room !== 'all') {
+    selected = selected.filter(m => m.team_room === room);
+  }
+
+  if (leadersOnly) {
+    selected = selected.filter(m => m.is_leader === 1);
+  }
+
+  const seen = new Set();
+  return selected.filter(m => {
+    const email = m.email?.trim().toLowerCase();
+    if (!email || seen.has(email)) return false;
+    seen.add(email);
+    return true;
+  });
+}
+
+/**
+ * Render a message for one recipient
+ * @param {{subject: string, body: string}} message
+ * @param {object} member
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderMessage({ subject, body }, member) {
+  const vars = {
+    firstName: member.first_name,
+    lastName: member.last_name,
+    email: member.email,
+    teamName: member.team_name,
+    room: member.team_room || 'non attribuée'
+  };
+
+  return {
+    subject: renderText(subject, vars).replaceAll(/\s+/g, ' ').trim(),
+    text: renderText(body, vars),
+    html: renderHtml(body, vars)
+  };
+}
+
+/**
+ * Send the next batch of a campaign's queued messages
+ * @param {object} env
+ * @param {number} campaignId
+ * @returns {Promise<{sent: number, failed: number, remaining: number}>}
+ */
+export async function sendCampaignBatch(env, campaignId) {
+  const messages = await campaignsDb.getPendingCampaignEmails(env.DB, campaignId, BATCH_SIZE);
+
+  let sent = 0;
+  for (const message of messages) {
+    if (await deliverEmail(env, message)) sent++;
+  }
+
+  const campaign = await campaignsDb.getCampaignById(env.DB, campaignId);
+  return { sent, failed: messages.length - sent, remaining: campaign?.pending_count || 0 };
+}
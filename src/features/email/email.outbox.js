@@ -0,0 +1,112 @@
+/**
+ * Email outbox
+ *
+ * Every email is rendered, stored in email_outbox, then handed to the transport.
+ * Failed deliveries stay in the outbox with their error so they can be retried
+ * or resent from the admin. Without the outbox table, emails are sent directly.
+ *
+ * Some templates carry a secret (a team password): the outbox keeps a copy with
+ * the secret masked, and those messages are never retried nor resent.
+ */
+
+import * as outboxDb from '../../database/db.email-outbox.js';
+import { renderTemplate } from './email.templates.js';
+import { getTransport } from './email.transports.js';
+
+// Automatic retries stop after this many attempts; admins can still resend manually
+export const MAX_ATTEMPTS = 5;
+
+// Placeholders never stored in the outbox, per template
+export const SECRET_PLACEHOLDERS = {
+  team_credentials: ['password']
+};
+
+// Shown in the stored copy instead of a secret
+export const MASKED_SECRET = '[masqué]';
+
+/**
+ * Check if a stored message had a secret masked, so it cannot be sent again
+ * @param {object} message - email_outbox row
+ * @returns {boolean}
+ */
+export function hasMaskedSecret(message) {
+  return message.template in SECRET_PLACEHOLDERS;
+}
+
+/**
+ * Deliver a stored message and record the outcome
+ * @param {object} env
+ * @param {object} message - email_outbox row
+ * @param {object|null} [content] - { subject, text, html } to send instead of the stored copy
+ * @returns {Promise<boolean>} True if delivered
+ */
+export async function deliverEmail(env, message, content = null) {
+  try {
+    await getTransport(env).send({
+      to: message.recipient,
+      subject: content?.subject ?? message.subject,
+      text: content?.text ?? message.body_text,
+      html: content?.html ?? message.body_html
+    });
+    await outboxDb.markEmailSent(env.DB, message.id);
+    return true;
+  } catch (error_) {
+    console.error(`Failed to deliver email ${message.id}:`, error_);
+    await outboxDb.markEmailFailed(env.DB, message.id, error_.message || 'Unknown error');
+    return false;
+  }
+}
+
+/**
+ * Render a template and send it through the outbox
+ * Never throws: failures are kept in the outbox for a later retry
+ * @param {object} env
+ * @param {object} options - { template, to, vars }
+ * @returns {Promise<{id: number|null, sent: boolean}>}
+ */
+export async function sendTemplateEmail(env, { template, to, vars = {} }) {
+  try {
+    const rendered = await renderTemplate(env.DB, template, vars);
+
+    if (!await outboxDb.emailOutboxTableExists(env.DB)) {
+      await getTransport(env).send({ to, ...rendered });
+      return { id: null, sent: true };
+    }
+
+    // Secrets are only handed to the transport, the stored copy masks them
+    const secrets = SECRET_PLACEHOLDERS[template] || [];
+    const stored = secrets.length > 0
+      ? await renderTemplate(env.DB, template, { ...vars, ...Object.fromEntries(secrets.map(name => [name, MASKED_SECRET])) })
+      : rendered;
+
+    const id = await outboxDb.enqueueEmail(env.DB, {
+      template,
+      recipient: to,
+      subject: stored.subject,
+      bodyText: stored.text,
+      bodyHtml: stored.html
+    });
+    const message = await outboxDb.getEmailById(env.DB, id);
+    return { id, sent: await deliverEmail(env, message, secrets.length > 0 ? rendered : null) };
+  } catch (error_) {
+    console.error(`Failed to send ${template} email:`, error_);
+    return { id: null, sent: false };
+  }
+}
+
+/**
+ * Retry failed messages that have attempts left
+ * Messages with a masked secret are skipped: the copy would not be usable
+ * @param {object} env
+ * @param {number} limit - Maximum messages to retry in one run
+ * @returns {Promise<{retried: number, sent: number}>}
+ */
+export async function retryFailedEmails(env, limit = 50) {
+  const messages = await outboxDb.getRetryableEmails(env.DB, MAX_ATTEMPTS, limit, Object.keys(SECRET_PLACEHOLDERS));
+
+  let sent = 0;
+  for (const message of messages) {
+    if (await deliverEmail(env, message)) sent++;
+  }
+  return { retried: messages.length, sent };
+}
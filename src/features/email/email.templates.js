@@ -0,0 +1,207 @@
+/**
+ * Email templates
+ *
+ * Templates are plain text with {{placeholders}}, stored in settings as
+ * "email_template_<name>" = JSON {subject, body}. The HTML version is derived
+ * from the same text; a placeholder value can be { text, html } when the two
+ * formats need different content (e.g. ticket images).
+ */
+
+import * as settingsDb from '../../database/db.settings.js';
+
+export const TEMPLATE_SETTING_PREFIX = 'email_template_';
+
+/**
+ * Built-in templates, used until an admin customizes them
+ */
+export const DEFAULT_TEMPLATES = {
+  registration_admin: {
+    label: 'Notification aux organisateurs',
+    placeholders: ['action', 'teamName', 'memberList', 'pizzaList'],
+    subject: '[NDI] {{action}}: {{teamName}}',
+    body: `Bonjour,
+
+{{action}} pour la Nuit de l'Info : "{{teamName}}".
+
+Membres inscrits:
+{{memberList}}
+
+Préférences pizza:
+{{pizzaList}}
+
+Cordialement,
+L'équipe d'organisation`
+  },
+  registration_confirmation: {
+    label: 'Confirmation d\'inscription',
+    placeholders: ['teamName', 'memberCount', 'memberList', 'tickets'],
+    subject: '[NDI] Confirmation d\'inscription',
+    body: `Bonjour,
+
+Votre inscription à la Nuit de l'Info a été confirmée!
+
+Équipe: {{teamName}}
+Membres inscrits: {{memberCount}}
+
+{{memberList}}
+
+Billets d'entrée (QR code à présenter à l'accueil):
+{{tickets}}
+
+À bientôt!
+L'équipe d'organisation`
+  },
+  email_verification: {
+    label: 'Vérification de l\'adresse e-mail',
+    placeholders: ['firstName', 'teamName', 'link'],
+    subject: '[NDI] Confirmez votre adresse e-mail',
+    body: `Bonjour {{firstName}},
+
+Vous êtes inscrit·e à la Nuit de l'Info dans l'équipe "{{teamName}}".
+
+Merci de confirmer votre adresse e-mail en ouvrant ce lien :
+{{link}}
+
+Si vous n'êtes pas à l'origine de cette inscription, ignorez ce message.
+
+L'équipe d'organisation`
+  },
+  returning_participant: {
+    label: 'Participant déjà venu',
+    placeholders: ['firstName', 'years', 'link'],
+    subject: '[NDI] Retrouvez vos informations d\'inscription',
+    body: `Bonjour {{firstName}},
+
+Vous avez participé à la Nuit de l'Info en {{years}}. Merci de revenir !
+
+Ouvrez ce lien pour pré-remplir le formulaire d'inscription avec vos informations (valable 24 heures) :
+{{link}}
+
+Si vous n'êtes pas à l'origine de cette demande, ignorez ce message.
+
+L'équipe d'organisation`
+  },
+  team_password_reset: {
+    label: 'Réinitialisation du mot de passe d\'équipe',
+    placeholders: ['firstName', 'teamName', 'link'],
+    subject: '[NDI] Nouveau mot de passe pour l\'équipe {{teamName}}',
+    body: `Bonjour {{firstName}},
+
+Une réinitialisation du mot de passe de l'équipe "{{teamName}}" a été demandée. Vous la recevez en tant que chef d'équipe.
+
+Ouvrez ce lien pour choisir un nouveau mot de passe (valable 1 heure, utilisable une seule fois) :
+{{link}}
+
+Pensez ensuite à communiquer le nouveau mot de passe aux membres de l'équipe.
+
+Si vous n'êtes pas à l'origine de cette demande, ignorez ce message : le mot de passe actuel reste valable.
+
+L'équipe d'organisation`
+  },
+  team_credentials: {
+    label: 'Mot de passe d\'équipe attribué',
+    placeholders: ['firstName', 'teamName', 'password', 'link'],
+    subject: '[NDI] Mot de passe de l\'équipe {{teamName}}',
+    body: `Bonjour {{firstName}},
+
+Les organisateurs ont attribué un mot de passe à l'équipe "{{teamName}}". Vous le recevez en tant que chef d'équipe.
+
+Mot de passe : {{password}}
+
+Il permet de consulter et de modifier l'équipe, et aux autres membres de la rejoindre, depuis la page d'inscription :
+{{link}}
+
+Vous pouvez le changer à tout moment depuis cette page. Pensez à le communiquer aux membres de l'équipe.
+
+L'équipe d'organisation`
+  }
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Escape text for HTML output
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+}
+
+/**
+ * Resolve a placeholder value for a format
+ */
+function placeholderValue(vars, key, format) {
+  const value = vars[key];
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return value[format] ?? '';
+  return format === 'html' ? escapeHtml(value).replaceAll('\n', '<br>') : String(value);
+}
+
+/**
+ * Fill placeholders in plain text
+ * @param {string} text
+ * @param {object} vars
+ * @returns {string}
+ */
+export function renderText(text, vars) {
+  return text.replaceAll(PLACEHOLDER, (_, key) => placeholderValue(vars, key, 'text'));
+}
+
+/**
+ * Render a plain-text template as simple HTML paragraphs
+ * @param {string} text
+ * @param {object} vars
+ * @returns {string}
+ */
+export function renderHtml(text, vars) {
+  return text
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replaceAll('\n', '<br>')}</p>`)
+    .join('\n')
+    .replaceAll(PLACEHOLDER, (_, key) => placeholderValue(vars, key, 'html'));
+}
+
+/**
+ * Get a template, preferring the admin's customized version
+ * @param {D1Database} db
+ * @param {string} name
+ * @returns {Promise<{subject: string, body: string}>}
+ */
+export async function getTemplate(db, name) {
+  const fallback = DEFAULT_TEMPLATES[name];
+  if (!fallback) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  try {
+    const custom = await settingsDb.getSettingJson(db, `${TEMPLATE_SETTING_PREFIX}${name}`);
+    if (custom?.subject && custom?.body) {
+      return { subject: custom.subject, body: custom.body };
+    }
+  } catch (error_) {
+    console.error(`Error reading email template ${name}:`, error_);
+  }
+  return { subject: fallback.subject, body: fallback.body };
+}
+
+/**
+ * Render a template with its placeholder values
+ * @param {D1Database} db
+ * @param {string} name
+ * @param {object} vars
+ * @returns {Promise<{subject: string, text: string, html: string}>}
+ */
+export async function renderTemplate(db, name, vars) {
+  const template = await getTemplate(db, name);
+  return {
+    // Subjects are single-line plain text
+    subject: renderText(template.subject, vars).replaceAll(/\s+/g, ' ').trim(),
+    text: renderText(template.body, vars),
+    html: renderHtml(template.body, vars)
+  };
+}
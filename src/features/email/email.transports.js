@@ -0,0 +1,79 @@
+/**
+ * Email transports
+ *
+ * A transport delivers one message: send({ to, subject, text, html }) resolves
+ * on success and throws on failure. Select one with the EMAIL_TRANSPORT variable.
+ */
+
+const MAILCHANNELS_URL = 'https://api.mailchannels.net/tx/v1/send';
+const MAX_CAPTURED = 100;
+
+/**
+ * Messages delivered through the capture transport (most recent last)
+ * @type {Array<{to: string, subject: string, text: string, html: string|null}>}
+ */
+export const capturedEmails = [];
+
+/**
+ * MailChannels Send API (free for Cloudflare Workers)
+ * @param {object} env
+ * @returns {{name: string, send: Function}}
+ */
+export function mailChannelsTransport(env) {
+  const from = env.REPLY_TO_EMAIL || 'contact@info-evry.fr';
+
+  return {
+    name: 'mailchannels',
+    async send({ to, subject, text, html }) {
+      const content = [{ type: 'text/plain', value: text }];
+      if (html) content.push({ type: 'text/html', value: html });
+
+      const response = await fetch(MAILCHANNELS_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          personalizations: [{ to: [{ email: to }] }],
+          from: { email: from, name: 'Nuit de l\'Info' },
+          reply_to: { email: from },
+          subject,
+          content
+        })
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`MailChannels responded ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+      }
+    }
+  };
+}
+
+/**
+ * Keeps messages in memory instead of sending them (local development and tests)
+ * @returns {{name: string, send: Function}}
+ */
+export function captureTransport() {
+  return {
+    name: 'capture',
+    async send({ to, subject, text, html = null }) {
+      capturedEmails.push({ to, subject, text, html });
+      if (capturedEmails.length > MAX_CAPTURED) capturedEmails.shift();
+    }
+  };
+}
+
+/**
+ * Get the configured transport
+ * @param {object} env
+ * @returns {{name: string, send: Function}}
+ */
+export function getTransport(env) {
+  switch (env.EMAIL_TRANSPORT) {
+    case 'capture': {
+      return captureTransport();
+    }
+    default: {
+      return mailChannelsTransport(env);
+    }
+  }
+}
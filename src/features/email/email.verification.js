@@ -0,0 +1,65 @@
+/**
+ * Member email verification
+ *
+ * Every registered member receives a link to GET /api/verify-email/:token.
+ * Opening it sets members.email_verified_at (migration 017); changing the
+ * address clears it and sends a new link. The date of the last delivered link
+ * is kept in members.verification_sent_at (migration 032).
+ */
+
+import * as db from '../../lib/db.js';
+import { createVerificationToken } from '../../shared/email-verification.js';
+import { sendTemplateEmail } from './email.outbox.js';
+import { escapeHtml } from './email.templates.js';
+
+/**
+ * Send a verification link to a member
+ * Never throws: failures stay in the outbox like any other email
+ * @param {object} env
+ * @param {{id: number, firstName: string, email: string}} member
+ * @param {string} teamName
+ * @param {string} baseUrl - Public site URL
+ * @returns {Promise<{id: number|null, sent: boolean}>}
+ */
+export async function sendVerificationEmail(env, member, teamName, baseUrl) {
+  try {
+    const token = await createVerificationToken(env, member.id, member.email);
+    const link = `${baseUrl}/api/verify-email/${token}`;
+
+    const result = await sendTemplateEmail(env, {
+      template: 'email_verification',
+      to: member.email,
+      vars: {
+        firstName: member.firstName,
+        teamName,
+        link: { text: link, html: `<a href="${escapeHtml(link)}">${escapeHtml(link)}</a>` }
+      }
+    });
+    if (await db.verificationSentColumnExists(env.DB)) {
+      await db.setVerificationSent(env.DB, member.id, result.sent);
+    }
+    return result;
+  } catch (error_) {
+    console.error(`Failed to send verification email to member ${member.id}:`, error_);
+    return { id: null, sent: false };
+  }
+}
+
+/**
+ * Mark a member's new address as unverified and send it a verification link
+ * @param {object} env
+ * @param {{id: number, firstName: string, email: string}} member - With the new email
+ * @param {string} teamName
+ * @param {string} baseUrl - Public site URL
+ * @returns {Promise<void>}
+ */
+export async function handleEmailChange(env, member, teamName, baseUrl) {
+  try {
+    await db.resetEmailVerification(env.DB, member.id);
+  } catch (error_) {
+    // email_verified_at only exists once migration 017 is applied
+    console.error('Failed to reset email verification:', error_);
+    return;
+  }
+  await sendVerificationEmail(env, member, teamName, baseUrl);
+}
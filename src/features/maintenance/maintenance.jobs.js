@@ -0,0 +1,153 @@
+/**
+ * Scheduled maintenance
+ *
+ * Run by the Workers cron trigger (src/worker.ts) and by POST /api/admin/maintenance/run.
+ * Each task is independent: one failing task is reported without stopping the
+ * others. Runs are recorded in the job_runs table (migration 019) when it exists.
+ */
+
+import * as db from '../../lib/db.js';
+import * as archivesDb from '../../database/db.archives.js';
+import * as paymentsDb from '../../database/db.payments.js';
+import * as accountsDb from '../../database/db.admin-accounts.js';
+import * as outboxDb from '../../database/db.email-outbox.js';
+import * as jobsDb from '../../database/db.job-runs.js';
+import * as resetsDb from '../../database/db.password-resets.js';
+import * as returningDb from '../../database/db.returning-requests.js';
+import * as lockoutsDb from '../../database/db.auth-lockouts.js';
+import * as eventsDb from '../../database/db.events.js';
+import { getSetting } from '../../database/db.settings.js';
+import { FAILURE_WINDOW_HOURS } from '../../shared/lockouts.js';
+import { recordSystemAudit, memberLabel } from '../../shared/audit.js';
+import { promoteWaitlistSafely } from '../../api/admin/waitlist.js';
+
+export const MAINTENANCE_JOB = 'maintenance';
+
+// SumUp checkouts left pending longer than this are returned to unpaid
+export const STALE_CHECKOUT_HOURS = 24;
+
+// Sent and failed emails hold copies of personal data (names, links)
+export const EMAIL_RETENTION_DAYS = 90;
+
+// Per-event setting: days after the last verification link before an
+// unconfirmed registration goes to the trash. Unset, nothing is purged.
+export const UNVERIFIED_RETENTION_SETTING = 'unverified_retention_days';
+
+// Password reset and returning link requests only matter for rate limiting
+export const RESET_REQUEST_RETENTION_HOURS = 24;
+
+/**
+ * Maintenance tasks, in execution order
+ * Each resolves to a summary object merged into the run results
+ */
+const TASKS = {
+  async archives(env) {
+    const results = await archivesDb.checkAllExpirations(env.DB, archivesDb.getChainSecret(env));
+    return {
+      checked: results.length,
+      expired: results.filter(r => r.updated).map(r => r.year)
+    };
+  },
+
+  async checkouts(env) {
+    if (!await paymentsDb.paymentEventsTableExists(env.DB)) return { skipped: true };
+
+    const reset = await paymentsDb.expireStaleCheckouts(env.DB, STALE_CHECKOUT_HOURS);
+    for (const member of reset) {
+      await paymentsDb.logPaymentEvent(env.DB, {
+        member_id: member.id,
+        checkout_id: member.checkout_id,
+        event_type: 'checkout_expired',
+        amount: 0,
+        tier: member.registration_tier || 'unknown'
+      });
+    }
+    return { reset: reset.length };
+  },
+
+  async sessions(env) {
+    if (!await accountsDb.adminAccountsTableExists(env.DB)) return { skipped: true };
+    return { purged: await accountsDb.purgeExpiredSessions(env.DB) };
+  },
+
+  async emails(env) {
+    if (!await outboxDb.emailOutboxTableExists(env.DB)) return { skipped: true };
+    return { purged: await outboxDb.purgeOldEmails(env.DB, EMAIL_RETENTION_DAYS) };
+  },
+
+  async unverified(env, { baseUrl }) {
+    if (!await db.verificationSentColumnExists(env.DB)) return { skipped: true };
+
+    const events = await eventsDb.eventsTableExists(env.DB) ? await eventsDb.getEvents(env.DB) : [{ id: null }];
+    let purged = 0;
+    for (const event of events) {
+      const days = Number.parseInt(await getSetting(env.DB, UNVERIFIED_RETENTION_SETTING, event.id), 10);
+      if (!days) continue;
+
+      const members = await db.getStaleUnverifiedMembers(env.DB, days, event.id);
+      if (members.length === 0) continue;
+
+      const deleted = await db.deleteMembers(env.DB, members.map(m => m.id));
+      purged += deleted;
+      await recordSystemAudit(env, 'maintenance', {
+        action: 'member.purge_unverified',
+        targetType: 'member',
+        targetId: members.map(m => m.id),
+        after: { eventId: event.id, retentionDays: days, members: members.map(m => memberLabel(m)) }
+      });
+
+      // Verification links of promoted members need the public URL
+      if (baseUrl) await promoteWaitlistSafely(env, event.id, baseUrl);
+    }
+    return { purged };
+  },
+
+  async resets(env) {
+    if (!await resetsDb.passwordResetsTableExists(env.DB)) return { skipped: true };
+    return { purged: await resetsDb.purgeResetRequests(env.DB, RESET_REQUEST_RETENTION_HOURS) };
+  },
+
+  async returning(env) {
+    if (!await returningDb.returningRequestsTableExists(env.DB)) return { skipped: true };
+    return { purged: await returningDb.purgeReturningRequests(env.DB, RESET_REQUEST_RETENTION_HOURS) };
+  },
+
+  // Failures older than the counting window no longer count anyway
+  async lockouts(env) {
+    if (!await lockoutsDb.authFailuresTableExists(env.DB)) return { skipped: true };
+    return { purged: await lockoutsDb.purgeAuthFailures(env.DB, FAILURE_WINDOW_HOURS) };
+  }
+};
+
+/**
+ * Run every maintenance task and record the run
+ * @param {object} env
+ * @param {string} triggeredBy - 'cron' or 'manual'
+ * @param {object} [options]
+ * @param {string|null} [options.baseUrl] - Public site URL, to promote the waitlist after a purge
+ * @returns {Promise<{id: number|null, status: string, results: object}>}
+ */
+export async function runMaintenance(env, triggeredBy, { baseUrl = null } = {}) {
+  const recorded = await jobsDb.jobRunsTableExists(env.DB);
+  const id = recorded ? await jobsDb.startJobRun(env.DB, MAINTENANCE_JOB, triggeredBy) : null;
+
+  const results = {};
+  let firstError = null;
+
+  for (const [name, task] of Object.entries(TASKS)) {
+    try {
+      results[name] = { ok: true, ...await task(env, { baseUrl }) };
+    } catch (error_) {
+      console.error(`Maintenance task ${name} failed:`, error_);
+      results[name] = { ok: false, error: error_.message };
+      firstError ??= `${name}: ${error_.message}`;
+    }
+  }
+
+  const status = firstError ? 'failed' : 'success';
+  if (id !== null) {
+    await jobsDb.finishJobRun(env.DB, id, { status, results, error: firstError });
+  }
+
+  return { id, status, results };
+}
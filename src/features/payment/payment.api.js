@@ -7,6 +7,7 @@ import { json, error } from '../../lib/router.js';
 import * as paymentsDb from '../../database/db.payments.js';
 import * as membersDb from '../../database/db.members.js';
 import * as settingsDb from '../../database/db.settings.js';
+import { getEventId } from '../../shared/events.js';
 import {
   SumUpClient,
   generateCheckoutReference,
@@ -36,17 +37,20 @@ export async function createCheckout(request, env) {
       return error(`Invalid payment status: ${member.payment_status}`, 400);
     }
 
+    // Prices are those of the member's event
+    const eventId = member.event_id ?? null;
+
     // Check if payment is enabled
-    const paymentEnabled = await settingsDb.getSetting(env.DB, 'payment_enabled');
+    const paymentEnabled = await settingsDb.getSetting(env.DB, 'payment_enabled', eventId);
     if (paymentEnabled !== 'true') {
       return error('Online payments are currently disabled', 400);
     }
 
     // Get pricing configuration
-    const registrationDeadline = await settingsDb.getSetting(env.DB, 'registration_deadline');
-    const tierCutoffDays = Number.parseInt(await settingsDb.getSetting(env.DB, 'tier1_cutoff_days') || '7', 10);
-    const tier1Price = Number.parseInt(await settingsDb.getSetting(env.DB, 'price_tier1') || '500', 10);
-    const tier2Price = Number.parseInt(await settingsDb.getSetting(env.DB, 'price_tier2') || '700', 10);
+    const registrationDeadline = await settingsDb.getSetting(env.DB, 'registration_deadline', eventId);
+    const tierCutoffDays = Number.parseInt(await settingsDb.getSetting(env.DB, 'tier1_cutoff_days', eventId) || '7', 10);
+    const tier1Price = Number.parseInt(await settingsDb.getSetting(env.DB, 'price_tier1', eventId) || '500', 10);
+    const tier2Price = Number.parseInt(await settingsDb.getSetting(env.DB, 'price_tier2', eventId) || '700', 10);
 
     // Calculate tier and price
     const tier = member.registration_tier || calculateTier(registrationDeadline, tierCutoffDays);
@@ -218,8 +222,9 @@ export async function markPaymentDelayed(request, env) {
     }
 
     // Get pricing tier for the member
-    const registrationDeadline = await settingsDb.getSetting(env.DB, 'registration_deadline');
-    const tierCutoffDays = Number.parseInt(await settingsDb.getSetting(env.DB, 'tier1_cutoff_days') || '7', 10);
+    const eventId = member.event_id ?? null;
+    const registrationDeadline = await settingsDb.getSetting(env.DB, 'registration_deadline', eventId);
+    const tierCutoffDays = Number.parseInt(await settingsDb.getSetting(env.DB, 'tier1_cutoff_days', eventId) || '7', 10);
     const tier = calculateTier(registrationDeadline, tierCutoffDays);
 
     // Update member
@@ -254,11 +259,12 @@ export async function markPaymentDelayed(request, env) {
 export async function getPricing(request, env) {
   try {
     // Get pricing configuration
-    const registrationDeadline = await settingsDb.getSetting(env.DB, 'registration_deadline');
-    const tierCutoffDays = Number.parseInt(await settingsDb.getSetting(env.DB, 'tier1_cutoff_days') || '7', 10);
-    const tier1Price = Number.parseInt(await settingsDb.getSetting(env.DB, 'price_tier1') || '500', 10);
-    const tier2Price = Number.parseInt(await settingsDb.getSetting(env.DB, 'price_tier2') || '700', 10);
-    const paymentEnabled = await settingsDb.getSetting(env.DB, 'payment_enabled');
+    const eventId = await getEventId(request, env);
+    const registrationDeadline = await settingsDb.getSetting(env.DB, 'registration_deadline', eventId);
+    const tierCutoffDays = Number.parseInt(await settingsDb.getSetting(env.DB, 'tier1_cutoff_days', eventId) || '7', 10);
+    const tier1Price = Number.parseInt(await settingsDb.getSetting(env.DB, 'price_tier1', eventId) || '500', 10);
+    const tier2Price = Number.parseInt(await settingsDb.getSetting(env.DB, 'price_tier2', eventId) || '700', 10);
+    const paymentEnabled = await settingsDb.getSetting(env.DB, 'payment_enabled', eventId);
 
     // Calculate current tier
     const currentTier = calculateTier(registrationDeadline, tierCutoffDays);
@@ -0,0 +1,72 @@
+/**
+ * SumUp refund clients
+ *
+ * A client refunds one transaction: refund(transactionId, amountCents) resolves
+ * on success and throws on failure. Set SUMUP_CLIENT=mock to refund locally
+ * (development and tests).
+ */
+
+const SUMUP_API_URL = 'https://api.sumup.com/v0.1';
+
+/**
+ * Refunds issued through the mock client (most recent last)
+ * @type {Array<{transactionId: string, amountCents: number}>}
+ */
+export const mockRefunds = [];
+
+/**
+ * SumUp Transactions API
+ * @param {string} apiKey
+ * @returns {{name: string, refund: Function}}
+ */
+export function sumUpRefundClient(apiKey) {
+  return {
+    name: 'sumup',
+    async refund(transactionId, amountCents) {
+      const response = await fetch(`${SUMUP_API_URL}/me/refund/${encodeURIComponent(transactionId)}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ amount: amountCents / 100 })
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`SumUp responded ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+      }
+    }
+  };
+}
+
+/**
+ * Records refunds in memory; transactions whose id starts with "declined" fail
+ * @returns {{name: string, refund: Function}}
+ */
+export function mockRefundClient() {
+  return {
+    name: 'mock',
+    async refund(transactionId, amountCents) {
+      if (transactionId.startsWith('declined')) {
+        throw new Error('Refund declined');
+      }
+      mockRefunds.push({ transactionId, amountCents });
+    }
+  };
+}
+
+/**
+ * Get the configured refund client
+ * @param {object} env
+ * @returns {{name: string, refund: Function}}
+ */
+export function getRefundClient(env) {
+  if (env.SUMUP_CLIENT === 'mock') {
+    return mockRefundClient();
+  }
+  if (!env.SUMUP_API_KEY) {
+    throw new Error('SumUp API key not configured');
+  }
+  return sumUpRefundClient(env.SUMUP_API_KEY);
+}
@@ -1,11 +1,15 @@
 /**
  * Database helper functions for D1
+ *
+ * List and statistics queries take the event ID as their last argument and
+ * match it with "event_id IS ?" (see db.events.js). Queries targeting a row by
+ * ID are not scoped.
  */
 
 /**
  * Get all teams with member count
  */
-export async function getTeams(db) {
+export async function getTeams(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       t.id,
@@ -14,10 +18,11 @@ export async function getTeams(db) {
       t.created_at,
       COUNT(m.id) as member_count
     FROM teams t
-    LEFT JOIN members m ON t.id = m.team_id
+    LEFT JOIN members m ON t.id = m.team_id AND m.deleted_at IS NULL
+    WHERE t.deleted_at IS NULL AND t.event_id IS ?
     GROUP BY t.id
     ORDER BY t.created_at DESC
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
 
@@ -26,13 +31,13 @@ export async function getTeams(db) {
  */
 export async function getTeamById(db, id) {
   const team = await db.prepare(
-    'SELECT id, name, description, room, password_hash, created_at FROM teams WHERE id = ?'
+    'SELECT id, event_id, name, description, room, password_hash, created_at FROM teams WHERE id = ? AND deleted_at IS NULL'
   ).bind(id).first();
 
   if (!team) return null;
 
   const members = await db.prepare(
-    'SELECT * FROM members WHERE team_id = ? ORDER BY created_at'
+    'SELECT * FROM members WHERE team_id = ? AND deleted_at IS NULL ORDER BY created_at'
   ).bind(id).all();
 
   return { ...team, members: members.results };
@@ -41,19 +46,19 @@ export async function getTeamById(db, id) {
 /**
  * Get all teams with their members in 2 queries (avoids N+1)
  */
-export async function getAllTeamsWithMembers(db) {
+export async function getAllTeamsWithMembers(db, eventId = null) {
   // Fetch all teams
   const teamsResult = await db.prepare(
-    'SELECT id, name, description, room, password_hash, created_at FROM teams ORDER BY created_at DESC'
-  ).all();
+    'SELECT id, name, description, room, password_hash, created_at FROM teams WHERE deleted_at IS NULL AND event_id IS ? ORDER BY created_at DESC'
+  ).bind(eventId).all();
 
   const teams = teamsResult.results || [];
   if (teams.length === 0) return [];
 
   // Fetch all members
   const membersResult = await db.prepare(
-    'SELECT * FROM members ORDER BY created_at'
-  ).all();
+    'SELECT * FROM members WHERE deleted_at IS NULL AND event_id IS ? ORDER BY created_at'
+  ).bind(eventId).all();
 
   const members = membersResult.results || [];
 
@@ -76,19 +81,70 @@ export async function getAllTeamsWithMembers(db) {
 /**
  * Get team by name
  */
-export async function getTeamByName(db, name) {
+export async function getTeamByName(db, name, eventId = null) {
   return db.prepare(
-    'SELECT * FROM teams WHERE name = ?'
-  ).bind(name).first();
+    'SELECT * FROM teams WHERE name = ? AND deleted_at IS NULL AND event_id IS ?'
+  ).bind(name, eventId).first();
+}
+
+/**
+ * Name a trashed row had before a live row took it over
+ * Trashed rows give their name up by taking a "#<id>" suffix, removed on restore
+ * @param {string} name
+ * @param {number} id - Row ID
+ * @returns {string}
+ */
+export function untrashedName(name, id) {
+  const suffix = `#${id}`;
+  return name.endsWith(suffix) ? name.slice(0, -suffix.length) : name;
+}
+
+// SQL counterpart of untrashedName() for a column of the updated row
+const untrashedColumn = column =>
+  `CASE WHEN substr(${column}, -length('#' || id)) = '#' || id THEN substr(${column}, 1, length(${column}) - length('#' || id)) ELSE ${column} END`;
+
+/**
+ * Free a name held by a trashed team
+ * Names are UNIQUE per event, so a new live team takes the name over; the
+ * trashed one stays restorable under a suffixed name
+ */
+export async function releaseDeletedTeamName(db, name, eventId = null) {
+  await db.prepare(
+    `UPDATE teams SET name = name || '#' || id WHERE name = ? AND deleted_at IS NOT NULL AND event_id IS ?`
+  ).bind(name, eventId).run();
+}
+
+/**
+ * Free the names held by trashed members
+ * @param {D1Database} db
+ * @param {Array<{firstName: string, lastName: string}>} members
+ */
+export async function releaseDeletedMemberNames(db, members, eventId = null) {
+  if (members.length === 0) return;
+
+  await db.batch(members.map(m => db.prepare(
+    `UPDATE members SET last_name = last_name || '#' || id
+     WHERE first_name = ? AND last_name = ? AND deleted_at IS NOT NULL AND event_id IS ?`
+  ).bind(m.firstName, m.lastName, eventId)));
+}
+
+/**
+ * Get the event a team belongs to
+ * @returns {Promise<number|null>}
+ */
+export async function getTeamEventId(db, teamId) {
+  const team = await db.prepare('SELECT event_id FROM teams WHERE id = ?').bind(teamId).first();
+  return team?.event_id ?? null;
 }
 
 /**
  * Create a new team with password
  */
-export async function createTeam(db, name, description = '', passwordHash = '') {
+export async function createTeam(db, name, description = '', passwordHash = '', eventId = null) {
+  await releaseDeletedTeamName(db, name, eventId);
   const result = await db.prepare(
-    'INSERT INTO teams (name, description, password_hash) VALUES (?, ?, ?)'
-  ).bind(name, description, passwordHash).run();
+    'INSERT INTO teams (event_id, name, description, password_hash) VALUES (?, ?, ?, ?)'
+  ).bind(eventId, name, description, passwordHash).run();
 
   return { id: result.meta.last_row_id, name, description };
 }
@@ -98,7 +154,7 @@ export async function createTeam(db, name, description = '', passwordHash = '')
  */
 export async function verifyTeamPassword(db, teamId, passwordHash) {
   const team = await db.prepare(
-    'SELECT password_hash FROM teams WHERE id = ?'
+    'SELECT password_hash FROM teams WHERE id = ? AND deleted_at IS NULL'
   ).bind(teamId).first();
 
   if (!team) return false;
@@ -109,12 +165,14 @@ export async function verifyTeamPassword(db, teamId, passwordHash) {
  * Add member to team
  */
 export async function addMember(db, teamId, member) {
-  const { firstName, lastName, email, bacLevel = 0, isLeader = false, foodDiet = '' } = member;
+  const { firstName, lastName, email, bacLevel = 0, isLeader = false, foodDiet = '', schoolId = null } = member;
+  const eventId = await getTeamEventId(db, teamId);
+  await releaseDeletedMemberNames(db, [member], eventId);
 
   const result = await db.prepare(`
-    INSERT INTO members (team_id, first_name, last_name, email, bac_level, is_leader, food_diet)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `).bind(teamId, firstName, lastName, email, bacLevel, isLeader ? 1 : 0, foodDiet).run();
+    INSERT INTO members (event_id, team_id, first_name, last_name, email, bac_level, is_leader, food_diet, school_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(eventId, teamId, firstName, lastName, email, bacLevel, isLeader ? 1 : 0, foodDiet, schoolId).run();
 
   return { id: result.meta.last_row_id, ...member };
 }
@@ -122,37 +180,39 @@ export async function addMember(db, teamId, member) {
 /**
  * Check if member exists (by first + last name)
  */
-export async function memberExists(db, firstName, lastName) {
+export async function memberExists(db, firstName, lastName, eventId = null) {
   const result = await db.prepare(
-    'SELECT id FROM members WHERE first_name = ? AND last_name = ?'
-  ).bind(firstName, lastName).first();
+    'SELECT id FROM members WHERE first_name = ? AND last_name = ? AND deleted_at IS NULL AND event_id IS ?'
+  ).bind(firstName, lastName, eventId).first();
   return !!result;
 }
 
 /**
  * Get total participant count
  */
-export async function getTotalParticipants(db) {
-  const result = await db.prepare('SELECT COUNT(*) as count FROM members').first();
+export async function getTotalParticipants(db, eventId = null) {
+  const result = await db.prepare(
+    'SELECT COUNT(*) as count FROM members WHERE deleted_at IS NULL AND event_id IS ?'
+  ).bind(eventId).first();
   return result?.count || 0;
 }
 
 /**
  * Get participant count excluding Organisation team
  */
-export async function getParticipantsExcludingOrg(db) {
+export async function getParticipantsExcludingOrg(db, eventId = null) {
   const result = await db.prepare(`
     SELECT COUNT(*) as count FROM members m
     JOIN teams t ON m.team_id = t.id
-    WHERE t.name != 'Organisation'
-  `).first();
+    WHERE t.name != 'Organisation' AND m.deleted_at IS NULL AND t.deleted_at IS NULL AND t.event_id IS ?
+  `).bind(eventId).first();
   return result?.count || 0;
 }
 
 /**
  * Get teams excluding Organisation
  */
-export async function getTeamsExcludingOrg(db) {
+export async function getTeamsExcludingOrg(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       t.id,
@@ -161,11 +221,11 @@ export async function getTeamsExcludingOrg(db) {
       t.created_at,
       COUNT(m.id) as member_count
     FROM teams t
-    LEFT JOIN members m ON t.id = m.team_id
-    WHERE t.name != 'Organisation'
+    LEFT JOIN members m ON t.id = m.team_id AND m.deleted_at IS NULL
+    WHERE t.name != 'Organisation' AND t.deleted_at IS NULL AND t.event_id IS ?
     GROUP BY t.id
     ORDER BY t.created_at DESC
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
 
@@ -174,7 +234,7 @@ export async function getTeamsExcludingOrg(db) {
  */
 export async function getTeamMemberCount(db, teamId) {
   const result = await db.prepare(
-    'SELECT COUNT(*) as count FROM members WHERE team_id = ?'
+    'SELECT COUNT(*) as count FROM members WHERE team_id = ? AND deleted_at IS NULL'
   ).bind(teamId).first();
   return result?.count || 0;
 }
@@ -182,7 +242,7 @@ export async function getTeamMemberCount(db, teamId) {
 /**
  * Get all members for export
  */
-export async function getAllMembers(db) {
+export async function getAllMembers(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       m.id,
@@ -192,13 +252,16 @@ export async function getAllMembers(db) {
       m.bac_level,
       m.is_leader,
       m.food_diet,
+      m.school_id,
+      m.team_id,
       m.created_at,
       t.name as team_name,
       t.room as team_room
     FROM members m
     JOIN teams t ON m.team_id = t.id
+    WHERE m.deleted_at IS NULL AND t.deleted_at IS NULL AND t.event_id IS ?
     ORDER BY t.name, m.last_name, m.first_name
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
 
@@ -207,7 +270,7 @@ export async function getAllMembers(db) {
  */
 export async function getMembersByTeam(db, teamId) {
   const result = await db.prepare(
-    'SELECT * FROM members WHERE team_id = ? ORDER BY last_name, first_name'
+    'SELECT * FROM members WHERE team_id = ? AND deleted_at IS NULL ORDER BY last_name, first_name'
   ).bind(teamId).all();
   return result.results;
 }
@@ -215,14 +278,14 @@ export async function getMembersByTeam(db, teamId) {
 /**
  * Get food diet statistics
  */
-export async function getFoodStats(db) {
+export async function getFoodStats(db, eventId = null) {
   const result = await db.prepare(`
     SELECT food_diet, COUNT(*) as count
     FROM members
-    WHERE food_diet != ''
+    WHERE food_diet != '' AND deleted_at IS NULL AND event_id IS ?
     GROUP BY food_diet
     ORDER BY count DESC
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
 
@@ -236,6 +299,7 @@ export async function updateTeam(db, teamId, updates) {
   const values = [];
 
   if (updates.name !== undefined) {
+    await releaseDeletedTeamName(db, updates.name, await getTeamEventId(db, teamId));
     fields.push('name = ?');
     values.push(updates.name);
   }
@@ -252,28 +316,30 @@ export async function updateTeam(db, teamId, updates) {
 
   values.push(teamId);
   await db.prepare(
-    `UPDATE teams SET ${fields.join(', ')} WHERE id = ?`
+    `UPDATE teams SET ${fields.join(', ')} WHERE id = ? AND deleted_at IS NULL`
   ).bind(...values).run();
 
   return true;
 }
 
 /**
- * Delete a team and all its members
+ * Move a team and all its members to the trash
+ * Members share the team's deleted_at so they can be restored together
  */
 export async function deleteTeam(db, teamId) {
-  // Delete members first (due to foreign key)
-  await db.prepare('DELETE FROM members WHERE team_id = ?').bind(teamId).run();
-  // Delete team
-  const result = await db.prepare('DELETE FROM teams WHERE id = ?').bind(teamId).run();
-  return result.meta.changes > 0;
+  const now = new Date().toISOString();
+  const [teamResult] = await db.batch([
+    db.prepare('UPDATE teams SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL').bind(now, teamId),
+    db.prepare('UPDATE members SET deleted_at = ? WHERE team_id = ? AND deleted_at IS NULL').bind(now, teamId)
+  ]);
+  return teamResult.meta.changes > 0;
 }
 
 /**
  * Get member by ID
  */
 export async function getMemberById(db, memberId) {
-  return db.prepare('SELECT * FROM members WHERE id = ?').bind(memberId).first();
+  return db.prepare('SELECT * FROM members WHERE id = ? AND deleted_at IS NULL').bind(memberId).first();
 }
 
 /**
@@ -307,39 +373,57 @@ export async function updateMember(db, memberId, updates) {
     fields.push('food_diet = ?');
     values.push(updates.foodDiet);
   }
+  if (updates.schoolId !== undefined) {
+    fields.push('school_id = ?');
+    values.push(updates.schoolId);
+  }
   if (updates.teamId !== undefined) {
-    fields.push('team_id = ?');
-    values.push(updates.teamId);
+    // A member moved to another event's team follows it
+    fields.push('team_id = ?', 'event_id = (SELECT event_id FROM teams WHERE id = ?)');
+    values.push(updates.teamId, updates.teamId);
   }
 
   if (fields.length === 0) return false;
 
+  if (updates.firstName !== undefined || updates.lastName !== undefined || updates.teamId !== undefined) {
+    const current = await getMemberById(db, memberId);
+    if (current) {
+      const eventId = updates.teamId === undefined ? current.event_id : await getTeamEventId(db, updates.teamId);
+      await releaseDeletedMemberNames(db, [{
+        firstName: updates.firstName ?? current.first_name,
+        lastName: updates.lastName ?? current.last_name
+      }], eventId ?? null);
+    }
+  }
+
   values.push(memberId);
   await db.prepare(
-    `UPDATE members SET ${fields.join(', ')} WHERE id = ?`
+    `UPDATE members SET ${fields.join(', ')} WHERE id = ? AND deleted_at IS NULL`
   ).bind(...values).run();
 
   return true;
 }
 
 /**
- * Delete a single member
+ * Move a single member to the trash
  */
 export async function deleteMember(db, memberId) {
-  const result = await db.prepare('DELETE FROM members WHERE id = ?').bind(memberId).run();
+  const result = await db.prepare(
+    'UPDATE members SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL'
+  ).bind(new Date().toISOString(), memberId).run();
   return result.meta.changes > 0;
 }
 
 /**
- * Delete multiple members by IDs
+ * Move multiple members to the trash
  */
 export async function deleteMembers(db, memberIds) {
   if (memberIds.length === 0) return 0;
 
   const placeholders = memberIds.map(() => '?').join(',');
   const result = await db.prepare(
-    `DELETE FROM members WHERE id IN (${placeholders})`
-  ).bind(...memberIds).run();
+    `UPDATE members SET deleted_at = ? WHERE id IN (${placeholders}) AND deleted_at IS NULL`
+  ).bind(new Date().toISOString(), ...memberIds).run();
 
   return result.meta.changes;
 }
@@ -348,12 +432,14 @@ export async function deleteMembers(db, memberIds) {
  * Add member without duplicate check (admin only)
  */
 export async function addMemberAdmin(db, teamId, member) {
-  const { firstName, lastName, email, bacLevel = 0, isLeader = false, foodDiet = '' } = member;
+  const { firstName, lastName, email, bacLevel = 0, isLeader = false, foodDiet = '', schoolId = null } = member;
+  const eventId = await getTeamEventId(db, teamId);
+  await releaseDeletedMemberNames(db, [member], eventId);
 
   const result = await db.prepare(`
-    INSERT INTO members (team_id, first_name, last_name, email, bac_level, is_leader, food_diet)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `).bind(teamId, firstName, lastName, email, bacLevel, isLeader ? 1 : 0, foodDiet).run();
+    INSERT INTO members (event_id, team_id, first_name, last_name, email, bac_level, is_leader, food_diet, school_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(eventId, teamId, firstName, lastName, email, bacLevel, isLeader ? 1 : 0, foodDiet, schoolId).run();
 
   return { id: result.meta.last_row_id, teamId, ...member };
 }
@@ -363,7 +449,7 @@ export async function addMemberAdmin(db, teamId, member) {
 /**
  * Get all members with attendance info for attendance management
  */
-export async function getAllMembersWithAttendance(db) {
+export async function getAllMembersWithAttendance(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       m.id,
@@ -381,8 +467,9 @@ export async function getAllMembersWithAttendance(db) {
       t.room as team_room
     FROM members m
     JOIN teams t ON m.team_id = t.id
+    WHERE m.deleted_at IS NULL AND t.deleted_at IS NULL AND t.event_id IS ?
     ORDER BY m.last_name, m.first_name
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
 
@@ -392,11 +479,92 @@ export async function getAllMembersWithAttendance(db) {
 export async function checkInMember(db, memberId) {
   const now = new Date().toISOString();
   const result = await db.prepare(`
-    UPDATE members SET checked_in = 1, checked_in_at = ? WHERE id = ?
+    UPDATE members SET checked_in = 1, checked_in_at = ? WHERE id = ? AND deleted_at IS NULL
   `).bind(now, memberId).run();
   return result.meta.changes > 0;
 }
 
+/**
+ * Check in a member from a scanned ticket
+ * Fails if the member is already checked in or the ticket was already used
+ */
+export async function checkInWithTicket(db, memberId) {
+  const now = new Date().toISOString();
+  const result = await db.prepare(`
+    UPDATE members
+    SET checked_in = 1, checked_in_at = ?, ticket_scanned_at = ?
+    WHERE id = ? AND deleted_at IS NULL AND checked_in = 0 AND ticket_scanned_at IS NULL
+  `).bind(now, now, memberId).run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * Mark a member's email as verified (keeps the first verification date)
+ */
+export async function markEmailVerified(db, memberId) {
+  const result = await db.prepare(`
+    UPDATE members
+    SET email_verified_at = COALESCE(email_verified_at, ?)
+    WHERE id = ? AND deleted_at IS NULL
+  `).bind(new Date().toISOString(), memberId).run();
+  return result.meta.changes > 0;
+}
+
+/**
+ * Mark a member's email as unverified (after an address change)
+ */
+export async function resetEmailVerification(db, memberId) {
+  await db.prepare('UPDATE members SET email_verified_at = NULL WHERE id = ?').bind(memberId).run();
+}
+
+/**
+ * Record the delivery of a verification link (migration 032)
+ * A failed delivery clears the date: the member may never have received a link
+ */
+export async function setVerificationSent(db, memberId, sent) {
+  await db.prepare('UPDATE members SET verification_sent_at = ? WHERE id = ?')
+    .bind(sent ? new Date().toISOString() : null, memberId).run();
+}
+
+/**
+ * Get an event's members still unverified a number of days after their last
+ * verification link. Members who paid, started a payment or checked in are
+ * left out: they exist for real.
+ * @param {D1Database} db
+ * @param {number} days
+ * @param {number|null} [eventId]
+ * @returns {Promise<Array<{id: number, first_name: string, last_name: string}>>}
+ */
+export async function getStaleUnverifiedMembers(db, days, eventId = null) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const result = await db.prepare(`
+    SELECT id, first_name, last_name FROM members
+    WHERE deleted_at IS NULL
+      AND event_id IS ?
+      AND email_verified_at IS NULL
+      AND verification_sent_at IS NOT NULL
+      AND verification_sent_at < ?
+      AND COALESCE(payment_status, 'unpaid') = 'unpaid'
+      AND checked_in = 0
+    ORDER BY id
+  `).bind(eventId, cutoff).all();
+  return result.results;
+}
+
+/**
+ * Check if the verification_sent_at column exists (migration 032)
+ * @param {D1Database} db
+ * @returns {Promise<boolean>}
+ */
+export async function verificationSentColumnExists(db) {
+  try {
+    await db.prepare('SELECT verification_sent_at FROM members LIMIT 1').first();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Check out a member (revoke attendance)
  */
@@ -408,7 +576,7 @@ export async function checkOutMember(db, memberId) {
         payment_tier = NULL,
         payment_amount = NULL,
         payment_confirmed_at = NULL
-    WHERE id = ?
+    WHERE id = ? AND deleted_at IS NULL
   `).bind(memberId).run();
   return result.meta.changes > 0;
 }
@@ -416,7 +584,7 @@ export async function checkOutMember(db, memberId) {
 /**
  * Get attendance statistics
  */
-export async function getAttendanceStats(db) {
+export async function getAttendanceStats(db, eventId = null) {
   return await db.prepare(`
     SELECT
       COUNT(*) as total,
@@ -424,7 +592,8 @@ export async function getAttendanceStats(db) {
       SUM(CASE WHEN checked_in = 0 OR checked_in IS NULL THEN 1 ELSE 0 END) as not_checked_in
     FROM members m
     JOIN teams t ON m.team_id = t.id
-  `).first();
+    WHERE m.deleted_at IS NULL AND t.deleted_at IS NULL AND t.event_id IS ?
+  `).bind(eventId).first();
 }
 
 /**
@@ -436,7 +605,7 @@ export async function checkInMembers(db, memberIds) {
   const now = new Date().toISOString();
   const placeholders = memberIds.map(() => '?').join(',');
   const result = await db.prepare(
-    `UPDATE members SET checked_in = 1, checked_in_at = ? WHERE id IN (${placeholders})`
+    `UPDATE members SET checked_in = 1, checked_in_at = ? WHERE id IN (${placeholders}) AND deleted_at IS NULL`
   ).bind(now, ...memberIds).run();
 
   return result.meta.changes;
@@ -456,7 +625,7 @@ export async function checkOutMembers(db, memberIds) {
         payment_tier = NULL,
         payment_amount = NULL,
         payment_confirmed_at = NULL
-    WHERE id IN (${placeholders})
+    WHERE id IN (${placeholders}) AND deleted_at IS NULL
   `).bind(...memberIds).run();
 
   return result.meta.changes;
@@ -467,7 +636,7 @@ export async function checkOutMembers(db, memberIds) {
 /**
  * Get all members with pizza distribution status
  */
-export async function getAllMembersWithPizzaStatus(db) {
+export async function getAllMembersWithPizzaStatus(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       m.id,
@@ -487,15 +656,16 @@ export async function getAllMembersWithPizzaStatus(db) {
       t.room as team_room
     FROM members m
     JOIN teams t ON m.team_id = t.id
+    WHERE m.deleted_at IS NULL AND t.deleted_at IS NULL AND t.event_id IS ?
     ORDER BY m.last_name, m.first_name
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
 
 /**
  * Get pizza distribution statistics
  */
-export async function getPizzaStats(db) {
+export async function getPizzaStats(db, eventId = null) {
   // All members stats
   const result = await db.prepare(`
     SELECT
@@ -504,7 +674,8 @@ export async function getPizzaStats(db) {
       SUM(CASE WHEN pizza_received = 0 OR pizza_received IS NULL THEN 1 ELSE 0 END) as pending
     FROM members m
     JOIN teams t ON m.team_id = t.id
-  `).first();
+    WHERE m.deleted_at IS NULL AND t.deleted_at IS NULL AND t.event_id IS ?
+  `).bind(eventId).first();
 
   // Stats for present (checked-in) members only
   const presentResult = await db.prepare(`
@@ -514,8 +685,8 @@ export async function getPizzaStats(db) {
       SUM(CASE WHEN pizza_received = 0 OR pizza_received IS NULL THEN 1 ELSE 0 END) as pending
     FROM members m
     JOIN teams t ON m.team_id = t.id
-    WHERE m.checked_in = 1
-  `).first();
+    WHERE m.checked_in = 1 AND m.deleted_at IS NULL AND t.deleted_at IS NULL AND t.event_id IS ?
+  `).bind(eventId).first();
 
   // Stats by pizza type (all members)
   const byType = await db.prepare(`
@@ -524,10 +695,10 @@ export async function getPizzaStats(db) {
       COUNT(*) as total,
       SUM(CASE WHEN pizza_received = 1 THEN 1 ELSE 0 END) as received
     FROM members
-    WHERE food_diet IS NOT NULL AND food_diet != ''
+    WHERE food_diet IS NOT NULL AND food_diet != '' AND deleted_at IS NULL AND event_id IS ?
     GROUP BY food_diet
     ORDER BY total DESC
-  `).all();
+  `).bind(eventId).all();
 
   // Stats by pizza type (present members only)
   const byTypePresent = await db.prepare(`
@@ -536,10 +707,10 @@ export async function getPizzaStats(db) {
       COUNT(*) as total,
       SUM(CASE WHEN pizza_received = 1 THEN 1 ELSE 0 END) as received
     FROM members
-    WHERE food_diet IS NOT NULL AND food_diet != '' AND checked_in = 1
+    WHERE food_diet IS NOT NULL AND food_diet != '' AND checked_in = 1 AND deleted_at IS NULL AND event_id IS ?
     GROUP BY food_diet
     ORDER BY total DESC
-  `).all();
+  `).bind(eventId).all();
 
   return {
     ...result,
@@ -559,7 +730,7 @@ export async function getPizzaStats(db) {
 export async function givePizza(db, memberId) {
   const now = new Date().toISOString();
   const result = await db.prepare(`
-    UPDATE members SET pizza_received = 1, pizza_received_at = ? WHERE id = ?
+    UPDATE members SET pizza_received = 1, pizza_received_at = ? WHERE id = ? AND deleted_at IS NULL
   `).bind(now, memberId).run();
   return result.meta.changes > 0;
 }
@@ -569,7 +740,7 @@ export async function givePizza(db, memberId) {
  */
 export async function revokePizza(db, memberId) {
   const result = await db.prepare(`
-    UPDATE members SET pizza_received = 0, pizza_received_at = NULL WHERE id = ?
+    UPDATE members SET pizza_received = 0, pizza_received_at = NULL WHERE id = ? AND deleted_at IS NULL
   `).bind(memberId).run();
   return result.meta.changes > 0;
 }
@@ -583,7 +754,7 @@ export async function givePizzaBatch(db, memberIds) {
   const now = new Date().toISOString();
   const placeholders = memberIds.map(() => '?').join(',');
   const result = await db.prepare(
-    `UPDATE members SET pizza_received = 1, pizza_received_at = ? WHERE id IN (${placeholders})`
+    `UPDATE members SET pizza_received = 1, pizza_received_at = ? WHERE id IN (${placeholders}) AND deleted_at IS NULL`
   ).bind(now, ...memberIds).run();
 
   return result.meta.changes;
@@ -597,7 +768,7 @@ export async function revokePizzaBatch(db, memberIds) {
 
   const placeholders = memberIds.map(() => '?').join(',');
   const result = await db.prepare(
-    `UPDATE members SET pizza_received = 0, pizza_received_at = NULL WHERE id IN (${placeholders})`
+    `UPDATE members SET pizza_received = 0, pizza_received_at = NULL WHERE id IN (${placeholders}) AND deleted_at IS NULL`
   ).bind(...memberIds).run();
 
   return result.meta.changes;
@@ -617,35 +788,37 @@ export async function checkInWithPayment(db, memberId, paymentTier, paymentAmoun
         payment_tier = ?,
         payment_amount = ?,
         payment_confirmed_at = ?
-    WHERE id = ?
+    WHERE id = ? AND deleted_at IS NULL
   `).bind(now, paymentTier, paymentAmount, now, memberId).run();
   return result.meta.changes > 0;
 }
 
 /**
  * Get payment statistics
+ * Revenue is net of refunds; fully refunded members no longer count as paid
  */
-export async function getPaymentStats(db) {
+export async function getPaymentStats(db, eventId = null) {
   return await db.prepare(`
     SELECT
-      COUNT(CASE WHEN payment_tier IS NOT NULL THEN 1 END) as total_paid,
-      SUM(CASE WHEN payment_amount IS NOT NULL THEN payment_amount ELSE 0 END) as total_revenue,
+      COUNT(CASE WHEN payment_tier IS NOT NULL AND COALESCE(payment_status, '') != 'refunded' THEN 1 END) as total_paid,
+      SUM(COALESCE(payment_amount, 0) - refunded_amount) as total_revenue,
+      SUM(refunded_amount) as total_refunded,
       COUNT(CASE WHEN payment_tier = 'asso_member' THEN 1 END) as asso_members,
-      SUM(CASE WHEN payment_tier = 'asso_member' THEN payment_amount ELSE 0 END) as asso_revenue,
+      SUM(CASE WHEN payment_tier = 'asso_member' THEN payment_amount - refunded_amount ELSE 0 END) as asso_revenue,
       COUNT(CASE WHEN payment_tier = 'non_member' THEN 1 END) as non_members,
-      SUM(CASE WHEN payment_tier = 'non_member' THEN payment_amount ELSE 0 END) as non_member_revenue,
+      SUM(CASE WHEN payment_tier = 'non_member' THEN payment_amount - refunded_amount ELSE 0 END) as non_member_revenue,
       COUNT(CASE WHEN payment_tier = 'late' THEN 1 END) as late_arrivals,
-      SUM(CASE WHEN payment_tier = 'late' THEN payment_amount ELSE 0 END) as late_revenue
+      SUM(CASE WHEN payment_tier = 'late' THEN payment_amount - refunded_amount ELSE 0 END) as late_revenue
     FROM members m
     JOIN teams t ON m.team_id = t.id
-    WHERE t.name != 'Organisation'
-  `).first();
+    WHERE t.name != 'Organisation' AND m.deleted_at IS NULL AND t.deleted_at IS NULL AND t.event_id IS ?
+  `).bind(eventId).first();
 }
 
 /**
  * Get all members with payment information for attendance view
  */
-export async function getAllMembersWithPayment(db) {
+export async function getAllMembersWithPayment(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       m.id,
@@ -662,6 +835,7 @@ export async function getAllMembersWithPayment(db) {
       m.registration_tier,
       m.payment_tier,
       m.payment_amount,
+      m.refunded_amount,
       m.payment_confirmed_at,
       m.checkout_id,
       m.transaction_id,
@@ -671,8 +845,9 @@ export async function getAllMembersWithPayment(db) {
       t.room as team_room
     FROM members m
     JOIN teams t ON m.team_id = t.id
+    WHERE m.deleted_at IS NULL AND t.deleted_at IS NULL AND t.event_id IS ?
     ORDER BY m.last_name, m.first_name
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
 
@@ -681,7 +856,7 @@ export async function getAllMembersWithPayment(db) {
 /**
  * Get all teams with room assignments
  */
-export async function getTeamsWithRooms(db) {
+export async function getTeamsWithRooms(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       t.id,
@@ -691,38 +866,38 @@ export async function getTeamsWithRooms(db) {
       t.created_at,
       COUNT(m.id) as member_count
     FROM teams t
-    LEFT JOIN members m ON t.id = m.team_id
-    WHERE t.name != 'Organisation'
+    LEFT JOIN members m ON t.id = m.team_id AND m.deleted_at IS NULL
+    WHERE t.name != 'Organisation' AND t.deleted_at IS NULL AND t.event_id IS ?
     GROUP BY t.id
     ORDER BY t.room IS NULL, t.room, t.name
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
 
 /**
  * Get room assignment statistics
  */
-export async function getRoomStats(db) {
+export async function getRoomStats(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       COUNT(DISTINCT t.id) as total_teams,
       COUNT(DISTINCT CASE WHEN t.room IS NOT NULL AND t.room != '' THEN t.id END) as assigned_teams,
       COUNT(DISTINCT CASE WHEN t.room IS NULL OR t.room = '' THEN t.id END) as unassigned_teams
     FROM teams t
-    WHERE t.name != 'Organisation'
-  `).first();
+    WHERE t.name != 'Organisation' AND t.deleted_at IS NULL AND t.event_id IS ?
+  `).bind(eventId).first();
 
   // Get rooms with team counts
   const byRoom = await db.prepare(`
     SELECT
       t.room,
       COUNT(t.id) as team_count,
-      SUM((SELECT COUNT(*) FROM members m WHERE m.team_id = t.id)) as member_count
+      SUM((SELECT COUNT(*) FROM members m WHERE m.team_id = t.id AND m.deleted_at IS NULL)) as member_count
     FROM teams t
-    WHERE t.name != 'Organisation' AND t.room IS NOT NULL AND t.room != ''
+    WHERE t.name != 'Organisation' AND t.room IS NOT NULL AND t.room != '' AND t.deleted_at IS NULL AND t.event_id IS ?
     GROUP BY t.room
     ORDER BY t.room
-  `).all();
+  `).bind(eventId).all();
 
   return { ...result, by_room: byRoom.results };
 }
@@ -730,7 +905,7 @@ export async function getRoomStats(db) {
 /**
  * Get pizza stats grouped by room
  */
-export async function getPizzaStatsByRoom(db) {
+export async function getPizzaStatsByRoom(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       t.room,
@@ -741,11 +916,12 @@ export async function getPizzaStatsByRoom(db) {
     FROM members m
     JOIN teams t ON m.team_id = t.id
     WHERE t.name != 'Organisation'
+      AND m.deleted_at IS NULL AND t.deleted_at IS NULL AND t.event_id IS ?
       AND t.room IS NOT NULL AND t.room != ''
       AND m.food_diet IS NOT NULL AND m.food_diet != ''
     GROUP BY t.room, m.food_diet
     ORDER BY t.room, m.food_diet
-  `).all();
+  `).bind(eventId).all();
 
   // Group by room
   const byRoom = {};
@@ -776,7 +952,7 @@ export async function getPizzaStatsByRoom(db) {
  */
 export async function setTeamRoom(db, teamId, room) {
   const result = await db.prepare(`
-    UPDATE teams SET room = ? WHERE id = ?
+    UPDATE teams SET room = ? WHERE id = ? AND deleted_at IS NULL
   `).bind(room || null, teamId).run();
   return result.meta.changes > 0;
 }
@@ -789,22 +965,44 @@ export async function setTeamRoomsBatch(db, assignments) {
   let updated = 0;
   for (const { teamId, room } of assignments) {
     const result = await db.prepare(`
-      UPDATE teams SET room = ? WHERE id = ?
+      UPDATE teams SET room = ? WHERE id = ? AND deleted_at IS NULL
     `).bind(room || null, teamId).run();
     updated += result.meta.changes;
   }
   return updated;
 }
 
+/**
+ * Get the members of the teams assigned to a room, for its printed roster
+ */
+export async function getRoomRoster(db, room, eventId = null) {
+  const result = await db.prepare(`
+    SELECT
+      t.id as team_id,
+      t.name as team_name,
+      m.first_name,
+      m.last_name,
+      m.is_leader,
+      m.food_diet,
+      m.checked_in,
+      m.pizza_received
+    FROM teams t
+    JOIN members m ON m.team_id = t.id AND m.deleted_at IS NULL
+    WHERE t.room = ? AND t.deleted_at IS NULL AND t.event_id IS ?
+    ORDER BY t.name, m.is_leader DESC, m.last_name, m.first_name
+  `).bind(room, eventId).all();
+  return result.results;
+}
+
 /**
  * Get distinct rooms for autocomplete
  */
-export async function getDistinctRooms(db) {
+export async function getDistinctRooms(db, eventId = null) {
   const result = await db.prepare(`
     SELECT DISTINCT room FROM teams
-    WHERE room IS NOT NULL AND room != ''
+    WHERE room IS NOT NULL AND room != '' AND deleted_at IS NULL AND event_id IS ?
     ORDER BY room
-  `).all();
+  `).bind(eventId).all();
   return result.results.map(r => r.room);
 }
 
@@ -817,7 +1015,7 @@ export async function getDistinctRooms(db) {
  * Get all teams with room assignments (including Organisation)
  * For admin panel display where org members should be visible
  */
-export async function getAllTeamsWithRooms(db) {
+export async function getAllTeamsWithRooms(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       t.id,
@@ -828,10 +1026,11 @@ export async function getAllTeamsWithRooms(db) {
       COUNT(m.id) as member_count,
       CASE WHEN t.name = 'Organisation' THEN 1 ELSE 0 END as is_organisation
     FROM teams t
-    LEFT JOIN members m ON t.id = m.team_id
+    LEFT JOIN members m ON t.id = m.team_id AND m.deleted_at IS NULL
+    WHERE t.deleted_at IS NULL AND t.event_id IS ?
     GROUP BY t.id
     ORDER BY t.name = 'Organisation' DESC, t.room IS NULL, t.room, t.name
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
 
@@ -839,7 +1038,7 @@ export async function getAllTeamsWithRooms(db) {
  * Get room assignment statistics (including Organisation)
  * For admin panel display
  */
-export async function getAllRoomStats(db) {
+export async function getAllRoomStats(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       COUNT(DISTINCT t.id) as total_teams,
@@ -847,20 +1046,21 @@ export async function getAllRoomStats(db) {
       COUNT(DISTINCT CASE WHEN t.room IS NULL OR t.room = '' THEN t.id END) as unassigned_teams,
       COUNT(DISTINCT CASE WHEN t.name = 'Organisation' THEN t.id END) as organisation_teams
     FROM teams t
-  `).first();
+    WHERE t.deleted_at IS NULL AND t.event_id IS ?
+  `).bind(eventId).first();
 
   // Get rooms with team counts (including org)
   const byRoom = await db.prepare(`
     SELECT
       t.room,
       COUNT(t.id) as team_count,
-      SUM((SELECT COUNT(*) FROM members m WHERE m.team_id = t.id)) as member_count,
+      SUM((SELECT COUNT(*) FROM members m WHERE m.team_id = t.id AND m.deleted_at IS NULL)) as member_count,
       SUM(CASE WHEN t.name = 'Organisation' THEN 1 ELSE 0 END) as org_count
     FROM teams t
-    WHERE t.room IS NOT NULL AND t.room != ''
+    WHERE t.room IS NOT NULL AND t.room != '' AND t.deleted_at IS NULL AND t.event_id IS ?
     GROUP BY t.room
     ORDER BY t.room
-  `).all();
+  `).bind(eventId).all();
 
   return { ...result, by_room: byRoom.results };
 }
@@ -869,7 +1069,7 @@ export async function getAllRoomStats(db) {
  * Get pizza stats grouped by room (including Organisation)
  * For admin panel display
  */
-export async function getAllPizzaStatsByRoom(db) {
+export async function getAllPizzaStatsByRoom(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       t.room,
@@ -880,11 +1080,12 @@ export async function getAllPizzaStatsByRoom(db) {
       SUM(CASE WHEN t.name = 'Organisation' THEN 1 ELSE 0 END) as org_count
     FROM members m
     JOIN teams t ON m.team_id = t.id
-    WHERE t.room IS NOT NULL AND t.room != ''
+    WHERE m.deleted_at IS NULL AND t.deleted_at IS NULL AND t.event_id IS ?
+      AND t.room IS NOT NULL AND t.room != ''
       AND m.food_diet IS NOT NULL AND m.food_diet != ''
     GROUP BY t.room, m.food_diet
     ORDER BY t.room, m.food_diet
-  `).all();
+  `).bind(eventId).all();
 
   // Group by room
   const byRoom = {};
@@ -916,7 +1117,7 @@ export async function getAllPizzaStatsByRoom(db) {
  * Get all teams (including Organisation) with member counts
  * For admin panel team list
  */
-export async function getAllTeams(db) {
+export async function getAllTeams(db, eventId = null) {
   const result = await db.prepare(`
     SELECT
       t.id,
@@ -926,10 +1127,11 @@ export async function getAllTeams(db) {
       COUNT(m.id) as member_count,
       CASE WHEN t.name = 'Organisation' THEN 1 ELSE 0 END as is_organisation
     FROM teams t
-    LEFT JOIN members m ON t.id = m.team_id
+    LEFT JOIN members m ON t.id = m.team_id AND m.deleted_at IS NULL
+    WHERE t.deleted_at IS NULL AND t.event_id IS ?
     GROUP BY t.id
     ORDER BY t.name = 'Organisation' DESC, t.created_at DESC
-  `).all();
+  `).bind(eventId).all();
   return result.results;
 }
 
@@ -937,7 +1139,107 @@ export async function getAllTeams(db) {
  * Get total participant count (including Organisation)
  * For admin panel stats
  */
-export async function getAllParticipants(db) {
-  const result = await db.prepare('SELECT COUNT(*) as count FROM members').first();
+export async function getAllParticipants(db, eventId = null) {
+  const result = await db.prepare(
+    'SELECT COUNT(*) as count FROM members WHERE deleted_at IS NULL AND event_id IS ?'
+  ).bind(eventId).first();
   return result?.count || 0;
 }
+
+// ============ TRASH (SOFT DELETE) ============
+
+/**
+ * Get trashed teams with the number of members deleted along with them
+ */
+export async function getDeletedTeams(db, eventId = null) {
+  const result = await db.prepare(`
+    SELECT
+      t.id,
+      t.name,
+      t.description,
+      t.room,
+      t.deleted_at,
+      COUNT(m.id) as member_count
+    FROM teams t
+    LEFT JOIN members m ON t.id = m.team_id AND m.deleted_at = t.deleted_at
+    WHERE t.deleted_at IS NOT NULL AND t.event_id IS ?
+    GROUP BY t.id
+    ORDER BY t.deleted_at DESC
+  `).bind(eventId).all();
+  return result.results;
+}
+
+/**
+ * Get members trashed on their own (not along with their team)
+ */
+export async function getDeletedMembers(db, eventId = null) {
+  const result = await db.prepare(`
+    SELECT
+      m.id,
+      m.first_name,
+      m.last_name,
+      m.email,
+      m.team_id,
+      m.deleted_at,
+      t.name as team_name,
+      t.deleted_at IS NOT NULL as team_deleted
+    FROM members m
+    JOIN teams t ON m.team_id = t.id
+    WHERE m.deleted_at IS NOT NULL AND m.event_id IS ?
+      AND (t.deleted_at IS NULL OR t.deleted_at != m.deleted_at)
+    ORDER BY m.deleted_at DESC
+  `).bind(eventId).all();
+  return result.results;
+}
+
+/**
+ * Get a trashed team with the members deleted along with it
+ */
+export async function getDeletedTeamById(db, teamId) {
+  const team = await db.prepare(
+    'SELECT * FROM teams WHERE id = ? AND deleted_at IS NOT NULL'
+  ).bind(teamId).first();
+
+  if (!team) return null;
+
+  const members = await db.prepare(
+    'SELECT * FROM members WHERE team_id = ? AND deleted_at = ?'
+  ).bind(teamId, team.deleted_at).all();
+
+  return { ...team, members: members.results };
+}
+
+/**
+ * Get a trashed member
+ */
+export async function getDeletedMemberById(db, memberId) {
+  return db.prepare(
+    'SELECT * FROM members WHERE id = ? AND deleted_at IS NOT NULL'
+  ).bind(memberId).first();
+}
+
+/**
+ * Restore a trashed team and the members deleted along with it
+ * @returns {Promise<number>} Number of restored members
+ */
+export async function restoreTeam(db, teamId, deletedAt) {
+  const [, membersResult] = await db.batch([
+    db.prepare(
+      `UPDATE teams SET deleted_at = NULL, name = ${untrashedColumn('name')} WHERE id = ? AND deleted_at = ?`
+    ).bind(teamId, deletedAt),
+    db.prepare(
+      `UPDATE members SET deleted_at = NULL, last_name = ${untrashedColumn('last_name')} WHERE team_id = ? AND deleted_at = ?`
+    ).bind(teamId, deletedAt)
+  ]);
+  return membersResult.meta.changes;
+}
+
+/**
+ * Restore a trashed member
+ */
+export async function restoreMember(db, memberId) {
+  const result = await db.prepare(
+    `UPDATE members SET deleted_at = NULL, last_name = ${untrashedColumn('last_name')} WHERE id = ? AND deleted_at IS NOT NULL`
+  ).bind(memberId).run();
+  return result.meta.changes > 0;
+}
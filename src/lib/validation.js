@@ -5,6 +5,7 @@
 
 // Import and re-export common utilities from astro-core
 import { sanitizeString, isValidEmail } from '../../core/src/lib/validation.js';
+import { checkAnswers, MEMBER_SCOPE, TEAM_SCOPE } from '../shared/custom-fields.js';
 
 export { sanitizeString, isValidEmail };
 
@@ -18,10 +19,24 @@ export function validateTeamName(name) {
   return { valid: true, value: sanitized };
 }
 
+/**
+ * Describe the problems found in custom answers
+ * @param {Array<{field: object, reason: string}>} problems - From checkAnswers()
+ * @returns {string[]}
+ */
+function describeAnswerProblems(problems) {
+  return problems.map(({ field, reason }) =>
+    (reason === 'required' ? `${field.label} is required` : `Invalid answer to ${field.label}`)
+  );
+}
+
 /**
  * Validate member data
+ * With custom questions, their answers are checked and returned as customAnswers
+ * @param {object} member
+ * @param {Array<object>} [customFields] - The event's custom questions
  */
-export function validateMember(member) {
+export function validateMember(member, customFields = []) {
   const errors = [];
 
   const firstName = sanitizeString(member.firstName, 128);
@@ -30,6 +45,7 @@ export function validateMember(member) {
   const bacLevel = Number.parseInt(member.bacLevel, 10) || 0;
   const isLeader = Boolean(member.isLeader);
   const foodDiet = sanitizeString(member.foodDiet, 64);
+  const schoolId = Number.parseInt(member.schoolId, 10) || null;
 
   if (!firstName) errors.push('First name is required');
   if (!lastName) errors.push('Last name is required');
@@ -37,14 +53,18 @@ export function validateMember(member) {
   else if (!isValidEmail(email)) errors.push('Invalid email format');
   if (bacLevel < 0 || bacLevel > 10) errors.push('Invalid BAC level');
 
+  const answers = checkAnswers(customFields, member.customAnswers, MEMBER_SCOPE);
+  errors.push(...describeAnswerProblems(answers.problems));
+
   if (errors.length > 0) {
     return { valid: false, errors };
   }
 
-  return {
-    valid: true,
-    value: { firstName, lastName, email, bacLevel, isLeader, foodDiet }
-  };
+  const value = { firstName, lastName, email, bacLevel, isLeader, foodDiet, schoolId };
+  if (customFields.length > 0) {
+    value.customAnswers = answers.value;
+  }
+  return { valid: true, value };
 }
 
 /**
@@ -56,7 +76,8 @@ function validateTeamInfo(data, errors) {
     if (!teamValidation.valid) {
       errors.push(teamValidation.error);
     }
-  } else if (!data.teamId) {
+  } else if (!data.teamId && !data.inviteToken) {
+    // An invitation link names its team
     errors.push('Team selection is required');
   }
 }
@@ -64,12 +85,12 @@ function validateTeamInfo(data, errors) {
 /**
  * Validate and deduplicate members list
  */
-function validateMembersList(members, errors) {
+function validateMembersList(members, errors, customFields) {
   const validatedMembers = [];
   const seenNames = new Set();
 
   for (const [i, member] of members.entries()) {
-    const memberValidation = validateMember(member);
+    const memberValidation = validateMember(member, customFields);
     if (!memberValidation.valid) {
       errors.push(`Member ${i + 1}: ${memberValidation.errors.join(', ')}`);
       continue;
@@ -89,10 +110,15 @@ function validateMembersList(members, errors) {
 
 /**
  * Validate registration request
+ * Team questions are answered once, by whoever creates the team
+ * @param {object} data
+ * @param {{maxTeamSize: number, customFields?: Array<object>}} config
+ * @returns {{valid: boolean, errors?: string[], members?: Array, teamAnswers?: object|null}}
  */
 export function validateRegistration(data, config) {
   const errors = [];
   const maxTeamSize = Number.parseInt(config.maxTeamSize, 10) || 15;
+  const customFields = config.customFields || [];
 
   validateTeamInfo(data, errors);
 
@@ -109,10 +135,17 @@ export function validateRegistration(data, config) {
     errors.push('New team must have at least one leader');
   }
 
-  const validatedMembers = validateMembersList(data.members, errors);
+  const validatedMembers = validateMembersList(data.members, errors, customFields);
+
+  let teamAnswers = null;
+  if (data.createNewTeam) {
+    const answers = checkAnswers(customFields, data.teamAnswers, TEAM_SCOPE);
+    errors.push(...describeAnswerProblems(answers.problems));
+    teamAnswers = answers.value;
+  }
 
   if (errors.length === 0) {
-    return { valid: true, members: validatedMembers };
+    return { valid: true, members: validatedMembers, teamAnswers };
   }
 
   return { valid: false, errors };
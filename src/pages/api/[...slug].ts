@@ -6,6 +6,7 @@
 import type { APIRoute } from 'astro';
 import { corsHeaders, error } from '../../lib/router.js';
 import { createRouter } from '../../routes.js';
+import { isUnknownEvent } from '../../shared/events.js';
 
 const router = createRouter();
 
@@ -56,7 +57,10 @@ export const ALL: APIRoute = async ({ request, locals }) => {
   }
 
   try {
-    const response = await router.handle(request, env, ctx);
+    // An event named in the URL or X-Event header must exist, never fall back silently
+    const response = await isUnknownEvent(request, env)
+      ? error('Event not found', 404)
+      : await router.handle(request, env, ctx);
     if (response) {
       // Add CORS headers to all API responses
       const headers = new Headers(response.headers);
@@ -6,7 +6,19 @@ import { Router } from './lib/router.js';
 import { getConfig } from './api/config.js';
 import { listTeams, getTeam, getStats } from './api/teams.js';
 import { register } from './api/register.js';
-import { viewTeamMembers } from './api/team-view.js';
+import {
+  viewTeamMembers,
+  updateTeamMember,
+  removeTeamMember,
+  updateTeamDescription,
+  rotateTeamPassword
+} from './api/team-view.js';
+import { joinWaitlist } from './api/waitlist.js';
+import { getTicketQR } from './api/tickets.js';
+import { verifyEmail } from './api/verify-email.js';
+import { requestReturningLink, getReturningProfile } from './api/returning.js';
+import { requestTeamPasswordReset, resetTeamPassword } from './api/team-reset.js';
+import { createTeamInvite, listTeamInvites, revokeTeamInvite, getInvite } from './api/team-invites.js';
 import {
   listAllMembers,
   exportAllCSV,
@@ -18,14 +30,19 @@ import {
   updateMemberAdmin,
   deleteMemberAdmin,
   deleteMembersBatch,
+  resendVerificationAdmin,
   updateTeamAdmin,
   deleteTeamAdmin,
   createTeamAdmin,
+  regenerateTeamPasswordAdmin,
+  regenerateDefaultPasswordsAdmin,
+  getTeamChangesAdmin,
   getAttendance,
   checkInMember,
   checkOutMember,
   checkInMembersBatch,
   checkOutMembersBatch,
+  scanTicket,
   getPizza,
   givePizzaMember,
   revokePizzaMember,
@@ -33,7 +50,46 @@ import {
   revokePizzaMembersBatch,
   getRooms,
   setRoom,
-  setRoomsBatch
+  setRoomsBatch,
+  setRoomPreference,
+  autoAssignRooms,
+  createRoomAdmin,
+  updateRoomAdmin,
+  deleteRoomAdmin,
+  getRoomRosterPage,
+  getDoorSignsPage,
+  getWaitlist,
+  promoteWaitlistAdmin,
+  cancelWaitlistEntry,
+  getAuditLog,
+  getTrash,
+  restoreTeamAdmin,
+  restoreMemberAdmin,
+  getEmails,
+  getEmailTemplates,
+  resendEmail,
+  retryEmails,
+  getMessages,
+  previewMessage,
+  createMessage,
+  sendMessageBatch,
+  getMessageReport,
+  refundPayment,
+  getMaintenanceRuns,
+  runMaintenanceNow,
+  exportSubjectData,
+  eraseSubjectData,
+  getGdprRequests,
+  listEvents,
+  createEventAdmin,
+  updateEventAdmin,
+  archiveEventAdmin,
+  listSchools,
+  createSchoolAdmin,
+  updateSchoolAdmin,
+  deleteSchoolAdmin,
+  listLockouts,
+  unlockLockout
 } from './api/admin/index.js';
 import { getSettings, updateSettings } from './features/admin/admin.settings.js';
 import { importCSV } from './features/admin/admin.import.js';
@@ -46,15 +102,37 @@ import {
 } from './features/payment/payment.api.js';
 import {
   listArchives,
+  compareArchives,
   getArchive,
   createArchive,
+  importArchive,
   exportArchive,
+  verifyArchiveIntegrity,
   checkExpiration,
   getEventYear,
   resetData,
   checkResetSafety,
   deleteArchive
 } from './api/admin/archives.js';
+import {
+  loginAdmin,
+  logoutAdmin,
+  getCurrentAdmin,
+  listAdminAccounts,
+  createAdminAccount,
+  updateAdminAccount,
+  deleteAdminAccount
+} from './api/admin/accounts.js';
+import { requireRole } from './shared/auth.js';
+import { ROLES } from './shared/roles.js';
+
+// Roles required by admin routes (superadmin is always allowed)
+const ANY_ROLE = ROLES;
+const SUPERADMIN_ONLY = [];
+const CHECKIN = ['checkin'];
+const PIZZA = ['pizza'];
+const ROOMS = ['rooms'];
+const TREASURER = ['treasurer'];
 
 export function createRouter() {
   // Pass base path to handle subpath deployments
@@ -67,49 +145,117 @@ export function createRouter() {
   router.get('/api/stats', getStats);
   router.post('/api/register', register);
   router.post('/api/teams/:id/view', viewTeamMembers);
+  router.put('/api/teams/:id/members/:memberId', updateTeamMember);
+  router.delete('/api/teams/:id/members/:memberId', removeTeamMember);
+  router.put('/api/teams/:id/description', updateTeamDescription);
+  router.put('/api/teams/:id/password', rotateTeamPassword);
+  router.post('/api/teams/:id/password-reset', requestTeamPasswordReset);
+  router.post('/api/teams/reset-password', resetTeamPassword);
+  router.post('/api/teams/:id/invites', createTeamInvite);
+  router.post('/api/teams/:id/invites/list', listTeamInvites);
+  router.delete('/api/teams/:id/invites/:inviteId', revokeTeamInvite);
+  router.get('/api/invites/:token', getInvite);
+  router.get('/api/tickets/:token/qr', getTicketQR);
+  router.get('/api/verify-email/:token', verifyEmail);
+  router.post('/api/waitlist', joinWaitlist);
+  router.post('/api/returning', requestReturningLink);
+  router.get('/api/returning/:token', getReturningProfile);
+
+  // Admin API routes - Session
+  router.post('/api/admin/login', loginAdmin);
+  router.post('/api/admin/logout', requireRole(ANY_ROLE, logoutAdmin));
+  router.get('/api/admin/me', requireRole(ANY_ROLE, getCurrentAdmin));
 
   // Admin API routes - Read
-  router.get('/api/admin/members', listAllMembers);
-  router.get('/api/admin/stats', adminStats);
-  router.get('/api/admin/export', exportAllCSV);
-  router.get('/api/admin/export-official', exportOfficialCSV);
-  router.get('/api/admin/export-official/:teamId', exportTeamOfficialCSV);
-  router.get('/api/admin/export/:teamId', exportTeamCSV);
-  router.get('/api/admin/settings', getSettings);
+  router.get('/api/admin/members', requireRole(ANY_ROLE, listAllMembers));
+  router.get('/api/admin/stats', requireRole(ANY_ROLE, adminStats));
+  router.get('/api/admin/export', requireRole(TREASURER, exportAllCSV));
+  router.get('/api/admin/export-official', requireRole(TREASURER, exportOfficialCSV));
+  router.get('/api/admin/export-official/:teamId', requireRole(TREASURER, exportTeamOfficialCSV));
+  router.get('/api/admin/export/:teamId', requireRole(TREASURER, exportTeamCSV));
+  router.get('/api/admin/settings', requireRole(SUPERADMIN_ONLY, getSettings));
+  router.get('/api/admin/team-changes', requireRole(SUPERADMIN_ONLY, getTeamChangesAdmin));
 
   // Admin API routes - Create
-  router.post('/api/admin/teams', createTeamAdmin);
-  router.post('/api/admin/members', addMemberManually);
-  router.post('/api/admin/members/delete-batch', deleteMembersBatch);
-  router.post('/api/admin/import', importCSV);
+  router.post('/api/admin/teams', requireRole(SUPERADMIN_ONLY, createTeamAdmin));
+  router.post('/api/admin/members', requireRole(SUPERADMIN_ONLY, addMemberManually));
+  router.post('/api/admin/members/delete-batch', requireRole(SUPERADMIN_ONLY, deleteMembersBatch));
+  router.post('/api/admin/import', requireRole(SUPERADMIN_ONLY, importCSV));
 
   // Admin API routes - Update
-  router.put('/api/admin/teams/:id', updateTeamAdmin);
-  router.put('/api/admin/members/:id', updateMemberAdmin);
-  router.put('/api/admin/settings', updateSettings);
+  router.put('/api/admin/teams/:id', requireRole(SUPERADMIN_ONLY, updateTeamAdmin));
+  router.post('/api/admin/teams/:id/password', requireRole(SUPERADMIN_ONLY, regenerateTeamPasswordAdmin));
+  router.post('/api/admin/teams/passwords/default', requireRole(SUPERADMIN_ONLY, regenerateDefaultPasswordsAdmin));
+  router.put('/api/admin/members/:id', requireRole(SUPERADMIN_ONLY, updateMemberAdmin));
+  router.post('/api/admin/members/:id/resend-verification', requireRole(SUPERADMIN_ONLY, resendVerificationAdmin));
+  router.put('/api/admin/settings', requireRole(SUPERADMIN_ONLY, updateSettings));
 
   // Admin API routes - Delete
-  router.delete('/api/admin/teams/:id', deleteTeamAdmin);
-  router.delete('/api/admin/members/:id', deleteMemberAdmin);
+  router.delete('/api/admin/teams/:id', requireRole(SUPERADMIN_ONLY, deleteTeamAdmin));
+  router.delete('/api/admin/members/:id', requireRole(SUPERADMIN_ONLY, deleteMemberAdmin));
+
+  // Admin API routes - Trash (soft-deleted teams and members)
+  router.get('/api/admin/trash', requireRole(SUPERADMIN_ONLY, getTrash));
+  router.post('/api/admin/trash/teams/:id/restore', requireRole(SUPERADMIN_ONLY, restoreTeamAdmin));
+  router.post('/api/admin/trash/members/:id/restore', requireRole(SUPERADMIN_ONLY, restoreMemberAdmin));
 
   // Admin API routes - Attendance
-  router.get('/api/admin/attendance', getAttendance);
-  router.post('/api/admin/attendance/check-in/:id', checkInMember);
-  router.post('/api/admin/attendance/check-out/:id', checkOutMember);
-  router.post('/api/admin/attendance/check-in-batch', checkInMembersBatch);
-  router.post('/api/admin/attendance/check-out-batch', checkOutMembersBatch);
+  router.get('/api/admin/attendance', requireRole(CHECKIN, getAttendance));
+  router.post('/api/admin/attendance/check-in/:id', requireRole(CHECKIN, checkInMember));
+  router.post('/api/admin/attendance/check-out/:id', requireRole(CHECKIN, checkOutMember));
+  router.post('/api/admin/attendance/check-in-batch', requireRole(CHECKIN, checkInMembersBatch));
+  router.post('/api/admin/attendance/check-out-batch', requireRole(CHECKIN, checkOutMembersBatch));
+  router.post('/api/admin/attendance/scan', requireRole(CHECKIN, scanTicket));
 
   // Admin API routes - Pizza distribution
-  router.get('/api/admin/pizza', getPizza);
-  router.post('/api/admin/pizza/give/:id', givePizzaMember);
-  router.post('/api/admin/pizza/revoke/:id', revokePizzaMember);
-  router.post('/api/admin/pizza/give-batch', givePizzaMembersBatch);
-  router.post('/api/admin/pizza/revoke-batch', revokePizzaMembersBatch);
+  router.get('/api/admin/pizza', requireRole(PIZZA, getPizza));
+  router.post('/api/admin/pizza/give/:id', requireRole(PIZZA, givePizzaMember));
+  router.post('/api/admin/pizza/revoke/:id', requireRole(PIZZA, revokePizzaMember));
+  router.post('/api/admin/pizza/give-batch', requireRole(PIZZA, givePizzaMembersBatch));
+  router.post('/api/admin/pizza/revoke-batch', requireRole(PIZZA, revokePizzaMembersBatch));
 
   // Admin API routes - Room assignment
-  router.get('/api/admin/rooms', getRooms);
-  router.put('/api/admin/rooms/:teamId', setRoom);
-  router.post('/api/admin/rooms/batch', setRoomsBatch);
+  router.get('/api/admin/rooms', requireRole(ROOMS, getRooms));
+  router.put('/api/admin/rooms/:teamId', requireRole(ROOMS, setRoom));
+  router.post('/api/admin/rooms/batch', requireRole(ROOMS, setRoomsBatch));
+  router.get('/api/admin/rooms/signs', requireRole(ROOMS, getDoorSignsPage));
+  router.get('/api/admin/rooms/:room/roster', requireRole(ROOMS, getRoomRosterPage));
+  router.post('/api/admin/rooms/auto-assign', requireRole(ROOMS, autoAssignRooms));
+  router.put('/api/admin/rooms/:teamId/preference', requireRole(ROOMS, setRoomPreference));
+  router.post('/api/admin/rooms/catalog', requireRole(ROOMS, createRoomAdmin));
+  router.put('/api/admin/rooms/catalog/:id', requireRole(ROOMS, updateRoomAdmin));
+  router.delete('/api/admin/rooms/catalog/:id', requireRole(ROOMS, deleteRoomAdmin));
+
+  // Admin API routes - Waitlist
+  router.get('/api/admin/waitlist', requireRole(SUPERADMIN_ONLY, getWaitlist));
+  router.post('/api/admin/waitlist/promote', requireRole(SUPERADMIN_ONLY, promoteWaitlistAdmin));
+  router.delete('/api/admin/waitlist/:id', requireRole(SUPERADMIN_ONLY, cancelWaitlistEntry));
+
+  // Admin API routes - Audit log
+  router.get('/api/admin/audit', requireRole(SUPERADMIN_ONLY, getAuditLog));
+
+  // Admin API routes - Email outbox
+  router.get('/api/admin/emails', requireRole(SUPERADMIN_ONLY, getEmails));
+  router.get('/api/admin/emails/templates', requireRole(SUPERADMIN_ONLY, getEmailTemplates));
+  router.post('/api/admin/emails/retry', requireRole(SUPERADMIN_ONLY, retryEmails));
+  router.post('/api/admin/emails/:id/resend', requireRole(SUPERADMIN_ONLY, resendEmail));
+
+  // Admin API routes - Bulk messages
+  router.get('/api/admin/messages', requireRole(SUPERADMIN_ONLY, getMessages));
+  router.post('/api/admin/messages', requireRole(SUPERADMIN_ONLY, createMessage));
+  router.post('/api/admin/messages/preview', requireRole(SUPERADMIN_ONLY, previewMessage));
+  router.get('/api/admin/messages/:id', requireRole(SUPERADMIN_ONLY, getMessageReport));
+  router.post('/api/admin/messages/:id/send', requireRole(SUPERADMIN_ONLY, sendMessageBatch));
+
+  // Admin API routes - Accounts
+  router.get('/api/admin/accounts', requireRole(SUPERADMIN_ONLY, listAdminAccounts));
+  router.post('/api/admin/accounts', requireRole(SUPERADMIN_ONLY, createAdminAccount));
+  router.put('/api/admin/accounts/:id', requireRole(SUPERADMIN_ONLY, updateAdminAccount));
+  router.delete('/api/admin/accounts/:id', requireRole(SUPERADMIN_ONLY, deleteAdminAccount));
+
+  // Admin API routes - Brute-force lockouts
+  router.get('/api/admin/lockouts', requireRole(SUPERADMIN_ONLY, listLockouts));
+  router.delete('/api/admin/lockouts/:id', requireRole(SUPERADMIN_ONLY, unlockLockout));
 
   // Payment API routes
   router.get('/api/payment/pricing', getPricing);
@@ -118,16 +264,43 @@ export function createRouter() {
   router.post('/api/payment/delayed', markPaymentDelayed);
   router.post('/api/payment/callback', paymentCallback);
 
+  // Admin API routes - Payments
+  router.post('/api/admin/payments/:memberId/refund', requireRole(TREASURER, refundPayment));
+
   // Admin API routes - Archives
-  router.get('/api/admin/archives', listArchives);
-  router.post('/api/admin/archives', createArchive);
-  router.post('/api/admin/expiration-check', checkExpiration);
-  router.get('/api/admin/archives/:year/export', exportArchive);
-  router.get('/api/admin/archives/:year', getArchive);
-  router.get('/api/admin/event-year', getEventYear);
-  router.post('/api/admin/reset', resetData);
-  router.get('/api/admin/reset/check', checkResetSafety);
-  router.delete('/api/admin/archives/:year', deleteArchive);
+  router.get('/api/admin/archives', requireRole(TREASURER, listArchives));
+  router.post('/api/admin/archives', requireRole(SUPERADMIN_ONLY, createArchive));
+  router.post('/api/admin/archives/import', requireRole(SUPERADMIN_ONLY, importArchive));
+  router.post('/api/admin/expiration-check', requireRole(SUPERADMIN_ONLY, checkExpiration));
+  router.get('/api/admin/archives/compare', requireRole(TREASURER, compareArchives));
+  router.get('/api/admin/archives/:year/export', requireRole(TREASURER, exportArchive));
+  router.get('/api/admin/archives/:year/verify', requireRole(TREASURER, verifyArchiveIntegrity));
+  router.get('/api/admin/archives/:year', requireRole(TREASURER, getArchive));
+  router.get('/api/admin/event-year', requireRole(ANY_ROLE, getEventYear));
+  router.post('/api/admin/reset', requireRole(SUPERADMIN_ONLY, resetData));
+  router.get('/api/admin/reset/check', requireRole(SUPERADMIN_ONLY, checkResetSafety));
+  router.delete('/api/admin/archives/:year', requireRole(SUPERADMIN_ONLY, deleteArchive));
+
+  // Admin API routes - Scheduled maintenance
+  router.get('/api/admin/maintenance', requireRole(TREASURER, getMaintenanceRuns));
+  router.post('/api/admin/maintenance/run', requireRole(SUPERADMIN_ONLY, runMaintenanceNow));
+
+  // Admin API routes - GDPR requests
+  router.get('/api/admin/gdpr/requests', requireRole(SUPERADMIN_ONLY, getGdprRequests));
+  router.post('/api/admin/gdpr/access', requireRole(SUPERADMIN_ONLY, exportSubjectData));
+  router.post('/api/admin/gdpr/erase', requireRole(SUPERADMIN_ONLY, eraseSubjectData));
+
+  // Admin API routes - Events
+  router.get('/api/admin/events', requireRole(ANY_ROLE, listEvents));
+  router.post('/api/admin/events', requireRole(SUPERADMIN_ONLY, createEventAdmin));
+  router.put('/api/admin/events/:id', requireRole(SUPERADMIN_ONLY, updateEventAdmin));
+  router.post('/api/admin/events/:id/archive', requireRole(SUPERADMIN_ONLY, archiveEventAdmin));
+
+  // Admin API routes - Schools
+  router.get('/api/admin/schools', requireRole(ANY_ROLE, listSchools));
+  router.post('/api/admin/schools', requireRole(SUPERADMIN_ONLY, createSchoolAdmin));
+  router.put('/api/admin/schools/:id', requireRole(SUPERADMIN_ONLY, updateSchoolAdmin));
+  router.delete('/api/admin/schools/:id', requireRole(SUPERADMIN_ONLY, deleteSchoolAdmin));
 
   return router;
 }
@@ -0,0 +1,90 @@
+/**
+ * Admin audit helper
+ *
+ * Handlers call recordAudit() after a successful mutation. The actor comes
+ * from the request's admin session, and a missing or broken audit table
+ * never fails the action itself. Jobs without a request use recordSystemAudit().
+ */
+
+import * as auditDb from '../database/db.admin-audit.js';
+import { getAdmin } from './auth.js';
+
+/**
+ * Record an admin action
+ * @param {Request} request
+ * @param {object} env
+ * @param {object} entry
+ * @param {string} entry.action - "<domain>.<verb>", e.g. 'member.update'
+ * @param {string} [entry.targetType]
+ * @param {number|string|Array} [entry.targetId] - Arrays are stored comma-separated
+ * @param {string} [entry.targetLabel]
+ * @param {object} [entry.before]
+ * @param {object} [entry.after]
+ */
+export async function recordAudit(request, env, entry) {
+  try {
+    const admin = await getAdmin(request, env);
+    const targetId = Array.isArray(entry.targetId) ? entry.targetId.join(',') : entry.targetId;
+
+    await auditDb.logAudit(env.DB, {
+      ...entry,
+      targetId: targetId ?? null,
+      actorId: admin?.id ?? null,
+      actorUsername: admin?.username || 'unknown',
+      actorRole: admin?.role || 'unknown'
+    });
+  } catch (error_) {
+    console.error('Failed to record audit entry:', error_);
+  }
+}
+
+/**
+ * Record an action taken without an admin, such as the scheduled maintenance
+ * @param {object} env
+ * @param {string} actor - Shown as the actor's username, e.g. 'maintenance'
+ * @param {object} entry - Same fields as recordAudit()
+ */
+export async function recordSystemAudit(env, actor, entry) {
+  try {
+    const targetId = Array.isArray(entry.targetId) ? entry.targetId.join(',') : entry.targetId;
+
+    await auditDb.logAudit(env.DB, {
+      ...entry,
+      targetId: targetId ?? null,
+      actorId: null,
+      actorUsername: actor,
+      actorRole: 'system'
+    });
+  } catch (error_) {
+    console.error('Failed to record audit entry:', error_);
+  }
+}
+
+/**
+ * Keep only the fields that differ between two snapshots of a record
+ * @param {object} before
+ * @param {object} after
+ * @returns {{before: object, after: object}}
+ */
+export function diffRecords(before, after) {
+  const changedBefore = {};
+  const changedAfter = {};
+
+  for (const key of Object.keys({ ...before, ...after })) {
+    if (before?.[key] !== after?.[key]) {
+      changedBefore[key] = before?.[key] ?? null;
+      changedAfter[key] = after?.[key] ?? null;
+    }
+  }
+
+  return { before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Display name of a member row
+ * @param {object} member
+ * @returns {string}
+ */
+export function memberLabel(member) {
+  return `${member.first_name} ${member.last_name}`;
+}
@@ -1,57 +1,47 @@
 /**
  * Authentication helpers
+ *
+ * Admins authenticate with either the shared ADMIN_TOKEN (bootstrap, acts as
+ * superadmin) or a session token issued by POST /api/admin/login. Wrong
+ * tokens count towards a lockout of the client IP (see lockouts.js); tokens
+ * of expired sessions don't, since open dashboards keep sending them. The
+ * shared token is still accepted while locked out, so the deployment owner
+ * can always lift a lockout: it is too long to be guessed anyway.
  */
 
-/**
- * Constant-time string comparison to prevent timing attacks
- * @param {string} a
- * @param {string} b
- * @returns {boolean}
- */
-function timingSafeEqual(a, b) {
-  if (typeof a !== 'string' || typeof b !== 'string') {
-    return false;
-  }
+import { error } from '../lib/router.js';
+import * as accountsDb from '../database/db.admin-accounts.js';
+import { hashToken, timingSafeEqual } from './crypto.js';
+import { SUPERADMIN, hasRole } from './roles.js';
+import { getAttempts, recordFailedAttempt, clearAttempts, lockedOut, attemptError, ADMIN_SCOPE, ADMIN_TOKEN_TARGET } from './lockouts.js';
 
-  const encoder = new TextEncoder();
-  const aBytes = encoder.encode(a);
-  const bBytes = encoder.encode(b);
+// Resolved admin per request, so route guard and handler share one lookup
+const resolvedAdmins = new WeakMap();
 
-  // If lengths differ, compare a against itself to maintain constant time
-  // but always return false
-  if (aBytes.length !== bBytes.length) {
-    // Still do the comparison to prevent length-based timing attacks
-    let _unused = 0;
-    for (const aByte of aBytes) {
-      _unused |= aByte ^ aByte;
-    }
-    return false;
-  }
+// Requests refused because the client is locked out, with the seconds left
+const lockedOutRequests = new WeakMap();
 
-  // XOR all bytes and accumulate differences
-  let result = 0;
-  for (const [i, aByte] of aBytes.entries()) {
-    result |= aByte ^ bBytes[i];
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Request} request
+ * @returns {string|null}
+ */
+export function getBearerToken(request) {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
   }
-
-  return result === 0;
+  return authHeader.slice(7) || null;
 }
 
 /**
- * Verify admin token from Authorization header
+ * Check the token against the shared admin token
  * Uses constant-time comparison to prevent timing attacks
- * @param {Request} request
+ * @param {string} token
  * @param {object} env
  * @returns {Promise<boolean>}
  */
-export async function verifyAdmin(request, env) {
-  const authHeader = request.headers.get('Authorization');
-  if (!authHeader?.startsWith('Bearer ')) {
-    return false;
-  }
-
-  const token = authHeader.slice(7);
-
+async function isSharedAdminToken(token, env) {
   // Check against KV stored token or environment variable
   let adminToken = env.ADMIN_TOKEN;
   if (env.CONFIG) {
@@ -63,9 +53,112 @@ export async function verifyAdmin(request, env) {
     }
   }
 
-  if (!token || !adminToken) {
+  if (!adminToken) {
     return false;
   }
 
   return timingSafeEqual(token, adminToken);
 }
+
+const SHARED_TOKEN_ADMIN = { id: null, username: 'admin', displayName: 'Token administrateur', role: SUPERADMIN };
+
+/**
+ * Find the admin a session token belongs to
+ * @param {string} token
+ * @param {object} env
+ * @returns {Promise<{admin: object|null, known: boolean}>} known is also true for an expired session or an inactive account
+ */
+async function findSessionAdmin(token, env) {
+  try {
+    const tokenHash = await hashToken(token);
+    const account = await accountsDb.getSessionAccount(env.DB, tokenHash);
+    if (account) {
+      return {
+        admin: { id: account.id, username: account.username, displayName: account.display_name, role: account.role },
+        known: true
+      };
+    }
+    return { admin: null, known: await accountsDb.sessionExists(env.DB, tokenHash) };
+  } catch {
+    // Accounts tables not migrated yet: only the shared token works
+    return { admin: null, known: false };
+  }
+}
+
+/**
+ * Resolve the admin behind a request
+ * A request without a token or with a stale session token is not an attempt;
+ * a wrong token is.
+ * @param {Request} request
+ * @param {object} env
+ * @returns {Promise<{id: number|null, username: string, displayName: string, role: string}|null>}
+ */
+async function resolveAdmin(request, env) {
+  const token = getBearerToken(request);
+  if (!token) {
+    return null;
+  }
+
+  const attempts = await getAttempts(env, request, ADMIN_SCOPE, ADMIN_TOKEN_TARGET);
+  if (await isSharedAdminToken(token, env)) {
+    await clearAttempts(env, attempts);
+    return SHARED_TOKEN_ADMIN;
+  }
+  if (attempts?.retryAfter > 0) {
+    lockedOutRequests.set(request, attempts.retryAfter);
+    return null;
+  }
+
+  const { admin, known } = await findSessionAdmin(token, env);
+  if (admin) {
+    await clearAttempts(env, attempts);
+  } else if (!known) {
+    await recordFailedAttempt(env, request, ADMIN_SCOPE, ADMIN_TOKEN_TARGET);
+  }
+  return admin;
+}
+
+/**
+ * Get the authenticated admin for a request
+ * @param {Request} request
+ * @param {object} env
+ * @returns {Promise<object|null>}
+ */
+export async function getAdmin(request, env) {
+  if (!resolvedAdmins.has(request)) {
+    resolvedAdmins.set(request, await resolveAdmin(request, env));
+  }
+  return resolvedAdmins.get(request);
+}
+
+/**
+ * Verify that the request comes from an authenticated admin (any role)
+ * @param {Request} request
+ * @param {object} env
+ * @returns {Promise<boolean>}
+ */
+export async function verifyAdmin(request, env) {
+  return !!await getAdmin(request, env);
+}
+
+/**
+ * Wrap a route handler so it only runs for the given roles
+ * Superadmins are always allowed.
+ * @param {string[]} roles - Allowed roles
+ * @param {Function} handler - Route handler
+ * @returns {Function}
+ */
+export function requireRole(roles, handler) {
+  return async (request, env, ctx, params) => {
+    const admin = await getAdmin(request, env);
+    if (!admin) {
+      return lockedOutRequests.has(request)
+        ? attemptError(lockedOut(lockedOutRequests.get(request)))
+        : error('Unauthorized', 401);
+    }
+    if (!hasRole(admin.role, roles)) {
+      return error('Forbidden', 403);
+    }
+    return handler(request, env, ctx, params);
+  };
+}
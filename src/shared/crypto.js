@@ -119,3 +119,95 @@ export function needsHashUpgrade(storedValue) {
   // Everything else (SHA-256 hex or plain text) needs upgrade
   return true;
 }
+
+/**
+ * Generate a random token (e.g. admin session token)
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex-encoded token
+ */
+export function generateToken(bytes = 32) {
+  const array = new Uint8Array(bytes);
+  crypto.getRandomValues(array);
+  return [...array].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Letters and digits, without the easily confused ones (0/O, 1/l/I)
+const PASSWORD_ALPHABET = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a random password that can be read out or copied by hand
+ * @param {number} length - Number of characters
+ * @returns {string}
+ */
+export function generatePassword(length = 12) {
+  // Keep only bytes below the largest multiple of the alphabet size, so every character is equally likely
+  const limit = 256 - (256 % PASSWORD_ALPHABET.length);
+  let password = '';
+  while (password.length < length) {
+    const array = new Uint8Array(length * 2);
+    crypto.getRandomValues(array);
+    for (const byte of array) {
+      if (byte < limit && password.length < length) {
+        password += PASSWORD_ALPHABET[byte % PASSWORD_ALPHABET.length];
+      }
+    }
+  }
+  return password;
+}
+
+/**
+ * SHA-256 digest of a string
+ * @param {string} text
+ * @returns {Promise<string>} Hex-encoded digest
+ */
+export async function sha256Hex(text) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(hashBuffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash a random token for storage
+ * Tokens are high-entropy so an unsalted SHA-256 is sufficient
+ * @param {string} token
+ * @returns {Promise<string>} Hex-encoded SHA-256 hash
+ */
+export async function hashToken(token) {
+  return sha256Hex(token);
+}
+
+/**
+ * HMAC-SHA256 signature, truncated and hex-encoded
+ * @param {string} secret
+ * @param {string} message
+ * @param {number} bytes - Signature bytes to keep
+ * @returns {Promise<string>}
+ */
+export async function hmacHex(secret, message, bytes = 32) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return [...new Uint8Array(signature).slice(0, bytes)]
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Compare two strings in constant time (for signatures and tokens)
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} false if either is not a string
+ */
+export function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,183 @@
+/**
+ * Custom registration questions
+ * Shared by the API (validation, exports) and the pages (form, admin tables)
+ *
+ * Admins define the questions of an event in the "custom_fields" setting, a
+ * list of { id, label, type, required, options, scope }. Member questions are
+ * asked to every participant, team questions once when a team is created.
+ * Answers are stored as JSON objects keyed by question ID (migration 028).
+ */
+
+export const FIELD_TYPES = ['text', 'number', 'select', 'checkbox'];
+
+export const FIELD_TYPE_LABELS = {
+  text: 'Texte',
+  number: 'Nombre',
+  select: 'Liste de choix',
+  checkbox: 'Case à cocher'
+};
+
+export const MEMBER_SCOPE = 'member';
+export const TEAM_SCOPE = 'team';
+
+export const FIELD_SCOPE_LABELS = {
+  member: 'Par participant',
+  team: 'Par équipe'
+};
+
+export const MAX_FIELDS = 20;
+export const MAX_ANSWER_LENGTH = 500;
+
+const FIELD_ID = /^[a-z0-9_]{1,32}$/;
+
+/**
+ * Validate and normalize a list of question definitions
+ * @param {any} value
+ * @returns {{valid: boolean, error?: string, value?: Array<object>}}
+ */
+export function validateFieldDefinitions(value) {
+  if (!Array.isArray(value)) {
+    return { valid: false, error: 'Must be an array' };
+  }
+  if (value.length > MAX_FIELDS) {
+    return { valid: false, error: `At most ${MAX_FIELDS} questions` };
+  }
+
+  const ids = new Set();
+  const fields = [];
+  for (const [i, field] of value.entries()) {
+    if (!field || typeof field !== 'object') {
+      return { valid: false, error: `Question at index ${i} must be an object` };
+    }
+    if (typeof field.id !== 'string' || !FIELD_ID.test(field.id)) {
+      return { valid: false, error: `Question at index ${i} must have an 'id' of lowercase letters, digits or underscores` };
+    }
+    if (ids.has(field.id)) {
+      return { valid: false, error: `Duplicate question id '${field.id}'` };
+    }
+    ids.add(field.id);
+
+    const label = typeof field.label === 'string' ? field.label.trim() : '';
+    if (!label || label.length > 200) {
+      return { valid: false, error: `Question '${field.id}' must have a 'label' up to 200 characters` };
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      return { valid: false, error: `Question '${field.id}' type must be one of ${FIELD_TYPES.join(', ')}` };
+    }
+
+    const scope = field.scope ?? MEMBER_SCOPE;
+    if (scope !== MEMBER_SCOPE && scope !== TEAM_SCOPE) {
+      return { valid: false, error: `Question '${field.id}' scope must be '${MEMBER_SCOPE}' or '${TEAM_SCOPE}'` };
+    }
+
+    const normalized = { id: field.id, label, type: field.type, required: Boolean(field.required), scope };
+    if (field.type === 'select') {
+      const options = Array.isArray(field.options)
+        ? [...new Set(field.options.filter(o => typeof o === 'string').map(o => o.trim()).filter(Boolean))]
+        : [];
+      if (options.length === 0) {
+        return { valid: false, error: `Question '${field.id}' must have at least one option` };
+      }
+      normalized.options = options;
+    }
+    fields.push(normalized);
+  }
+
+  return { valid: true, value: fields };
+}
+
+/**
+ * Keep the questions asked for a scope
+ * @param {Array<object>|null} fields
+ * @param {string} scope - MEMBER_SCOPE or TEAM_SCOPE
+ * @returns {Array<object>}
+ */
+export function fieldsForScope(fields, scope) {
+  return (fields || []).filter(f => (f.scope ?? MEMBER_SCOPE) === scope);
+}
+
+/**
+ * Check one answer
+ * Unanswered optional questions resolve to undefined and are not stored.
+ * A required checkbox must be checked (e.g. accepting a charter).
+ * @param {object} field
+ * @param {any} raw
+ * @returns {{value?: string|number|boolean, reason?: 'required'|'invalid'}}
+ */
+export function checkAnswer(field, raw) {
+  const empty = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+  switch (field.type) {
+    case 'checkbox': {
+      const checked = raw === true || raw === 'true' || raw === 'on' || raw === 1;
+      if (field.required && !checked) return { reason: 'required' };
+      return { value: checked };
+    }
+    case 'number': {
+      if (empty) return field.required ? { reason: 'required' } : {};
+      const number = Number(raw);
+      return Number.isFinite(number) ? { value: number } : { reason: 'invalid' };
+    }
+    case 'select': {
+      if (empty) return field.required ? { reason: 'required' } : {};
+      return field.options?.includes(raw) ? { value: raw } : { reason: 'invalid' };
+    }
+    default: {
+      if (empty) return field.required ? { reason: 'required' } : {};
+      return { value: String(raw).trim().slice(0, MAX_ANSWER_LENGTH) };
+    }
+  }
+}
+
+/**
+ * Check the answers to the questions of a scope
+ * Answers to unknown questions are dropped.
+ * @param {Array<object>|null} fields - Every question of the event
+ * @param {object|null} answers - Answers keyed by question ID
+ * @param {string} scope - MEMBER_SCOPE or TEAM_SCOPE
+ * @returns {{value: object, problems: Array<{field: object, reason: string}>}}
+ */
+export function checkAnswers(fields, answers, scope) {
+  const source = answers && typeof answers === 'object' ? answers : {};
+  const value = {};
+  const problems = [];
+
+  for (const field of fieldsForScope(fields, scope)) {
+    const result = checkAnswer(field, source[field.id]);
+    if (result.reason) {
+      problems.push({ field, reason: result.reason });
+    } else if (result.value !== undefined) {
+      value[field.id] = result.value;
+    }
+  }
+
+  return { value, problems };
+}
+
+/**
+ * Parse stored answers
+ * @param {string|object|null} stored - JSON column value, or an already parsed object
+ * @returns {object}
+ */
+export function parseAnswers(stored) {
+  if (!stored) return {};
+  if (typeof stored === 'object') return stored;
+  try {
+    const parsed = JSON.parse(stored);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Format an answer for display and exports
+ * @param {object} field
+ * @param {any} value
+ * @returns {string} Empty when unanswered
+ */
+export function formatAnswer(field, value) {
+  if (value === undefined || value === null || value === '') return '';
+  if (field.type === 'checkbox') return value ? 'Oui' : 'Non';
+  return String(value);
+}
@@ -0,0 +1,59 @@
+/**
+ * Email verification links
+ *
+ * A token is "<memberId>-<signature>" where the signature is a truncated
+ * HMAC-SHA256 over the member id and the address being verified. Changing a
+ * member's email therefore invalidates the links sent to the previous address.
+ */
+
+import { hmacHex, timingSafeEqual } from './crypto.js';
+import { getTicketSecret } from './tickets.js';
+
+const SIGNATURE_BYTES = 16;
+const TOKEN_PATTERN = /^(\d+)-([a-f0-9]{32})$/;
+
+/**
+ * Compute the hex signature of a member id and email
+ * @param {object} env
+ * @param {number} memberId
+ * @param {string} email
+ * @returns {Promise<string>}
+ */
+async function sign(env, memberId, email) {
+  return hmacHex(getTicketSecret(env), `verify:${memberId}:${email.trim().toLowerCase()}`, SIGNATURE_BYTES);
+}
+
+/**
+ * Create a verification token for a member's current email
+ * @param {object} env
+ * @param {number} memberId
+ * @param {string} email
+ * @returns {Promise<string>}
+ */
+export async function createVerificationToken(env, memberId, email) {
+  return `${memberId}-${await sign(env, memberId, email)}`;
+}
+
+/**
+ * Read the member id from a token without checking it
+ * @param {string} token
+ * @returns {number|null} null if malformed
+ */
+export function parseVerificationToken(token) {
+  const match = TOKEN_PATTERN.exec(String(token || '').trim());
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+/**
+ * Check that a token was issued for this member and email
+ * @param {object} env
+ * @param {string} token
+ * @param {{id: number, email: string}} member
+ * @returns {Promise<boolean>}
+ */
+export async function verifyVerificationToken(env, token, member) {
+  const match = TOKEN_PATTERN.exec(String(token || '').trim());
+  if (!match || Number.parseInt(match[1], 10) !== member.id) return false;
+
+  return timingSafeEqual(await sign(env, member.id, member.email), match[2]);
+}
@@ -0,0 +1,97 @@
+/**
+ * Event selection
+ *
+ * Public pages and the admin send the event they work on in the X-Event
+ * header (or the ?event= query parameter for plain links), as an ID or a slug.
+ * Requests without one use the default event.
+ */
+
+import * as eventsDb from '../database/db.events.js';
+
+// Resolved event per request, so every handler and helper share one lookup
+const resolvedEvents = new WeakMap();
+
+// Lowercase letters, digits and dashes, starting with a letter (never an ID)
+export const EVENT_SLUG_PATTERN = /^[a-z][a-z0-9-]{1,49}$/;
+
+/**
+ * Get the event reference sent with a request
+ * @param {Request} request
+ * @returns {string|null}
+ */
+function getRequestedEvent(request) {
+  const header = request.headers.get('X-Event')?.trim();
+  if (header) return header;
+  return new URL(request.url).searchParams.get('event')?.trim() || null;
+}
+
+/**
+ * Resolve the event of a request
+ * @param {Request} request
+ * @param {object} env
+ * @returns {Promise<{event: object|null, unknown: boolean}>}
+ */
+async function resolveEvent(request, env) {
+  const requested = getRequestedEvent(request);
+  try {
+    const event = requested
+      ? await eventsDb.findEvent(env.DB, requested)
+      : await eventsDb.getDefaultEvent(env.DB);
+    return { event: event || null, unknown: !!requested && !event };
+  } catch {
+    // Events table missing: scoped queries need migration 022 and will fail too
+    return { event: null, unknown: false };
+  }
+}
+
+/**
+ * Get the resolved event of a request, once
+ * @param {Request} request
+ * @param {object} env
+ * @returns {Promise<{event: object|null, unknown: boolean}>}
+ */
+async function getResolvedEvent(request, env) {
+  if (!resolvedEvents.has(request)) {
+    resolvedEvents.set(request, await resolveEvent(request, env));
+  }
+  return resolvedEvents.get(request);
+}
+
+/**
+ * Get the event a request works on
+ * @param {Request} request
+ * @param {object} env
+ * @returns {Promise<object|null>} null if no such event (or no default one)
+ */
+export async function getEvent(request, env) {
+  return (await getResolvedEvent(request, env)).event;
+}
+
+/**
+ * Get the ID of the event a request works on
+ * @param {Request} request
+ * @param {object} env
+ * @returns {Promise<number|null>} null if no such event (or no default one)
+ */
+export async function getEventId(request, env) {
+  return (await getEvent(request, env))?.id ?? null;
+}
+
+/**
+ * Check whether a request names an event that does not exist
+ * @param {Request} request
+ * @param {object} env
+ * @returns {Promise<boolean>}
+ */
+export async function isUnknownEvent(request, env) {
+  return (await getResolvedEvent(request, env)).unknown;
+}
+
+/**
+ * Check whether an event still accepts changes from participants
+ * @param {object|null} event
+ * @returns {boolean}
+ */
+export function isEventOpen(event) {
+  return !event || event.status === 'active';
+}
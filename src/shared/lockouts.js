@@ -0,0 +1,153 @@
+/**
+ * Brute-force protection
+ *
+ * Wrong team passwords and admin credentials are counted per client IP and
+ * target. After LOCKOUT_THRESHOLD failures the client is locked out of that
+ * target for LOCKOUT_BASE_SECONDS, doubled by each further failure up to
+ * LOCKOUT_MAX_SECONDS. While locked out, even the right password is refused,
+ * otherwise guessing would simply go on; only the shared ADMIN_TOKEN is still
+ * accepted (see auth.js). Counting starts with migration 027;
+ * before it, attempts are not limited.
+ */
+
+import { error } from '../lib/router.js';
+import * as lockoutsDb from '../database/db.auth-lockouts.js';
+
+export const TEAM_SCOPE = 'team';
+export const ADMIN_SCOPE = 'admin';
+
+// The whole admin API is one target, so guesses can't be spread over its routes
+export const ADMIN_TOKEN_TARGET = 'token';
+
+export const LOCKOUT_THRESHOLD = 5;
+export const LOCKOUT_BASE_SECONDS = 60;
+export const LOCKOUT_MAX_SECONDS = 3600;
+
+// Failures further apart than this start a new count
+export const FAILURE_WINDOW_HOURS = 24;
+
+/**
+ * Get the client IP of a request
+ * @param {Request} request
+ * @returns {string}
+ */
+export function getClientIp(request) {
+  return request.headers.get('CF-Connecting-IP') || '';
+}
+
+/**
+ * Lockout duration after a number of consecutive failures
+ * @param {number} failures
+ * @returns {number} Seconds, 0 below the threshold
+ */
+export function lockoutSeconds(failures) {
+  if (failures < LOCKOUT_THRESHOLD) return 0;
+  return Math.min(LOCKOUT_BASE_SECONDS * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_SECONDS);
+}
+
+function attemptKey(request, scope, target) {
+  return { scope, target: String(target), ip: getClientIp(request) };
+}
+
+/**
+ * Get the recent failures of the client on a target
+ * @param {object} env
+ * @param {Request} request
+ * @param {string} scope
+ * @param {string|number} target
+ * @returns {Promise<{id: number, failures: number, retryAfter: number}|null>} null without failures
+ */
+export async function getAttempts(env, request, scope, target) {
+  try {
+    const row = await lockoutsDb.getAuthFailure(env.DB, attemptKey(request, scope, target));
+    return row ? { id: row.id, failures: row.failures, retryAfter: row.retry_after } : null;
+  } catch {
+    // auth_failures not migrated yet
+    return null;
+  }
+}
+
+/**
+ * Count a failed attempt, locking the client out past the threshold
+ * @param {object} env
+ * @param {Request} request
+ * @param {string} scope
+ * @param {string|number} target
+ * @returns {Promise<number>} Seconds locked out, 0 if not
+ */
+export async function recordFailedAttempt(env, request, scope, target) {
+  try {
+    const row = await lockoutsDb.recordAuthFailure(env.DB, attemptKey(request, scope, target), FAILURE_WINDOW_HOURS);
+    const seconds = lockoutSeconds(row.failures);
+    if (seconds > 0) {
+      await lockoutsDb.lockAuthFailure(env.DB, row.id, seconds);
+    }
+    return seconds;
+  } catch {
+    // auth_failures not migrated yet
+    return 0;
+  }
+}
+
+/**
+ * Forget the failures of a client after a success
+ * @param {object} env
+ * @param {{id: number}|null} attempts - From getAttempts()
+ * @returns {Promise<void>}
+ */
+export async function clearAttempts(env, attempts) {
+  if (!attempts) return;
+  try {
+    await lockoutsDb.deleteAuthFailure(env.DB, attempts.id);
+  } catch (error_) {
+    console.error('Failed to clear failed attempts:', error_);
+  }
+}
+
+/**
+ * Result of a refused attempt while locked out
+ * @param {number} retryAfter - Seconds left
+ * @returns {{error: string, status: number, retryAfter: number}}
+ */
+export function lockedOut(retryAfter) {
+  return { error: 'Too many failed attempts. Try again later.', status: 429, retryAfter };
+}
+
+/**
+ * Run a credential check under brute-force protection
+ * The check resolves to a result like { team } or { error, status }, where
+ * status 401 or 403 means wrong credentials.
+ * @param {object} env
+ * @param {Request} request
+ * @param {string} scope
+ * @param {string|number} target
+ * @param {() => Promise<object>} check
+ * @returns {Promise<object>} The check's result, or lockedOut() without running it
+ */
+export async function guardAttempt(env, request, scope, target, check) {
+  const attempts = await getAttempts(env, request, scope, target);
+  if (attempts?.retryAfter > 0) {
+    return lockedOut(attempts.retryAfter);
+  }
+
+  const result = await check();
+  if (result.status === 401 || result.status === 403) {
+    await recordFailedAttempt(env, request, scope, target);
+  } else if (!result.error) {
+    await clearAttempts(env, attempts);
+  }
+  return result;
+}
+
+/**
+ * Error response for a failed result, with Retry-After when locked out
+ * @param {{error: string, status?: number, retryAfter?: number}} result
+ * @returns {Response}
+ */
+export function attemptError(result) {
+  const response = error(result.error, result.status || 400);
+  if (result.retryAfter) {
+    response.headers.set('Retry-After', String(result.retryAfter));
+  }
+  return response;
+}
@@ -0,0 +1,474 @@
+/**
+ * Minimal QR code encoder
+ *
+ * Byte mode, error correction level M, versions 1-10 (up to 213 bytes),
+ * which is plenty for check-in tickets. Shared by the Worker (PNG for emails)
+ * and the browser (inline SVG in the team view).
+ */
+
+// [total codewords, EC codewords per block, blocks in group 1, data codewords per block in group 1, blocks in group 2]
+// Group 2 blocks hold one more data codeword than group 1 blocks
+const VERSIONS = [
+  null,
+  [26, 10, 1, 16, 0],
+  [44, 16, 1, 28, 0],
+  [70, 26, 1, 44, 0],
+  [100, 18, 2, 32, 0],
+  [134, 24, 2, 43, 0],
+  [172, 16, 4, 27, 0],
+  [196, 18, 4, 31, 0],
+  [242, 22, 2, 38, 2],
+  [292, 22, 3, 36, 2],
+  [346, 26, 4, 43, 1]
+];
+
+const ALIGNMENT_POSITIONS = [
+  null,
+  [],
+  [6, 18],
+  [6, 22],
+  [6, 26],
+  [6, 30],
+  [6, 34],
+  [6, 22, 38],
+  [6, 24, 42],
+  [6, 26, 46],
+  [6, 28, 50]
+];
+
+const MAX_VERSION = VERSIONS.length - 1;
+
+/**
+ * Encode text into a QR code
+ * @param {string} text
+ * @returns {{size: number, modules: boolean[][]}} modules[y][x], true = dark
+ */
+export function encodeQR(text) {
+  const bytes = [...new TextEncoder().encode(text)];
+
+  let version = 1;
+  while (version <= MAX_VERSION && dataBitsNeeded(bytes.length, version) > dataCapacity(version) * 8) {
+    version++;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error('Text too long for QR code');
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  const qr = createMatrix(version);
+  placeData(qr, codewords);
+
+  // Keep the mask with the lowest penalty
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const candidate = applyMask(qr, mask);
+    drawFormatBits(candidate, mask);
+    const penalty = penaltyScore(candidate.modules);
+    if (!best || penalty < best.penalty) {
+      best = { penalty, candidate };
+    }
+  }
+
+  return { size: best.candidate.size, modules: best.candidate.modules };
+}
+
+/**
+ * Render a QR code as an SVG string
+ * @param {{size: number, modules: boolean[][]}} qr
+ * @param {{scale?: number, margin?: number}} options
+ * @returns {string}
+ */
+export function qrToSvg(qr, { scale = 4, margin = 4 } = {}) {
+  const dim = qr.size + margin * 2;
+  let path = '';
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.modules[y][x]) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" width="${dim * scale}" height="${dim * scale}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+/**
+ * Render a QR code as a grayscale PNG (for email clients without SVG support)
+ * @param {{size: number, modules: boolean[][]}} qr
+ * @param {{scale?: number, margin?: number}} options
+ * @returns {Promise<Uint8Array>}
+ */
+export async function qrToPng(qr, { scale = 6, margin = 4 } = {}) {
+  const dim = (qr.size + margin * 2) * scale;
+
+  // One filter byte (0 = none) followed by one byte per pixel for each row
+  const raw = new Uint8Array((dim + 1) * dim);
+  for (let py = 0; py < dim; py++) {
+    const y = Math.floor(py / scale) - margin;
+    for (let px = 0; px < dim; px++) {
+      const x = Math.floor(px / scale) - margin;
+      const dark = y >= 0 && y < qr.size && x >= 0 && x < qr.size && qr.modules[y][x];
+      raw[py * (dim + 1) + 1 + px] = dark ? 0 : 255;
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, dim);
+  view.setUint32(4, dim);
+  header[8] = 8; // bit depth
+  header[9] = 0; // grayscale
+
+  const compressed = await deflate(raw);
+  return concatBytes([
+    new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', compressed),
+    pngChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+// ============ DATA ENCODING ============
+
+function dataCapacity(version) {
+  const [total, ecPerBlock, blocks1, , blocks2] = VERSIONS[version];
+  return total - ecPerBlock * (blocks1 + blocks2);
+}
+
+function countBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+function dataBitsNeeded(length, version) {
+  return 4 + countBits(version) + length * 8;
+}
+
+function encodeData(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4); // byte mode
+  push(bytes.length, countBits(version));
+  for (const b of bytes) push(b, 8);
+
+  const capacityBits = dataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length)); // terminator
+  push(0, (8 - bits.length % 8) % 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  for (let pad = 0xEC; data.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+    data.push(pad);
+  }
+  return data;
+}
+
+function addErrorCorrection(data, version) {
+  const [, ecPerBlock, blocks1, dataPerBlock1, blocks2] = VERSIONS[version];
+  const divisor = rsDivisor(ecPerBlock);
+
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < blocks1 + blocks2; i++) {
+    const length = dataPerBlock1 + (i < blocks1 ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    blocks.push({ data: block, ec: rsRemainder(block, divisor) });
+  }
+
+  // Interleave data codewords, then error correction codewords
+  const result = [];
+  for (let i = 0; i <= dataPerBlock1; i++) {
+    for (const block of blocks) {
+      if (i < block.data.length) result.push(block.data[i]);
+    }
+  }
+  for (let i = 0; i < ecPerBlock; i++) {
+    for (const block of blocks) result.push(block.ec[i]);
+  }
+  return result;
+}
+
+// ============ REED-SOLOMON ============
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = Array.from({ length: degree }, () => 0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    for (const [i, coef] of divisor.entries()) {
+      result[i] ^= gfMultiply(coef, factor);
+    }
+  }
+  return result;
+}
+
+// ============ MATRIX ============
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const qr = {
+    version,
+    size,
+    modules: Array.from({ length: size }, () => Array.from({ length: size }, () => false)),
+    reserved: Array.from({ length: size }, () => Array.from({ length: size }, () => false))
+  };
+  const set = (x, y, dark) => {
+    qr.modules[y][x] = dark;
+    qr.reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns, except where they would overlap a finder
+  const positions = ALIGNMENT_POSITIONS[version];
+  const last = positions.length - 1;
+  for (const [i, cy] of positions.entries()) {
+    for (const [j, cx] of positions.entries()) {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }
+  }
+
+  // Reserve format areas (drawn once the mask is known)
+  drawFormatBits(qr, 0);
+
+  // Version information
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  return qr;
+}
+
+function drawFormatBits(qr, mask) {
+  const { size } = qr;
+  const set = (x, y, dark) => {
+    qr.modules[y][x] = dark;
+    qr.reserved[y][x] = true;
+  };
+
+  // Level M is encoded as 00
+  const data = mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true); // dark module
+}
+
+function placeData(qr, codewords) {
+  const { size } = qr;
+  const totalBits = codewords.length * 8;
+  let i = 0;
+
+  // Zigzag through column pairs from the bottom-right, skipping the vertical timing pattern
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (qr.reserved[y][x] || i >= totalBits) continue;
+        qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function applyMask(qr, mask) {
+  const invert = MASKS[mask];
+  return {
+    ...qr,
+    modules: qr.modules.map((row, y) => row.map((dark, x) => (!qr.reserved[y][x] && invert(x, y) ? !dark : dark))),
+    reserved: qr.reserved.map(row => [...row])
+  };
+}
+
+// ============ MASK PENALTY ============
+
+function penaltyScore(modules) {
+  const size = modules.length;
+  let result = 0;
+
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i], modules.map(row => row[i]));
+  }
+
+  // Runs of five or more same-colored modules, and finder-like patterns
+  for (const line of lines) {
+    let runColor = false;
+    let runLength = 0;
+    const history = [0, 0, 0, 0, 0, 0, 0];
+    for (const dark of line) {
+      if (dark === runColor) {
+        runLength++;
+        if (runLength === 5) result += 3;
+        else if (runLength > 5) result++;
+      } else {
+        addRunHistory(runLength, history, size);
+        if (!runColor) result += countFinderPatterns(history) * 40;
+        runColor = dark;
+        runLength = 1;
+      }
+    }
+    if (runColor) {
+      addRunHistory(runLength, history, size);
+      runLength = 0;
+    }
+    addRunHistory(runLength + size, history, size);
+    result += countFinderPatterns(history) * 40;
+  }
+
+  // 2x2 blocks of the same color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        result += 3;
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return result;
+}
+
+function addRunHistory(runLength, history, size) {
+  // The light border before the first run counts as part of it
+  if (history[0] === 0) runLength += size;
+  history.pop();
+  history.unshift(runLength);
+}
+
+function countFinderPatterns(history) {
+  const n = history[1];
+  const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+  return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0) +
+    (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+}
+
+// ============ PNG ============
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (const b of bytes) crc = crcTable[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(new TextEncoder().encode(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
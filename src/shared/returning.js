@@ -0,0 +1,83 @@
+/**
+ * Returning participant links
+ *
+ * A token is "<expires>.<email>.<signature>" where expires is a Unix time in
+ * seconds, email is base64url-encoded and the signature is a truncated
+ * HMAC-SHA256 over both. Whoever opens the link proved they read that mailbox,
+ * so it may prefill the registration form from the archives.
+ */
+
+import { hmacHex, timingSafeEqual } from './crypto.js';
+import { getTicketSecret } from './tickets.js';
+
+const SIGNATURE_BYTES = 16;
+const TOKEN_PATTERN = /^(\d+)\.([\w-]+)\.([a-f0-9]{32})$/;
+
+// Links are valid for a day
+export const RETURNING_TOKEN_TTL = 24 * 60 * 60;
+
+/**
+ * Encode a string as base64url
+ * @param {string} value
+ * @returns {string}
+ */
+function toBase64Url(value) {
+  const binary = String.fromCodePoint(...new TextEncoder().encode(value));
+  return btoa(binary).replaceAll('+', '-').replaceAll('/', '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string
+ * @param {string} value
+ * @returns {string|null} null if malformed
+ */
+function fromBase64Url(value) {
+  try {
+    const binary = atob(value.replaceAll('-', '+').replaceAll('_', '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.codePointAt(0)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compute the hex signature of an email and expiry
+ * @param {object} env
+ * @param {string} email - Normalized email
+ * @param {number} expires
+ * @returns {Promise<string>}
+ */
+async function sign(env, email, expires) {
+  return hmacHex(getTicketSecret(env), `returning:${expires}:${email}`, SIGNATURE_BYTES);
+}
+
+/**
+ * Create a returning participant token for an email
+ * @param {object} env
+ * @param {string} email
+ * @param {number} [now] - Current Unix time in seconds
+ * @returns {Promise<string>}
+ */
+export async function createReturningToken(env, email, now = Math.floor(Date.now() / 1000)) {
+  const normalized = email.trim().toLowerCase();
+  const expires = now + RETURNING_TOKEN_TTL;
+  return `${expires}.${toBase64Url(normalized)}.${await sign(env, normalized, expires)}`;
+}
+
+/**
+ * Verify a returning participant token
+ * @param {object} env
+ * @param {string} token
+ * @param {number} [now] - Current Unix time in seconds
+ * @returns {Promise<string|null>} The email, null if malformed, forged or expired
+ */
+export async function verifyReturningToken(env, token, now = Math.floor(Date.now() / 1000)) {
+  const match = TOKEN_PATTERN.exec(String(token || '').trim());
+  if (!match) return null;
+
+  const expires = Number.parseInt(match[1], 10);
+  const email = fromBase64Url(match[2]);
+  if (!email || expires < now) return null;
+
+  return timingSafeEqual(await sign(env, email, expires), match[3]) ? email : null;
+}
@@ -0,0 +1,61 @@
+/**
+ * Admin roles and what each of them may access
+ * Shared by the API (route guards) and the dashboard (tab visibility)
+ */
+
+export const SUPERADMIN = 'superadmin';
+
+export const ROLES = [SUPERADMIN, 'checkin', 'pizza', 'rooms', 'treasurer'];
+
+export const ROLE_LABELS = {
+  superadmin: 'Super admin',
+  checkin: 'Accueil',
+  pizza: 'Pizzas',
+  rooms: 'Salles',
+  treasurer: 'Trésorerie'
+};
+
+/**
+ * Roles allowed on each dashboard tab (superadmin always allowed)
+ */
+export const TAB_ROLES = {
+  registrations: ['checkin', 'pizza', 'rooms', 'treasurer'],
+  attendance: ['checkin'],
+  pizza: ['pizza'],
+  rooms: ['rooms'],
+  waitlist: [],
+  archives: ['treasurer'],
+  settings: [],
+  audit: [],
+  emails: [],
+  accounts: []
+};
+
+/**
+ * Check if a role is known
+ * @param {string} role
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Check if a role is allowed by a list of roles
+ * @param {string} role - Role of the current admin
+ * @param {string[]} allowed - Allowed roles
+ * @returns {boolean}
+ */
+export function hasRole(role, allowed) {
+  return role === SUPERADMIN || allowed.includes(role);
+}
+
+/**
+ * Check if a role can open a dashboard tab
+ * @param {string} role
+ * @param {string} tab
+ * @returns {boolean}
+ */
+export function canAccessTab(role, tab) {
+  return hasRole(role, TAB_ROLES[tab] || []);
+}
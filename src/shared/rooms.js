@@ -0,0 +1,177 @@
+/**
+ * Room capacity checks and automatic assignment
+ *
+ * Once an event lists rooms, teams can only be assigned to one of them and a
+ * room holds at most `capacity` participants. Teams are never split across rooms.
+ * Events without rooms keep free-text room names.
+ */
+
+import * as db from '../lib/db.js';
+import * as roomsDb from '../database/db.rooms.js';
+
+/**
+ * Split a comma-separated equipment list
+ * @param {string|null} equipment
+ * @returns {string[]}
+ */
+export function parseEquipment(equipment) {
+  return (equipment || '').split(',').map(e => e.trim()).filter(Boolean);
+}
+
+/**
+ * Load an event's rooms and teams with their sizes and preferences
+ * @param {D1Database} database
+ * @param {number|null} eventId
+ * @returns {Promise<{rooms: Array, teams: Array}>} rooms is empty when the event has none
+ */
+export async function loadRoomPlanningData(database, eventId) {
+  if (!await roomsDb.roomsTableExists(database)) {
+    return { rooms: [], teams: [] };
+  }
+
+  const [rooms, teams, preferences] = await Promise.all([
+    roomsDb.getRoomCatalog(database, eventId),
+    db.getTeamsWithRooms(database, eventId),
+    roomsDb.getTeamRoomPreferences(database, eventId)
+  ]);
+  const byTeam = new Map(preferences.map(p => [p.id, p]));
+
+  return {
+    rooms,
+    teams: teams.map(t => ({
+      ...t,
+      room_preference: byTeam.get(t.id)?.room_preference ?? null,
+      needs_accessibility: byTeam.get(t.id)?.needs_accessibility ?? 0
+    }))
+  };
+}
+
+/**
+ * Check room assignments against the event's rooms and their capacity
+ * Room names are normalized to the spelling of the managed room
+ * @param {D1Database} database
+ * @param {number|null} eventId
+ * @param {Array<{teamId: number, room: string|null}>} assignments
+ * @returns {Promise<{assignments?: Array, error?: string}>}
+ */
+export async function checkRoomAssignments(database, eventId, assignments) {
+  const { rooms, teams } = await loadRoomPlanningData(database, eventId);
+  if (rooms.length === 0) {
+    return { assignments };
+  }
+
+  const byName = new Map(rooms.map(r => [r.name.toLowerCase(), r]));
+  const occupancy = new Map(rooms.map(r => [r.name, 0]));
+  const teamsById = new Map(teams.map(t => [t.id, { ...t }]));
+  for (const team of teamsById.values()) {
+    if (occupancy.has(team.room)) {
+      occupancy.set(team.room, occupancy.get(team.room) + team.member_count);
+    }
+  }
+
+  const normalized = [];
+  const filled = new Set();
+  for (const { teamId, room } of assignments) {
+    const target = room ? byName.get(room.toLowerCase()) : null;
+    if (room && !target) {
+      return { error: `Room not found: ${room}` };
+    }
+    normalized.push({ teamId, room: target?.name ?? null });
+
+    // Teams outside the list (Organisation) take no seats
+    const team = teamsById.get(teamId);
+    if (!team) continue;
+    if (occupancy.has(team.room)) {
+      occupancy.set(team.room, occupancy.get(team.room) - team.member_count);
+    }
+    if (target) {
+      occupancy.set(target.name, occupancy.get(target.name) + team.member_count);
+      filled.add(target);
+    }
+    team.room = target?.name ?? null;
+  }
+
+  for (const room of filled) {
+    const seated = occupancy.get(room.name);
+    if (seated > room.capacity) {
+      return { error: `${room.name} is full: ${seated} participants for ${room.capacity} seats` };
+    }
+  }
+
+  return { assignments: normalized };
+}
+
+/**
+ * Plan room assignments without splitting teams
+ *
+ * Teams needing an accessible room are placed first, then teams with a
+ * preference, then the largest teams. Each team gets its preferred room when
+ * it fits, otherwise the fitting room with the fewest seats left (best fit).
+ *
+ * @param {Array} teams - Teams with member_count, room, room_preference, needs_accessibility
+ * @param {Array} rooms - Rooms with name, capacity, is_accessible
+ * @param {{keepExisting?: boolean}} [options] - Keep teams already in a listed room where they are
+ * @returns {{assignments: Array, unassigned: Array, rooms: Array}}
+ */
+export function planRoomAssignments(teams, rooms, { keepExisting = true } = {}) {
+  const seatsLeft = new Map(rooms.map(r => [r.name, r.capacity]));
+  const assignments = [];
+  const toPlace = [];
+
+  for (const team of teams) {
+    if (keepExisting && seatsLeft.has(team.room)) {
+      seatsLeft.set(team.room, seatsLeft.get(team.room) - team.member_count);
+    } else {
+      toPlace.push(team);
+    }
+  }
+
+  toPlace.sort((a, b) =>
+    (b.needs_accessibility ? 1 : 0) - (a.needs_accessibility ? 1 : 0) ||
+    (b.room_preference ? 1 : 0) - (a.room_preference ? 1 : 0) ||
+    b.member_count - a.member_count ||
+    a.name.localeCompare(b.name)
+  );
+
+  const unassigned = [];
+  for (const team of toPlace) {
+    const candidates = rooms.filter(r =>
+      seatsLeft.get(r.name) >= team.member_count && (!team.needs_accessibility || r.is_accessible)
+    );
+
+    if (candidates.length === 0) {
+      unassigned.push({
+        teamId: team.id,
+        teamName: team.name,
+        members: team.member_count,
+        reason: team.needs_accessibility ? 'no_accessible_room' : 'no_room'
+      });
+      // Its seats were handed out again: the team leaves its room
+      if (team.room) {
+        assignments.push({ teamId: team.id, teamName: team.name, members: team.member_count, from: team.room, room: null, preferred: false });
+      }
+      continue;
+    }
+
+    const preferred = candidates.find(r => r.name === team.room_preference);
+    const room = preferred || candidates.reduce((best, r) => seatsLeft.get(r.name) < seatsLeft.get(best.name) ? r : best);
+    seatsLeft.set(room.name, seatsLeft.get(room.name) - team.member_count);
+
+    if (room.name !== team.room) {
+      assignments.push({
+        teamId: team.id,
+        teamName: team.name,
+        members: team.member_count,
+        from: team.room || null,
+        room: room.name,
+        preferred: Boolean(preferred)
+      });
+    }
+  }
+
+  return {
+    assignments,
+    unassigned,
+    rooms: rooms.map(r => ({ name: r.name, capacity: r.capacity, seated: r.capacity - seatsLeft.get(r.name) }))
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * School affiliation checks
+ *
+ * Once an event lists schools, every participant picks one of them and a
+ * school with max_participants stops accepting members once it is full.
+ * Events without schools ignore the field.
+ */
+
+import * as schoolsDb from '../database/db.schools.js';
+
+/**
+ * Check the schools chosen by members and normalize their schoolId
+ * @param {D1Database} db
+ * @param {Array<{schoolId?: number|null}>} members - Validated members
+ * @param {number|null} eventId
+ * @param {{required?: boolean, enforceCapacity?: boolean}} [options] - Admins skip both
+ * @returns {Promise<{members?: Array, error?: string}>}
+ */
+export async function checkMemberSchools(db, members, eventId, { required = true, enforceCapacity = true } = {}) {
+  const schools = await schoolsDb.schoolsTableExists(db) ? await schoolsDb.getSchools(db, eventId) : [];
+  if (schools.length === 0) {
+    return { members: members.map(m => ({ ...m, schoolId: null })) };
+  }
+
+  const byId = new Map(schools.map(s => [s.id, s]));
+  const requested = new Map();
+
+  for (const member of members) {
+    if (!member.schoolId) {
+      if (required) return { error: 'School is required for every member' };
+      continue;
+    }
+    if (!byId.has(member.schoolId)) {
+      return { error: 'Selected school not found' };
+    }
+    requested.set(member.schoolId, (requested.get(member.schoolId) || 0) + 1);
+  }
+
+  if (enforceCapacity) {
+    for (const [schoolId, count] of requested) {
+      const school = byId.get(schoolId);
+      if (school.max_participants === null) continue;
+      const available = Math.max(0, school.max_participants - school.member_count);
+      if (count > available) {
+        return { error: `${school.name} is full. Only ${available} spots available.` };
+      }
+    }
+  }
+
+  return { members: members.map(m => ({ ...m, schoolId: m.schoolId || null })) };
+}
+
+/**
+ * Map school IDs to names for an event
+ * @param {D1Database} db
+ * @param {number|null} eventId
+ * @returns {Promise<Map<number, string>>}
+ */
+export async function getSchoolNames(db, eventId) {
+  if (!await schoolsDb.schoolsTableExists(db)) return new Map();
+  const schools = await schoolsDb.getSchools(db, eventId);
+  return new Map(schools.map(s => [s.id, s.name]));
+}
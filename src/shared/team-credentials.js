@@ -0,0 +1,62 @@
+/**
+ * Team passwords set by the organizers
+ *
+ * Teams created by a CSV import, and teams whose password an admin
+ * regenerates, get a random password. It is shown once to the admin and can
+ * be emailed to the team leaders; only its hash is stored, and the outbox
+ * keeps the email with the password masked.
+ *
+ * Teams imported before random passwords had their name as password; they can
+ * all be given a random one at once.
+ */
+
+import { generatePassword, verifyPassword } from './crypto.js';
+import { sendTemplateEmail } from '../features/email/email.outbox.js';
+import { escapeHtml } from '../features/email/email.templates.js';
+
+export const TEAM_PASSWORD_LENGTH = 12;
+
+/**
+ * Generate a random team password
+ * @returns {string}
+ */
+export function generateTeamPassword() {
+  return generatePassword(TEAM_PASSWORD_LENGTH);
+}
+
+/**
+ * Email a team's password to its leaders
+ * @param {object} env
+ * @param {object} team - Team with its members
+ * @param {string} password - Plain text password
+ * @param {string} pageUrl - Registration page where the team can sign in
+ * @returns {Promise<number>} Number of leaders the email was delivered to
+ */
+export async function emailTeamPassword(env, team, password, pageUrl) {
+  const leaders = (team.members || []).filter(m => m.is_leader && m.email);
+  let emailed = 0;
+  for (const leader of leaders) {
+    // A failed delivery is not retried: the password is not kept to send it again
+    const { sent } = await sendTemplateEmail(env, {
+      template: 'team_credentials',
+      to: leader.email,
+      vars: {
+        firstName: leader.first_name,
+        teamName: team.name,
+        password,
+        link: { text: pageUrl, html: `<a href="${escapeHtml(pageUrl)}">${escapeHtml(pageUrl)}</a>` }
+      }
+    });
+    if (sent) emailed++;
+  }
+  return emailed;
+}
+
+/**
+ * Check if a team still has the default password of the former CSV import
+ * @param {{name: string, password_hash: string}} team
+ * @returns {Promise<boolean>}
+ */
+export async function hasDefaultPassword(team) {
+  return verifyPassword(team.name, team.password_hash);
+}
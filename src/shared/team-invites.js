@@ -0,0 +1,89 @@
+/**
+ * Team invitation links
+ *
+ * A token is "<inviteId>.<signature>" where the signature is a truncated
+ * HMAC-SHA256 of the invite ID, so IDs can't be guessed from one another.
+ * Expiry, use limit and revocation are checked against the team_invites row
+ * (migration 026), which the leaders manage from the team view.
+ */
+
+import { hmacHex, timingSafeEqual } from './crypto.js';
+import { getTicketSecret } from './tickets.js';
+import * as invitesDb from '../database/db.team-invites.js';
+
+const SIGNATURE_BYTES = 16;
+const TOKEN_PATTERN = /^(\d+)\.([a-f0-9]{32})$/;
+
+/**
+ * Compute the hex signature of an invite ID
+ * @param {object} env
+ * @param {number} inviteId
+ * @returns {Promise<string>}
+ */
+async function sign(env, inviteId) {
+  return hmacHex(getTicketSecret(env), `team-invite:${inviteId}`, SIGNATURE_BYTES);
+}
+
+/**
+ * Create the token of an invitation link
+ * @param {object} env
+ * @param {number} inviteId
+ * @returns {Promise<string>}
+ */
+export async function createInviteToken(env, inviteId) {
+  return `${inviteId}.${await sign(env, inviteId)}`;
+}
+
+/**
+ * Verify the token of an invitation link
+ * @param {object} env
+ * @param {string} token
+ * @returns {Promise<number|null>} The invite ID, null if malformed or forged
+ */
+export async function verifyInviteToken(env, token) {
+  const match = TOKEN_PATTERN.exec(String(token || '').trim());
+  if (!match) return null;
+
+  const inviteId = Number.parseInt(match[1], 10);
+  return timingSafeEqual(await sign(env, inviteId), match[2]) ? inviteId : null;
+}
+
+/**
+ * Status of an invitation link
+ * @param {object} invite - team_invites row with is_expired
+ * @returns {'active'|'revoked'|'expired'|'used'}
+ */
+export function getInviteStatus(invite) {
+  if (invite.revoked_at) return 'revoked';
+  if (invite.is_expired) return 'expired';
+  if (invite.use_count >= invite.max_uses) return 'used';
+  return 'active';
+}
+
+const STATUS_ERRORS = {
+  revoked: 'This invitation link has been revoked',
+  expired: 'This invitation link has expired',
+  used: 'This invitation link has already been used'
+};
+
+/**
+ * Load the invite behind a token, if it can still be used
+ * @param {object} env
+ * @param {string} token
+ * @returns {Promise<{invite?: object, error?: string, status?: number}>}
+ */
+export async function resolveInvite(env, token) {
+  const inviteId = await verifyInviteToken(env, token);
+  const invite = inviteId && await invitesDb.teamInvitesTableExists(env.DB)
+    ? await invitesDb.getInviteById(env.DB, inviteId)
+    : null;
+  if (!invite) {
+    return { error: 'Invalid invitation link', status: 404 };
+  }
+
+  const status = getInviteStatus(invite);
+  if (status !== 'active') {
+    return { error: STATUS_ERRORS[status], status: 410 };
+  }
+  return { invite };
+}
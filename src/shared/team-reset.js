@@ -0,0 +1,68 @@
+/**
+ * Team password reset links
+ *
+ * A token is "<teamId>.<expires>.<signature>" where expires is a Unix time in
+ * seconds and the signature is a truncated HMAC-SHA256 over both and the
+ * team's current password hash. Setting a new password changes the hash, so a
+ * link stops working once used, and older links die with it.
+ */
+
+import { hmacHex, timingSafeEqual } from './crypto.js';
+import { getTicketSecret } from './tickets.js';
+
+const SIGNATURE_BYTES = 16;
+const TOKEN_PATTERN = /^(\d+)\.(\d+)\.([a-f0-9]{32})$/;
+
+// Links are valid for an hour
+export const TEAM_RESET_TOKEN_TTL = 60 * 60;
+
+/**
+ * Compute the hex signature of a reset link
+ * @param {object} env
+ * @param {{id: number, password_hash: string}} team
+ * @param {number} expires
+ * @returns {Promise<string>}
+ */
+async function sign(env, team, expires) {
+  return hmacHex(getTicketSecret(env), `team-reset:${team.id}:${expires}:${team.password_hash || ''}`, SIGNATURE_BYTES);
+}
+
+/**
+ * Create a password reset token for a team
+ * @param {object} env
+ * @param {{id: number, password_hash: string}} team
+ * @param {number} [now] - Current Unix time in seconds
+ * @returns {Promise<string>}
+ */
+export async function createTeamResetToken(env, team, now = Math.floor(Date.now() / 1000)) {
+  const expires = now + TEAM_RESET_TOKEN_TTL;
+  return `${team.id}.${expires}.${await sign(env, team, expires)}`;
+}
+
+/**
+ * Read the team ID of a reset token, before loading the team to verify it
+ * @param {string} token
+ * @returns {number|null} null if malformed
+ */
+export function getTeamResetTokenTeamId(token) {
+  const match = TOKEN_PATTERN.exec(String(token || '').trim());
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+/**
+ * Verify a password reset token against the team it names
+ * @param {object} env
+ * @param {string} token
+ * @param {{id: number, password_hash: string}} team
+ * @param {number} [now] - Current Unix time in seconds
+ * @returns {Promise<boolean>} false if malformed, forged, expired or already used
+ */
+export async function verifyTeamResetToken(env, token, team, now = Math.floor(Date.now() / 1000)) {
+  const match = TOKEN_PATTERN.exec(String(token || '').trim());
+  if (!match || Number.parseInt(match[1], 10) !== team.id) return false;
+
+  const expires = Number.parseInt(match[2], 10);
+  if (expires < now) return false;
+
+  return timingSafeEqual(await sign(env, team, expires), match[3]);
+}
@@ -0,0 +1,64 @@
+/**
+ * Check-in tickets
+ *
+ * A ticket is "NDI-<memberId>-<year>-<signature>" where the signature is a
+ * truncated HMAC-SHA256 over the member id and event year. Tickets carry no
+ * personal data, so they can be printed as QR codes and emailed freely.
+ */
+
+import { hmacHex, timingSafeEqual } from './crypto.js';
+
+const TICKET_PREFIX = 'NDI';
+const SIGNATURE_BYTES = 16;
+const TICKET_PATTERN = /^NDI-(\d+)-(\d{4})-([a-f0-9]{32})$/;
+
+/**
+ * Get the signing secret (TICKET_SECRET, falling back to ADMIN_TOKEN)
+ * @param {object} env
+ * @returns {string}
+ */
+export function getTicketSecret(env) {
+  const secret = env.TICKET_SECRET || env.ADMIN_TOKEN;
+  if (!secret) {
+    throw new Error('TICKET_SECRET is not configured');
+  }
+  return secret;
+}
+
+/**
+ * Compute the hex signature of a member id and year
+ * @param {object} env
+ * @param {number} memberId
+ * @param {number} year
+ * @returns {Promise<string>}
+ */
+async function sign(env, memberId, year) {
+  return hmacHex(getTicketSecret(env), `${memberId}:${year}`, SIGNATURE_BYTES);
+}
+
+/**
+ * Create a ticket token for a member
+ * @param {object} env
+ * @param {number} memberId
+ * @param {number} year - Event year
+ * @returns {Promise<string>}
+ */
+export async function createTicketToken(env, memberId, year) {
+  return `${TICKET_PREFIX}-${memberId}-${year}-${await sign(env, memberId, year)}`;
+}
+
+/**
+ * Verify a ticket token signature
+ * @param {object} env
+ * @param {string} token
+ * @returns {Promise<{memberId: number, year: number}|null>} null if malformed or forged
+ */
+export async function verifyTicketToken(env, token) {
+  const match = TICKET_PATTERN.exec(String(token || '').trim());
+  if (!match) return null;
+
+  const memberId = Number.parseInt(match[1], 10);
+  const year = Number.parseInt(match[2], 10);
+  const expected = await sign(env, memberId, year);
+  return timingSafeEqual(expected, match[3]) ? { memberId, year } : null;
+}
@@ -0,0 +1,24 @@
+/**
+ * Public URL helpers
+ */
+
+/**
+ * Public URL prefix of the API (the site may be served under a base path)
+ * @param {Request} request
+ * @returns {string} e.g. "https://asso.info-evry.fr/nuit-de-linfo"
+ */
+export function getBaseUrl(request) {
+  const url = new URL(request.url);
+  const apiIndex = url.pathname.indexOf('/api/');
+  return url.origin + (apiIndex > 0 ? url.pathname.slice(0, apiIndex) : '');
+}
+
+/**
+ * Public URL of an event's registration page
+ * @param {Request} request
+ * @param {object|null} event - Event row, null for the default page
+ * @returns {string} e.g. "https://asso.info-evry.fr/nuit-de-linfo/ndi-2025"
+ */
+export function getRegistrationPageUrl(request, event) {
+  return getBaseUrl(request) + (event && !event.is_default ? `/${event.slug}` : '');
+}
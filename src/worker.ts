@@ -0,0 +1,28 @@
+/**
+ * Worker entry point
+ * Astro handles fetch; the cron trigger runs the scheduled maintenance
+ * (GDPR expiration, stale checkouts, old data purges)
+ */
+
+import type { SSRManifest } from 'astro';
+import { App } from 'astro/app';
+import { handle } from '@astrojs/cloudflare/handler';
+import { runMaintenance } from './features/maintenance/maintenance.jobs.js';
+
+// The handler is typed with the DOM Request, the runtime passes the Workers one
+type HandleRequest = Parameters<typeof handle>[2];
+
+export function createExports(manifest: SSRManifest) {
+  const app = new App(manifest);
+
+  return {
+    default: {
+      async fetch(request, env, ctx) {
+        return handle(manifest, app, request as unknown as HandleRequest, env, ctx);
+      },
+      async scheduled(controller, env, ctx) {
+        ctx.waitUntil(runMaintenance(env, 'cron', { baseUrl: env.PUBLIC_URL || null }));
+      }
+    } satisfies ExportedHandler<Env>
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Admin Accounts API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, payment_tier TEXT DEFAULT NULL, payment_amount INTEGER DEFAULT NULL, refunded_amount INTEGER DEFAULT 0, payment_confirmed_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS admin_users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL UNIQUE, display_name TEXT DEFAULT '', password_hash TEXT NOT NULL, role TEXT NOT NULL, is_active INTEGER DEFAULT 1, last_login_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS admin_sessions (token_hash TEXT PRIMARY KEY, admin_id INTEGER NOT NULL, expires_at TEXT NOT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM admin_sessions`);
+  await env.DB.exec(`DELETE FROM admin_users`);
+});
+
+function adminFetch(path, options = {}, token = ADMIN_TOKEN) {
+  return SELF.fetch(`http://localhost/api/admin${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}`, ...options.headers }
+  });
+}
+
+async function createAccount(username, role, password = 'password123') {
+  const response = await adminFetch('/accounts', {
+    method: 'POST',
+    body: JSON.stringify({ username, displayName: username, password, role })
+  });
+  const data = await response.json();
+  return data.account;
+}
+
+async function login(username, password = 'password123') {
+  return SELF.fetch('http://localhost/api/admin/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+}
+
+async function loginToken(username) {
+  const response = await login(username);
+  const data = await response.json();
+  return data.token;
+}
+
+describe('POST /api/admin/login', () => {
+  it('should return a session token for valid credentials', async () => {
+    await createAccount('checker', 'checkin');
+
+    const response = await login('checker');
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.token).toBeTruthy();
+    expect(data.admin.role).toBe('checkin');
+  });
+
+  it('should reject a wrong password', async () => {
+    await createAccount('checker', 'checkin');
+
+    const response = await login('checker', 'wrongpassword');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject deactivated accounts', async () => {
+    const account = await createAccount('checker', 'checkin');
+    await adminFetch(`/accounts/${account.id}`, { method: 'PUT', body: JSON.stringify({ isActive: false }) });
+
+    const response = await login('checker');
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('GET /api/admin/me', () => {
+  it('should treat the admin token as superadmin', async () => {
+    const response = await adminFetch('/me');
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.admin.role).toBe('superadmin');
+  });
+
+  it('should return the role of a session', async () => {
+    await createAccount('cook', 'pizza');
+    const token = await loginToken('cook');
+
+    const response = await adminFetch('/me', {}, token);
+    const data = await response.json();
+
+    expect(data.admin.username).toBe('cook');
+    expect(data.admin.role).toBe('pizza');
+  });
+});
+
+describe('Role enforcement', () => {
+  it('should allow routes granted to the role', async () => {
+    await createAccount('checker', 'checkin');
+    const token = await loginToken('checker');
+
+    const response = await adminFetch('/attendance', {}, token);
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should forbid routes outside the role', async () => {
+    await createAccount('checker', 'checkin');
+    const token = await loginToken('checker');
+
+    const settings = await adminFetch('/settings', {}, token);
+    const accounts = await adminFetch('/accounts', {}, token);
+
+    expect(settings.status).toBe(403);
+    expect(accounts.status).toBe(403);
+  });
+
+  it('should revoke sessions on logout', async () => {
+    await createAccount('checker', 'checkin');
+    const token = await loginToken('checker');
+
+    await adminFetch('/logout', { method: 'POST' }, token);
+    const response = await adminFetch('/me', {}, token);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should revoke sessions when the role changes', async () => {
+    const account = await createAccount('checker', 'checkin');
+    const token = await loginToken('checker');
+
+    await adminFetch(`/accounts/${account.id}`, { method: 'PUT', body: JSON.stringify({ role: 'treasurer' }) });
+    const response = await adminFetch('/me', {}, token);
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('POST /api/admin/accounts', () => {
+  it('should validate username, password and role', async () => {
+    const badUsername = await adminFetch('/accounts', {
+      method: 'POST',
+      body: JSON.stringify({ username: 'a', password: 'password123', role: 'checkin' })
+    });
+    const shortPassword = await adminFetch('/accounts', {
+      method: 'POST',
+      body: JSON.stringify({ username: 'valid', password: 'short', role: 'checkin' })
+    });
+    const badRole = await adminFetch('/accounts', {
+      method: 'POST',
+      body: JSON.stringify({ username: 'valid', password: 'password123', role: 'janitor' })
+    });
+
+    expect(badUsername.status).toBe(400);
+    expect(shortPassword.status).toBe(400);
+    expect(badRole.status).toBe(400);
+  });
+
+  it('should reject duplicate usernames', async () => {
+    await createAccount('checker', 'checkin');
+
+    const response = await adminFetch('/accounts', {
+      method: 'POST',
+      body: JSON.stringify({ username: 'checker', password: 'password123', role: 'pizza' })
+    });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should never expose password hashes', async () => {
+    await createAccount('checker', 'checkin');
+
+    const response = await adminFetch('/accounts');
+    const data = await response.json();
+
+    expect(data.accounts).toHaveLength(1);
+    expect(data.accounts[0].password_hash).toBeUndefined();
+    expect(data.accounts[0].passwordHash).toBeUndefined();
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Year-over-year Archive Comparison Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { checkAndApplyExpiration } from '../src/database/db.archives.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS archives (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, event_year INTEGER NOT NULL, archived_at TEXT NOT NULL DEFAULT (datetime('now')), expiration_date TEXT NOT NULL, is_expired INTEGER DEFAULT 0, teams_json TEXT NOT NULL, members_json TEXT NOT NULL, payment_events_json TEXT, stats_json TEXT NOT NULL, total_teams INTEGER NOT NULL, total_participants INTEGER NOT NULL, total_revenue INTEGER DEFAULT 0, data_hash TEXT NOT NULL)`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM archives`);
+});
+
+async function insertArchive(year, { members, stats, expirationDate = '2099-12-01T00:00:00.000Z', isExpired = 0 }) {
+  await env.DB.prepare(`
+    INSERT INTO archives (event_year, expiration_date, is_expired, teams_json, members_json, payment_events_json, stats_json, total_teams, total_participants, total_revenue, data_hash)
+    VALUES (?, ?, ?, '[]', ?, '[]', ?, ?, ?, ?, 'hash')
+  `).bind(
+    year,
+    expirationDate,
+    isExpired,
+    JSON.stringify(members),
+    JSON.stringify(stats),
+    stats.total_teams,
+    members.length,
+    stats.payments.total_revenue
+  ).run();
+}
+
+function statsFor(members, { teams = 1, checkedIn = 0, revenue = 0, timeline = {} } = {}) {
+  return {
+    total_teams: teams,
+    total_participants: members.length,
+    participants_by_bac_level: { 3: members.length },
+    food_preferences: { margherita: members.length },
+    attendance: { checked_in: checkedIn, no_show: members.length - checkedIn },
+    payments: { total_revenue: revenue },
+    registration_timeline: timeline
+  };
+}
+
+function compare() {
+  return SELF.fetch('http://localhost/api/admin/archives/compare', {
+    headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+  });
+}
+
+const ALICE = { id: 1, first_name: 'Alice', last_name: 'Martin', email: 'alice@example.com' };
+const BOB = { id: 2, first_name: 'Bob', last_name: 'Durand', email: 'bob@example.com' };
+const CAROL = { id: 3, first_name: 'Carol', last_name: 'Petit', email: 'Alice@Example.com ' };
+
+describe('GET /api/admin/archives/compare', () => {
+  it('should require authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/archives/compare');
+    expect(response.status).toBe(401);
+  });
+
+  it('should list every year oldest first, expired ones included', async () => {
+    await insertArchive(2023, { members: [ALICE, BOB], stats: statsFor([ALICE, BOB], { checkedIn: 1, revenue: 1000 }) });
+    await insertArchive(2020, { members: [{ ...BOB, email: null }], stats: statsFor([BOB]), isExpired: 1 });
+
+    const response = await compare();
+    expect(response.status).toBe(200);
+    const { years } = await response.json();
+
+    expect(years.map(y => y.event_year)).toEqual([2020, 2023]);
+    expect(years[0].is_expired).toBe(1);
+    expect(years[0].food_preferences).toEqual({ margherita: 1 });
+    expect(years[1]).toMatchObject({ total_participants: 2, total_revenue: 1000, checked_in: 1, check_in_rate: 0.5 });
+  });
+
+  it('should cumulate registrations by calendar day', async () => {
+    const timeline = { '2023-11-02 10:00:00': 1, '2023-11-01 09:00:00': 2, '2023-11-01 18:00:00': 1 };
+    await insertArchive(2023, { members: [ALICE, BOB], stats: statsFor([ALICE, BOB], { timeline }) });
+
+    const { years } = await (await compare()).json();
+    expect(years[0].registrations).toEqual([{ day: '11-01', total: 3 }, { day: '11-02', total: 4 }]);
+  });
+
+  it('should count returning participants by email', async () => {
+    await insertArchive(2022, { members: [ALICE], stats: statsFor([ALICE]) });
+    await insertArchive(2023, { members: [CAROL, BOB], stats: statsFor([CAROL, BOB]) });
+
+    const { years } = await (await compare()).json();
+    expect(years[0].returning).toEqual({ count: 0, total: 1 });
+    expect(years[1].returning).toEqual({ count: 1, total: 2 });
+  });
+
+  it('should keep returning counts after anonymization', async () => {
+    await insertArchive(2022, { members: [ALICE], stats: statsFor([ALICE]) });
+    await insertArchive(2023, { members: [CAROL, BOB], stats: statsFor([CAROL, BOB]), expirationDate: '2024-12-01T00:00:00.000Z' });
+
+    await checkAndApplyExpiration(env.DB, 2023);
+
+    const { years } = await (await compare()).json();
+    expect(years[1].is_expired).toBe(1);
+    expect(years[1].returning).toEqual({ count: 1, total: 2 });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Archive Import Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { generateDataHash } from '../src/database/db.archives.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS payment_events (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, member_id INTEGER NOT NULL, checkout_id TEXT, event_type TEXT NOT NULL, amount INTEGER NOT NULL, tier TEXT NOT NULL, metadata TEXT, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS archives (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, event_year INTEGER NOT NULL, archived_at TEXT NOT NULL DEFAULT (datetime('now')), expiration_date TEXT NOT NULL, is_expired INTEGER DEFAULT 0, teams_json TEXT NOT NULL, members_json TEXT NOT NULL, payment_events_json TEXT, stats_json TEXT NOT NULL, total_teams INTEGER NOT NULL, total_participants INTEGER NOT NULL, total_revenue INTEGER DEFAULT 0, data_hash TEXT NOT NULL)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS archive_hash_chain (id INTEGER PRIMARY KEY AUTOINCREMENT, event_year INTEGER NOT NULL, event_id INTEGER DEFAULT NULL, reason TEXT NOT NULL, detail TEXT DEFAULT NULL, previous_hash TEXT DEFAULT NULL, data_hash TEXT NOT NULL, data_digest TEXT DEFAULT NULL, link_hash TEXT NOT NULL, created_at TEXT NOT NULL)`);
+});
+
+const TEAMS = [{ id: 1, name: 'Old Team', description: 'Équipe 2022', member_count: 2 }];
+const MEMBERS = [
+  { id: 10, team_id: 1, first_name: 'Alice', last_name: 'Martin', email: 'alice@example.com', bac_level: 3, is_leader: 1, food_diet: 'vegetarian', payment_status: 'paid' },
+  { id: 11, team_id: 1, first_name: 'Participant', last_name: '', email: null, bac_level: 2, is_leader: 0, food_diet: '', payment_status: 'unpaid' }
+];
+
+function buildExport(overrides = {}) {
+  const data = { teams: TEAMS, participants: MEMBERS, payment_events: [], ...overrides };
+  return {
+    filename: 'ndi-2022-archive.json',
+    export: {
+      metadata: {
+        event_year: 2022,
+        archived_at: '2022-12-15 10:00:00',
+        expiration_date: '2099-12-15T10:00:00.000Z',
+        is_expired: 0,
+        total_teams: 1,
+        total_participants: 2,
+        total_revenue: 0,
+        data_hash: generateDataHash({ teams: data.teams, members: data.participants, paymentEvents: data.payment_events })
+      },
+      statistics: { total_teams: 1, total_participants: 2 },
+      ...data
+    }
+  };
+}
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM archives`);
+  await env.DB.exec(`DELETE FROM archive_hash_chain`);
+});
+
+function importArchive(body) {
+  return SELF.fetch('http://localhost/api/admin/archives/import', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${ADMIN_TOKEN}` },
+    body: JSON.stringify(body)
+  });
+}
+
+describe('POST /api/admin/archives/import', () => {
+  it('should require authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/archives/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ archive: buildExport() })
+    });
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject files that are not archive exports', async () => {
+    const response = await importArchive({ archive: { export: { metadata: { event_year: 'soon' } } } });
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toContain('event_year');
+    expect(data.error).toContain('participants must be an array');
+  });
+
+  it('should reject exports whose data does not match the hash', async () => {
+    const file = buildExport();
+    file.export.participants = [{ ...MEMBERS[0], email: 'mallory@example.com' }, MEMBERS[1]];
+
+    const response = await importArchive({ archive: file });
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toContain('data_hash');
+  });
+
+  it('should recreate the archive from its export', async () => {
+    const response = await importArchive({ archive: buildExport() });
+    expect(response.status).toBe(201);
+    const data = await response.json();
+    expect(data).toMatchObject({ replaced: false, restored: null });
+
+    const archive = await env.DB.prepare('SELECT * FROM archives WHERE event_year = 2022').first();
+    expect(archive.archived_at).toBe('2022-12-15 10:00:00');
+    expect(archive.total_participants).toBe(2);
+    expect(JSON.parse(archive.members_json)).toEqual(MEMBERS);
+
+    const link = await env.DB.prepare('SELECT * FROM archive_hash_chain WHERE event_year = 2022').first();
+    expect(link.reason).toBe('imported');
+    expect(link.previous_hash).toBeNull();
+    expect(link.link_hash).toMatch(/^hmac:/);
+  });
+
+  it('should accept the export without its envelope', async () => {
+    const response = await importArchive({ archive: buildExport().export });
+    expect(response.status).toBe(201);
+  });
+
+  it('should refuse to replace an existing archive unless asked to', async () => {
+    await importArchive({ archive: buildExport() });
+
+    const duplicate = await importArchive({ archive: buildExport() });
+    expect(duplicate.status).toBe(409);
+
+    const overwrite = await importArchive({ archive: buildExport(), overwrite: true });
+    expect(overwrite.status).toBe(201);
+    expect((await overwrite.json()).replaced).toBe(true);
+
+    const { results } = await env.DB.prepare('SELECT * FROM archive_hash_chain WHERE event_year = 2022 ORDER BY id').all();
+    expect(results.map(link => link.reason)).toEqual(['imported', 'imported']);
+    expect(results[1].previous_hash).toBe(results[0].data_hash);
+  });
+
+  it('should restore teams and members into the live tables', async () => {
+    const response = await importArchive({ archive: buildExport(), restore: true });
+    expect(response.status).toBe(201);
+    expect((await response.json()).restored).toEqual({ teams: 1, members: 2 });
+
+    const team = await env.DB.prepare(`SELECT * FROM teams WHERE name = 'Old Team'`).first();
+    expect(team.description).toBe('Équipe 2022');
+
+    const { results: members } = await env.DB.prepare('SELECT * FROM members ORDER BY id').all();
+    expect(members.map(m => [m.first_name, m.last_name, m.team_id])).toEqual([
+      ['Alice', 'Martin', team.id],
+      ['Participant', '11', team.id]
+    ]);
+    expect(members[0]).toMatchObject({ email: 'alice@example.com', is_leader: 1, payment_status: 'unpaid', checked_in: 0 });
+    expect(members[1].email).toBe('');
+  });
+
+  it('should rename trashed members holding a restored name', async () => {
+    await env.DB.exec(`INSERT INTO teams (id, name, deleted_at) VALUES (1, 'Trashed Team', datetime('now'))`);
+    await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email, deleted_at) VALUES (1, 1, 'Alice', 'Martin', 'old@example.com', datetime('now'))`);
+
+    const response = await importArchive({ archive: buildExport(), restore: true });
+    expect(response.status).toBe(201);
+
+    const trashed = await env.DB.prepare('SELECT last_name FROM members WHERE id = 1').first();
+    expect(trashed.last_name).toBe('Martin#1');
+  });
+
+  it('should leave no archive behind when the restore fails', async () => {
+    const duplicate = { ...MEMBERS[0], id: 12 };
+    const response = await importArchive({ archive: buildExport({ participants: [MEMBERS[0], duplicate] }), restore: true });
+    expect(response.status).toBe(500);
+
+    const archive = await env.DB.prepare('SELECT id FROM archives WHERE event_year = 2022').first();
+    expect(archive).toBeNull();
+    const { results: chain } = await env.DB.prepare('SELECT id FROM archive_hash_chain').all();
+    expect(chain).toHaveLength(0);
+    const { results: teams } = await env.DB.prepare('SELECT id FROM teams').all();
+    expect(teams).toHaveLength(0);
+  });
+
+  it('should refuse to restore over registered members', async () => {
+    await env.DB.exec(`INSERT INTO teams (id, name) VALUES (1, 'Current Team')`);
+    await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email) VALUES (1, 'Carol', 'Petit', 'carol@example.com')`);
+
+    const response = await importArchive({ archive: buildExport(), restore: true });
+    expect(response.status).toBe(409);
+
+    const archive = await env.DB.prepare('SELECT id FROM archives WHERE event_year = 2022').first();
+    expect(archive).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Archive Integrity Verification Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { generateDataHash, checkAndApplyExpiration, prepareHashChainLink, getChainSecret, deleteArchive } from '../src/database/db.archives.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS payment_events (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, member_id INTEGER NOT NULL, checkout_id TEXT, event_type TEXT NOT NULL, amount INTEGER NOT NULL, tier TEXT NOT NULL, metadata TEXT, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS archives (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, event_year INTEGER NOT NULL, archived_at TEXT NOT NULL DEFAULT (datetime('now')), expiration_date TEXT NOT NULL, is_expired INTEGER DEFAULT 0, teams_json TEXT NOT NULL, members_json TEXT NOT NULL, payment_events_json TEXT, stats_json TEXT NOT NULL, total_teams INTEGER NOT NULL, total_participants INTEGER NOT NULL, total_revenue INTEGER DEFAULT 0, data_hash TEXT NOT NULL)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS archive_hash_chain (id INTEGER PRIMARY KEY AUTOINCREMENT, event_year INTEGER NOT NULL, event_id INTEGER DEFAULT NULL, reason TEXT NOT NULL, detail TEXT DEFAULT NULL, previous_hash TEXT DEFAULT NULL, data_hash TEXT NOT NULL, data_digest TEXT DEFAULT NULL, link_hash TEXT NOT NULL, created_at TEXT NOT NULL)`);
+});
+
+const TEAMS = [{ id: 1, name: 'Old Team', member_count: 2 }];
+const MEMBERS = [
+  { id: 10, team_id: 1, first_name: 'Alice', last_name: 'Martin', email: 'alice@example.com', checkout_id: null, transaction_id: null },
+  { id: 11, team_id: 1, first_name: 'Bob', last_name: 'Durand', email: 'bob@example.com', checkout_id: null, transaction_id: null }
+];
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM archives`);
+  await env.DB.exec(`DELETE FROM archive_hash_chain`);
+});
+
+async function insertArchive(year, expirationDate, dataHash = generateDataHash({ teams: TEAMS, members: MEMBERS, paymentEvents: [] })) {
+  await env.DB.prepare(`
+    INSERT INTO archives (event_year, expiration_date, teams_json, members_json, payment_events_json, stats_json, total_teams, total_participants, data_hash)
+    VALUES (?, ?, ?, ?, '[]', '{}', 1, 2, ?)
+  `).bind(year, expirationDate, JSON.stringify(TEAMS), JSON.stringify(MEMBERS), dataHash).run();
+}
+
+// What createArchive chains after inserting the archive
+async function chainCreation(year) {
+  const archive = await env.DB.prepare('SELECT data_hash FROM archives WHERE event_year = ?').bind(year).first();
+  const link = await prepareHashChainLink(env.DB, {
+    year,
+    reason: 'created',
+    previousHash: null,
+    dataHash: archive.data_hash,
+    data: { teams: TEAMS, members: MEMBERS, paymentEvents: [] },
+    secret: getChainSecret(env)
+  });
+  await link.run();
+}
+
+function verify(year) {
+  return SELF.fetch(`http://localhost/api/admin/archives/${year}/verify`, {
+    headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+  });
+}
+
+describe('GET /api/admin/archives/:year/verify', () => {
+  it('should require authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/archives/2023/verify');
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 404 for an unknown archive', async () => {
+    const response = await verify(1999);
+    expect(response.status).toBe(404);
+  });
+
+  it('should report an untouched archive as valid', async () => {
+    await insertArchive(2023, '2099-12-01T00:00:00.000Z');
+    await chainCreation(2023);
+
+    const data = await (await verify(2023)).json();
+    expect(data.status).toBe('valid');
+    expect(data.computed_hash).toBe(data.stored_hash);
+    expect(data.chain[0]).toMatchObject({ reason: 'created', signed: true, valid: true });
+  });
+
+  it('should not report an archive without chain links as valid', async () => {
+    await insertArchive(2023, '2099-12-01T00:00:00.000Z');
+
+    const data = await (await verify(2023)).json();
+    expect(data.status).toBe('unverifiable');
+    expect(data.chain_complete).toBe(false);
+  });
+
+  it('should detect direct edits to the archived data', async () => {
+    await insertArchive(2023, '2099-12-01T00:00:00.000Z');
+    await env.DB.prepare('UPDATE archives SET members_json = ? WHERE event_year = 2023')
+      .bind(JSON.stringify(MEMBERS.slice(1))).run();
+
+    const data = await (await verify(2023)).json();
+    expect(data.status).toBe('tampered');
+    expect(data.data_valid).toBe(false);
+  });
+
+  it('should chain the expiration anonymization', async () => {
+    await insertArchive(2020, '2023-12-01T00:00:00.000Z');
+    await chainCreation(2020);
+    const before = await env.DB.prepare('SELECT data_hash FROM archives WHERE event_year = 2020').first();
+    await checkAndApplyExpiration(env.DB, 2020, null, getChainSecret(env));
+
+    const data = await (await verify(2020)).json();
+    expect(data.status).toBe('valid');
+    expect(data.chain).toHaveLength(2);
+    expect(data.chain[1]).toMatchObject({ reason: 'expiration', previous_hash: before.data_hash, data_hash: data.stored_hash, valid: true });
+  });
+
+  it('should chain GDPR erasures', async () => {
+    await insertArchive(2023, '2099-12-01T00:00:00.000Z');
+    await chainCreation(2023);
+    await SELF.fetch('http://localhost/api/admin/gdpr/erase', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${ADMIN_TOKEN}` },
+      body: JSON.stringify({ email: 'alice@example.com' })
+    });
+
+    const data = await (await verify(2023)).json();
+    expect(data.status).toBe('valid');
+    expect(data.chain.map(link => link.reason)).toEqual(['created', 'erasure']);
+    expect(data.chain[1].detail).toEqual({ participants: 1 });
+  });
+
+  it('should detect a rewritten chain entry', async () => {
+    await insertArchive(2020, '2023-12-01T00:00:00.000Z');
+    await chainCreation(2020);
+    await checkAndApplyExpiration(env.DB, 2020, null, getChainSecret(env));
+    await env.DB.exec(`UPDATE archive_hash_chain SET reason = 'erasure' WHERE reason = 'expiration'`);
+
+    const data = await (await verify(2020)).json();
+    expect(data.status).toBe('tampered');
+    expect(data.chain_valid).toBe(false);
+    expect(data.chain[1].valid).toBe(false);
+  });
+
+  it('should detect a removed creation link', async () => {
+    await insertArchive(2020, '2023-12-01T00:00:00.000Z');
+    await chainCreation(2020);
+    await checkAndApplyExpiration(env.DB, 2020, null, getChainSecret(env));
+    await env.DB.exec(`DELETE FROM archive_hash_chain WHERE reason = 'created'`);
+
+    const data = await (await verify(2020)).json();
+    expect(data.status).toBe('tampered');
+    expect(data.chain[0].valid).toBe(false);
+  });
+
+  it('should keep the chain of a deleted archive', async () => {
+    await insertArchive(2023, '2099-12-01T00:00:00.000Z');
+    await chainCreation(2023);
+    await deleteArchive(env.DB, 2023, null, getChainSecret(env));
+
+    const chain = await env.DB.prepare('SELECT reason, data_hash FROM archive_hash_chain WHERE event_year = 2023 ORDER BY id').all();
+    expect(chain.results.map(link => link.reason)).toEqual(['created', 'deleted']);
+    expect(chain.results[1].data_hash).toBe('');
+  });
+
+  it('should flag archives anonymized before chaining as unverifiable', async () => {
+    await insertArchive(2019, '2022-12-01T00:00:00.000Z', 'stale-hash');
+    await env.DB.exec(`UPDATE archives SET is_expired = 1 WHERE event_year = 2019`);
+
+    const data = await (await verify(2019)).json();
+    expect(data.status).toBe('unverifiable');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Admin Audit Log API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, payment_tier TEXT DEFAULT NULL, payment_amount INTEGER DEFAULT NULL, refunded_amount INTEGER DEFAULT 0, payment_confirmed_at TEXT DEFAULT NULL, pizza_received INTEGER DEFAULT 0, pizza_received_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS admin_users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL UNIQUE, display_name TEXT DEFAULT '', password_hash TEXT NOT NULL, role TEXT NOT NULL, is_active INTEGER DEFAULT 1, last_login_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS admin_sessions (token_hash TEXT PRIMARY KEY, admin_id INTEGER NOT NULL, expires_at TEXT NOT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS admin_audit (id INTEGER PRIMARY KEY AUTOINCREMENT, actor_id INTEGER DEFAULT NULL, actor_username TEXT NOT NULL, actor_role TEXT NOT NULL, action TEXT NOT NULL, target_type TEXT DEFAULT NULL, target_id TEXT DEFAULT NULL, target_label TEXT DEFAULT NULL, before_json TEXT DEFAULT NULL, after_json TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM admin_audit`);
+  await env.DB.exec(`DELETE FROM admin_sessions`);
+  await env.DB.exec(`DELETE FROM admin_users`);
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+
+  await env.DB.exec(`INSERT INTO teams (id, name, description) VALUES (1, 'Test Team', 'A test team')`);
+  await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email, bac_level) VALUES (1, 1, 'Alice', 'Smith', 'alice@example.com', 3)`);
+  await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email, bac_level) VALUES (2, 1, 'Bob', 'Jones', 'bob@example.com', 2)`);
+});
+
+function adminFetch(path, options = {}, token = ADMIN_TOKEN) {
+  return SELF.fetch(`http://localhost/api/admin${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}`, ...options.headers }
+  });
+}
+
+async function getAudit(query = '') {
+  const response = await adminFetch(`/audit${query}`);
+  return response.json();
+}
+
+describe('GET /api/admin/audit', () => {
+  it('should require admin authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/audit');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should record check-ins with actor and before/after state', async () => {
+    await adminFetch('/attendance/check-in/1', { method: 'POST' });
+
+    const data = await getAudit();
+
+    expect(data.total).toBe(1);
+    expect(data.entries[0].action).toBe('attendance.check_in');
+    expect(data.entries[0].actor_username).toBe('admin');
+    expect(data.entries[0].actor_role).toBe('superadmin');
+    expect(data.entries[0].target_id).toBe('1');
+    expect(data.entries[0].target_label).toBe('Alice Smith');
+    expect(data.entries[0].before.checked_in).toBe(0);
+    expect(data.entries[0].after.checked_in).toBe(1);
+  });
+
+  it('should record the account behind a session', async () => {
+    await adminFetch('/accounts', {
+      method: 'POST',
+      body: JSON.stringify({ username: 'rooms.lead', password: 'password123', role: 'rooms' })
+    });
+    const login = await SELF.fetch('http://localhost/api/admin/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'rooms.lead', password: 'password123' })
+    });
+    const { token } = await login.json();
+
+    await adminFetch('/rooms/1', { method: 'PUT', body: JSON.stringify({ room: 'A101' }) }, token);
+
+    const data = await getAudit('?action=room.set');
+
+    expect(data.entries).toHaveLength(1);
+    expect(data.entries[0].actor_username).toBe('rooms.lead');
+    expect(data.entries[0].before.room).toBeNull();
+    expect(data.entries[0].after.room).toBe('A101');
+  });
+
+  it('should snapshot deleted teams', async () => {
+    await adminFetch('/teams/1', { method: 'DELETE' });
+
+    const data = await getAudit('?action=team');
+
+    expect(data.entries[0].action).toBe('team.delete');
+    expect(data.entries[0].before.members).toHaveLength(2);
+  });
+
+  it('should only log changed member fields', async () => {
+    await adminFetch('/members/2', { method: 'PUT', body: JSON.stringify({ email: 'bob@new.example.com' }) });
+
+    const data = await getAudit('?target_type=member&target_id=2');
+
+    expect(data.entries).toHaveLength(1);
+    expect(data.entries[0].before).toEqual({ email: 'bob@example.com' });
+    expect(data.entries[0].after).toEqual({ email: 'bob@new.example.com' });
+  });
+
+  it('should filter by action domain and actor', async () => {
+    await adminFetch('/attendance/check-in/1', { method: 'POST' });
+    await adminFetch('/pizza/give-batch', { method: 'POST', body: JSON.stringify({ memberIds: [1, 2] }) });
+
+    const pizza = await getAudit('?action=pizza');
+    const nobody = await getAudit('?actor=someone-else');
+
+    expect(pizza.entries).toHaveLength(1);
+    expect(pizza.entries[0].target_id).toBe('1,2');
+    expect(pizza.actions).toEqual(['attendance.check_in', 'pizza.give_batch']);
+    expect(nobody.entries).toHaveLength(0);
+  });
+
+  it('should not record failed actions', async () => {
+    await adminFetch('/attendance/check-in/999', { method: 'POST' });
+
+    const data = await getAudit();
+
+    expect(data.total).toBe(0);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Custom Registration Questions Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { validateFieldDefinitions, checkAnswers, formatAnswer } from '../src/shared/custom-fields.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+const FIELDS = [
+  { id: 'tshirt', label: 'Taille de t-shirt', type: 'select', required: true, options: ['S', 'M', 'L'], scope: 'member' },
+  { id: 'age', label: 'Âge', type: 'number', required: false, scope: 'member' },
+  { id: 'charter', label: 'Charte acceptée', type: 'checkbox', required: true, scope: 'team' },
+  { id: 'project', label: 'Projet', type: 'text', required: false, scope: 'team' }
+];
+
+beforeAll(async () => {
+  // Schema after migration 028
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, custom_answers TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, custom_answers TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM settings`);
+  await env.DB.prepare(`INSERT INTO settings (key, value) VALUES ('custom_fields', ?)`).bind(JSON.stringify(FIELDS)).run();
+});
+
+function adminFetch(path, options = {}) {
+  return SELF.fetch(`http://localhost${path}`, {
+    ...options,
+    headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json', ...options.headers }
+  });
+}
+
+function register(body) {
+  return SELF.fetch('http://localhost/api/register', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+function createTeam(teamName, { teamAnswers, customAnswers }) {
+  return register({
+    createNewTeam: true,
+    teamName,
+    teamPassword: 'testpass123',
+    teamAnswers,
+    members: [{ firstName: 'Alice', lastName: 'Smith', email: 'alice@example.com', bacLevel: 1, isLeader: true, customAnswers }]
+  });
+}
+
+describe('Question definitions', () => {
+  it('should normalize valid questions', () => {
+    const result = validateFieldDefinitions([
+      { id: 'diet', label: ' Allergies ', type: 'select', options: ['Aucune', ' Gluten ', 'Aucune', ''] }
+    ]);
+
+    expect(result.valid).toBe(true);
+    expect(result.value).toEqual([
+      { id: 'diet', label: 'Allergies', type: 'select', required: false, scope: 'member', options: ['Aucune', 'Gluten'] }
+    ]);
+  });
+
+  it('should reject invalid questions', () => {
+    expect(validateFieldDefinitions({}).valid).toBe(false);
+    expect(validateFieldDefinitions([{ id: 'Bad Id', label: 'x', type: 'text' }]).valid).toBe(false);
+    expect(validateFieldDefinitions([{ id: 'a', label: 'x', type: 'date' }]).valid).toBe(false);
+    expect(validateFieldDefinitions([{ id: 'a', label: 'x', type: 'select', options: [] }]).valid).toBe(false);
+    expect(validateFieldDefinitions([{ id: 'a', label: 'x', type: 'text', scope: 'event' }]).valid).toBe(false);
+    expect(validateFieldDefinitions([{ id: 'a', label: 'x', type: 'text' }, { id: 'a', label: 'y', type: 'text' }]).valid).toBe(false);
+  });
+
+  it('should check answers of one scope', () => {
+    const result = checkAnswers(FIELDS, { tshirt: 'XL', age: '21', unknown: 'dropped' }, 'member');
+
+    expect(result.value).toEqual({ age: 21 });
+    expect(result.problems.map(p => [p.field.id, p.reason])).toEqual([['tshirt', 'invalid']]);
+    expect(formatAnswer(FIELDS[2], true)).toBe('Oui');
+  });
+});
+
+describe('Registration with custom questions', () => {
+  it('should list the questions in the config', async () => {
+    const response = await SELF.fetch('http://localhost/api/config');
+    const { config } = await response.json();
+
+    expect(config.customFields).toEqual(FIELDS);
+  });
+
+  it('should require answers to required questions', async () => {
+    const response = await createTeam('Team Missing', { customAnswers: {} });
+
+    expect(response.status).toBe(400);
+    const { error } = await response.json();
+    expect(error).toContain('Taille de t-shirt is required');
+    expect(error).toContain('Charte acceptée is required');
+  });
+
+  it('should store member and team answers', async () => {
+    const response = await createTeam('Team Answers', {
+      teamAnswers: { charter: true, project: 'Un jeu' },
+      customAnswers: { tshirt: 'M', age: 20 }
+    });
+
+    expect(response.status).toBe(200);
+    const member = await env.DB.prepare(`SELECT custom_answers FROM members WHERE first_name = 'Alice'`).first();
+    const team = await env.DB.prepare(`SELECT custom_answers FROM teams WHERE name = 'Team Answers'`).first();
+    expect(JSON.parse(member.custom_answers)).toEqual({ tshirt: 'M', age: 20 });
+    expect(JSON.parse(team.custom_answers)).toEqual({ charter: true, project: 'Un jeu' });
+  });
+
+  it('should not ask team questions when joining a team', async () => {
+    await createTeam('Team Join', { teamAnswers: { charter: true }, customAnswers: { tshirt: 'M' } });
+    const team = await env.DB.prepare(`SELECT id FROM teams WHERE name = 'Team Join'`).first();
+
+    const response = await register({
+      createNewTeam: false,
+      teamId: team.id,
+      teamPassword: 'testpass123',
+      members: [{ firstName: 'Bob', lastName: 'Jones', email: 'bob@example.com', bacLevel: 2, customAnswers: { tshirt: 'L' } }]
+    });
+
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('Admin custom questions', () => {
+  it('should validate questions saved in settings', async () => {
+    const invalid = await adminFetch('/api/admin/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ custom_fields: [{ id: 'a', label: 'Choix', type: 'select' }] })
+    });
+    const valid = await adminFetch('/api/admin/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ custom_fields: [{ id: 'a', label: 'Remarque', type: 'text' }] })
+    });
+
+    expect(invalid.status).toBe(400);
+    expect(valid.status).toBe(200);
+    const { settings } = await (await adminFetch('/api/admin/settings')).json();
+    expect(settings.custom_fields).toEqual([{ id: 'a', label: 'Remarque', type: 'text', required: false, scope: 'member' }]);
+  });
+
+  it('should return answers and questions with the admin stats', async () => {
+    await createTeam('Team Stats', { teamAnswers: { charter: true }, customAnswers: { tshirt: 'S' } });
+
+    const response = await adminFetch('/api/admin/stats');
+    const data = await response.json();
+
+    expect(data.customFields).toEqual(FIELDS);
+    expect(data.teams[0].custom_answers).toEqual({ charter: true });
+    expect(data.teams[0].members[0].custom_answers).toEqual({ tshirt: 'S' });
+  });
+
+  it('should add a column per question to the CSV export', async () => {
+    await createTeam('Team Export', { teamAnswers: { charter: true, project: 'Un jeu' }, customAnswers: { tshirt: 'L' } });
+
+    const response = await adminFetch('/api/admin/export');
+    const [header, row] = (await response.text()).trim().split(/\r?\n/);
+
+    expect(header).toContain('Taille de t-shirt;Âge;Charte acceptée;Projet');
+    expect(row).toMatch(/;L;;Oui;Un jeu$/);
+  });
+});
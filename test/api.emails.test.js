@@ -0,0 +1,183 @@
+/**
+ * Email Outbox API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { renderTemplate } from '../src/features/email/email.templates.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS email_outbox (id INTEGER PRIMARY KEY AUTOINCREMENT, template TEXT NOT NULL, recipient TEXT NOT NULL, subject TEXT NOT NULL, body_text TEXT NOT NULL, body_html TEXT DEFAULT NULL, status TEXT NOT NULL DEFAULT 'pending', attempts INTEGER NOT NULL DEFAULT 0, last_error TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), last_attempt_at TEXT DEFAULT NULL, sent_at TEXT DEFAULT NULL)`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM settings`);
+  await env.DB.exec(`DELETE FROM email_outbox`);
+  await env.DB.exec(`INSERT INTO teams (name, description, password_hash) VALUES ('Organisation', 'Équipe organisatrice', '')`);
+});
+
+function adminFetch(path, options = {}) {
+  return SELF.fetch(`http://localhost/api/admin${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${ADMIN_TOKEN}`, ...options.headers }
+  });
+}
+
+function register(teamName, email) {
+  return SELF.fetch('http://localhost/api/register', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      createNewTeam: true,
+      teamName,
+      teamPassword: 'testpass123',
+      members: [{ firstName: 'Alice', lastName: 'Martin', email, bacLevel: 2, isLeader: true, foodDiet: 'none' }]
+    })
+  });
+}
+
+async function insertFailedEmail(attempts = 1) {
+  const result = await env.DB.prepare(`
+    INSERT INTO email_outbox (template, recipient, subject, body_text, status, attempts, last_error)
+    VALUES ('registration_confirmation', 'bob@example.com', 'Sujet', 'Corps', 'failed', ?, 'MailChannels responded 500')
+  `).bind(attempts).run();
+  return result.meta.last_row_id;
+}
+
+describe('Registration emails', () => {
+  it('should store and deliver emails through the outbox', async () => {
+    const response = await register('Outbox Team', 'alice@example.com');
+    expect(response.status).toBe(200);
+
+    const { results } = await env.DB.prepare('SELECT * FROM email_outbox ORDER BY id').all();
+    expect(results).toHaveLength(3);
+    expect(results.map(r => r.template)).toEqual(['registration_admin', 'registration_confirmation', 'email_verification']);
+    expect(results[0].recipient).toBe(env.ADMIN_EMAIL);
+    expect(results[1].recipient).toBe('alice@example.com');
+    expect(results.every(r => r.status === 'sent' && r.attempts === 1)).toBe(true);
+    expect(results[1].body_text).toContain('Outbox Team');
+  });
+
+  it('should use a customized template', async () => {
+    await env.DB.prepare(`INSERT INTO settings (key, value) VALUES ('email_template_registration_confirmation', ?)`)
+      .bind(JSON.stringify({ subject: 'Bienvenue {{teamName}}', body: 'Merci {{teamName}} !' }))
+      .run();
+
+    await register('Custom Team', 'alice@example.com');
+
+    const row = await env.DB.prepare(`SELECT * FROM email_outbox WHERE template = 'registration_confirmation'`).first();
+    expect(row.subject).toBe('Bienvenue Custom Team');
+    expect(row.body_text).toBe('Merci Custom Team !');
+  });
+});
+
+describe('Email templates', () => {
+  it('should escape placeholder values in HTML', async () => {
+    const rendered = await renderTemplate(env.DB, 'registration_confirmation', { teamName: '<script>' });
+
+    expect(rendered.text).toContain('<script>');
+    expect(rendered.html).toContain('&lt;script&gt;');
+    expect(rendered.html).not.toContain('<script>');
+  });
+
+  it('should list templates with their placeholders', async () => {
+    const response = await adminFetch('/emails/templates', { method: 'GET' });
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    const confirmation = data.templates.find(t => t.name === 'registration_confirmation');
+    expect(confirmation.placeholders).toContain('teamName');
+    expect(confirmation.customized).toBe(false);
+  });
+
+  it('should save and reset a template through settings', async () => {
+    const name = 'email_template_registration_admin';
+    let response = await adminFetch('/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ [name]: { subject: 'Nouvelle équipe {{teamName}}', body: '{{memberList}}' } })
+    });
+    expect(response.status).toBe(200);
+
+    let data = await (await adminFetch('/emails/templates', { method: 'GET' })).json();
+    expect(data.templates.find(t => t.name === 'registration_admin').customized).toBe(true);
+
+    response = await adminFetch('/settings', { method: 'PUT', body: JSON.stringify({ [name]: null }) });
+    expect(response.status).toBe(200);
+
+    data = await (await adminFetch('/emails/templates', { method: 'GET' })).json();
+    expect(data.templates.find(t => t.name === 'registration_admin').customized).toBe(false);
+  });
+
+  it('should reject invalid templates', async () => {
+    const response = await adminFetch('/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ email_template_registration_admin: { subject: '', body: 'Corps' } })
+    });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('GET /api/admin/emails', () => {
+  it('should require authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/emails');
+    expect(response.status).toBe(401);
+  });
+
+  it('should list messages with status counts', async () => {
+    await insertFailedEmail();
+    await register('Listed Team', 'alice@example.com');
+
+    const response = await adminFetch('/emails?status=failed', { method: 'GET' });
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    expect(data.total).toBe(1);
+    expect(data.messages[0].last_error).toContain('500');
+    expect(data.counts).toEqual({ pending: 0, sent: 3, failed: 1 });
+  });
+
+  it('should reject unknown statuses', async () => {
+    const response = await adminFetch('/emails?status=lost', { method: 'GET' });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Resending emails', () => {
+  it('should resend a failed message', async () => {
+    const id = await insertFailedEmail();
+
+    const response = await adminFetch(`/emails/${id}/resend`, { method: 'POST' });
+    expect(response.status).toBe(200);
+
+    const row = await env.DB.prepare('SELECT * FROM email_outbox WHERE id = ?').bind(id).first();
+    expect(row.status).toBe('sent');
+    expect(row.attempts).toBe(2);
+    expect(row.last_error).toBeNull();
+  });
+
+  it('should return 404 for unknown messages', async () => {
+    const response = await adminFetch('/emails/9999/resend', { method: 'POST' });
+    expect(response.status).toBe(404);
+  });
+
+  it('should retry failed messages with attempts left', async () => {
+    const retryable = await insertFailedEmail(1);
+    const exhausted = await insertFailedEmail(5);
+
+    const response = await adminFetch('/emails/retry', { method: 'POST' });
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ retried: 1, sent: 1 });
+
+    const statuses = await env.DB.prepare('SELECT id, status FROM email_outbox').all();
+    const byId = Object.fromEntries(statuses.results.map(r => [r.id, r.status]));
+    expect(byId[retryable]).toBe('sent');
+    expect(byId[exhausted]).toBe('failed');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Events API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  // Schema after migration 022
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS events (id INTEGER PRIMARY KEY AUTOINCREMENT, slug TEXT NOT NULL UNIQUE, name TEXT NOT NULL, event_year INTEGER NOT NULL, is_default INTEGER DEFAULT 0, status TEXT DEFAULT 'active', archived_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER NOT NULL, name TEXT NOT NULL, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), UNIQUE(event_id, name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER NOT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, payment_amount INTEGER DEFAULT NULL, refunded_amount INTEGER DEFAULT 0, FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(event_id, first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS payment_events (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, member_id INTEGER NOT NULL, checkout_id TEXT, event_type TEXT NOT NULL, amount INTEGER NOT NULL, tier TEXT NOT NULL, metadata TEXT, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS archives (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, event_year INTEGER NOT NULL, archived_at TEXT NOT NULL DEFAULT (datetime('now')), expiration_date TEXT NOT NULL, is_expired INTEGER DEFAULT 0, teams_json TEXT NOT NULL, members_json TEXT NOT NULL, payment_events_json TEXT, stats_json TEXT NOT NULL, total_teams INTEGER NOT NULL, total_participants INTEGER NOT NULL, total_revenue INTEGER DEFAULT 0, data_hash TEXT NOT NULL)`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM archives`);
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM settings`);
+  await env.DB.exec(`DELETE FROM events`);
+
+  await env.DB.exec(`INSERT INTO events (id, slug, name, event_year, is_default) VALUES (1, 'ndi-2025', 'Nuit de l''Info 2025', 2025, 1)`);
+  await env.DB.exec(`INSERT INTO events (id, slug, name, event_year) VALUES (2, 'ndi-2026', 'Nuit de l''Info 2026', 2026)`);
+  await env.DB.exec(`INSERT INTO teams (id, event_id, name) VALUES (1, 1, 'Team Alpha')`);
+  await env.DB.exec(`INSERT INTO teams (id, event_id, name) VALUES (2, 2, 'Team Beta')`);
+  await env.DB.exec(`INSERT INTO members (id, event_id, team_id, first_name, last_name, email) VALUES (1, 1, 1, 'Alice', 'Smith', 'alice@example.com')`);
+  await env.DB.exec(`INSERT INTO members (id, event_id, team_id, first_name, last_name, email) VALUES (2, 2, 2, 'Bob', 'Jones', 'bob@example.com')`);
+  await env.DB.exec(`INSERT INTO members (id, event_id, team_id, first_name, last_name, email) VALUES (3, 2, 2, 'Carol', 'White', 'carol@example.com')`);
+});
+
+function adminFetch(path, options = {}) {
+  return SELF.fetch(`http://localhost${path}`, {
+    ...options,
+    headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json', ...options.headers }
+  });
+}
+
+describe('Event selection', () => {
+  it('should serve the default event without X-Event', async () => {
+    const response = await SELF.fetch('http://localhost/api/teams');
+    const data = await response.json();
+
+    expect(data.teams.map(t => t.name)).toEqual(['Team Alpha']);
+  });
+
+  it('should serve the event named by X-Event or ?event=', async () => {
+    const byHeader = await SELF.fetch('http://localhost/api/teams', { headers: { 'X-Event': 'ndi-2026' } });
+    const byQuery = await SELF.fetch('http://localhost/api/stats?event=ndi-2026');
+
+    expect((await byHeader.json()).teams.map(t => t.name)).toEqual(['Team Beta']);
+    expect((await byQuery.json()).stats.total_participants).toBe(2);
+  });
+
+  it('should return 404 for an unknown event', async () => {
+    const response = await SELF.fetch('http://localhost/api/config', { headers: { 'X-Event': 'ndi-1999' } });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should expose the event in the config', async () => {
+    const response = await SELF.fetch('http://localhost/api/config', { headers: { 'X-Event': 'ndi-2026' } });
+    const { config } = await response.json();
+
+    expect(config.event).toEqual({ slug: 'ndi-2026', name: "Nuit de l'Info 2026", year: 2026, status: 'active' });
+  });
+
+  it('should allow the same team name in two events', async () => {
+    const response = await SELF.fetch('http://localhost/api/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Event': 'ndi-2026' },
+      body: JSON.stringify({
+        createNewTeam: true,
+        teamName: 'Team Alpha',
+        teamPassword: 'testpass123',
+        members: [{ firstName: 'Alice', lastName: 'Smith', email: 'alice@example.com', bacLevel: 1, isLeader: true, foodDiet: 'margherita' }]
+      })
+    });
+
+    expect(response.status).toBe(200);
+    const team = await env.DB.prepare(`SELECT event_id FROM teams WHERE name = 'Team Alpha' ORDER BY id DESC`).first();
+    expect(team.event_id).toBe(2);
+  });
+});
+
+describe('Event settings', () => {
+  it('should override defaults for one event only', async () => {
+    await env.DB.exec(`INSERT INTO settings (key, value) VALUES ('max_team_size', '4')`);
+
+    const response = await adminFetch('/api/admin/settings', {
+      method: 'PUT',
+      headers: { 'X-Event': 'ndi-2026' },
+      body: JSON.stringify({ max_team_size: 6 })
+    });
+    expect(response.status).toBe(200);
+
+    const other = await SELF.fetch('http://localhost/api/config');
+    const current = await SELF.fetch('http://localhost/api/config', { headers: { 'X-Event': 'ndi-2026' } });
+
+    expect((await other.json()).config.maxTeamSize).toBe(4);
+    expect((await current.json()).config.maxTeamSize).toBe(6);
+  });
+});
+
+describe('Admin events', () => {
+  it('should list events with their counts', async () => {
+    const response = await adminFetch('/api/admin/events');
+    const { events } = await response.json();
+
+    expect(events.map(e => [e.slug, e.memberCount, e.isDefault])).toEqual([
+      ['ndi-2026', 2, false],
+      ['ndi-2025', 1, true]
+    ]);
+  });
+
+  it('should create an event and reject duplicate or invalid slugs', async () => {
+    const created = await adminFetch('/api/admin/events', {
+      method: 'POST',
+      body: JSON.stringify({ slug: 'ndi-2027', name: "Nuit de l'Info 2027", year: 2027 })
+    });
+    const duplicate = await adminFetch('/api/admin/events', {
+      method: 'POST',
+      body: JSON.stringify({ slug: 'ndi-2027', name: 'Again', year: 2027 })
+    });
+    const invalid = await adminFetch('/api/admin/events', {
+      method: 'POST',
+      body: JSON.stringify({ slug: '2027', name: 'Digits', year: 2027 })
+    });
+
+    expect(created.status).toBe(201);
+    expect((await created.json()).event.slug).toBe('ndi-2027');
+    expect(duplicate.status).toBe(409);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should move the default flag', async () => {
+    const response = await adminFetch('/api/admin/events/2', {
+      method: 'PUT',
+      body: JSON.stringify({ isDefault: true })
+    });
+    expect(response.status).toBe(200);
+
+    const teams = await SELF.fetch('http://localhost/api/teams');
+    expect((await teams.json()).teams.map(t => t.name)).toEqual(['Team Beta']);
+  });
+
+  it('should archive one event and keep the others', async () => {
+    const response = await adminFetch('/api/admin/events/2/archive', {
+      method: 'POST',
+      body: JSON.stringify({ confirmation: 'ARCHIVER' })
+    });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.archiveCreated).toBe(true);
+    expect(data.deleted.members).toBe(2);
+
+    const archive = await env.DB.prepare('SELECT total_participants FROM archives WHERE event_year = 2026').first();
+    const remaining = await env.DB.prepare('SELECT COUNT(*) as count FROM members').first();
+    const event = await env.DB.prepare('SELECT status FROM events WHERE id = 2').first();
+    expect(archive.total_participants).toBe(2);
+    expect(remaining.count).toBe(1);
+    expect(event.status).toBe('archived');
+  });
+
+  it('should archive two events of the same year', async () => {
+    await env.DB.exec(`INSERT INTO events (id, slug, name, event_year) VALUES (3, 'ndi-2026-lyon', 'Nuit de l''Info 2026 Lyon', 2026)`);
+    await env.DB.exec(`INSERT INTO teams (id, event_id, name) VALUES (3, 3, 'Team Gamma')`);
+    await env.DB.exec(`INSERT INTO members (id, event_id, team_id, first_name, last_name, email) VALUES (4, 3, 3, 'Dan', 'Brown', 'dan@example.com')`);
+
+    for (const id of [2, 3]) {
+      const response = await adminFetch(`/api/admin/events/${id}/archive`, {
+        method: 'POST',
+        body: JSON.stringify({ confirmation: 'ARCHIVER' })
+      });
+      expect(response.status).toBe(200);
+      expect((await response.json()).archiveCreated).toBe(true);
+    }
+
+    const { results } = await env.DB.prepare('SELECT event_id, total_participants FROM archives WHERE event_year = 2026 ORDER BY event_id').all();
+    expect(results).toEqual([{ event_id: 2, total_participants: 2 }, { event_id: 3, total_participants: 1 }]);
+
+    const verify = await adminFetch('/api/admin/archives/2026/verify?event_id=3');
+    expect(verify.status).toBe(200);
+    expect((await verify.json()).event_id).toBe(3);
+  });
+
+  it('should close registrations of an archived event', async () => {
+    await env.DB.exec(`UPDATE events SET status = 'archived' WHERE id = 2`);
+
+    const response = await SELF.fetch('http://localhost/api/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Event': 'ndi-2026' },
+      body: JSON.stringify({
+        createNewTeam: true,
+        teamName: 'Team Late',
+        teamPassword: 'testpass123',
+        members: [{ firstName: 'Dan', lastName: 'Late', email: 'dan@example.com', bacLevel: 1, isLeader: true }]
+      })
+    });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should require the confirmation to archive', async () => {
+    const response = await adminFetch('/api/admin/events/1/archive', { method: 'POST', body: '{}' });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * GDPR Data Subject Request Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { generateDataHash } from '../src/database/db.archives.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, custom_answers TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS payment_events (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, member_id INTEGER NOT NULL, checkout_id TEXT, event_type TEXT NOT NULL, amount INTEGER NOT NULL, tier TEXT NOT NULL, metadata TEXT, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS archives (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, event_year INTEGER NOT NULL, archived_at TEXT NOT NULL DEFAULT (datetime('now')), expiration_date TEXT NOT NULL, is_expired INTEGER DEFAULT 0, teams_json TEXT NOT NULL, members_json TEXT NOT NULL, payment_events_json TEXT, stats_json TEXT NOT NULL, total_teams INTEGER NOT NULL, total_participants INTEGER NOT NULL, total_revenue INTEGER DEFAULT 0, data_hash TEXT NOT NULL)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS email_outbox (id INTEGER PRIMARY KEY AUTOINCREMENT, template TEXT NOT NULL, recipient TEXT NOT NULL, subject TEXT NOT NULL, body_text TEXT NOT NULL, body_html TEXT DEFAULT NULL, status TEXT NOT NULL DEFAULT 'pending', attempts INTEGER NOT NULL DEFAULT 0, last_error TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), last_attempt_at TEXT DEFAULT NULL, sent_at TEXT DEFAULT NULL)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS team_changes (id INTEGER PRIMARY KEY AUTOINCREMENT, team_id INTEGER NOT NULL, team_name TEXT NOT NULL, member_id INTEGER DEFAULT NULL, action TEXT NOT NULL, details TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS admin_audit (id INTEGER PRIMARY KEY AUTOINCREMENT, actor_id INTEGER DEFAULT NULL, actor_username TEXT NOT NULL, actor_role TEXT NOT NULL, action TEXT NOT NULL, target_type TEXT DEFAULT NULL, target_id TEXT DEFAULT NULL, target_label TEXT DEFAULT NULL, before_json TEXT DEFAULT NULL, after_json TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS waitlist (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, create_new_team INTEGER DEFAULT 0, team_id INTEGER DEFAULT NULL, team_name TEXT NOT NULL, team_description TEXT DEFAULT '', password_hash TEXT DEFAULT '', members_json TEXT NOT NULL, member_count INTEGER NOT NULL, email TEXT NOT NULL, status TEXT DEFAULT 'waiting', status_reason TEXT DEFAULT NULL, promoted_team_id INTEGER DEFAULT NULL, processed_at TEXT DEFAULT NULL, custom_answers TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS gdpr_requests (id INTEGER PRIMARY KEY AUTOINCREMENT, request_type TEXT NOT NULL, email_hash TEXT NOT NULL, summary_json TEXT NOT NULL, handled_by TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+});
+
+const ARCHIVED_TEAMS = [{ id: 1, name: 'Old Team', member_count: 2 }];
+const ARCHIVED_MEMBERS = [
+  { id: 10, team_id: 1, first_name: 'Alice', last_name: 'Martin', email: 'Alice@Example.com', checkout_id: 'old-checkout', transaction_id: 'old-txn' },
+  { id: 11, team_id: 1, first_name: 'Bob', last_name: 'Durand', email: 'bob@example.com', checkout_id: null, transaction_id: null }
+];
+const ARCHIVED_EVENTS = [
+  { id: 1, member_id: 10, checkout_id: 'old-checkout', event_type: 'payment_completed', amount: 500, tier: 'tier1', metadata: '{"transaction_id":"old-txn"}' },
+  { id: 2, member_id: 11, checkout_id: 'bob-checkout', event_type: 'payment_completed', amount: 500, tier: 'tier1', metadata: null }
+];
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM payment_events`);
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM archives`);
+  await env.DB.exec(`DELETE FROM email_outbox`);
+  await env.DB.exec(`DELETE FROM gdpr_requests`);
+  await env.DB.exec(`DELETE FROM team_changes`);
+  await env.DB.exec(`DELETE FROM admin_audit`);
+  await env.DB.exec(`DELETE FROM waitlist`);
+
+  await env.DB.exec(`INSERT INTO teams (id, name) VALUES (1, 'Current Team')`);
+  await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email, payment_status, checkout_id, transaction_id, custom_answers) VALUES (1, 1, 'Alice', 'Martin', 'alice@example.com', 'paid', 'checkout-1', 'txn-1', '{"allergies":"Arachides"}')`);
+  await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email) VALUES (2, 1, 'Bob', 'Durand', 'bob@example.com')`);
+  await env.DB.exec(`INSERT INTO payment_events (member_id, checkout_id, event_type, amount, tier, metadata) VALUES (1, 'checkout-1', 'payment_completed', 500, 'tier1', '{"transaction_id":"txn-1"}')`);
+  await env.DB.exec(`INSERT INTO email_outbox (template, recipient, subject, body_text, status) VALUES ('registration_confirmation', 'alice@example.com', 'Inscription', 'Bonjour Alice', 'sent')`);
+  await env.DB.exec(`INSERT INTO email_outbox (template, recipient, subject, body_text, status) VALUES ('registration_confirmation', 'bob@example.com', 'Inscription', 'Bonjour Bob', 'sent')`);
+
+  // Alice changed her email once; the entry is still hers through member_id
+  await env.DB.prepare(`INSERT INTO team_changes (team_id, team_name, member_id, action, details) VALUES (1, 'Current Team', 1, 'member_updated', ?)`)
+    .bind(JSON.stringify({ before: { firstName: 'Alice', lastName: 'Martin', email: 'alice@old.example.com' }, after: { firstName: 'Alice', lastName: 'Martin', email: 'alice@example.com' } })).run();
+  await env.DB.prepare(`INSERT INTO admin_audit (actor_username, actor_role, action, target_type, target_id, target_label, before_json) VALUES ('admin', 'superadmin', 'team.delete', 'team', '5', 'Deleted Team', ?)`)
+    .bind(JSON.stringify({ name: 'Deleted Team', members: [{ id: 7, first_name: 'Alice', last_name: 'Martin', email: 'ALICE@example.com' }, { id: 8, first_name: 'Bob', last_name: 'Durand', email: 'bob@example.com' }] })).run();
+  await env.DB.prepare(`INSERT INTO waitlist (team_name, members_json, member_count, email, custom_answers) VALUES ('Waiting Team', ?, 1, 'alice@example.com', '{"project":"Un jeu"}')`)
+    .bind(JSON.stringify([{ firstName: 'Alice', lastName: 'Martin', email: 'alice@example.com', customAnswers: { allergies: 'Arachides' } }])).run();
+
+  await env.DB.prepare(`
+    INSERT INTO archives (event_year, expiration_date, teams_json, members_json, payment_events_json, stats_json, total_teams, total_participants, data_hash)
+    VALUES (2023, '2099-12-01T00:00:00.000Z', ?, ?, ?, '{}', 1, 2, ?)
+  `).bind(
+    JSON.stringify(ARCHIVED_TEAMS),
+    JSON.stringify(ARCHIVED_MEMBERS),
+    JSON.stringify(ARCHIVED_EVENTS),
+    generateDataHash({ teams: ARCHIVED_TEAMS, members: ARCHIVED_MEMBERS, paymentEvents: ARCHIVED_EVENTS })
+  ).run();
+});
+
+function adminFetch(path, options = {}) {
+  return SELF.fetch(`http://localhost/api/admin${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${ADMIN_TOKEN}`, ...options.headers }
+  });
+}
+
+function gdprRequest(action, email) {
+  return adminFetch(`/gdpr/${action}`, { method: 'POST', body: JSON.stringify({ email }) });
+}
+
+describe('POST /api/admin/gdpr/access', () => {
+  it('should require authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/gdpr/access', { method: 'POST' });
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject invalid emails', async () => {
+    const response = await gdprRequest('access', 'not-an-email');
+    expect(response.status).toBe(400);
+  });
+
+  it('should collect every trace of a person', async () => {
+    const response = await gdprRequest('access', ' ALICE@example.com ');
+    expect(response.status).toBe(200);
+    const { filename, export: data } = await response.json();
+
+    expect(filename).toMatch(/\.json$/);
+    expect(data.members.map(m => m.id)).toEqual([1]);
+    expect(data.members[0].team_name).toBe('Current Team');
+    expect(data.payment_events).toHaveLength(1);
+    expect(data.emails.map(e => e.body_text)).toEqual(['Bonjour Alice']);
+    expect(data.archives).toHaveLength(1);
+    expect(data.archives[0].event_year).toBe(2023);
+    expect(data.archives[0].participants.map(m => m.id)).toEqual([10]);
+    expect(data.archives[0].payment_events.map(e => e.id)).toEqual([1]);
+    expect(data.team_changes).toHaveLength(1);
+    expect(data.audit_entries.map(e => e.action)).toEqual(['team.delete']);
+    expect(data.waitlist).toHaveLength(1);
+    expect(data.waitlist[0].password_hash).toBeUndefined();
+  });
+
+  it('should log the request without the email', async () => {
+    await gdprRequest('access', 'alice@example.com');
+
+    const entry = await env.DB.prepare('SELECT * FROM gdpr_requests').first();
+    expect(entry.request_type).toBe('access');
+    expect(entry.email_hash).toMatch(/^[a-f0-9]{64}$/);
+    expect(entry.summary_json).not.toContain('alice');
+  });
+});
+
+describe('POST /api/admin/gdpr/erase', () => {
+  it('should require authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/gdpr/erase', { method: 'POST' });
+    expect(response.status).toBe(401);
+  });
+
+  it('should anonymize the person everywhere', async () => {
+    const response = await gdprRequest('erase', 'alice@example.com');
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data).toMatchObject({ members: 1, payment_events: 1, emails: 1, team_changes: 1, audit_entries: 1, waitlist: 1, archives: [2023] });
+
+    const member = await env.DB.prepare('SELECT * FROM members WHERE id = 1').first();
+    expect(member.first_name).toBe('Participant');
+    expect(member.email).toBe('');
+    expect(member.transaction_id).toBeNull();
+    expect(member.custom_answers).toBeNull();
+    expect(member.deleted_at).not.toBeNull();
+
+    const event = await env.DB.prepare('SELECT * FROM payment_events WHERE member_id = 1').first();
+    expect(event.checkout_id).toBeNull();
+    expect(event.metadata).toBeNull();
+
+    const { results: emails } = await env.DB.prepare('SELECT recipient FROM email_outbox').all();
+    expect(emails.map(e => e.recipient)).toEqual(['bob@example.com']);
+  });
+
+  it('should leave other people untouched', async () => {
+    await gdprRequest('erase', 'alice@example.com');
+
+    const bob = await env.DB.prepare('SELECT * FROM members WHERE id = 2').first();
+    expect(bob.email).toBe('bob@example.com');
+    expect(bob.deleted_at).toBeNull();
+
+    const archive = await env.DB.prepare('SELECT members_json, payment_events_json FROM archives WHERE event_year = 2023').first();
+    const members = JSON.parse(archive.members_json);
+    expect(members.find(m => m.id === 11).email).toBe('bob@example.com');
+    expect(JSON.parse(archive.payment_events_json).find(e => e.id === 2).checkout_id).toBe('bob-checkout');
+  });
+
+  it('should anonymize the person in logs and the waitlist', async () => {
+    await gdprRequest('erase', 'alice@example.com');
+
+    const change = await env.DB.prepare('SELECT details FROM team_changes').first();
+    expect(change.details).not.toContain('alice');
+    expect(JSON.parse(change.details).before).toEqual({ firstName: 'Participant', lastName: '', email: null });
+
+    const audit = await env.DB.prepare(`SELECT before_json FROM admin_audit WHERE action = 'team.delete'`).first();
+    const { members } = JSON.parse(audit.before_json);
+    expect(members[0]).toMatchObject({ id: 7, first_name: 'Participant', email: null });
+    expect(members[1].email).toBe('bob@example.com');
+
+    const entry = await env.DB.prepare('SELECT * FROM waitlist').first();
+    expect(entry.members_json).toBe('[]');
+    expect(entry.custom_answers).toBeNull();
+    expect(entry.status).toBe('cancelled');
+  });
+
+    it('should anonymize archives and recompute their hash', async () => {
+    await gdprRequest('erase', 'alice@example.com');
+
+    const archive = await env.DB.prepare('SELECT * FROM archives WHERE event_year = 2023').first();
+    const members = JSON.parse(archive.members_json);
+    const paymentEvents = JSON.parse(archive.payment_events_json);
+    const alice = members.find(m => m.id === 10);
+
+    expect(alice.first_name).toBe('Participant');
+    expect(alice.email).toBeNull();
+    expect(alice.transaction_id).toBeNull();
+    expect(paymentEvents.find(e => e.id === 1).metadata).toBeNull();
+    expect(archive.data_hash).toBe(generateDataHash({ teams: JSON.parse(archive.teams_json), members, paymentEvents }));
+  });
+
+  it('should log the erasure', async () => {
+    await gdprRequest('erase', 'alice@example.com');
+
+    const response = await adminFetch('/gdpr/requests');
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.available).toBe(true);
+    expect(data.requests[0].request_type).toBe('erasure');
+    expect(data.requests[0].summary.archives).toEqual([2023]);
+  });
+
+  it('should find nothing left after an erasure', async () => {
+    await gdprRequest('erase', 'alice@example.com');
+
+    const response = await gdprRequest('access', 'alice@example.com');
+    const { export: data } = await response.json();
+    expect(data.members).toHaveLength(0);
+    expect(data.emails).toHaveLength(0);
+    expect(data.archives).toHaveLength(0);
+  });
+});
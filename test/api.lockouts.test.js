@@ -0,0 +1,174 @@
+/**
+ * Brute-force Protection Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { hashToken } from '../src/shared/crypto.js';
+import { lockoutSeconds, LOCKOUT_THRESHOLD, LOCKOUT_BASE_SECONDS, LOCKOUT_MAX_SECONDS } from '../src/shared/lockouts.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  // Schema after migration 027
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS auth_failures (id INTEGER PRIMARY KEY AUTOINCREMENT, scope TEXT NOT NULL, target TEXT NOT NULL, ip TEXT NOT NULL DEFAULT '', failures INTEGER NOT NULL DEFAULT 0, locked_until TEXT DEFAULT NULL, first_failure_at TEXT DEFAULT (datetime('now')), last_failure_at TEXT DEFAULT (datetime('now')), UNIQUE(scope, target, ip))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS admin_users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL UNIQUE, display_name TEXT DEFAULT '', password_hash TEXT NOT NULL, role TEXT NOT NULL, is_active INTEGER DEFAULT 1, last_login_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS admin_sessions (token_hash TEXT PRIMARY KEY, admin_id INTEGER NOT NULL, expires_at TEXT NOT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM auth_failures`);
+
+  await env.DB.exec(`INSERT INTO teams (id, name, password_hash) VALUES (1, 'Team Alpha', 'secret')`);
+  await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email, is_leader) VALUES (1, 'Alice', 'Smith', 'alice@example.com', 1)`);
+});
+
+function viewTeam(password, ip = '203.0.113.1') {
+  return SELF.fetch('http://localhost/api/teams/1/view', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip },
+    body: JSON.stringify({ password })
+  });
+}
+
+function adminFetch(path, { token = ADMIN_TOKEN, ip = '198.51.100.1', ...options } = {}) {
+  return SELF.fetch(`http://localhost${path}`, {
+    ...options,
+    headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json', 'CF-Connecting-IP': ip }
+  });
+}
+
+async function failTeamPassword(times, ip) {
+  for (let i = 0; i < times; i++) {
+    expect((await viewTeam('wrong', ip)).status).toBe(403);
+  }
+}
+
+describe('lockoutSeconds', () => {
+  it('should double the lockout with each failure past the threshold', () => {
+    expect(lockoutSeconds(LOCKOUT_THRESHOLD - 1)).toBe(0);
+    expect(lockoutSeconds(LOCKOUT_THRESHOLD)).toBe(LOCKOUT_BASE_SECONDS);
+    expect(lockoutSeconds(LOCKOUT_THRESHOLD + 2)).toBe(LOCKOUT_BASE_SECONDS * 4);
+    expect(lockoutSeconds(LOCKOUT_THRESHOLD + 50)).toBe(LOCKOUT_MAX_SECONDS);
+  });
+});
+
+describe('Team password lockout', () => {
+  it('should refuse even the right password once locked out', async () => {
+    await failTeamPassword(LOCKOUT_THRESHOLD, '203.0.113.1');
+
+    const response = await viewTeam('secret', '203.0.113.1');
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+  });
+
+  it('should only lock out the failing IP', async () => {
+    await failTeamPassword(LOCKOUT_THRESHOLD, '203.0.113.1');
+
+    const response = await viewTeam('secret', '203.0.113.2');
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should start over after a success', async () => {
+    await failTeamPassword(LOCKOUT_THRESHOLD - 1, '203.0.113.1');
+    expect((await viewTeam('secret', '203.0.113.1')).status).toBe(200);
+
+    await failTeamPassword(LOCKOUT_THRESHOLD - 1, '203.0.113.1');
+
+    expect((await viewTeam('secret', '203.0.113.1')).status).toBe(200);
+  });
+
+  it('should lock out the join path of registration too', async () => {
+    await failTeamPassword(LOCKOUT_THRESHOLD, '203.0.113.1');
+
+    const response = await SELF.fetch('http://localhost/api/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.1' },
+      body: JSON.stringify({
+        teamId: 1,
+        teamPassword: 'secret',
+        members: [{ firstName: 'Bob', lastName: 'Jones', email: 'bob@example.com', bacLevel: 1, foodDiet: 'none' }]
+      })
+    });
+
+    expect(response.status).toBe(429);
+  });
+});
+
+describe('Admin token lockout', () => {
+  it('should lock out the admin API after wrong tokens', async () => {
+    for (let i = 0; i < LOCKOUT_THRESHOLD; i++) {
+      expect((await adminFetch('/api/admin/stats', { token: `wrong-${i}` })).status).toBe(401);
+    }
+
+    const response = await adminFetch('/api/admin/stats', { token: 'wrong-again' });
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBeTruthy();
+  });
+
+  it('should still accept the admin token while locked out', async () => {
+    for (let i = 0; i < LOCKOUT_THRESHOLD; i++) {
+      await adminFetch('/api/admin/stats', { token: `wrong-${i}` });
+    }
+
+    expect((await adminFetch('/api/admin/stats')).status).toBe(200);
+    expect((await adminFetch('/api/admin/stats', { token: 'wrong-again' })).status).toBe(401);
+  });
+
+  it('should not count expired session tokens', async () => {
+    await env.DB.exec(`INSERT OR IGNORE INTO admin_users (id, username, password_hash, role) VALUES (1, 'alice', 'x', 'checkin')`);
+    await env.DB.prepare(`INSERT OR REPLACE INTO admin_sessions (token_hash, admin_id, expires_at) VALUES (?, 1, '2000-01-01T00:00:00.000Z')`)
+      .bind(await hashToken('expired-session')).run();
+
+    for (let i = 0; i < LOCKOUT_THRESHOLD; i++) {
+      expect((await adminFetch('/api/admin/stats', { token: 'expired-session' })).status).toBe(401);
+    }
+
+    expect((await adminFetch('/api/admin/stats', { token: 'wrong' })).status).toBe(401);
+  });
+
+  it('should not count requests without a token', async () => {
+    for (let i = 0; i < LOCKOUT_THRESHOLD; i++) {
+      await SELF.fetch('http://localhost/api/admin/stats', { headers: { 'CF-Connecting-IP': '198.51.100.1' } });
+    }
+
+    expect((await adminFetch('/api/admin/stats')).status).toBe(200);
+  });
+});
+
+describe('Lockouts admin view', () => {
+  it('should list current lockouts and unlock them', async () => {
+    await failTeamPassword(LOCKOUT_THRESHOLD, '203.0.113.1');
+
+    const list = await adminFetch('/api/admin/lockouts');
+    const { lockouts } = await list.json();
+    expect(lockouts).toHaveLength(1);
+    expect(lockouts[0]).toMatchObject({ scope: 'team', target: '1', teamName: 'Team Alpha', ip: '203.0.113.1', failures: LOCKOUT_THRESHOLD });
+
+    const unlock = await adminFetch(`/api/admin/lockouts/${lockouts[0].id}`, { method: 'DELETE' });
+    expect(unlock.status).toBe(200);
+    expect((await viewTeam('secret', '203.0.113.1')).status).toBe(200);
+  });
+
+  it('should not list clients below the threshold', async () => {
+    await failTeamPassword(LOCKOUT_THRESHOLD - 1, '203.0.113.1');
+
+    const { lockouts } = await (await adminFetch('/api/admin/lockouts')).json();
+
+    expect(lockouts).toEqual([]);
+  });
+
+  it('should return 404 for an unknown lockout', async () => {
+    const response = await adminFetch('/api/admin/lockouts/999', { method: 'DELETE' });
+
+    expect(response.status).toBe(404);
+  });
+});
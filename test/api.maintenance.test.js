@@ -0,0 +1,188 @@
+/**
+ * Scheduled Maintenance Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { runMaintenance, STALE_CHECKOUT_HOURS, UNVERIFIED_RETENTION_SETTING } from '../src/features/maintenance/maintenance.jobs.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, email_verified_at TEXT DEFAULT NULL, verification_sent_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS payment_events (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, member_id INTEGER NOT NULL, checkout_id TEXT, event_type TEXT NOT NULL, amount INTEGER NOT NULL, tier TEXT NOT NULL, metadata TEXT, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS archives (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, event_year INTEGER NOT NULL, archived_at TEXT NOT NULL DEFAULT (datetime('now')), expiration_date TEXT NOT NULL, is_expired INTEGER DEFAULT 0, teams_json TEXT NOT NULL, members_json TEXT NOT NULL, payment_events_json TEXT, stats_json TEXT NOT NULL, total_teams INTEGER NOT NULL, total_participants INTEGER NOT NULL, total_revenue INTEGER DEFAULT 0, data_hash TEXT NOT NULL)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS email_outbox (id INTEGER PRIMARY KEY AUTOINCREMENT, template TEXT NOT NULL, recipient TEXT NOT NULL, subject TEXT NOT NULL, body_text TEXT NOT NULL, body_html TEXT DEFAULT NULL, status TEXT NOT NULL DEFAULT 'pending', attempts INTEGER NOT NULL DEFAULT 0, last_error TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), last_attempt_at TEXT DEFAULT NULL, sent_at TEXT DEFAULT NULL)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS admin_audit (id INTEGER PRIMARY KEY AUTOINCREMENT, actor_id INTEGER DEFAULT NULL, actor_username TEXT NOT NULL, actor_role TEXT NOT NULL, action TEXT NOT NULL, target_type TEXT DEFAULT NULL, target_id TEXT DEFAULT NULL, target_label TEXT DEFAULT NULL, before_json TEXT DEFAULT NULL, after_json TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS job_runs (id INTEGER PRIMARY KEY AUTOINCREMENT, job TEXT NOT NULL, triggered_by TEXT NOT NULL, status TEXT NOT NULL DEFAULT 'running', results_json TEXT DEFAULT NULL, error TEXT DEFAULT NULL, started_at TEXT DEFAULT (datetime('now')), finished_at TEXT DEFAULT NULL)`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM payment_events`);
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM archives`);
+  await env.DB.exec(`DELETE FROM email_outbox`);
+  await env.DB.exec(`DELETE FROM job_runs`);
+  await env.DB.exec(`DELETE FROM settings`);
+  await env.DB.exec(`DELETE FROM admin_audit`);
+  await env.DB.exec(`INSERT INTO teams (id, name) VALUES (1, 'Maintenance Team')`);
+});
+
+function adminFetch(path, options = {}) {
+  return SELF.fetch(`http://localhost/api/admin${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${ADMIN_TOKEN}`, ...options.headers }
+  });
+}
+
+async function insertArchive(year, expirationDate) {
+  const members = [{ id: 1, first_name: 'Alice', last_name: 'Martin', email: 'alice@example.com', bac_level: 3 }];
+  await env.DB.prepare(`
+    INSERT INTO archives (event_year, expiration_date, teams_json, members_json, payment_events_json, stats_json, total_teams, total_participants, data_hash)
+    VALUES (?, ?, '[]', ?, '[]', '{}', 0, 1, 'hash')
+  `).bind(year, expirationDate, JSON.stringify(members)).run();
+}
+
+async function insertPendingMember(id, checkoutAge) {
+  await env.DB.prepare(`
+    INSERT INTO members (id, team_id, first_name, last_name, email, payment_status, payment_method, checkout_id, registration_tier)
+    VALUES (?, 1, ?, 'Pending', 'pending@example.com', 'pending', 'online', ?, 'tier1')
+  `).bind(id, `Member${id}`, `checkout-${id}`).run();
+  await env.DB.prepare(`
+    INSERT INTO payment_events (member_id, checkout_id, event_type, amount, tier, created_at)
+    VALUES (?, ?, 'checkout_created', 500, 'tier1', datetime('now', ?))
+  `).bind(id, `checkout-${id}`, checkoutAge).run();
+}
+
+describe('runMaintenance', () => {
+  it('should anonymize expired archives', async () => {
+    await insertArchive(2020, '2023-12-01T00:00:00.000Z');
+    await insertArchive(2099, '2102-12-01T00:00:00.000Z');
+
+    const run = await runMaintenance(env, 'cron');
+    expect(run.status).toBe('success');
+    expect(run.results.archives).toEqual({ ok: true, checked: 2, expired: [2020] });
+
+    const archive = await env.DB.prepare('SELECT is_expired, members_json FROM archives WHERE event_year = 2020').first();
+    expect(archive.is_expired).toBe(1);
+    expect(archive.members_json).not.toContain('alice@example.com');
+  });
+
+  it('should return stale checkouts to unpaid', async () => {
+    await insertPendingMember(1, `-${STALE_CHECKOUT_HOURS + 1} hours`);
+    await insertPendingMember(2, '-1 hours');
+
+    const run = await runMaintenance(env, 'cron');
+    expect(run.results.checkouts).toEqual({ ok: true, reset: 1 });
+
+    const stale = await env.DB.prepare('SELECT payment_status, checkout_id FROM members WHERE id = 1').first();
+    expect(stale.payment_status).toBe('unpaid');
+    expect(stale.checkout_id).toBe('checkout-1');
+    const recent = await env.DB.prepare('SELECT payment_status FROM members WHERE id = 2').first();
+    expect(recent.payment_status).toBe('pending');
+
+    const event = await env.DB.prepare(`SELECT * FROM payment_events WHERE member_id = 1 AND event_type = 'checkout_expired'`).first();
+    expect(event).not.toBeNull();
+  });
+
+  it('should purge old emails but keep pending ones', async () => {
+    await env.DB.exec(`INSERT INTO email_outbox (template, recipient, subject, body_text, status, created_at) VALUES ('ticket', 'old@example.com', 'Old', 'Old', 'sent', datetime('now', '-200 days'))`);
+    await env.DB.exec(`INSERT INTO email_outbox (template, recipient, subject, body_text, status, created_at) VALUES ('ticket', 'queued@example.com', 'Queued', 'Queued', 'pending', datetime('now', '-200 days'))`);
+    await env.DB.exec(`INSERT INTO email_outbox (template, recipient, subject, body_text, status) VALUES ('ticket', 'new@example.com', 'New', 'New', 'sent')`);
+
+    const run = await runMaintenance(env, 'cron');
+    expect(run.results.emails).toEqual({ ok: true, purged: 1 });
+
+    const { results } = await env.DB.prepare('SELECT recipient FROM email_outbox ORDER BY id').all();
+    expect(results.map(r => r.recipient)).toEqual(['queued@example.com', 'new@example.com']);
+  });
+
+  describe('unverified registrations', () => {
+    beforeEach(async () => {
+      const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+      const recent = new Date().toISOString();
+      await env.DB.prepare(`INSERT INTO members (id, team_id, first_name, last_name, email, verification_sent_at) VALUES (1, 1, 'Old', 'Unverified', 'old@example.com', ?)`).bind(old).run();
+      await env.DB.prepare(`INSERT INTO members (id, team_id, first_name, last_name, email, payment_status, verification_sent_at) VALUES (2, 1, 'Old', 'Paid', 'paid@example.com', 'paid', ?)`).bind(old).run();
+      await env.DB.prepare(`INSERT INTO members (id, team_id, first_name, last_name, email, email_verified_at, verification_sent_at) VALUES (3, 1, 'Old', 'Verified', 'verified@example.com', ?, ?)`).bind(recent, old).run();
+      await env.DB.prepare(`INSERT INTO members (id, team_id, first_name, last_name, email, verification_sent_at) VALUES (4, 1, 'New', 'Unverified', 'new@example.com', ?)`).bind(recent).run();
+      // Added by an admin, imported or registered before migration 032: no link on record
+      await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email, created_at) VALUES (5, 1, 'Never', 'Sent', 'never@example.com', datetime('now', '-1 year'))`);
+    });
+
+    it('should keep them unless the event opted in', async () => {
+      const run = await runMaintenance(env, 'cron');
+      expect(run.results.unverified).toEqual({ ok: true, purged: 0 });
+
+      const { results } = await env.DB.prepare('SELECT id FROM members WHERE deleted_at IS NULL ORDER BY id').all();
+      expect(results.map(m => m.id)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should move members who ignored their link to the trash', async () => {
+      await env.DB.prepare(`INSERT INTO settings (key, value) VALUES (?, '30')`).bind(UNVERIFIED_RETENTION_SETTING).run();
+
+      const run = await runMaintenance(env, 'cron');
+      expect(run.results.unverified).toEqual({ ok: true, purged: 1 });
+
+      const { results } = await env.DB.prepare('SELECT id, deleted_at FROM members ORDER BY id').all();
+      expect(results.map(m => m.id)).toEqual([1, 2, 3, 4, 5]);
+      expect(results.filter(m => m.deleted_at).map(m => m.id)).toEqual([1]);
+
+      const entry = await env.DB.prepare(`SELECT * FROM admin_audit WHERE action = 'member.purge_unverified'`).first();
+      expect(entry).toMatchObject({ actor_username: 'maintenance', actor_role: 'system', target_id: '1' });
+      expect(JSON.parse(entry.after_json).members).toEqual(['Old Unverified']);
+    });
+  });
+
+  it('should record each run', async () => {
+    await runMaintenance(env, 'cron');
+
+    const run = await env.DB.prepare('SELECT * FROM job_runs').first();
+    expect(run.job).toBe('maintenance');
+    expect(run.triggered_by).toBe('cron');
+    expect(run.status).toBe('success');
+    expect(run.finished_at).not.toBeNull();
+    expect(JSON.parse(run.results_json).sessions).toEqual({ ok: true, skipped: true });
+  });
+});
+
+describe('GET /api/admin/maintenance', () => {
+  it('should require authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/maintenance');
+    expect(response.status).toBe(401);
+  });
+
+  it('should list runs newest first', async () => {
+    await runMaintenance(env, 'cron');
+    await runMaintenance(env, 'manual');
+
+    const response = await adminFetch('/maintenance');
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.available).toBe(true);
+    expect(data.runs.map(r => r.triggered_by)).toEqual(['manual', 'cron']);
+    expect(data.runs[0].results.archives.ok).toBe(true);
+  });
+});
+
+describe('POST /api/admin/maintenance/run', () => {
+  it('should require authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/maintenance/run', { method: 'POST' });
+    expect(response.status).toBe(401);
+  });
+
+  it('should run the maintenance immediately', async () => {
+    await insertArchive(2020, '2023-12-01T00:00:00.000Z');
+
+    const response = await adminFetch('/maintenance/run', { method: 'POST' });
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.status).toBe('success');
+    expect(data.results.archives.expired).toEqual([2020]);
+
+    const run = await env.DB.prepare('SELECT triggered_by FROM job_runs WHERE id = ?').bind(data.id).first();
+    expect(run.triggered_by).toBe('manual');
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Bulk Messages API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { BATCH_SIZE } from '../src/features/email/email.campaigns.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, payment_tier TEXT DEFAULT NULL, payment_amount INTEGER DEFAULT NULL, refunded_amount INTEGER DEFAULT 0, payment_confirmed_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS email_campaigns (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, subject TEXT NOT NULL, body TEXT NOT NULL, audience_json TEXT NOT NULL, recipient_count INTEGER NOT NULL DEFAULT 0, created_by TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS email_outbox (id INTEGER PRIMARY KEY AUTOINCREMENT, template TEXT NOT NULL, recipient TEXT NOT NULL, subject TEXT NOT NULL, body_text TEXT NOT NULL, body_html TEXT DEFAULT NULL, status TEXT NOT NULL DEFAULT 'pending', attempts INTEGER NOT NULL DEFAULT 0, last_error TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), last_attempt_at TEXT DEFAULT NULL, sent_at TEXT DEFAULT NULL, campaign_id INTEGER DEFAULT NULL)`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM email_outbox`);
+  await env.DB.exec(`DELETE FROM email_campaigns`);
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+
+  await env.DB.exec(`INSERT INTO teams (id, name, room) VALUES (1, 'Alpha', 'A101')`);
+  await env.DB.exec(`INSERT INTO teams (id, name, room) VALUES (2, 'Beta', NULL)`);
+  await env.DB.exec(`INSERT INTO teams (id, name) VALUES (3, 'Organisation')`);
+  await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email, is_leader, payment_status, checked_in) VALUES (1, 'Alice', 'Martin', 'alice@example.com', 1, 'paid', 1)`);
+  await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email, is_leader, payment_status, checked_in) VALUES (1, 'Bob', 'Durand', 'bob@example.com', 0, 'unpaid', 0)`);
+  await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email, is_leader, payment_status, checked_in) VALUES (2, 'Chloe', 'Petit', 'chloe@example.com', 1, 'unpaid', 0)`);
+  await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email, is_leader, payment_status, checked_in, deleted_at) VALUES (2, 'David', 'Roux', 'david@example.com', 0, 'unpaid', 0, datetime('now'))`);
+  await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email, is_leader) VALUES (3, 'Eve', 'Org', 'eve@example.com', 1)`);
+});
+
+function adminFetch(path, options = {}) {
+  return SELF.fetch(`http://localhost/api/admin${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${ADMIN_TOKEN}`, ...options.headers }
+  });
+}
+
+function compose(audience, overrides = {}) {
+  return JSON.stringify({
+    subject: 'Salle {{room}}',
+    body: 'Bonjour {{firstName}},\n\nVotre équipe {{teamName}} est en salle {{room}}.',
+    audience,
+    ...overrides
+  });
+}
+
+async function preview(audience) {
+  const response = await adminFetch('/messages/preview', { method: 'POST', body: compose(audience) });
+  expect(response.status).toBe(200);
+  return response.json();
+}
+
+describe('POST /api/admin/messages/preview', () => {
+  it('should require authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/messages/preview', {
+      method: 'POST',
+      body: compose({ status: 'all' })
+    });
+    expect(response.status).toBe(401);
+  });
+
+  it('should exclude the Organisation team and trashed members', async () => {
+    const data = await preview({ status: 'all' });
+    expect(data.recipients.map(r => r.email).sort()).toEqual(['alice@example.com', 'bob@example.com', 'chloe@example.com']);
+  });
+
+  it('should filter by payment and attendance status', async () => {
+    expect((await preview({ status: 'unpaid' })).total).toBe(2);
+    expect((await preview({ status: 'absent' })).total).toBe(2);
+    expect((await preview({ status: 'present' })).recipients[0].email).toBe('alice@example.com');
+  });
+
+  it('should filter by room and team leaders', async () => {
+    expect((await preview({ room: 'A101' })).total).toBe(2);
+    expect((await preview({ room: 'unassigned' })).recipients[0].email).toBe('chloe@example.com');
+    expect((await preview({ leadersOnly: true })).total).toBe(2);
+    expect((await preview({ room: 'A101', leadersOnly: true })).recipients[0].email).toBe('alice@example.com');
+  });
+
+  it('should send one message per email address', async () => {
+    await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email) VALUES (2, 'Frank', 'Petit', 'CHLOE@example.com')`);
+    expect((await preview({ room: 'unassigned' })).total).toBe(1);
+  });
+
+  it('should render merge fields for the first recipient', async () => {
+    const data = await preview({ room: 'A101', leadersOnly: true });
+    expect(data.preview.subject).toBe('Salle A101');
+    expect(data.preview.text).toContain('Bonjour Alice,');
+    expect(data.preview.text).toContain('Alpha');
+  });
+
+  it('should reject invalid audiences', async () => {
+    const response = await adminFetch('/messages/preview', { method: 'POST', body: compose({ status: 'everyone' }) });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('POST /api/admin/messages', () => {
+  it('should queue and send a message to its audience', async () => {
+    const response = await adminFetch('/messages', { method: 'POST', body: compose({ status: 'unpaid' }) });
+    expect(response.status).toBe(201);
+
+    const data = await response.json();
+    expect(data).toMatchObject({ total: 2, sent: 2, failed: 0, remaining: 0 });
+
+    const { results } = await env.DB.prepare('SELECT * FROM email_outbox WHERE campaign_id = ? ORDER BY id').bind(data.id).all();
+    expect(results.map(r => r.recipient)).toEqual(['bob@example.com', 'chloe@example.com']);
+    expect(results[1].subject).toBe('Salle non attribuée');
+    expect(results.every(r => r.status === 'sent')).toBe(true);
+  });
+
+  it('should refuse an empty audience', async () => {
+    const response = await adminFetch('/messages', { method: 'POST', body: compose({ status: 'delayed' }) });
+    expect(response.status).toBe(400);
+  });
+
+  it('should require a subject and a body', async () => {
+    const response = await adminFetch('/messages', { method: 'POST', body: compose({ status: 'all' }, { subject: ' ' }) });
+    expect(response.status).toBe(400);
+  });
+
+  it('should send large audiences in batches', async () => {
+    const extra = BATCH_SIZE + 5;
+    for (let i = 0; i < extra; i++) {
+      await env.DB.prepare(`INSERT INTO members (team_id, first_name, last_name, email) VALUES (2, 'Extra', ?, ?)`)
+        .bind(`N${i}`, `extra${i}@example.com`).run();
+    }
+
+    const response = await adminFetch('/messages', { method: 'POST', body: compose({ room: 'unassigned' }) });
+    const data = await response.json();
+    expect(data.sent).toBe(BATCH_SIZE);
+    expect(data.remaining).toBe(extra + 1 - BATCH_SIZE);
+
+    const next = await (await adminFetch(`/messages/${data.id}/send`, { method: 'POST' })).json();
+    expect(next.sent).toBe(extra + 1 - BATCH_SIZE);
+    expect(next.remaining).toBe(0);
+  });
+});
+
+describe('GET /api/admin/messages', () => {
+  it('should list messages with delivery counts', async () => {
+    await adminFetch('/messages', { method: 'POST', body: compose({ status: 'all' }) });
+
+    const response = await adminFetch('/messages', { method: 'GET' });
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    expect(data.campaigns).toHaveLength(1);
+    expect(data.campaigns[0]).toMatchObject({ recipient_count: 3, sent_count: 3, failed_count: 0 });
+    expect(data.campaigns[0].audience.status).toBe('all');
+    expect(data.rooms).toEqual(['A101']);
+    expect(data.mergeFields).toContain('firstName');
+  });
+
+  it('should only list the messages of the selected event', async () => {
+    await adminFetch('/messages', { method: 'POST', body: compose({ status: 'all' }) });
+    await env.DB.exec(`INSERT INTO email_campaigns (event_id, subject, body, audience_json) VALUES (2, 'Autre', 'Autre', '{}')`);
+
+    const data = await (await adminFetch('/messages', { method: 'GET' })).json();
+    expect(data.campaigns.map(c => c.subject)).toEqual(['Salle {{room}}']);
+  });
+
+  it('should return the per-recipient delivery report', async () => {
+    const { id } = await (await adminFetch('/messages', { method: 'POST', body: compose({ leadersOnly: true }) })).json();
+
+    const response = await adminFetch(`/messages/${id}`, { method: 'GET' });
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    expect(data.campaign.subject).toBe('Salle {{room}}');
+    expect(data.recipients).toHaveLength(2);
+    expect(data.recipients.every(r => r.status === 'sent' && r.attempts === 1)).toBe(true);
+  });
+
+  it('should return 404 for unknown messages', async () => {
+    const response = await adminFetch('/messages/9999', { method: 'GET' });
+    expect(response.status).toBe(404);
+  });
+});
@@ -16,10 +16,10 @@ const authHeader = {
 
 beforeAll(async () => {
   // Create tables - base tables
-  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
-  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, payment_amount INTEGER DEFAULT NULL, payment_tier TEXT DEFAULT NULL, payment_confirmed_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
-  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')))`);
-  await env.DB.exec(`CREATE TABLE IF NOT EXISTS payment_events (id INTEGER PRIMARY KEY AUTOINCREMENT, member_id INTEGER NOT NULL, checkout_id TEXT, event_type TEXT NOT NULL, amount INTEGER NOT NULL, tier TEXT NOT NULL, metadata TEXT, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, payment_amount INTEGER DEFAULT NULL, refunded_amount INTEGER DEFAULT 0, payment_tier TEXT DEFAULT NULL, payment_confirmed_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS payment_events (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, member_id INTEGER NOT NULL, checkout_id TEXT, event_type TEXT NOT NULL, amount INTEGER NOT NULL, tier TEXT NOT NULL, metadata TEXT, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE)`);
 
   // Create Organisation team
   await env.DB.exec(`INSERT OR IGNORE INTO teams (name, description, password_hash) VALUES ('Organisation', 'Équipe organisatrice', '')`);
@@ -543,6 +543,142 @@ describe('Payment Database Operations', () => {
   });
 });
 
+describe('Admin API - POST /api/admin/payments/:memberId/refund', () => {
+  // Create a member who paid online
+  async function createPaidMember(prefix, transactionId = `txn-${Date.now()}`) {
+    const { member } = await createTestMember({
+      teamName: `${prefix} Team ${Date.now()}`,
+      firstName: `${prefix}${Date.now()}`
+    });
+
+    await env.DB.prepare(`
+      UPDATE members
+      SET payment_status = 'paid',
+          payment_method = 'online',
+          transaction_id = ?,
+          payment_amount = 500,
+          registration_tier = 'tier1',
+          payment_tier = 'tier1'
+      WHERE id = ?
+    `).bind(transactionId, member.id).run();
+
+    return member;
+  }
+
+  function refund(memberId, body, headers = authHeader) {
+    return SELF.fetch(`http://localhost/api/admin/payments/${memberId}/refund`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+  }
+
+  it('requires authentication', async () => {
+    const member = await createPaidMember('RefundAuth');
+    const response = await refund(member.id, { reason: 'Test' }, {});
+    expect(response.status).toBe(401);
+  });
+
+  it('refunds the full amount by default', async () => {
+    const member = await createPaidMember('RefundFull');
+
+    const response = await refund(member.id, { reason: 'Annulation' });
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.refunded).toBe(500);
+    expect(data.partial).toBe(false);
+    expect(data.member.payment_status).toBe('refunded');
+    expect(data.member.refunded_amount).toBe(500);
+
+    const event = await env.DB.prepare(`SELECT * FROM payment_events WHERE member_id = ? AND event_type = 'refunded'`)
+      .bind(member.id)
+      .first();
+    expect(event.amount).toBe(500);
+    expect(JSON.parse(event.metadata).reason).toBe('Annulation');
+  });
+
+  it('supports partial refunds', async () => {
+    const member = await createPaidMember('RefundPartial');
+
+    const first = await refund(member.id, { amount: 200, reason: 'Geste commercial' });
+    expect(first.status).toBe(200);
+    const firstData = await first.json();
+    expect(firstData.partial).toBe(true);
+    expect(firstData.member.payment_status).toBe('paid');
+    expect(firstData.member.refunded_amount).toBe(200);
+
+    // Cannot refund more than what remains
+    const tooMuch = await refund(member.id, { amount: 400, reason: 'Trop' });
+    expect(tooMuch.status).toBe(400);
+
+    const rest = await refund(member.id, { reason: 'Solde' });
+    const restData = await rest.json();
+    expect(restData.refunded).toBe(300);
+    expect(restData.member.payment_status).toBe('refunded');
+  });
+
+  it('requires a reason', async () => {
+    const member = await createPaidMember('RefundReason');
+    const response = await refund(member.id, { amount: 100 });
+    expect(response.status).toBe(400);
+  });
+
+  it('rejects members without an online payment', async () => {
+    const { member } = await createTestMember({
+      teamName: `RefundUnpaid Team ${Date.now()}`,
+      firstName: `RefundUnpaid${Date.now()}`
+    });
+    const response = await refund(member.id, { reason: 'Test' });
+    expect(response.status).toBe(400);
+  });
+
+  it('returns 404 for unknown members', async () => {
+    const response = await refund(999_999, { reason: 'Test' });
+    expect(response.status).toBe(404);
+  });
+
+  it('leaves the payment untouched when SumUp declines the refund', async () => {
+    const member = await createPaidMember('RefundDeclined', `declined-${Date.now()}`);
+
+    const response = await refund(member.id, { reason: 'Test' });
+    expect(response.status).toBe(502);
+
+    const unchanged = await env.DB.prepare('SELECT payment_status, refunded_amount FROM members WHERE id = ?')
+      .bind(member.id)
+      .first();
+    expect(unchanged.payment_status).toBe('paid');
+    expect(unchanged.refunded_amount).toBe(0);
+  });
+
+  it('refunds the amount only once when two refunds race', async () => {
+    const member = await createPaidMember('RefundRace');
+
+    const responses = await Promise.all([
+      refund(member.id, { reason: 'Premier' }),
+      refund(member.id, { reason: 'Second' })
+    ]);
+
+    expect(responses.map(r => r.status).filter(status => status === 200)).toHaveLength(1);
+    const events = await env.DB.prepare(`SELECT amount FROM payment_events WHERE member_id = ? AND event_type = 'refunded'`)
+      .bind(member.id)
+      .all();
+    expect(events.results.map(e => e.amount)).toEqual([500]);
+    const updated = await env.DB.prepare('SELECT refunded_amount FROM members WHERE id = ?').bind(member.id).first();
+    expect(updated.refunded_amount).toBe(500);
+  });
+
+  it('deducts refunds from revenue stats', async () => {
+    const member = await createPaidMember('RefundStats');
+
+    const before = await (await SELF.fetch('http://localhost/api/admin/attendance', { headers: authHeader })).json();
+    await refund(member.id, { amount: 150, reason: 'Partiel' });
+    const after = await (await SELF.fetch('http://localhost/api/admin/attendance', { headers: authHeader })).json();
+
+    expect(after.stats.payment.total_revenue).toBe(before.stats.payment.total_revenue - 150);
+    expect(after.stats.payment.total_refunded).toBe(before.stats.payment.total_refunded + 150);
+  });
+});
+
 describe('Payment Settings Validation', () => {
   it('handles missing registration deadline gracefully', async () => {
     // Clear deadline
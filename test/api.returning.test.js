@@ -0,0 +1,170 @@
+/**
+ * Returning Participant API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { createReturningToken, verifyReturningToken, RETURNING_TOKEN_TTL } from '../src/shared/returning.js';
+import { RETURNING_LIMIT_PER_EMAIL, RETURNING_LIMIT_PER_IP } from '../src/api/returning.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, payment_tier TEXT DEFAULT NULL, payment_amount INTEGER DEFAULT NULL, refunded_amount INTEGER DEFAULT 0, payment_confirmed_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS archives (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, event_year INTEGER NOT NULL, archived_at TEXT NOT NULL DEFAULT (datetime('now')), expiration_date TEXT NOT NULL, is_expired INTEGER DEFAULT 0, teams_json TEXT NOT NULL, members_json TEXT NOT NULL, payment_events_json TEXT, stats_json TEXT NOT NULL, total_teams INTEGER NOT NULL, total_participants INTEGER NOT NULL, total_revenue INTEGER DEFAULT 0, data_hash TEXT NOT NULL)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS email_outbox (id INTEGER PRIMARY KEY AUTOINCREMENT, template TEXT NOT NULL, recipient TEXT NOT NULL, subject TEXT NOT NULL, body_text TEXT NOT NULL, body_html TEXT DEFAULT NULL, status TEXT NOT NULL DEFAULT 'pending', attempts INTEGER NOT NULL DEFAULT 0, last_error TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), last_attempt_at TEXT DEFAULT NULL, sent_at TEXT DEFAULT NULL)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS events (id INTEGER PRIMARY KEY AUTOINCREMENT, slug TEXT NOT NULL UNIQUE, name TEXT NOT NULL, event_year INTEGER NOT NULL, is_default INTEGER DEFAULT 0, status TEXT DEFAULT 'active', archived_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS returning_link_requests (id INTEGER PRIMARY KEY AUTOINCREMENT, email_hash TEXT NOT NULL, ip TEXT NOT NULL DEFAULT '', created_at TEXT DEFAULT (datetime('now')))`);
+});
+
+const ALICE_2022 = { id: 10, team_id: 1, first_name: 'Alice', last_name: 'Martin', email: 'alice@example.com', bac_level: 2, food_diet: 'margherita' };
+const ALICE_2023 = { ...ALICE_2022, id: 20, email: 'Alice@Example.com', bac_level: 3, food_diet: 'vegetarian' };
+
+async function insertArchive(year, members, isExpired = 0) {
+  await env.DB.prepare(`
+    INSERT INTO archives (event_year, expiration_date, is_expired, teams_json, members_json, payment_events_json, stats_json, total_teams, total_participants, data_hash)
+    VALUES (?, '2099-12-01T00:00:00.000Z', ?, '[]', ?, '[]', '{}', 1, ?, 'hash')
+  `).bind(year, isExpired, JSON.stringify(members), members.length).run();
+}
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM archives`);
+  await env.DB.exec(`DELETE FROM email_outbox`);
+  await env.DB.exec(`DELETE FROM returning_link_requests`);
+  await env.DB.exec(`DELETE FROM events`);
+  await insertArchive(2022, [ALICE_2022]);
+  await insertArchive(2023, [ALICE_2023]);
+});
+
+function requestLink(email, ip = '203.0.113.1') {
+  return SELF.fetch('http://localhost/api/returning', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip },
+    body: JSON.stringify({ email })
+  });
+}
+
+async function sentLinks() {
+  const { results } = await env.DB.prepare(`SELECT recipient, body_text FROM email_outbox WHERE template = 'returning_participant' ORDER BY id`).all();
+  return results.map(r => ({ recipient: r.recipient, token: /\?returning=([\w.-]+)/.exec(r.body_text)[1] }));
+}
+
+describe('POST /api/returning', () => {
+  it('should reject an invalid email', async () => {
+    const response = await requestLink('not-an-email');
+    expect(response.status).toBe(400);
+  });
+
+  it('should answer the same for unknown emails without sending anything', async () => {
+    const response = await requestLink('nobody@example.com');
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ success: true });
+    expect(await sentLinks()).toHaveLength(0);
+  });
+
+  it('should email a prefill link to a past participant', async () => {
+    const response = await requestLink(' ALICE@example.com ');
+    expect(response.status).toBe(200);
+
+    const links = await sentLinks();
+    expect(links).toHaveLength(1);
+    expect(links[0].recipient).toBe('alice@example.com');
+  });
+
+  it('should link to the page of the selected event', async () => {
+    await env.DB.exec(`INSERT INTO events (id, slug, name, event_year, is_default) VALUES (1, 'ndi-2025', 'NDI 2025', 2025, 1), (2, 'ndi-2026', 'NDI 2026', 2026, 0)`);
+
+    await SELF.fetch('http://localhost/api/returning', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Event': 'ndi-2026' },
+      body: JSON.stringify({ email: 'alice@example.com' })
+    });
+
+    const { body_text } = await env.DB.prepare(`SELECT body_text FROM email_outbox WHERE template = 'returning_participant'`).first();
+    expect(body_text).toContain('http://localhost/ndi-2026?returning=');
+  });
+
+  it('should limit requests per address', async () => {
+    for (let i = 0; i < RETURNING_LIMIT_PER_EMAIL; i++) {
+      expect((await requestLink('alice@example.com', `203.0.113.${i}`)).status).toBe(200);
+    }
+
+    const response = await requestLink('ALICE@example.com', '203.0.113.99');
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBeTruthy();
+    expect(await sentLinks()).toHaveLength(RETURNING_LIMIT_PER_EMAIL);
+  });
+
+  it('should limit requests per IP, unknown addresses included', async () => {
+    for (let i = 0; i < RETURNING_LIMIT_PER_IP; i++) {
+      await requestLink(`nobody${i}@example.com`);
+    }
+
+    expect((await requestLink('alice@example.com')).status).toBe(429);
+    expect((await requestLink('alice@example.com', '198.51.100.1')).status).toBe(200);
+  });
+
+  it('should ignore expired archives', async () => {
+    await env.DB.exec(`DELETE FROM archives`);
+    await insertArchive(2021, [ALICE_2022], 1);
+
+    await requestLink('alice@example.com');
+    expect(await sentLinks()).toHaveLength(0);
+  });
+});
+
+describe('GET /api/returning/:token', () => {
+  it('should return the latest archived details', async () => {
+    await requestLink('alice@example.com');
+    const [{ token }] = await sentLinks();
+
+    const response = await SELF.fetch(`http://localhost/api/returning/${token}`);
+    expect(response.status).toBe(200);
+    const { profile } = await response.json();
+    expect(profile).toEqual({
+      email: 'alice@example.com',
+      firstName: 'Alice',
+      lastName: 'Martin',
+      bacLevel: 3,
+      foodDiet: 'vegetarian',
+      years: [2022, 2023]
+    });
+  });
+
+  it('should reject forged tokens', async () => {
+    const token = await createReturningToken(env, 'alice@example.com');
+    const forged = token.replace(/.$/, c => c === '0' ? '1' : '0');
+
+    const response = await SELF.fetch(`http://localhost/api/returning/${forged}`);
+    expect(response.status).toBe(404);
+  });
+
+  it('should expire tokens after a day', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const token = await createReturningToken(env, 'alice@example.com', now);
+
+    expect(await verifyReturningToken(env, token, now + RETURNING_TOKEN_TTL - 1)).toBe('alice@example.com');
+    expect(await verifyReturningToken(env, token, now + RETURNING_TOKEN_TTL + 1)).toBeNull();
+  });
+});
+
+describe('Veteran participants in admin lists', () => {
+  it('should list past years on attendance members', async () => {
+    await env.DB.exec(`INSERT INTO teams (id, name) VALUES (1, 'Test Team')`);
+    await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email) VALUES (1, 'Alice', 'Martin', 'alice@example.com')`);
+    await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email) VALUES (1, 'Bob', 'Durand', 'bob@example.com')`);
+
+    const response = await SELF.fetch('http://localhost/api/admin/attendance', {
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+    });
+    expect(response.status).toBe(200);
+    const { members } = await response.json();
+
+    const byName = Object.fromEntries(members.map(m => [m.first_name, m.past_years]));
+    expect(byName).toEqual({ Alice: [2022, 2023], Bob: [] });
+  });
+});
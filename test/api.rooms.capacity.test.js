@@ -0,0 +1,194 @@
+/**
+ * Room Capacity and Automatic Assignment Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { planRoomAssignments } from '../src/shared/rooms.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  // Schema after migration 024
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, room_preference TEXT DEFAULT NULL, needs_accessibility INTEGER DEFAULT 0, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, pizza_received INTEGER DEFAULT 0, pizza_received_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS rooms (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL, capacity INTEGER NOT NULL, floor TEXT DEFAULT NULL, equipment TEXT DEFAULT '', is_accessible INTEGER DEFAULT 0, sort_order INTEGER DEFAULT 0, created_at TEXT DEFAULT (datetime('now')), UNIQUE(event_id, name))`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM rooms`);
+
+  await env.DB.exec(`INSERT INTO rooms (id, name, capacity, is_accessible, equipment, sort_order) VALUES (1, 'Salle A', 3, 0, 'Vidéoprojecteur', 0)`);
+  await env.DB.exec(`INSERT INTO rooms (id, name, capacity, is_accessible, sort_order) VALUES (2, 'Salle B', 2, 1, 1)`);
+
+  // Alpha: 2 members in Salle A, Beta: 2 members, Gamma: 1 member
+  await env.DB.exec(`INSERT INTO teams (id, name, room) VALUES (1, 'Team Alpha', 'Salle A')`);
+  await env.DB.exec(`INSERT INTO teams (id, name) VALUES (2, 'Team Beta')`);
+  await env.DB.exec(`INSERT INTO teams (id, name) VALUES (3, 'Team Gamma')`);
+  await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email) VALUES (1, 'Alice', 'Smith', 'alice@example.com'), (1, 'Bob', 'Jones', 'bob@example.com'), (2, 'Carol', 'White', 'carol@example.com'), (2, 'Dan', 'Green', 'dan@example.com'), (3, 'Eve', 'Black', 'eve@example.com')`);
+});
+
+function adminFetch(path, options = {}) {
+  return SELF.fetch(`http://localhost${path}`, {
+    ...options,
+    headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json', ...options.headers }
+  });
+}
+
+describe('Room capacity', () => {
+  it('should list rooms with their occupancy', async () => {
+    const response = await adminFetch('/api/admin/rooms');
+    const data = await response.json();
+
+    expect(data.managed_rooms[0]).toMatchObject({ name: 'Salle A', capacity: 3, memberCount: 2, teamCount: 1, equipment: ['Vidéoprojecteur'] });
+    expect(data.managed_rooms[1]).toMatchObject({ name: 'Salle B', isAccessible: true, memberCount: 0 });
+  });
+
+  it('should refuse an assignment over capacity', async () => {
+    const response = await adminFetch('/api/admin/rooms/2', {
+      method: 'PUT',
+      body: JSON.stringify({ room: 'Salle A' })
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('Salle A is full: 4 participants for 3 seats');
+  });
+
+  it('should refuse a room outside the list and normalize names', async () => {
+    const unknown = await adminFetch('/api/admin/rooms/2', {
+      method: 'PUT',
+      body: JSON.stringify({ room: 'Salle Z' })
+    });
+    const lowercase = await adminFetch('/api/admin/rooms/2', {
+      method: 'PUT',
+      body: JSON.stringify({ room: 'salle b' })
+    });
+
+    expect(unknown.status).toBe(400);
+    expect((await lowercase.json()).team.room).toBe('Salle B');
+  });
+
+  it('should check batch assignments as a whole', async () => {
+    const swap = await adminFetch('/api/admin/rooms/batch', {
+      method: 'POST',
+      body: JSON.stringify({ assignments: [{ teamId: 1, room: 'Salle B' }, { teamId: 2, room: 'Salle A' }] })
+    });
+    const overflow = await adminFetch('/api/admin/rooms/batch', {
+      method: 'POST',
+      body: JSON.stringify({ assignments: [{ teamId: 2, room: 'Salle B' }, { teamId: 3, room: 'Salle B' }] })
+    });
+
+    expect(swap.status).toBe(200);
+    expect(overflow.status).toBe(400);
+  });
+
+  it('should not lower the capacity below the participants assigned', async () => {
+    const response = await adminFetch('/api/admin/rooms/catalog/1', {
+      method: 'PUT',
+      body: JSON.stringify({ capacity: 1 })
+    });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should move teams when a room is renamed', async () => {
+    const response = await adminFetch('/api/admin/rooms/catalog/1', {
+      method: 'PUT',
+      body: JSON.stringify({ name: 'Amphi A' })
+    });
+
+    expect(response.status).toBe(200);
+    const team = await env.DB.prepare('SELECT room FROM teams WHERE id = 1').first();
+    expect(team.room).toBe('Amphi A');
+  });
+
+  it('should refuse to delete a room with teams', async () => {
+    const used = await adminFetch('/api/admin/rooms/catalog/1', { method: 'DELETE' });
+    const free = await adminFetch('/api/admin/rooms/catalog/2', { method: 'DELETE' });
+
+    expect(used.status).toBe(409);
+    expect(free.status).toBe(200);
+  });
+});
+
+describe('Automatic assignment', () => {
+  it('should preview without writing', async () => {
+    const response = await adminFetch('/api/admin/rooms/auto-assign', { method: 'POST', body: '{}' });
+    const plan = await response.json();
+
+    expect(plan.applied).toBe(false);
+    expect(plan.assignments.map(a => [a.teamName, a.room])).toEqual([
+      ['Team Beta', 'Salle B'],
+      ['Team Gamma', 'Salle A']
+    ]);
+    const team = await env.DB.prepare('SELECT room FROM teams WHERE id = 2').first();
+    expect(team.room).toBeNull();
+  });
+
+  it('should apply the plan', async () => {
+    const response = await adminFetch('/api/admin/rooms/auto-assign', {
+      method: 'POST',
+      body: JSON.stringify({ apply: true })
+    });
+
+    expect((await response.json()).updated).toBe(2);
+    const rooms = await env.DB.prepare('SELECT room FROM teams ORDER BY id').all();
+    expect(rooms.results.map(r => r.room)).toEqual(['Salle A', 'Salle B', 'Salle A']);
+  });
+
+  it('should respect preferences', async () => {
+    await adminFetch('/api/admin/rooms/3/preference', {
+      method: 'PUT',
+      body: JSON.stringify({ roomPreference: 'Salle B' })
+    });
+
+    const response = await adminFetch('/api/admin/rooms/auto-assign', { method: 'POST', body: '{}' });
+    const plan = await response.json();
+
+    expect(plan.assignments.find(a => a.teamName === 'Team Gamma')).toMatchObject({ room: 'Salle B', preferred: true });
+  });
+
+  it('should require rooms', async () => {
+    await env.DB.exec(`DELETE FROM rooms`);
+
+    const response = await adminFetch('/api/admin/rooms/auto-assign', { method: 'POST', body: '{}' });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('planRoomAssignments', () => {
+  const rooms = [
+    { name: 'A', capacity: 4, is_accessible: 0 },
+    { name: 'B', capacity: 3, is_accessible: 1 }
+  ];
+
+  it('should never split a team', () => {
+    const plan = planRoomAssignments([{ id: 1, name: 'Big', member_count: 5, room: null }], rooms);
+
+    expect(plan.assignments).toEqual([]);
+    expect(plan.unassigned).toMatchObject([{ teamId: 1, reason: 'no_room' }]);
+  });
+
+  it('should place teams needing accessibility in accessible rooms', () => {
+    const plan = planRoomAssignments([
+      { id: 1, name: 'One', member_count: 3, room: null },
+      { id: 2, name: 'Two', member_count: 3, room: null, needs_accessibility: 1 }
+    ], rooms);
+
+    expect(plan.assignments.map(a => [a.teamId, a.room])).toEqual([[2, 'B'], [1, 'A']]);
+  });
+
+  it('should take teams out of their room when re-planning everything', () => {
+    const plan = planRoomAssignments([
+      { id: 1, name: 'One', member_count: 4, room: 'A' },
+      { id: 2, name: 'Two', member_count: 4, room: null, room_preference: 'A' }
+    ], rooms, { keepExisting: false });
+
+    expect(plan.assignments.map(a => [a.teamId, a.room])).toEqual([[2, 'A'], [1, null]]);
+    expect(plan.unassigned.map(u => u.teamId)).toEqual([1]);
+  });
+});
@@ -9,9 +9,9 @@ const ADMIN_TOKEN = 'test-admin-token';
 
 beforeAll(async () => {
   // Create schema with room field
-  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
-  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, pizza_received INTEGER DEFAULT 0, pizza_received_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
-  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, pizza_received INTEGER DEFAULT 0, pizza_received_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
 });
 
 beforeEach(async () => {
@@ -481,3 +481,50 @@ describe('GET /api/admin/rooms - Pizza by room', () => {
     expect(roomNames).not.toContain('');
   });
 });
+
+describe('Printable rosters and door signs', () => {
+  it('should require admin authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/rooms/Salle%20A/roster');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should render the roster of a room as HTML', async () => {
+    await env.DB.exec(`UPDATE members SET food_diet = 'margherita', checked_in = 1 WHERE id = 1`);
+
+    const response = await SELF.fetch('http://localhost/api/admin/rooms/Salle%20A/roster', {
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+    });
+    const html = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toContain('text/html');
+    expect(html).toContain('Salle A');
+    expect(html).toContain('Team Alpha');
+    expect(html).toContain('SMITH');
+    expect(html).toContain('JONES');
+    expect(html).not.toContain('Team Gamma');
+    expect(html).toContain('<strong>1</strong> présent(s)');
+  });
+
+  it('should return 404 for a room without teams', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/rooms/Salle%20Z/roster', {
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+    });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should render one door sign per room', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/rooms/signs', {
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+    });
+    const html = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(html.match(/class="sign"/g)).toHaveLength(2);
+    expect(html).toContain('Team Alpha');
+    expect(html).toContain('Team Gamma');
+    expect(html).not.toContain('Team Beta');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Schools API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  // Schema after migration 023
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS schools (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL, max_participants INTEGER DEFAULT NULL, sort_order INTEGER DEFAULT 0, created_at TEXT DEFAULT (datetime('now')), UNIQUE(event_id, name))`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM settings`);
+  await env.DB.exec(`DELETE FROM schools`);
+
+  await env.DB.exec(`INSERT INTO schools (id, name, sort_order) VALUES (1, 'Université d''Evry', 0)`);
+  await env.DB.exec(`INSERT INTO schools (id, name, max_participants, sort_order) VALUES (2, 'ENSIIE', 1, 1)`);
+  await env.DB.exec(`INSERT INTO settings (key, value) VALUES ('school_name', 'Université Paris-Saclay')`);
+});
+
+function adminFetch(path, options = {}) {
+  return SELF.fetch(`http://localhost${path}`, {
+    ...options,
+    headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json', ...options.headers }
+  });
+}
+
+function register(teamName, member) {
+  return SELF.fetch('http://localhost/api/register', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      createNewTeam: true,
+      teamName,
+      teamPassword: 'testpass123',
+      members: [{ email: 'test@example.com', bacLevel: 1, isLeader: true, foodDiet: 'margherita', ...member }]
+    })
+  });
+}
+
+describe('Registration with schools', () => {
+  it('should list schools with their spots in the config', async () => {
+    const response = await SELF.fetch('http://localhost/api/config');
+    const { config } = await response.json();
+
+    expect(config.schools).toEqual([
+      { id: 1, name: "Université d'Evry", available_spots: null, is_full: false },
+      { id: 2, name: 'ENSIIE', available_spots: 1, is_full: false }
+    ]);
+  });
+
+  it('should require a school once the event lists schools', async () => {
+    const response = await register('Team NoSchool', { firstName: 'Alice', lastName: 'Smith' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('School is required for every member');
+  });
+
+  it('should store the chosen school', async () => {
+    const response = await register('Team Evry', { firstName: 'Alice', lastName: 'Smith', schoolId: 1 });
+
+    expect(response.status).toBe(200);
+    const member = await env.DB.prepare(`SELECT school_id FROM members WHERE first_name = 'Alice'`).first();
+    expect(member.school_id).toBe(1);
+  });
+
+  it('should refuse a full school', async () => {
+    const first = await register('Team One', { firstName: 'Alice', lastName: 'Smith', schoolId: 2 });
+    const second = await register('Team Two', { firstName: 'Bob', lastName: 'Jones', schoolId: 2 });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(400);
+    expect((await second.json()).error).toBe('ENSIIE is full. Only 0 spots available.');
+  });
+
+  it('should reject an unknown school', async () => {
+    const response = await register('Team Unknown', { firstName: 'Alice', lastName: 'Smith', schoolId: 99 });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Admin schools', () => {
+  it('should create a school and reject duplicates', async () => {
+    const created = await adminFetch('/api/admin/schools', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'IUT Evry', maxParticipants: 20 })
+    });
+    const duplicate = await adminFetch('/api/admin/schools', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'iut evry' })
+    });
+
+    expect(created.status).toBe(201);
+    expect((await created.json()).school).toMatchObject({ name: 'IUT Evry', maxParticipants: 20, memberCount: 0 });
+    expect(duplicate.status).toBe(409);
+  });
+
+  it('should validate the capacity', async () => {
+    const response = await adminFetch('/api/admin/schools/1', {
+      method: 'PUT',
+      body: JSON.stringify({ maxParticipants: 0 })
+    });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should refuse to delete a school with participants', async () => {
+    await register('Team Evry', { firstName: 'Alice', lastName: 'Smith', schoolId: 1 });
+
+    const used = await adminFetch('/api/admin/schools/1', { method: 'DELETE' });
+    const unused = await adminFetch('/api/admin/schools/2', { method: 'DELETE' });
+
+    expect(used.status).toBe(409);
+    expect(unused.status).toBe(200);
+  });
+
+  it('should count participants per school in the stats', async () => {
+    await register('Team Evry', { firstName: 'Alice', lastName: 'Smith', schoolId: 1 });
+
+    const response = await adminFetch('/api/admin/stats');
+    const { stats } = await response.json();
+
+    expect(stats.schools).toEqual([
+      { id: 1, name: "Université d'Evry", participants: 1, max_participants: null, checked_in: 0 },
+      { id: 2, name: 'ENSIIE', participants: 0, max_participants: 1, checked_in: 0 }
+    ]);
+  });
+});
+
+describe('Official export with schools', () => {
+  it('should use each member\'s school and fall back to the default', async () => {
+    await register('Team Evry', { firstName: 'Alice', lastName: 'Smith', schoolId: 2 });
+    await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email) SELECT id, 'Bob', 'Jones', 'bob@example.com' FROM teams WHERE name = 'Team Evry'`);
+
+    const response = await adminFetch('/api/admin/export-official');
+    const csv = await response.text();
+
+    expect(csv).toMatch(/Alice.*ENSIIE/);
+    expect(csv).toMatch(/Bob.*Université Paris-Saclay/);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Team Credentials Tests
+ * Random passwords for imported teams and admin password regeneration
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { hashPassword } from '../src/shared/crypto.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS email_outbox (id INTEGER PRIMARY KEY AUTOINCREMENT, template TEXT NOT NULL, recipient TEXT NOT NULL, subject TEXT NOT NULL, body_text TEXT NOT NULL, body_html TEXT DEFAULT NULL, status TEXT NOT NULL DEFAULT 'pending', attempts INTEGER NOT NULL DEFAULT 0, last_error TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), last_attempt_at TEXT DEFAULT NULL, sent_at TEXT DEFAULT NULL)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS admin_audit (id INTEGER PRIMARY KEY AUTOINCREMENT, actor_id INTEGER DEFAULT NULL, actor_username TEXT NOT NULL, actor_role TEXT NOT NULL, action TEXT NOT NULL, target_type TEXT DEFAULT NULL, target_id TEXT DEFAULT NULL, target_label TEXT DEFAULT NULL, before_json TEXT DEFAULT NULL, after_json TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM email_outbox`);
+  await env.DB.exec(`DELETE FROM admin_audit`);
+});
+
+function adminFetch(path, body) {
+  return SELF.fetch(`http://localhost${path}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+function viewTeam(teamId, password) {
+  return SELF.fetch(`http://localhost/api/teams/${teamId}/view`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+}
+
+async function sentEmails() {
+  const { results } = await env.DB.prepare(`SELECT recipient, body_text FROM email_outbox WHERE template = 'team_credentials' ORDER BY id`).all();
+  return results;
+}
+
+const CSV = `id,firstname,lastname,email,fooddiet,baclevel,ismanager,teamName,date
+1,Jean,Dupont,jean@example.com,none,3,Yes,Import Team,2024-01-01
+2,Marie,Martin,marie@example.com,none,2,No,Import Team,2024-01-01`;
+
+describe('Imported team passwords', () => {
+  it('should give each new team a random password returned once', async () => {
+    const response = await adminFetch('/api/admin/import', { csv: CSV });
+    const data = await response.json();
+
+    expect(data.credentials).toHaveLength(1);
+    const [credential] = data.credentials;
+    expect(credential).toMatchObject({ teamName: 'Import Team', emailed: 0 });
+    expect(credential.password).toMatch(/^[a-zA-Z2-9]{12}$/);
+
+    const team = await env.DB.prepare(`SELECT id FROM teams WHERE name = 'Import Team'`).first();
+    expect((await viewTeam(team.id, credential.password)).status).toBe(200);
+    expect((await viewTeam(team.id, 'Import Team')).status).toBe(403);
+  });
+
+  it('should not return passwords for existing teams', async () => {
+    await env.DB.exec(`INSERT INTO teams (name, password_hash) VALUES ('Import Team', 'keep')`);
+
+    const response = await adminFetch('/api/admin/import', { csv: CSV });
+    const data = await response.json();
+
+    expect(data.credentials).toEqual([]);
+    const team = await env.DB.prepare(`SELECT password_hash FROM teams WHERE name = 'Import Team'`).first();
+    expect(team.password_hash).toBe('keep');
+  });
+
+  it('should email the password to the leaders when asked', async () => {
+    const response = await adminFetch('/api/admin/import', { csv: CSV, emailLeaders: true });
+    const data = await response.json();
+
+    expect(data.credentials[0].emailed).toBe(1);
+    const emails = await sentEmails();
+    expect(emails.map(e => e.recipient)).toEqual(['jean@example.com']);
+    expect(emails[0].body_text).not.toContain(data.credentials[0].password);
+    expect(emails[0].body_text).toContain('Mot de passe : [masqué]');
+  });
+
+  it('should not log passwords in the audit log', async () => {
+    const response = await adminFetch('/api/admin/import', { csv: CSV });
+    const { credentials } = await response.json();
+
+    const entry = await env.DB.prepare(`SELECT after_json FROM admin_audit WHERE action = 'import.csv'`).first();
+    expect(entry.after_json).not.toContain(credentials[0].password);
+  });
+});
+
+describe('Password regeneration', () => {
+  beforeEach(async () => {
+    await env.DB.exec(`INSERT INTO teams (id, name, password_hash) VALUES (1, 'Team Alpha', 'oldpassword')`);
+    await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email, is_leader) VALUES (1, 'Alice', 'Smith', 'alice@example.com', 1), (1, 'Bob', 'Jones', 'bob@example.com', 0)`);
+  });
+
+  it('should require authorization', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/teams/1/password', { method: 'POST' });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should replace the password', async () => {
+    const response = await adminFetch('/api/admin/teams/1/password', {});
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.emailed).toBe(0);
+    expect((await viewTeam(1, data.password)).status).toBe(200);
+    expect((await viewTeam(1, 'oldpassword')).status).toBe(403);
+    expect(await sentEmails()).toEqual([]);
+  });
+
+  it('should email the new password to the leaders when asked', async () => {
+    const response = await adminFetch('/api/admin/teams/1/password', { emailLeaders: true });
+    const data = await response.json();
+
+    expect(data.emailed).toBe(1);
+    const emails = await sentEmails();
+    expect(emails.map(e => e.recipient)).toEqual(['alice@example.com']);
+    expect(emails[0].body_text).not.toContain(data.password);
+    expect(emails[0].body_html).not.toContain(data.password);
+  });
+
+  it('should not resend nor retry a password email', async () => {
+    await adminFetch('/api/admin/teams/1/password', { emailLeaders: true });
+    await env.DB.exec(`UPDATE email_outbox SET status = 'failed', attempts = 1`);
+    const email = await env.DB.prepare(`SELECT id FROM email_outbox WHERE template = 'team_credentials'`).first();
+
+    const resend = await adminFetch(`/api/admin/emails/${email.id}/resend`, {});
+    const retry = await adminFetch('/api/admin/emails/retry', {});
+
+    expect(resend.status).toBe(409);
+    expect(await retry.json()).toMatchObject({ retried: 0 });
+  });
+
+  it('should record the change without the password', async () => {
+    const response = await adminFetch('/api/admin/teams/1/password', {});
+    const { password } = await response.json();
+
+    const entry = await env.DB.prepare(`SELECT target_label, after_json FROM admin_audit WHERE action = 'team.password_regenerate'`).first();
+    expect(entry.target_label).toBe('Team Alpha');
+    expect(entry.after_json).not.toContain(password);
+  });
+
+  it('should return 404 for an unknown team', async () => {
+    const response = await adminFetch('/api/admin/teams/99/password', {});
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('Default password regeneration', () => {
+  beforeEach(async () => {
+    await env.DB.prepare(`INSERT INTO teams (id, name, password_hash) VALUES (1, 'Team Alpha', ?), (2, 'Team Beta', ?)`)
+      .bind(await hashPassword('Team Alpha'), await hashPassword('secret123')).run();
+    await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email, is_leader) VALUES (1, 'Alice', 'Smith', 'alice@example.com', 1), (2, 'Bob', 'Jones', 'bob@example.com', 1)`);
+  });
+
+  it('should require authorization', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/teams/passwords/default', { method: 'POST' });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should only replace passwords equal to the team name', async () => {
+    const response = await adminFetch('/api/admin/teams/passwords/default', { emailLeaders: true });
+    const { credentials } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(credentials).toHaveLength(1);
+    expect(credentials[0]).toMatchObject({ teamName: 'Team Alpha', emailed: 1 });
+    expect((await viewTeam(1, credentials[0].password)).status).toBe(200);
+    expect((await viewTeam(1, 'Team Alpha')).status).toBe(403);
+    expect((await viewTeam(2, 'secret123')).status).toBe(200);
+    expect((await sentEmails()).map(e => e.recipient)).toEqual(['alice@example.com']);
+  });
+
+  it('should record the teams without their passwords', async () => {
+    const response = await adminFetch('/api/admin/teams/passwords/default', {});
+    const { credentials } = await response.json();
+
+    const entry = await env.DB.prepare(`SELECT after_json FROM admin_audit WHERE action = 'team.password_regenerate_default'`).first();
+    expect(JSON.parse(entry.after_json).teams).toEqual(['Team Alpha']);
+    expect(entry.after_json).not.toContain(credentials[0].password);
+  });
+});
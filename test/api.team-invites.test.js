@@ -0,0 +1,177 @@
+/**
+ * Team Invitation Links API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { createInviteToken, verifyInviteToken } from '../src/shared/team-invites.js';
+
+const PASSWORD = 'secret123';
+
+beforeAll(async () => {
+  // Schema after migration 026
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS team_changes (id INTEGER PRIMARY KEY AUTOINCREMENT, team_id INTEGER NOT NULL, team_name TEXT NOT NULL, member_id INTEGER DEFAULT NULL, action TEXT NOT NULL, details TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS team_invites (id INTEGER PRIMARY KEY AUTOINCREMENT, team_id INTEGER NOT NULL, label TEXT DEFAULT '', max_uses INTEGER NOT NULL, use_count INTEGER NOT NULL DEFAULT 0, expires_at TEXT NOT NULL, revoked_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS team_invite_uses (id INTEGER PRIMARY KEY AUTOINCREMENT, invite_id INTEGER NOT NULL, member_id INTEGER NOT NULL, used_at TEXT DEFAULT (datetime('now')))`);
+});
+
+let teamId;
+
+function register(body) {
+  return SELF.fetch('http://localhost/api/register', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+function joinWithInvite(inviteToken, firstName, lastName) {
+  return register({
+    createNewTeam: false,
+    inviteToken,
+    members: [{ firstName, lastName, email: `${firstName.toLowerCase()}@example.com`, bacLevel: 1, foodDiet: 'margherita' }]
+  });
+}
+
+function teamFetch(path, method, body) {
+  return SELF.fetch(`http://localhost/api/teams/${teamId}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password: PASSWORD, ...body })
+  });
+}
+
+async function createInvite(options = {}) {
+  const response = await teamFetch('/invites', 'POST', options);
+  const { invite } = await response.json();
+  return { invite, token: /invite=([\w.]+)/.exec(invite.link)[1] };
+}
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM team_invite_uses`);
+  await env.DB.exec(`DELETE FROM team_invites`);
+  await env.DB.exec(`DELETE FROM team_changes`);
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+
+  const response = await register({
+    createNewTeam: true,
+    teamName: 'Team Alpha',
+    teamPassword: PASSWORD,
+    members: [{ firstName: 'Alice', lastName: 'Smith', email: 'alice@example.com', bacLevel: 1, isLeader: true, foodDiet: 'margherita' }]
+  });
+  teamId = (await response.json()).team.id;
+});
+
+describe('Creating invitation links', () => {
+  it('should create a link with the team password', async () => {
+    const response = await teamFetch('/invites', 'POST', { label: 'Discord', maxUses: 2, expiresInHours: 24 });
+    const { invite } = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(invite).toMatchObject({ label: 'Discord', maxUses: 2, useCount: 0, status: 'active' });
+    expect(invite.link).toMatch(/\?invite=\d+\.[a-f0-9]{32}#inscription$/);
+  });
+
+  it('should require the team password', async () => {
+    const response = await teamFetch('/invites', 'POST', { password: 'wrong' });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should validate the limits', async () => {
+    const uses = await teamFetch('/invites', 'POST', { maxUses: 0 });
+    const hours = await teamFetch('/invites', 'POST', { expiresInHours: 10_000 });
+
+    expect(uses.status).toBe(400);
+    expect(hours.status).toBe(400);
+  });
+});
+
+describe('Joining with an invitation link', () => {
+  it('should show the team behind a link', async () => {
+    const { token } = await createInvite({ maxUses: 3 });
+
+    const response = await SELF.fetch(`http://localhost/api/invites/${token}`);
+    const { invite } = await response.json();
+
+    expect(invite).toMatchObject({ teamId, teamName: 'Team Alpha', usesLeft: 3 });
+  });
+
+  it('should join without the password and record the use', async () => {
+    const { token } = await createInvite();
+
+    const response = await joinWithInvite(token, 'Bob', 'Jones');
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).team).toMatchObject({ id: teamId, name: 'Team Alpha' });
+
+    const list = await teamFetch('/invites/list', 'POST');
+    const [invite] = (await list.json()).invites;
+    expect(invite.useCount).toBe(1);
+    expect(invite.uses.map(u => u.name)).toEqual(['Bob Jones']);
+  });
+
+  it('should stop at the maximum number of uses', async () => {
+    const { token } = await createInvite({ maxUses: 1 });
+
+    await joinWithInvite(token, 'Bob', 'Jones');
+    const second = await joinWithInvite(token, 'Carol', 'White');
+
+    expect(second.status).toBe(410);
+  });
+
+  it('should refuse a revoked link', async () => {
+    const { invite, token } = await createInvite();
+
+    const revoke = await teamFetch(`/invites/${invite.id}`, 'DELETE');
+    const response = await joinWithInvite(token, 'Bob', 'Jones');
+
+    expect(revoke.status).toBe(200);
+    expect(response.status).toBe(410);
+    const list = await teamFetch('/invites/list', 'POST');
+    expect((await list.json()).invites[0]).toMatchObject({ status: 'revoked', link: null });
+  });
+
+  it('should refuse an expired link', async () => {
+    const { invite, token } = await createInvite();
+    await env.DB.prepare(`UPDATE team_invites SET expires_at = datetime('now', '-1 minute') WHERE id = ?`).bind(invite.id).run();
+
+    const response = await joinWithInvite(token, 'Bob', 'Jones');
+
+    expect(response.status).toBe(410);
+  });
+
+  it('should give the use back when the registration fails', async () => {
+    const { invite, token } = await createInvite({ maxUses: 1 });
+
+    // Alice Smith is already registered
+    const duplicate = await joinWithInvite(token, 'Alice', 'Smith');
+    const retry = await joinWithInvite(token, 'Bob', 'Jones');
+
+    expect(duplicate.status).toBe(400);
+    expect(retry.status).toBe(200);
+    const row = await env.DB.prepare('SELECT use_count FROM team_invites WHERE id = ?').bind(invite.id).first();
+    expect(row.use_count).toBe(1);
+  });
+
+  it('should refuse a forged token', async () => {
+    const { invite } = await createInvite();
+
+    const response = await joinWithInvite(`${invite.id}.${'0'.repeat(32)}`, 'Bob', 'Jones');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('Invite tokens', () => {
+  it('should round-trip and reject tampering', async () => {
+    const token = await createInviteToken(env, 42);
+
+    expect(await verifyInviteToken(env, token)).toBe(42);
+    expect(await verifyInviteToken(env, token.replace(/^42/, '43'))).toBeNull();
+  });
+});
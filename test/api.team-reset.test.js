@@ -0,0 +1,174 @@
+/**
+ * Team Password Reset API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { createTeamResetToken, verifyTeamResetToken, TEAM_RESET_TOKEN_TTL } from '../src/shared/team-reset.js';
+import { RESET_LIMIT_PER_TEAM, RESET_LIMIT_PER_IP } from '../src/api/team-reset.js';
+
+beforeAll(async () => {
+  // Schema after migration 025
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS team_changes (id INTEGER PRIMARY KEY AUTOINCREMENT, team_id INTEGER NOT NULL, team_name TEXT NOT NULL, member_id INTEGER DEFAULT NULL, action TEXT NOT NULL, details TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS email_outbox (id INTEGER PRIMARY KEY AUTOINCREMENT, template TEXT NOT NULL, recipient TEXT NOT NULL, subject TEXT NOT NULL, body_text TEXT NOT NULL, body_html TEXT DEFAULT NULL, status TEXT NOT NULL DEFAULT 'pending', attempts INTEGER NOT NULL DEFAULT 0, last_error TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), last_attempt_at TEXT DEFAULT NULL, sent_at TEXT DEFAULT NULL)`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS password_reset_requests (id INTEGER PRIMARY KEY AUTOINCREMENT, team_id INTEGER NOT NULL, ip TEXT NOT NULL DEFAULT '', created_at TEXT DEFAULT (datetime('now')))`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM team_changes`);
+  await env.DB.exec(`DELETE FROM email_outbox`);
+  await env.DB.exec(`DELETE FROM password_reset_requests`);
+
+  await env.DB.exec(`INSERT INTO teams (id, name, password_hash) VALUES (1, 'Team Alpha', 'oldpassword')`);
+  await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email, is_leader) VALUES (1, 'Alice', 'Smith', 'alice@example.com', 1), (1, 'Bob', 'Jones', 'bob@example.com', 0)`);
+});
+
+function requestReset(teamId, ip = '203.0.113.1') {
+  return SELF.fetch(`http://localhost/api/teams/${teamId}/password-reset`, {
+    method: 'POST',
+    headers: { 'CF-Connecting-IP': ip }
+  });
+}
+
+function resetPassword(token, password) {
+  return SELF.fetch('http://localhost/api/teams/reset-password', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token, password })
+  });
+}
+
+function viewTeam(password) {
+  return SELF.fetch('http://localhost/api/teams/1/view', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+}
+
+async function sentEmails() {
+  const { results } = await env.DB.prepare(`SELECT recipient, body_text FROM email_outbox WHERE template = 'team_password_reset' ORDER BY id`).all();
+  return results;
+}
+
+describe('Password reset request', () => {
+  it('should email a link to the team leaders only', async () => {
+    const response = await requestReset(1);
+
+    expect(response.status).toBe(200);
+    const emails = await sentEmails();
+    expect(emails.map(e => e.recipient)).toEqual(['alice@example.com']);
+    expect(emails[0].body_text).toContain('Team Alpha');
+    expect(emails[0].body_text).toMatch(/\/\?reset=1\.\d+\.[a-f0-9]{32}/);
+  });
+
+  it('should answer the same for a team without leaders', async () => {
+    await env.DB.exec(`UPDATE members SET is_leader = 0`);
+
+    const response = await requestReset(1);
+
+    expect(response.status).toBe(200);
+    expect(await sentEmails()).toEqual([]);
+  });
+
+  it('should return 404 for an unknown team', async () => {
+    const response = await requestReset(99);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should limit requests per team', async () => {
+    for (let i = 0; i < RESET_LIMIT_PER_TEAM; i++) {
+      expect((await requestReset(1, `203.0.113.${i + 1}`)).status).toBe(200);
+    }
+
+    const response = await requestReset(1, '203.0.113.100');
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBeTruthy();
+    expect(await sentEmails()).toHaveLength(RESET_LIMIT_PER_TEAM);
+  });
+
+  it('should limit requests per IP across teams', async () => {
+    for (let i = 0; i < RESET_LIMIT_PER_IP; i++) {
+      await env.DB.prepare(`INSERT INTO password_reset_requests (team_id, ip) VALUES (?, '198.51.100.7')`).bind(100 + i).run();
+    }
+
+    const response = await requestReset(1, '198.51.100.7');
+
+    expect(response.status).toBe(429);
+  });
+});
+
+describe('Password reset', () => {
+  async function emailedToken() {
+    await requestReset(1);
+    const [email] = await sentEmails();
+    return /reset=([\w.]+)/.exec(email.body_text)[1];
+  }
+
+  it('should set a new password from the emailed link', async () => {
+    const token = await emailedToken();
+
+    const response = await resetPassword(token, 'newpassword');
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).teamName).toBe('Team Alpha');
+    expect((await viewTeam('newpassword')).status).toBe(200);
+    expect((await viewTeam('oldpassword')).status).toBe(403);
+
+    const team = await env.DB.prepare('SELECT password_hash FROM teams WHERE id = 1').first();
+    expect(team.password_hash).toMatch(/^[a-f0-9]{32}:[a-f0-9]+$/);
+    const change = await env.DB.prepare('SELECT action FROM team_changes WHERE team_id = 1').first();
+    expect(change.action).toBe('password_reset');
+  });
+
+  it('should accept a link only once', async () => {
+    const token = await emailedToken();
+
+    await resetPassword(token, 'newpassword');
+    const reused = await resetPassword(token, 'otherpassword');
+
+    expect(reused.status).toBe(400);
+    expect((await viewTeam('newpassword')).status).toBe(200);
+  });
+
+  it('should reject a short password', async () => {
+    const token = await emailedToken();
+
+    const response = await resetPassword(token, 'abc');
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject a forged token', async () => {
+    const token = await emailedToken();
+
+    const response = await resetPassword(token.replace(/^1\./, '2.'), 'newpassword');
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Reset tokens', () => {
+  const team = { id: 1, password_hash: 'hash' };
+
+  it('should expire', async () => {
+    const now = 1_700_000_000;
+    const token = await createTeamResetToken(env, team, now);
+
+    expect(await verifyTeamResetToken(env, token, team, now + TEAM_RESET_TOKEN_TTL)).toBe(true);
+    expect(await verifyTeamResetToken(env, token, team, now + TEAM_RESET_TOKEN_TTL + 1)).toBe(false);
+  });
+
+  it('should be bound to the current password', async () => {
+    const token = await createTeamResetToken(env, team);
+
+    expect(await verifyTeamResetToken(env, token, { ...team, password_hash: 'other' })).toBe(false);
+  });
+});
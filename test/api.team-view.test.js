@@ -8,8 +8,9 @@ import { env, SELF } from 'cloudflare:test';
 
 beforeAll(async () => {
   // Setup schema
-  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
-  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS team_changes (id INTEGER PRIMARY KEY AUTOINCREMENT, team_id INTEGER NOT NULL, team_name TEXT NOT NULL, member_id INTEGER DEFAULT NULL, action TEXT NOT NULL, details TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
 });
 
 describe('Team View - Password Authentication', () => {
@@ -237,3 +238,146 @@ describe('Team View - Error Handling', () => {
     expect([200, 400, 403, 404, 500]).toContain(response.status);
   });
 });
+
+describe('Team Self-Service Edits', () => {
+  let teamId;
+  let leaderId;
+  let memberId;
+
+  function teamRequest(path, method, body) {
+    return SELF.fetch(`http://localhost/api/teams/${teamId}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  beforeEach(async () => {
+    await env.DB.exec(`DELETE FROM team_changes`);
+    await env.DB.exec(`DELETE FROM members`);
+    await env.DB.exec(`DELETE FROM teams`);
+
+    const team = await env.DB.prepare(
+      `INSERT INTO teams (name, description, password_hash) VALUES (?, ?, ?)`
+    ).bind('Edit Team', 'Before', 'teampass').run();
+    teamId = team.meta.last_row_id;
+
+    const leader = await env.DB.prepare(
+      `INSERT INTO members (team_id, first_name, last_name, email, bac_level, is_leader, food_diet) VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).bind(teamId, 'Lea', 'Leader', 'lea@example.com', 3, 1, 'margherita').run();
+    leaderId = leader.meta.last_row_id;
+
+    const member = await env.DB.prepare(
+      `INSERT INTO members (team_id, first_name, last_name, email, bac_level, is_leader, food_diet) VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).bind(teamId, 'Max', 'Membre', 'max@example.com', 2, 0, 'margherita').run();
+    memberId = member.meta.last_row_id;
+  });
+
+  it('should reject edits with an incorrect password', async () => {
+    const response = await teamRequest(`/members/${memberId}`, 'PUT', { password: 'wrong', foodDiet: 'reine' });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should update member fields and log the change', async () => {
+    const response = await teamRequest(`/members/${memberId}`, 'PUT', { password: 'teampass', lastName: 'Martin', foodDiet: 'reine' });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.member.lastName).toBe('Martin');
+    expect(data.member.foodDiet).toBe('reine');
+
+    const change = await env.DB.prepare('SELECT * FROM team_changes WHERE member_id = ?').bind(memberId).first();
+    expect(change.action).toBe('member_updated');
+    expect(JSON.parse(change.details).after).toEqual({ lastName: 'Martin', foodDiet: 'reine' });
+  });
+
+  it('should not edit members of another team', async () => {
+    const other = await env.DB.prepare(`INSERT INTO teams (name, password_hash) VALUES ('Other', 'otherpass')`).run();
+    const outsider = await env.DB.prepare(
+      `INSERT INTO members (team_id, first_name, last_name, email) VALUES (?, 'Out', 'Sider', 'out@example.com')`
+    ).bind(other.meta.last_row_id).run();
+
+    const response = await teamRequest(`/members/${outsider.meta.last_row_id}`, 'PUT', { password: 'teampass', lastName: 'Changed' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should rename a member onto a trashed name', async () => {
+    await env.DB.prepare(
+      `INSERT INTO members (team_id, first_name, last_name, email, deleted_at) VALUES (?, 'Max', 'Martin', 'old@example.com', datetime('now'))`
+    ).bind(teamId).run();
+
+    const response = await teamRequest(`/members/${memberId}`, 'PUT', { password: 'teampass', lastName: 'Martin' });
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should keep at least one leader', async () => {
+    const response = await teamRequest(`/members/${leaderId}`, 'PUT', { password: 'teampass', isLeader: false });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should remove a member', async () => {
+    const response = await teamRequest(`/members/${memberId}`, 'DELETE', { password: 'teampass' });
+
+    expect(response.status).toBe(200);
+    const member = await env.DB.prepare('SELECT id FROM members WHERE id = ? AND deleted_at IS NULL').bind(memberId).first();
+    expect(member).toBeNull();
+
+    const change = await env.DB.prepare(`SELECT * FROM team_changes WHERE action = 'member_removed'`).first();
+    expect(change.team_name).toBe('Edit Team');
+  });
+
+  it('should not remove the only leader', async () => {
+    const response = await teamRequest(`/members/${leaderId}`, 'DELETE', { password: 'teampass' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should change the team description', async () => {
+    const response = await teamRequest('/description', 'PUT', { password: 'teampass', description: 'After' });
+
+    expect(response.status).toBe(200);
+    const team = await env.DB.prepare('SELECT description FROM teams WHERE id = ?').bind(teamId).first();
+    expect(team.description).toBe('After');
+  });
+
+  it('should rotate the team password', async () => {
+    const response = await teamRequest('/password', 'PUT', { password: 'teampass', newPassword: 'newpass123' });
+    expect(response.status).toBe(200);
+
+    const oldLogin = await teamRequest('/view', 'POST', { password: 'teampass' });
+    const newLogin = await teamRequest('/view', 'POST', { password: 'newpass123' });
+
+    expect(oldLogin.status).toBe(403);
+    expect(newLogin.status).toBe(200);
+  });
+
+  it('should reject a too short new password', async () => {
+    const response = await teamRequest('/password', 'PUT', { password: 'teampass', newPassword: 'abc' });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('GET /api/admin/team-changes', () => {
+  it('should require admin authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/team-changes');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should list changes', async () => {
+    await env.DB.exec(`INSERT INTO team_changes (team_id, team_name, action) VALUES (1, 'Logged Team', 'password_changed')`);
+
+    const response = await SELF.fetch('http://localhost/api/admin/team-changes', {
+      headers: { 'Authorization': 'Bearer test-admin-token' }
+    });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.changes.some(c => c.team_name === 'Logged Team')).toBe(true);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Ticket and Scan Check-in API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { createTicketToken, verifyTicketToken } from '../src/shared/tickets.js';
+import { encodeQR } from '../src/shared/qrcode.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+const EVENT_YEAR = 2025;
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, payment_status TEXT DEFAULT 'unpaid', payment_method TEXT DEFAULT NULL, checkout_id TEXT DEFAULT NULL, transaction_id TEXT DEFAULT NULL, registration_tier TEXT DEFAULT NULL, payment_tier TEXT DEFAULT NULL, payment_amount INTEGER DEFAULT NULL, refunded_amount INTEGER DEFAULT 0, payment_confirmed_at TEXT DEFAULT NULL, ticket_scanned_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM settings`);
+
+  await env.DB.exec(`INSERT INTO settings (key, value) VALUES ('event_year', '${EVENT_YEAR}')`);
+  await env.DB.exec(`INSERT INTO teams (id, name, description) VALUES (1, 'Test Team', 'A test team')`);
+  await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email) VALUES (1, 1, 'Alice', 'Smith', 'alice@example.com')`);
+  await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email, payment_status, registration_tier, payment_amount) VALUES (2, 1, 'Bob', 'Jones', 'bob@example.com', 'paid', 'tier1', 500)`);
+});
+
+function scan(token, authToken = ADMIN_TOKEN) {
+  return SELF.fetch('http://localhost/api/admin/attendance/scan', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${authToken}` },
+    body: JSON.stringify({ token })
+  });
+}
+
+describe('Ticket tokens', () => {
+  it('should round-trip a signed ticket', async () => {
+    const token = await createTicketToken(env, 42, EVENT_YEAR);
+
+    expect(token).toMatch(/^NDI-42-2025-[a-f0-9]{32}$/);
+    expect(await verifyTicketToken(env, token)).toEqual({ memberId: 42, year: EVENT_YEAR });
+  });
+
+  it('should reject tampered tickets', async () => {
+    const token = await createTicketToken(env, 42, EVENT_YEAR);
+    const forged = token.replace('NDI-42-', 'NDI-43-');
+
+    expect(await verifyTicketToken(env, forged)).toBeNull();
+    expect(await verifyTicketToken(env, 'not a ticket')).toBeNull();
+  });
+
+  it('should encode tickets as QR codes', async () => {
+    const qr = encodeQR(await createTicketToken(env, 42, EVENT_YEAR));
+
+    expect(qr.size).toBe(33); // version 4
+    expect(qr.modules).toHaveLength(33);
+  });
+});
+
+describe('POST /api/admin/attendance/scan', () => {
+  it('should require admin authentication', async () => {
+    const token = await createTicketToken(env, 1, EVENT_YEAR);
+
+    const response = await scan(token, 'wrong-token');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should check in the member of a valid ticket', async () => {
+    const token = await createTicketToken(env, 1, EVENT_YEAR);
+
+    const response = await scan(token);
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.member.first_name).toBe('Alice');
+    expect(data.member.team_name).toBe('Test Team');
+
+    const member = await env.DB.prepare('SELECT checked_in, ticket_scanned_at FROM members WHERE id = 1').first();
+    expect(member.checked_in).toBe(1);
+    expect(member.ticket_scanned_at).not.toBeNull();
+  });
+
+  it('should confirm online payments on scan', async () => {
+    const token = await createTicketToken(env, 2, EVENT_YEAR);
+
+    await scan(token);
+
+    const member = await env.DB.prepare('SELECT payment_tier, payment_amount FROM members WHERE id = 2').first();
+    expect(member.payment_tier).toBe('online_tier1');
+    expect(member.payment_amount).toBe(500);
+  });
+
+  it('should reject forged tickets', async () => {
+    const response = await scan(`NDI-1-${EVENT_YEAR}-${'0'.repeat(32)}`);
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject tickets from another event year', async () => {
+    const token = await createTicketToken(env, 1, EVENT_YEAR - 1);
+
+    const response = await scan(token);
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject members already checked in', async () => {
+    await env.DB.exec(`UPDATE members SET checked_in = 1 WHERE id = 1`);
+    const token = await createTicketToken(env, 1, EVENT_YEAR);
+
+    const response = await scan(token);
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should reject replayed tickets after a check-out', async () => {
+    const token = await createTicketToken(env, 1, EVENT_YEAR);
+    await scan(token);
+    await SELF.fetch('http://localhost/api/admin/attendance/check-out/1', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+    });
+
+    const response = await scan(token);
+    const data = await response.json();
+
+    expect(response.status).toBe(409);
+    expect(data.error).toBe('Ticket already used');
+  });
+
+  it('should return 404 for deleted members', async () => {
+    await env.DB.exec(`UPDATE members SET deleted_at = datetime('now') WHERE id = 1`);
+    const token = await createTicketToken(env, 1, EVENT_YEAR);
+
+    const response = await scan(token);
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('GET /api/tickets/:token/qr', () => {
+  it('should render a PNG for a valid ticket', async () => {
+    const token = await createTicketToken(env, 1, EVENT_YEAR);
+
+    const response = await SELF.fetch(`http://localhost/api/tickets/${token}/qr`);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('image/png');
+    expect([...bytes.slice(1, 4)]).toEqual([0x50, 0x4E, 0x47]); // "PNG"
+  });
+
+  it('should refuse to render forged tickets', async () => {
+    const response = await SELF.fetch(`http://localhost/api/tickets/NDI-1-${EVENT_YEAR}-${'0'.repeat(32)}/qr`);
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Trash (Soft Delete) API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM settings`);
+
+  await env.DB.exec(`INSERT INTO teams (id, name, description) VALUES (1, 'Team Alpha', 'First team')`);
+  await env.DB.exec(`INSERT INTO teams (id, name, description) VALUES (2, 'Team Beta', 'Second team')`);
+  await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email) VALUES (1, 1, 'Alice', 'Smith', 'alice@example.com')`);
+  await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email) VALUES (2, 1, 'Bob', 'Jones', 'bob@example.com')`);
+  await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email) VALUES (3, 2, 'Charlie', 'Brown', 'charlie@example.com')`);
+});
+
+function adminFetch(path, options = {}) {
+  return SELF.fetch(`http://localhost/api/admin${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${ADMIN_TOKEN}`, ...options.headers }
+  });
+}
+
+async function getTrash() {
+  const response = await adminFetch('/trash');
+  return response.json();
+}
+
+describe('Soft delete', () => {
+  it('should keep deleted members in the database but hide them', async () => {
+    await adminFetch('/members/2', { method: 'DELETE' });
+
+    const row = await env.DB.prepare('SELECT deleted_at FROM members WHERE id = 2').first();
+    expect(row.deleted_at).not.toBeNull();
+
+    const response = await SELF.fetch('http://localhost/api/stats');
+    const stats = await response.json();
+    expect(stats.stats.total_participants).toBe(2);
+  });
+
+  it('should move a team and its members to the trash', async () => {
+    await adminFetch('/teams/1', { method: 'DELETE' });
+
+    const team = await SELF.fetch('http://localhost/api/teams/1');
+    expect(team.status).toBe(404);
+
+    const trash = await getTrash();
+    expect(trash.teams).toHaveLength(1);
+    expect(trash.teams[0].member_count).toBe(2);
+    // Members deleted along with their team are restored with it, not listed separately
+    expect(trash.members).toHaveLength(0);
+  });
+
+  it('should list members deleted on their own', async () => {
+    await adminFetch('/members/delete-batch', { method: 'POST', body: JSON.stringify({ memberIds: [1, 3] }) });
+
+    const trash = await getTrash();
+
+    expect(trash.members).toHaveLength(2);
+    expect(trash.members.every(m => m.team_deleted === false)).toBe(true);
+  });
+
+  it('should let a new registration reuse a trashed name', async () => {
+    await adminFetch('/members/3', { method: 'DELETE' });
+
+    const response = await adminFetch('/members', {
+      method: 'POST',
+      body: JSON.stringify({ teamId: 1, firstName: 'Charlie', lastName: 'Brown', email: 'charlie@new.example.com' })
+    });
+
+    expect(response.status).toBe(200);
+    const trash = await getTrash();
+    expect(trash.members).toHaveLength(1);
+    expect(trash.members[0].last_name).toBe('Brown');
+
+    const restore = await adminFetch('/trash/members/3/restore', { method: 'POST' });
+    expect(restore.status).toBe(409);
+  });
+
+  it('should let a member be renamed onto a trashed name', async () => {
+    await adminFetch('/members/3', { method: 'DELETE' });
+
+    const response = await adminFetch('/members/2', {
+      method: 'PUT',
+      body: JSON.stringify({ firstName: 'Charlie', lastName: 'Brown' })
+    });
+
+    expect(response.status).toBe(200);
+    const member = await env.DB.prepare('SELECT first_name, last_name FROM members WHERE id = 2').first();
+    expect(member).toEqual({ first_name: 'Charlie', last_name: 'Brown' });
+  });
+
+  it('should let a team be renamed onto a trashed name', async () => {
+    await adminFetch('/teams/2', { method: 'DELETE' });
+
+    const response = await adminFetch('/teams/1', {
+      method: 'PUT',
+      body: JSON.stringify({ name: 'Team Beta' })
+    });
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should refuse to rename onto a live name', async () => {
+    const member = await adminFetch('/members/2', {
+      method: 'PUT',
+      body: JSON.stringify({ firstName: 'Charlie', lastName: 'Brown' })
+    });
+    const team = await adminFetch('/teams/1', {
+      method: 'PUT',
+      body: JSON.stringify({ name: 'Team Beta' })
+    });
+
+    expect(member.status).toBe(409);
+    expect(team.status).toBe(409);
+  });
+});
+
+describe('POST /api/admin/trash/teams/:id/restore', () => {
+  it('should require admin authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/trash/teams/1/restore', { method: 'POST' });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should restore the team with the members deleted along with it', async () => {
+    await adminFetch('/members/2', { method: 'DELETE' });
+    await adminFetch('/teams/1', { method: 'DELETE' });
+
+    const response = await adminFetch('/trash/teams/1/restore', { method: 'POST' });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.restoredMembers).toBe(1);
+
+    // Bob was deleted before the team and stays in the trash
+    const trash = await getTrash();
+    expect(trash.teams).toHaveLength(0);
+    expect(trash.members).toHaveLength(1);
+    expect(trash.members[0].first_name).toBe('Bob');
+  });
+
+  it('should refuse when the event is full', async () => {
+    await adminFetch('/teams/1', { method: 'DELETE' });
+    await env.DB.exec(`INSERT INTO settings (key, value) VALUES ('max_total_participants', '2')`);
+    await env.DB.exec(`INSERT INTO members (team_id, first_name, last_name, email) VALUES (2, 'Diana', 'Prince', 'diana@example.com')`);
+
+    const response = await adminFetch('/trash/teams/1/restore', { method: 'POST' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 404 for a team that is not in the trash', async () => {
+    const response = await adminFetch('/trash/teams/2/restore', { method: 'POST' });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('POST /api/admin/trash/members/:id/restore', () => {
+  it('should restore a member into its team', async () => {
+    await adminFetch('/members/3', { method: 'DELETE' });
+
+    const response = await adminFetch('/trash/members/3/restore', { method: 'POST' });
+
+    expect(response.status).toBe(200);
+    const row = await env.DB.prepare('SELECT deleted_at FROM members WHERE id = 3').first();
+    expect(row.deleted_at).toBeNull();
+  });
+
+  it('should require the team to be restored first', async () => {
+    await adminFetch('/members/2', { method: 'DELETE' });
+    await adminFetch('/teams/1', { method: 'DELETE' });
+
+    const response = await adminFetch('/trash/members/2/restore', { method: 'POST' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should respect the team size limit', async () => {
+    await adminFetch('/members/2', { method: 'DELETE' });
+    await env.DB.exec(`INSERT INTO settings (key, value) VALUES ('max_team_size', '1')`);
+
+    const response = await adminFetch('/trash/members/2/restore', { method: 'POST' });
+
+    expect(response.status).toBe(400);
+  });
+});
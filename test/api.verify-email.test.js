@@ -0,0 +1,151 @@
+/**
+ * Email Verification API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+import { createVerificationToken } from '../src/shared/email-verification.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, email_verified_at TEXT DEFAULT NULL, verification_sent_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS email_outbox (id INTEGER PRIMARY KEY AUTOINCREMENT, template TEXT NOT NULL, recipient TEXT NOT NULL, subject TEXT NOT NULL, body_text TEXT NOT NULL, body_html TEXT DEFAULT NULL, status TEXT NOT NULL DEFAULT 'pending', attempts INTEGER NOT NULL DEFAULT 0, last_error TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), last_attempt_at TEXT DEFAULT NULL, sent_at TEXT DEFAULT NULL)`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM email_outbox`);
+  await env.DB.exec(`INSERT INTO teams (name, description, password_hash) VALUES ('Organisation', 'Équipe organisatrice', '')`);
+});
+
+function adminFetch(path, options = {}) {
+  return SELF.fetch(`http://localhost/api/admin${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${ADMIN_TOKEN}`, ...options.headers }
+  });
+}
+
+async function registerTeam() {
+  const response = await SELF.fetch('http://localhost/api/register', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      createNewTeam: true,
+      teamName: 'Verified Team',
+      teamPassword: 'testpass123',
+      members: [
+        { firstName: 'Alice', lastName: 'Martin', email: 'alice@example.com', bacLevel: 2, isLeader: true, foodDiet: 'none' },
+        { firstName: 'Bob', lastName: 'Durand', email: 'bob@example.com', bacLevel: 1, isLeader: false, foodDiet: 'none' }
+      ]
+    })
+  });
+  expect(response.status).toBe(200);
+  return (await response.json()).members;
+}
+
+async function getVerificationLinks() {
+  const { results } = await env.DB.prepare(`SELECT recipient, body_text FROM email_outbox WHERE template = 'email_verification' ORDER BY id`).all();
+  return results.map(r => ({ recipient: r.recipient, path: /\/api\/verify-email\/[\w-]+/.exec(r.body_text)[0] }));
+}
+
+function getMember(id) {
+  return env.DB.prepare('SELECT * FROM members WHERE id = ?').bind(id).first();
+}
+
+describe('Verification emails', () => {
+  it('should send a verification link to every registered member', async () => {
+    await registerTeam();
+
+    const links = await getVerificationLinks();
+    expect(links.map(l => l.recipient)).toEqual(['alice@example.com', 'bob@example.com']);
+  });
+
+  it('should record when the link was delivered', async () => {
+    const [alice] = await registerTeam();
+
+    const member = await getMember(alice.id);
+    expect(member.verification_sent_at).not.toBeNull();
+  });
+});
+
+describe('GET /api/verify-email/:token', () => {
+  it('should mark the member email as verified', async () => {
+    const [alice] = await registerTeam();
+    const [link] = await getVerificationLinks();
+
+    const response = await SELF.fetch(`http://localhost${link.path}`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toContain('text/html');
+
+    const member = await getMember(alice.id);
+    expect(member.email_verified_at).not.toBeNull();
+  });
+
+  it('should reject tampered tokens', async () => {
+    const [alice] = await registerTeam();
+    const token = await createVerificationToken(env, alice.id, 'alice@example.com');
+    const forged = `${alice.id + 1}-${token.split('-')[1]}`;
+
+    const response = await SELF.fetch(`http://localhost/api/verify-email/${forged}`);
+    expect(response.status).toBe(404);
+  });
+
+  it('should reject malformed tokens', async () => {
+    const response = await SELF.fetch('http://localhost/api/verify-email/not-a-token');
+    expect(response.status).toBe(404);
+  });
+
+  it('should invalidate links after an email change', async () => {
+    const [alice] = await registerTeam();
+    const [oldLink] = await getVerificationLinks();
+    await SELF.fetch(`http://localhost${oldLink.path}`);
+
+    const response = await adminFetch(`/members/${alice.id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ email: 'alice.martin@example.com' })
+    });
+    expect(response.status).toBe(200);
+    expect((await getMember(alice.id)).email_verified_at).toBeNull();
+
+    expect((await SELF.fetch(`http://localhost${oldLink.path}`)).status).toBe(404);
+
+    const newLink = (await getVerificationLinks()).find(l => l.recipient === 'alice.martin@example.com');
+    expect((await SELF.fetch(`http://localhost${newLink.path}`)).status).toBe(200);
+    expect((await getMember(alice.id)).email_verified_at).not.toBeNull();
+  });
+});
+
+describe('POST /api/admin/members/:id/resend-verification', () => {
+  it('should require authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/members/1/resend-verification', { method: 'POST' });
+    expect(response.status).toBe(401);
+  });
+
+  it('should send a new link to an unverified member', async () => {
+    const [, bob] = await registerTeam();
+
+    const response = await adminFetch(`/members/${bob.id}/resend-verification`, { method: 'POST' });
+    expect(response.status).toBe(200);
+
+    const links = await getVerificationLinks();
+    expect(links.filter(l => l.recipient === 'bob@example.com')).toHaveLength(2);
+  });
+
+  it('should refuse members already verified', async () => {
+    const [alice] = await registerTeam();
+    const [link] = await getVerificationLinks();
+    await SELF.fetch(`http://localhost${link.path}`);
+
+    const response = await adminFetch(`/members/${alice.id}/resend-verification`, { method: 'POST' });
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 404 for unknown members', async () => {
+    const response = await adminFetch('/members/9999/resend-verification', { method: 'POST' });
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Waitlist API Tests
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { env, SELF } from 'cloudflare:test';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+beforeAll(async () => {
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS teams (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, name TEXT NOT NULL UNIQUE, description TEXT DEFAULT '', password_hash TEXT DEFAULT '', room TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS members (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, school_id INTEGER DEFAULT NULL, team_id INTEGER NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL, email TEXT NOT NULL, bac_level INTEGER DEFAULT 0, is_leader INTEGER DEFAULT 0, food_diet TEXT DEFAULT '', checked_in INTEGER DEFAULT 0, checked_in_at TEXT DEFAULT NULL, deleted_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE, UNIQUE(first_name, last_name))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT NOT NULL, event_id INTEGER NOT NULL DEFAULT 0, value TEXT NOT NULL, description TEXT DEFAULT '', updated_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (key, event_id))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS waitlist (id INTEGER PRIMARY KEY AUTOINCREMENT, event_id INTEGER DEFAULT NULL, create_new_team INTEGER DEFAULT 0, team_id INTEGER DEFAULT NULL, team_name TEXT NOT NULL, team_description TEXT DEFAULT '', password_hash TEXT DEFAULT '', members_json TEXT NOT NULL, member_count INTEGER NOT NULL, email TEXT NOT NULL, status TEXT DEFAULT 'waiting', status_reason TEXT DEFAULT NULL, promoted_team_id INTEGER DEFAULT NULL, processed_at TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')))`);
+  await env.DB.exec(`CREATE TABLE IF NOT EXISTS email_outbox (id INTEGER PRIMARY KEY AUTOINCREMENT, template TEXT NOT NULL, recipient TEXT NOT NULL, subject TEXT NOT NULL, body_text TEXT NOT NULL, body_html TEXT DEFAULT NULL, status TEXT NOT NULL DEFAULT 'pending', attempts INTEGER NOT NULL DEFAULT 0, last_error TEXT DEFAULT NULL, created_at TEXT DEFAULT (datetime('now')), last_attempt_at TEXT DEFAULT NULL, sent_at TEXT DEFAULT NULL)`);
+});
+
+beforeEach(async () => {
+  await env.DB.exec(`DELETE FROM waitlist`);
+  await env.DB.exec(`DELETE FROM members`);
+  await env.DB.exec(`DELETE FROM teams`);
+  await env.DB.exec(`DELETE FROM settings`);
+  await env.DB.exec(`DELETE FROM email_outbox`);
+
+  // Event full with 2 participants
+  await env.DB.exec(`INSERT INTO settings (key, value) VALUES ('max_total_participants', '2')`);
+  await env.DB.exec(`INSERT INTO teams (id, name, description) VALUES (1, 'Team Alpha', 'First team')`);
+  await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email) VALUES (1, 1, 'Alice', 'Smith', 'alice@example.com')`);
+  await env.DB.exec(`INSERT INTO members (id, team_id, first_name, last_name, email) VALUES (2, 1, 'Bob', 'Jones', 'bob@example.com')`);
+});
+
+function waitlistRequest(teamName, firstName, lastName) {
+  return SELF.fetch('http://localhost/api/waitlist', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      createNewTeam: true,
+      teamName,
+      teamPassword: 'testpass123',
+      members: [
+        { firstName, lastName, email: `${firstName.toLowerCase()}@example.com`, bacLevel: 2, isLeader: true, foodDiet: 'margherita' }
+      ]
+    })
+  });
+}
+
+describe('POST /api/register - At capacity', () => {
+  it('should reject registration and point to the waitlist', async () => {
+    const response = await SELF.fetch('http://localhost/api/register', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        createNewTeam: true,
+        teamName: 'Late Team',
+        teamPassword: 'testpass123',
+        members: [{ firstName: 'Late', lastName: 'Comer', email: 'late@example.com', bacLevel: 1, isLeader: true }]
+      })
+    });
+
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.waitlist).toBe(true);
+  });
+});
+
+describe('POST /api/waitlist', () => {
+  it('should refuse entries while spots are available', async () => {
+    await env.DB.exec(`UPDATE settings SET value = '10' WHERE key = 'max_total_participants'`);
+
+    const response = await waitlistRequest('Early Team', 'Early', 'Bird');
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should queue entries in order when full', async () => {
+    const first = await waitlistRequest('Team Beta', 'Charlie', 'Brown');
+    const second = await waitlistRequest('Team Gamma', 'Diana', 'Prince');
+
+    const firstData = await first.json();
+    const secondData = await second.json();
+
+    expect(first.status).toBe(201);
+    expect(firstData.waitlist.position).toBe(1);
+    expect(secondData.waitlist.position).toBe(2);
+  });
+
+  it('should reject an email already on the waitlist', async () => {
+    await waitlistRequest('Team Beta', 'Charlie', 'Brown');
+    const response = await waitlistRequest('Team Beta Bis', 'Charlie', 'Brown');
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject joining an existing team with a wrong password', async () => {
+    const response = await SELF.fetch('http://localhost/api/waitlist', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        createNewTeam: false,
+        teamId: 1,
+        teamPassword: 'wrongpass',
+        members: [{ firstName: 'Eve', lastName: 'Adams', email: 'eve@example.com', bacLevel: 1 }]
+      })
+    });
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('GET /api/admin/waitlist', () => {
+  it('should require admin authentication', async () => {
+    const response = await SELF.fetch('http://localhost/api/admin/waitlist');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should list waiting entries without password hashes', async () => {
+    await waitlistRequest('Team Beta', 'Charlie', 'Brown');
+
+    const response = await SELF.fetch('http://localhost/api/admin/waitlist', {
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+    });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.waiting).toHaveLength(1);
+    expect(data.waiting[0].position).toBe(1);
+    expect(data.waiting[0].password_hash).toBeUndefined();
+    expect(data.stats.waiting_participants).toBe(1);
+    expect(data.stats.available_spots).toBe(0);
+  });
+});
+
+describe('Waitlist promotion', () => {
+  it('should promote the first entry when a member is deleted', async () => {
+    await waitlistRequest('Team Beta', 'Charlie', 'Brown');
+    await waitlistRequest('Team Gamma', 'Diana', 'Prince');
+
+    const response = await SELF.fetch('http://localhost/api/admin/members/2', {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+    });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.waitlist).toHaveLength(1);
+    expect(data.waitlist[0].status).toBe('promoted');
+
+    const member = await env.DB.prepare(`SELECT * FROM members WHERE first_name = 'Charlie'`).first();
+    expect(member).not.toBeNull();
+
+    const { results: verifications } = await env.DB.prepare(`SELECT recipient, body_text FROM email_outbox WHERE template = 'email_verification'`).all();
+    expect(verifications.map(e => e.recipient)).toEqual(['charlie@example.com']);
+    expect(verifications[0].body_text).toContain(`/api/verify-email/${member.id}-`);
+
+    const waiting = await env.DB.prepare(`SELECT team_name FROM waitlist WHERE status = 'waiting'`).all();
+    expect(waiting.results).toHaveLength(1);
+    expect(waiting.results[0].team_name).toBe('Team Gamma');
+  });
+
+  it('should mark entries as failed when their team name was taken', async () => {
+    await waitlistRequest('Team Beta', 'Charlie', 'Brown');
+    await env.DB.exec(`INSERT INTO teams (id, name) VALUES (2, 'Team Beta')`);
+    await env.DB.exec(`DELETE FROM members WHERE id = 2`);
+
+    const response = await SELF.fetch('http://localhost/api/admin/waitlist/promote', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+    });
+    const data = await response.json();
+
+    expect(data.promoted).toBe(0);
+    expect(data.failed).toBe(1);
+  });
+
+  it('should cancel a waiting entry', async () => {
+    const joined = await waitlistRequest('Team Beta', 'Charlie', 'Brown');
+    const { waitlist } = await joined.json();
+
+    const response = await SELF.fetch(`http://localhost/api/admin/waitlist/${waitlist.id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+    });
+
+    expect(response.status).toBe(200);
+
+    const entry = await env.DB.prepare('SELECT status FROM waitlist WHERE id = ?').bind(waitlist.id).first();
+    expect(entry.status).toBe('cancelled');
+  });
+});
@@ -184,6 +184,15 @@ describe('Formatting Utilities', () => {
       expect(result.icon).toBe('💳');
     });
 
+    it('returns muted badge for refunded', () => {
+      const result = getPaymentStatusDisplay({
+        payment_status: 'refunded',
+        payment_tier: 'tier1'
+      });
+      expect(result.badgeClass).toBe('badge-muted');
+      expect(result.label).toBe('Remboursé');
+    });
+
     it('returns warning badge for delayed', () => {
       const result = getPaymentStatusDisplay({
         payment_status: 'delayed'
@@ -4,7 +4,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { hashPassword, verifyPassword, needsHashUpgrade } from '../src/shared/crypto.js';
+import { hashPassword, verifyPassword, needsHashUpgrade, generatePassword } from '../src/shared/crypto.js';
 
 describe('hashPassword', () => {
   it('should generate a hash with salt:hash format', async () => {
@@ -146,3 +146,20 @@ describe('needsHashUpgrade', () => {
     expect(needsHashUpgrade('multiple:colons:here')).toBe(false);
   });
 });
+
+describe('generatePassword', () => {
+  it('should generate a password of the requested length', () => {
+    expect(generatePassword()).toHaveLength(12);
+    expect(generatePassword(20)).toHaveLength(20);
+  });
+
+  it('should not use easily confused characters', () => {
+    const password = generatePassword(200);
+    expect(password).toMatch(/^[a-zA-Z2-9]+$/);
+    expect(password).not.toMatch(/[0O1lI]/);
+  });
+
+  it('should generate different passwords', () => {
+    expect(generatePassword()).not.toBe(generatePassword());
+  });
+});
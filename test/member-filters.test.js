@@ -0,0 +1,68 @@
+/**
+ * Member and Team Filters Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { filterMembersByStatus, filterTeamsByRoom } from '../src/shared/member-filters.js';
+
+describe('filterMembersByStatus', () => {
+  const members = [
+    { id: 1, checked_in: 1, payment_status: 'paid' },
+    { id: 2, checked_in: 0, payment_status: 'delayed' },
+    { id: 3, checked_in: null, payment_tier: 'asso_member' },
+    { id: 4, checked_in: 1, payment_status: 'pending' }
+  ];
+
+  it('filters all (no filter)', () => {
+    expect(filterMembersByStatus(members, 'all')).toHaveLength(4);
+  });
+
+  it('filters present members', () => {
+    const filtered = filterMembersByStatus(members, 'present');
+    expect(filtered).toHaveLength(2);
+    expect(filtered.every(m => m.checked_in === 1)).toBe(true);
+  });
+
+  it('filters absent members', () => {
+    const filtered = filterMembersByStatus(members, 'absent');
+    expect(filtered).toHaveLength(2);
+  });
+
+  it('filters paid members', () => {
+    const filtered = filterMembersByStatus(members, 'paid');
+    expect(filtered).toHaveLength(2); // paid status or payment_tier
+  });
+
+  it('filters pending members', () => {
+    const filtered = filterMembersByStatus(members, 'pending');
+    expect(filtered).toHaveLength(1);
+  });
+
+  it('filters delayed members', () => {
+    const filtered = filterMembersByStatus(members, 'delayed');
+    expect(filtered).toHaveLength(1);
+  });
+});
+
+describe('filterTeamsByRoom', () => {
+  const teams = [
+    { id: 1, name: 'Team A', room: 'Room 1' },
+    { id: 2, name: 'Team B', room: '' },
+    { id: 3, name: 'Team C', room: null }
+  ];
+
+  it('returns all teams with "all" filter', () => {
+    expect(filterTeamsByRoom(teams, 'all')).toHaveLength(3);
+  });
+
+  it('filters assigned teams', () => {
+    const filtered = filterTeamsByRoom(teams, 'assigned');
+    expect(filtered).toHaveLength(1);
+    expect(filtered[0].name).toBe('Team A');
+  });
+
+  it('filters unassigned teams', () => {
+    const filtered = filterTeamsByRoom(teams, 'unassigned');
+    expect(filtered).toHaveLength(2);
+  });
+});
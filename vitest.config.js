@@ -18,7 +18,9 @@ export default defineWorkersConfig({
             MAX_TEAM_SIZE: '15',
             MAX_TOTAL_PARTICIPANTS: '200',
             MIN_TEAM_SIZE: '1',
-            ADMIN_TOKEN: 'test-admin-token'
+            ADMIN_TOKEN: 'test-admin-token',
+            EMAIL_TRANSPORT: 'capture',
+            SUMUP_CLIENT: 'mock'
           }
         }
       }